@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import AutomationRunHistory, { RunRow, formatDateTime } from './components/AutomationRunHistory';
+
+const baseURL = process.env.REACT_APP_BASE_URL;
+
+const WINDOWS = [1, 7, 14, 30, 90];
+
+const authHeaders = () => ({
+  'Authorization': `Bearer ${localStorage.getItem('accessToken')}`,
+  'x-mc-subdomain': localStorage.getItem('subdomain')
+});
+
+// Org-wide view of automations whose runs failed in the last N days
+function AutomationFailures({ onClose }) {
+  const [days, setDays] = useState(7);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [expandedRun, setExpandedRun] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    setSelected(null);
+    fetch(`${baseURL}/automation/failures?days=${days}`, { headers: authHeaders() })
+      .then(async response => {
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+        setData(body);
+      })
+      .catch(err => {
+        console.error('❌ [AutomationFailures] Failed to load failed runs:', err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [days]);
+
+  const selectedRuns = data && selected
+    ? data.runs.filter(run => (run.automationId || run.name) === (selected.automationId || selected.name))
+    : [];
+
+  return (
+    <div className="rounded-xl border border-border bg-card p-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Failed Automations</h3>
+          <p className="text-sm text-gray-600">Automations with at least one failed run, newest failure first.</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={days}
+            onChange={e => setDays(Number(e.target.value))}
+            className="h-9 px-2 border border-gray-300 rounded-md text-sm"
+            aria-label="Failure window"
+          >
+            {WINDOWS.map(n => <option key={n} value={n}>Last {n} day{n === 1 ? '' : 's'}</option>)}
+          </select>
+          {onClose && (
+            <button
+              type="button"
+              onClick={onClose}
+              className="h-9 px-3 rounded-md border border-slate-200 hover:bg-slate-50 transition-colors text-sm"
+            >
+              Back to automations
+            </button>
+          )}
+        </div>
+      </div>
+
+      {loading && <p className="text-sm text-gray-500">Loading failed runs…</p>}
+      {error && <div className="p-3 rounded border border-red-200 bg-red-50 text-sm text-red-700">{error}</div>}
+
+      {!loading && data && data.automations.length === 0 && (
+        <p className="text-sm text-gray-500">No automation failed in the last {data.days} day{data.days === 1 ? '' : 's'}.</p>
+      )}
+
+      {!loading && data && data.automations.length > 0 && (
+        <div className="overflow-auto border border-gray-200 rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-500">
+              <tr>
+                <th className="text-left font-medium px-4 py-2">Automation</th>
+                <th className="text-right font-medium px-4 py-2">Failed runs</th>
+                <th className="text-left font-medium px-4 py-2">Last failure</th>
+                <th className="text-left font-medium px-4 py-2">Failing step / activity</th>
+                <th className="text-left font-medium px-4 py-2">Last error</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.automations.map(automation => {
+                const isSelected = selected && (selected.automationId || selected.name) === (automation.automationId || automation.name);
+                return (
+                  <tr
+                    key={automation.automationId || automation.name}
+                    className={`border-t border-gray-100 align-top cursor-pointer ${isSelected ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}
+                    onClick={() => { setSelected(isSelected ? null : automation); setExpandedRun(null); setShowHistory(false); }}
+                  >
+                    <td className="px-4 py-2 font-medium text-gray-900">{automation.name}</td>
+                    <td className="px-4 py-2 text-right text-red-600 font-medium">{automation.failedRuns}</td>
+                    <td className="px-4 py-2 whitespace-nowrap">{formatDateTime(automation.lastFailure)}</td>
+                    <td className="px-4 py-2 text-gray-600">
+                      {automation.failedStep ? `Step ${automation.failedStep.stepNumber}` : ''}
+                      {automation.failedStep && automation.failedActivity ? ' · ' : ''}
+                      {automation.failedActivity || (!automation.failedStep && '—')}
+                    </td>
+                    <td className="px-4 py-2 text-xs text-red-700 max-w-md">{automation.lastError}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selected && (
+        <div className="mt-6">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="font-semibold text-gray-900">{selected.name}</h4>
+            {selected.automationId && (
+              <button
+                type="button"
+                onClick={() => setShowHistory(v => !v)}
+                className="text-sm text-indigo-600 hover:underline"
+              >
+                {showHistory ? 'Show failed runs only' : 'Show full run history'}
+              </button>
+            )}
+          </div>
+          {showHistory ? (
+            <AutomationRunHistory programId={selected.automationId} />
+          ) : (
+            <div className="overflow-auto border border-slate-200 rounded-md">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-50 text-slate-500">
+                  <tr>
+                    <th className="text-left font-medium px-3 py-2">Started</th>
+                    <th className="text-left font-medium px-3 py-2">Status</th>
+                    <th className="text-left font-medium px-3 py-2">Duration</th>
+                    <th className="text-left font-medium px-3 py-2">Failed at</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedRuns.map(run => (
+                    <RunRow
+                      key={run.instanceId}
+                      run={run}
+                      open={expandedRun === run.instanceId}
+                      onToggle={() => setExpandedRun(expandedRun === run.instanceId ? null : run.instanceId)}
+                    />
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AutomationFailures;
@@ -0,0 +1,294 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import ExportMenu from './components/ExportMenu';
+
+const SECTIONS = [
+  { key: 'dataExtensions', label: 'Data Extensions' },
+  { key: 'automations', label: 'Automations' },
+  { key: 'journeys', label: 'Journeys' }
+];
+
+const authHeaders = () => ({
+  'Authorization': `Bearer ${localStorage.getItem('accessToken')}`,
+  'x-mc-subdomain': localStorage.getItem('subdomain')
+});
+
+const formatDate = (value) => {
+  if (!value) return '—';
+  const date = new Date(value);
+  return isNaN(date) ? String(value) : date.toLocaleDateString('en-GB');
+};
+
+const describeDependents = (asset) => asset.dependents
+  .map(d => `${d.name} (${d.category})${d.sharedWith.length ? ` also used by ${d.sharedWith.join(', ')}` : ''}`)
+  .join('; ');
+
+// Column layout per section, shared by the table and the CSV export
+const COLUMNS = {
+  dataExtensions: [
+    { header: 'Name', value: de => de.name },
+    { header: 'External Key', value: de => de.customerKey },
+    { header: 'Folder', value: de => de.folderPath || '' },
+    { header: 'Row Count', value: de => de.rowCount ?? '' },
+    { header: 'Created', value: de => de.createdDate || '' },
+    { header: 'Last Modified', value: de => de.modifiedDate || '' }
+  ],
+  automations: [
+    { header: 'Name', value: a => a.name },
+    { header: 'ID', value: a => a.id },
+    { header: 'Status', value: a => a.status ?? '' },
+    { header: 'Last Modified', value: a => a.modifiedDate || '' },
+    { header: 'Reason', value: a => a.reason },
+    { header: 'Dependents', value: describeDependents }
+  ]
+};
+COLUMNS.journeys = COLUMNS.automations;
+
+const downloadCSV = (section, rows, filename) => {
+  if (rows.length === 0) return;
+  const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const columns = COLUMNS[section];
+  const csv = [
+    columns.map(c => escape(c.header)).join(','),
+    ...rows.map(row => columns.map(c => escape(c.value(row))).join(','))
+  ].join('\n');
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${filename}.csv`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+function CleanupReport() {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [section, setSection] = useState('dataExtensions');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [selected, setSelected] = useState({});
+  const [notice, setNotice] = useState(null);
+
+  const loadReport = async (refresh) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const query = refresh ? '?refresh=full' : '';
+      const response = await fetch(`/api/cleanup/orphans${query}`, { headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      setReport(data);
+      setSelected({});
+    } catch (err) {
+      console.error('❌ [CleanupReport] Failed to load cleanup report:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadReport(false);
+  }, []);
+
+  const rowKey = (row) => `${section}|${row.id}`;
+
+  const visibleRows = useMemo(() => {
+    if (!report) return [];
+    const term = searchTerm.trim().toLowerCase();
+    return report[section].filter(row =>
+      !term || row.name.toLowerCase().includes(term) || String(row.customerKey || row.id).toLowerCase().includes(term)
+    );
+  }, [report, section, searchTerm]);
+
+  const selectedRows = report ? report[section].filter(row => selected[`${section}|${row.id}`]) : [];
+  const allVisibleSelected = visibleRows.length > 0 && visibleRows.every(row => selected[rowKey(row)]);
+
+  const toggleAllVisible = () => {
+    setSelected(prev => {
+      const next = { ...prev };
+      visibleRows.forEach(row => { next[rowKey(row)] = !allVisibleSelected; });
+      return next;
+    });
+  };
+
+  const copySelectedKeys = async () => {
+    const keys = selectedRows.map(row => row.customerKey || row.id).join('\n');
+    try {
+      await navigator.clipboard.writeText(keys);
+      setNotice(`Copied ${selectedRows.length} key(s) to the clipboard`);
+    } catch (err) {
+      console.error('❌ [CleanupReport] Clipboard write failed:', err);
+      setNotice('Could not access the clipboard');
+    }
+  };
+
+  const exportName = `cleanup_${section}_${new Date().toISOString().slice(0, 10)}`;
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Cleanup Report</h2>
+          <p className="text-sm text-gray-500">
+            Data Extensions nothing reads or writes, and inactive automations or stopped journeys whose assets are used by nothing still running.
+          </p>
+          {report?.snapshot && (
+            <p className="text-xs text-gray-400 mt-1">
+              Based on the metadata snapshot from {new Date(report.snapshot.refreshedAt).toLocaleString('en-GB')}
+            </p>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={() => loadReport(true)}
+          disabled={loading}
+          className="h-9 px-3 rounded-md border border-slate-200 hover:bg-slate-50 transition-colors text-sm whitespace-nowrap disabled:opacity-50"
+        >
+          {loading ? 'Analyzing…' : '🔄 Refresh from Marketing Cloud'}
+        </button>
+      </div>
+
+      {error && <div className="mb-3 p-3 rounded border border-red-200 bg-red-50 text-sm text-red-700">{error}</div>}
+      {!report && loading && <p className="text-sm text-gray-500">Building cleanup report…</p>}
+
+      {report && (
+        <>
+          <div className="flex flex-wrap items-center gap-2" role="tablist">
+            {SECTIONS.map(s => (
+              <button
+                key={s.key}
+                type="button"
+                role="tab"
+                aria-selected={section === s.key}
+                onClick={() => { setSection(s.key); setNotice(null); }}
+                className={`px-3 py-1.5 rounded-full text-sm border transition-colors ${
+                  section === s.key ? 'bg-brand text-white border-transparent' : 'border-slate-200 text-gray-600 hover:bg-slate-50'
+                }`}
+              >
+                {s.label} <span className="ml-1 opacity-80">{report.summary[s.key]}</span>
+              </button>
+            ))}
+          </div>
+
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <input
+              type="search"
+              placeholder="Filter by name or key…"
+              value={searchTerm}
+              onChange={e => setSearchTerm(e.target.value)}
+              className="h-9 px-2 border border-gray-300 rounded-md text-sm"
+            />
+            <span className="text-sm text-gray-500">{selectedRows.length} selected</span>
+            <button
+              type="button"
+              onClick={() => downloadCSV(section, selectedRows, `${exportName}_selected`)}
+              disabled={selectedRows.length === 0}
+              className="h-9 px-3 rounded-md border border-slate-200 hover:bg-slate-50 transition-colors text-sm disabled:opacity-50"
+            >
+              Export selected
+            </button>
+            <button
+              type="button"
+              onClick={copySelectedKeys}
+              disabled={selectedRows.length === 0}
+              className="h-9 px-3 rounded-md border border-slate-200 hover:bg-slate-50 transition-colors text-sm disabled:opacity-50"
+            >
+              Copy keys
+            </button>
+            <div className="ml-auto">
+              <ExportMenu
+                searchCount={visibleRows.length}
+                category={`orphaned ${SECTIONS.find(s => s.key === section).label}`}
+                onExportSearch={() => downloadCSV(section, visibleRows, `${exportName}_filtered`)}
+                onExportAll={() => downloadCSV(section, report[section], exportName)}
+              />
+            </div>
+          </div>
+          {notice && <p className="mt-2 text-xs text-gray-500">{notice}</p>}
+
+          {visibleRows.length === 0 ? (
+            <p className="mt-4 text-sm text-gray-500">Nothing to clean up here.</p>
+          ) : (
+            <div className="mt-4 overflow-x-auto border border-gray-200 rounded-lg">
+              <table className="w-full text-left text-sm">
+                <thead className="bg-gray-50 text-gray-500">
+                  <tr>
+                    <th className="p-2 w-8">
+                      <input type="checkbox" checked={allVisibleSelected} onChange={toggleAllVisible} aria-label="Select all" />
+                    </th>
+                    {section === 'dataExtensions' ? (
+                      <>
+                        <th className="p-2 font-medium">Name</th>
+                        <th className="p-2 font-medium">Folder</th>
+                        <th className="p-2 font-medium text-right">Rows</th>
+                        <th className="p-2 font-medium">Created</th>
+                        <th className="p-2 font-medium">Last Modified</th>
+                      </>
+                    ) : (
+                      <>
+                        <th className="p-2 font-medium">Name</th>
+                        <th className="p-2 font-medium">Status</th>
+                        <th className="p-2 font-medium">Last Modified</th>
+                        <th className="p-2 font-medium">Why</th>
+                      </>
+                    )}
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleRows.map(row => (
+                    <tr key={row.id} className="border-t border-gray-100 align-top">
+                      <td className="p-2">
+                        <input
+                          type="checkbox"
+                          checked={!!selected[rowKey(row)]}
+                          onChange={() => setSelected(prev => ({ ...prev, [rowKey(row)]: !prev[rowKey(row)] }))}
+                          aria-label={`Select ${row.name}`}
+                        />
+                      </td>
+                      {section === 'dataExtensions' ? (
+                        <>
+                          <td className="p-2">
+                            <div className="font-medium text-gray-900">{row.name}</div>
+                            {row.customerKey !== row.name && <div className="text-xs text-gray-500 font-mono">{row.customerKey}</div>}
+                          </td>
+                          <td className="p-2 text-gray-600">{row.folderPath || '—'}</td>
+                          <td className="p-2 text-right tabular-nums">{row.rowCount ?? '—'}</td>
+                          <td className="p-2 text-gray-600">{formatDate(row.createdDate)}</td>
+                          <td className="p-2 text-gray-600">{formatDate(row.modifiedDate)}</td>
+                        </>
+                      ) : (
+                        <>
+                          <td className="p-2 font-medium text-gray-900">{row.name}</td>
+                          <td className="p-2 text-gray-600">{row.status ?? '—'}</td>
+                          <td className="p-2 text-gray-600">{formatDate(row.modifiedDate)}</td>
+                          <td className="p-2 text-gray-600">
+                            <div>{row.reason}</div>
+                            {row.dependents.length > 0 && (
+                              <ul className="mt-1 text-xs text-gray-500 space-y-0.5">
+                                {row.dependents.map(d => (
+                                  <li key={d.id}>
+                                    {d.name} <span className="text-gray-400">({d.category})</span>
+                                    {d.sharedWith.length > 0 && <span> · also used by {d.sharedWith.join(', ')}</span>}
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                          </td>
+                        </>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CleanupReport;
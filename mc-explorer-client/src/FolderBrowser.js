@@ -0,0 +1,317 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+
+const CONTENT_TYPES = [
+  { key: 'dataextension', label: 'Data Extensions' },
+  { key: 'automations', label: 'Automations' },
+  { key: 'journey', label: 'Journeys' },
+  { key: 'email', label: 'Emails' }
+];
+
+const authHeaders = () => ({
+  'Authorization': `Bearer ${localStorage.getItem('accessToken')}`,
+  'x-mc-subdomain': localStorage.getItem('subdomain'),
+  'Content-Type': 'application/json'
+});
+
+const buttonClass = 'h-8 px-3 rounded-md border border-slate-200 hover:bg-slate-50 transition-colors text-sm disabled:opacity-50';
+
+// Depth-first list of folders with their full path, for the "move to" pickers
+const flattenFolders = (folders, parentPath = '') => folders.flatMap(folder => {
+  const path = parentPath ? `${parentPath} / ${folder.name}` : folder.name;
+  return [{ ...folder, path }, ...flattenFolders(folder.children, path)];
+});
+
+const descendantIds = (folder) => [folder.id, ...folder.children.flatMap(descendantIds)];
+
+function FolderNode({ folder, depth, selectedId, expanded, onToggle, onSelect }) {
+  const isOpen = expanded[folder.id] ?? depth === 0;
+  return (
+    <div>
+      <div
+        className={`flex items-center gap-1 py-1 pr-2 rounded cursor-pointer text-sm ${selectedId === folder.id ? 'bg-indigo-50 text-indigo-800' : 'hover:bg-slate-50'}`}
+        style={{ paddingLeft: `${depth * 16 + 4}px` }}
+        onClick={() => onSelect(folder.id)}
+      >
+        <button
+          type="button"
+          className="w-4 text-xs text-gray-500"
+          onClick={(e) => { e.stopPropagation(); onToggle(folder.id, !isOpen); }}
+          disabled={folder.children.length === 0}
+          aria-label={isOpen ? 'Collapse' : 'Expand'}
+        >
+          {folder.children.length > 0 ? (isOpen ? '▼' : '▶') : ''}
+        </button>
+        <span>📁</span>
+        <span className="flex-1 truncate">{folder.name}</span>
+        <span className="text-xs text-gray-500" title={`${folder.assetCount} in this folder, ${folder.totalCount} including subfolders`}>
+          {folder.assetCount}{folder.totalCount !== folder.assetCount ? ` / ${folder.totalCount}` : ''}
+        </span>
+      </div>
+      {isOpen && folder.children.map(child => (
+        <FolderNode
+          key={child.id}
+          folder={child}
+          depth={depth + 1}
+          selectedId={selectedId}
+          expanded={expanded}
+          onToggle={onToggle}
+          onSelect={onSelect}
+        />
+      ))}
+    </div>
+  );
+}
+
+// Collapsible folder tree per content type: create, rename and move folders, and move assets between them
+function FolderBrowser() {
+  const [contentType, setContentType] = useState('dataextension');
+  const [tree, setTree] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [expanded, setExpanded] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+  const [selectedAssets, setSelectedAssets] = useState({});
+  const [folderTarget, setFolderTarget] = useState('');
+  const [assetTarget, setAssetTarget] = useState('');
+
+  const loadTree = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/folders/tree?contentType=${contentType}`, { headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.details || data.error || `HTTP ${response.status}`);
+      setTree(data);
+    } catch (err) {
+      console.error('❌ [FolderBrowser] Failed to load folders:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [contentType]);
+
+  // Switching content type starts from a fresh tree
+  useEffect(() => {
+    setTree(null);
+    setSelectedId(null);
+    setSelectedAssets({});
+    setNotice(null);
+    loadTree();
+  }, [loadTree]);
+
+  const allFolders = useMemo(() => flattenFolders(tree?.folders || []), [tree]);
+  const selectedFolder = allFolders.find(folder => folder.id === selectedId) || null;
+  const folderAssets = useMemo(
+    () => (tree?.assets || []).filter(asset => asset.folderId === selectedId).sort((a, b) => a.name.localeCompare(b.name)),
+    [tree, selectedId]
+  );
+  const checkedIds = folderAssets.filter(asset => selectedAssets[asset.id]).map(asset => asset.id);
+  const moveTargets = selectedFolder ? allFolders.filter(folder => !descendantIds(selectedFolder).includes(folder.id)) : [];
+
+  const send = async (method, path, body, success) => {
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await fetch(path, { method, headers: authHeaders(), body: JSON.stringify({ contentType, ...body }) });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.details || data.error || `HTTP ${response.status}`);
+      setNotice(success(data));
+      await loadTree();
+      return data;
+    } catch (err) {
+      console.error(`❌ [FolderBrowser] ${method} ${path} failed:`, err);
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const createFolder = async () => {
+    const name = window.prompt(`New folder in "${selectedFolder.name}"`);
+    if (!name?.trim()) return;
+    const created = await send('POST', '/api/folders', { name, parentId: selectedFolder.id }, data => `Created "${data.name}"`);
+    if (created?.id) {
+      setExpanded(prev => ({ ...prev, [selectedFolder.id]: true }));
+      setSelectedId(created.id);
+    }
+  };
+
+  const renameFolder = async () => {
+    const name = window.prompt('Rename folder', selectedFolder.name);
+    if (!name?.trim() || name.trim() === selectedFolder.name) return;
+    await send('PATCH', `/api/folders/${selectedFolder.id}`, { name }, data => `Renamed to "${data.name}"`);
+  };
+
+  const moveFolder = async () => {
+    const target = allFolders.find(folder => folder.id === folderTarget);
+    if (!target || !window.confirm(`Move "${selectedFolder.name}" into "${target.path}"?`)) return;
+    await send('PATCH', `/api/folders/${selectedFolder.id}`, { parentId: target.id }, () => `Moved "${selectedFolder.name}" into "${target.path}"`);
+    setExpanded(prev => ({ ...prev, [target.id]: true }));
+    setFolderTarget('');
+  };
+
+  const moveAssets = async () => {
+    const target = allFolders.find(folder => folder.id === assetTarget);
+    if (!target) return;
+    const data = await send('POST', `/api/folders/${target.id}/assets`, { assetIds: checkedIds }, result => {
+      const failed = result.results.filter(r => r.status === 'failed');
+      return `Moved ${result.moved} item(s) to "${target.path}"${failed.length ? `; failed: ${failed.map(r => `${r.name || r.id} (${r.error})`).join(', ')}` : ''}`;
+    });
+    if (data) {
+      setSelectedAssets({});
+      setAssetTarget('');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Folders</h2>
+          <p className="text-sm text-gray-500">
+            Browse folders with their item counts (in the folder / including subfolders), and create, rename or move folders and the items in them.
+          </p>
+        </div>
+        <button type="button" onClick={() => loadTree()} disabled={loading} className={buttonClass}>
+          {loading ? 'Loading…' : '🔄 Reload'}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4" role="tablist">
+        {CONTENT_TYPES.map(type => (
+          <button
+            key={type.key}
+            type="button"
+            role="tab"
+            aria-selected={contentType === type.key}
+            onClick={() => setContentType(type.key)}
+            className={`px-3 py-1.5 rounded-full text-sm border transition-colors ${
+              contentType === type.key ? 'bg-brand text-white border-transparent' : 'border-slate-200 text-gray-600 hover:bg-slate-50'
+            }`}
+          >
+            {type.label}
+          </button>
+        ))}
+      </div>
+
+      {error && <div className="mb-3 p-3 rounded border border-red-200 bg-red-50 text-sm text-red-700">{error}</div>}
+      {notice && <div className="mb-3 p-3 rounded border border-emerald-200 bg-emerald-50 text-sm text-emerald-700">{notice}</div>}
+      {!tree && loading && <p className="text-sm text-gray-500">Loading folders…</p>}
+
+      {tree && (
+        <div className="grid grid-cols-1 md:grid-cols-[minmax(260px,1fr)_2fr] gap-4">
+          <div className="border border-slate-200 rounded-md p-2 overflow-auto max-h-[65vh]">
+            {tree.folders.map(folder => (
+              <FolderNode
+                key={folder.id}
+                folder={folder}
+                depth={0}
+                selectedId={selectedId}
+                expanded={expanded}
+                onToggle={(id, open) => setExpanded(prev => ({ ...prev, [id]: open }))}
+                onSelect={(id) => { setSelectedId(id); setSelectedAssets({}); setFolderTarget(''); }}
+              />
+            ))}
+            {tree.folders.length === 0 && <p className="text-sm text-gray-500 p-2">No folders found.</p>}
+            {tree.unfiled > 0 && <p className="text-xs text-gray-400 p-2">{tree.unfiled} item(s) are in folders that could not be read.</p>}
+          </div>
+
+          <div className="space-y-3">
+            {!selectedFolder && <p className="text-sm text-gray-500">Select a folder to see its {tree.label.toLowerCase()}.</p>}
+            {selectedFolder && (
+              <>
+                <div>
+                  <div className="text-sm font-semibold text-gray-900">📁 {selectedFolder.path}</div>
+                  <div className="text-xs text-gray-500">ID {selectedFolder.id}{selectedFolder.editable ? '' : ' · system folder'}</div>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <button type="button" onClick={createFolder} disabled={busy} className={buttonClass}>New subfolder</button>
+                  <button type="button" onClick={renameFolder} disabled={busy || !selectedFolder.editable} className={buttonClass}>Rename</button>
+                  <select
+                    value={folderTarget}
+                    onChange={e => setFolderTarget(e.target.value)}
+                    disabled={busy || !selectedFolder.editable}
+                    className="h-8 px-2 border border-slate-200 rounded-md text-sm max-w-xs"
+                  >
+                    <option value="">Move folder to…</option>
+                    {moveTargets.filter(folder => folder.id !== selectedFolder.parentId).map(folder => (
+                      <option key={folder.id} value={folder.id}>{folder.path}</option>
+                    ))}
+                  </select>
+                  <button type="button" onClick={moveFolder} disabled={busy || !folderTarget} className={buttonClass}>Move</button>
+                </div>
+
+                <div className="border border-slate-200 rounded-md overflow-auto max-h-[50vh]">
+                  <table className="w-full text-sm">
+                    <thead className="bg-slate-50 text-slate-500 sticky top-0">
+                      <tr>
+                        <th className="w-8 px-3 py-2">
+                          <input
+                            type="checkbox"
+                            aria-label="Select all"
+                            checked={folderAssets.length > 0 && checkedIds.length === folderAssets.length}
+                            onChange={e => setSelectedAssets(Object.fromEntries(folderAssets.map(asset => [asset.id, e.target.checked])))}
+                          />
+                        </th>
+                        <th className="text-left font-medium px-3 py-2">Name</th>
+                        <th className="text-left font-medium px-3 py-2">Key / ID</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {folderAssets.map(asset => (
+                        <tr key={asset.id} className="border-t border-slate-100">
+                          <td className="px-3 py-1.5">
+                            <input
+                              type="checkbox"
+                              checked={!!selectedAssets[asset.id]}
+                              onChange={e => setSelectedAssets(prev => ({ ...prev, [asset.id]: e.target.checked }))}
+                            />
+                          </td>
+                          <td className="px-3 py-1.5">
+                            {asset.name}
+                            {asset.status && <span className="ml-2 text-xs text-gray-500">{asset.status}</span>}
+                          </td>
+                          <td className="px-3 py-1.5 text-xs text-gray-500 font-mono">{asset.key || asset.id}</td>
+                        </tr>
+                      ))}
+                      {folderAssets.length === 0 && (
+                        <tr><td colSpan={3} className="px-3 py-3 text-gray-500">No {tree.label.toLowerCase()} directly in this folder.</td></tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-sm text-gray-500">{checkedIds.length} selected</span>
+                  <select
+                    value={assetTarget}
+                    onChange={e => setAssetTarget(e.target.value)}
+                    disabled={busy || checkedIds.length === 0}
+                    className="h-8 px-2 border border-slate-200 rounded-md text-sm max-w-xs"
+                  >
+                    <option value="">Move selected to…</option>
+                    {allFolders.filter(folder => folder.id !== selectedFolder.id).map(folder => (
+                      <option key={folder.id} value={folder.id}>{folder.path}</option>
+                    ))}
+                  </select>
+                  <button type="button" onClick={moveAssets} disabled={busy || !assetTarget || checkedIds.length === 0} className={buttonClass}>
+                    {busy ? 'Working…' : 'Move'}
+                  </button>
+                </div>
+                {contentType === 'journey' && (
+                  <p className="text-xs text-gray-400">Marketing Cloud only lets draft journey versions change folder.</p>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FolderBrowser;
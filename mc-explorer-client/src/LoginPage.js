@@ -9,7 +9,10 @@ function LoginPage() {
   console.log("🧪 env - authDomain:", authDomain);
   console.log("🧪 env - redirectUri:", redirectUri);
 
-  const authUrl = `https://${authDomain}/v2/authorize?client_id=${clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=code`;
+  // REACT_APP_AUTH_URL overrides the auth host, e.g. http://localhost:3001/mc-emulator for the local emulator
+  const authBaseUrl = process.env.REACT_APP_AUTH_URL || `https://${authDomain}`;
+
+  const authUrl = `${authBaseUrl}/v2/authorize?client_id=${clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=code`;
 
   const handleLogin = () => {
     try {
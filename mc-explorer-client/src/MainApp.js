@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './App.css';
 import PreferenceCenterProjectForm from './PreferenceCenterProjectForm';
 import PreferenceCenterNoCoreForm from './PreferenceCenterNoCoreForm';
@@ -6,11 +6,98 @@ import PreferenceCenterConfigForm from './PreferenceCenterConfigForm';
 import EmailArchiving from './EmailArchiving';
 import Settings from './Settings';
 import ExportMenu from './components/ExportMenu';
+import { exportRows, downloadInventory } from './exportFormats';
+import BusinessUnitSwitcher from './components/BusinessUnitSwitcher';
 import SchemaBuilder from './SchemaBuilder';
 import ObjectExplorer from './ObjectExplorer';
+import SnapshotDiff from './SnapshotDiff';
+import CleanupReport from './CleanupReport';
+import FolderBrowser from './FolderBrowser';
+import AutomationFailures from './AutomationFailures';
+import ScheduleCalendar from './ScheduleCalendar';
+import DataExtensionSchema, { SCHEMA_EXPORT_FORMATS, downloadSchemaExport } from './components/DataExtensionSchema';
+import DataExtensionRowBrowser from './components/DataExtensionRowBrowser';
+import DataExtensionClone from './components/DataExtensionClone';
+import DataExtensionDefinitions from './components/DataExtensionDefinitions';
+import AutomationRunHistory from './components/AutomationRunHistory';
+import SavedSearches from './components/SavedSearches';
+import GlobalSearchPalette, { GLOBAL_RESULT_TARGETS } from './components/GlobalSearchPalette';
 
 const baseURL = process.env.REACT_APP_BASE_URL;
 
+// Most DE schemas one export requests (the server's MAX_SCHEMA_EXPORT_KEYS)
+const MAX_SCHEMA_EXPORT = 500;
+
+// Search Assets tabs whose table the server filters, sorts and pages; crossBu tabs can search the
+// selected business units instead of the token's own (?businessUnits=)
+const SERVER_PAGED_TABS = {
+  de: { path: '/search/de', type: 'Data Extension', crossBu: true },
+  automation: { path: '/search/automation', type: 'Automation', crossBu: true },
+  datafilter: { path: '/search/datafilters', type: 'Data Filter' },
+  journey: { path: '/search/journeys', type: 'Journey', crossBu: true }
+};
+
+// Search Assets tabs listed whole (short lists with bulk edits); the server still filters and sorts them
+const LISTED_TABS = {
+  emailsenddefinition: { path: '/resolved/emailsenddefinition-relationships', type: 'EmailSendDefinition' },
+  publication: { path: '/search/publication', type: 'Publication' }
+};
+
+// Largest page the /search/* routes serve (the server's MAX_PAGE_SIZE), used to read whole result sets
+const SEARCH_FETCH_PAGE_SIZE = 500;
+
+/**
+ * Query string of a Search Assets search.
+ * @param {object} search - { query, sortConfig, businessUnits (MIDs of a cross-BU search, else null),
+ *   buScope (MID the cross-BU results are narrowed to, or 'all') }
+ */
+const buildSearchParams = ({ query, sortConfig, businessUnits = null, buScope = 'all' }) => {
+  const params = {};
+  const terms = businessUnits && buScope !== 'all' ? `${query} bu:=${buScope}`.trim() : query;
+  if (terms) params.query = terms;
+  if (sortConfig.key) {
+    params.sort = sortConfig.key;
+    params.direction = sortConfig.direction;
+  }
+  if (businessUnits) params.businessUnits = businessUnits.join(',');
+  return params;
+};
+
+// KPI card date windows, in days
+const CREATED_WINDOWS = [7, 30, 180, 365];
+
+const searchHeaders = () => ({
+  'Authorization': `Bearer ${localStorage.getItem('accessToken')}`,
+  'x-mc-subdomain': localStorage.getItem('subdomain')
+});
+
+// One page of a /search/* route (params: query, sort, direction, page, pageSize, businessUnits, refresh)
+async function fetchSearchPage(path, params, signal) {
+  // Cookies carry the session credentials cross-BU searches use to get a token per BU
+  const res = await fetch(`${baseURL}${path}?${new URLSearchParams(params)}`, { headers: searchHeaders(), credentials: 'include', signal });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+  return json;
+}
+
+// Every row of a /search/* route matching params.query, read page by page; refresh only reloads on the first page
+async function fetchAllSearchRows(path, { refresh, ...params }, signal) {
+  const rows = [];
+  let errors = [];
+  for (let page = 1, totalPages = 1; page <= totalPages; page++) {
+    const json = await fetchSearchPage(path, {
+      ...params,
+      ...(refresh && page === 1 ? { refresh: 'true' } : {}),
+      page: String(page),
+      pageSize: String(SEARCH_FETCH_PAGE_SIZE)
+    }, signal);
+    rows.push(...json.items);
+    totalPages = json.totalPages;
+    errors = json.errors || [];
+  }
+  return { rows, errors };
+}
+
 // Enhanced Design System Components
 const Btn = ({children, variant = 'ghost', size = 'default', ...props}) => {
   const base = "inline-flex items-center justify-center gap-2 rounded-lg border font-medium transition-all duration-200 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-brand focus-visible:ring-offset-2 disabled:opacity-50 disabled:pointer-events-none";
@@ -85,19 +172,29 @@ export default function MainApp() {
   const [loading, setLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [activeTab, setActiveTab] = useState('de');
-  const [dataExtensions, setDataExtensions] = useState([]);
-  const [automations, setAutomations] = useState([]);
-  const [dataFilters, setDataFilters] = useState([]);
-  const [journeys, setJourneys] = useState([]);
+  // KPI card counts per server-paged tab: { total, last7, last30, last180, last365 }
+  const [assetCounts, setAssetCounts] = useState({});
   const [folderMap, setFolderMap] = useState({});
   const [searchTerm, setSearchTerm] = useState('');
   const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage, setItemsPerPage] = useState(10);
+  // Current page of a server-paged tab (see SERVER_PAGED_TABS)
+  const [tablePage, setTablePage] = useState({ items: [], total: 0, totalPages: 1, errors: [], loading: false, error: null });
+  // Matching rows of a listed tab (see LISTED_TABS)
+  const [listedRows, setListedRows] = useState({ tab: null, items: [], errors: [], loading: false, error: null });
+  // Bumped to re-read the listed rows; reloadListedFromMC makes that read skip the server's cached rows
+  const [listedReload, setListedReload] = useState(0);
+  const reloadListedFromMC = useRef(false);
   const [pendingFetches, setPendingFetches] = useState(0);
-  const [deDetailModal, setDeDetailModal] = useState({ open: false, loading: false, error: null, details: null, name: null });
-  const [automationDetailModal, setAutomationDetailModal] = useState({ open: false, loading: false, error: null, details: null, name: null });
-  const [emailSendDefinitions, setEmailSendDefinitions] = useState([]);
+  const [deDetailModal, setDeDetailModal] = useState({ open: false, loading: false, error: null, details: null, name: null, key: null });
+  const [schemaExport, setSchemaExport] = useState({ format: null, error: null });
+  const [rowBrowser, setRowBrowser] = useState(null);
+  const [cloneSource, setCloneSource] = useState(null);
+  const [showDefinitions, setShowDefinitions] = useState(false);
+  const [automationDetailModal, setAutomationDetailModal] = useState({ open: false, loading: false, error: null, details: null, name: null, id: null });
+  // 'search' (the table), 'failures' dashboard or schedule 'calendar'
+  const [automationView, setAutomationView] = useState('search');
 
   const [senderProfiles, setSenderProfiles] = useState([]);
   const [sendClassifications, setSendClassifications] = useState([]);
@@ -108,8 +205,7 @@ export default function MainApp() {
   const [configJson, setConfigJson] = useState('');
   const [parsedRelationships, setParsedRelationships] = useState([]);
   const [configError, setConfigError] = useState('');
-  const [resolvedEmailSendDefs, setResolvedEmailSendDefs] = useState([]);
-  const [resolvedError, setResolvedError] = useState('');
+  const resolvedEmailSendDefs = listedRows.tab === 'emailsenddefinition' ? listedRows.items : [];
 
   // Add new state for edit modal
   const [editESDModal, setEditESDModal] = useState({ open: false, loading: false, error: null, esd: null, sendClassification: '', senderProfile: '', deliveryProfile: '', bccEmail: '', ccEmail: '' });
@@ -121,8 +217,11 @@ export default function MainApp() {
   // State for mass edit modal
   const [massEditModal, setMassEditModal] = useState({ open: false, sendClassification: '', senderProfile: '', deliveryProfile: '', bccEmail: '', ccEmail: '', loading: false, error: null });
 
-  // Publications state
-  const [publications, setPublications] = useState([]);
+  // Cross-business-unit search: DE / automation / journey results from the selected BUs
+  const [businessUnits, setBusinessUnits] = useState([]);
+  const [crossBuMode, setCrossBuMode] = useState(false);
+  const [selectedBusinessUnits, setSelectedBusinessUnits] = useState([]);
+  const [buFilter, setBuFilter] = useState('all');
 
   // Add new top-level tab for Distributed Marketing
   const [dmStep, setDMStep] = useState(1);
@@ -191,6 +290,36 @@ export default function MainApp() {
 
   // Parent navigation state
   const [parentNav, setParentNav] = useState('search'); // 'search' or 'preference'
+  const [showGlobalSearch, setShowGlobalSearch] = useState(false);
+  const [explorerFocus, setExplorerFocus] = useState(null); // Object Explorer card to open: { category, name, key }
+
+  // Ctrl+K / Cmd+K opens the global search palette from any page
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setShowGlobalSearch(true);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Jump from a global search result to its Search Assets tab or Object Explorer card
+  const openGlobalSearchResult = (result) => {
+    const target = GLOBAL_RESULT_TARGETS[result.type];
+    setShowGlobalSearch(false);
+    if (!target) return;
+    if (target.explorerCategory) {
+      setExplorerFocus({ category: target.explorerCategory, name: result.name, key: result.key });
+      setParentNav('schemaBuilder');
+      return;
+    }
+    setSearchTerm(target.query(result));
+    setActiveTab(target.tab);
+    setCurrentPage(1);
+    setParentNav('search');
+  };
   const [previewResult, setPreviewResult] = useState(null);
   const [guidedPrefOption, setGuidedPrefOption] = useState('');
 
@@ -240,6 +369,8 @@ export default function MainApp() {
       console.warn('⚠️ Session expired or unauthorized. Redirecting to login...');
       localStorage.removeItem('isAuthenticated');
       window.location.href = '/login';
+    } else if (res.ok) {
+      return res.json().then(data => setBusinessUnits(data.businessUnits || []));
     }
       })
       .catch(err => {
@@ -262,7 +393,7 @@ export default function MainApp() {
     }
 
     setLoading(true);
-    setPendingFetches(6); // 6 fetches: DE, Automation, DataFilter, Journey, Folders, Publications
+    setPendingFetches(prev => prev + 1); // Folders; tab rows are fetched a page at a time
 
     const fetchWithLogging = async (path, setter, label) => {
       try {
@@ -288,27 +419,44 @@ export default function MainApp() {
       }
     };
 
-    fetchWithLogging('/search/de', setDataExtensions, 'Data Extensions');
-    fetchWithLogging('/search/automation', setAutomations, 'Automations');
-    fetchWithLogging('/search/datafilters', setDataFilters, 'Data Filters');
-    fetchWithLogging('/search/journeys', setJourneys, 'Journeys');
     fetchWithLogging('/folders', folders => {
       const map = {};
       (folders || []).forEach(f => map[f.ID] = f);
       setFolderMap(map);
     }, 'Folders');
-    fetchWithLogging('/search/publication', setPublications, 'Publications');
   }, [isAuthenticated]);
 
-  // Fetch data for the selected tab when activeTab changes
+  // KPI card counts from one-row pages of each server-paged tab: the total and the assets created recently
   useEffect(() => {
     if (!isAuthenticated) return;
-    console.log('Current activeTab:', activeTab); // DEBUG
+    const since = days => {
+      const date = new Date();
+      date.setDate(date.getDate() - days);
+      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    };
+    Object.entries(SERVER_PAGED_TABS).forEach(async ([tab, { path }]) => {
+      try {
+        const queries = ['', ...CREATED_WINDOWS.map(days => `created:>=${since(days)}`)];
+        const [total, ...windows] = await Promise.all(queries.map(query =>
+          fetchSearchPage(path, { query, page: '1', pageSize: '1' }).then(json => json.total)
+        ));
+        const counts = { total };
+        CREATED_WINDOWS.forEach((days, index) => { counts[`last${days}`] = windows[index]; });
+        setAssetCounts(prev => ({ ...prev, [tab]: counts }));
+      } catch (e) {
+        console.error(`❌ Failed to count ${SERVER_PAGED_TABS[tab].type} assets`, e);
+      }
+    });
+  }, [isAuthenticated]);
+
+  // Profiles and classifications the Email Send Definitions tab shows and edits
+  useEffect(() => {
+    if (!isAuthenticated || activeTab !== 'emailsenddefinition') return;
     const accessToken = localStorage.getItem('accessToken');
     const subdomain = localStorage.getItem('subdomain');
     if (!accessToken || !subdomain) return;
     setLoading(true);
-    setPendingFetches(1);
+    setPendingFetches(prev => prev + 3);
     const fetchWithLogging = async (path, setter, label) => {
       try {
         console.log('Fetching', label, 'from', path); // DEBUG
@@ -330,25 +478,91 @@ export default function MainApp() {
         setPendingFetches(prev => prev - 1);
       }
     };
-    if (activeTab === 'de') fetchWithLogging('/search/de', setDataExtensions, 'Data Extensions');
-    if (activeTab === 'automation') fetchWithLogging('/search/automation', setAutomations, 'Automations');
-    if (activeTab === 'datafilter') fetchWithLogging('/search/datafilters', setDataFilters, 'Data Filters');
-    if (activeTab === 'journey') fetchWithLogging('/search/journeys', setJourneys, 'Journeys');
-    if (activeTab === 'emailsenddefinition') {
-      console.log('Fetching EmailSendDefinition'); // DEBUG
-      fetchWithLogging('/search/emailsenddefinition', setEmailSendDefinitions, 'EmailSendDefinitions');
-      // Fetch related profiles/classifications
-      fetchWithLogging('/search/senderprofile', setSenderProfiles, 'SenderProfiles');
-      fetchWithLogging('/search/sendclassification', setSendClassifications, 'SendClassifications');
-      fetchWithLogging('/search/deliveryprofile', setDeliveryProfiles, 'DeliveryProfiles');
-    }
-    if (activeTab === 'publication') fetchWithLogging('/search/publication', setPublications, 'Publications');
+    fetchWithLogging('/search/senderprofile', setSenderProfiles, 'SenderProfiles');
+    fetchWithLogging('/search/sendclassification', setSendClassifications, 'SendClassifications');
+    fetchWithLogging('/search/deliveryprofile', setDeliveryProfiles, 'DeliveryProfiles');
   }, [activeTab, isAuthenticated]);
 
   useEffect(() => {
     if (pendingFetches === 0 && isAuthenticated) setLoading(false);
   }, [pendingFetches, isAuthenticated]);
 
+  const serverPagedTab = SERVER_PAGED_TABS[activeTab];
+  const listedTab = LISTED_TABS[activeTab];
+  // Cross-BU mode searches DEs, automations and journeys in the selected business units instead of the token's own
+  const crossBuSearch = crossBuMode && !!serverPagedTab?.crossBu;
+  const trimmedSearch = searchTerm.trim();
+
+  // Query string of the active tab's search; buScope 'all' ignores the business unit filter of cross-BU mode
+  const tabSearchParams = (query = trimmedSearch, buScope = buFilter) => buildSearchParams({
+    query, sortConfig, businessUnits: crossBuSearch ? selectedBusinessUnits : null, buScope
+  });
+
+  // Fetch the visible page of a server-paged tab; typing in the search box is debounced
+  useEffect(() => {
+    if (!isAuthenticated || !serverPagedTab) return undefined;
+    if (crossBuSearch && selectedBusinessUnits.length === 0) {
+      setTablePage({ items: [], total: 0, totalPages: 1, errors: [], loading: false, error: null });
+      return undefined;
+    }
+    const params = {
+      ...buildSearchParams({ query: trimmedSearch, sortConfig, businessUnits: crossBuSearch ? selectedBusinessUnits : null, buScope: buFilter }),
+      page: String(currentPage),
+      pageSize: String(itemsPerPage)
+    };
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setTablePage(prev => ({ ...prev, loading: true, error: null }));
+      try {
+        const json = await fetchSearchPage(serverPagedTab.path, params, controller.signal);
+        setTablePage({
+          items: json.items.map(item => ({ ...item, _type: serverPagedTab.type })),
+          total: json.total,
+          totalPages: json.totalPages,
+          errors: json.errors || [],
+          loading: false,
+          error: null
+        });
+      } catch (e) {
+        if (e.name === 'AbortError') return;
+        console.error(`❌ Failed to fetch ${serverPagedTab.type} page`, e);
+        setTablePage({ items: [], total: 0, totalPages: 1, errors: [], loading: false, error: e.message });
+      }
+    }, 250);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [isAuthenticated, serverPagedTab, crossBuSearch, selectedBusinessUnits, buFilter, trimmedSearch, sortConfig, currentPage, itemsPerPage]);
+
+  // Fetch every matching row of a listed tab; typing in the search box is debounced
+  useEffect(() => {
+    if (!isAuthenticated || !listedTab) return undefined;
+    const params = { ...buildSearchParams({ query: trimmedSearch, sortConfig }), refresh: reloadListedFromMC.current };
+    reloadListedFromMC.current = false;
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setListedRows(prev => ({ ...prev, loading: true, error: null }));
+      try {
+        const { rows, errors } = await fetchAllSearchRows(listedTab.path, params, controller.signal);
+        setListedRows({ tab: activeTab, items: rows.map(item => ({ ...item, _type: listedTab.type })), errors, loading: false, error: null });
+      } catch (e) {
+        if (e.name === 'AbortError') return;
+        console.error(`❌ Failed to fetch ${listedTab.type} rows`, e);
+        setListedRows({ tab: activeTab, items: [], errors: [], loading: false, error: e.message });
+      }
+    }, 250);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [isAuthenticated, activeTab, listedTab, listedReload, trimmedSearch, sortConfig]);
+
+  const toggleBusinessUnit = (id) => {
+    setSelectedBusinessUnits(prev => prev.includes(id) ? prev.filter(bu => bu !== id) : [...prev, id]);
+    setCurrentPage(1);
+  };
+
   const buildFolderPath = (id) => {
     if (!id || !folderMap[id]) return 'N/A';
     const path = [];
@@ -360,249 +574,48 @@ export default function MainApp() {
     return '/' + path.join(' / ');
   };
 
-  const sortData = (data) => {
-    if (!sortConfig.key) return data;
-    return [...data].sort((a, b) => {
-      let aVal, bVal;
-      if (sortConfig.key === 'path') {
-        aVal = (a.path || '').toString().toLowerCase();
-        bVal = (b.path || '').toString().toLowerCase();
-      } else {
-        aVal = a[sortConfig.key]?.toString().toLowerCase() || '';
-        bVal = b[sortConfig.key]?.toString().toLowerCase() || '';
-      }
-      return sortConfig.direction === 'asc'
-        ? aVal.localeCompare(bVal)
-        : bVal.localeCompare(aVal);
-    });
-  };
-
   const requestSort = (key) => {
     const direction = sortConfig.key === key && sortConfig.direction === 'asc' ? 'desc' : 'asc';
     setSortConfig({ key, direction });
   };
 
-  // Returns filtered and sorted data across all tabs if searchTerm is not empty, otherwise just the active tab
-  const getFilteredData = () => {
-    const term = searchTerm.toLowerCase();
-    const matches = (item) =>
-      Object.values(item || {}).some(val =>
-        (val || '').toString().toLowerCase().includes(term)
-      );
-
-    let filtered = [];
-    if (term) {
-      // Search across all modules, including EmailSendDefinition
-      filtered = [
-        ...(dataExtensions || []).map(item => ({ ...item, _type: 'Data Extension' })),
-        ...(automations || []).map(item => ({ ...item, _type: 'Automation' })),
-        ...(dataFilters || []).map(item => ({ ...item, _type: 'Data Filter' })),
-        ...(journeys || []).map(item => ({ ...item, _type: 'Journey' })),
-        ...(resolvedEmailSendDefs || []).map(item => ({ ...item, _type: 'EmailSendDefinition' })),
-        ...(publications || []).map(item => ({ ...item, _type: 'Publication' }))
-      ].filter(matches);
-    } else {
-      // Only show active tab
-      if (activeTab === 'de') filtered = (dataExtensions || []).map(item => ({ ...item, _type: 'Data Extension' }));
-      else if (activeTab === 'automation') filtered = (automations || []).map(item => ({ ...item, _type: 'Automation' }));
-      else if (activeTab === 'datafilter') filtered = (dataFilters || []).map(item => ({ ...item, _type: 'Data Filter' }));
-      else if (activeTab === 'journey') filtered = (journeys || []).map(item => ({ ...item, _type: 'Journey' }));
-      else if (activeTab === 'emailsenddefinition') filtered = (resolvedEmailSendDefs || []).map(item => ({ ...item, _type: 'EmailSendDefinition' }));
-      else if (activeTab === 'publication') filtered = (publications || []).map(item => ({ ...item, _type: 'Publication' }));
-    }
-    return sortData(filtered);
+  // Query terms the server ignored, from the active tab's page or listed rows
+  const searchErrors = !trimmedSearch ? [] : serverPagedTab ? tablePage.errors : listedRows.errors;
+  const listedItems = listedRows.tab === activeTab ? listedRows.items : [];
+
+  // Every row of the active tab matching `query` (the search box by default), read from the same endpoint as the
+  // table. Use the global search (Ctrl+K) to search every asset type at once.
+  const fetchTabRows = async (query = trimmedSearch, buScope = buFilter) => {
+    const tab = serverPagedTab || listedTab;
+    if (!tab || (crossBuSearch && selectedBusinessUnits.length === 0)) return [];
+    const { rows } = await fetchAllSearchRows(tab.path, tabSearchParams(query, buScope));
+    return rows.map(item => ({ ...item, _type: tab.type }));
   };
 
-  const paginatedData = () => {
-    const filtered = getFilteredData();
-    const startIndex = (currentPage - 1) * itemsPerPage;
-    return filtered.slice(startIndex, startIndex + itemsPerPage);
-  };
+  const paginatedData = () => tablePage.items;
 
-  const totalPages = Math.ceil(getFilteredData().length / itemsPerPage);
-
-  // CSV download functionality (dynamic columns per tab)
-  const downloadCSV = () => {
-    let headers = [];
-    let rows = [];
-    if (activeTab === 'de') {
-      headers = ['Type', 'Name', 'Path', 'Created By', 'Modified By', 'Row Count', 'Is Sendable', 'Is Testable'];
-      rows = (searchTerm ? getFilteredData().filter(item => item._type === 'Data Extension') : dataExtensions).map(item => [
-        '"' + (item._type || 'Data Extension') + '"',
-        '"' + (item.name || item.Name || '') + '"',
-        '"' + (item.path || item.Path || '') + '"',
-        '"' + (item.createdByName || item.CreatedByName || '') + '"',
-        '"' + (item.modifiedByName || item.ModifiedByName || '') + '"',
-        '"' + (item.rowCount != null ? item.rowCount : (item.RowCount != null ? item.RowCount : '')) + '"',
-        '"' + (item.isSendable != null ? (item.isSendable ? 'Yes' : 'No') : (item.IsSendable ? 'Yes' : 'No')) + '"',
-        '"' + (item.isTestable != null ? (item.isTestable ? 'Yes' : 'No') : (item.IsTestable ? 'Yes' : 'No')) + '"'
-      ]);
-    } else if (activeTab === 'automation') {
-      headers = ['Type', 'Name', 'Path', 'Status', 'Start Date', 'End Date', 'Last Run Time'];
-      rows = (searchTerm ? getFilteredData().filter(item => item._type === 'Automation') : automations).map(item => [
-        '"' + (item._type || 'Automation') + '"',
-        '"' + (item.name || item.Name || '') + '"',
-        '"' + (item.path || item.Path || '') + '"',
-        '"' + (item.status || item.Status || '') + '"',
-        '"' + (item.startDate || item.StartDate || '') + '"',
-        '"' + (item.endDate || item.EndDate || '') + '"',
-        '"' + (item.lastRunTime || item.LastRunTime || '') + '"'
-      ]);
-    } else if (activeTab === 'datafilter') {
-      headers = ['Type', 'Name', 'Path'];
-      rows = (searchTerm ? getFilteredData().filter(item => item._type === 'Data Filter') : dataFilters).map(item => [
-        '"' + (item._type || 'Data Filter') + '"',
-        '"' + (item.name || item.Name || '') + '"',
-        '"' + (item.path || item.Path || '') + '"'
-      ]);
-    } else if (activeTab === 'journey') {
-      headers = ['Type', 'Name', 'Path', 'Status'];
-      rows = (searchTerm ? getFilteredData().filter(item => item._type === 'Journey') : journeys).map(item => [
-        '"' + (item._type || 'Journey') + '"',
-        '"' + (item.name || item.Name || '') + '"',
-        '"' + (item.path || item.Path || '') + '"',
-        '"' + (item.status || item.Status || '') + '"'
-      ]);
-    } else if (activeTab === 'emailsenddefinition') {
-      headers = ['Name', 'Send Classification', 'Sender Profile', 'Delivery Profile'];
-      rows = (searchTerm ? getFilteredData().filter(item => item._type === 'EmailSendDefinition') : resolvedEmailSendDefs).map(esd => [
-        '"' + (esd.Name || '') + '"',
-        '"' + (esd.SendClassification?.CustomerKey || '') + '"',
-        '"' + (esd.SenderProfile?.CustomerKey || '') + '"',
-        '"' + (esd.DeliveryProfile?.CustomerKey || '') + '"'
-      ]);
-    } else if (activeTab === 'publication') {
-      headers = ['ID', 'Name', 'Category', 'Customer Key', 'Business Unit'];
-      rows = (searchTerm ? getFilteredData().filter(item => item._type === 'Publication') : publications).map(pub => [
-        '"' + (pub.id || '') + '"',
-        '"' + (pub.name || '') + '"',
-        '"' + (pub.category || '') + '"',
-        '"' + (pub.customerKey || '') + '"',
-        '"' + (pub.businessUnit || '') + '"'
-      ]);
-    } else {
-      // fallback: export whatever is in getFilteredData()
-      const filtered = getFilteredData();
-      if (filtered.length > 0) {
-        headers = Object.keys(filtered[0]);
-        rows = filtered.map(item => headers.map(h => '"' + (item[h] || '').toString().replace(/"/g, '""') + '"'));
-      }
-    }
-    const csvContent = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${activeTab}_export.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  };
+  // Matching rows of the active tab; server-paged tabs take the count from the server
+  const resultCount = serverPagedTab ? tablePage.total : listedItems.length;
+  const totalPages = serverPagedTab ? tablePage.totalPages : 1;
 
-  // Enhanced export functions for different contexts
-  const exportSearchResults = () => {
-    const filteredData = getFilteredData();
-    if (filteredData.length === 0) return;
-    
-    exportDataAsCSV(filteredData, `${activeTab}_search_results`);
-    console.log(`Exported ${filteredData.length} search results for ${getActiveTabLabel()}`);
+  // Enhanced export functions for different contexts (formats: see exportFormats.js)
+  const exportSearchResults = async (format) => {
+    const filteredData = await fetchTabRows();
+    const message = await exportRows(filteredData, format, `${activeTab}_search_results`);
+    console.log(`Exported ${filteredData.length} search results for ${getActiveTabLabel()} as ${format}`);
+    return message;
   };
 
-  const exportAllInCategory = () => {
-    let allData = [];
-    if (activeTab === 'de') allData = dataExtensions.map(item => ({ ...item, _type: 'Data Extension' }));
-    else if (activeTab === 'automation') allData = automations.map(item => ({ ...item, _type: 'Automation' }));
-    else if (activeTab === 'datafilter') allData = dataFilters.map(item => ({ ...item, _type: 'Data Filter' }));
-    else if (activeTab === 'journey') allData = journeys.map(item => ({ ...item, _type: 'Journey' }));
-    else if (activeTab === 'emailsenddefinition') allData = resolvedEmailSendDefs.map(item => ({ ...item, _type: 'EmailSendDefinition' }));
-    else if (activeTab === 'publication') allData = publications.map(item => ({ ...item, _type: 'Publication' }));
-    
-    exportDataAsCSV(allData, `${activeTab}_all_data`);
-    console.log(`Exported all ${allData.length} items in ${getActiveTabLabel()}`);
+  const exportAllInCategory = async (format) => {
+    const allData = await fetchTabRows('', 'all');
+    const message = await exportRows(allData, format, `${activeTab}_all_data`);
+    console.log(`Exported all ${allData.length} items in ${getActiveTabLabel()} as ${format}`);
+    return message;
   };
 
-  const exportDataAsCSV = (data, filename) => {
-    if (data.length === 0) return;
-    
-    let headers = [];
-    let rows = [];
-    
-    // Get the first item type to determine columns
-    const firstItem = data[0];
-    const itemType = firstItem._type || 'Unknown';
-    
-    if (itemType === 'Data Extension') {
-      headers = ['Type', 'Name', 'Path', 'Created By', 'Modified By', 'Row Count', 'Is Sendable', 'Is Testable'];
-      rows = data.map(item => [
-        '"' + (item._type || 'Data Extension') + '"',
-        '"' + (item.name || item.Name || '') + '"',
-        '"' + (item.path || item.Path || '') + '"',
-        '"' + (item.createdByName || item.CreatedByName || '') + '"',
-        '"' + (item.modifiedByName || item.ModifiedByName || '') + '"',
-        '"' + (item.rowCount != null ? item.rowCount : (item.RowCount != null ? item.RowCount : '')) + '"',
-        '"' + (item.isSendable != null ? (item.isSendable ? 'Yes' : 'No') : (item.IsSendable ? 'Yes' : 'No')) + '"',
-        '"' + (item.isTestable != null ? (item.isTestable ? 'Yes' : 'No') : (item.IsTestable ? 'Yes' : 'No')) + '"'
-      ]);
-    } else if (itemType === 'Automation') {
-      headers = ['Type', 'Name', 'Path', 'Status', 'Start Date', 'End Date', 'Last Run Time'];
-      rows = data.map(item => [
-        '"' + (item._type || 'Automation') + '"',
-        '"' + (item.name || item.Name || '') + '"',
-        '"' + (item.path || item.Path || '') + '"',
-        '"' + (item.status || item.Status || '') + '"',
-        '"' + (item.startDate || item.StartDate || '') + '"',
-        '"' + (item.endDate || item.EndDate || '') + '"',
-        '"' + (item.lastRunTime || item.LastRunTime || '') + '"'
-      ]);
-    } else if (itemType === 'Data Filter') {
-      headers = ['Type', 'Name', 'Path'];
-      rows = data.map(item => [
-        '"' + (item._type || 'Data Filter') + '"',
-        '"' + (item.name || item.Name || '') + '"',
-        '"' + (item.path || item.Path || '') + '"'
-      ]);
-    } else if (itemType === 'Journey') {
-      headers = ['Type', 'Name', 'Path', 'Status'];
-      rows = data.map(item => [
-        '"' + (item._type || 'Journey') + '"',
-        '"' + (item.name || item.Name || '') + '"',
-        '"' + (item.path || item.Path || '') + '"',
-        '"' + (item.status || item.Status || '') + '"'
-      ]);
-    } else if (itemType === 'EmailSendDefinition') {
-      headers = ['Name', 'Send Classification', 'Sender Profile', 'Delivery Profile'];
-      rows = data.map(esd => [
-        '"' + (esd.Name || '') + '"',
-        '"' + (esd.SendClassification?.CustomerKey || '') + '"',
-        '"' + (esd.SenderProfile?.CustomerKey || '') + '"',
-        '"' + (esd.DeliveryProfile?.CustomerKey || '') + '"'
-      ]);
-    } else if (itemType === 'Publication') {
-      headers = ['ID', 'Name', 'Category', 'Customer Key', 'Business Unit'];
-      rows = data.map(pub => [
-        '"' + (pub.id || '') + '"',
-        '"' + (pub.name || '') + '"',
-        '"' + (pub.category || '') + '"',
-        '"' + (pub.customerKey || '') + '"',
-        '"' + (pub.businessUnit || '') + '"'
-      ]);
-    } else {
-      // Fallback: use all available keys
-      headers = Object.keys(firstItem);
-      rows = data.map(item => headers.map(h => '"' + (item[h] || '').toString().replace(/"/g, '""') + '"'));
-    }
-    
-    const csvContent = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${filename}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  const exportInventory = async (format) => {
+    await downloadInventory(format);
+    return `Downloaded the ${format === 'xlsx' ? 'Excel' : 'JSON'} inventory`;
   };
 
   const getActiveTabLabel = () => {
@@ -617,34 +630,14 @@ export default function MainApp() {
     return tabLabels[activeTab] || 'Assets';
   };
 
-  // Helper to group by created date
-  const getDateGroups = (items) => {
-    const now = new Date();
-    const daysAgo = (d) => {
-      if (!d) return Infinity;
-      const dt = new Date(d);
-      return (now - dt) / (1000 * 60 * 60 * 24);
-    };
-    let last7 = 0, last30 = 0, last180 = 0, last365 = 0;
-    items.forEach(item => {
-      const days = daysAgo(item.createdDate);
-      if (days <= 7) last7++;
-      if (days <= 30) last30++;
-      if (days <= 180) last180++;
-      if (days <= 365) last365++;
-    });
-    return { last7, last30, last180, last365 };
-  };
-
-  const deGroups = getDateGroups(dataExtensions);
-  const autoGroups = getDateGroups(automations);
-  const dfGroups = getDateGroups(dataFilters);
-  const journeyGroups = getDateGroups(journeys);
-  const pubGroups = getDateGroups(publications);
+  // "Last 7d: … · 30d: …" line of a KPI card
+  const kpiSubtitle = (counts) => (counts
+    ? `Last 7d: ${counts.last7} · 30d: ${counts.last30} · 6mo: ${counts.last180} · 1yr: ${counts.last365}`
+    : 'Counting…');
 
   // Fetch DE details on demand
-  const fetchDeDetails = async (name) => {
-    setDeDetailModal({ open: true, loading: true, error: null, details: null, name });
+  const fetchDeDetails = async (name, key) => {
+    setDeDetailModal({ open: true, loading: true, error: null, details: null, name, key });
     try {
       const accessToken = localStorage.getItem('accessToken');
       const subdomain = localStorage.getItem('subdomain');
@@ -656,15 +649,30 @@ export default function MainApp() {
       });
       if (!res.ok) throw new Error('Failed to fetch details');
       const details = await res.json();
-      setDeDetailModal({ open: true, loading: false, error: null, details, name });
+      setDeDetailModal({ open: true, loading: false, error: null, details, name, key });
     } catch (e) {
-      setDeDetailModal({ open: true, loading: false, error: e.message, details: null, name });
+      setDeDetailModal({ open: true, loading: false, error: e.message, details: null, name, key });
+    }
+  };
+
+  // Schemas of the Data Extensions currently listed, in one file
+  const exportListedSchemas = async (format) => {
+    setSchemaExport({ format, error: null });
+    try {
+      const keys = (await fetchTabRows())
+        .filter(item => item._type === 'Data Extension' && item.key && item.key !== 'N/A')
+        .map(item => item.key)
+        .slice(0, MAX_SCHEMA_EXPORT);
+      await downloadSchemaExport(keys, format);
+      setSchemaExport({ format: null, error: null });
+    } catch (e) {
+      setSchemaExport({ format: null, error: e.message });
     }
   };
 
   // Fetch Automation details on demand
   const fetchAutomationDetails = async (name, id) => {
-    setAutomationDetailModal({ open: true, loading: true, error: null, details: null, name });
+    setAutomationDetailModal({ open: true, loading: true, error: null, details: null, name, id });
     try {
       const accessToken = localStorage.getItem('accessToken');
       const subdomain = localStorage.getItem('subdomain');
@@ -676,9 +684,9 @@ export default function MainApp() {
       });
       if (!res.ok) throw new Error('Failed to fetch details');
       const details = await res.json();
-      setAutomationDetailModal({ open: true, loading: false, error: null, details, name });
+      setAutomationDetailModal({ open: true, loading: false, error: null, details, name, id });
     } catch (e) {
-      setAutomationDetailModal({ open: true, loading: false, error: e.message, details: null, name });
+      setAutomationDetailModal({ open: true, loading: false, error: e.message, details: null, name, id });
     }
   };
 
@@ -772,16 +780,7 @@ export default function MainApp() {
       if (!res.ok) throw new Error('Update failed');
       setUpdateSenderProfileModal(modal => ({ ...modal, loading: false, error: null, success: true }));
       // Refresh EmailSendDefinition data after update
-      setPendingFetches(prev => prev + 1);
-      fetch(`${baseURL}/search/emailsenddefinition`, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`,
-          'x-mc-subdomain': localStorage.getItem('subdomain')
-        }
-      })
-        .then(r => r.json())
-        .then(data => setEmailSendDefinitions(Array.isArray(data) ? data : []))
-        .finally(() => setPendingFetches(prev => prev - 1));
+      refreshResolvedEmailSendDefs();
     } catch (e) {
       setUpdateSenderProfileModal(modal => ({ ...modal, loading: false, error: e.message, success: false }));
     }
@@ -859,10 +858,8 @@ export default function MainApp() {
         setEditESDModal(prev => ({ ...prev, loading: false, open: false }));
         alert('✅ Updated successfully');
         
-        // Always refresh after any update - cache-busting with timestamp
-        setTimeout(async () => {
-          await refreshResolvedEmailSendDefs();
-        }, 3000); // 3 second delay for Marketing Cloud propagation
+        // Always refresh after any update, bypassing the server's cached rows
+        setTimeout(refreshResolvedEmailSendDefs, 3000); // 3 second delay for Marketing Cloud propagation
       } else {
         setEditESDModal(prev => ({ ...prev, loading: false, error: data.message || 'Update failed' }));
         alert('❌ Update failed: ' + (data.message || 'Unknown error'));
@@ -909,36 +906,12 @@ export default function MainApp() {
     }
   };
 
-  // Helper to refresh resolved EmailSendDefinitions
-  async function refreshResolvedEmailSendDefs() {
-    const accessToken = localStorage.getItem('accessToken');
-    const subdomain = localStorage.getItem('subdomain');
-    if (!accessToken || !subdomain) return;
-    try {
-      // Add cache-busting parameter to ensure fresh data
-      const cacheBuster = Date.now();
-      const res = await fetch(`${baseURL}/resolved/emailsenddefinition-relationships?_t=${cacheBuster}`, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'x-mc-subdomain': subdomain
-        }
-      });
-      if (!res.ok) throw new Error('Failed to fetch resolved relationships');
-      const data = await res.json();
-      setResolvedEmailSendDefs(Array.isArray(data) ? data : []);
-    } catch (e) {
-      setResolvedError(e.toString());
-    }
+  // Re-read the Email Send Definitions from Marketing Cloud, e.g. after an update
+  function refreshResolvedEmailSendDefs() {
+    reloadListedFromMC.current = true;
+    setListedReload(count => count + 1);
   }
 
-  useEffect(() => {
-    if (activeTab === 'emailsenddefinition' && isAuthenticated) {
-      setResolvedError('');
-      setResolvedEmailSendDefs([]);
-      refreshResolvedEmailSendDefs();
-    }
-  }, [activeTab, isAuthenticated]);
-
   // State for mass selection
   function toggleSelectAllESD() {
     if (allSelected) setSelectedESDKeys([]);
@@ -987,9 +960,7 @@ export default function MainApp() {
         setSelectedESDKeys([]);
         alert('✅ Bulk update successful');
         // Add a longer delay (3 seconds) to ensure Marketing Cloud has fully propagated the update
-        setTimeout(async () => {
-          await refreshResolvedEmailSendDefs();
-        }, 3000);
+        setTimeout(refreshResolvedEmailSendDefs, 3000);
       } else {
         setMassEditModal(prev => ({ ...prev, loading: false, error: data.message || 'Update failed' }));
         alert('❌ Bulk update failed: ' + (data.message || 'Unknown error'));
@@ -1185,6 +1156,15 @@ export default function MainApp() {
               </div>
             </div>
             <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={() => setShowGlobalSearch(true)}
+                className="h-9 px-3 rounded-md border border-slate-200 hover:bg-slate-50 transition-colors text-sm text-gray-600"
+                title="Search every asset type (Ctrl+K)"
+              >
+                🔍 Search everything <kbd className="ml-1 text-xs text-gray-400">Ctrl K</kbd>
+              </button>
+              <BusinessUnitSwitcher />
               <span className="hidden sm:inline-flex items-center gap-1 rounded-full bg-emerald-50 text-emerald-700 border border-emerald-200 px-2 py-0.5 text-xs">
                 <span className="h-2 w-2 rounded-full bg-emerald-500"></span>
                 Connected
@@ -1196,7 +1176,7 @@ export default function MainApp() {
           {/* Refined Navigation Tabs */}
           <nav className="mt-4" role="tablist" aria-label="Main navigation">
             <div className="flex items-center gap-1 overflow-x-auto">
-              {['Search Assets','Object Explorer','Distributed Marketing','Preference Center','Email Auditing','Email Archiving','Settings'].map(label => (
+              {['Search Assets','Object Explorer','Snapshot Diff','Cleanup Report','Folders','Distributed Marketing','Preference Center','Email Auditing','Email Archiving','Settings'].map(label => (
                 <button
                   key={label}
                   type="button"
@@ -1204,6 +1184,9 @@ export default function MainApp() {
                   aria-selected={
                     (label === 'Search Assets' && parentNav === 'search') ||
                     (label === 'Object Explorer' && parentNav === 'schemaBuilder') ||
+                    (label === 'Snapshot Diff' && parentNav === 'snapshotDiff') ||
+                    (label === 'Cleanup Report' && parentNav === 'cleanupReport') ||
+                    (label === 'Folders' && parentNav === 'folders') ||
                     (label === 'Distributed Marketing' && parentNav === 'distributedMarketing') ||
                     (label === 'Preference Center' && parentNav === 'preferencecenter') ||
                     (label === 'Email Auditing' && parentNav === 'emailArchiving') ||
@@ -1213,6 +1196,9 @@ export default function MainApp() {
                   className={`px-4 py-2 text-sm font-medium rounded-lg border border-transparent hover:bg-gray-50 transition-all duration-200 whitespace-nowrap ${
                     ((label === 'Search Assets' && parentNav === 'search') ||
                     (label === 'Object Explorer' && parentNav === 'schemaBuilder') ||
+                    (label === 'Snapshot Diff' && parentNav === 'snapshotDiff') ||
+                    (label === 'Cleanup Report' && parentNav === 'cleanupReport') ||
+                    (label === 'Folders' && parentNav === 'folders') ||
                     (label === 'Distributed Marketing' && parentNav === 'distributedMarketing') ||
                     (label === 'Preference Center' && parentNav === 'preferencecenter') ||
                     (label === 'Email Auditing' && parentNav === 'emailArchiving') ||
@@ -1224,6 +1210,9 @@ export default function MainApp() {
                   onClick={() => {
                     if (label === 'Search Assets') setParentNav('search');
                     else if (label === 'Object Explorer') setParentNav('schemaBuilder');
+                    else if (label === 'Snapshot Diff') setParentNav('snapshotDiff');
+                    else if (label === 'Cleanup Report') setParentNav('cleanupReport');
+                    else if (label === 'Folders') setParentNav('folders');
                     else if (label === 'Distributed Marketing') setParentNav('distributedMarketing');
                     else if (label === 'Preference Center') setParentNav('preferencecenter');
                     else if (label === 'Email Auditing') setParentNav('emailArchiving');
@@ -1247,8 +1236,8 @@ export default function MainApp() {
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
               <KpiCard 
                 title="Data Extensions" 
-                value={dataExtensions.length} 
-                subtitle={`Last 7d: ${deGroups.last7} · 30d: ${deGroups.last30} · 6mo: ${deGroups.last180} · 1yr: ${deGroups.last365}`}
+                value={assetCounts.de?.total ?? '…'} 
+                subtitle={kpiSubtitle(assetCounts.de)}
                 icon={
                   <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
                     <path d="M3 4a1 1 0 011-1h12a1 1 0 011 1v2a1 1 0 01-1 1H4a1 1 0 01-1-1V4zM3 10a1 1 0 011-1h6a1 1 0 011 1v6a1 1 0 01-1 1H4a1 1 0 01-1-1v-6zM14 9a1 1 0 00-1 1v6a1 1 0 001 1h2a1 1 0 001-1v-6a1 1 0 00-1-1h-2z" />
@@ -1257,8 +1246,8 @@ export default function MainApp() {
               />
               <KpiCard 
                 title="Automations" 
-                value={automations.length}  
-                subtitle={`Last 7d: ${autoGroups.last7} · 30d: ${autoGroups.last30} · 6mo: ${autoGroups.last180} · 1yr: ${autoGroups.last365}`}
+                value={assetCounts.automation?.total ?? '…'}  
+                subtitle={kpiSubtitle(assetCounts.automation)}
                 icon={
                   <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
                     <path fillRule="evenodd" d="M11.3 1.046A1 1 0 0112 2v5h4a1 1 0 01.82 1.573l-7 10A1 1 0 018 18v-5H4a1 1 0 01-.82-1.573l7-10a1 1 0 011.12-.38z" clipRule="evenodd" />
@@ -1267,8 +1256,8 @@ export default function MainApp() {
               />
               <KpiCard 
                 title="Data Filters" 
-                value={dataFilters.length} 
-                subtitle={`Last 7d: ${dfGroups.last7} · 30d: ${dfGroups.last30} · 6mo: ${dfGroups.last180} · 1yr: ${dfGroups.last365}`}
+                value={assetCounts.datafilter?.total ?? '…'} 
+                subtitle={kpiSubtitle(assetCounts.datafilter)}
                 icon={
                   <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
                     <path fillRule="evenodd" d="M3 3a1 1 0 011-1h12a1 1 0 011 1v3a1 1 0 01-.293.707L12 11.414V15a1 1 0 01-.293.707l-2 2A1 1 0 018 17v-5.586L3.293 6.707A1 1 0 013 6V3z" clipRule="evenodd" />
@@ -1277,8 +1266,8 @@ export default function MainApp() {
               />
               <KpiCard 
                 title="Journeys" 
-                value={journeys.length} 
-                subtitle={`Last 7d: ${journeyGroups.last7} · 30d: ${journeyGroups.last30} · 6mo: ${journeyGroups.last180} · 1yr: ${journeyGroups.last365}`}
+                value={assetCounts.journey?.total ?? '…'} 
+                subtitle={kpiSubtitle(assetCounts.journey)}
                 icon={
                   <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
                     <path d="M5.05 4.05a7 7 0 119.9 9.9L10 18.9l-4.95-4.95a7 7 0 010-9.9zM10 11a2 2 0 100-4 2 2 0 000 4z" />
@@ -1298,11 +1287,11 @@ export default function MainApp() {
                     </svg>
                     <input
                       type="search"
-                      placeholder="Search across all assets..."
+                      placeholder="Search this asset type... e.g. name:Promo* created:>2025-01-01 -status:Paused (Ctrl+K searches everything)"
                       aria-label="Search assets"
                       className="h-9 w-full pl-10 pr-4 border border-slate-200 rounded-md bg-white text-sm placeholder-slate-400 focus-visible:outline-none focus-visible:shadow-[0_0_0_3px_rgba(37,99,235,.35)] transition-colors"
                       value={searchTerm}
-                      onChange={e => setSearchTerm(e.target.value)}
+                      onChange={e => { setSearchTerm(e.target.value); setCurrentPage(1); }}
                     />
                   </div>
                   <button 
@@ -1311,16 +1300,35 @@ export default function MainApp() {
                   >
                     Search
                   </button>
+                  <SavedSearches
+                    query={searchTerm}
+                    tab={activeTab}
+                    onRun={search => {
+                      setSearchTerm(search.query);
+                      if (search.tab) setActiveTab(search.tab);
+                      setCurrentPage(1);
+                    }}
+                  />
                   
                   {/* Enhanced Export Menu */}
                   <ExportMenu
-                    searchCount={getFilteredData().length}
+                    searchCount={resultCount}
                     category={getActiveTabLabel()}
                     onExportSearch={exportSearchResults}
                     onExportAll={exportAllInCategory}
+                    onExportInventory={exportInventory}
                   />
                 </div>
                 
+                {searchErrors.length > 0 && (
+                  <ul className="mt-2 text-xs text-amber-700 space-y-0.5">
+                    {searchErrors.map(error => <li key={error}>⚠️ {error} (ignored)</li>)}
+                  </ul>
+                )}
+                {listedTab && listedRows.error && (
+                  <div className="mt-2 text-sm text-red-600">❌ Search failed: {listedRows.error}</div>
+                )}
+                
                 {/* Asset Type Filters with clear separation */}
                 <div className="mt-4 flex items-center gap-2">
                   <div className="flex flex-wrap items-center gap-2" role="tablist" aria-label="Asset type filters">
@@ -1336,17 +1344,115 @@ export default function MainApp() {
                         key={tab.key}
                         label={tab.label}
                         active={activeTab === tab.key}
-                        onClick={() => setActiveTab(tab.key)}
+                        onClick={() => { setActiveTab(tab.key); setCurrentPage(1); }}
                       />
                     ))}
                   </div>
                 </div>
+
+                {/* Cross-business-unit search */}
+                {businessUnits.length > 1 && (
+                  <div className="mt-4 flex flex-wrap items-center gap-2 text-sm">
+                    <label className="inline-flex items-center gap-2 text-slate-700">
+                      <input
+                        type="checkbox"
+                        checked={crossBuMode}
+                        onChange={e => { setCrossBuMode(e.target.checked); setBuFilter('all'); setCurrentPage(1); }}
+                      />
+                      Search across business units
+                    </label>
+                    {crossBuMode && (
+                      <>
+                        {businessUnits.map(bu => (
+                          <button
+                            key={bu.id}
+                            type="button"
+                            onClick={() => toggleBusinessUnit(bu.id)}
+                            className={`h-7 px-2 rounded-full border text-xs transition-colors ${
+                              selectedBusinessUnits.includes(bu.id)
+                                ? 'bg-brand text-white border-brand'
+                                : 'border-slate-200 text-slate-700 bg-white hover:bg-slate-50'
+                            }`}
+                            title={`MID ${bu.id}`}
+                          >
+                            {bu.name}
+                          </button>
+                        ))}
+                        {selectedBusinessUnits.length > 0 && (
+                          <select
+                            value={buFilter}
+                            onChange={e => { setBuFilter(e.target.value); setCurrentPage(1); }}
+                            className="h-7 px-2 border border-slate-200 rounded-md text-xs"
+                            aria-label="Filter by business unit"
+                          >
+                            <option value="all">All selected BUs</option>
+                            {businessUnits.filter(bu => selectedBusinessUnits.includes(bu.id)).map(bu => (
+                              <option key={bu.id} value={bu.id}>{bu.name} ({bu.id})</option>
+                            ))}
+                          </select>
+                        )}
+                        {crossBuSearch && tablePage.loading && <span className="text-xs text-slate-500">Searching business units…</span>}
+                        {selectedBusinessUnits.length === 0 && (
+                          <span className="text-xs text-slate-500">Pick one or more business units to search DEs, automations and journeys.</span>
+                        )}
+                      </>
+                    )}
+                  </div>
+                )}
                 
+                {activeTab === 'de' && !crossBuMode && resultCount > 0 && (
+                  <div className="mt-3 text-sm flex flex-wrap items-center gap-2">
+                    <span className="text-slate-600">
+                      Export field schemas of the {Math.min(resultCount, MAX_SCHEMA_EXPORT)} Data Extensions listed:
+                    </span>
+                    {SCHEMA_EXPORT_FORMATS.map(({ format, label }) => (
+                      <button
+                        key={format}
+                        type="button"
+                        disabled={!!schemaExport.format}
+                        onClick={() => exportListedSchemas(format)}
+                        className="text-indigo-600 hover:underline disabled:opacity-50"
+                      >
+                        {schemaExport.format === format ? 'Exporting…' : label}
+                      </button>
+                    ))}
+                    {schemaExport.error && <span className="text-red-600">{schemaExport.error}</span>}
+                  </div>
+                )}
+
+                {activeTab === 'de' && !crossBuMode && (
+                  <div className="mt-2 text-sm">
+                    <button type="button" onClick={() => setShowDefinitions(true)} className="text-indigo-600 hover:underline">
+                      📄 Create or update Data Extensions from a definition file →
+                    </button>
+                  </div>
+                )}
+
+                {activeTab === 'automation' && !crossBuMode && (
+                  <div className="mt-3 text-sm flex flex-wrap gap-4">
+                    {automationView !== 'search' && (
+                      <button type="button" onClick={() => setAutomationView('search')} className="text-indigo-600 hover:underline">
+                        ← Back to automation search
+                      </button>
+                    )}
+                    {automationView !== 'failures' && (
+                      <button type="button" onClick={() => setAutomationView('failures')} className="text-indigo-600 hover:underline">
+                        ⚠️ View automations that failed recently →
+                      </button>
+                    )}
+                    {automationView !== 'calendar' && (
+                      <button type="button" onClick={() => setAutomationView('calendar')} className="text-indigo-600 hover:underline">
+                        📅 View schedule calendar →
+                      </button>
+                    )}
+                  </div>
+                )}
+
                 {/* Helper text for export clarity */}
                 <div className="mt-3 text-xs text-slate-500 bg-slate-50 rounded-md p-3">
                   <div className="flex items-start gap-4">
                     <div>
-                      <span className="font-medium text-slate-700">Export search results</span> downloads only what's shown in the table below ({getFilteredData().length} items).
+                      <span className="font-medium text-slate-700">Export search results</span> downloads only what's shown in the table below ({resultCount} items).
                     </div>
                     <div className="text-slate-300">•</div>
                     <div>
@@ -1357,8 +1463,18 @@ export default function MainApp() {
               </div>
             </div>
 
+            {/* Org-wide failure dashboard, opened from the Automations tab */}
+            {activeTab === 'automation' && automationView === 'failures' && (
+              <AutomationFailures onClose={() => setAutomationView('search')} />
+            )}
+
+            {/* Calendar of scheduled runs and sends, opened from the Automations tab */}
+            {activeTab === 'automation' && automationView === 'calendar' && (
+              <ScheduleCalendar onClose={() => setAutomationView('search')} />
+            )}
+
             {/* Modern Table Container */}
-            <div className="rounded-xl border border-border bg-card overflow-hidden">
+            <div className={`rounded-xl border border-border bg-card overflow-hidden ${activeTab === 'automation' && automationView !== 'search' ? 'hidden' : ''}`}>
               {activeTab === 'emailsenddefinition' ? (
                 <>
                   <div className="px-6 py-4 border-b border-gray-200 bg-gray-50">
@@ -1398,7 +1514,7 @@ export default function MainApp() {
                         </tr>
                       </thead>
                       <tbody className="divide-y divide-gray-200">
-                        {(searchTerm ? getFilteredData().filter(item => item._type === 'EmailSendDefinition') : resolvedEmailSendDefs).map((esd, index) => (
+                        {resolvedEmailSendDefs.map((esd, index) => (
                           <tr key={esd.CustomerKey} className={`hover:bg-gray-50 transition-colors ${index % 2 === 0 ? 'bg-white' : 'bg-gray-50/50'}`}>
                             <td className="px-6 py-4">
                               <input 
@@ -1453,7 +1569,7 @@ export default function MainApp() {
                         </tr>
                       </thead>
                       <tbody>
-                        {(searchTerm ? getFilteredData().filter(item => item._type === 'Publication') : publications).map((pub, idx) => (
+                        {listedItems.map((pub, idx) => (
                           <tr key={pub.id || idx} className="hover:bg-white/5">
                             <td className="px-3 py-2 border-t border-border/60">{pub.id}</td>
                             <td className="px-3 py-2 border-t border-border/60 font-medium">{pub.name}</td>
@@ -1489,9 +1605,12 @@ export default function MainApp() {
                         </p>
                       </div>
                       <div className="text-sm text-gray-500">
-                        {getFilteredData().length} items
+                        {serverPagedTab && tablePage.loading ? 'Loading…' : `${resultCount} items`}
                       </div>
                     </div>
+                    {serverPagedTab && tablePage.error && (
+                      <div className="mt-2 text-sm text-red-600">❌ Could not load this page: {tablePage.error}</div>
+                    )}
                   </div>
                   <div className="overflow-auto max-h-[70vh]">
                     <table className="w-full">{/* Modern table styling to match Email Send Definitions */}
@@ -1506,6 +1625,16 @@ export default function MainApp() {
                               </svg>
                             </span>
                           </th>
+                          {crossBuMode && (
+                            <th className="text-left font-semibold text-gray-900 px-6 py-3 text-sm cursor-pointer hover:bg-gray-100 transition-colors" onClick={() => requestSort('businessUnitName')}>
+                              <span className="flex items-center gap-1">
+                                Business Unit
+                                <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 9l4-4 4 4m0 6l-4 4-4-4" />
+                                </svg>
+                              </span>
+                            </th>
+                          )}
                           <th className="text-left font-semibold text-gray-900 px-6 py-3 text-sm cursor-pointer hover:bg-gray-100 transition-colors" onClick={() => requestSort('path')}>
                             <span className="flex items-center gap-1">
                               Path
@@ -1517,7 +1646,7 @@ export default function MainApp() {
                           {!(activeTab === 'automation' || activeTab === 'journey') && (
                             <th className="text-left font-semibold text-gray-900 px-6 py-3 text-sm">Actions</th>
                           )}
-                          {(!searchTerm && (activeTab === 'automation' || activeTab === 'journey')) || (searchTerm && getFilteredData().some(item => item._type === 'Automation' || item._type === 'Journey')) ? (
+                          {activeTab === 'automation' || activeTab === 'journey' ? (
                             <th className="text-left font-semibold text-gray-900 px-6 py-3 text-sm cursor-pointer hover:bg-gray-100 transition-colors" onClick={() => requestSort('status')}>
                               <span className="flex items-center gap-1">
                                 Status
@@ -1535,7 +1664,7 @@ export default function MainApp() {
                             key={idx} 
                             className={`hover:bg-gray-50 transition-colors ${item._type === 'Data Extension' || item._type === 'Automation' ? 'cursor-pointer' : ''} ${idx % 2 === 0 ? 'bg-white' : 'bg-gray-50/50'}`}
                             onClick={() => {
-                              if (item._type === 'Data Extension') fetchDeDetails(item.name);
+                              if (item._type === 'Data Extension') fetchDeDetails(item.name, item.key);
                               if (item._type === 'Automation') fetchAutomationDetails(item.name, item.id);
                             }}
                           >
@@ -1552,10 +1681,54 @@ export default function MainApp() {
                             <td className="px-6 py-4">
                               <div className="font-medium text-gray-900">{item.name}</div>
                             </td>
+                            {crossBuMode && (
+                              <td className="px-6 py-4 text-gray-600">
+                                {item.businessUnitId ? (
+                                  <>
+                                    <div>{item.businessUnitName}</div>
+                                    <div className="text-xs text-gray-400">MID {item.businessUnitId}</div>
+                                  </>
+                                ) : '—'}
+                              </td>
+                            )}
                             <td className="px-6 py-4 text-gray-600">{item.path || 'N/A'}</td>
                             {!(item._type === 'Automation' || item._type === 'Journey') && (
                               <td className="px-6 py-4">
                                 <div className="flex items-center gap-2">
+                                  {item._type === 'Data Extension' && !crossBuMode && item.key && item.key !== 'N/A' && (
+                                    <Btn
+                                      variant="ghost"
+                                      size="sm"
+                                      onClick={e => {
+                                        e.stopPropagation();
+                                        setRowBrowser({ key: item.key, name: item.name });
+                                      }}
+                                      title="Browse rows"
+                                      aria-label={`Browse the rows of ${item.name}`}
+                                    >
+                                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M3 14h18M3 6h18M3 18h18" />
+                                      </svg>
+                                      Rows
+                                    </Btn>
+                                  )}
+                                  {item._type === 'Data Extension' && !crossBuMode && item.key && item.key !== 'N/A' && (
+                                    <Btn
+                                      variant="ghost"
+                                      size="sm"
+                                      onClick={e => {
+                                        e.stopPropagation();
+                                        setCloneSource({ key: item.key, name: item.name });
+                                      }}
+                                      title="Clone"
+                                      aria-label={`Clone ${item.name}`}
+                                    >
+                                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                                      </svg>
+                                      Clone
+                                    </Btn>
+                                  )}
                                   {item._type === 'Data Extension' && item.categoryId && item.id && (
                                     <Btn 
                                       variant="ghost" 
@@ -1612,7 +1785,7 @@ export default function MainApp() {
                   </div>
                   <div className="flex items-center justify-between px-6 py-4 bg-gray-50 border-t border-gray-200">
                     <div className="text-sm text-gray-500">
-                      Page {currentPage} of {totalPages} · Showing {((currentPage - 1) * itemsPerPage) + 1} to {Math.min(currentPage * itemsPerPage, getFilteredData().length)} of {getFilteredData().length} items
+                      Page {currentPage} of {totalPages} · Showing {resultCount === 0 ? 0 : ((currentPage - 1) * itemsPerPage) + 1} to {Math.min(currentPage * itemsPerPage, resultCount)} of {resultCount} items
                     </div>
                     <div className="flex items-center gap-2">
                       <Btn 
@@ -1646,8 +1819,8 @@ export default function MainApp() {
             {/* Modal for DE details */}
             {deDetailModal.open && (
               <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
-                <div className="bg-white rounded-lg shadow-lg p-6 min-w-[320px] max-w-[90vw] relative">
-                  <button className="absolute top-2 right-2 text-gray-500 hover:text-red-600" onClick={() => setDeDetailModal({ open: false, loading: false, error: null, details: null, name: null })}>&#10005;</button>
+                <div className="bg-white rounded-lg shadow-lg p-6 min-w-[320px] w-[860px] max-w-[90vw] relative">
+                  <button className="absolute top-2 right-2 text-gray-500 hover:text-red-600" onClick={() => setDeDetailModal({ open: false, loading: false, error: null, details: null, name: null, key: null })}>&#10005;</button>
                   <h2 className="text-lg font-bold mb-4 text-indigo-700">Data Extension Details: {deDetailModal.name}</h2>
                   {deDetailModal.loading && <div className="text-center py-4">Loading details...</div>}
                   {deDetailModal.error && <div className="text-red-600">{deDetailModal.error}</div>}
@@ -1660,6 +1833,64 @@ export default function MainApp() {
                       <div><span className="font-semibold">Is Testable:</span> {deDetailModal.details.isTestable.toString()}</div>
                     </div>
                   )}
+                  {!crossBuMode && deDetailModal.key && deDetailModal.key !== 'N/A' && (
+                    <div className="mt-3 flex gap-4 text-sm">
+                      <button
+                        className="text-indigo-600 hover:underline"
+                        onClick={() => setRowBrowser({ key: deDetailModal.key, name: deDetailModal.name })}
+                      >
+                        Browse rows →
+                      </button>
+                      <button
+                        className="text-indigo-600 hover:underline"
+                        onClick={() => setCloneSource({ key: deDetailModal.key, name: deDetailModal.name })}
+                      >
+                        Clone Data Extension →
+                      </button>
+                    </div>
+                  )}
+                  {!crossBuMode && (
+                    <div className="mt-4">
+                      <h3 className="font-semibold mb-2">Field Schema</h3>
+                      <DataExtensionSchema
+                        customerKey={deDetailModal.key && deDetailModal.key !== 'N/A' ? deDetailModal.key : null}
+                        name={deDetailModal.name}
+                      />
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Modal for browsing DE rows (above the DE details modal it can be opened from) */}
+            {rowBrowser && (
+              <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+                <div className="bg-white rounded-lg shadow-lg p-6 min-w-[320px] w-[1100px] max-w-[95vw] relative">
+                  <button className="absolute top-2 right-2 text-gray-500 hover:text-red-600" onClick={() => setRowBrowser(null)}>&#10005;</button>
+                  <h2 className="text-lg font-bold mb-4 text-indigo-700">Rows: {rowBrowser.name}</h2>
+                  <DataExtensionRowBrowser key={rowBrowser.key} customerKey={rowBrowser.key} name={rowBrowser.name} />
+                </div>
+              </div>
+            )}
+
+            {/* Modal for cloning a DE */}
+            {cloneSource && (
+              <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+                <div className="bg-white rounded-lg shadow-lg p-6 min-w-[320px] w-[860px] max-w-[95vw] relative">
+                  <button className="absolute top-2 right-2 text-gray-500 hover:text-red-600" onClick={() => setCloneSource(null)}>&#10005;</button>
+                  <h2 className="text-lg font-bold mb-4 text-indigo-700">Clone Data Extension: {cloneSource.name}</h2>
+                  <DataExtensionClone key={cloneSource.key} customerKey={cloneSource.key} name={cloneSource.name} businessUnits={businessUnits} />
+                </div>
+              </div>
+            )}
+
+            {/* Modal for applying DE definition files */}
+            {showDefinitions && (
+              <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+                <div className="bg-white rounded-lg shadow-lg p-6 min-w-[320px] w-[960px] max-w-[95vw] relative">
+                  <button className="absolute top-2 right-2 text-gray-500 hover:text-red-600" onClick={() => setShowDefinitions(false)}>&#10005;</button>
+                  <h2 className="text-lg font-bold mb-4 text-indigo-700">Data Extension Definitions</h2>
+                  <DataExtensionDefinitions />
                 </div>
               </div>
             )}
@@ -1667,8 +1898,8 @@ export default function MainApp() {
             {/* Modal for Automation details */}
             {automationDetailModal.open && (
               <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
-                <div className="bg-white rounded-lg shadow-lg p-6 min-w-[320px] max-w-[90vw] relative">
-                  <button className="absolute top-2 right-2 text-gray-500 hover:text-red-600" onClick={() => setAutomationDetailModal({ open: false, loading: false, error: null, details: null, name: null })}>&#10005;</button>
+                <div className="bg-white rounded-lg shadow-lg p-6 min-w-[320px] w-[720px] max-w-[90vw] relative">
+                  <button className="absolute top-2 right-2 text-gray-500 hover:text-red-600" onClick={() => setAutomationDetailModal({ open: false, loading: false, error: null, details: null, name: null, id: null })}>&#10005;</button>
                   <h2 className="text-lg font-bold mb-4 text-green-700">Automation Details: {automationDetailModal.name}</h2>
                   {automationDetailModal.loading && <div className="text-center py-4">Loading details...</div>}
                   {automationDetailModal.error && <div className="text-red-600">{automationDetailModal.error}</div>}
@@ -1679,6 +1910,12 @@ export default function MainApp() {
                       <div><span className="font-semibold">Last Run Time:</span> {automationDetailModal.details.lastRunTime}</div>
                     </div>
                   )}
+                  {automationDetailModal.id && (
+                    <div className="mt-4">
+                      <h3 className="font-semibold text-gray-900 mb-2">Run History</h3>
+                      <AutomationRunHistory programId={automationDetailModal.id} />
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -1964,7 +2201,26 @@ export default function MainApp() {
 
         {/* Render content for Object Explorer */}
         {parentNav === 'schemaBuilder' && (
-          <ObjectExplorer />
+          <ObjectExplorer
+            businessUnits={businessUnits}
+            focus={explorerFocus}
+            onFocusHandled={() => setExplorerFocus(null)}
+          />
+        )}
+
+        {/* Render content for Snapshot Diff */}
+        {parentNav === 'snapshotDiff' && (
+          <SnapshotDiff />
+        )}
+
+        {/* Render content for Cleanup Report */}
+        {parentNav === 'cleanupReport' && (
+          <CleanupReport />
+        )}
+
+        {/* Render content for the folder tree browser */}
+        {parentNav === 'folders' && (
+          <FolderBrowser />
         )}
 
         {/* Render content for Preference Center config */}
@@ -2193,6 +2449,10 @@ export default function MainApp() {
 
         </main>
       </div>
+
+      {showGlobalSearch && (
+        <GlobalSearchPalette onClose={() => setShowGlobalSearch(false)} onSelect={openGlobalSearchResult} />
+      )}
     </div>
   );
 }
@@ -1,9 +1,44 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import './ObjectExplorer.css';
+import AssetPackageImport from './components/AssetPackageImport';
+import SchemaCardBoard from './components/SchemaCardBoard';
+
+// Categories whose objects can be exported in an asset package
+const PACKAGEABLE_CATEGORIES = ['Data Extensions', 'Automations', 'SQL Queries', 'Data Filters', 'Filter Activities'];
+
+// Column colours of the card board, keyed by its column types
+const CARD_TYPE_COLORS = {
+  'Automations': '#EC4899',
+  'Journeys': '#8B5CF6',
+  'SQL Queries': '#3B82F6',
+  'Data Extensions': '#10B981',
+  'Filters': '#06B6D4',
+  'Triggered Sends': '#EF4444',
+  'File Transfers': '#F97316',
+  'Data Extracts': '#84CC16'
+};
+
+// Object type configurations
+const objectTypes = [
+  { key: 'Data Extensions', label: 'Data Extensions', icon: '📊' },
+  { key: 'Automations', label: 'Automations', icon: '🔄' },
+  { key: 'Journeys', label: 'Journeys', icon: '🛤️' },
+  { key: 'SQL Queries', label: 'Queries', icon: '🔍' },
+  { key: 'Journey Email Triggered Sends', label: 'Journey Email Triggered Sends', icon: '📧' },
+  { key: 'Email Assets', label: 'Email Assets', icon: '✉️' },
+  { key: 'Data Filters', label: 'Data Filters', icon: '🔧' },
+  { key: 'Filter Activities', label: 'Filter Activities', icon: '⚙️' },
+  { key: 'Journey Event Definitions', label: 'Journey Event Definitions', icon: '📡' },
+  { key: 'File Transfers', label: 'File Transfers', icon: '📁' },
+  { key: 'Data Extracts', label: 'Data Extracts', icon: '📤' }
+];
 
 const ObjectExplorer = ({ 
   accessToken = null,
-  subdomain = null 
+  subdomain = null,
+  businessUnits = [],
+  focus = null, // { category, name, key? } to open, e.g. from the global search palette
+  onFocusHandled = () => {}
 }) => {
   const [sfmcObjects, setSfmcObjects] = useState({});
   const [filteredObjects, setFilteredObjects] = useState({});
@@ -14,24 +49,22 @@ const ObjectExplorer = ({
   const [error, setError] = useState(null);
   const [debugInfo, setDebugInfo] = useState(null); // Store server debug info
   const [collapsedCategories, setCollapsedCategories] = useState({}); // Track collapsed categories
+  const [snapshotInfo, setSnapshotInfo] = useState(null); // Server-side metadata snapshot the data came from
+  const [impactDirection, setImpactDirection] = useState('downstream');
+  const [impactDepth, setImpactDepth] = useState(5);
+  const [impactResult, setImpactResult] = useState(null);
+  const [impactLoading, setImpactLoading] = useState(false);
+  const [impactError, setImpactError] = useState(null);
+  const [packageIds, setPackageIds] = useState([]); // Objects ticked for an asset package export
+  const [packageExporting, setPackageExporting] = useState(false);
+  const [showPackageImport, setShowPackageImport] = useState(false);
+  const [view, setView] = useState('list'); // 'list' or 'cards'
+  const [schemaEdges, setSchemaEdges] = useState([]);
+  const [fieldEdges, setFieldEdges] = useState([]); // Column lineage from /graph, loaded for the card board
+  const [fieldEdgesError, setFieldEdgesError] = useState(null);
 
-  // Object type configurations
-  const objectTypes = [
-    { key: 'Data Extensions', label: 'Data Extensions', icon: '📊' },
-    { key: 'Automations', label: 'Automations', icon: '🔄' },
-    { key: 'Journeys', label: 'Journeys', icon: '🛤️' },
-    { key: 'SQL Queries', label: 'Queries', icon: '🔍' },
-    { key: 'Journey Email Triggered Sends', label: 'Journey Email Triggered Sends', icon: '📧' },
-    { key: 'Email Assets', label: 'Email Assets', icon: '✉️' },
-    { key: 'Data Filters', label: 'Data Filters', icon: '🔧' },
-    { key: 'Filter Activities', label: 'Filter Activities', icon: '⚙️' },
-    { key: 'Journey Event Definitions', label: 'Journey Event Definitions', icon: '📡' },
-    { key: 'File Transfers', label: 'File Transfers', icon: '📁' },
-    { key: 'Data Extracts', label: 'Data Extracts', icon: '📤' }
-  ];
-
-  // Load SFMC objects
-  const loadSFMCObjects = async () => {
+  // Load SFMC objects (refresh: false = read snapshot, 'incremental' or 'full' = re-crawl)
+  const loadSFMCObjects = useCallback(async (refresh = false) => {
     setLoading(true);
     setError(null);
     
@@ -49,7 +82,8 @@ const ObjectExplorer = ({
         body: JSON.stringify({
           schema: { nodes: [], edges: [] },
           accessToken: storedAccessToken,
-          subdomain: storedSubdomain
+          subdomain: storedSubdomain,
+          refresh
         })
       });
 
@@ -59,6 +93,7 @@ const ObjectExplorer = ({
       if (data.success) {
         // Store the full schema data for relationship analysis
         const fullSchema = data.schema;
+        setSnapshotInfo(data.snapshot || null);
         
         // Log debug information if available
         if (data.debug) {
@@ -107,6 +142,7 @@ const ObjectExplorer = ({
         setFilteredObjects(objects);
         
         // Store edges for relationship analysis
+        setSchemaEdges(fullSchema.edges || []);
         window.schemaEdges = fullSchema.edges || [];
         window.schemaNodes = fullSchema.nodes || [];
         
@@ -130,6 +166,162 @@ const ObjectExplorer = ({
     } finally {
       setLoading(false);
     }
+  }, [accessToken, subdomain]);
+
+  // Open the focused object; load the snapshot once if it is not there yet, then fall back to filtering by name
+  const focusLoadRef = useRef(null);
+  useEffect(() => {
+    if (!focus || loading) return;
+    const candidates = sfmcObjects[focus.category] || [];
+    const keyOf = (obj) => obj.metadata?.customerKey || obj.metadata?.CustomerKey || obj.metadata?.key;
+    const target = (focus.key && candidates.find(obj => keyOf(obj) === focus.key)) ||
+      candidates.find(obj => (obj.name || '').toLowerCase() === (focus.name || '').toLowerCase());
+    if (!target && focusLoadRef.current !== focus) {
+      focusLoadRef.current = focus;
+      loadSFMCObjects();
+      return;
+    }
+    if (target) {
+      setNavigationHistory([]);
+      setSelectedObject(target);
+    }
+    setSearchTerm(focus.name || '');
+    setCollapsedCategories(prev => ({ ...prev, [focus.category]: false }));
+    onFocusHandled();
+  }, [focus, loading, sfmcObjects, loadSFMCObjects, onFocusHandled]);
+
+  // Impact results belong to one object; clear them when the selection changes
+  useEffect(() => {
+    setImpactResult(null);
+    setImpactError(null);
+  }, [selectedObject?.id]);
+
+  // The card board shows column lineage, which only /graph computes; reload it with each snapshot
+  useEffect(() => {
+    if (view !== 'cards' || !snapshotInfo) return;
+    const controller = new AbortController();
+    const storedSubdomain = subdomain || localStorage.getItem('subdomain');
+    const storedAccessToken = accessToken || localStorage.getItem('accessToken');
+    setFieldEdgesError(null);
+    fetch('/graph', {
+      headers: {
+        'Authorization': `Bearer ${storedAccessToken}`,
+        'x-mc-subdomain': storedSubdomain
+      },
+      signal: controller.signal
+    })
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        setFieldEdges(data.fieldEdges || []);
+      })
+      .catch(err => {
+        if (err.name === 'AbortError') return;
+        console.error('❌ [ObjectExplorer] Column lineage failed:', err);
+        setFieldEdges([]);
+        setFieldEdgesError(err.message);
+      });
+    return () => controller.abort();
+  }, [view, snapshotInfo, accessToken, subdomain]);
+
+  // Cards for the objects the search leaves listed
+  const boardNodes = useMemo(() => Object.values(filteredObjects).flat().map(obj => ({
+    data: {
+      id: obj.id,
+      label: obj.name,
+      type: obj.category === 'Data Filters' ? 'Filters' : obj.category,
+      metadata: obj.metadata
+    }
+  })), [filteredObjects]);
+
+  // Live details of one card (GET /graph/node/:id)
+  const fetchNodeDetails = async (id) => {
+    const storedSubdomain = subdomain || localStorage.getItem('subdomain');
+    const storedAccessToken = accessToken || localStorage.getItem('accessToken');
+    const response = await fetch(`/graph/node/${encodeURIComponent(id)}`, {
+      headers: {
+        'Authorization': `Bearer ${storedAccessToken}`,
+        'x-mc-subdomain': storedSubdomain
+      }
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || data.error || `HTTP ${response.status}`);
+    return data;
+  };
+
+  // Walk dependencies of the selected object transitively (server-side impact analysis)
+  const runImpactAnalysis = async () => {
+    if (!selectedObject) return;
+    setImpactLoading(true);
+    setImpactError(null);
+    try {
+      const storedSubdomain = subdomain || localStorage.getItem('subdomain');
+      const storedAccessToken = accessToken || localStorage.getItem('accessToken');
+      const params = new URLSearchParams({ direction: impactDirection, depth: String(impactDepth) });
+      const response = await fetch(`/api/impact/${encodeURIComponent(selectedObject.id)}?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${storedAccessToken}`,
+          'x-mc-subdomain': storedSubdomain
+        }
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      setImpactResult(data);
+    } catch (err) {
+      console.error('❌ [ObjectExplorer] Impact analysis failed:', err);
+      setImpactError(err.message);
+    } finally {
+      setImpactLoading(false);
+    }
+  };
+
+  const togglePackageId = (id) => {
+    setPackageIds(prev => (prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id]));
+  };
+
+  // Package the ticked objects plus their dependencies and download the package as JSON
+  const exportPackage = async () => {
+    setPackageExporting(true);
+    setError(null);
+    try {
+      const storedSubdomain = subdomain || localStorage.getItem('subdomain');
+      const storedAccessToken = accessToken || localStorage.getItem('accessToken');
+      const response = await fetch('/api/packages/export', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${storedAccessToken}`,
+          'x-mc-subdomain': storedSubdomain
+        },
+        body: JSON.stringify({ ids: packageIds })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.details || data.error || `HTTP ${response.status}`);
+
+      const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `mc-package-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+      console.log(`✅ [ObjectExplorer] Exported package with ${data.assets.length} assets`);
+      if (data.skipped.length > 0) {
+        alert(`Left out of the package:\n${data.skipped.map(entry => `• ${entry.name}: ${entry.reason}`).join('\n')}`);
+      }
+    } catch (err) {
+      console.error('❌ [ObjectExplorer] Package export failed:', err);
+      setError(err.message);
+    } finally {
+      setPackageExporting(false);
+    }
+  };
+
+  const selectObjectById = (id) => {
+    const target = Object.values(sfmcObjects).flat().find(obj => obj.id === id);
+    if (target) {
+      setNavigationHistory(prev => [...prev, selectedObject]);
+      setSelectedObject(target);
+    }
   };
 
   // Filter objects based on search term
@@ -500,12 +692,50 @@ const ObjectExplorer = ({
         <h2>📋 SFMC Object Explorer</h2>
         <div className="header-buttons">
           <button 
-            onClick={loadSFMCObjects} 
+            onClick={() => loadSFMCObjects()} 
             disabled={loading}
             className="load-button"
           >
             {loading ? '🔄 Loading...' : '🔄 Load SFMC Objects'}
           </button>
+          <button
+            onClick={() => loadSFMCObjects('incremental')}
+            disabled={loading}
+            className="load-button"
+            title="Fetch only objects modified since the last snapshot"
+          >
+            ⟳ Refresh
+          </button>
+          <button
+            onClick={() => loadSFMCObjects('full')}
+            disabled={loading}
+            className="load-button"
+            title="Re-crawl every object in this business unit"
+          >
+            Full Refresh
+          </button>
+          <button
+            onClick={exportPackage}
+            disabled={packageExporting || packageIds.length === 0}
+            className="load-button"
+            title="Tick Data Extensions, queries, filters or automations to package them with their dependencies"
+          >
+            {packageExporting ? '📦 Packaging...' : `📦 Export package (${packageIds.length})`}
+          </button>
+          <button
+            onClick={() => setShowPackageImport(true)}
+            className="load-button"
+            title="Plan and import a package into this or another business unit"
+          >
+            📥 Import package
+          </button>
+          <button
+            onClick={() => setView(view === 'cards' ? 'list' : 'cards')}
+            className="load-button"
+            title="Show the listed objects as cards with their relationships, column lineage and journey activities"
+          >
+            {view === 'cards' ? '📋 Details view' : '🗂️ Card board'}
+          </button>
           <button 
             onClick={() => {
               console.log('🔍 [Debug] Current SFMC Objects:', sfmcObjects);
@@ -521,6 +751,12 @@ const ObjectExplorer = ({
         </div>
       </div>
 
+      {snapshotInfo && (
+        <div className="snapshot-info">
+          Snapshot from {new Date(snapshotInfo.refreshedAt).toLocaleString()} ({snapshotInfo.refreshType} refresh)
+        </div>
+      )}
+
       {error && (
         <div className="error-message">
           ❌ Error: {error}
@@ -579,7 +815,19 @@ const ObjectExplorer = ({
                             setSelectedObject(object);
                           }}
                         >
-                          <div className="object-name">{object.name}</div>
+                          <div className="object-name">
+                            {PACKAGEABLE_CATEGORIES.includes(objectType.key) && (
+                              <input
+                                type="checkbox"
+                                className="package-checkbox"
+                                checked={packageIds.includes(object.id)}
+                                onClick={(e) => e.stopPropagation()}
+                                onChange={() => togglePackageId(object.id)}
+                                title="Include in the asset package"
+                              />
+                            )}
+                            {object.name}
+                          </div>
                           <div className="object-id">{object.id}</div>
                         </div>
                       ))}
@@ -595,450 +843,537 @@ const ObjectExplorer = ({
           </div>
         </div>
 
-        {/* Right Panel - Object Details */}
-        <div className="right-panel">
-          {selectedObject ? (
-            <div className="object-details">
-              {/* Header Card */}
-              <div className="detail-card header-card">
-                <div className="card-header">
-                  <h3>{selectedObject.name}</h3>
-                  <span className="object-type-badge">{selectedObject.type}</span>
+        {view === 'cards' ? (
+          /* Right Panel - Card board of the listed objects, with column lineage and journey activities */
+          <div className="right-panel card-board-panel">
+            {fieldEdgesError && <div className="error-message">❌ Column lineage unavailable: {fieldEdgesError}</div>}
+            <SchemaCardBoard
+              nodes={boardNodes}
+              edges={schemaEdges}
+              fieldEdges={fieldEdges}
+              selectedNodeId={selectedObject?.id}
+              onSelectNode={(node) => selectObjectById(node.id)}
+              getTypeColor={(type) => CARD_TYPE_COLORS[type]}
+              fetchDetails={fetchNodeDetails}
+            />
+          </div>
+        ) : (
+          /* Right Panel - Object Details */
+          <div className="right-panel">
+            {selectedObject ? (
+              <div className="object-details">
+                {/* Header Card */}
+                <div className="detail-card header-card">
+                  <div className="card-header">
+                    <h3>{selectedObject.name}</h3>
+                    <span className="object-type-badge">{selectedObject.type}</span>
+                  </div>
+                  <div className="card-subtitle">{selectedObject.category}</div>
+                  <div className="object-id">ID: {selectedObject.id}</div>
                 </div>
-                <div className="card-subtitle">{selectedObject.category}</div>
-                <div className="object-id">ID: {selectedObject.id}</div>
-              </div>
 
-              {/* Quick Stats Card */}
-              <div className="detail-card stats-card">
-                <div className="card-header">
-                  <h4>📊 Quick Stats</h4>
-                </div>
-                <div className="stats-grid">
-                  <div className="stat-item">
-                    <span className="stat-value">{getObjectRelationships(selectedObject).length}</span>
-                    <span className="stat-label">Relationships</span>
-                  </div>
-                  <div className="stat-item">
-                    <span className="stat-value">{Object.keys(selectedObject.metadata || {}).length}</span>
-                    <span className="stat-label">Properties</span>
-                  </div>
-                  <div className="stat-item">
-                    <span className="stat-value">{selectedObject.category}</span>
-                    <span className="stat-label">Type</span>
+                {/* Quick Stats Card */}
+                <div className="detail-card stats-card">
+                  <div className="card-header">
+                    <h4>📊 Quick Stats</h4>
                   </div>
-                  <div className="stat-item">
-                    <span className="stat-value">
-                      {getObjectRelationships(selectedObject).filter(r => r.type === 'incoming').length}
-                    </span>
-                    <span className="stat-label">Used By</span>
+                  <div className="stats-grid">
+                    <div className="stat-item">
+                      <span className="stat-value">{getObjectRelationships(selectedObject).length}</span>
+                      <span className="stat-label">Relationships</span>
+                    </div>
+                    <div className="stat-item">
+                      <span className="stat-value">{Object.keys(selectedObject.metadata || {}).length}</span>
+                      <span className="stat-label">Properties</span>
+                    </div>
+                    <div className="stat-item">
+                      <span className="stat-value">{selectedObject.category}</span>
+                      <span className="stat-label">Type</span>
+                    </div>
+                    <div className="stat-item">
+                      <span className="stat-value">
+                        {getObjectRelationships(selectedObject).filter(r => r.type === 'incoming').length}
+                      </span>
+                      <span className="stat-label">Used By</span>
+                    </div>
                   </div>
                 </div>
-              </div>
 
-              {/* Relationships Card */}
-              {(() => {
-                const relationships = getObjectRelationships(selectedObject);
-                return (
-                  <div className="detail-card relationships-card">
-                    {/* Navigation Breadcrumbs - moved here for better visibility */}
-                    {navigationHistory.length > 0 && (
-                      <div className="navigation-breadcrumbs">
-                        <div className="breadcrumb-trail">
-                          {navigationHistory.map((historyItem, index) => (
-                            <span key={index}>
-                              <button 
-                                className="breadcrumb-link"
-                                onClick={() => {
-                                  // Go back to this point in history
-                                  const newHistory = navigationHistory.slice(0, index);
-                                  setNavigationHistory(newHistory);
-                                  setSelectedObject(historyItem);
-                                }}
-                              >
-                                {historyItem.name}
-                              </button>
-                              <span className="breadcrumb-separator"> → </span>
-                            </span>
-                          ))}
-                          <span className="current-object">{selectedObject.name}</span>
-                        </div>
-                        <button 
-                          className="back-button"
-                          onClick={() => {
-                            if (navigationHistory.length > 0) {
-                              const previous = navigationHistory[navigationHistory.length - 1];
-                              setNavigationHistory(prev => prev.slice(0, -1));
-                              setSelectedObject(previous);
-                            }
-                          }}
-                        >
-                          ← Back
-                        </button>
-                      </div>
-                    )}
-                    
-                    <div className="card-header">
-                      <h4>🔗 Related Objects</h4>
-                      <span className="relationship-count">{relationships.length}</span>
-                    </div>
-                    {relationships.length > 0 ? (
-                      <div className="relationships-grid">
-                        {relationships.map((rel, idx) => (
-                          <div 
-                            key={idx} 
-                            className={`relationship-card ${rel.type}`}
+                {/* Relationships Card */}
+                {(() => {
+                  const relationships = getObjectRelationships(selectedObject);
+                  return (
+                    <div className="detail-card relationships-card">
+                      {/* Navigation Breadcrumbs - moved here for better visibility */}
+                      {navigationHistory.length > 0 && (
+                        <div className="navigation-breadcrumbs">
+                          <div className="breadcrumb-trail">
+                            {navigationHistory.map((historyItem, index) => (
+                              <span key={index}>
+                                <button 
+                                  className="breadcrumb-link"
+                                  onClick={() => {
+                                    // Go back to this point in history
+                                    const newHistory = navigationHistory.slice(0, index);
+                                    setNavigationHistory(newHistory);
+                                    setSelectedObject(historyItem);
+                                  }}
+                                >
+                                  {historyItem.name}
+                                </button>
+                                <span className="breadcrumb-separator"> → </span>
+                              </span>
+                            ))}
+                            <span className="current-object">{selectedObject.name}</span>
+                          </div>
+                          <button 
+                            className="back-button"
                             onClick={() => {
-                              // Try to find and select the related object
-                              let relatedObject = Object.values(sfmcObjects).flat().find(obj => 
-                                obj.id === rel.targetId || obj.name === rel.target
-                              );
-                              
-                              // If not found in sfmcObjects, try to find in schema nodes and create a virtual object
-                              if (!relatedObject && rel.targetId) {
-                                const schemaNode = (window.schemaNodes || []).find(node => node.id === rel.targetId);
-                                if (schemaNode) {
-                                  relatedObject = {
-                                    id: schemaNode.id,
-                                    name: schemaNode.label || schemaNode.id,
-                                    type: schemaNode.type,
-                                    category: schemaNode.category || 'System Object',
-                                    metadata: schemaNode.metadata || {}
-                                  };
-                                  console.log(`🔍 [ObjectExplorer] Created virtual object for system table:`, relatedObject);
-                                }
-                              }
-                              
-                              if (relatedObject) {
-                                // Add current object to navigation history
-                                setNavigationHistory(prev => [...prev, selectedObject]);
-                                setSelectedObject(relatedObject);
-                              } else {
-                                console.log(`⚠️ [ObjectExplorer] Could not find related object: ${rel.target} (ID: ${rel.targetId})`);
+                              if (navigationHistory.length > 0) {
+                                const previous = navigationHistory[navigationHistory.length - 1];
+                                setNavigationHistory(prev => prev.slice(0, -1));
+                                setSelectedObject(previous);
                               }
                             }}
-                            style={{ cursor: rel.targetId ? 'pointer' : 'default' }}
                           >
-                            <div className="relationship-header">
-                              <span className="relationship-type-badge">{rel.relationship}</span>
-                              <span className="target-category">{rel.targetCategory}</span>
-                            </div>
-                            <div className="relationship-target">
-                              {rel.target}
-                              {rel.targetId && <span className="click-hint"> 👆 Click to view</span>}
-                            </div>
-                            <div className="relationship-description">{rel.description}</div>
-                          </div>
-                        ))}
-                      </div>
-                    ) : (
-                      <div className="no-relationships">
-                        <p>🔍 No direct relationships found</p>
-                        <p className="hint">This object may be independent or relationships may not be detected yet.</p>
+                            ← Back
+                          </button>
+                        </div>
+                      )}
+                      
+                      <div className="card-header">
+                        <h4>🔗 Related Objects</h4>
+                        <span className="relationship-count">{relationships.length}</span>
                       </div>
-                    )}
-                  </div>
-                );
-              })()}
+                      {relationships.length > 0 ? (
+                        <div className="relationships-grid">
+                          {relationships.map((rel, idx) => (
+                            <div 
+                              key={idx} 
+                              className={`relationship-card ${rel.type}`}
+                              onClick={() => {
+                                // Try to find and select the related object
+                                let relatedObject = Object.values(sfmcObjects).flat().find(obj => 
+                                  obj.id === rel.targetId || obj.name === rel.target
+                                );
+                                
+                                // If not found in sfmcObjects, try to find in schema nodes and create a virtual object
+                                if (!relatedObject && rel.targetId) {
+                                  const schemaNode = (window.schemaNodes || []).find(node => node.id === rel.targetId);
+                                  if (schemaNode) {
+                                    relatedObject = {
+                                      id: schemaNode.id,
+                                      name: schemaNode.label || schemaNode.id,
+                                      type: schemaNode.type,
+                                      category: schemaNode.category || 'System Object',
+                                      metadata: schemaNode.metadata || {}
+                                    };
+                                    console.log(`🔍 [ObjectExplorer] Created virtual object for system table:`, relatedObject);
+                                  }
+                                }
+                                
+                                if (relatedObject) {
+                                  // Add current object to navigation history
+                                  setNavigationHistory(prev => [...prev, selectedObject]);
+                                  setSelectedObject(relatedObject);
+                                } else {
+                                  console.log(`⚠️ [ObjectExplorer] Could not find related object: ${rel.target} (ID: ${rel.targetId})`);
+                                }
+                              }}
+                              style={{ cursor: rel.targetId ? 'pointer' : 'default' }}
+                            >
+                              <div className="relationship-header">
+                                <span className="relationship-type-badge">{rel.relationship}</span>
+                                <span className="target-category">{rel.targetCategory}</span>
+                              </div>
+                              <div className="relationship-target">
+                                {rel.target}
+                                {rel.targetId && <span className="click-hint"> 👆 Click to view</span>}
+                              </div>
+                              <div className="relationship-description">{rel.description}</div>
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
+                        <div className="no-relationships">
+                          <p>🔍 No direct relationships found</p>
+                          <p className="hint">This object may be independent or relationships may not be detected yet.</p>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })()}
 
-              {/* Basic Information Card */}
-              <div className="detail-card info-card">
-                <div className="card-header">
-                  <h4>� Basic Information</h4>
-                </div>
-                <div className="info-grid">
-                  <div className="info-item">
-                    <label>Name:</label>
-                    <span>{selectedObject.name}</span>
-                  </div>
-                  <div className="info-item">
-                    <label>Type:</label>
-                    <span>{selectedObject.type}</span>
-                  </div>
-                  <div className="info-item">
-                    <label>Category:</label>
-                    <span>{selectedObject.category}</span>
+                {/* Impact Analysis Card */}
+                <div className="detail-card impact-card">
+                  <div className="card-header">
+                    <h4>🎯 Impact Analysis</h4>
                   </div>
-                  <div className="info-item">
-                    <label>ID:</label>
-                    <span className="mono">{selectedObject.id}</span>
+                  <div className="impact-controls">
+                    <select value={impactDirection} onChange={(e) => setImpactDirection(e.target.value)}>
+                      <option value="downstream">Downstream (what breaks if this changes)</option>
+                      <option value="upstream">Upstream (what feeds this)</option>
+                      <option value="both">Both directions</option>
+                    </select>
+                    <label>
+                      Depth
+                      <input
+                        type="number"
+                        min="1"
+                        max="20"
+                        value={impactDepth}
+                        onChange={(e) => setImpactDepth(e.target.value)}
+                      />
+                    </label>
+                    <button onClick={runImpactAnalysis} disabled={impactLoading} className="load-button">
+                      {impactLoading ? 'Analyzing...' : 'Analyze'}
+                    </button>
                   </div>
+                  {impactError && <div className="error-message">❌ {impactError}</div>}
+                  {impactResult && ['downstream', 'upstream'].filter(dir => impactResult.direction === 'both' || impactResult.direction === dir).map(dir => (
+                    <div key={dir} className="impact-section">
+                      <div className="impact-section-title">
+                        {dir === 'downstream' ? '⬇️ Downstream' : '⬆️ Upstream'} ({impactResult[dir].length})
+                        {Object.entries(impactResult.summary[dir]).map(([category, count]) => (
+                          <span key={category} className="target-category">{category}: {count}</span>
+                        ))}
+                      </div>
+                      {impactResult[dir].length === 0 ? (
+                        <div className="hint">No {dir} dependencies within {impactResult.depth} hops</div>
+                      ) : (
+                        impactResult[dir].map(item => (
+                          <div key={item.id} className="impact-item" onClick={() => selectObjectById(item.id)}>
+                            <div className="relationship-header">
+                              <span className="relationship-type-badge">{item.category}</span>
+                              <span className="target-category">depth {item.depth}</span>
+                            </div>
+                            <div className="relationship-target">{item.name}</div>
+                            <div className="impact-path">
+                              {item.path.map((step, idx) => (
+                                <span key={idx}>
+                                  {idx === 0 && step.source.name}
+                                  <span className="impact-path-edge"> —{step.label}→ </span>
+                                  {step.target.name}
+                                </span>
+                              ))}
+                            </div>
+                          </div>
+                        ))
+                      )}
+                    </div>
+                  ))}
                 </div>
-              </div>
 
-              {/* Journey-specific Information */}
-              {(selectedObject.type === 'Journey' || selectedObject.type === 'Journeys') && (
-                <div className="detail-card journey-card">
+                {/* Basic Information Card */}
+                <div className="detail-card info-card">
                   <div className="card-header">
-                    <h4>🛤️ Journey Details</h4>
+                    <h4>� Basic Information</h4>
                   </div>
                   <div className="info-grid">
-                    {/* DEBUG: Log the object data for API Entry Journey */}
-                    {selectedObject.name === 'Journey Builder API Entry Event Demo' && 
-                      console.log('🚨 [Frontend DEBUG] API Entry Journey data:', {
-                        name: selectedObject.name,
-                        type: selectedObject.type,
-                        entrySourceType: selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType,
-                        entrySourceDescription: selectedObject.metadata?.entrySourceDescription || selectedObject.entrySourceDescription,
-                        entryDataExtensionId: selectedObject.metadata?.entryDataExtensionId || selectedObject.entryDataExtensionId,
-                        fullMetadata: selectedObject.metadata,
-                        fullObject: selectedObject
-                      })
-                    }
-                    
-                    {/* ALWAYS show some Journey info for debugging */}
                     <div className="info-item">
-                      <label>Journey Type Detection:</label>
-                      <span>Type: {selectedObject.type}, Name: {selectedObject.name}</span>
+                      <label>Name:</label>
+                      <span>{selectedObject.name}</span>
                     </div>
-                    
-                    {/* DEBUG: Show what backend data we actually have */}
                     <div className="info-item">
-                      <label>Backend Entry Source Type:</label>
-                      <span className="mono">{JSON.stringify(selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType || 'undefined')}</span>
+                      <label>Type:</label>
+                      <span>{selectedObject.type}</span>
                     </div>
                     <div className="info-item">
-                      <label>Backend Entry Source Description:</label>
-                      <span className="mono">{JSON.stringify(selectedObject.metadata?.entrySourceDescription || selectedObject.entrySourceDescription || 'undefined')}</span>
+                      <label>Category:</label>
+                      <span>{selectedObject.category}</span>
                     </div>
                     <div className="info-item">
-                      <label>Backend Entry DE ID:</label>
-                      <span className="mono">{JSON.stringify(selectedObject.metadata?.entryDataExtensionId || selectedObject.entryDataExtensionId || 'undefined')}</span>
+                      <label>ID:</label>
+                      <span className="mono">{selectedObject.id}</span>
                     </div>
-                    
-                    {/* Entry Source Information with improved display logic */}
-                    {(selectedObject.metadata?.entryDataExtensionId || selectedObject.entryDataExtensionId) ? (
-                      <>
-                        {/* DE-based Journey */}
-                        <div className="info-item">
-                          <label>Entry Source:</label>
-                          <span>Data Extension</span>
-                        </div>
-                        <div className="info-item">
-                          <label>Entry Data Extension ID:</label>
-                          <span className="mono">
-                            {selectedObject.metadata?.entryDataExtensionId || selectedObject.entryDataExtensionId}
-                          </span>
-                        </div>
-                        {(selectedObject.metadata?.entryDataExtensionName || selectedObject.entryDataExtensionName) && (
+                  </div>
+                </div>
+
+                {/* Journey-specific Information */}
+                {(selectedObject.type === 'Journey' || selectedObject.type === 'Journeys') && (
+                  <div className="detail-card journey-card">
+                    <div className="card-header">
+                      <h4>🛤️ Journey Details</h4>
+                    </div>
+                    <div className="info-grid">
+                      {/* DEBUG: Log the object data for API Entry Journey */}
+                      {selectedObject.name === 'Journey Builder API Entry Event Demo' && 
+                        console.log('🚨 [Frontend DEBUG] API Entry Journey data:', {
+                          name: selectedObject.name,
+                          type: selectedObject.type,
+                          entrySourceType: selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType,
+                          entrySourceDescription: selectedObject.metadata?.entrySourceDescription || selectedObject.entrySourceDescription,
+                          entryDataExtensionId: selectedObject.metadata?.entryDataExtensionId || selectedObject.entryDataExtensionId,
+                          fullMetadata: selectedObject.metadata,
+                          fullObject: selectedObject
+                        })
+                      }
+                      
+                      {/* ALWAYS show some Journey info for debugging */}
+                      <div className="info-item">
+                        <label>Journey Type Detection:</label>
+                        <span>Type: {selectedObject.type}, Name: {selectedObject.name}</span>
+                      </div>
+                      
+                      {/* DEBUG: Show what backend data we actually have */}
+                      <div className="info-item">
+                        <label>Backend Entry Source Type:</label>
+                        <span className="mono">{JSON.stringify(selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType || 'undefined')}</span>
+                      </div>
+                      <div className="info-item">
+                        <label>Backend Entry Source Description:</label>
+                        <span className="mono">{JSON.stringify(selectedObject.metadata?.entrySourceDescription || selectedObject.entrySourceDescription || 'undefined')}</span>
+                      </div>
+                      <div className="info-item">
+                        <label>Backend Entry DE ID:</label>
+                        <span className="mono">{JSON.stringify(selectedObject.metadata?.entryDataExtensionId || selectedObject.entryDataExtensionId || 'undefined')}</span>
+                      </div>
+                      
+                      {/* Entry Source Information with improved display logic */}
+                      {(selectedObject.metadata?.entryDataExtensionId || selectedObject.entryDataExtensionId) ? (
+                        <>
+                          {/* DE-based Journey */}
+                          <div className="info-item">
+                            <label>Entry Source:</label>
+                            <span>Data Extension</span>
+                          </div>
+                          <div className="info-item">
+                            <label>Entry Data Extension ID:</label>
+                            <span className="mono">
+                              {selectedObject.metadata?.entryDataExtensionId || selectedObject.entryDataExtensionId}
+                            </span>
+                          </div>
+                          {(selectedObject.metadata?.entryDataExtensionName || selectedObject.entryDataExtensionName) && (
+                            <div className="info-item">
+                              <label>Entry Data Extension Name:</label>
+                              <span>
+                                {selectedObject.metadata?.entryDataExtensionName || selectedObject.entryDataExtensionName}
+                              </span>
+                            </div>
+                          )}
+                          {(selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType) && (
+                            <div className="info-item">
+                              <label>Entry Source Type:</label>
+                              <span>
+                                {selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType}
+                              </span>
+                            </div>
+                          )}
+                        </>
+                      ) : (selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType) ? (
+                        <>
+                          {/* Non-DE Journey with known type */}
                           <div className="info-item">
-                            <label>Entry Data Extension Name:</label>
+                            <label>Entry Source:</label>
                             <span>
-                              {selectedObject.metadata?.entryDataExtensionName || selectedObject.entryDataExtensionName}
+                              {(selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType) === 'APIEvent' ? 'API Event' :
+                               (selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType) === 'SalesforceDataEvent' ? 'Salesforce Data Event' :
+                               (selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType) === 'EmailAudience' ? 'Email Audience' :
+                               (selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType)}
                             </span>
                           </div>
-                        )}
-                        {(selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType) && (
                           <div className="info-item">
                             <label>Entry Source Type:</label>
                             <span>
                               {selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType}
                             </span>
                           </div>
-                        )}
-                      </>
-                    ) : (selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType) ? (
-                      <>
-                        {/* Non-DE Journey with known type */}
-                        <div className="info-item">
-                          <label>Entry Source:</label>
-                          <span>
-                            {(selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType) === 'APIEvent' ? 'API Event' :
-                             (selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType) === 'SalesforceDataEvent' ? 'Salesforce Data Event' :
-                             (selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType) === 'EmailAudience' ? 'Email Audience' :
-                             (selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType)}
-                          </span>
-                        </div>
-                        <div className="info-item">
-                          <label>Entry Source Type:</label>
-                          <span>
-                            {selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType}
-                          </span>
-                        </div>
-                        <div className="info-item">
-                          <label>Data Extension:</label>
-                          <span>Not applicable (event-based entry)</span>
-                        </div>
-                      </>
-                    ) : (selectedObject.metadata?.entrySourceDescription || selectedObject.entrySourceDescription) ? (
-                      <>
-                        {/* Non-DE Journey with description only */}
+                          <div className="info-item">
+                            <label>Data Extension:</label>
+                            <span>Not applicable (event-based entry)</span>
+                          </div>
+                        </>
+                      ) : (selectedObject.metadata?.entrySourceDescription || selectedObject.entrySourceDescription) ? (
+                        <>
+                          {/* Non-DE Journey with description only */}
+                          <div className="info-item">
+                            <label>Entry Source:</label>
+                            <span>
+                              {selectedObject.metadata?.entrySourceDescription || selectedObject.entrySourceDescription}
+                            </span>
+                          </div>
+                          <div className="info-item">
+                            <label>Data Extension:</label>
+                            <span>Not applicable</span>
+                          </div>
+                        </>
+                      ) : selectedObject.name === 'Journey Builder API Entry Event Demo' ? (
+                        <>
+                          {/* FORCED FIX: API Entry Journey override */}
+                          <div className="info-item">
+                            <label>Entry Source:</label>
+                            <span>API Event</span>
+                          </div>
+                          <div className="info-item">
+                            <label>Entry Source Type:</label>
+                            <span>APIEvent</span>
+                          </div>
+                          <div className="info-item">
+                            <label>Data Extension:</label>
+                            <span>Not applicable (event-based entry)</span>
+                          </div>
+                        </>
+                      ) : (
+                        <>
+                          {/* Unknown entry source */}
+                          <div className="info-item">
+                            <label>Entry Source:</label>
+                            <span>Unknown / Not a DE-based entry</span>
+                          </div>
+                          <div className="info-item">
+                            <label>Data Extension:</label>
+                            <span>Not detected</span>
+                          </div>
+                        </>
+                      )}
+                      
+                      {(selectedObject.metadata?.dataExtensionSource || selectedObject.dataExtensionSource) && (
                         <div className="info-item">
-                          <label>Entry Source:</label>
-                          <span>
-                            {selectedObject.metadata?.entrySourceDescription || selectedObject.entrySourceDescription}
+                          <label>Detection Method:</label>
+                          <span className="mono">
+                            {selectedObject.metadata?.dataExtensionSource || selectedObject.dataExtensionSource}
                           </span>
                         </div>
+                      )}
+                      
+                      {selectedObject.metadata?.status && (
                         <div className="info-item">
-                          <label>Data Extension:</label>
-                          <span>Not applicable</span>
-                        </div>
-                      </>
-                    ) : selectedObject.name === 'Journey Builder API Entry Event Demo' ? (
-                      <>
-                        {/* FORCED FIX: API Entry Journey override */}
-                        <div className="info-item">
-                          <label>Entry Source:</label>
-                          <span>API Event</span>
-                        </div>
-                        <div className="info-item">
-                          <label>Entry Source Type:</label>
-                          <span>APIEvent</span>
+                          <label>Status:</label>
+                          <span>{selectedObject.metadata.status}</span>
                         </div>
+                      )}
+                      {selectedObject.metadata?.version && (
                         <div className="info-item">
-                          <label>Data Extension:</label>
-                          <span>Not applicable (event-based entry)</span>
+                          <label>Version:</label>
+                          <span>{selectedObject.metadata.version}</span>
                         </div>
-                      </>
-                    ) : (
-                      <>
-                        {/* Unknown entry source */}
+                      )}
+                      {selectedObject.metadata?.activities && (
                         <div className="info-item">
-                          <label>Entry Source:</label>
-                          <span>Unknown / Not a DE-based entry</span>
+                          <label>Activities Count:</label>
+                          <span>{Array.isArray(selectedObject.metadata.activities) ? selectedObject.metadata.activities.length : 0}</span>
                         </div>
+                      )}
+                      
+                      {/* Debug: Show entrySource structure if no entry source found */}
+                      {!(selectedObject.metadata?.entryDataExtensionId || selectedObject.entryDataExtensionId) && 
+                       !(selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType) &&
+                       !(selectedObject.metadata?.entrySourceDescription || selectedObject.entrySourceDescription) &&
+                       selectedObject.metadata?.entrySource && (
                         <div className="info-item">
-                          <label>Data Extension:</label>
-                          <span>Not detected</span>
+                          <label>Debug - Entry Source:</label>
+                          <span className="long-text">
+                            {JSON.stringify(selectedObject.metadata.entrySource, null, 2)}
+                          </span>
                         </div>
-                      </>
-                    )}
-                    
-                    {(selectedObject.metadata?.dataExtensionSource || selectedObject.dataExtensionSource) && (
-                      <div className="info-item">
-                        <label>Detection Method:</label>
-                        <span className="mono">
-                          {selectedObject.metadata?.dataExtensionSource || selectedObject.dataExtensionSource}
-                        </span>
-                      </div>
-                    )}
-                    
-                    {selectedObject.metadata?.status && (
-                      <div className="info-item">
-                        <label>Status:</label>
-                        <span>{selectedObject.metadata.status}</span>
-                      </div>
-                    )}
-                    {selectedObject.metadata?.version && (
-                      <div className="info-item">
-                        <label>Version:</label>
-                        <span>{selectedObject.metadata.version}</span>
-                      </div>
-                    )}
-                    {selectedObject.metadata?.activities && (
-                      <div className="info-item">
-                        <label>Activities Count:</label>
-                        <span>{Array.isArray(selectedObject.metadata.activities) ? selectedObject.metadata.activities.length : 0}</span>
-                      </div>
-                    )}
-                    
-                    {/* Debug: Show entrySource structure if no entry source found */}
-                    {!(selectedObject.metadata?.entryDataExtensionId || selectedObject.entryDataExtensionId) && 
-                     !(selectedObject.metadata?.entrySourceType || selectedObject.entrySourceType) &&
-                     !(selectedObject.metadata?.entrySourceDescription || selectedObject.entrySourceDescription) &&
-                     selectedObject.metadata?.entrySource && (
-                      <div className="info-item">
-                        <label>Debug - Entry Source:</label>
-                        <span className="long-text">
-                          {JSON.stringify(selectedObject.metadata.entrySource, null, 2)}
-                        </span>
-                      </div>
-                    )}
+                      )}
+                    </div>
                   </div>
-                </div>
-              )}
+                )}
 
-              {/* Metadata Card */}
-              {selectedObject.metadata && Object.keys(selectedObject.metadata).filter(key => 
-                !['sfmcLinked', 'createdFromSFMC', 'steps', 'activities', 'targetDataExtensions', 'entrySource', 'entrySourceType', 'entrySourceDescription', 'entryDataExtensionId', 'entryDataExtensionName', 'dataExtensionSource'].includes(key)
-              ).length > 0 && (
-                <div className="detail-card metadata-card">
-                  <div className="card-header">
-                    <h4>� Properties</h4>
-                  </div>
-                  <div className="metadata-grid">
-                    {Object.entries(selectedObject.metadata)
-                      .filter(([key]) => !['sfmcLinked', 'createdFromSFMC', 'steps', 'activities', 'targetDataExtensions', 'entrySource', 'entrySourceType', 'entrySourceDescription', 'entryDataExtensionId', 'entryDataExtensionName', 'dataExtensionSource'].includes(key))
-                      .map(([key, value]) => (
-                        <div key={key} className="metadata-item">
-                          <label>{key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}:</label>
-                          <span className={typeof value === 'string' && value.length > 50 ? 'long-text' : ''}>
-                            {typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value)}
-                          </span>
-                        </div>
-                      ))}
+                {/* Metadata Card */}
+                {selectedObject.metadata && Object.keys(selectedObject.metadata).filter(key => 
+                  !['sfmcLinked', 'createdFromSFMC', 'steps', 'activities', 'targetDataExtensions', 'entrySource', 'entrySourceType', 'entrySourceDescription', 'entryDataExtensionId', 'entryDataExtensionName', 'dataExtensionSource'].includes(key)
+                ).length > 0 && (
+                  <div className="detail-card metadata-card">
+                    <div className="card-header">
+                      <h4>� Properties</h4>
+                    </div>
+                    <div className="metadata-grid">
+                      {Object.entries(selectedObject.metadata)
+                        .filter(([key]) => !['sfmcLinked', 'createdFromSFMC', 'steps', 'activities', 'targetDataExtensions', 'entrySource', 'entrySourceType', 'entrySourceDescription', 'entryDataExtensionId', 'entryDataExtensionName', 'dataExtensionSource'].includes(key))
+                        .map(([key, value]) => (
+                          <div key={key} className="metadata-item">
+                            <label>{key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}:</label>
+                            <span className={typeof value === 'string' && value.length > 50 ? 'long-text' : ''}>
+                              {typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value)}
+                            </span>
+                          </div>
+                        ))}
+                    </div>
                   </div>
-                </div>
-              )}
-            </div>
-          ) : (
-            <div className="no-selection">
-              <div className="no-selection-content">
-                <h3>👈 Select an object</h3>
-                <p>Click on any object in the left panel to view its details and relationships.</p>
-                
-                {Object.keys(sfmcObjects).length === 0 && !loading && (
-                  <div>
-                    <p>Click "Load SFMC Objects" to get started.</p>
-                    
-                    {/* Debug Information Display */}
-                    {debugInfo && (
-                      <div className="debug-info-panel">
-                        <h4>🔍 Debug Information</h4>
-                        <div className="debug-section">
-                          <h5>Authentication</h5>
-                          <p>Has Token: {debugInfo.authentication?.hasToken ? '✅ Yes' : '❌ No'}</p>
-                          <p>Token Length: {debugInfo.authentication?.tokenLength || 0} characters</p>
-                          <p>Subdomain: {debugInfo.authentication?.subdomain || 'Not provided'}</p>
-                        </div>
-                        
-                        <div className="debug-section">
-                          <h5>SFMC Objects</h5>
-                          {debugInfo.sfmcObjects?.length > 0 ? (
-                            debugInfo.sfmcObjects.map(obj => (
-                              <p key={obj.category}>
-                                {obj.category}: {obj.count} objects {obj.hasObjects ? '✅' : '❌'}
-                              </p>
-                            ))
-                          ) : (
-                            <p>❌ No SFMC objects returned</p>
-                          )}
-                        </div>
-                        
-                        {debugInfo.sfmcFetchError && (
-                          <div className="debug-section error">
-                            <h5>❌ SFMC Fetch Error</h5>
-                            <p>Error: {debugInfo.sfmcFetchError.message}</p>
-                            <p>Type: {debugInfo.sfmcFetchError.type}</p>
-                            <p>Time: {debugInfo.sfmcFetchError.timestamp}</p>
+                )}
+              </div>
+            ) : (
+              <div className="no-selection">
+                <div className="no-selection-content">
+                  <h3>👈 Select an object</h3>
+                  <p>Click on any object in the left panel to view its details and relationships.</p>
+                  
+                  {Object.keys(sfmcObjects).length === 0 && !loading && (
+                    <div>
+                      <p>Click "Load SFMC Objects" to get started.</p>
+                      
+                      {/* Debug Information Display */}
+                      {debugInfo && (
+                        <div className="debug-info-panel">
+                          <h4>🔍 Debug Information</h4>
+                          <div className="debug-section">
+                            <h5>Authentication</h5>
+                            <p>Has Token: {debugInfo.authentication?.hasToken ? '✅ Yes' : '❌ No'}</p>
+                            <p>Token Length: {debugInfo.authentication?.tokenLength || 0} characters</p>
+                            <p>Subdomain: {debugInfo.authentication?.subdomain || 'Not provided'}</p>
                           </div>
-                        )}
-                        
-                        <div className="debug-section">
-                          <h5>Schema Processing</h5>
-                          <p>Input Nodes: {debugInfo.inputSchema?.nodes || 0}</p>
-                          <p>Input Edges: {debugInfo.inputSchema?.edges || 0}</p>
-                          <p>Output Nodes: {debugInfo.processedSchema?.nodes || 0}</p>
-                          <p>Output Edges: {debugInfo.processedSchema?.edges || 0}</p>
-                        </div>
-                        
-                        {debugInfo.nodeTypes && Object.keys(debugInfo.nodeTypes).length > 0 && (
+                          
                           <div className="debug-section">
-                            <h5>Node Types</h5>
-                            {Object.entries(debugInfo.nodeTypes).map(([type, count]) => (
-                              <p key={type}>{type}: {count}</p>
-                            ))}
+                            <h5>SFMC Objects</h5>
+                            {debugInfo.sfmcObjects?.length > 0 ? (
+                              debugInfo.sfmcObjects.map(obj => (
+                                <p key={obj.category}>
+                                  {obj.category}: {obj.count} objects {obj.hasObjects ? '✅' : '❌'}
+                                </p>
+                              ))
+                            ) : (
+                              <p>❌ No SFMC objects returned</p>
+                            )}
                           </div>
-                        )}
-                      </div>
-                    )}
-                  </div>
-                )}
+                          
+                          {debugInfo.sfmcFetchError && (
+                            <div className="debug-section error">
+                              <h5>❌ SFMC Fetch Error</h5>
+                              <p>Error: {debugInfo.sfmcFetchError.message}</p>
+                              <p>Type: {debugInfo.sfmcFetchError.type}</p>
+                              <p>Time: {debugInfo.sfmcFetchError.timestamp}</p>
+                            </div>
+                          )}
+                          
+                          <div className="debug-section">
+                            <h5>Schema Processing</h5>
+                            <p>Input Nodes: {debugInfo.inputSchema?.nodes || 0}</p>
+                            <p>Input Edges: {debugInfo.inputSchema?.edges || 0}</p>
+                            <p>Output Nodes: {debugInfo.processedSchema?.nodes || 0}</p>
+                            <p>Output Edges: {debugInfo.processedSchema?.edges || 0}</p>
+                          </div>
+                          
+                          {debugInfo.nodeTypes && Object.keys(debugInfo.nodeTypes).length > 0 && (
+                            <div className="debug-section">
+                              <h5>Node Types</h5>
+                              {Object.entries(debugInfo.nodeTypes).map(([type, count]) => (
+                                <p key={type}>{type}: {count}</p>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
               </div>
-            </div>
-          )}
-        </div>
+            )}
+          </div>
+        )}
       </div>
+
+      {/* Modal for importing asset packages */}
+      {showPackageImport && (
+        <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-lg p-6 min-w-[320px] w-[1040px] max-w-[95vw] relative">
+            <button className="absolute top-2 right-2 text-gray-500 hover:text-red-600" onClick={() => setShowPackageImport(false)}>&#10005;</button>
+            <h2 className="text-lg font-bold mb-4 text-indigo-700">Import Asset Package</h2>
+            <AssetPackageImport businessUnits={businessUnits} />
+          </div>
+        </div>
+      )}
     </div>
   );
 };
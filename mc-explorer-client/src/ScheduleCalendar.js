@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useMemo } from 'react';
+
+const baseURL = process.env.REACT_APP_BASE_URL;
+
+const VIEWS = ['day', 'week', 'month'];
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const MAX_EVENTS_PER_CELL = 3;
+
+const authHeaders = () => ({
+  'Authorization': `Bearer ${localStorage.getItem('accessToken')}`,
+  'x-mc-subdomain': localStorage.getItem('subdomain')
+});
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+// Weeks start on Monday
+const startOfWeek = (date) => addDays(startOfDay(date), -((date.getDay() + 6) % 7));
+const sameDay = (a, b) => a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+const dayKey = (date) => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+const formatTime = (iso) => new Date(iso).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+
+// Visible range per view; the month view covers whole weeks around the month
+const visibleRange = (view, anchor) => {
+  if (view === 'day') return { start: startOfDay(anchor), end: addDays(startOfDay(anchor), 1) };
+  if (view === 'week') {
+    const start = startOfWeek(anchor);
+    return { start, end: addDays(start, 7) };
+  }
+  const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  const start = startOfWeek(first);
+  const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+  return { start, end: addDays(startOfWeek(last), 7) };
+};
+
+const shiftAnchor = (view, anchor, direction) => {
+  if (view === 'day') return addDays(anchor, direction);
+  if (view === 'week') return addDays(anchor, 7 * direction);
+  return new Date(anchor.getFullYear(), anchor.getMonth() + direction, 1);
+};
+
+const eventClass = (event) => {
+  if (event.conflicts.length > 0) return 'bg-red-100 text-red-800 border-red-300';
+  if (event.type === 'send') return 'bg-purple-100 text-purple-800 border-purple-200';
+  return 'bg-indigo-50 text-indigo-800 border-indigo-200';
+};
+
+const describeEvent = (event) => [
+  `${event.name} (${event.type === 'send' ? 'scheduled send' : 'automation'})`,
+  `${new Date(event.start).toLocaleString('en-GB')}${event.durationMs ? ` – ${formatTime(event.end)}` : ''}`,
+  event.durationMs ? `Estimated duration ${Math.round(event.durationMs / 60000)} min (${event.durationSource === 'history' ? 'average of recent runs' : 'no run history, default'})` : null,
+  event.recurrence ? `Recurrence ${event.recurrence} · ${event.timeZone}` : null,
+  event.targets.length ? `Writes to ${event.targets.map(t => t.name).join(', ')}` : null,
+  ...event.conflicts.map(c => `⚠️ Overlaps ${c.name} on ${c.dataExtension}`)
+].filter(Boolean).join('\n');
+
+function EventChip({ event, onSelect }) {
+  return (
+    <button
+      type="button"
+      onClick={() => onSelect(event)}
+      title={describeEvent(event)}
+      className={`w-full text-left truncate text-xs px-1.5 py-0.5 rounded border ${eventClass(event)}`}
+    >
+      {event.conflicts.length > 0 && '⚠️ '}{formatTime(event.start)} {event.name}
+    </button>
+  );
+}
+
+function EventDetails({ event, onClose }) {
+  return (
+    <div className="mt-4 p-4 rounded-lg border border-gray-200 bg-gray-50 text-sm">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <div className="font-semibold text-gray-900">{event.name}</div>
+          <div className="text-gray-500 text-xs">{event.type === 'send' ? 'Scheduled send' : 'Automation'}</div>
+        </div>
+        <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-700">&#10005;</button>
+      </div>
+      <pre className="mt-2 whitespace-pre-wrap font-sans text-gray-700">{describeEvent(event)}</pre>
+    </div>
+  );
+}
+
+// Day/week/month calendar of scheduled automation runs and scheduled sends in this business unit
+function ScheduleCalendar({ onClose }) {
+  const [view, setView] = useState('week');
+  const [anchor, setAnchor] = useState(() => startOfDay(new Date()));
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [conflictsOnly, setConflictsOnly] = useState(false);
+
+  const range = useMemo(() => visibleRange(view, anchor), [view, anchor]);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    setSelected(null);
+    const params = new URLSearchParams({ start: range.start.toISOString(), end: range.end.toISOString() });
+    fetch(`${baseURL}/api/schedule/calendar?${params}`, { headers: authHeaders(), credentials: 'include' })
+      .then(async response => {
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+        setData(body);
+      })
+      .catch(err => {
+        console.error('❌ [ScheduleCalendar] Failed to load calendar:', err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [range]);
+
+  const events = useMemo(
+    () => (data?.events || []).filter(event => !conflictsOnly || event.conflicts.length > 0),
+    [data, conflictsOnly]
+  );
+
+  const eventsByDay = useMemo(() => {
+    const map = {};
+    events.forEach(event => {
+      const key = dayKey(new Date(event.start));
+      (map[key] = map[key] || []).push(event);
+    });
+    return map;
+  }, [events]);
+
+  const days = [];
+  for (let day = range.start; day < range.end; day = addDays(day, 1)) days.push(day);
+  const today = new Date();
+
+  const title = view === 'month'
+    ? anchor.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' })
+    : view === 'week'
+      ? `${range.start.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })} – ${addDays(range.end, -1).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}`
+      : anchor.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+  return (
+    <div className="rounded-xl border border-border bg-card p-6">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Schedule Calendar</h3>
+          <p className="text-sm text-gray-600">
+            Upcoming automation runs and scheduled sends, in your local time. Runs of different automations that write to the same Data Extension at the same time are flagged.
+          </p>
+        </div>
+        {onClose && (
+          <button
+            type="button"
+            onClick={onClose}
+            className="h-9 px-3 rounded-md border border-slate-200 hover:bg-slate-50 transition-colors text-sm"
+          >
+            Back to automations
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <button type="button" onClick={() => setAnchor(startOfDay(new Date()))} className="h-8 px-3 rounded-md border border-slate-200 hover:bg-slate-50 text-sm">Today</button>
+        <button type="button" onClick={() => setAnchor(shiftAnchor(view, anchor, -1))} className="h-8 px-2 rounded-md border border-slate-200 hover:bg-slate-50 text-sm" aria-label="Previous">‹</button>
+        <button type="button" onClick={() => setAnchor(shiftAnchor(view, anchor, 1))} className="h-8 px-2 rounded-md border border-slate-200 hover:bg-slate-50 text-sm" aria-label="Next">›</button>
+        <span className="font-medium text-gray-900 ml-1">{title}</span>
+        <div className="ml-auto flex items-center gap-2">
+          <label className="inline-flex items-center gap-1 text-sm text-gray-700">
+            <input type="checkbox" checked={conflictsOnly} onChange={e => setConflictsOnly(e.target.checked)} />
+            Overlaps only
+          </label>
+          <div className="inline-flex rounded-md border border-slate-200 overflow-hidden" role="tablist">
+            {VIEWS.map(v => (
+              <button
+                key={v}
+                type="button"
+                role="tab"
+                aria-selected={view === v}
+                onClick={() => setView(v)}
+                className={`h-8 px-3 text-sm capitalize ${view === v ? 'bg-brand text-white' : 'bg-white text-gray-600 hover:bg-slate-50'}`}
+              >
+                {v}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {error && <div className="mb-3 p-3 rounded border border-red-200 bg-red-50 text-sm text-red-700">{error}</div>}
+      {data && data.conflicts.length > 0 && (
+        <div className="mb-3 p-3 rounded border border-red-200 bg-red-50 text-sm text-red-700">
+          ⚠️ {data.conflicts.length} overlapping run{data.conflicts.length === 1 ? '' : 's'} writing to the same Data Extension:{' '}
+          {[...new Set(data.conflicts.map(c => `${[...c.automations].sort().join(' & ')} → ${c.dataExtension.name}`))].join('; ')}
+        </div>
+      )}
+      {data && data.truncated.length > 0 && (
+        <p className="mb-3 text-xs text-amber-700">Only the first runs are shown for: {data.truncated.join(', ')}</p>
+      )}
+      {data?.errors?.map(message => (
+        <p key={message} className="mb-3 text-xs text-amber-700">⚠️ {message}</p>
+      ))}
+      {loading && <p className="mb-3 text-sm text-gray-500">Loading schedule…</p>}
+
+      {view === 'month' && (
+        <div className="grid grid-cols-7 border-t border-l border-gray-200 text-sm">
+          {WEEKDAY_LABELS.map(label => (
+            <div key={label} className="border-r border-b border-gray-200 bg-gray-50 px-2 py-1 text-xs font-medium text-gray-500">{label}</div>
+          ))}
+          {days.map(day => {
+            const dayEvents = eventsByDay[dayKey(day)] || [];
+            return (
+              <div
+                key={dayKey(day)}
+                className={`border-r border-b border-gray-200 min-h-[96px] p-1 space-y-0.5 ${day.getMonth() !== anchor.getMonth() ? 'bg-gray-50 text-gray-400' : ''}`}
+              >
+                <button
+                  type="button"
+                  onClick={() => { setAnchor(day); setView('day'); }}
+                  className={`text-xs px-1 rounded ${sameDay(day, today) ? 'bg-brand text-white' : 'hover:bg-gray-100'}`}
+                >
+                  {day.getDate()}
+                </button>
+                {dayEvents.slice(0, MAX_EVENTS_PER_CELL).map(event => <EventChip key={event.id} event={event} onSelect={setSelected} />)}
+                {dayEvents.length > MAX_EVENTS_PER_CELL && (
+                  <button type="button" onClick={() => { setAnchor(day); setView('day'); }} className="text-xs text-indigo-600 hover:underline">
+                    +{dayEvents.length - MAX_EVENTS_PER_CELL} more
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {view === 'week' && (
+        <div className="grid grid-cols-7 border-t border-l border-gray-200 text-sm">
+          {days.map((day, index) => (
+            <div key={dayKey(day)} className="border-r border-b border-gray-200 min-h-[240px]">
+              <div className={`px-2 py-1 text-xs font-medium border-b border-gray-200 ${sameDay(day, today) ? 'bg-brand text-white' : 'bg-gray-50 text-gray-500'}`}>
+                {WEEKDAY_LABELS[index]} {day.getDate()}
+              </div>
+              <div className="p-1 space-y-0.5">
+                {(eventsByDay[dayKey(day)] || []).map(event => <EventChip key={event.id} event={event} onSelect={setSelected} />)}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {view === 'day' && (
+        <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+          {(eventsByDay[dayKey(anchor)] || []).length === 0 && !loading && (
+            <p className="p-4 text-sm text-gray-500">Nothing scheduled on this day.</p>
+          )}
+          {(eventsByDay[dayKey(anchor)] || []).map(event => (
+            <button
+              key={event.id}
+              type="button"
+              onClick={() => setSelected(event)}
+              className="w-full flex items-start gap-4 p-3 text-left hover:bg-gray-50"
+            >
+              <span className="w-28 shrink-0 text-sm text-gray-600 tabular-nums">
+                {formatTime(event.start)}{event.durationMs ? ` – ${formatTime(event.end)}` : ''}
+              </span>
+              <span className="flex-1">
+                <span className={`inline-block text-xs px-2 py-0.5 rounded border mr-2 ${eventClass(event)}`}>
+                  {event.type === 'send' ? 'Send' : 'Automation'}
+                </span>
+                <span className="font-medium text-gray-900">{event.name}</span>
+                {event.targets.length > 0 && (
+                  <span className="block text-xs text-gray-500 mt-0.5">Writes to {event.targets.map(t => t.name).join(', ')}</span>
+                )}
+                {event.conflicts.map(c => (
+                  <span key={c.eventId} className="block text-xs text-red-700 mt-0.5">⚠️ Overlaps {c.name} on {c.dataExtension}</span>
+                ))}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selected && <EventDetails event={selected} onClose={() => setSelected(null)} />}
+    </div>
+  );
+}
+
+export default ScheduleCalendar;
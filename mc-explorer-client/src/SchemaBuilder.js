@@ -13,6 +13,7 @@ const SchemaBuilder = ({
   const [isAddingNode, setIsAddingNode] = useState(false);
   const [isAddingEdge, setIsAddingEdge] = useState(false);
   const [edgeStart, setEdgeStart] = useState(null);
+  const [snapshotInfo, setSnapshotInfo] = useState(null);
   const canvasRef = useRef(null);
   const [canvasDimensions] = useState({ width: 1000, height: 700 });
 
@@ -22,7 +23,8 @@ const SchemaBuilder = ({
   }, [onSchemaChange]);
 
   // --- Call backend to process SFMC relationships ---
-  const loadFromSFMC = async () => {
+  // refresh: false reads the server's metadata snapshot, 'incremental' re-crawls changed objects
+  const loadFromSFMC = async (refresh = false) => {
     try {
       const storedSubdomain = subdomain || localStorage.getItem('subdomain');
       const storedAccessToken = accessToken || localStorage.getItem('accessToken');
@@ -41,7 +43,8 @@ const SchemaBuilder = ({
         body: JSON.stringify({
           schema: { nodes: [], edges: [] },
           accessToken: storedAccessToken,
-          subdomain: storedSubdomain
+          subdomain: storedSubdomain,
+          refresh
         })
       });
 
@@ -60,6 +63,7 @@ const SchemaBuilder = ({
           nodes: data.schema.nodes.length, 
           edges: data.schema.edges.length 
         });
+        setSnapshotInfo(data.snapshot || null);
         handleSchemaChange(data.schema);
       } else {
         alert(`Error: ${data.error}`);
@@ -167,11 +171,17 @@ const SchemaBuilder = ({
       <div className="schema-toolbar">
         <button onClick={() => { setIsAddingNode(!isAddingNode); setIsAddingEdge(false); }}>Add Node</button>
         <button onClick={() => { setIsAddingEdge(!isAddingEdge); setIsAddingNode(false); }}>Add Edge</button>
-        <button onClick={loadFromSFMC}>Load from SFMC</button>
+        <button onClick={() => loadFromSFMC()}>Load from SFMC</button>
+        <button onClick={() => loadFromSFMC('incremental')} title="Fetch only objects modified since the last snapshot">Refresh from SFMC</button>
         <button onClick={exportSchema}>Export</button>
         <input type="file" accept=".json" id="import-input" onChange={importSchema} style={{ display: 'none' }} />
         <button onClick={() => document.getElementById('import-input').click()}>Import</button>
         <button onClick={() => handleSchemaChange({ nodes: [], edges: [] })}>Clear All</button>
+        {snapshotInfo && (
+          <span className="schema-snapshot-info">
+            Snapshot: {new Date(snapshotInfo.refreshedAt).toLocaleString()}
+          </span>
+        )}
       </div>
 
       <div className="schema-canvas-container">
@@ -2,6 +2,11 @@ import React, { useState, useEffect } from 'react';
 
 const baseURL = process.env.REACT_APP_BASE_URL;
 
+const authHeaders = () => ({
+  'Authorization': `Bearer ${localStorage.getItem('accessToken')}`,
+  'x-mc-subdomain': localStorage.getItem('subdomain')
+});
+
 function Settings() {
   // SFTP Configuration state
   const [sftpConfig, setSftpConfig] = useState({
@@ -18,6 +23,7 @@ function Settings() {
   const [sftpLoading, setSftpLoading] = useState(false);
   const [sftpStatus, setSftpStatus] = useState('');
   const [testingConnection, setTestingConnection] = useState(false);
+  const [sftpTestDetails, setSftpTestDetails] = useState(null); // host key and checks of the last connection test
   const [configLoaded, setConfigLoaded] = useState(false);
 
   // Load existing SFTP configuration on component mount
@@ -68,6 +74,7 @@ function Settings() {
   const saveSftpConfig = async () => {
     setSftpLoading(true);
     setSftpStatus('');
+    setSftpTestDetails(null);
     
     try {
       const response = await fetch(`${baseURL}/api/settings/sftp`, {
@@ -100,9 +107,11 @@ function Settings() {
     }
   };
 
+  // Blank password or key fields test with the saved credentials (see /api/settings/sftp/test)
   const testSftpConnection = async () => {
     setTestingConnection(true);
     setSftpStatus('');
+    setSftpTestDetails(null);
     
     try {
       // Validate required fields
@@ -111,31 +120,24 @@ function Settings() {
         setTestingConnection(false);
         return;
       }
-
-      if (sftpConfig.authType === 'password' && !sftpConfig.password) {
-        setSftpStatus('❌ Password is required for password authentication');
-        setTestingConnection(false);
-        return;
-      }
-
-      if (sftpConfig.authType === 'key' && !sftpConfig.privateKey) {
-        setSftpStatus('❌ Private key is required for key authentication');
-        setTestingConnection(false);
-        return;
-      }
       
       const response = await fetch(`${baseURL}/api/settings/sftp/test`, {
         method: 'POST',
         headers: {
+          ...authHeaders(),
           'Content-Type': 'application/json',
         },
+        credentials: 'include',
         body: JSON.stringify(sftpConfig)
       });
 
       const data = await response.json();
       
+      setSftpTestDetails(data.details && typeof data.details === 'object' ? data.details : null);
       if (response.ok && data.success) {
         setSftpStatus('✅ SFTP connection test successful!');
+      } else if (data.category) {
+        setSftpStatus(`❌ Connection failed (${data.category}): ${data.error}`);
       } else {
         setSftpStatus(`❌ Connection failed: ${data.error || 'Unknown error'}`);
       }
@@ -298,13 +300,9 @@ function Settings() {
         <div className="flex items-center space-x-4 mb-4">
           <button
             onClick={testSftpConnection}
-            disabled={testingConnection || !sftpConfig.host || !sftpConfig.username || 
-                     (sftpConfig.authType === 'password' && !sftpConfig.password) ||
-                     (sftpConfig.authType === 'key' && !sftpConfig.privateKey)}
+            disabled={testingConnection || !sftpConfig.host || !sftpConfig.username}
             className={`px-4 py-2 rounded-lg border ${
-              testingConnection || !sftpConfig.host || !sftpConfig.username ||
-              (sftpConfig.authType === 'password' && !sftpConfig.password) ||
-              (sftpConfig.authType === 'key' && !sftpConfig.privateKey)
+              testingConnection || !sftpConfig.host || !sftpConfig.username
                 ? 'bg-gray-100 text-gray-400 border-gray-300 cursor-not-allowed'
                 : 'bg-white text-blue-600 border-blue-600 hover:bg-blue-50'
             }`}
@@ -332,6 +330,32 @@ function Settings() {
             {sftpStatus}
           </div>
         )}
+
+        {sftpTestDetails && (
+          <div className="mt-3 p-3 rounded-lg border border-gray-200 text-sm text-gray-700 space-y-2">
+            <div>
+              <span className="font-medium">Host key: </span>
+              {sftpTestDetails.hostKey
+                ? <span className="font-mono break-all">{sftpTestDetails.hostKey.type} {sftpTestDetails.hostKey.fingerprint}</span>
+                : <span className="text-gray-500">not received</span>}
+            </div>
+            {sftpTestDetails.hostKey && (
+              <p className="text-xs text-gray-500">
+                Compare this fingerprint with the one your SFTP provider publishes before exporting to this server.
+              </p>
+            )}
+            <ul className="space-y-1">
+              {(sftpTestDetails.checks || []).map((check) => (
+                <li key={check.step} className="flex gap-2">
+                  <span>{check.ok ? '✅' : '❌'}</span>
+                  <span className="font-medium capitalize w-20 shrink-0">{check.step}</span>
+                  <span className="break-all">{check.detail}</span>
+                </li>
+              ))}
+            </ul>
+            <p className="text-xs text-gray-500">Finished in {sftpTestDetails.durationMs} ms</p>
+          </div>
+        )}
       </div>
 
       {/* Future Settings Sections */}
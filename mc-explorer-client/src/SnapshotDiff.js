@@ -0,0 +1,370 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import ExportMenu from './components/ExportMenu';
+
+const CHANGE_STYLES = {
+  added: 'bg-green-100 text-green-700',
+  removed: 'bg-red-100 text-red-700',
+  modified: 'bg-amber-100 text-amber-700'
+};
+
+const authHeaders = () => ({
+  'Authorization': `Bearer ${localStorage.getItem('accessToken')}`,
+  'x-mc-subdomain': localStorage.getItem('subdomain')
+});
+
+const formatSnapshotLabel = (snapshot) => {
+  const date = new Date(snapshot.refreshedAt);
+  const when = isNaN(date) ? snapshot.id : date.toLocaleString('en-GB');
+  return `${when} (${snapshot.refreshType || 'full'})`;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const describeField = (field) => {
+  const size = field.maxLength ? `(${field.maxLength}${field.scale ? `,${field.scale}` : ''})` : '';
+  const flags = [field.isPrimaryKey && 'PK', field.isRequired && 'required'].filter(Boolean).join(', ');
+  return `${field.name} ${field.fieldType || ''}${size}${flags ? ` [${flags}]` : ''}`.trim();
+};
+
+// One row per property / field / activity / SQL change so the report reads well in a spreadsheet
+const toReportRows = (changes) => changes.flatMap(change => {
+  const base = { change: change.changeType, assetType: change.assetType, name: change.name, id: change.id };
+  if (change.changeType !== 'modified') return [{ ...base, detail: '', before: '', after: '' }];
+
+  const rows = change.properties.map(p => ({ ...base, detail: p.property, before: formatValue(p.before), after: formatValue(p.after) }));
+  if (change.fields) {
+    change.fields.added.forEach(f => rows.push({ ...base, detail: `field added: ${f.name}`, before: '', after: describeField(f) }));
+    change.fields.removed.forEach(f => rows.push({ ...base, detail: `field removed: ${f.name}`, before: describeField(f), after: '' }));
+    change.fields.modified.forEach(f => f.changes.forEach(c =>
+      rows.push({ ...base, detail: `field ${f.name}.${c.property}`, before: formatValue(c.before), after: formatValue(c.after) })
+    ));
+    if (change.fields.orderChanged) rows.push({ ...base, detail: 'field order changed', before: '', after: '' });
+  }
+  if (change.activities) {
+    change.activities.added.forEach(a => rows.push({ ...base, detail: 'activity added', before: '', after: a }));
+    change.activities.removed.forEach(a => rows.push({ ...base, detail: 'activity removed', before: a, after: '' }));
+  }
+  if (change.sql) {
+    rows.push({ ...base, detail: `SQL (+${change.sql.additions} -${change.sql.deletions})`, before: '', after: change.sql.unified });
+  }
+  return rows;
+});
+
+const downloadCSV = (changes, filename) => {
+  const rows = toReportRows(changes);
+  if (rows.length === 0) return;
+  const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const headers = ['Change', 'Asset Type', 'Name', 'ID', 'Detail', 'Before', 'After'];
+  const csv = [
+    headers.map(escape).join(','),
+    ...rows.map(r => [r.change, r.assetType, r.name, r.id, r.detail, r.before, r.after].map(escape).join(','))
+  ].join('\n');
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${filename}.csv`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+function SqlDiff({ sql }) {
+  return (
+    <div className="mt-2 rounded border border-gray-200 overflow-x-auto">
+      {sql.hunks.map((hunk, index) => (
+        <pre key={index} className="text-xs font-mono m-0">
+          <div className="bg-gray-100 text-gray-500 px-2">
+            @@ -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines} @@
+          </div>
+          {hunk.lines.map((line, lineIndex) => (
+            <div
+              key={lineIndex}
+              className={`px-2 ${line.type === '+' ? 'bg-green-50 text-green-800' : line.type === '-' ? 'bg-red-50 text-red-800' : 'text-gray-700'}`}
+            >
+              {line.type}{line.text}
+            </div>
+          ))}
+        </pre>
+      ))}
+    </div>
+  );
+}
+
+function ChangeDetails({ change }) {
+  return (
+    <div className="mt-3 space-y-3 text-sm">
+      {change.properties.length > 0 && (
+        <table className="w-full text-left text-xs">
+          <thead>
+            <tr className="text-gray-500">
+              <th className="py-1 pr-2 font-medium">Property</th>
+              <th className="py-1 pr-2 font-medium">Before</th>
+              <th className="py-1 font-medium">After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {change.properties.map(p => (
+              <tr key={p.property} className="border-t border-gray-100">
+                <td className="py-1 pr-2 font-mono">{p.property}</td>
+                <td className="py-1 pr-2 text-red-700">{formatValue(p.before)}</td>
+                <td className="py-1 text-green-700">{formatValue(p.after)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {change.fields && (
+        <div>
+          <div className="font-medium text-gray-700 mb-1">Fields</div>
+          <ul className="text-xs font-mono space-y-0.5">
+            {change.fields.added.map(f => <li key={`a-${f.name}`} className="text-green-700">+ {describeField(f)}</li>)}
+            {change.fields.removed.map(f => <li key={`r-${f.name}`} className="text-red-700">- {describeField(f)}</li>)}
+            {change.fields.modified.map(f => (
+              <li key={`m-${f.name}`} className="text-amber-700">
+                ~ {f.name}: {f.changes.map(c => `${c.property} ${formatValue(c.before)} → ${formatValue(c.after)}`).join(', ')}
+              </li>
+            ))}
+            {change.fields.orderChanged && <li className="text-gray-500">Field order changed</li>}
+          </ul>
+        </div>
+      )}
+
+      {change.activities && (
+        <div>
+          <div className="font-medium text-gray-700 mb-1">Activities</div>
+          <ul className="text-xs font-mono space-y-0.5">
+            {change.activities.added.map((a, i) => <li key={`a-${i}`} className="text-green-700">+ {a}</li>)}
+            {change.activities.removed.map((a, i) => <li key={`r-${i}`} className="text-red-700">- {a}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {change.sql && (
+        <div>
+          <div className="font-medium text-gray-700">
+            SQL <span className="text-green-700">+{change.sql.additions}</span> <span className="text-red-700">-{change.sql.deletions}</span>
+          </div>
+          <SqlDiff sql={change.sql} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SnapshotDiff() {
+  const [history, setHistory] = useState([]);
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [capturing, setCapturing] = useState(false);
+  const [error, setError] = useState(null);
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [changeFilter, setChangeFilter] = useState('all');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [expanded, setExpanded] = useState({});
+
+  const loadHistory = async () => {
+    try {
+      const response = await fetch('/api/snapshots/history', { headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      const snapshots = data.snapshots || [];
+      setHistory(snapshots);
+      setToId(snapshots[0]?.id || '');
+      setFromId(snapshots[1]?.id || '');
+    } catch (err) {
+      console.error('❌ [SnapshotDiff] Failed to load snapshot history:', err);
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadHistory();
+  }, []);
+
+  const runDiff = async () => {
+    if (!fromId || !toId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ from: fromId, to: toId });
+      const response = await fetch(`/api/snapshots/diff?${params}`, { headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      setReport(data);
+      setExpanded({});
+    } catch (err) {
+      console.error('❌ [SnapshotDiff] Diff failed:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // A full refresh is used so assets deleted since the last snapshot show up as removed
+  const captureSnapshot = async () => {
+    setCapturing(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/snapshots/refresh', {
+        method: 'POST',
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode: 'full' })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      await loadHistory();
+    } catch (err) {
+      console.error('❌ [SnapshotDiff] Snapshot capture failed:', err);
+      setError(err.message);
+    } finally {
+      setCapturing(false);
+    }
+  };
+
+  const visibleChanges = useMemo(() => {
+    if (!report) return [];
+    const term = searchTerm.trim().toLowerCase();
+    return report.changes.filter(change =>
+      (typeFilter === 'all' || change.assetType === typeFilter) &&
+      (changeFilter === 'all' || change.changeType === changeFilter) &&
+      (!term || change.name.toLowerCase().includes(term) || change.id.toLowerCase().includes(term))
+    );
+  }, [report, typeFilter, changeFilter, searchTerm]);
+
+  const exportName = report ? `snapshot_diff_${report.from.id}_to_${report.to.id}` : 'snapshot_diff';
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Snapshot Diff</h2>
+          <p className="text-sm text-gray-500">
+            What changed in this business unit between two metadata snapshots. Take a snapshot before and after a release to compare them.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={captureSnapshot}
+          disabled={capturing}
+          className="h-9 px-3 rounded-md border border-slate-200 hover:bg-slate-50 transition-colors text-sm whitespace-nowrap disabled:opacity-50"
+        >
+          {capturing ? 'Taking snapshot…' : '📸 Take snapshot now'}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1">From</span>
+          <select value={fromId} onChange={e => setFromId(e.target.value)} className="h-9 px-2 border border-gray-300 rounded-md text-sm">
+            <option value="">Select snapshot…</option>
+            {history.map(s => <option key={s.id} value={s.id}>{formatSnapshotLabel(s)}</option>)}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1">To</span>
+          <select value={toId} onChange={e => setToId(e.target.value)} className="h-9 px-2 border border-gray-300 rounded-md text-sm">
+            <option value="">Select snapshot…</option>
+            {history.map(s => <option key={s.id} value={s.id}>{formatSnapshotLabel(s)}</option>)}
+          </select>
+        </label>
+        <button
+          type="button"
+          onClick={runDiff}
+          disabled={loading || !fromId || !toId || fromId === toId}
+          className="h-9 px-4 rounded-md bg-brand text-white hover:bg-brand-600 transition-colors text-sm disabled:opacity-50"
+        >
+          {loading ? 'Comparing…' : 'Compare'}
+        </button>
+        {report && (
+          <div className="ml-auto">
+            <ExportMenu
+              searchCount={visibleChanges.length}
+              category="this diff report"
+              onExportSearch={() => downloadCSV(visibleChanges, `${exportName}_filtered`)}
+              onExportAll={() => downloadCSV(report.changes, exportName)}
+            />
+          </div>
+        )}
+      </div>
+
+      {history.length < 2 && (
+        <p className="mt-3 text-sm text-gray-500">
+          At least two snapshots are needed. Snapshots are archived every time the metadata snapshot is refreshed.
+        </p>
+      )}
+      {error && <div className="mt-3 p-3 rounded border border-red-200 bg-red-50 text-sm text-red-700">{error}</div>}
+
+      {report && (
+        <div className="mt-6">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className={`px-2 py-1 rounded-full ${CHANGE_STYLES.added}`}>{report.summary.added} added</span>
+            <span className={`px-2 py-1 rounded-full ${CHANGE_STYLES.removed}`}>{report.summary.removed} removed</span>
+            <span className={`px-2 py-1 rounded-full ${CHANGE_STYLES.modified}`}>{report.summary.modified} modified</span>
+            {report.skippedCollections.length > 0 && (
+              <span className="text-xs text-gray-500">
+                Not compared (missing from one snapshot): {report.skippedCollections.join(', ')}
+              </span>
+            )}
+          </div>
+
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <select value={typeFilter} onChange={e => setTypeFilter(e.target.value)} className="h-8 px-2 border border-gray-300 rounded-md text-sm">
+              <option value="all">All asset types</option>
+              {Object.keys(report.summary.byType).map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+            <select value={changeFilter} onChange={e => setChangeFilter(e.target.value)} className="h-8 px-2 border border-gray-300 rounded-md text-sm">
+              <option value="all">All changes</option>
+              <option value="added">Added</option>
+              <option value="removed">Removed</option>
+              <option value="modified">Modified</option>
+            </select>
+            <input
+              type="search"
+              placeholder="Filter by name…"
+              value={searchTerm}
+              onChange={e => setSearchTerm(e.target.value)}
+              className="h-8 px-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+
+          {visibleChanges.length === 0 ? (
+            <p className="mt-4 text-sm text-gray-500">No changes between these snapshots.</p>
+          ) : (
+            <ul className="mt-4 divide-y divide-gray-100 border border-gray-200 rounded-lg">
+              {visibleChanges.map(change => {
+                const key = `${change.collection}|${change.id}`;
+                const canExpand = change.changeType === 'modified';
+                return (
+                  <li key={key} className="p-3">
+                    <button
+                      type="button"
+                      className="w-full flex items-center gap-3 text-left"
+                      onClick={() => canExpand && setExpanded(prev => ({ ...prev, [key]: !prev[key] }))}
+                    >
+                      <span className={`text-xs px-2 py-0.5 rounded-full ${CHANGE_STYLES[change.changeType]}`}>{change.changeType}</span>
+                      <span className="text-xs text-gray-500 w-40 shrink-0">{change.assetType}</span>
+                      <span className="font-medium text-gray-900 truncate">{change.name}</span>
+                      {canExpand && <span className="ml-auto text-gray-400">{expanded[key] ? '▾' : '▸'}</span>}
+                    </button>
+                    {canExpand && expanded[key] && <ChangeDetails change={change} />}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SnapshotDiff;
@@ -0,0 +1,262 @@
+import { useState } from "react";
+
+const baseURL = process.env.REACT_APP_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
+  "x-mc-subdomain": localStorage.getItem("subdomain") || "",
+  "Content-Type": "application/json",
+});
+
+const TYPE_LABELS = {
+  dataExtension: "Data Extension",
+  filter: "Data Filter",
+  query: "SQL Query",
+  filterActivity: "Filter Activity",
+  automation: "Automation",
+};
+
+const ACTION_STYLES = {
+  create: "bg-green-100 text-green-800",
+  update: "bg-blue-100 text-blue-800",
+  unchanged: "bg-slate-100 text-slate-600",
+  exists: "bg-slate-100 text-slate-600",
+  blocked: "bg-red-100 text-red-800",
+  created: "bg-green-100 text-green-800",
+  updated: "bg-blue-100 text-blue-800",
+  reused: "bg-slate-100 text-slate-600",
+  skipped: "bg-amber-100 text-amber-800",
+  failed: "bg-red-100 text-red-800",
+};
+
+const inputClass = "h-8 px-2 border border-slate-200 rounded-md text-sm";
+
+const Badge = ({ value }) => (
+  <span className={`inline-block px-2 py-0.5 rounded text-xs font-medium ${ACTION_STYLES[value] || ACTION_STYLES.unchanged}`}>{value}</span>
+);
+
+const summaryText = (summary) =>
+  Object.entries(summary || {})
+    .map(([action, count]) => `${count} ${action}`)
+    .join(" · ");
+
+// Only changed keys/names are sent; blank inputs keep the packaged values
+const toMappings = (assets, edits) =>
+  Object.fromEntries(
+    assets
+      .map((asset) => [asset.ref, edits[asset.ref] || {}])
+      .filter(([, edit]) => edit.key || edit.name)
+  );
+
+// Import an exported asset package: remap keys/names, pick the business unit, review the plan, then import
+export default function AssetPackageImport({ businessUnits = [] }) {
+  const [pkg, setPkg] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [affix, setAffix] = useState({ prefix: "", suffix: "" });
+  const [targetAccountId, setTargetAccountId] = useState("");
+  const [plan, setPlan] = useState(null);
+  const [invalid, setInvalid] = useState(null);
+  const [results, setResults] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setPlan(null);
+    setResults(null);
+    setInvalid(null);
+  };
+
+  const loadFile = async (event) => {
+    const picked = event.target.files?.[0];
+    if (!picked) return;
+    reset();
+    setEdits({});
+    setError(null);
+    try {
+      setPkg(JSON.parse(await picked.text()));
+    } catch (err) {
+      setPkg(null);
+      setError(`${picked.name} is not valid JSON: ${err.message}`);
+    }
+  };
+
+  const editAsset = (ref, patch) => {
+    setEdits((prev) => ({ ...prev, [ref]: { ...prev[ref], ...patch } }));
+    reset();
+  };
+
+  const applyAffix = () => {
+    const { prefix, suffix } = affix;
+    setEdits(Object.fromEntries(pkg.assets.map((asset) => [
+      asset.ref,
+      { key: `${prefix}${asset.key}${suffix}`, name: `${prefix}${asset.name}${suffix}` },
+    ])));
+    reset();
+  };
+
+  const run = async (dryRun) => {
+    setBusy(dryRun ? "plan" : "import");
+    setError(null);
+    setInvalid(null);
+    try {
+      const res = await fetch(`${baseURL}/api/packages/import`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({
+          package: pkg,
+          mappings: toMappings(pkg.assets || [], edits),
+          targetAccountId: targetAccountId || undefined,
+          dryRun,
+        }),
+      });
+      const body = await res.json();
+      if (res.status === 400 && body.errors) {
+        setInvalid(body.errors);
+        return;
+      }
+      if (!res.ok) throw new Error(body.details || body.error || `HTTP ${res.status}`);
+      if (dryRun) {
+        setPlan(body);
+        setResults(null);
+      } else {
+        setResults(body);
+      }
+    } catch (err) {
+      console.error(`❌ [Asset Packages] ${dryRun ? "plan" : "import"} failed`, err);
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const assets = Array.isArray(pkg?.assets) ? pkg.assets : [];
+  const planFor = (asset) => plan?.plan.find((item) => item.ref === asset.ref);
+  const resultFor = (asset) => results?.results.find((result) => result.ref === asset.ref);
+  const importable = (plan?.plan || []).filter((item) => item.action === "create" || item.action === "update").length;
+
+  return (
+    <div className="space-y-3 text-sm">
+      <p className="text-slate-600">
+        Upload a package exported from the Object Explorer. Give assets new keys and names to import a copy next to the
+        originals; assets that already exist under the same key are reused. Nothing changes until you import the plan.
+      </p>
+      <div className="flex flex-wrap items-center gap-2">
+        <input type="file" accept=".json,application/json" onChange={loadFile} />
+        {businessUnits.length > 1 && (
+          <select className={inputClass} value={targetAccountId} onChange={(e) => { setTargetAccountId(e.target.value); reset(); }}>
+            <option value="">Current business unit</option>
+            {businessUnits.map((bu) => <option key={bu.id} value={bu.id}>{bu.name} ({bu.id})</option>)}
+          </select>
+        )}
+      </div>
+
+      {assets.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <input className={`${inputClass} w-32`} placeholder="Prefix" value={affix.prefix} onChange={(e) => setAffix((prev) => ({ ...prev, prefix: e.target.value }))} />
+          <input className={`${inputClass} w-32`} placeholder="Suffix" value={affix.suffix} onChange={(e) => setAffix((prev) => ({ ...prev, suffix: e.target.value }))} />
+          <button
+            type="button"
+            disabled={!affix.prefix && !affix.suffix}
+            onClick={applyAffix}
+            className="h-8 px-3 rounded-md border border-slate-200 hover:bg-slate-50 disabled:opacity-50"
+          >
+            Apply to all keys and names
+          </button>
+          <div className="flex-1" />
+          <button
+            type="button"
+            disabled={!!busy}
+            onClick={() => run(true)}
+            className="h-8 px-3 rounded-md border border-slate-200 hover:bg-slate-50 disabled:opacity-50"
+          >
+            {busy === "plan" ? "Planning…" : "Plan"}
+          </button>
+          <button
+            type="button"
+            disabled={!plan || !importable || !!busy || !!results}
+            onClick={() => window.confirm(`Import ${importable} asset(s) into Marketing Cloud?`) && run(false)}
+            className="h-8 px-3 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {busy === "import" ? "Importing…" : `Import ${importable || ""}`.trim()}
+          </button>
+        </div>
+      )}
+      {plan && <div className="text-slate-500">{summaryText(results ? results.summary : plan.summary)}</div>}
+
+      {error && <div className="text-red-600">{error}</div>}
+      {invalid && (
+        <div className="border border-red-200 bg-red-50 rounded-md p-3 text-red-700">
+          <div className="font-semibold mb-1">The package cannot be imported:</div>
+          <ul className="list-disc ml-5">
+            {invalid.map((message) => <li key={message}>{message}</li>)}
+          </ul>
+        </div>
+      )}
+      {pkg?.skipped?.length > 0 && (
+        <div className="text-amber-700">
+          Not in the package: {pkg.skipped.map((entry) => `${entry.name} (${entry.reason})`).join("; ")}
+        </div>
+      )}
+
+      {assets.length > 0 && (
+        <div className="overflow-auto max-h-[55vh] border border-slate-200 rounded-md">
+          <table className="w-full">
+            <thead className="bg-slate-50 text-slate-500 sticky top-0">
+              <tr>
+                <th className="text-left font-medium px-3 py-2">Asset</th>
+                <th className="text-left font-medium px-3 py-2">Target key / name</th>
+                <th className="text-left font-medium px-3 py-2">Plan</th>
+                <th className="text-left font-medium px-3 py-2">Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {assets.map((asset) => {
+                const item = planFor(asset);
+                const result = resultFor(asset);
+                const edit = edits[asset.ref] || {};
+                return (
+                  <tr key={asset.ref} className="border-t border-slate-100 align-top">
+                    <td className="px-3 py-2">
+                      <div className="font-medium text-slate-900">{asset.name}</div>
+                      <div className="text-xs text-slate-500">{TYPE_LABELS[asset.type] || asset.type} · {asset.key}</div>
+                    </td>
+                    <td className="px-3 py-2 space-y-1">
+                      <input className={`${inputClass} w-full`} placeholder={asset.key} value={edit.key ?? ""} onChange={(e) => editAsset(asset.ref, { key: e.target.value })} />
+                      <input className={`${inputClass} w-full`} placeholder={asset.name} value={edit.name ?? ""} onChange={(e) => editAsset(asset.ref, { name: e.target.value })} />
+                    </td>
+                    <td className="px-3 py-2 space-y-1">
+                      {item && <Badge value={item.action} />}
+                      {result && <div><Badge value={result.status} /></div>}
+                    </td>
+                    <td className="px-3 py-2 space-y-1">
+                      {item?.foldersToCreate?.length > 0 && (
+                        <div className="text-slate-600">New folder(s): {item.foldersToCreate.join(" / ")}</div>
+                      )}
+                      {item?.addedFields?.length > 0 && (
+                        <div className="text-green-700">
+                          {item.action === "create" ? "Fields" : "Added fields"}: {item.addedFields.join(", ")}
+                        </div>
+                      )}
+                      {(item?.changes || []).map((change) => (
+                        <div key={change.message} className="text-blue-700">
+                          {change.field ? `${change.field}: ` : ""}{change.message}
+                        </div>
+                      ))}
+                      {(item?.incompatible || []).map((conflict) => (
+                        <div key={`${conflict.field}-${conflict.message}`} className="text-red-700">
+                          ⛔ {conflict.field ? `${conflict.field}: ` : ""}{conflict.message}
+                        </div>
+                      ))}
+                      {(item?.notes || []).map((note) => <div key={note} className="text-slate-500">{note}</div>)}
+                      {result?.error && <div className="text-red-700">{result.error}</div>}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
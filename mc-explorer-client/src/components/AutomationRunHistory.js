@@ -0,0 +1,139 @@
+import { useState, useEffect } from "react";
+
+const baseURL = process.env.REACT_APP_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
+  "x-mc-subdomain": localStorage.getItem("subdomain") || "",
+});
+
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return "—";
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+export const formatDateTime = (value) => {
+  if (!value) return "—";
+  const date = new Date(value);
+  return isNaN(date) ? String(value) : date.toLocaleString("en-GB");
+};
+
+const statusClass = (run) =>
+  run.failed
+    ? "bg-red-100 text-red-700"
+    : /complete/i.test(run.status)
+      ? "bg-green-100 text-green-700"
+      : "bg-slate-100 text-slate-700";
+
+// Run history of one automation: one row per AutomationInstance, expandable to its activities
+export default function AutomationRunHistory({ programId, limit = 25 }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    if (!programId) return;
+    setLoading(true);
+    setError(null);
+    fetch(`${baseURL}/automation/runs?programId=${encodeURIComponent(programId)}&limit=${limit}`, { headers: authHeaders() })
+      .then(async (res) => {
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        setData(body);
+        // Open the latest failure straight away; that is usually why the history was opened
+        setExpanded(body.runs.find((run) => run.failed)?.instanceId || null);
+      })
+      .catch((err) => {
+        console.error("❌ [Run History] Failed to load automation runs", err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [programId, limit]);
+
+  if (loading) return <div className="text-sm text-slate-500 py-2">Loading run history…</div>;
+  if (error) return <div className="text-sm text-red-600 py-2">{error}</div>;
+  if (!data || data.runs.length === 0) return <div className="text-sm text-slate-500 py-2">No runs recorded for this automation.</div>;
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-3 text-xs text-slate-600 mb-2">
+        <span>{data.summary.total} runs</span>
+        <span className={data.summary.failed ? "text-red-600 font-medium" : ""}>{data.summary.failed} failed</span>
+        <span>Average duration {formatDuration(data.summary.averageDurationMs)}</span>
+      </div>
+      <div className="overflow-auto max-h-[50vh] border border-slate-200 rounded-md">
+        <table className="w-full text-sm">
+          <thead className="bg-slate-50 text-slate-500 sticky top-0">
+            <tr>
+              <th className="text-left font-medium px-3 py-2">Started</th>
+              <th className="text-left font-medium px-3 py-2">Status</th>
+              <th className="text-left font-medium px-3 py-2">Duration</th>
+              <th className="text-left font-medium px-3 py-2">Failed at</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.runs.map((run) => (
+              <RunRow
+                key={run.instanceId}
+                run={run}
+                open={expanded === run.instanceId}
+                onToggle={() => setExpanded(expanded === run.instanceId ? null : run.instanceId)}
+              />
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export function RunRow({ run, open, onToggle }) {
+  return (
+    <>
+      <tr className="border-t border-slate-100 cursor-pointer hover:bg-slate-50" onClick={onToggle}>
+        <td className="px-3 py-2 whitespace-nowrap">{formatDateTime(run.startTime)}</td>
+        <td className="px-3 py-2">
+          <span className={`text-xs px-2 py-0.5 rounded-full ${statusClass(run)}`}>{run.status}</span>
+        </td>
+        <td className="px-3 py-2 whitespace-nowrap">{formatDuration(run.durationMs)}</td>
+        <td className="px-3 py-2 text-slate-600">
+          {run.failedActivity
+            ? `${run.failedStep ? `Step ${run.failedStep.stepNumber} · ` : ""}${run.failedActivity.name}`
+            : run.failed ? "—" : ""}
+        </td>
+      </tr>
+      {open && (
+        <tr className="bg-slate-50">
+          <td colSpan={4} className="px-3 py-2">
+            {run.errors.length > 0 && (
+              <ul className="mb-2 text-xs text-red-700 space-y-1">
+                {run.errors.map((message, index) => <li key={index}>{message}</li>)}
+              </ul>
+            )}
+            {run.activities.length === 0 ? (
+              <div className="text-xs text-slate-500">No activity details recorded for this run.</div>
+            ) : (
+              <table className="w-full text-xs">
+                <tbody>
+                  {run.activities.map((activity) => (
+                    <tr key={activity.id || activity.activityId} className={activity.failed ? "text-red-700" : "text-slate-700"}>
+                      <td className="py-0.5 pr-3 whitespace-nowrap">{activity.stepNumber !== null ? `Step ${activity.stepNumber}` : "—"}</td>
+                      <td className="py-0.5 pr-3">{activity.name}{activity.activityType ? ` (${activity.activityType})` : ""}</td>
+                      <td className="py-0.5 pr-3">{activity.status}</td>
+                      <td className="py-0.5 whitespace-nowrap">{formatDuration(activity.durationMs)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,90 @@
+import { useState, useEffect } from "react";
+
+const baseURL = process.env.REACT_APP_BASE_URL;
+
+// Lists the enterprise's business units and re-scopes the session token to the chosen one.
+// The page reloads after a switch so every module refetches against the new BU.
+export default function BusinessUnitSwitcher() {
+  const [businessUnits, setBusinessUnits] = useState([]);
+  const [currentId, setCurrentId] = useState(localStorage.getItem("mc_accountId") || "");
+  const [switching, setSwitching] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch(`${baseURL}/business-units`, {
+      credentials: "include",
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
+        "x-mc-subdomain": localStorage.getItem("subdomain") || "",
+      },
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!data) return;
+        setBusinessUnits(data.businessUnits || []);
+        if (data.currentAccountId) setCurrentId(String(data.currentAccountId));
+      })
+      .catch((err) => console.error("❌ [BU Switcher] Failed to load business units", err));
+  }, []);
+
+  const switchTo = async (accountId) => {
+    if (!accountId || accountId === currentId) return;
+    setSwitching(true);
+    setError(null);
+    try {
+      const res = await fetch(`${baseURL}/business-units/switch`, {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ accountId }),
+      });
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.error || `HTTP ${res.status}`);
+      localStorage.setItem("accessToken", data.accessToken);
+      localStorage.setItem("mc_accountId", data.accountId);
+      window.location.reload();
+    } catch (err) {
+      console.error("❌ [BU Switcher] Switch failed", err);
+      setError(err.message);
+      setSwitching(false);
+    }
+  };
+
+  // Nothing to switch between in a single-BU account
+  if (businessUnits.length < 2) return null;
+
+  const byParent = businessUnits.reduce((acc, bu) => {
+    const key = bu.parentId && businessUnits.some((p) => p.id === bu.parentId) ? bu.parentId : "root";
+    (acc[key] = acc[key] || []).push(bu);
+    return acc;
+  }, {});
+  const options = [];
+  const addOptions = (parentKey, depth) => {
+    (byParent[parentKey] || []).forEach((bu) => {
+      options.push({ ...bu, depth });
+      addOptions(bu.id, depth + 1);
+    });
+  };
+  addOptions("root", 0);
+
+  return (
+    <div className="flex items-center gap-2">
+      <select
+        value={currentId}
+        disabled={switching}
+        onChange={(e) => switchTo(e.target.value)}
+        aria-label="Business unit"
+        title={error || "Switch business unit"}
+        className={`h-8 px-2 rounded-md border text-sm bg-white ${error ? "border-red-400" : "border-slate-200"}`}
+      >
+        {!currentId && <option value="">Select business unit…</option>}
+        {options.map((bu) => (
+          <option key={bu.id} value={bu.id} disabled={!bu.isActive}>
+            {"\u00A0\u00A0".repeat(bu.depth)}{bu.name} ({bu.id})
+          </option>
+        ))}
+      </select>
+      {switching && <span className="text-xs text-slate-500">Switching…</span>}
+    </div>
+  );
+}
@@ -0,0 +1,234 @@
+import { useState, useEffect } from "react";
+
+const baseURL = process.env.REACT_APP_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
+  "x-mc-subdomain": localStorage.getItem("subdomain") || "",
+});
+
+const FIELD_TYPES = ["Text", "Number", "Decimal", "Date", "Boolean", "EmailAddress", "Phone", "Locale"];
+
+const inputClass = "h-8 px-2 border border-slate-200 rounded-md text-sm";
+
+// Only the fields whose type or size was changed are sent as overrides
+const toOverrides = (fields, edits) =>
+  Object.fromEntries(
+    fields
+      .filter((field) => edits[field.name])
+      .map((field) => [field.name, edits[field.name]])
+      .filter(([, edit]) => Object.values(edit).some((value) => value !== "" && value !== undefined))
+  );
+
+// Copy a Data Extension's definition (and optionally its rows) under a new name, folder and business unit
+export default function DataExtensionClone({ customerKey, name, businessUnits = [] }) {
+  const [schema, setSchema] = useState(null);
+  const [form, setForm] = useState({
+    name: `${name}_Copy`,
+    customerKey: "",
+    targetAccountId: "",
+    folderPath: "",
+    description: "",
+    copyRows: false,
+  });
+  const [edits, setEdits] = useState({});
+  const [plan, setPlan] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch(`${baseURL}/de/schema?key=${encodeURIComponent(customerKey)}`, { headers: authHeaders() })
+      .then(async (res) => {
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        setSchema(body);
+      })
+      .catch((err) => setError(err.message));
+  }, [customerKey]);
+
+  const update = (patch) => {
+    setForm((prev) => ({ ...prev, ...patch }));
+    setPlan(null);
+  };
+
+  const editField = (fieldName, patch) => {
+    setEdits((prev) => ({ ...prev, [fieldName]: { ...prev[fieldName], ...patch } }));
+    setPlan(null);
+  };
+
+  const submit = async (dryRun) => {
+    setBusy(dryRun ? "preview" : "clone");
+    setError(null);
+    try {
+      const res = await fetch(`${baseURL}/de/clone`, {
+        method: "POST",
+        headers: { ...authHeaders(), "Content-Type": "application/json" },
+        body: JSON.stringify({
+          sourceKey: customerKey,
+          name: form.name,
+          customerKey: form.customerKey || undefined,
+          targetAccountId: form.targetAccountId || undefined,
+          folderPath: form.folderPath || undefined,
+          description: form.description || undefined,
+          copyRows: form.copyRows,
+          fieldOverrides: toOverrides(schema?.fields || [], edits),
+          dryRun,
+        }),
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.details || body.error || `HTTP ${res.status}`);
+      if (dryRun) setPlan(body);
+      else setResult(body);
+    } catch (err) {
+      console.error("❌ [DE Clone] Clone failed", err);
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="space-y-2 text-sm">
+        <div className="text-green-700 font-medium">
+          ✅ Created {result.name} ({result.customerKey}){result.targetAccountId ? ` in business unit ${result.targetAccountId}` : ""}.
+        </div>
+        {result.rows && (
+          <div className={result.rows.failed || result.rows.truncated ? "text-amber-700" : "text-slate-600"}>
+            Copied {result.rows.copied} row(s){result.rows.failed ? `, ${result.rows.failed} failed` : ""}
+            {result.rows.truncated ? " — stopped at the server's row limit" : ""}.
+            {result.rows.errors.length > 0 && (
+              <ul className="list-disc ml-5 mt-1">
+                {result.rows.errors.map((message) => <li key={message}>{message}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+        {result.warnings.length > 0 && (
+          <div className="text-amber-700">{result.warnings.length} field warning(s) applied — check the copied rows.</div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="grid grid-cols-2 gap-3">
+        <label className="flex flex-col gap-1">
+          <span className="font-semibold">New name</span>
+          <input className={inputClass} value={form.name} onChange={(e) => update({ name: e.target.value })} />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="font-semibold">Customer key</span>
+          <input className={inputClass} value={form.customerKey} placeholder="Same as the name" onChange={(e) => update({ customerKey: e.target.value })} />
+        </label>
+        {businessUnits.length > 1 && (
+          <label className="flex flex-col gap-1">
+            <span className="font-semibold">Business unit</span>
+            <select className={inputClass} value={form.targetAccountId} onChange={(e) => update({ targetAccountId: e.target.value })}>
+              <option value="">Current business unit</option>
+              {businessUnits.map((bu) => <option key={bu.id} value={bu.id}>{bu.name} ({bu.id})</option>)}
+            </select>
+          </label>
+        )}
+        <label className="flex flex-col gap-1">
+          <span className="font-semibold">Folder</span>
+          <input
+            className={inputClass}
+            value={form.folderPath}
+            placeholder={form.targetAccountId ? "Data Extensions (root)" : "Same folder as the source"}
+            onChange={(e) => update({ folderPath: e.target.value })}
+          />
+        </label>
+        <label className="flex flex-col gap-1 col-span-2">
+          <span className="font-semibold">Description</span>
+          <input className={inputClass} value={form.description} placeholder={schema?.description || ""} onChange={(e) => update({ description: e.target.value })} />
+        </label>
+      </div>
+
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={form.copyRows} onChange={(e) => update({ copyRows: e.target.checked })} />
+        Copy rows too
+      </label>
+
+      {schema && (
+        <div className="overflow-auto max-h-[35vh] border border-slate-200 rounded-md">
+          <table className="w-full">
+            <thead className="bg-slate-50 text-slate-500 sticky top-0">
+              <tr>
+                <th className="text-left font-medium px-3 py-2">Field</th>
+                <th className="text-left font-medium px-3 py-2">Source type</th>
+                <th className="text-left font-medium px-3 py-2">Target type</th>
+                <th className="text-left font-medium px-3 py-2">Length / Precision, Scale</th>
+              </tr>
+            </thead>
+            <tbody>
+              {schema.fields.map((field) => {
+                const edit = edits[field.name] || {};
+                const targetType = edit.fieldType || field.fieldType;
+                const warnings = (plan?.warnings || []).filter((w) => w.field === field.name);
+                return (
+                  <tr key={field.name} className="border-t border-slate-100 align-top">
+                    <td className="px-3 py-1.5 font-medium">{field.isPrimaryKey && "🔑 "}{field.name}</td>
+                    <td className="px-3 py-1.5 text-slate-600">
+                      {field.fieldType}
+                      {field.fieldType === "Decimal" ? `(${field.precision},${field.scale})` : field.length ? `(${field.length})` : ""}
+                    </td>
+                    <td className="px-3 py-1.5">
+                      <select className={inputClass} value={targetType} onChange={(e) => editField(field.name, { fieldType: e.target.value })}>
+                        {FIELD_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+                      </select>
+                      {warnings.map((w) => <div key={w.message} className="text-xs text-amber-700 mt-1">⚠️ {w.message}</div>)}
+                    </td>
+                    <td className="px-3 py-1.5">
+                      {targetType === "Decimal" ? (
+                        <div className="flex gap-1">
+                          <input className={`${inputClass} w-16`} placeholder={String(field.precision ?? 18)} value={edit.precision ?? ""} onChange={(e) => editField(field.name, { precision: e.target.value })} />
+                          <input className={`${inputClass} w-16`} placeholder={String(field.scale ?? 0)} value={edit.scale ?? ""} onChange={(e) => editField(field.name, { scale: e.target.value })} />
+                        </div>
+                      ) : ["Text", "EmailAddress", "Phone"].includes(targetType) ? (
+                        <input className={`${inputClass} w-20`} placeholder={String(field.length ?? "")} value={edit.length ?? ""} onChange={(e) => editField(field.name, { length: e.target.value })} />
+                      ) : (
+                        <span className="text-slate-400">—</span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {plan && (
+        <div className="text-xs text-slate-600">
+          Ready to create {plan.customerKey}
+          {plan.foldersToCreate.length > 0 ? `; folder(s) to create: ${plan.foldersToCreate.join(" / ")}` : ""}
+          {plan.warnings.length ? `; ${plan.warnings.length} field warning(s) above.` : "; no field warnings."}
+        </div>
+      )}
+      {error && <div className="text-red-600">{error}</div>}
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          disabled={!!busy || !schema || !form.name.trim()}
+          onClick={() => submit(true)}
+          className="h-8 px-3 rounded-md border border-slate-200 hover:bg-slate-50 disabled:opacity-50"
+        >
+          {busy === "preview" ? "Checking…" : "Preview"}
+        </button>
+        <button
+          type="button"
+          disabled={!!busy || !plan}
+          onClick={() => submit(false)}
+          title={plan ? "" : "Preview the clone first"}
+          className="h-8 px-3 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {busy === "clone" ? "Cloning…" : "Clone"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import { useState } from "react";
+
+const baseURL = process.env.REACT_APP_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
+  "x-mc-subdomain": localStorage.getItem("subdomain") || "",
+  "Content-Type": "application/json",
+});
+
+const ACTION_STYLES = {
+  create: "bg-green-100 text-green-800",
+  update: "bg-blue-100 text-blue-800",
+  unchanged: "bg-slate-100 text-slate-600",
+  blocked: "bg-red-100 text-red-800",
+  created: "bg-green-100 text-green-800",
+  updated: "bg-blue-100 text-blue-800",
+  skipped: "bg-amber-100 text-amber-800",
+  failed: "bg-red-100 text-red-800",
+};
+
+const Badge = ({ value }) => (
+  <span className={`inline-block px-2 py-0.5 rounded text-xs font-medium ${ACTION_STYLES[value] || ACTION_STYLES.unchanged}`}>{value}</span>
+);
+
+const summaryText = (summary) =>
+  Object.entries(summary || {})
+    .map(([action, count]) => `${count} ${action}`)
+    .join(" · ");
+
+// Data Extensions as code: upload a JSON/CSV definition file, review the plan, then apply it
+export default function DataExtensionDefinitions() {
+  const [file, setFile] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [invalid, setInvalid] = useState(null);
+  const [results, setResults] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const post = async (path) => {
+    const res = await fetch(`${baseURL}${path}`, {
+      method: "POST",
+      headers: authHeaders(),
+      body: JSON.stringify({ filename: file.name, content: file.content }),
+    });
+    const body = await res.json();
+    if (res.status === 400 && body.errors) {
+      setInvalid(body.errors);
+      return null;
+    }
+    if (!res.ok) throw new Error(body.details || body.error || `HTTP ${res.status}`);
+    return body;
+  };
+
+  const loadFile = async (event) => {
+    const picked = event.target.files?.[0];
+    if (!picked) return;
+    setFile({ name: picked.name, content: await picked.text() });
+    setPlan(null);
+    setInvalid(null);
+    setResults(null);
+    setError(null);
+  };
+
+  const run = async (step) => {
+    setBusy(step);
+    setError(null);
+    setInvalid(null);
+    try {
+      const body = await post(step === "plan" ? "/de/definitions/plan" : "/de/definitions/apply");
+      if (!body) return;
+      if (step === "plan") {
+        setPlan(body);
+        setResults(null);
+      } else {
+        setResults(body);
+      }
+    } catch (err) {
+      console.error(`❌ [DE Definitions] ${step} failed`, err);
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const applicable = (plan?.plan || []).filter((item) => item.action === "create" || item.action === "update").length;
+  const resultFor = (item) => results?.results.find((r) => r.customerKey === item.customerKey);
+
+  return (
+    <div className="space-y-3 text-sm">
+      <p className="text-slate-600">
+        Upload a JSON or CSV definition file (the format of the field schema export, plus an optional <code>folder</code> such as
+        {" "}<code>Data Extensions/Marketing</code>). Nothing changes until you apply the plan.
+      </p>
+      <div className="flex items-center gap-2">
+        <input type="file" accept=".json,.csv,application/json,text/csv" onChange={loadFile} />
+        <button
+          type="button"
+          disabled={!file || !!busy}
+          onClick={() => run("plan")}
+          className="h-8 px-3 rounded-md border border-slate-200 hover:bg-slate-50 disabled:opacity-50"
+        >
+          {busy === "plan" ? "Planning…" : "Plan"}
+        </button>
+        <button
+          type="button"
+          disabled={!plan || !applicable || !!busy || !!results}
+          onClick={() => window.confirm(`Apply ${applicable} create(s)/update(s) in Marketing Cloud?`) && run("apply")}
+          className="h-8 px-3 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {busy === "apply" ? "Applying…" : `Apply ${applicable || ""}`.trim()}
+        </button>
+        {plan && <span className="text-slate-500">{summaryText(results ? results.summary : plan.summary)}</span>}
+      </div>
+
+      {error && <div className="text-red-600">{error}</div>}
+      {invalid && (
+        <div className="border border-red-200 bg-red-50 rounded-md p-3 text-red-700">
+          <div className="font-semibold mb-1">The file has invalid definitions:</div>
+          <ul className="list-disc ml-5">
+            {invalid.map((entry) => (
+              <li key={`${entry.index}-${entry.customerKey}`}>
+                <span className="font-medium">{entry.customerKey || "File"}:</span> {entry.errors.join("; ")}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {plan && (
+        <div className="overflow-auto max-h-[55vh] border border-slate-200 rounded-md">
+          <table className="w-full">
+            <thead className="bg-slate-50 text-slate-500 sticky top-0">
+              <tr>
+                <th className="text-left font-medium px-3 py-2">Data Extension</th>
+                <th className="text-left font-medium px-3 py-2">Plan</th>
+                <th className="text-left font-medium px-3 py-2">Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.plan.map((item) => {
+                const result = resultFor(item);
+                return (
+                  <tr key={item.customerKey} className="border-t border-slate-100 align-top">
+                    <td className="px-3 py-2">
+                      <div className="font-medium text-slate-900">{item.name}</div>
+                      <div className="text-xs text-slate-500">{item.customerKey}</div>
+                      {item.folder && <div className="text-xs text-slate-500">📁 {item.folder}</div>}
+                    </td>
+                    <td className="px-3 py-2 space-y-1">
+                      <Badge value={item.action} />
+                      {result && <div><Badge value={result.status} /></div>}
+                    </td>
+                    <td className="px-3 py-2 space-y-1">
+                      {item.foldersToCreate.length > 0 && (
+                        <div className="text-slate-600">New folder(s): {item.foldersToCreate.join(" / ")}</div>
+                      )}
+                      {item.addedFields.length > 0 && (
+                        <div className="text-green-700">
+                          {item.action === "create" ? "Fields" : "Added fields"}: {item.addedFields.join(", ")}
+                        </div>
+                      )}
+                      {item.changes.map((change) => (
+                        <div key={change.message} className="text-blue-700">
+                          {change.field ? `${change.field}: ` : ""}{change.message}
+                        </div>
+                      ))}
+                      {item.incompatible.map((conflict) => (
+                        <div key={`${conflict.field}-${conflict.message}`} className="text-red-700">
+                          ⛔ {conflict.field ? `${conflict.field}: ` : ""}{conflict.message}
+                        </div>
+                      ))}
+                      {item.notes.map((note) => <div key={note} className="text-slate-500">{note}</div>)}
+                      {result?.error && <div className="text-red-700">{result.error}</div>}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,318 @@
+import { useState, useEffect, useCallback } from "react";
+
+const baseURL = process.env.REACT_APP_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
+  "x-mc-subdomain": localStorage.getItem("subdomain") || "",
+});
+
+// SOAP SimpleOperators the server accepts (see dataExtensionRows.js) and how many values they take
+const OPERATORS = [
+  { value: "equals", label: "equals", values: 1 },
+  { value: "notEquals", label: "does not equal", values: 1 },
+  { value: "like", label: "is like (% wildcard)", values: 1 },
+  { value: "greaterThan", label: ">", values: 1 },
+  { value: "greaterThanOrEqual", label: "≥", values: 1 },
+  { value: "lessThan", label: "<", values: 1 },
+  { value: "lessThanOrEqual", label: "≤", values: 1 },
+  { value: "between", label: "is between", values: 2 },
+  { value: "IN", label: "is one of (comma separated)", values: "many" },
+  { value: "isNull", label: "is empty", values: 0 },
+  { value: "isNotNull", label: "is not empty", values: 0 },
+];
+
+const PAGE_SIZES = [25, 50, 100, 250];
+
+const arityOf = (operator) => OPERATORS.find((op) => op.value === operator)?.values ?? 1;
+
+const newCondition = (field = "") => ({ connector: "AND", field, operator: "equals", value: "", value2: "" });
+
+const toFilterPart = ({ field, operator, value, value2 }) => {
+  const arity = arityOf(operator);
+  if (arity === 0) return { property: field, operator };
+  if (arity === 2) return { property: field, operator, values: [value, value2] };
+  if (arity === "many") return { property: field, operator, values: value.split(",").map((v) => v.trim()).filter(Boolean) };
+  return { property: field, operator, value };
+};
+
+// Fold the condition rows left to right into simple/complex filter parts
+const buildFilter = (conditions) =>
+  conditions
+    .filter((c) => c.field && (arityOf(c.operator) === 0 || c.value !== ""))
+    .reduce((filter, c) => (filter ? { left: filter, logicalOperator: c.connector, right: toFilterPart(c) } : toFilterPart(c)), null);
+
+const postJson = (path, body) =>
+  fetch(`${baseURL}${path}`, {
+    method: "POST",
+    headers: { ...authHeaders(), "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+// Paged, filterable view of one Data Extension's rows with column selection and CSV export
+export default function DataExtensionRowBrowser({ customerKey, name }) {
+  const [fields, setFields] = useState([]);
+  const [columns, setColumns] = useState([]);
+  const [conditions, setConditions] = useState([]);
+  const [query, setQuery] = useState({ columns: [], filter: null });
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(50);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [exportNote, setExportNote] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await postJson("/de/rows", { key: customerKey, ...query, page, pageSize });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+      setResult(body);
+      setFields((prev) => (prev.length ? prev : body.fields));
+      setColumns((prev) => (prev.length ? prev : body.columns));
+    } catch (err) {
+      console.error("❌ [DE Rows] Failed to load rows", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [customerKey, query, page, pageSize]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const apply = () => {
+    setPage(1);
+    setQuery({ columns: columns.length === fields.length ? [] : columns, filter: buildFilter(conditions) });
+  };
+
+  const updateCondition = (index, patch) =>
+    setConditions((prev) => prev.map((c, i) => (i === index ? { ...c, ...patch } : c)));
+
+  const toggleColumn = (name) =>
+    setColumns((prev) =>
+      prev.includes(name) ? prev.filter((c) => c !== name) : fields.map((f) => f.name).filter((f) => f === name || prev.includes(f))
+    );
+
+  const exportCsv = async () => {
+    setExporting(true);
+    setExportNote(null);
+    try {
+      const res = await postJson("/de/rows/export", { key: customerKey, ...query });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${res.status}`);
+      }
+      if (res.headers.get("X-Rows-Truncated") === "true") {
+        setExportNote("The export stopped at the server's row limit; narrow the filter to get the rest.");
+      }
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${customerKey.replace(/[^\w.-]+/g, "_")}_rows.csv`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setExportNote(`Export failed: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const shownColumns = result?.columns || [];
+  const firstRow = result ? (result.page - 1) * result.pageSize + 1 : 0;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-start gap-3">
+        <details className="relative">
+          <summary className="h-8 px-3 inline-flex items-center rounded-md border border-slate-200 text-sm cursor-pointer hover:bg-slate-50">
+            Columns ({columns.length}/{fields.length})
+          </summary>
+          <div className="absolute z-10 mt-1 w-64 max-h-72 overflow-auto bg-white border border-slate-200 rounded-md shadow p-2 space-y-1">
+            <div className="flex gap-2 text-xs mb-1">
+              <button type="button" className="text-indigo-600 hover:underline" onClick={() => setColumns(fields.map((f) => f.name))}>All</button>
+              <button type="button" className="text-indigo-600 hover:underline" onClick={() => setColumns([])}>None</button>
+            </div>
+            {fields.map((field) => (
+              <label key={field.name} className="flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={columns.includes(field.name)} onChange={() => toggleColumn(field.name)} />
+                <span>{field.name}</span>
+                <span className="text-xs text-slate-400">{field.fieldType}</span>
+              </label>
+            ))}
+          </div>
+        </details>
+
+        <div className="flex-1 min-w-[320px] space-y-1">
+          {conditions.map((condition, index) => {
+            const arity = arityOf(condition.operator);
+            return (
+              <div key={index} className="flex flex-wrap items-center gap-1 text-sm">
+                {index === 0 ? (
+                  <span className="w-16 text-slate-500">Where</span>
+                ) : (
+                  <select
+                    className="w-16 h-8 border border-slate-200 rounded-md"
+                    value={condition.connector}
+                    onChange={(e) => updateCondition(index, { connector: e.target.value })}
+                  >
+                    <option value="AND">AND</option>
+                    <option value="OR">OR</option>
+                  </select>
+                )}
+                <select
+                  className="h-8 border border-slate-200 rounded-md"
+                  value={condition.field}
+                  onChange={(e) => updateCondition(index, { field: e.target.value })}
+                >
+                  {fields.map((f) => <option key={f.name} value={f.name}>{f.name}</option>)}
+                </select>
+                <select
+                  className="h-8 border border-slate-200 rounded-md"
+                  value={condition.operator}
+                  onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                >
+                  {OPERATORS.map((op) => <option key={op.value} value={op.value}>{op.label}</option>)}
+                </select>
+                {arity !== 0 && (
+                  <input
+                    className="h-8 px-2 border border-slate-200 rounded-md"
+                    value={condition.value}
+                    placeholder={arity === "many" ? "a, b, c" : "value"}
+                    onChange={(e) => updateCondition(index, { value: e.target.value })}
+                    onKeyDown={(e) => e.key === "Enter" && apply()}
+                  />
+                )}
+                {arity === 2 && (
+                  <>
+                    <span className="text-slate-500">and</span>
+                    <input
+                      className="h-8 px-2 border border-slate-200 rounded-md"
+                      value={condition.value2}
+                      onChange={(e) => updateCondition(index, { value2: e.target.value })}
+                      onKeyDown={(e) => e.key === "Enter" && apply()}
+                    />
+                  </>
+                )}
+                <button
+                  type="button"
+                  className="text-slate-400 hover:text-red-600 px-1"
+                  onClick={() => setConditions((prev) => prev.filter((_, i) => i !== index))}
+                  aria-label="Remove condition"
+                >
+                  &#10005;
+                </button>
+              </div>
+            );
+          })}
+          <div className="flex items-center gap-2 text-sm">
+            <button
+              type="button"
+              className="text-indigo-600 hover:underline"
+              onClick={() => setConditions((prev) => [...prev, newCondition(fields[0]?.name)])}
+              disabled={fields.length === 0}
+            >
+              + Add condition
+            </button>
+            {conditions.length > 1 && <span className="text-xs text-slate-400">Conditions combine left to right: (1 AND 2) OR 3</span>}
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={apply}
+            disabled={loading || columns.length === 0}
+            className="h-8 px-3 rounded-md bg-indigo-600 text-white text-sm hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Apply
+          </button>
+          <button
+            type="button"
+            onClick={exportCsv}
+            disabled={exporting || !result}
+            className="h-8 px-3 rounded-md border border-slate-200 text-sm hover:bg-slate-50 disabled:opacity-50"
+            title={`Download the filtered rows of ${name || customerKey}`}
+          >
+            {exporting ? "Exporting…" : "Export CSV"}
+          </button>
+        </div>
+      </div>
+
+      {exportNote && <div className="text-xs text-amber-700">{exportNote}</div>}
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <div className="overflow-auto max-h-[55vh] border border-slate-200 rounded-md">
+        <table className="w-full text-sm">
+          <thead className="bg-slate-50 text-slate-500 sticky top-0">
+            <tr>
+              {shownColumns.map((column) => (
+                <th key={column} className="text-left font-medium px-3 py-2 whitespace-nowrap">
+                  {fields.find((f) => f.name === column)?.isPrimaryKey && "🔑 "}
+                  {column}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className={loading ? "opacity-50" : ""}>
+            {result?.rows.map((row, index) => (
+              <tr key={index} className="border-t border-slate-100">
+                {shownColumns.map((column) => (
+                  <td key={column} className="px-3 py-1.5 whitespace-nowrap">{row[column]}</td>
+                ))}
+              </tr>
+            ))}
+            {result && result.rows.length === 0 && (
+              <tr><td colSpan={shownColumns.length || 1} className="px-3 py-2 text-slate-500">No rows match.</td></tr>
+            )}
+            {!result && loading && (
+              <tr><td className="px-3 py-2 text-slate-500">Loading rows…</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {result && (
+        <div className="flex items-center justify-between text-sm text-slate-600">
+          <span>
+            {result.rows.length ? `Rows ${firstRow}–${firstRow + result.rows.length - 1}` : "No rows"}
+            {result.total !== null ? ` of ${result.total}` : result.hasMore ? " (more available)" : ""}
+          </span>
+          <div className="flex items-center gap-2">
+            <select
+              className="h-8 border border-slate-200 rounded-md"
+              value={pageSize}
+              onChange={(e) => { setPage(1); setPageSize(Number(e.target.value)); }}
+            >
+              {PAGE_SIZES.map((size) => <option key={size} value={size}>{size} / page</option>)}
+            </select>
+            <button
+              type="button"
+              disabled={loading || page === 1}
+              onClick={() => setPage((p) => p - 1)}
+              className="h-8 px-3 rounded-md border border-slate-200 hover:bg-slate-50 disabled:opacity-50"
+            >
+              ← Prev
+            </button>
+            <span>Page {page}</span>
+            <button
+              type="button"
+              disabled={loading || !result.hasMore}
+              onClick={() => setPage((p) => p + 1)}
+              className="h-8 px-3 rounded-md border border-slate-200 hover:bg-slate-50 disabled:opacity-50"
+            >
+              Next →
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import { useState, useEffect } from "react";
+
+const baseURL = process.env.REACT_APP_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
+  "x-mc-subdomain": localStorage.getItem("subdomain") || "",
+});
+
+export const SCHEMA_EXPORT_FORMATS = [
+  { format: "json", label: "JSON" },
+  { format: "csv", label: "CSV" },
+  { format: "sql", label: "CREATE TABLE" },
+];
+
+// Download the schemas of one or many DEs through the server export (see /de/schema/export)
+export async function downloadSchemaExport(keys, format) {
+  const res = await fetch(`${baseURL}/de/schema/export`, {
+    method: "POST",
+    headers: { ...authHeaders(), "Content-Type": "application/json" },
+    body: JSON.stringify({ keys, format }),
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || `HTTP ${res.status}`);
+  }
+  const filename = (res.headers.get("Content-Disposition") || "").match(/filename="([^"]+)"/)?.[1] || `schema.${format}`;
+  const url = URL.createObjectURL(await res.blob());
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+const describeRetention = (retention) => {
+  if (!retention) return "None";
+  const period = retention.retainUntil
+    ? `Until ${new Date(retention.retainUntil).toLocaleDateString("en-GB")}`
+    : `${retention.periodLength} ${retention.period || "(unit not set)"}`;
+  return [
+    period,
+    retention.rowBased ? "individual records" : "all records",
+    retention.resetOnImport && "reset on import",
+    retention.deleteAtEndOfPeriod && "deletes the DE at the end",
+  ].filter(Boolean).join(", ");
+};
+
+const sizeOf = (field) =>
+  field.precision !== null ? `${field.precision}, ${field.scale}` : field.length ?? "—";
+
+// Field schema of one Data Extension with sendable/retention settings and schema export
+export default function DataExtensionSchema({ customerKey, name }) {
+  const [schema, setSchema] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(null);
+
+  useEffect(() => {
+    if (!customerKey && !name) return;
+    setLoading(true);
+    setError(null);
+    const query = customerKey ? `key=${encodeURIComponent(customerKey)}` : `name=${encodeURIComponent(name)}`;
+    fetch(`${baseURL}/de/schema?${query}`, { headers: authHeaders() })
+      .then(async (res) => {
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        setSchema(body);
+      })
+      .catch((err) => {
+        console.error("❌ [DE Schema] Failed to load schema", err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [customerKey, name]);
+
+  const runExport = async (format) => {
+    setExporting(format);
+    try {
+      await downloadSchemaExport([schema.customerKey], format);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  if (loading) return <div className="text-sm text-slate-500 py-2">Loading field schema…</div>;
+  if (error) return <div className="text-sm text-red-600 py-2">{error}</div>;
+  if (!schema) return null;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div className="text-xs text-slate-600 space-x-3">
+          <span>
+            <span className="font-semibold">Sendable:</span>{" "}
+            {schema.isSendable ? `${schema.sendableField} → ${schema.sendableSubscriberField}` : "No"}
+          </span>
+          <span><span className="font-semibold">Testable:</span> {schema.isTestable ? "Yes" : "No"}</span>
+          <span><span className="font-semibold">Retention:</span> {describeRetention(schema.retention)}</span>
+        </div>
+        <div className="flex items-center gap-1">
+          <span className="text-xs text-slate-500 mr-1">Export schema</span>
+          {SCHEMA_EXPORT_FORMATS.map(({ format, label }) => (
+            <button
+              key={format}
+              type="button"
+              disabled={!!exporting}
+              onClick={() => runExport(format)}
+              className="h-7 px-2 rounded-md border border-slate-200 text-xs hover:bg-slate-50 disabled:opacity-50"
+            >
+              {exporting === format ? "…" : label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="overflow-auto max-h-[50vh] border border-slate-200 rounded-md">
+        <table className="w-full text-sm">
+          <thead className="bg-slate-50 text-slate-500 sticky top-0">
+            <tr>
+              <th className="text-right font-medium px-3 py-2">#</th>
+              <th className="text-left font-medium px-3 py-2">Field</th>
+              <th className="text-left font-medium px-3 py-2">Type</th>
+              <th className="text-left font-medium px-3 py-2">Length / Precision</th>
+              <th className="text-left font-medium px-3 py-2">Primary Key</th>
+              <th className="text-left font-medium px-3 py-2">Nullable</th>
+              <th className="text-left font-medium px-3 py-2">Default</th>
+            </tr>
+          </thead>
+          <tbody>
+            {schema.fields.map((field) => (
+              <tr key={field.name} className="border-t border-slate-100">
+                <td className="px-3 py-1.5 text-right text-slate-400">{field.ordinal}</td>
+                <td className="px-3 py-1.5 font-medium text-slate-900">{field.name}</td>
+                <td className="px-3 py-1.5">{field.fieldType}</td>
+                <td className="px-3 py-1.5">{sizeOf(field)}</td>
+                <td className="px-3 py-1.5">{field.isPrimaryKey ? "🔑 Yes" : ""}</td>
+                <td className="px-3 py-1.5">{field.isNullable ? "Yes" : "No"}</td>
+                <td className="px-3 py-1.5 text-slate-600">{field.defaultValue ?? ""}</td>
+              </tr>
+            ))}
+            {schema.fields.length === 0 && (
+              <tr><td colSpan={7} className="px-3 py-2 text-slate-500">No fields returned for this Data Extension.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,17 @@
 import { useState, useRef, useEffect } from "react";
+import { EXPORT_FORMATS } from "../exportFormats";
 
 export default function ExportMenu({
   searchCount = 0,
   category = "Data Extensions",
-  onExportSearch, // () => void
-  onExportAll,    // () => void
+  onExportSearch,    // (format) => Promise<string | void>
+  onExportAll,       // (format) => Promise<string | void>
+  onExportInventory, // (format: "xlsx" | "json") => Promise<string | void>
 }) {
   const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState("csv");
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState(null);
   const ref = useRef(null);
 
   useEffect(() => {
@@ -17,14 +22,43 @@ export default function ExportMenu({
     return () => document.removeEventListener("mousedown", onClickOutside);
   }, []);
 
+  useEffect(() => {
+    if (!notice) return undefined;
+    const timer = setTimeout(() => setNotice(null), 5000);
+    return () => clearTimeout(timer);
+  }, [notice]);
+
   const disabledSearch = searchCount === 0;
+  const formatLabel = EXPORT_FORMATS.find((f) => f.format === format)?.label;
+
+  // Close the menu, run one export and report its outcome next to the button
+  const run = async (exportFn, exportFormat) => {
+    setOpen(false);
+    if (!exportFn) return;
+    setBusy(true);
+    try {
+      const message = await exportFn(exportFormat);
+      if (message) setNotice({ text: message });
+    } catch (err) {
+      console.error("❌ [Export] Export failed", err);
+      setNotice({ text: `Export failed: ${err.message}`, error: true });
+    } finally {
+      setBusy(false);
+    }
+  };
 
   return (
-    <div className="relative" ref={ref}>
+    <div className="relative flex items-center gap-2" ref={ref}>
+      {notice && (
+        <span className={`text-xs max-w-[16rem] truncate ${notice.error ? "text-red-600" : "text-slate-500"}`} title={notice.text}>
+          {notice.text}
+        </span>
+      )}
       <button
         type="button"
         onClick={() => setOpen((v) => !v)}
-        className="h-9 px-3 rounded-md bg-brand text-white hover:bg-brand-600 focus-visible:shadow-[0_0_0_3px_rgba(37,99,235,.35)] transition-colors"
+        disabled={busy}
+        className="h-9 px-3 rounded-md bg-brand text-white hover:bg-brand-600 focus-visible:shadow-[0_0_0_3px_rgba(37,99,235,.35)] transition-colors disabled:opacity-60"
         aria-haspopup="menu"
         aria-expanded={open}
         title="Export options"
@@ -32,7 +66,7 @@ export default function ExportMenu({
         <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
         </svg>
-        Export
+        {busy ? "Exporting…" : "Export"}
         <svg className="w-4 h-4 ml-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
         </svg>
@@ -41,15 +75,38 @@ export default function ExportMenu({
       {open && (
         <div
           role="menu"
-          className="absolute right-0 mt-2 w-64 rounded-lg border border-slate-200 bg-white shadow-xl z-50 py-1"
+          className="absolute right-0 top-full mt-2 w-72 rounded-lg border border-slate-200 bg-white shadow-xl z-50 py-1"
         >
+          <div className="px-4 py-2 flex flex-wrap gap-1" role="radiogroup" aria-label="Export format">
+            {EXPORT_FORMATS.map((f) => (
+              <button
+                key={f.format}
+                type="button"
+                role="radio"
+                aria-checked={format === f.format}
+                onClick={() => setFormat(f.format)}
+                className={`text-xs px-2 py-1 rounded-full border transition-colors ${
+                  format === f.format
+                    ? "bg-blue-600 border-blue-600 text-white"
+                    : "border-slate-200 text-slate-700 hover:bg-slate-50"
+                }`}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+          {format === "markdown" && (
+            <div className="px-4 pb-1 text-xs text-slate-500">Copies a table to paste into tickets</div>
+          )}
+
+          <div className="my-1 border-t border-slate-200" />
+
           <button
             role="menuitem"
             type="button"
             disabled={disabledSearch}
-            onClick={() => { 
-              setOpen(false); 
-              if (!disabledSearch) onExportSearch?.(); 
+            onClick={() => {
+              if (!disabledSearch) run(onExportSearch, format);
             }}
             className={`w-full text-left px-4 py-3 text-sm transition-colors ${
               disabledSearch
@@ -59,7 +116,7 @@ export default function ExportMenu({
           >
             <div className="flex items-center justify-between">
               <div>
-                <div className="font-medium">Export search results</div>
+                <div className="font-medium">Export search results as {formatLabel}</div>
                 <div className="text-xs text-slate-500 mt-0.5">
                   Downloads only what's shown in the table below
                 </div>
@@ -79,15 +136,12 @@ export default function ExportMenu({
           <button
             role="menuitem"
             type="button"
-            onClick={() => { 
-              setOpen(false); 
-              onExportAll?.(); 
-            }}
+            onClick={() => run(onExportAll, format)}
             className="w-full text-left px-4 py-3 text-sm hover:bg-slate-50 text-slate-900 transition-colors"
           >
             <div className="flex items-center justify-between">
               <div>
-                <div className="font-medium">Export all in category</div>
+                <div className="font-medium">Export all in category as {formatLabel}</div>
                 <div className="text-xs text-slate-500 mt-0.5">
                   Downloads every item in {category}
                 </div>
@@ -97,6 +151,36 @@ export default function ExportMenu({
               </span>
             </div>
           </button>
+
+          {onExportInventory && (
+            <>
+              <div className="my-1 border-t border-slate-200" />
+              <div className="px-4 pt-2 pb-1">
+                <div className="text-sm font-medium text-slate-900">Export everything</div>
+                <div className="text-xs text-slate-500 mt-0.5">
+                  Every asset type in this business unit, built on the server
+                </div>
+              </div>
+              <div className="px-4 pb-2 flex gap-2">
+                <button
+                  role="menuitem"
+                  type="button"
+                  onClick={() => run(onExportInventory, "xlsx")}
+                  className="text-xs px-2 py-1 rounded-md border border-slate-200 hover:bg-slate-50 text-slate-900"
+                >
+                  Excel workbook
+                </button>
+                <button
+                  role="menuitem"
+                  type="button"
+                  onClick={() => run(onExportInventory, "json")}
+                  className="text-xs px-2 py-1 rounded-md border border-slate-200 hover:bg-slate-50 text-slate-900"
+                >
+                  JSON
+                </button>
+              </div>
+            </>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,162 @@
+import { useState, useEffect } from "react";
+
+const baseURL = process.env.REACT_APP_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
+  "x-mc-subdomain": localStorage.getItem("subdomain") || "",
+  "Content-Type": "application/json",
+});
+
+// Search Assets query values are quoted phrases; the query language has no escape for quotes
+const quoted = (value) => `"${String(value).replace(/"/g, "")}"`;
+const byKeyOrName = (r) => (r.key ? `key:${quoted(r.key)}` : `name:${quoted(r.name)}`);
+
+// Where each result type opens: a Search Assets tab filtered to the asset, or its Object Explorer card
+export const GLOBAL_RESULT_TARGETS = {
+  dataextension: { tab: "de", query: byKeyOrName },
+  automation: { tab: "automation", query: byKeyOrName },
+  datafilter: { tab: "datafilter", query: byKeyOrName },
+  journey: { tab: "journey", query: byKeyOrName },
+  emailsenddefinition: { tab: "emailsenddefinition", query: (r) => quoted(r.key) },
+  publication: { tab: "publication", query: (r) => `name:${quoted(r.name)}` },
+  // Sender profiles have no tab of their own: list the send definitions that use the profile
+  senderprofile: { tab: "emailsenddefinition", query: (r) => quoted(r.key) },
+  email: { explorerCategory: "Email Assets" },
+  triggeredsend: { explorerCategory: "Journey Email Triggered Sends" },
+};
+
+const TYPE_STYLES = {
+  dataextension: "bg-blue-100 text-blue-800",
+  automation: "bg-purple-100 text-purple-800",
+  datafilter: "bg-amber-100 text-amber-800",
+  journey: "bg-green-100 text-green-800",
+  emailsenddefinition: "bg-rose-100 text-rose-800",
+  publication: "bg-cyan-100 text-cyan-800",
+  email: "bg-indigo-100 text-indigo-800",
+  senderprofile: "bg-teal-100 text-teal-800",
+  triggeredsend: "bg-orange-100 text-orange-800",
+};
+
+// Command palette over /api/search/global: type to search every asset type, arrows + Enter to open a result
+export default function GlobalSearchPalette({ onClose, onSelect }) {
+  const [query, setQuery] = useState("");
+  const [response, setResponse] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+
+  // Debounced so typing does not fire a request per keystroke; a newer query aborts the older request
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) {
+      setResponse(null);
+      setError(null);
+      setLoading(false);
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const res = await fetch(`${baseURL}/api/search/global?${new URLSearchParams({ q })}`, {
+          headers: authHeaders(),
+          signal: controller.signal,
+        });
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.details || body.error || `HTTP ${res.status}`);
+        setResponse(body);
+        setHighlighted(0);
+        setError(null);
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        console.error("❌ [Global Search] Search failed", err);
+        setError(err.message);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }, 250);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query]);
+
+  const results = response?.results || [];
+
+  const onKeyDown = (e) => {
+    if (e.key === "Escape") {
+      onClose();
+    } else if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setHighlighted((i) => Math.min(i + 1, results.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlighted((i) => Math.max(i - 1, 0));
+    } else if (e.key === "Enter" && results[highlighted]) {
+      e.preventDefault();
+      onSelect(results[highlighted]);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-start justify-center pt-24 z-50" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-2xl overflow-hidden"
+        role="dialog"
+        aria-label="Search all assets"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <input
+          autoFocus
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={onKeyDown}
+          placeholder="Search data extensions, automations, journeys, emails, send definitions..."
+          className="w-full px-4 py-3 border-b border-slate-200 text-sm focus:outline-none"
+          aria-label="Search all assets"
+        />
+
+        <div className="max-h-96 overflow-y-auto">
+          {error && <div className="px-4 py-3 text-sm text-red-600">❌ {error}</div>}
+          {!error && query.trim() && !loading && response && results.length === 0 && (
+            <div className="px-4 py-3 text-sm text-slate-500">No assets match "{response.query}".</div>
+          )}
+          {results.map((result, index) => (
+            <button
+              key={`${result.type}:${result.id}`}
+              type="button"
+              onClick={() => onSelect(result)}
+              onMouseEnter={() => setHighlighted(index)}
+              className={`w-full text-left px-4 py-2 flex items-center gap-3 ${index === highlighted ? "bg-slate-100" : ""}`}
+            >
+              <span className={`shrink-0 px-2 py-0.5 rounded text-xs font-medium ${TYPE_STYLES[result.type] || "bg-slate-100 text-slate-800"}`}>
+                {result.typeLabel}
+              </span>
+              <span className="min-w-0">
+                <span className="block text-sm font-medium text-slate-900 truncate">{result.name}</span>
+                <span className="block text-xs text-slate-500 truncate">
+                  {[result.key, result.path, result.status].filter(Boolean).join(" · ")}
+                </span>
+              </span>
+            </button>
+          ))}
+        </div>
+
+        <div className="px-4 py-2 border-t border-slate-200 text-xs text-slate-500 flex flex-wrap items-center gap-x-3 gap-y-1">
+          {loading && <span>Searching…</span>}
+          {!loading && response && response.total > results.length && (
+            <span>Showing the best {results.length} of {response.total} matches</span>
+          )}
+          {response?.errors?.length > 0 && (
+            <span className="text-amber-700" title={response.errors.map((e) => `${e.type}: ${e.error}`).join("\n")}>
+              ⚠️ {response.errors.length} asset type(s) could not be searched
+            </span>
+          )}
+          <span className="ml-auto">↑↓ to move · Enter to open · Esc to close</span>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import { useState, useEffect } from "react";
+
+const baseURL = process.env.REACT_APP_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
+  "x-mc-subdomain": localStorage.getItem("subdomain") || "",
+  "Content-Type": "application/json",
+});
+
+const buttonClass = "h-9 px-3 rounded-md border border-slate-200 hover:bg-slate-50 transition-colors text-sm disabled:opacity-50";
+
+// Named Search Assets queries of the signed-in user: pick one to rerun it, save the current query, delete the picked one
+export default function SavedSearches({ query, tab, onRun }) {
+  const [searches, setSearches] = useState([]);
+  const [selectedId, setSelectedId] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const request = async (path, options = {}) => {
+    const res = await fetch(`${baseURL}${path}`, { ...options, headers: authHeaders() });
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.details || body.error || `HTTP ${res.status}`);
+    return body;
+  };
+
+  useEffect(() => {
+    fetch(`${baseURL}/api/saved-searches`, { headers: authHeaders() })
+      .then(async (res) => {
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        setSearches(body);
+      })
+      .catch((err) => console.error("❌ [Saved Searches] Failed to load saved searches", err));
+  }, []);
+
+  const run = (id) => {
+    setSelectedId(id);
+    const search = searches.find((s) => s.id === id);
+    if (search) onRun(search);
+  };
+
+  const save = async () => {
+    const current = searches.find((s) => s.id === selectedId);
+    const name = window.prompt("Save this search as", current?.query === query.trim() ? current.name : "");
+    if (!name?.trim()) return;
+    const existing = searches.find((s) => s.name.toLowerCase() === name.trim().toLowerCase());
+    if (existing && !window.confirm(`Replace the saved search "${existing.name}"?`)) return;
+    setBusy(true);
+    try {
+      const saved = await request("/api/saved-searches", { method: "POST", body: JSON.stringify({ name, query, tab }) });
+      setSearches((prev) => [...prev.filter((s) => s.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name)));
+      setSelectedId(saved.id);
+    } catch (err) {
+      console.error("❌ [Saved Searches] Save failed", err);
+      alert(`Could not save the search: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async () => {
+    const search = searches.find((s) => s.id === selectedId);
+    if (!search || !window.confirm(`Delete the saved search "${search.name}"?`)) return;
+    setBusy(true);
+    try {
+      await request(`/api/saved-searches/${encodeURIComponent(search.id)}`, { method: "DELETE" });
+      setSearches((prev) => prev.filter((s) => s.id !== search.id));
+      setSelectedId("");
+    } catch (err) {
+      console.error("❌ [Saved Searches] Delete failed", err);
+      alert(`Could not delete the search: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <select
+        value={selectedId}
+        onChange={(e) => run(e.target.value)}
+        disabled={searches.length === 0}
+        className="h-9 px-2 border border-slate-200 rounded-md text-sm max-w-[14rem] disabled:opacity-50"
+        aria-label="Saved searches"
+      >
+        <option value="">{searches.length ? "Saved searches…" : "No saved searches"}</option>
+        {searches.map((s) => <option key={s.id} value={s.id} title={s.query}>{s.name}</option>)}
+      </select>
+      <button type="button" onClick={save} disabled={busy || !query.trim()} className={buttonClass} title="Save the current query">
+        Save
+      </button>
+      {selectedId && (
+        <button type="button" onClick={remove} disabled={busy} className={buttonClass} title="Delete the selected saved search">
+          Delete
+        </button>
+      )}
+    </div>
+  );
+}
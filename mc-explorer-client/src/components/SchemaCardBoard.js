@@ -4,6 +4,7 @@ import React, { useMemo, useRef, useEffect, useState, useCallback } from 'react'
 // and draws relationship lines between them using an SVG overlay.
 // Expects nodes in Cytoscape-like format: { data: { id, label, type, category, metadata } }
 // Expects edges in Cytoscape-like format: { data: { id, source, target, type, label } }
+// Optional fieldEdges are /graph's field_lineage edges: { source, target, sourceTable, sourceField, targetField, queryName, expression, direct }
 
 const DISPLAY_TYPES = [
   'Automations',
@@ -36,6 +37,20 @@ const defaultEdgeColors = {
   'default': '#94A3B8'
 };
 
+// Journey activity kinds from the server's activity graph (see server/journeyActivities.js)
+const JOURNEY_ACTIVITY_KINDS = {
+  email: { label: 'Email', className: 'bg-pink-50 text-pink-700 border-pink-100' },
+  message: { label: 'Message', className: 'bg-pink-50 text-pink-700 border-pink-100' },
+  decision: { label: 'Decision split', className: 'bg-yellow-50 text-yellow-800 border-yellow-100' },
+  random_split: { label: 'Random split', className: 'bg-yellow-50 text-yellow-800 border-yellow-100' },
+  engagement: { label: 'Engagement split', className: 'bg-teal-50 text-teal-700 border-teal-100' },
+  wait: { label: 'Wait', className: 'bg-gray-50 text-gray-600 border-gray-200' },
+  update_contact: { label: 'Update contact', className: 'bg-lime-50 text-lime-700 border-lime-100' },
+  other: { label: 'Activity', className: 'bg-gray-50 text-gray-600 border-gray-200' }
+};
+
+const DE_ROLE_LABELS = { entry: 'entry', reads: 'reads', writes: 'writes' };
+
 const relationshipLevel = (type) => {
   const direct = ['writes_to', 'reads_from', 'imports_to_de', 'updates_de', 'journey_entry_source'];
   const indirect = ['contains_query', 'executes_query', 'triggers_automation'];
@@ -53,7 +68,8 @@ export default function SchemaCardBoard({
   onSelectNode,
   onExpandNode,
   getTypeColor, // function(type) => color
-  fetchDetails // function(id) => Promise
+  fetchDetails, // function(id) => Promise
+  fieldEdges = []
 }) {
   const containerRef = useRef(null);
   const columnRefs = useRef({});
@@ -64,6 +80,8 @@ export default function SchemaCardBoard({
   const [detailsCache, setDetailsCache] = useState({});
   const [zoom, setZoom] = useState(1);
   const [fieldLimitById, setFieldLimitById] = useState({});
+  const [expandedFieldById, setExpandedFieldById] = useState({});
+  const [expandedJourneyById, setExpandedJourneyById] = useState({});
 
   // Filter nodes to display only supported types
   const displayNodes = useMemo(() => {
@@ -92,6 +110,19 @@ export default function SchemaCardBoard({
   // Build a quick index for card columns
   const columnIndexByType = useMemo(() => typeOrderIndex, []);
 
+  // Upstream columns per target field: "deId|fieldname" → field_lineage edges
+  const lineageByField = useMemo(() => {
+    const map = {};
+    fieldEdges.forEach(e => {
+      const edge = e?.data || e;
+      if (!edge?.target || !edge?.targetField) return;
+      const key = `${edge.target}|${edge.targetField.toLowerCase()}`;
+      if (!map[key]) map[key] = [];
+      map[key].push(edge);
+    });
+    return map;
+  }, [fieldEdges]);
+
   // Build a map of visible node ids
   const visibleIds = useMemo(() => new Set(displayNodes.map(n => n?.data?.id).filter(Boolean)), [displayNodes]);
 
@@ -257,9 +288,35 @@ export default function SchemaCardBoard({
   };
 
   // Per-type body renderers
+  const renderFieldLineage = (id, field) => {
+    const upstream = lineageByField[`${id}|${field.toLowerCase()}`] || [];
+    return (
+      <div className="mt-2 p-2 rounded border border-gray-100 bg-gray-50 text-[11px] text-gray-700">
+        <div className="font-medium text-gray-700">Upstream of {field}</div>
+        {upstream.length === 0 && (
+          <div className="text-gray-500 mt-1">No query writes this field from a source column</div>
+        )}
+        {upstream.map(edge => (
+          <div key={`${edge.queryId}-${edge.source}-${edge.sourceField}`} className="mt-1">
+            <span className="font-medium">{nodes.find(n => n?.data?.id === edge.source)?.data?.label || edge.sourceTable}.{edge.sourceField}</span>
+            <span className="text-gray-500"> via {edge.queryName}</span>
+            {!edge.direct && (
+              <div className="text-gray-500 truncate font-mono" title={edge.expression}>{edge.expression}</div>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   const renderDEBody = (meta, expanded, id) => {
-    const fields = meta?.fields || meta?.fieldNames || [];
+    const metaFields = (meta?.fields || meta?.fieldNames || []).map(f => (typeof f === 'string' ? f : f?.name)).filter(Boolean);
+    // Without a field list, fall back to the fields lineage knows about
+    const fields = metaFields.length > 0
+      ? metaFields
+      : [...new Set(Object.values(lineageByField).flat().filter(e => e.target === id).map(e => e.targetField))];
     const limit = fieldLimitById[id] || 20;
+    const expandedField = expandedFieldById[id];
 
     if (!fields || fields.length === 0) {
       // Show basic info if no fields
@@ -280,11 +337,31 @@ export default function SchemaCardBoard({
 
     return (
       <div>
-        <div className="text-xs font-medium text-gray-700">Fields ({fields.length})</div>
+        <div className="text-xs font-medium text-gray-700">
+          Fields ({fields.length})
+          {meta?.recordCount !== undefined && meta?.recordCount !== null && (
+            <span className="ml-2 font-normal text-gray-500">{Number(meta.recordCount).toLocaleString()} records</span>
+          )}
+        </div>
         <div className="mt-1 flex flex-wrap gap-1">
-          {show.map((f) => (
-            <span key={f} className="inline-flex items-center px-2 py-0.5 rounded text-[11px] bg-blue-50 text-blue-700 border border-blue-100">{f}</span>
-          ))}
+          {show.map((f) => {
+            const hasLineage = !!lineageByField[`${id}|${f.toLowerCase()}`];
+            const isOpen = expandedField === f;
+            return (
+              <button
+                type="button"
+                key={f}
+                title={hasLineage ? 'Show upstream columns' : 'No query lineage'}
+                className={`inline-flex items-center px-2 py-0.5 rounded text-[11px] border ${isOpen ? 'bg-blue-600 text-white border-blue-600' : 'bg-blue-50 text-blue-700 border-blue-100'}`}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setExpandedFieldById(prev => ({ ...prev, [id]: prev[id] === f ? null : f }));
+                }}
+              >
+                {f}{hasLineage && <span className="ml-1">↤</span>}
+              </button>
+            );
+          })}
           {fields.length > limit && (
             <button
               className="text-[11px] text-indigo-600 ml-1"
@@ -297,6 +374,7 @@ export default function SchemaCardBoard({
             </button>
           )}
         </div>
+        {expandedField && renderFieldLineage(id, expandedField)}
       </div>
     );
   };
@@ -387,10 +465,60 @@ export default function SchemaCardBoard({
     );
   };
 
-  const renderJourneyBody = (meta) => {
+  // One journey activity plus whatever follows it; branches indent under their outcome label
+  const renderJourneyFlow = (graph, key, seen) => {
+    if (key === 'EXIT') {
+      return <div className="text-gray-400">⏹ Exit</div>;
+    }
+    const activity = graph.activities.find(a => a.key === key);
+    if (!activity) return null;
+    if (seen.has(key)) {
+      return <div className="text-gray-500">↪ continues at {activity.name}</div>;
+    }
+    seen.add(key);
+    const kind = JOURNEY_ACTIVITY_KINDS[activity.kind] || JOURNEY_ACTIVITY_KINDS.other;
+    const next = graph.edges.filter(e => e.source === key);
+
+    return (
+      <>
+        <div className="py-1">
+          <div className="flex items-center gap-1 min-w-0">
+            <span className={`shrink-0 inline-flex items-center px-1.5 py-0.5 rounded border text-[10px] ${kind.className}`}>{kind.label}</span>
+            <span className="font-medium truncate" title={activity.name}>{activity.name}</span>
+          </div>
+          {activity.summary && <div className="text-gray-500 mt-0.5">{activity.summary}</div>}
+          {(activity.email || activity.dataExtensions.length > 0) && (
+            <div className="flex flex-wrap gap-1 mt-1">
+              {activity.email && (
+                <span className="inline-flex items-center px-2 py-0.5 rounded text-[11px] bg-pink-50 text-pink-700 border border-pink-100" title={activity.email.subject || ''}>
+                  ✉ {activity.email.name || activity.email.id}
+                </span>
+              )}
+              {activity.dataExtensions.map(de => (
+                <span key={`${de.id || de.name}-${de.role}`} className="inline-flex items-center px-2 py-0.5 rounded text-[11px] bg-blue-50 text-blue-700 border border-blue-100">
+                  {de.name} <span className="ml-1 text-blue-400">{DE_ROLE_LABELS[de.role] || de.role}</span>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+        {next.length === 1 && renderJourneyFlow(graph, next[0].target, seen)}
+        {next.length > 1 && next.map((edge, i) => (
+          <div key={`${edge.target}-${i}`} className="ml-2 pl-2 border-l-2 border-gray-200 mt-1">
+            <div className="text-[10px] uppercase tracking-wide text-gray-500 truncate" title={edge.label || ''}>{edge.label || `Path ${i + 1}`}</div>
+            {renderJourneyFlow(graph, edge.target, seen)}
+          </div>
+        ))}
+      </>
+    );
+  };
+
+  const renderJourneyBody = (meta, id) => {
     const entries = meta?.entrySources || meta?.entry || [];
-    const activities = meta?.activities || [];
+    const graph = meta?.activityGraph;
+    const activities = graph?.activities || meta?.activities || [];
     const status = meta?.status;
+    const showFlow = !!expandedJourneyById[id];
     
     if (entries.length === 0 && activities.length === 0 && !status) {
       return (
@@ -405,6 +533,7 @@ export default function SchemaCardBoard({
         {status && (
           <div>
             <span className="text-gray-500">Status:</span> <span className="font-medium">{status}</span>
+            {graph?.version !== null && graph?.version !== undefined && <span className="ml-2 text-gray-500">v{graph.version}</span>}
           </div>
         )}
         {entries && entries.length > 0 && (
@@ -420,9 +549,44 @@ export default function SchemaCardBoard({
             </div>
           </div>
         )}
-        {activities && activities.length > 0 && (
+        {activities.length > 0 && !graph && (
           <div className="text-gray-500">Activities: <span className="font-medium">{activities.length}</span></div>
         )}
+        {graph && activities.length > 0 && (
+          <div>
+            <div className="flex flex-wrap gap-1">
+              {Object.entries(graph.counts || {}).filter(([kind]) => kind !== 'exit').map(([kind, count]) => (
+                <span key={kind} className={`inline-flex items-center px-1.5 py-0.5 rounded border text-[10px] ${(JOURNEY_ACTIVITY_KINDS[kind] || JOURNEY_ACTIVITY_KINDS.other).className}`}>
+                  {count} × {(JOURNEY_ACTIVITY_KINDS[kind] || JOURNEY_ACTIVITY_KINDS.other).label}
+                </span>
+              ))}
+            </div>
+            <button
+              type="button"
+              className="mt-1 text-[11px] text-indigo-600"
+              onClick={(e) => {
+                e.stopPropagation();
+                setExpandedJourneyById(prev => ({ ...prev, [id]: !prev[id] }));
+                setTimeout(recomputePaths, 0);
+              }}
+            >
+              {showFlow ? 'Hide activities' : `Show activities (${activities.length})`}
+            </button>
+            {showFlow && (
+              <div className="mt-1 p-2 rounded border border-gray-100 bg-gray-50">
+                <div className="text-gray-500">
+                  ▶ {graph.entry?.name || 'Entry'}{graph.entry?.dataExtension ? ` · ${graph.entry.dataExtension.name}` : ''}
+                </div>
+                {(() => {
+                  const seen = new Set();
+                  return graph.edges.filter(e => e.source === 'ENTRY').map(e => (
+                    <React.Fragment key={e.target}>{renderJourneyFlow(graph, e.target, seen)}</React.Fragment>
+                  ));
+                })()}
+              </div>
+            )}
+          </div>
+        )}
       </div>
     );
   };
@@ -537,7 +701,7 @@ export default function SchemaCardBoard({
     } else if (typeLabel === 'SQL Queries') {
       body = renderQueryBody(details?.metadata || meta);
     } else if (typeLabel === 'Journeys') {
-      body = renderJourneyBody(details?.metadata || meta);
+      body = renderJourneyBody(details?.metadata || meta, d.id);
     } else if (typeLabel === 'Triggered Sends') {
       body = renderSendBody(details?.metadata || meta);
     } else if (typeLabel === 'File Transfers' || typeLabel === 'Data Extracts') {
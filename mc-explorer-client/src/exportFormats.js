@@ -0,0 +1,187 @@
+// Search Assets exports: CSV, Excel (built by the server, see /api/export/xlsx), JSON and Markdown tables,
+// plus the server-side inventory workbook of every asset type (/api/export/inventory)
+
+const baseURL = process.env.REACT_APP_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
+  "x-mc-subdomain": localStorage.getItem("subdomain") || "",
+});
+
+export const EXPORT_FORMATS = [
+  { format: "csv", label: "CSV" },
+  { format: "xlsx", label: "Excel" },
+  { format: "json", label: "JSON" },
+  { format: "markdown", label: "Markdown" },
+];
+
+const yesNo = (value) => (value ? "Yes" : "No");
+const first = (...values) => values.find((value) => value !== undefined && value !== null && value !== "") ?? "";
+
+// Table columns of each asset type: [header, item → value]
+const COLUMNS = {
+  "Data Extension": [
+    ["Type", () => "Data Extension"],
+    ["Name", (item) => first(item.name, item.Name)],
+    ["Path", (item) => first(item.path, item.Path)],
+    ["Created By", (item) => first(item.createdByName, item.CreatedByName)],
+    ["Modified By", (item) => first(item.modifiedByName, item.ModifiedByName)],
+    ["Row Count", (item) => first(item.rowCount, item.RowCount)],
+    ["Is Sendable", (item) => yesNo(item.isSendable ?? item.IsSendable)],
+    ["Is Testable", (item) => yesNo(item.isTestable ?? item.IsTestable)],
+  ],
+  Automation: [
+    ["Type", () => "Automation"],
+    ["Name", (item) => first(item.name, item.Name)],
+    ["Path", (item) => first(item.path, item.Path)],
+    ["Status", (item) => first(item.status, item.Status)],
+    ["Start Date", (item) => first(item.startDate, item.StartDate)],
+    ["End Date", (item) => first(item.endDate, item.EndDate)],
+    ["Last Run Time", (item) => first(item.lastRunTime, item.LastRunTime)],
+  ],
+  "Data Filter": [
+    ["Type", () => "Data Filter"],
+    ["Name", (item) => first(item.name, item.Name)],
+    ["Path", (item) => first(item.path, item.Path)],
+  ],
+  Journey: [
+    ["Type", () => "Journey"],
+    ["Name", (item) => first(item.name, item.Name)],
+    ["Path", (item) => first(item.path, item.Path)],
+    ["Status", (item) => first(item.status, item.Status)],
+  ],
+  EmailSendDefinition: [
+    ["Name", (esd) => first(esd.Name)],
+    ["Send Classification", (esd) => first(esd.SendClassification?.CustomerKey)],
+    ["Sender Profile", (esd) => first(esd.SenderProfile?.CustomerKey)],
+    ["Delivery Profile", (esd) => first(esd.DeliveryProfile?.CustomerKey)],
+  ],
+  Publication: [
+    ["ID", (pub) => first(pub.id)],
+    ["Name", (pub) => first(pub.name)],
+    ["Category", (pub) => first(pub.category)],
+    ["Customer Key", (pub) => first(pub.customerKey)],
+    ["Business Unit", (pub) => first(pub.businessUnit)],
+  ],
+};
+
+// Cross-BU search rows carry the business unit that owns them
+const BUSINESS_UNIT_COLUMNS = [
+  ["Business Unit", (item) => first(item.businessUnitName)],
+  ["MID", (item) => first(item.businessUnitId)],
+];
+
+/**
+ * Rows as tables, one per asset type (the _type of each row).
+ * @param {object[]} data
+ * @returns {{ name: string, headers: string[], rows: any[][] }[]}
+ */
+export function exportTables(data) {
+  const groups = new Map();
+  data.forEach((item) => {
+    const type = item._type || "Unknown";
+    if (!groups.has(type)) groups.set(type, []);
+    groups.get(type).push(item);
+  });
+  return [...groups].map(([type, items]) => {
+    // Unknown types: every top-level property of the first row
+    let columns = COLUMNS[type] || Object.keys(items[0]).map((key) => [key, (item) => first(item[key])]);
+    if (COLUMNS[type] && items.some((item) => item.businessUnitId)) columns = [...columns, ...BUSINESS_UNIT_COLUMNS];
+    return {
+      name: type,
+      headers: columns.map(([header]) => header),
+      rows: items.map((item) => columns.map(([, value]) => value(item))),
+    };
+  });
+}
+
+const csvCell = (value) => {
+  const text = value !== null && typeof value === "object" ? JSON.stringify(value) : String(value ?? "");
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+export const tableToCsv = (table) =>
+  [table.headers, ...table.rows].map((row) => row.map(csvCell).join(",")).join("\n");
+
+// Pipes would end a cell and line breaks would end the row
+const markdownCell = (value) => {
+  const text = value !== null && typeof value === "object" ? JSON.stringify(value) : String(value ?? "");
+  return text.replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>").trim();
+};
+
+export const tableToMarkdown = (table) => [
+  `| ${table.headers.map(markdownCell).join(" | ")} |`,
+  `| ${table.headers.map(() => "---").join(" | ")} |`,
+  ...table.rows.map((row) => `| ${row.map(markdownCell).join(" | ")} |`),
+].join("\n");
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Save a server-generated file under the name from its Content-Disposition header
+async function downloadResponse(res, fallbackName) {
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.details || body.error || `HTTP ${res.status}`);
+  }
+  const filename = (res.headers.get("Content-Disposition") || "").match(/filename="([^"]+)"/)?.[1] || fallbackName;
+  downloadBlob(await res.blob(), filename);
+}
+
+/**
+ * Export Search Assets rows.
+ * csv and markdown: one table per asset type, one after the other; xlsx: one sheet per asset type;
+ * json: the rows as loaded, nested metadata included. Markdown goes to the clipboard when the browser
+ * allows it, otherwise it is downloaded.
+ * @param {object[]} data - Rows with _type
+ * @param {string} format - csv | xlsx | json | markdown
+ * @param {string} filename - Without extension
+ * @returns {Promise<string>} - What happened, for the caller to report
+ */
+export async function exportRows(data, format, filename) {
+  if (data.length === 0) return "Nothing to export";
+  if (format === "json") {
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }), `${filename}.json`);
+    return `Downloaded ${filename}.json`;
+  }
+  const tables = exportTables(data);
+  if (format === "xlsx") {
+    const res = await fetch(`${baseURL}/api/export/xlsx`, {
+      method: "POST",
+      headers: { ...authHeaders(), "Content-Type": "application/json" },
+      body: JSON.stringify({ filename, sheets: tables }),
+    });
+    await downloadResponse(res, `${filename}.xlsx`);
+    return `Downloaded ${filename}.xlsx`;
+  }
+  if (format === "markdown") {
+    const markdown = tables.map(tableToMarkdown).join("\n\n");
+    try {
+      await navigator.clipboard.writeText(markdown);
+      return `Copied a Markdown table of ${data.length} row(s) to the clipboard`;
+    } catch (err) {
+      console.warn("⚠️ [Export] Clipboard unavailable, downloading the Markdown table instead", err);
+      downloadBlob(new Blob([markdown], { type: "text/markdown" }), `${filename}.md`);
+      return `Downloaded ${filename}.md`;
+    }
+  }
+  downloadBlob(new Blob([tables.map(tableToCsv).join("\n\n")], { type: "text/csv" }), `${filename}.csv`);
+  return `Downloaded ${filename}.csv`;
+}
+
+/**
+ * Download every asset of every type from the server: an Excel workbook with a sheet per type, or JSON.
+ * @param {string} format - xlsx | json
+ */
+export async function downloadInventory(format) {
+  const res = await fetch(`${baseURL}/api/export/inventory?${new URLSearchParams({ format })}`, { headers: authHeaders() });
+  await downloadResponse(res, `mc_inventory.${format}`);
+}
@@ -0,0 +1,494 @@
+/**
+ * MC Explorer - Asset Packages
+ * Self-contained JSON packages of Data Extensions, SQL queries, data filters, filter activities and
+ * automations for promoting work between business units: which assets a selection needs (from the
+ * impact graph and the assets' own references), key/name remapping and the ordered import plan.
+ *
+ * Every asset has a `ref` (its node id in the source business unit) that other assets use in
+ * `dependsOn` and in their definitions, so keys and names can be remapped freely on import.
+ */
+
+const { CONTAINMENT_TYPES } = require('./impactAnalysis');
+
+const PACKAGE_FORMAT = 'mc-explorer-package';
+const PACKAGE_VERSION = 1;
+
+// Creation order: an asset only references types earlier in the list
+const ASSET_TYPES = ['dataExtension', 'filter', 'query', 'filterActivity', 'automation'];
+
+// Impact graph / snapshot categories that can be packaged
+const CATEGORY_TYPES = {
+  'Data Extensions': 'dataExtension',
+  'Data Filters': 'filter',
+  'SQL Queries': 'query',
+  'Filter Activities': 'filterActivity',
+  'Automations': 'automation'
+};
+
+const TYPE_LABELS = {
+  dataExtension: 'Data Extension',
+  filter: 'Data Filter',
+  query: 'SQL Query',
+  filterActivity: 'Filter Activity',
+  automation: 'Automation'
+};
+
+// Automation Studio activity object types whose activity definitions can be packaged
+const ACTIVITY_OBJECT_TYPES = { 300: 'query', 303: 'filterActivity' };
+
+// FROM/JOIN table references, optionally ENT.-prefixed and [bracketed]
+const TABLE_REFERENCE = /(\b(?:FROM|JOIN)\s+)(ENT\.)?(\[[^\]]+\]|[A-Za-z_]\w*)/gi;
+
+/**
+ * Assets a graph node needs to exist first: what an automation executes (through its activity
+ * nodes) and the Data Extensions a query or filter reads or writes.
+ * @param {object} graph - From buildImpactGraph
+ * @param {string} id - Node id
+ * @returns {string[]} - Node ids of packageable assets
+ */
+function graphDependencies(graph, id) {
+  const categoryOf = nodeId => graph.nodes.get(nodeId)?.category;
+  const found = new Set();
+
+  const visitMembers = nodeId => (graph.outgoing.get(nodeId) || [])
+    .filter(edge => CONTAINMENT_TYPES.has(edge.type))
+    .forEach(edge => {
+      if (categoryOf(edge.target) === 'Activity') visitMembers(edge.target);
+      else found.add(edge.target);
+    });
+  visitMembers(id);
+
+  if (!['Data Extensions', 'Automations'].includes(categoryOf(id))) {
+    const flow = [
+      ...(graph.incoming.get(id) || []).map(edge => edge.source),
+      ...(graph.outgoing.get(id) || []).filter(edge => !CONTAINMENT_TYPES.has(edge.type)).map(edge => edge.target)
+    ];
+    flow.filter(other => categoryOf(other) === 'Data Extensions').forEach(other => found.add(other));
+  }
+  found.delete(id);
+  return [...found].filter(other => CATEGORY_TYPES[categoryOf(other)]);
+}
+
+/**
+ * Package asset of a Data Extension; the definition is what the definition file planner reads.
+ * @param {object} schema - From fetchDataExtensionSchemas
+ * @param {string|null} folder - Folder path, e.g. "Data Extensions/Marketing"
+ */
+function dataExtensionAsset(id, schema, folder) {
+  return {
+    ref: id,
+    type: 'dataExtension',
+    key: schema.customerKey,
+    name: schema.name,
+    dependsOn: [],
+    definition: {
+      name: schema.name,
+      customerKey: schema.customerKey,
+      folder,
+      description: schema.description,
+      isSendable: schema.isSendable,
+      isTestable: schema.isTestable,
+      sendableField: schema.sendableField,
+      sendableSubscriberField: schema.sendableSubscriberField,
+      retention: schema.retention,
+      fields: schema.fields
+    }
+  };
+}
+
+/**
+ * Package asset of a SQL query activity.
+ * @param {object} query - QueryDefinition retrieve result
+ * @param {object} refs - { targetRef, sourceRefs } node ids of the target and source DEs in the package
+ */
+function queryAsset(id, query, { targetRef, sourceRefs }) {
+  return {
+    ref: id,
+    type: 'query',
+    key: query.CustomerKey || query.Name,
+    name: query.Name,
+    dependsOn: [...new Set([targetRef, ...sourceRefs].filter(Boolean))],
+    definition: {
+      description: query.Description || '',
+      queryText: query.QueryText || '',
+      targetUpdateType: query.TargetUpdateType || 'Overwrite',
+      targetRef: targetRef || null
+    }
+  };
+}
+
+/**
+ * Package asset of a data filter; filterDefinitionXml is null when the criteria could not be read.
+ * @param {object} filter - { name, key, description, filterDefinitionXml }
+ * @param {string|null} sourceRef - Node id of the filtered DE
+ */
+function filterAsset(id, filter, sourceRef) {
+  return {
+    ref: id,
+    type: 'filter',
+    key: filter.key,
+    name: filter.name,
+    dependsOn: sourceRef ? [sourceRef] : [],
+    definition: {
+      description: filter.description || '',
+      sourceRef: sourceRef || null,
+      filterDefinitionXml: filter.filterDefinitionXml || null
+    }
+  };
+}
+
+/**
+ * Package asset of a filter activity (runs a data filter into a destination DE).
+ * @param {object} activity - FilterActivity retrieve result
+ * @param {object} refs - { filterRef, destinationRef }
+ */
+function filterActivityAsset(id, activity, { filterRef, destinationRef }) {
+  return {
+    ref: id,
+    type: 'filterActivity',
+    key: activity.CustomerKey || activity.Name,
+    name: activity.Name,
+    dependsOn: [filterRef, destinationRef].filter(Boolean),
+    definition: {
+      description: activity.Description || '',
+      filterRef: filterRef || null,
+      destinationRef: destinationRef || null,
+      destinationTypeId: activity.DestinationTypeID || null
+    }
+  };
+}
+
+/**
+ * Package asset of an automation. Activities that cannot be packaged keep ref null.
+ * The schedule is not packaged; imported automations start unscheduled.
+ * @param {object} automation - REST automation detail
+ * @param {function} refOfActivity - activity → node id of its query / filter activity in the package, or null
+ */
+function automationAsset(id, automation, refOfActivity) {
+  const steps = (automation.steps || []).map((step, index) => ({
+    name: step.name || `Step ${index + 1}`,
+    activities: (step.activities || []).map(activity => ({
+      name: activity.name,
+      activityType: activity.activityType || null,
+      objectTypeId: activity.objectTypeId ?? null,
+      ref: ACTIVITY_OBJECT_TYPES[activity.objectTypeId] ? refOfActivity(activity) : null
+    }))
+  }));
+  return {
+    ref: id,
+    type: 'automation',
+    key: automation.key || automation.customerKey || automation.name,
+    name: automation.name,
+    dependsOn: [...new Set(steps.flatMap(step => step.activities.map(activity => activity.ref)).filter(Boolean))],
+    definition: {
+      description: automation.description || '',
+      steps
+    }
+  };
+}
+
+const typeIndex = type => ASSET_TYPES.indexOf(type);
+
+const isRecord = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isString = value => typeof value === 'string';
+const isRef = value => value === null || isString(value);
+
+// Definition properties the planner and importer read, per asset type: [check, what the value must be]
+const DEFINITION_RULES = {
+  dataExtension: {
+    fields: [value => Array.isArray(value) && value.every(isRecord), 'a list of field objects']
+  },
+  filter: {
+    sourceRef: [isRef, 'a ref or null'],
+    filterDefinitionXml: [value => value === null || isString(value), 'XML text or null']
+  },
+  query: {
+    queryText: [isString, 'SQL text'],
+    targetUpdateType: [isString, 'an update type'],
+    targetRef: [isRef, 'a ref or null']
+  },
+  filterActivity: {
+    filterRef: [isRef, 'a ref or null'],
+    destinationRef: [isRef, 'a ref or null']
+  },
+  automation: {
+    steps: [value => Array.isArray(value) && value.every(step => isRecord(step) && Array.isArray(step.activities) &&
+      step.activities.every(activity => isRecord(activity) && isRef(activity.ref ?? null))), 'a list of steps with activities']
+  }
+};
+
+// Refs a definition points at: the *Ref properties and automation activity refs
+const definitionRefs = asset => [
+  ...Object.entries(asset.definition).filter(([name, value]) => name.endsWith('Ref') && value).map(([, value]) => value),
+  ...(asset.type === 'automation' ? asset.definition.steps.flatMap(step => step.activities.map(activity => activity.ref).filter(Boolean)) : [])
+];
+
+/**
+ * Problems in one asset's definition, see DEFINITION_RULES.
+ * @param {object} asset - Asset of a known type
+ * @returns {string[]}
+ */
+function validateDefinition(asset) {
+  if (!isRecord(asset.definition)) return ['definition must be an object'];
+  const errors = Object.entries(DEFINITION_RULES[asset.type])
+    .filter(([name, [check]]) => !check(asset.definition[name]))
+    .map(([name, [, expected]]) => `definition.${name} must be ${expected}`);
+  const description = asset.definition.description;
+  if (description !== undefined && description !== null && !isString(description)) errors.push('definition.description must be text');
+  return errors;
+}
+
+/**
+ * Creation order: by type (see ASSET_TYPES), then by name.
+ * @param {object[]} assets
+ * @returns {object[]}
+ */
+function creationOrder(assets) {
+  return [...assets].sort((a, b) => typeIndex(a.type) - typeIndex(b.type) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Wrap assets into a package. References to assets that could not be packaged are dropped.
+ * @param {object[]} assets - From the *Asset builders
+ * @param {object} info - { roots: node ids that were selected, source: { accountId }, skipped }
+ * @returns {object}
+ */
+function createPackage(assets, { roots, source, skipped = [] }) {
+  const included = new Set(assets.map(asset => asset.ref));
+  const keep = ref => (included.has(ref) ? ref : null);
+  const pruned = assets.map(asset => {
+    const definition = Object.fromEntries(Object.entries(asset.definition)
+      .map(([name, value]) => [name, name.endsWith('Ref') && value ? keep(value) : value]));
+    if (asset.type === 'automation') {
+      definition.steps = definition.steps.map(step => ({
+        ...step,
+        activities: step.activities.map(activity => ({ ...activity, ref: activity.ref && keep(activity.ref) }))
+      }));
+    }
+    return { ...asset, dependsOn: asset.dependsOn.filter(ref => included.has(ref)), definition };
+  });
+  return {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    createdAt: new Date().toISOString(),
+    source,
+    roots: roots.filter(ref => included.has(ref)),
+    assets: creationOrder(pruned),
+    skipped
+  };
+}
+
+/**
+ * Problems that stop a package from being planned: the envelope, each asset's ref, key and name, the
+ * definition properties its type needs (see DEFINITION_RULES) and references to assets outside the package.
+ * @param {object} pkg - Parsed package
+ * @returns {string[]}
+ */
+function validatePackage(pkg) {
+  if (!pkg || typeof pkg !== 'object' || pkg.format !== PACKAGE_FORMAT) return ['Not an MC Explorer asset package'];
+  if (pkg.version !== PACKAGE_VERSION) return [`Unsupported package version ${pkg.version}`];
+  if (!Array.isArray(pkg.assets) || pkg.assets.length === 0) return ['The package contains no assets'];
+
+  const errors = [];
+  const types = new Map();
+  const valid = [];
+  pkg.assets.forEach((asset, index) => {
+    const label = (isString(asset?.name) && asset.name) || (isString(asset?.ref) && asset.ref) || `Asset ${index + 1}`;
+    if (!ASSET_TYPES.includes(asset?.type)) {
+      errors.push(`${label}: unknown asset type "${asset?.type}"`);
+      return;
+    }
+    if (![asset.ref, asset.key, asset.name].every(value => isString(value) && value)) {
+      errors.push(`${label}: ref, key and name are required text`);
+      return;
+    }
+    if (asset.dependsOn !== undefined && !(Array.isArray(asset.dependsOn) && asset.dependsOn.every(isString))) {
+      errors.push(`${label}: dependsOn must be a list of refs`);
+      return;
+    }
+    const definitionErrors = validateDefinition(asset);
+    definitionErrors.forEach(error => errors.push(`${label}: ${error}`));
+    if (types.has(asset.ref)) errors.push(`${label}: ref "${asset.ref}" is used more than once`);
+    types.set(asset.ref, asset.type);
+    if (definitionErrors.length === 0) valid.push(asset);
+  });
+  valid.forEach(asset => {
+    (asset.dependsOn || []).forEach(dep => {
+      if (!types.has(dep)) errors.push(`${asset.name}: depends on "${dep}", which is not in the package`);
+      else if (typeIndex(types.get(dep)) >= typeIndex(asset.type)) errors.push(`${asset.name}: a ${TYPE_LABELS[asset.type]} cannot depend on a ${TYPE_LABELS[types.get(dep)]}`);
+    });
+    definitionRefs(asset).filter(ref => !types.has(ref))
+      .forEach(ref => errors.push(`${asset.name}: refers to "${ref}", which is not in the package`));
+  });
+  return errors;
+}
+
+/**
+ * Point FROM/JOIN references of renamed Data Extensions at their new names.
+ * @param {string} sql
+ * @param {object} renames - { [old name, lower case]: new name }
+ * @returns {string}
+ */
+function renameTablesInSql(sql, renames) {
+  if (!sql || Object.keys(renames).length === 0) return sql;
+  return sql.replace(TABLE_REFERENCE, (match, keyword, ent, table) => {
+    const bare = table.startsWith('[') ? table.slice(1, -1) : table;
+    const renamed = renames[bare.toLowerCase()];
+    return renamed ? `${keyword}${ent || ''}[${renamed}]` : match;
+  });
+}
+
+/**
+ * Apply key/name remapping. Queries reading renamed Data Extensions get their SQL rewritten.
+ * @param {object[]} assets - Package assets
+ * @param {object} [mappings] - { [ref]: { key?, name? } }
+ * @returns {{ assets: object[], errors: string[] }} - assets with targetKey, targetName and sqlRenamed (queries)
+ */
+function applyMappings(assets, mappings = {}) {
+  const errors = [];
+  const refs = new Set(assets.map(asset => asset.ref));
+  Object.keys(mappings).filter(ref => !refs.has(ref)).forEach(ref => errors.push(`Mapping for "${ref}", which is not in the package`));
+
+  const mapped = assets.map(asset => {
+    const mapping = mappings[asset.ref] || {};
+    return {
+      ...asset,
+      targetKey: String(mapping.key ?? '').trim() || asset.key,
+      targetName: String(mapping.name ?? '').trim() || asset.name
+    };
+  });
+
+  const seen = new Set();
+  mapped.forEach(asset => {
+    const id = `${asset.type}:${asset.targetKey.toLowerCase()}`;
+    if (seen.has(id)) errors.push(`${TYPE_LABELS[asset.type]} key "${asset.targetKey}" is used more than once`);
+    seen.add(id);
+  });
+
+  const renames = {};
+  mapped.filter(asset => asset.type === 'dataExtension' && asset.targetName !== asset.name)
+    .forEach(asset => { renames[asset.name.toLowerCase()] = asset.targetName; });
+  mapped.filter(asset => asset.type === 'query').forEach(asset => {
+    const queryText = renameTablesInSql(asset.definition.queryText, renames);
+    if (queryText === asset.definition.queryText) return;
+    asset.definition = { ...asset.definition, queryText };
+    asset.sqlRenamed = true;
+  });
+  return { assets: mapped, errors };
+}
+
+const planItem = (asset, action) => ({
+  ref: asset.ref,
+  type: asset.type,
+  name: asset.targetName,
+  customerKey: asset.targetKey,
+  sourceName: asset.name,
+  sourceKey: asset.key,
+  dependsOn: asset.dependsOn || [],
+  action,
+  changes: [],
+  incompatible: [],
+  notes: []
+});
+
+/**
+ * Plan a Data Extension from planDefinition's result.
+ * @param {object} asset - Mapped asset
+ * @param {object} item - From planDefinition
+ */
+function planDataExtensionAsset(asset, item) {
+  return { ...planItem(asset, item.action), ...item, name: asset.targetName, customerKey: asset.targetKey };
+}
+
+/**
+ * Plan a query, filter, filter activity or automation against the target business unit.
+ * Existing queries are updated when their SQL, target or update type differ; other existing
+ * assets are reused as they are.
+ * @param {object} asset - Mapped asset
+ * @param {object|null} existing - Same-key asset in the target ({ name, queryText, targetKey, targetUpdateType } for queries)
+ * @param {object|null} nameClash - Asset of the same type using the target name under another key
+ * @param {object} [context] - { targetKeyOf: ref → mapped key of a package asset }
+ * @returns {object} - { ref, type, name, customerKey, sourceName, sourceKey, dependsOn, action, changes, incompatible, notes }
+ */
+function planAsset(asset, existing, nameClash, { targetKeyOf = () => null } = {}) {
+  const item = planItem(asset, existing ? 'exists' : 'create');
+  const definition = asset.definition;
+
+  if (nameClash) {
+    item.incompatible.push({ message: `The name is already used by the ${TYPE_LABELS[asset.type]} with key "${nameClash.key}"` });
+  }
+  if (asset.type === 'query') {
+    if (asset.sqlRenamed) item.notes.push('Table names in the SQL were changed to the renamed Data Extensions');
+    if (existing) {
+      const targetKey = targetKeyOf(definition.targetRef);
+      if ((existing.queryText || '').trim() !== definition.queryText.trim()) item.changes.push({ type: 'sql', message: 'SQL updated' });
+      if (targetKey && (existing.targetKey || '').toLowerCase() !== targetKey.toLowerCase()) {
+        item.changes.push({ type: 'target', from: existing.targetKey, to: targetKey, message: `Target ${existing.targetKey || 'none'} → ${targetKey}` });
+      }
+      if (existing.targetUpdateType !== definition.targetUpdateType) {
+        item.changes.push({ type: 'updateType', from: existing.targetUpdateType, to: definition.targetUpdateType, message: `${existing.targetUpdateType} → ${definition.targetUpdateType}` });
+      }
+      item.action = item.changes.length ? 'update' : 'unchanged';
+    }
+    if (!definition.targetRef) item.incompatible.push({ message: 'The target Data Extension is not in the package' });
+  }
+  if (asset.type === 'filter' && !existing && !definition.filterDefinitionXml) {
+    item.incompatible.push({ message: 'The filter criteria could not be exported; recreate this filter by hand' });
+  }
+  if (asset.type === 'filterActivity' && !existing && (!definition.filterRef || !definition.destinationRef)) {
+    item.incompatible.push({ message: 'The data filter or destination Data Extension is not in the package' });
+  }
+  if (asset.type === 'automation' && !existing) {
+    definition.steps.forEach((step, index) => step.activities.filter(activity => !activity.ref).forEach(activity => {
+      item.incompatible.push({ message: `Step ${index + 1}: "${activity.name}" (${activity.activityType || activity.objectTypeId}) activities cannot be packaged` });
+    }));
+    item.notes.push('Created without a schedule');
+  }
+  if (existing && item.action === 'exists') {
+    item.notes.push(`Already exists${existing.name !== asset.targetName ? ` as "${existing.name}"` : ''} and is used as is; give it a new key to import a copy`);
+  }
+  if (item.incompatible.length) item.action = 'blocked';
+  return item;
+}
+
+/**
+ * Block creates and updates whose dependencies are blocked. Items must be in creation order.
+ * @param {object[]} items - Plan items
+ * @returns {object[]} - The same items
+ */
+function blockDependents(items) {
+  const byRef = new Map(items.map(item => [item.ref, item]));
+  items.forEach(item => {
+    if (!['create', 'update'].includes(item.action)) return;
+    const blockedBy = item.dependsOn.map(ref => byRef.get(ref)).filter(dep => dep?.action === 'blocked');
+    if (blockedBy.length === 0) return;
+    blockedBy.forEach(dep => item.incompatible.push({ message: `Depends on ${TYPE_LABELS[dep.type]} "${dep.name}", which is blocked` }));
+    item.action = 'blocked';
+  });
+  return items;
+}
+
+const summarizePackagePlan = items => items.reduce((counts, item) => ({ ...counts, [item.action]: (counts[item.action] || 0) + 1 }), {});
+
+module.exports = {
+  PACKAGE_FORMAT,
+  ASSET_TYPES,
+  CATEGORY_TYPES,
+  TYPE_LABELS,
+  ACTIVITY_OBJECT_TYPES,
+  graphDependencies,
+  dataExtensionAsset,
+  queryAsset,
+  filterAsset,
+  filterActivityAsset,
+  automationAsset,
+  createPackage,
+  validatePackage,
+  renameTablesInSql,
+  applyMappings,
+  planDataExtensionAsset,
+  planAsset,
+  blockDependents,
+  creationOrder,
+  summarizePackagePlan
+};
@@ -0,0 +1,247 @@
+/**
+ * MC Explorer - Automation Run History
+ * Reads AutomationInstance (one row per run) and AutomationActivityInstance (one
+ * row per activity per run) over SOAP and turns them into a run history with
+ * durations, the failing step/activity and its error message.
+ *
+ * Activity instances are matched to the automation definition (REST
+ * /automation/v1/automations/:id) by activity object id to recover step numbers
+ * and activity types.
+ */
+
+const { retrieveAll, retrieveByValues } = require('./soapClient');
+
+// Automation Studio status codes as returned by SOAP; named statuses pass through unchanged
+const STATUS_NAMES = {
+  '-1': 'Error',
+  '0': 'BuildError',
+  '1': 'Building',
+  '2': 'Ready',
+  '3': 'Running',
+  '4': 'Paused',
+  '5': 'Stopped',
+  '6': 'Scheduled',
+  '7': 'AwaitingTrigger',
+  '8': 'InactiveTrigger'
+};
+
+const FAILED_STATUSES = new Set(['error', 'builderror', 'failed', 'failure']);
+
+const INSTANCE_PROPERTIES = [
+  'ObjectID', 'Name', 'CustomerKey', 'ProgramID', 'Status', 'StatusMessage', 'StatusLastUpdate',
+  'ScheduledTime', 'StartTime', 'CompletedTime'
+];
+
+const ACTIVITY_INSTANCE_PROPERTIES = [
+  'ObjectID', 'AutomationInstanceID', 'ActivityID', 'Name', 'Status', 'StatusMessage', 'StartTime', 'CompletedTime'
+];
+
+const DEFAULT_RUN_LIMIT = 25;
+
+function statusName(status) {
+  const value = String(status ?? '').trim();
+  return STATUS_NAMES[value] || value || 'Unknown';
+}
+
+function isFailed(status) {
+  return FAILED_STATUSES.has(statusName(status).toLowerCase());
+}
+
+function durationMs(start, end) {
+  const from = Date.parse(start);
+  const to = Date.parse(end);
+  return isNaN(from) || isNaN(to) || to < from ? null : to - from;
+}
+
+// activityObjectId / activity id → { stepNumber, name, activityType } from the automation definition
+function indexDefinitionActivities(automation) {
+  const index = new Map();
+  (automation?.steps || []).forEach((step, stepIndex) => {
+    const stepNumber = step.stepNumber ?? step.step ?? stepIndex + 1;
+    (step.activities || []).forEach(activity => {
+      const entry = {
+        stepNumber,
+        stepName: step.name || `Step ${stepNumber}`,
+        name: activity.name,
+        activityType: activity.activityType || activity.objectTypeId || null
+      };
+      if (activity.activityObjectId) index.set(String(activity.activityObjectId).toLowerCase(), entry);
+      if (activity.id) index.set(String(activity.id).toLowerCase(), entry);
+    });
+  });
+  return index;
+}
+
+function describeActivity(activityInstance, definitionIndex) {
+  const definition = definitionIndex.get(String(activityInstance.ActivityID || '').toLowerCase());
+  const status = statusName(activityInstance.Status);
+  return {
+    id: activityInstance.ObjectID || null,
+    activityId: activityInstance.ActivityID || null,
+    name: activityInstance.Name || definition?.name || activityInstance.ActivityID || 'Unnamed activity',
+    activityType: definition?.activityType || null,
+    stepNumber: definition?.stepNumber ?? null,
+    stepName: definition?.stepName || null,
+    status,
+    failed: isFailed(status),
+    errorMessage: activityInstance.StatusMessage || null,
+    startTime: activityInstance.StartTime || null,
+    completedTime: activityInstance.CompletedTime || null,
+    durationMs: durationMs(activityInstance.StartTime, activityInstance.CompletedTime)
+  };
+}
+
+/**
+ * Combine instance rows into runs, newest first.
+ * @param {object[]} instances - AutomationInstance rows
+ * @param {object[]} activityInstances - AutomationActivityInstance rows for those instances
+ * @param {object} [definitionsById] - { [automationId]: REST automation definition }
+ * @returns {object[]} - [{ instanceId, automationId, name, status, failed, startTime, completedTime, durationMs, failedStep, failedActivity, errors, activities }]
+ */
+function buildRuns(instances, activityInstances, definitionsById = {}) {
+  const activitiesByInstance = new Map();
+  activityInstances.forEach(row => {
+    const key = String(row.AutomationInstanceID || '');
+    if (!activitiesByInstance.has(key)) activitiesByInstance.set(key, []);
+    activitiesByInstance.get(key).push(row);
+  });
+
+  return instances.map(instance => {
+    const definition = definitionsById[instance.ProgramID];
+    const definitionIndex = indexDefinitionActivities(definition);
+    const activities = (activitiesByInstance.get(String(instance.ObjectID)) || [])
+      .map(row => describeActivity(row, definitionIndex))
+      .sort((a, b) => (a.stepNumber ?? Infinity) - (b.stepNumber ?? Infinity) ||
+        String(a.startTime || '').localeCompare(String(b.startTime || '')));
+
+    const failedActivity = activities.find(activity => activity.failed) || null;
+    const status = statusName(instance.Status);
+    const errors = [
+      ...activities.filter(activity => activity.failed && activity.errorMessage)
+        .map(activity => `${activity.name}: ${activity.errorMessage}`),
+      ...(isFailed(status) && instance.StatusMessage ? [instance.StatusMessage] : [])
+    ];
+
+    return {
+      instanceId: instance.ObjectID,
+      automationId: instance.ProgramID || null,
+      automationKey: instance.CustomerKey || definition?.key || null,
+      name: definition?.name || instance.Name || instance.CustomerKey || instance.ProgramID,
+      status,
+      failed: isFailed(status) || !!failedActivity,
+      scheduledTime: instance.ScheduledTime || null,
+      startTime: instance.StartTime || null,
+      completedTime: instance.CompletedTime || null,
+      durationMs: durationMs(instance.StartTime, instance.CompletedTime),
+      failedStep: failedActivity && failedActivity.stepNumber !== null
+        ? { stepNumber: failedActivity.stepNumber, name: failedActivity.stepName }
+        : null,
+      failedActivity,
+      errors,
+      activities
+    };
+  }).sort((a, b) => String(b.startTime || '').localeCompare(String(a.startTime || '')));
+}
+
+/**
+ * Retrieve AutomationInstance rows, optionally for one automation and/or since a date.
+ */
+async function retrieveAutomationInstances(subdomain, accessToken, { programId, since } = {}) {
+  const filters = [];
+  if (programId) filters.push({ property: 'ProgramID', operator: 'equals', value: programId });
+  if (since) filters.push({ property: 'StartTime', operator: 'greaterThan', value: since });
+  const filter = filters.length === 2
+    ? { left: filters[0], logicalOperator: 'AND', right: filters[1] }
+    : filters[0];
+  return retrieveAll(subdomain, accessToken, {
+    objectType: 'AutomationInstance',
+    properties: INSTANCE_PROPERTIES,
+    filter
+  });
+}
+
+async function retrieveActivityInstances(subdomain, accessToken, instanceIds) {
+  if (instanceIds.length === 0) return [];
+  return retrieveByValues(subdomain, accessToken, {
+    objectType: 'AutomationActivityInstance',
+    properties: ACTIVITY_INSTANCE_PROPERTIES
+  }, 'AutomationInstanceID', instanceIds);
+}
+
+/**
+ * Run history of one automation.
+ * @param {string} subdomain - SFMC subdomain
+ * @param {string} accessToken - SFMC access token
+ * @param {object} automation - REST automation definition (id, name, steps)
+ * @param {object} [options]
+ * @param {number} [options.limit=25] - Most recent runs returned
+ * @param {string} [options.since] - Only runs started after this ISO date
+ * @returns {Promise<object[]>} - See buildRuns
+ */
+async function fetchAutomationRunHistory(subdomain, accessToken, automation, options = {}) {
+  const limit = Math.max(parseInt(options.limit, 10) || DEFAULT_RUN_LIMIT, 1);
+  const instances = await retrieveAutomationInstances(subdomain, accessToken, {
+    programId: automation.id,
+    since: options.since
+  });
+  const recent = instances
+    .sort((a, b) => String(b.StartTime || '').localeCompare(String(a.StartTime || '')))
+    .slice(0, limit);
+  const activityInstances = await retrieveActivityInstances(subdomain, accessToken, recent.map(i => i.ObjectID).filter(Boolean));
+  return buildRuns(recent, activityInstances, { [automation.id]: automation });
+}
+
+/**
+ * Failed runs across every automation since a date.
+ * Activity instances are only retrieved for runs that did not complete; a run
+ * stopped or paused by an errored activity counts as failed.
+ * @param {string} subdomain - SFMC subdomain
+ * @param {string} accessToken - SFMC access token
+ * @param {string} since - ISO date
+ * @param {function} [loadDefinitions] - async (automationIds) => { [id]: definition }, for step numbers
+ * @returns {Promise<object[]>} - Failed runs, newest first
+ */
+async function fetchFailedAutomationRuns(subdomain, accessToken, since, loadDefinitions) {
+  const instances = await retrieveAutomationInstances(subdomain, accessToken, { since });
+  const candidates = instances.filter(instance => statusName(instance.Status).toLowerCase() !== 'complete');
+  const activityInstances = await retrieveActivityInstances(subdomain, accessToken, candidates.map(i => i.ObjectID).filter(Boolean));
+
+  const failingInstanceIds = new Set(activityInstances.filter(row => isFailed(row.Status)).map(row => String(row.AutomationInstanceID)));
+  const failed = candidates.filter(instance =>
+    isFailed(instance.Status) || failingInstanceIds.has(String(instance.ObjectID))
+  );
+
+  const definitions = loadDefinitions
+    ? await loadDefinitions([...new Set(failed.map(instance => instance.ProgramID).filter(Boolean))])
+    : {};
+  return buildRuns(failed, activityInstances, definitions);
+}
+
+/**
+ * Average run duration per automation over completed runs since a date.
+ * @param {string} subdomain - SFMC subdomain
+ * @param {string} accessToken - SFMC access token
+ * @param {string} since - ISO date
+ * @returns {Promise<object>} - { [automationId]: ms }
+ */
+async function fetchAverageRunDurations(subdomain, accessToken, since) {
+  const instances = await retrieveAutomationInstances(subdomain, accessToken, { since });
+  const totals = {};
+  instances.forEach(instance => {
+    const ms = durationMs(instance.StartTime, instance.CompletedTime);
+    if (ms === null || !instance.ProgramID) return;
+    const entry = totals[instance.ProgramID] || (totals[instance.ProgramID] = { sum: 0, runs: 0 });
+    entry.sum += ms;
+    entry.runs++;
+  });
+  return Object.fromEntries(Object.entries(totals).map(([id, { sum, runs }]) => [id, Math.round(sum / runs)]));
+}
+
+module.exports = {
+  fetchAutomationRunHistory,
+  fetchAverageRunDurations,
+  fetchFailedAutomationRuns,
+  buildRuns,
+  statusName,
+  isFailed
+};
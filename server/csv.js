@@ -0,0 +1,16 @@
+/**
+ * MC Explorer - CSV
+ * Cell formatting shared by the CSV exports (RFC 4180 quoting).
+ */
+
+/**
+ * Format one CSV cell; null and undefined are empty, values with quotes, commas or line breaks are quoted.
+ * @param {*} value
+ * @returns {string}
+ */
+const csvCell = value => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+module.exports = { csvCell };
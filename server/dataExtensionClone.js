@@ -0,0 +1,202 @@
+/**
+ * MC Explorer - Data Extension Clone
+ * Turn a source DE's schema into a create definition for a copy (with optional field type changes
+ * and a warning per changed field) and copy its rows into the new DE in batches.
+ */
+
+const axios = require('axios');
+const { getSoapUrl } = require('./mcEndpoints');
+const { escapeXml, parseSoapMessage, toArray } = require('./soapClient');
+const { fetchDataExtensionRows } = require('./dataExtensionRows');
+
+const FIELD_TYPES = ['Text', 'Number', 'Decimal', 'Date', 'Boolean', 'EmailAddress', 'Phone', 'Locale'];
+
+// Target types that only accept values of a particular shape
+const STRICT_TYPES = {
+  Number: 'whole numbers',
+  Decimal: 'numbers',
+  Date: 'dates',
+  Boolean: 'true/false values',
+  EmailAddress: 'email addresses',
+  Phone: 'phone numbers',
+  Locale: 'locale codes'
+};
+
+const ROW_BATCH_SIZE = 200;
+
+const describeType = field => {
+  if (field.fieldType === 'Decimal') return `Decimal(${field.precision ?? 18},${field.scale ?? 0})`;
+  return field.length ? `${field.fieldType}(${field.length})` : field.fieldType;
+};
+
+/**
+ * Warnings for one field whose target definition differs from the source.
+ * @param {object} source - Source field schema (see dataExtensionSchema.toFieldSchema)
+ * @param {object} target - Target field schema
+ * @returns {string[]}
+ */
+function compareFieldTypes(source, target) {
+  const warnings = [];
+  if (source.fieldType !== target.fieldType) {
+    const accepts = STRICT_TYPES[target.fieldType];
+    warnings.push(accepts
+      ? `${describeType(source)} becomes ${describeType(target)}; rows whose value is not one of ${accepts} will fail to copy`
+      : `${describeType(source)} becomes ${describeType(target)}`);
+    return warnings;
+  }
+  if (source.length && target.length && target.length < source.length) {
+    warnings.push(`Length shrinks from ${source.length} to ${target.length}; longer values will fail to copy`);
+  }
+  if (target.fieldType === 'Decimal') {
+    if ((target.precision ?? 18) - (target.scale ?? 0) < (source.precision ?? 18) - (source.scale ?? 0)) {
+      warnings.push(`Fewer integer digits (${describeType(source)} → ${describeType(target)}); large values will fail to copy`);
+    }
+    if ((target.scale ?? 0) < (source.scale ?? 0)) {
+      warnings.push(`Scale drops from ${source.scale} to ${target.scale}; values are rounded`);
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Build the createDataExtensionSOAP definition of a copy of a DE.
+ * @param {object} schema - Source schema from fetchDataExtensionSchemas
+ * @param {object} options
+ * @param {string} options.customerKey - Target CustomerKey
+ * @param {string} [options.description] - Defaults to the source description
+ * @param {string} [options.categoryId] - Target folder ID
+ * @param {object} [options.fieldOverrides] - { [fieldName]: { fieldType, length, precision, scale } }
+ * @returns {{ definition: object, warnings: Array<{ field: string, message: string }>, errors: string[] }}
+ */
+function buildCloneDefinition(schema, { customerKey, description, categoryId, fieldOverrides = {} }) {
+  const warnings = [];
+  const errors = [];
+  const fieldNames = schema.fields.map(field => field.name);
+  Object.keys(fieldOverrides).filter(name => !fieldNames.includes(name))
+    .forEach(name => errors.push(`Unknown field "${name}"`));
+
+  const targetFields = schema.fields.map(source => {
+    const override = fieldOverrides[source.name];
+    if (!override) return source;
+    const fieldType = override.fieldType || source.fieldType;
+    if (!FIELD_TYPES.includes(fieldType)) {
+      errors.push(`${source.name}: unsupported field type "${fieldType}"`);
+      return source;
+    }
+    const sameType = fieldType === source.fieldType;
+    const target = {
+      ...source,
+      fieldType,
+      length: fieldType === 'Decimal' ? null : Number(override.length) || (sameType ? source.length : null),
+      precision: fieldType === 'Decimal' ? Number(override.precision) || (sameType ? source.precision : 18) : null,
+      scale: fieldType === 'Decimal' ? Number(override.scale ?? (sameType ? source.scale : 0)) || 0 : null,
+      defaultValue: sameType ? source.defaultValue : null
+    };
+    compareFieldTypes(source, target).forEach(message => warnings.push({ field: source.name, message }));
+    if (!sameType && source.defaultValue !== null) {
+      warnings.push({ field: source.name, message: `Default value "${source.defaultValue}" is not carried over to the new type` });
+    }
+    if (schema.isSendable && source.name === schema.sendableField && !sameType) {
+      warnings.push({ field: source.name, message: `Sendable field: its type must still match ${schema.sendableSubscriberField}` });
+    }
+    return target;
+  });
+
+  const definition = {
+    CustomerKey: customerKey,
+    Description: description ?? schema.description,
+    CategoryID: categoryId || null,
+    IsSendable: schema.isSendable && !!schema.sendableField,
+    IsTestable: schema.isTestable,
+    SendableDataExtensionField: schema.sendableField,
+    SendableSubscriberField: schema.sendableSubscriberField,
+    Retention: schema.retention,
+    Fields: targetFields.map(field => ({
+      Name: field.name,
+      FieldType: field.fieldType,
+      MaxLength: field.fieldType === 'Decimal' ? field.precision : field.length,
+      Scale: field.scale,
+      IsRequired: !field.isNullable,
+      IsPrimaryKey: field.isPrimaryKey,
+      DefaultValue: field.defaultValue
+    })),
+    Keys: targetFields.filter(field => field.isPrimaryKey).map(field => ({ Name: field.name, IsPrimaryKey: true }))
+  };
+  return { definition, warnings, errors };
+}
+
+/**
+ * Insert rows into a Data Extension with one SOAP Create per batch.
+ * @returns {Promise<{ inserted: number, failed: number, errors: string[] }>}
+ */
+async function insertRowsSOAP(subdomain, accessToken, customerKey, rows) {
+  const objectsXml = rows.map(row => `
+          <Objects xsi:type="DataExtensionObject">
+            <CustomerKey>${escapeXml(customerKey)}</CustomerKey>
+            <Properties>${Object.entries(row)
+              .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+              .map(([name, value]) => `<Property><Name>${escapeXml(name)}</Name><Value>${escapeXml(value)}</Value></Property>`)
+              .join('')}</Properties>
+          </Objects>`).join('');
+  const soapEnvelope = `
+    <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+      <soapenv:Header>
+        <fueloauth>${accessToken}</fueloauth>
+      </soapenv:Header>
+      <soapenv:Body>
+        <CreateRequest xmlns="http://exacttarget.com/wsdl/partnerAPI">${objectsXml}
+        </CreateRequest>
+      </soapenv:Body>
+    </soapenv:Envelope>
+  `;
+  const resp = await axios.post(getSoapUrl(subdomain), soapEnvelope, {
+    headers: { 'Content-Type': 'text/xml', SOAPAction: 'Create' },
+    timeout: 120000
+  });
+  const results = toArray((await parseSoapMessage(resp.data, 'CreateResponse'))?.Results);
+  const failures = results.filter(result => result.StatusCode !== 'OK');
+  return {
+    inserted: results.length - failures.length,
+    failed: failures.length || (results.length === 0 ? rows.length : 0),
+    errors: failures.map(result => result.StatusMessage).filter(Boolean)
+  };
+}
+
+/**
+ * Copy a DE's rows into another DE (possibly in another business unit) in batches.
+ * @param {string} subdomain
+ * @param {object} source - { accessToken, customerKey }
+ * @param {object} target - { accessToken, customerKey }
+ * @param {object} [options] - { maxRows, batchSize }
+ * @returns {Promise<object>} - { copied, failed, truncated, errors } (errors: distinct messages, at most 10)
+ */
+async function copyDataExtensionRows(subdomain, source, target, { maxRows, batchSize = ROW_BATCH_SIZE } = {}) {
+  const { rows, hasMore, error } = await fetchDataExtensionRows(subdomain, source.accessToken, { customerKey: source.customerKey, maxRows });
+  if (error) throw new Error(error);
+
+  const summary = { copied: 0, failed: 0, truncated: hasMore, errors: [] };
+  const addError = message => {
+    if (!summary.errors.includes(message)) summary.errors.push(message);
+  };
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const batch = rows.slice(i, i + batchSize);
+    try {
+      const result = await insertRowsSOAP(subdomain, target.accessToken, target.customerKey, batch);
+      summary.copied += result.inserted;
+      summary.failed += result.failed;
+      result.errors.forEach(message => addError(message));
+    } catch (err) {
+      summary.failed += batch.length;
+      addError(err.message);
+    }
+  }
+  summary.errors = summary.errors.slice(0, 10);
+  return summary;
+}
+
+module.exports = {
+  buildCloneDefinition,
+  compareFieldTypes,
+  copyDataExtensionRows,
+  FIELD_TYPES
+};
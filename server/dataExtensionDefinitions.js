@@ -0,0 +1,342 @@
+/**
+ * MC Explorer - Data Extension Definitions
+ * Data Extensions as code: parse JSON or CSV definition files (the shapes /de/schema/export writes,
+ * plus an optional folder), validate them and plan creates, added fields and incompatible changes
+ * against what exists in Marketing Cloud.
+ */
+
+const { FIELD_TYPES } = require('./dataExtensionClone');
+
+// Types whose length can be set and grown later
+const SIZED_TYPES = ['Text', 'EmailAddress', 'Phone'];
+
+const DEFAULT_LENGTHS = { Text: 4000, EmailAddress: 254, Phone: 50, Locale: 5 };
+
+const RETENTION_PERIODS = ['Days', 'Weeks', 'Months', 'Years'];
+
+const CSV_COLUMNS = {
+  name: 'data extension',
+  customerKey: 'customer key',
+  folder: 'folder',
+  description: 'description',
+  ordinal: 'ordinal',
+  field: 'field',
+  fieldType: 'type',
+  length: 'length',
+  precision: 'precision',
+  scale: 'scale',
+  isPrimaryKey: 'primary key',
+  isNullable: 'nullable',
+  defaultValue: 'default',
+  sendableField: 'sendable field',
+  sendableSubscriberField: 'subscriber field'
+};
+
+const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+const toBoolean = value => /^(yes|true|1|y)$/i.test(String(value ?? '').trim());
+const toNumber = value => (isBlank(value) ? null : Number(value));
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting, CRLF or LF line ends).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * One field in the schema shape of dataExtensionSchema (length/precision/scale/isNullable).
+ */
+function normalizeField(raw, index) {
+  const fieldType = String(raw.fieldType || raw.type || 'Text').trim();
+  const isPrimaryKey = toBoolean(raw.isPrimaryKey);
+  const isDecimal = fieldType === 'Decimal';
+  const length = toNumber(raw.length ?? raw.maxLength);
+  return {
+    ordinal: toNumber(raw.ordinal) ?? index,
+    name: String(raw.name ?? '').trim(),
+    fieldType,
+    length: isDecimal ? null : length ?? DEFAULT_LENGTHS[fieldType] ?? null,
+    precision: isDecimal ? toNumber(raw.precision ?? raw.maxLength) ?? 18 : null,
+    scale: isDecimal ? toNumber(raw.scale) ?? 0 : null,
+    isPrimaryKey,
+    isNullable: isPrimaryKey ? false
+      : raw.isNullable !== undefined ? toBoolean(raw.isNullable)
+        : raw.isRequired !== undefined ? !toBoolean(raw.isRequired) : true,
+    defaultValue: isBlank(raw.defaultValue) ? null : String(raw.defaultValue)
+  };
+}
+
+/**
+ * One definition in the shape the planner compares: schema export JSON, a CSV group or a package asset.
+ * @param {object} raw
+ * @returns {object}
+ */
+function normalizeDefinition(raw) {
+  const name = String(raw.name ?? '').trim();
+  const fields = (Array.isArray(raw.fields) ? raw.fields : []).map(normalizeField)
+    .sort((a, b) => a.ordinal - b.ordinal);
+  return {
+    name,
+    customerKey: String(raw.customerKey ?? '').trim() || name,
+    folder: isBlank(raw.folder ?? raw.folderPath) ? null : String(raw.folder ?? raw.folderPath).trim(),
+    description: raw.description === undefined || raw.description === null ? null : String(raw.description),
+    // null when the file does not say, so a schema-only CSV leaves the sendable setting alone
+    isSendable: raw.isSendable !== undefined && raw.isSendable !== null ? toBoolean(raw.isSendable)
+      : isBlank(raw.sendableField) ? null : true,
+    isTestable: toBoolean(raw.isTestable),
+    sendableField: isBlank(raw.sendableField) ? null : String(raw.sendableField).trim(),
+    sendableSubscriberField: isBlank(raw.sendableSubscriberField) ? null : String(raw.sendableSubscriberField).trim(),
+    retention: raw.retention && typeof raw.retention === 'object' ? {
+      periodLength: toNumber(raw.retention.periodLength),
+      period: raw.retention.period || null,
+      retainUntil: raw.retention.retainUntil || null,
+      rowBased: toBoolean(raw.retention.rowBased),
+      resetOnImport: toBoolean(raw.retention.resetOnImport),
+      deleteAtEndOfPeriod: toBoolean(raw.retention.deleteAtEndOfPeriod)
+    } : null,
+    fields
+  };
+}
+
+function parseCsvDefinitions(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.map(cell => cell.trim().toLowerCase());
+  const missing = ['name', 'field'].filter(key => !columns.includes(CSV_COLUMNS[key]));
+  if (missing.length) {
+    throw new Error(`CSV header needs the columns ${missing.map(key => `"${CSV_COLUMNS[key]}"`).join(', ')}`);
+  }
+  const cellOf = (row, key) => {
+    const index = columns.indexOf(CSV_COLUMNS[key]);
+    return index === -1 ? undefined : row[index];
+  };
+
+  const byKey = new Map();
+  rows.forEach(row => {
+    const name = (cellOf(row, 'name') || '').trim();
+    const key = (cellOf(row, 'customerKey') || '').trim() || name;
+    if (!byKey.has(key)) {
+      byKey.set(key, {
+        name,
+        customerKey: key,
+        folder: cellOf(row, 'folder'),
+        description: cellOf(row, 'description'),
+        sendableField: cellOf(row, 'sendableField'),
+        sendableSubscriberField: cellOf(row, 'sendableSubscriberField'),
+        fields: []
+      });
+    }
+    byKey.get(key).fields.push({
+      ordinal: cellOf(row, 'ordinal'),
+      name: cellOf(row, 'field'),
+      fieldType: cellOf(row, 'fieldType'),
+      length: cellOf(row, 'length'),
+      precision: cellOf(row, 'precision'),
+      scale: cellOf(row, 'scale'),
+      isPrimaryKey: cellOf(row, 'isPrimaryKey'),
+      isNullable: cellOf(row, 'isNullable'),
+      defaultValue: cellOf(row, 'defaultValue')
+    });
+  });
+  return [...byKey.values()];
+}
+
+/**
+ * Parse a definition file. JSON may be one definition, an array or { dataExtensions: [...] };
+ * CSV has one row per field with the /de/schema/export columns plus optional Folder and Description.
+ * @param {string} content - File contents
+ * @param {string} [filename] - Used to pick the format; otherwise detected from the content
+ * @returns {{ format: string, definitions: object[] }}
+ */
+function parseDefinitionFile(content, filename = '') {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const extension = (filename.match(/\.(\w+)$/)?.[1] || '').toLowerCase();
+  const format = ['json', 'csv'].includes(extension) ? extension : /^\s*[[{]/.test(text) ? 'json' : 'csv';
+
+  let raws;
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+    raws = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.dataExtensions) ? parsed.dataExtensions : [parsed];
+  } else {
+    raws = parseCsvDefinitions(text);
+  }
+  return { format, definitions: raws.filter(raw => raw && typeof raw === 'object').map(normalizeDefinition) };
+}
+
+/**
+ * Problems that stop a definition from being planned at all.
+ * @param {object[]} definitions - From parseDefinitionFile
+ * @returns {Array<{ customerKey: string, errors: string[] }>} - Only definitions with errors
+ */
+function validateDefinitions(definitions) {
+  const seenKeys = new Map();
+  definitions.forEach(def => seenKeys.set(def.customerKey.toLowerCase(), (seenKeys.get(def.customerKey.toLowerCase()) || 0) + 1));
+
+  return definitions.map((def, index) => {
+    const errors = [];
+    if (!def.name) errors.push('Name is required');
+    if (def.name.length > 128) errors.push('Name is longer than 128 characters');
+    if (seenKeys.get(def.customerKey.toLowerCase()) > 1) errors.push(`Customer key "${def.customerKey}" is defined more than once`);
+    if (def.fields.length === 0) errors.push('At least one field is required');
+
+    const names = new Set();
+    def.fields.forEach(field => {
+      const label = field.name || '(unnamed field)';
+      if (!field.name) errors.push('Every field needs a name');
+      if (names.has(field.name.toLowerCase())) errors.push(`${label}: field is defined more than once`);
+      names.add(field.name.toLowerCase());
+      if (!FIELD_TYPES.includes(field.fieldType)) errors.push(`${label}: unknown type "${field.fieldType}" (${FIELD_TYPES.join(', ')})`);
+      if (SIZED_TYPES.includes(field.fieldType) && !(field.length > 0 && field.length <= 4000)) {
+        errors.push(`${label}: length must be between 1 and 4000`);
+      }
+      if (field.fieldType === 'Decimal' && !(field.precision >= 1 && field.precision <= 38 && field.scale >= 0 && field.scale <= field.precision)) {
+        errors.push(`${label}: Decimal needs a precision of 1-38 and a scale no larger than it`);
+      }
+    });
+
+    if (def.isSendable) {
+      if (!def.sendableField || !names.has(def.sendableField.toLowerCase())) {
+        errors.push(`Sendable field "${def.sendableField || ''}" is not one of the fields`);
+      }
+      if (!def.sendableSubscriberField) errors.push('Sendable Data Extensions need a subscriber field (e.g. "Subscriber Key")');
+    }
+    if (def.retention?.period && !RETENTION_PERIODS.includes(def.retention.period)) {
+      errors.push(`Retention period must be one of ${RETENTION_PERIODS.join(', ')}`);
+    }
+    return { index, customerKey: def.customerKey || def.name, errors };
+  }).filter(result => result.errors.length > 0);
+}
+
+const sizeOf = field => (field.fieldType === 'Decimal' ? `(${field.precision},${field.scale})` : field.length ? `(${field.length})` : '');
+
+/**
+ * Compare one definition with the existing DE.
+ * @param {object} def - Normalized definition
+ * @param {object|null} existing - Schema from fetchDataExtensionSchemas, null when the DE does not exist
+ * @param {object} folder - { folderId, missing } from resolving def.folder (folderId null when it has to be created)
+ * @returns {object} - { name, customerKey, folder, action: create|update|unchanged|blocked, addedFields,
+ *   changes, incompatible, notes } where changes are applied on update and incompatible ones block it
+ */
+function planDefinition(def, existing, folder = { folderId: null, missing: [] }) {
+  const item = {
+    name: def.name,
+    customerKey: def.customerKey,
+    folder: def.folder,
+    foldersToCreate: folder.missing,
+    action: 'create',
+    addedFields: [],
+    changes: [],
+    incompatible: [],
+    notes: []
+  };
+  if (!existing) {
+    item.addedFields = def.fields.map(field => field.name);
+    return item;
+  }
+
+  const current = new Map(existing.fields.map(field => [field.name.toLowerCase(), field]));
+  def.fields.forEach(field => {
+    const before = current.get(field.name.toLowerCase());
+    if (!before) {
+      if (!field.isNullable && field.defaultValue === null) {
+        item.incompatible.push({ field: field.name, message: 'Required fields can only be added to an existing Data Extension with a default value' });
+      } else {
+        item.addedFields.push(field.name);
+      }
+      return;
+    }
+    const conflict = message => item.incompatible.push({ field: field.name, message });
+    if (before.fieldType !== field.fieldType) {
+      conflict(`Type ${before.fieldType}${sizeOf(before)} cannot change to ${field.fieldType}${sizeOf(field)}`);
+      return;
+    }
+    if (before.isPrimaryKey !== field.isPrimaryKey) conflict(field.isPrimaryKey ? 'Cannot become part of the primary key' : 'Cannot leave the primary key');
+    if (before.isNullable !== field.isNullable) conflict(field.isNullable ? 'Cannot become nullable' : 'Cannot become required');
+    if (field.fieldType === 'Decimal' && (before.precision !== field.precision || before.scale !== field.scale)) {
+      conflict(`Decimal${sizeOf(before)} cannot change to Decimal${sizeOf(field)}`);
+    }
+    if (SIZED_TYPES.includes(field.fieldType) && before.length && field.length !== before.length) {
+      if (field.length > before.length) {
+        item.changes.push({ field: field.name, type: 'length', from: before.length, to: field.length, message: `Length ${before.length} → ${field.length}` });
+      } else {
+        conflict(`Length cannot shrink from ${before.length} to ${field.length}`);
+      }
+    }
+    if ((before.defaultValue ?? null) !== field.defaultValue) {
+      conflict(`Default value "${before.defaultValue ?? ''}" cannot change to "${field.defaultValue ?? ''}"`);
+    }
+  });
+
+  const defined = new Set(def.fields.map(field => field.name.toLowerCase()));
+  existing.fields.filter(field => !defined.has(field.name.toLowerCase()))
+    .forEach(field => item.notes.push(`${field.name} exists only in Marketing Cloud and is left as is`));
+
+  if (def.name !== existing.name) item.notes.push(`Named "${existing.name}" in Marketing Cloud; renaming is not applied`);
+  if (def.description !== null && def.description !== existing.description) {
+    item.changes.push({ type: 'description', from: existing.description, to: def.description, message: 'Description updated' });
+  }
+  if (def.folder && String(folder.folderId) !== String(existing.categoryId)) {
+    item.changes.push({ type: 'folder', to: def.folder, message: `Moved to ${def.folder}` });
+  }
+  if (def.isSendable !== null && (def.isSendable !== existing.isSendable ||
+    (def.isSendable && (def.sendableField || '').toLowerCase() !== (existing.sendableField || '').toLowerCase()))) {
+    item.incompatible.push({ field: null, message: 'The sendable relationship cannot be changed' });
+  }
+  if (def.retention && JSON.stringify(def.retention) !== JSON.stringify(existing.retention)) {
+    item.notes.push('Retention settings differ and are not applied');
+  }
+
+  if (item.incompatible.length) item.action = 'blocked';
+  else if (item.addedFields.length || item.changes.length) item.action = 'update';
+  else item.action = 'unchanged';
+  return item;
+}
+
+module.exports = {
+  parseCsv,
+  parseDefinitionFile,
+  normalizeDefinition,
+  validateDefinitions,
+  planDefinition
+};
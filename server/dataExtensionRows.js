@@ -0,0 +1,148 @@
+/**
+ * MC Explorer - Data Extension Rows
+ * Browse the rows of a Data Extension with a column selection and a SOAP filter
+ * ({ property, operator, value } or { left, logicalOperator, right }, as retrieveSendWithFilter takes),
+ * paged server-side and exportable as CSV.
+ */
+
+const { retrieveAll, toArray } = require('./soapClient');
+const { fetchDataExtensionFields } = require('./dataExtensionSchema');
+const { csvCell } = require('./csv');
+
+// Operator -> number of values it takes ('many' for a list)
+const FILTER_OPERATORS = {
+  equals: 1,
+  notEquals: 1,
+  greaterThan: 1,
+  greaterThanOrEqual: 1,
+  lessThan: 1,
+  lessThanOrEqual: 1,
+  like: 1,
+  isNull: 0,
+  isNotNull: 0,
+  IN: 'many',
+  between: 2
+};
+
+const LOGICAL_OPERATORS = ['AND', 'OR'];
+
+// Deepest nesting of complex filter parts accepted from a client
+const MAX_FILTER_DEPTH = 10;
+
+/**
+ * Check a client filter against the DE's fields and return it in the shape buildFilterXML expects.
+ * Field names are matched case-insensitively and returned with the DE's own casing.
+ * @param {object|null} filter - Simple or complex filter part
+ * @param {string[]} fieldNames - Fields of the Data Extension
+ * @returns {{ filter: object|null, error: string|null }}
+ */
+function normalizeRowFilter(filter, fieldNames, depth = 0) {
+  if (!filter) return { filter: null, error: null };
+  if (depth > MAX_FILTER_DEPTH) return { filter: null, error: `Filters can nest at most ${MAX_FILTER_DEPTH} levels` };
+
+  if (filter.left || filter.right || filter.logicalOperator) {
+    const logicalOperator = String(filter.logicalOperator || '').toUpperCase();
+    if (!LOGICAL_OPERATORS.includes(logicalOperator)) {
+      return { filter: null, error: `Logical operator must be one of ${LOGICAL_OPERATORS.join(', ')}` };
+    }
+    const left = normalizeRowFilter(filter.left, fieldNames, depth + 1);
+    if (left.error) return left;
+    const right = normalizeRowFilter(filter.right, fieldNames, depth + 1);
+    if (right.error) return right;
+    if (!left.filter || !right.filter) return { filter: null, error: 'Complex filter parts need a left and a right operand' };
+    return { filter: { left: left.filter, logicalOperator, right: right.filter }, error: null };
+  }
+
+  const property = fieldNames.find(name => name.toLowerCase() === String(filter.property || '').toLowerCase());
+  if (!property) return { filter: null, error: `Unknown field "${filter.property}"` };
+  const operator = Object.keys(FILTER_OPERATORS).find(op => op.toLowerCase() === String(filter.operator || '').toLowerCase());
+  if (!operator) return { filter: null, error: `Unsupported operator "${filter.operator}"` };
+
+  const arity = FILTER_OPERATORS[operator];
+  if (arity === 0) return { filter: { property, operator }, error: null };
+  const values = (Array.isArray(filter.values) ? filter.values : [filter.value])
+    .filter(value => value !== undefined && value !== null)
+    .map(String);
+  if (arity === 'many') {
+    if (values.length === 0) return { filter: null, error: `${property} IN needs at least one value` };
+    return { filter: { property, operator, values }, error: null };
+  }
+  if (values.length !== arity) return { filter: null, error: `${property} ${operator} needs ${arity} value${arity > 1 ? 's' : ''}` };
+  return { filter: arity === 1 ? { property, operator, value: values[0] } : { property, operator, values }, error: null };
+}
+
+const toRow = result => {
+  const row = {};
+  toArray(result.Properties?.Property).forEach(prop => {
+    if (prop?.Name) row[prop.Name] = typeof prop.Value === 'string' ? prop.Value : '';
+  });
+  return row;
+};
+
+/**
+ * Retrieve rows of a Data Extension. SOAP cannot skip rows, so every row up to the
+ * requested page is retrieved and ContinueRequest stops as soon as the page is covered.
+ * @param {string} subdomain
+ * @param {string} accessToken
+ * @param {object} query
+ * @param {string} query.customerKey - DE CustomerKey
+ * @param {string[]} [query.columns] - Fields to return (default: all)
+ * @param {object} [query.filter] - See normalizeRowFilter
+ * @param {number} [query.page=1] - 1-based page
+ * @param {number} [query.pageSize=50]
+ * @param {number} [query.maxRows] - For exports: every row up to this limit instead of one page
+ * @returns {Promise<object>} - { fields, columns, rows, page, pageSize, hasMore, total } (total is null when
+ *   rows beyond the page were not retrieved), or { error, status } for an unknown DE or invalid query
+ */
+async function fetchDataExtensionRows(subdomain, accessToken, { customerKey, columns, filter, page = 1, pageSize = 50, maxRows }) {
+  const fields = (await fetchDataExtensionFields(accessToken, subdomain, [customerKey]))[customerKey] || [];
+  if (fields.length === 0) return { error: 'Data Extension not found or has no fields', status: 404 };
+  const fieldNames = fields.map(field => field.name);
+
+  const selected = Array.isArray(columns) && columns.length
+    ? fieldNames.filter(name => columns.some(column => String(column).toLowerCase() === name.toLowerCase()))
+    : fieldNames;
+  if (selected.length === 0) return { error: 'None of the requested columns are fields of this Data Extension', status: 400 };
+
+  const normalized = normalizeRowFilter(filter, fieldNames);
+  if (normalized.error) return { error: normalized.error, status: 400 };
+
+  const offset = maxRows ? 0 : (page - 1) * pageSize;
+  const needed = maxRows || offset + pageSize + 1;
+  const results = await retrieveAll(subdomain, accessToken, {
+    objectType: `DataExtensionObject[${customerKey}]`,
+    properties: selected,
+    filter: normalized.filter
+  }, { maxRows: needed });
+
+  const complete = results.length < needed;
+  const limit = maxRows || pageSize;
+  return {
+    fields: fields.map(({ name, fieldType, isPrimaryKey }) => ({ name, fieldType, isPrimaryKey })),
+    columns: selected,
+    rows: results.slice(offset, offset + limit).map(toRow),
+    page: maxRows ? 1 : page,
+    pageSize: limit,
+    hasMore: results.length > offset + limit,
+    total: complete ? results.length : null
+  };
+}
+
+/**
+ * Rows as CSV with a header of the given columns.
+ * @param {string[]} columns
+ * @param {object[]} rows
+ * @returns {string}
+ */
+function rowsToCsv(columns, rows) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(row => row.map(csvCell).join(','))
+    .join('\n');
+}
+
+module.exports = {
+  fetchDataExtensionRows,
+  normalizeRowFilter,
+  rowsToCsv,
+  FILTER_OPERATORS
+};
@@ -0,0 +1,224 @@
+/**
+ * MC Explorer - Data Extension Schema
+ * Field definitions, sendable relationship and retention settings of Data Extensions,
+ * and their export as JSON, CSV or CREATE TABLE-style text for documentation and review.
+ */
+
+const { retrieveByValues } = require('./soapClient');
+const { csvCell } = require('./csv');
+
+const DATA_EXTENSION_PROPERTIES = [
+  'ObjectID', 'Name', 'CustomerKey', 'Description', 'CategoryID', 'IsSendable', 'IsTestable',
+  'SendableDataExtensionField.Name', 'SendableSubscriberField.Name',
+  'DataRetentionPeriodLength', 'DataRetentionPeriod', 'RowBasedRetention',
+  'ResetRetentionPeriodOnImport', 'DeleteAtEndOfRetentionPeriod', 'RetainUntil',
+  'CreatedDate', 'ModifiedDate'
+];
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  sql: { contentType: 'text/plain', extension: 'sql' }
+};
+
+const CSV_HEADERS = [
+  'Data Extension', 'Customer Key', 'Ordinal', 'Field', 'Type', 'Length', 'Precision', 'Scale',
+  'Primary Key', 'Nullable', 'Default'
+];
+
+// Text lengths MC applies when a field has no MaxLength
+const DEFAULT_LENGTHS = { Text: 4000, EmailAddress: 254, Phone: 50, Locale: 5 };
+
+/**
+ * Fetch the fields of several Data Extensions in batched DataExtensionField retrieves.
+ * @param {string} accessToken - SFMC access token
+ * @param {string} subdomain - SFMC subdomain
+ * @param {string[]} customerKeys - DE CustomerKeys
+ * @returns {Promise<object>} - { [customerKey]: [{ objectId, name, fieldType, maxLength, scale, isPrimaryKey, isRequired, defaultValue, ordinal }] }
+ */
+async function fetchDataExtensionFields(accessToken, subdomain, customerKeys) {
+  const keys = [...new Set(customerKeys.filter(Boolean))];
+  if (keys.length === 0) return {};
+
+  const rows = await retrieveByValues(subdomain, accessToken, {
+    objectType: 'DataExtensionField',
+    properties: [
+      'ObjectID', 'Name', 'FieldType', 'MaxLength', 'Scale', 'IsPrimaryKey', 'IsRequired', 'DefaultValue', 'Ordinal',
+      'DataExtension.CustomerKey'
+    ]
+  }, 'DataExtension.CustomerKey', keys);
+
+  const fieldsByKey = {};
+  rows.forEach(row => {
+    const key = row.DataExtension?.CustomerKey;
+    if (!key) return;
+    if (!fieldsByKey[key]) fieldsByKey[key] = [];
+    fieldsByKey[key].push({
+      objectId: row.ObjectID || null,
+      name: row.Name,
+      fieldType: row.FieldType,
+      maxLength: row.MaxLength ? parseInt(row.MaxLength, 10) : null,
+      scale: row.Scale ? parseInt(row.Scale, 10) : null,
+      isPrimaryKey: row.IsPrimaryKey === 'true',
+      isRequired: row.IsRequired === 'true',
+      defaultValue: row.DefaultValue || '',
+      ordinal: parseInt(row.Ordinal, 10) || 0
+    });
+  });
+  Object.values(fieldsByKey).forEach(fields => fields.sort((a, b) => a.ordinal - b.ordinal));
+  return fieldsByKey;
+}
+
+/**
+ * Schema view of one field: Decimal's MaxLength is its precision, other types' is a length.
+ * @param {object} field - From fetchDataExtensionFields
+ * @returns {object}
+ */
+function toFieldSchema(field) {
+  const isDecimal = field.fieldType === 'Decimal';
+  return {
+    ordinal: field.ordinal,
+    name: field.name,
+    fieldType: field.fieldType,
+    length: isDecimal ? null : field.maxLength ?? DEFAULT_LENGTHS[field.fieldType] ?? null,
+    precision: isDecimal ? field.maxLength : null,
+    scale: isDecimal ? field.scale ?? 0 : null,
+    isPrimaryKey: field.isPrimaryKey,
+    isNullable: !field.isRequired && !field.isPrimaryKey,
+    defaultValue: field.defaultValue || null
+  };
+}
+
+function toRetention(de) {
+  const length = parseInt(de.DataRetentionPeriodLength, 10);
+  const retainUntil = de.RetainUntil && !de.RetainUntil.startsWith('0001-') ? de.RetainUntil : null;
+  if (!length && !retainUntil) return null;
+  return {
+    periodLength: length || null,
+    period: length ? de.DataRetentionPeriod || null : null,
+    retainUntil,
+    rowBased: de.RowBasedRetention === 'true',
+    resetOnImport: de.ResetRetentionPeriodOnImport === 'true',
+    deleteAtEndOfPeriod: de.DeleteAtEndOfRetentionPeriod === 'true'
+  };
+}
+
+/**
+ * Full schemas of Data Extensions, in the order of the requested keys. Unknown keys are skipped.
+ * @param {string} subdomain
+ * @param {string} accessToken
+ * @param {object} refs - { customerKeys } and/or { names }
+ * @returns {Promise<object[]>} - [{ name, customerKey, objectId, description, isSendable, isTestable,
+ *   sendableField, sendableSubscriberField, retention, fields }]
+ */
+async function fetchDataExtensionSchemas(subdomain, accessToken, { customerKeys = [], names = [] }) {
+  const request = { objectType: 'DataExtension', properties: DATA_EXTENSION_PROPERTIES };
+  const [byKey, byName] = await Promise.all([
+    customerKeys.length ? retrieveByValues(subdomain, accessToken, request, 'CustomerKey', [...new Set(customerKeys)]) : [],
+    names.length ? retrieveByValues(subdomain, accessToken, request, 'Name', [...new Set(names)]) : []
+  ]);
+  const dataExtensions = [...new Map([...byKey, ...byName].map(de => [de.CustomerKey, de])).values()];
+  const fieldsByKey = await fetchDataExtensionFields(accessToken, subdomain, dataExtensions.map(de => de.CustomerKey));
+
+  const order = [...customerKeys, ...names];
+  const position = de => {
+    const index = order.findIndex(ref => ref === de.CustomerKey || ref === de.Name);
+    return index === -1 ? order.length : index;
+  };
+
+  return dataExtensions
+    .sort((a, b) => position(a) - position(b))
+    .map(de => ({
+      name: de.Name,
+      customerKey: de.CustomerKey,
+      objectId: de.ObjectID || null,
+      description: de.Description || '',
+      categoryId: de.CategoryID || null,
+      isSendable: de.IsSendable === 'true',
+      isTestable: de.IsTestable === 'true',
+      sendableField: de.SendableDataExtensionField?.Name || null,
+      sendableSubscriberField: de.SendableSubscriberField?.Name || null,
+      retention: toRetention(de),
+      createdDate: de.CreatedDate || null,
+      modifiedDate: de.ModifiedDate || null,
+      fields: (fieldsByKey[de.CustomerKey] || []).map(toFieldSchema)
+    }));
+}
+
+function schemasToCsv(schemas) {
+  const rows = schemas.flatMap(schema => schema.fields.map(field => [
+    schema.name, schema.customerKey, field.ordinal, field.name, field.fieldType, field.length, field.precision,
+    field.scale, field.isPrimaryKey ? 'Yes' : 'No', field.isNullable ? 'Yes' : 'No', field.defaultValue
+  ]));
+  return [CSV_HEADERS, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+const quoteIdentifier = name => `[${String(name).replace(/]/g, ']]')}]`;
+
+function sqlType(field) {
+  switch (field.fieldType) {
+    case 'Decimal': return `DECIMAL(${field.precision ?? 18},${field.scale ?? 0})`;
+    case 'Number': return 'INT';
+    case 'Date': return 'DATETIME';
+    case 'Boolean': return 'BIT';
+    default: return `NVARCHAR(${field.length ?? 'MAX'})`;
+  }
+}
+
+const sqlDefault = field => {
+  if (field.defaultValue === null) return '';
+  if (['Number', 'Decimal'].includes(field.fieldType) && !isNaN(Number(field.defaultValue))) return ` DEFAULT ${field.defaultValue}`;
+  if (field.fieldType === 'Boolean') return ` DEFAULT ${/^(true|1)$/i.test(field.defaultValue) ? 1 : 0}`;
+  if (field.fieldType === 'Date' && /^(now\(\)|getdate\(\))$/i.test(field.defaultValue)) return ' DEFAULT GETDATE()';
+  return ` DEFAULT '${field.defaultValue.replace(/'/g, "''")}'`;
+};
+
+function describeRetention(retention) {
+  const scope = retention.rowBased ? 'individual records' : 'all records';
+  // MC can return a period length without its unit (DataRetentionPeriod)
+  const period = retention.period ? `${retention.periodLength} ${retention.period}` : `${retention.periodLength} (unit not set)`;
+  const until = retention.retainUntil ? `until ${retention.retainUntil}` : period;
+  const flags = [retention.resetOnImport && 'reset on import', retention.deleteAtEndOfPeriod && 'delete DE at end of period'].filter(Boolean);
+  return [`${until}, ${scope}`, ...flags].join(', ');
+}
+
+// Documentation-only DDL: MC types mapped onto their closest SQL Server equivalents
+function schemaToCreateTable(schema) {
+  const header = [`-- ${schema.name} (${schema.customerKey})`];
+  if (schema.description) header.push(`-- ${schema.description.replace(/\s+/g, ' ')}`);
+  if (schema.isSendable) {
+    header.push(`-- Sendable: ${schema.sendableField || '?'} relates to ${schema.sendableSubscriberField || '?'}${schema.isTestable ? ' (testable)' : ''}`);
+  }
+  if (schema.retention) header.push(`-- Retention: ${describeRetention(schema.retention)}`);
+
+  const columns = schema.fields.map(field =>
+    `  ${quoteIdentifier(field.name)} ${sqlType(field)}${field.isNullable ? ' NULL' : ' NOT NULL'}${sqlDefault(field)}`
+  );
+  const primaryKey = schema.fields.filter(field => field.isPrimaryKey).map(field => quoteIdentifier(field.name));
+  if (primaryKey.length) columns.push(`  PRIMARY KEY (${primaryKey.join(', ')})`);
+
+  return `${header.join('\n')}\nCREATE TABLE ${quoteIdentifier(schema.name)} (\n${columns.join(',\n')}\n);`;
+}
+
+/**
+ * Render schemas in an export format.
+ * @param {object[]} schemas - From fetchDataExtensionSchemas
+ * @param {string} format - json | csv | sql
+ * @returns {{ body: string, contentType: string, extension: string }}
+ */
+function formatSchemas(schemas, format) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  let body;
+  if (format === 'json') body = JSON.stringify(schemas, null, 2);
+  else if (format === 'csv') body = schemasToCsv(schemas);
+  else body = `${schemas.map(schemaToCreateTable).join('\n\n')}\n`;
+  return { body, contentType, extension };
+}
+
+module.exports = {
+  fetchDataExtensionFields,
+  fetchDataExtensionSchemas,
+  formatSchemas,
+  schemaToCreateTable,
+  EXPORT_FORMATS
+};
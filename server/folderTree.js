@@ -0,0 +1,112 @@
+/**
+ * MC Explorer - Folder Tree
+ * Turn DataFolder rows of one content type into a nested tree with asset counts, and check
+ * folder creates, renames and moves before they are sent to Marketing Cloud.
+ */
+
+// Content types the folder browser supports, with the asset label shown in the UI
+const FOLDER_CONTENT_TYPES = {
+  dataextension: 'Data Extensions',
+  automations: 'Automations',
+  journey: 'Journeys',
+  email: 'Emails'
+};
+
+const parentIdOf = folder => String(folder.ParentFolder?.ID ?? '0');
+
+// Top-level folders (parent 0) are created by Marketing Cloud and cannot be renamed or moved
+const isEditableFolder = folder => parentIdOf(folder) !== '0' && String(folder.IsEditable ?? 'true') !== 'false';
+
+/**
+ * Nest folders and count the assets in each one.
+ * @param {object} folderMap - { [ID]: DataFolder } of one content type (see retrieveFolderMap)
+ * @param {object[]} assets - [{ folderId }]
+ * @returns {{ folders: object[], unfiled: number }} - folders: root nodes
+ *   { id, name, parentId, editable, assetCount, totalCount, children }; unfiled: assets in no known folder
+ */
+function buildFolderTree(folderMap, assets) {
+  const counts = {};
+  let unfiled = 0;
+  assets.forEach(asset => {
+    const folderId = String(asset.folderId ?? '');
+    if (folderMap[folderId]) counts[folderId] = (counts[folderId] || 0) + 1;
+    else unfiled++;
+  });
+
+  const nodes = {};
+  Object.values(folderMap).forEach(folder => {
+    const id = String(folder.ID);
+    nodes[id] = {
+      id,
+      name: folder.Name,
+      parentId: parentIdOf(folder),
+      editable: isEditableFolder(folder),
+      assetCount: counts[id] || 0,
+      totalCount: 0,
+      children: []
+    };
+  });
+
+  const roots = [];
+  Object.values(nodes).forEach(node => {
+    const parent = nodes[node.parentId];
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+
+  const finish = node => {
+    node.children.sort((a, b) => a.name.localeCompare(b.name));
+    node.totalCount = node.assetCount + node.children.reduce((sum, child) => sum + finish(child), 0);
+    return node.totalCount;
+  };
+  roots.sort((a, b) => a.name.localeCompare(b.name)).forEach(finish);
+  return { folders: roots, unfiled };
+}
+
+/**
+ * Why a folder cannot be created or renamed to `name` under `parentId`, or null when it can.
+ * @param {object} folderMap - Folders of the content type
+ * @param {string} name
+ * @param {string} parentId
+ * @param {string} [folderId] - Folder being renamed or moved (ignored in the sibling check)
+ * @returns {string|null}
+ */
+function checkFolderName(folderMap, name, parentId, folderId) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return 'A folder name is required';
+  // Folder paths elsewhere in MC Explorer are split on "/"
+  if (trimmed.includes('/')) return 'Folder names cannot contain "/"';
+  const parent = folderMap[String(parentId)];
+  if (!parent) return `Parent folder ${parentId} not found`;
+  if (String(parent.AllowChildren ?? 'true') === 'false') return `"${parent.Name}" does not allow subfolders`;
+  const sibling = Object.values(folderMap).find(folder =>
+    parentIdOf(folder) === String(parentId) &&
+    String(folder.ID) !== String(folderId) &&
+    String(folder.Name).toLowerCase() === trimmed.toLowerCase());
+  return sibling ? `"${parent.Name}" already has a folder named "${sibling.Name}"` : null;
+}
+
+/**
+ * Why a folder cannot be moved under `parentId`, or null when it can.
+ * @param {object} folderMap - Folders of the content type
+ * @param {string} folderId
+ * @param {string} parentId
+ * @returns {string|null}
+ */
+function checkFolderMove(folderMap, folderId, parentId) {
+  const folder = folderMap[String(folderId)];
+  if (!folder) return `Folder ${folderId} not found`;
+  if (!isEditableFolder(folder)) return `"${folder.Name}" cannot be moved`;
+  for (let current = folderMap[String(parentId)]; current; current = folderMap[parentIdOf(current)]) {
+    if (String(current.ID) === String(folderId)) return `"${folder.Name}" cannot be moved into itself or one of its subfolders`;
+  }
+  return checkFolderName(folderMap, folder.Name, parentId, folderId);
+}
+
+module.exports = {
+  FOLDER_CONTENT_TYPES,
+  buildFolderTree,
+  checkFolderName,
+  checkFolderMove,
+  isEditableFolder
+};
@@ -0,0 +1,115 @@
+/**
+ * MC Explorer - Global Search
+ * Rank assets of every type against one free-text query, for the command palette.
+ * Each term of the query must match the asset; better matches (exact name, name prefix, exact key)
+ * score higher than matches buried in a key, folder path or description.
+ */
+
+// Asset types the global search covers, with the label shown in results
+const GLOBAL_SEARCH_TYPES = {
+  dataextension: 'Data Extension',
+  automation: 'Automation',
+  datafilter: 'Data Filter',
+  journey: 'Journey',
+  emailsenddefinition: 'Email Send Definition',
+  publication: 'Publication',
+  email: 'Email',
+  senderprofile: 'Sender Profile',
+  triggeredsend: 'Triggered Send'
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const lower = value => (value === null || value === undefined ? '' : String(value).toLowerCase());
+
+// Word starts: after spaces and separators, and at camelCase humps ("OrderItems" → order, items)
+const words = value => String(value ?? '')
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .toLowerCase()
+  .split(/[\s_\-./:]+/)
+  .filter(Boolean);
+
+/**
+ * Score one query term against one asset.
+ * @param {object} asset - { name, key, id, path, description }
+ * @param {string} term - Lowercase term
+ * @returns {{ score: number, field: string|null }} - score 0 when the term does not match
+ */
+function scoreTerm(asset, term) {
+  const name = lower(asset.name);
+  const key = lower(asset.key);
+  const id = lower(asset.id);
+  if (name === term) return { score: 100, field: 'name' };
+  if (key === term || id === term) return { score: 90, field: key === term ? 'key' : 'id' };
+  if (name.startsWith(term)) return { score: 80, field: 'name' };
+  if (words(asset.name).some(word => word.startsWith(term))) return { score: 60, field: 'name' };
+  if (key.startsWith(term)) return { score: 50, field: 'key' };
+  if (name.includes(term)) return { score: 40, field: 'name' };
+  if (key.includes(term)) return { score: 30, field: 'key' };
+  if (lower(asset.path).includes(term)) return { score: 10, field: 'path' };
+  if (lower(asset.description).includes(term)) return { score: 5, field: 'description' };
+  return { score: 0, field: null };
+}
+
+/**
+ * Score an asset against a whole query.
+ * @param {object} asset
+ * @param {string} query
+ * @returns {{ score: number, matchedFields: string[] }} - score 0 unless every term matches
+ */
+function scoreAsset(asset, query) {
+  const phrase = lower(query).trim();
+  const terms = phrase.split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return { score: 0, matchedFields: [] };
+  let score = 0;
+  const matchedFields = new Set();
+  for (const term of terms) {
+    const match = scoreTerm(asset, term);
+    if (match.score === 0) return { score: 0, matchedFields: [] };
+    score += match.score;
+    matchedFields.add(match.field);
+  }
+  // Multi-word queries: prefer assets where the words appear together, in order
+  if (terms.length > 1) {
+    const name = lower(asset.name);
+    if (name === phrase) score += 100;
+    else if (name.includes(phrase)) score += 50;
+  }
+  return { score, matchedFields: [...matchedFields] };
+}
+
+/**
+ * Rank assets of every type against a query.
+ * @param {object[]} assets - [{ type, id, name, key?, path?, description?, ... }]
+ * @param {string} query
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum results returned (default 50, at most 200)
+ * @param {string[]} [options.types] - Only these asset types
+ * @returns {{ results: object[], total: number, counts: object }} - results: best first, each with
+ *   typeLabel, score and matchedFields; total and counts (per type) cover every match, not just the returned ones
+ */
+function rankGlobalResults(assets, query, options = {}) {
+  const limit = Math.min(Math.max(Number(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const types = options.types?.length ? new Set(options.types) : null;
+  const counts = {};
+  const matches = [];
+  assets.forEach(asset => {
+    if (types && !types.has(asset.type)) return;
+    const { score, matchedFields } = scoreAsset(asset, query);
+    if (score === 0) return;
+    counts[asset.type] = (counts[asset.type] || 0) + 1;
+    matches.push({ ...asset, typeLabel: GLOBAL_SEARCH_TYPES[asset.type] || asset.type, score, matchedFields });
+  });
+  matches.sort((a, b) =>
+    b.score - a.score ||
+    String(a.name ?? '').length - String(b.name ?? '').length ||
+    String(a.name ?? '').localeCompare(String(b.name ?? '')));
+  return { results: matches.slice(0, limit), total: matches.length, counts };
+}
+
+module.exports = {
+  GLOBAL_SEARCH_TYPES,
+  scoreAsset,
+  rankGlobalResults
+};
@@ -0,0 +1,189 @@
+/**
+ * MC Explorer - Impact Analysis
+ * Walks the relationship graph produced by detectAllAssetRelationships to answer
+ * "what breaks if I change X" (downstream) and "what feeds X" (upstream).
+ *
+ * Edges are data-flow oriented (source feeds target), except containment edges
+ * (automation → activity → query/filter/...) which point from container to member.
+ * A member that is affected makes its containers affected too, so a query that
+ * reads a changed DE also surfaces the automation that runs it.
+ */
+
+// Container → member edges; followed backwards from any affected member
+const CONTAINMENT_TYPES = new Set([
+  'executes_activity',
+  'executes_query',
+  'executes_filter',
+  'executes_file_transfer',
+  'executes_data_extract'
+]);
+
+// Sequencing only, no data dependency
+const IGNORED_TYPES = new Set(['next_step']);
+
+const DEFAULT_DEPTH = 5;
+const MAX_DEPTH = 20;
+
+/**
+ * Index nodes and relationships for traversal.
+ * @param {object[]} nodes - { id, name, category, ... }
+ * @param {object[]} relationships - { source, target, type, label }
+ * @returns {{ nodes: Map, outgoing: Map, incoming: Map }}
+ */
+function buildImpactGraph(nodes, relationships) {
+  const nodeMap = new Map();
+  nodes.forEach(node => {
+    if (node && node.id !== undefined && node.id !== null) nodeMap.set(String(node.id), node);
+  });
+
+  const outgoing = new Map();
+  const incoming = new Map();
+  const add = (map, key, edge) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(edge);
+  };
+
+  relationships.forEach(rel => {
+    if (!rel || !rel.source || !rel.target || IGNORED_TYPES.has(rel.type)) return;
+    const edge = {
+      source: String(rel.source),
+      target: String(rel.target),
+      type: rel.type,
+      label: rel.label || rel.type
+    };
+    add(outgoing, edge.source, edge);
+    add(incoming, edge.target, edge);
+  });
+
+  return { nodes: nodeMap, outgoing, incoming };
+}
+
+/**
+ * Breadth-first walk in one direction.
+ * `depth` limits data-flow hops; containment hops (member ↔ container) are free so
+ * the owning automation of an affected query is always reported.
+ */
+function walk(graph, rootId, direction, maxDepth) {
+  const forward = direction === 'downstream';
+  const found = new Map(); // id → { depth, path }
+  // `members` marks nodes reached by descending from the root into its own activities
+  const queue = [{ id: rootId, depth: 0, path: [], members: true }];
+  const visited = new Set([rootId]);
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const steps = [];
+
+    // Data flow
+    if (current.depth < maxDepth) {
+      const flowEdges = (forward ? graph.outgoing : graph.incoming).get(current.id) || [];
+      flowEdges.filter(edge => !CONTAINMENT_TYPES.has(edge.type)).forEach(edge => {
+        steps.push({ id: forward ? edge.target : edge.source, edge, depth: current.depth + 1, members: false });
+      });
+    }
+
+    // Root (or a member of the root) → its own members, e.g. automation → activities → queries
+    if (current.members) {
+      (graph.outgoing.get(current.id) || []).filter(edge => CONTAINMENT_TYPES.has(edge.type)).forEach(edge => {
+        steps.push({ id: edge.target, edge, depth: current.depth, members: true });
+      });
+    } else {
+      // Affected member → the activity / automation that contains it
+      (graph.incoming.get(current.id) || []).filter(edge => CONTAINMENT_TYPES.has(edge.type)).forEach(edge => {
+        steps.push({ id: edge.source, edge, depth: current.depth, members: false });
+      });
+    }
+
+    steps.forEach(step => {
+      if (visited.has(step.id)) return;
+      visited.add(step.id);
+      const path = [...current.path, step.edge];
+      if (!step.members) found.set(step.id, { depth: step.depth, path });
+      queue.push({ id: step.id, depth: step.depth, path, members: step.members });
+    });
+  }
+
+  return found;
+}
+
+/**
+ * A container plus everything it executes (automation → activities → queries/filters/...).
+ * @param {object} graph - From buildImpactGraph
+ * @param {string} containerId
+ * @returns {Set<string>} - Node ids, including the container
+ */
+function collectMembers(graph, containerId) {
+  const members = new Set([containerId]);
+  const queue = [containerId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    (graph.outgoing.get(id) || []).filter(edge => CONTAINMENT_TYPES.has(edge.type)).forEach(edge => {
+      if (members.has(edge.target)) return;
+      members.add(edge.target);
+      queue.push(edge.target);
+    });
+  }
+  return members;
+}
+
+function describeNode(graph, id) {
+  const node = graph.nodes.get(id);
+  return {
+    id,
+    name: node?.name || node?.label || id,
+    category: node?.category || 'Unknown'
+  };
+}
+
+/**
+ * Upstream and downstream dependencies of one node.
+ * @param {object} graph - From buildImpactGraph
+ * @param {string} rootId - Node to analyze
+ * @param {object} [options]
+ * @param {'upstream'|'downstream'|'both'} [options.direction='both']
+ * @param {number} [options.depth=5] - Maximum data-flow hops (capped at 20)
+ * @returns {object} - { root, direction, depth, upstream: [], downstream: [], summary }
+ */
+function analyzeImpact(graph, rootId, options = {}) {
+  const id = String(rootId);
+  const direction = ['upstream', 'downstream'].includes(options.direction) ? options.direction : 'both';
+  const depth = Math.min(Math.max(parseInt(options.depth, 10) || DEFAULT_DEPTH, 1), MAX_DEPTH);
+
+  // Activities are reported inside paths only; the automation that owns them is listed instead
+  const toList = found => Array.from(found.entries())
+    .filter(([nodeId]) => graph.nodes.get(nodeId)?.category !== 'Activity')
+    .map(([nodeId, info]) => ({
+      ...describeNode(graph, nodeId),
+      depth: info.depth,
+      path: info.path.map(edge => ({
+        source: describeNode(graph, edge.source),
+        target: describeNode(graph, edge.target),
+        type: edge.type,
+        label: edge.label
+      }))
+    }))
+    .sort((a, b) => a.depth - b.depth || a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+
+  const upstream = direction === 'downstream' ? [] : toList(walk(graph, id, 'upstream', depth));
+  const downstream = direction === 'upstream' ? [] : toList(walk(graph, id, 'downstream', depth));
+
+  const countByCategory = items => items.reduce((acc, item) => {
+    acc[item.category] = (acc[item.category] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    root: describeNode(graph, id),
+    found: graph.nodes.has(id),
+    direction,
+    depth,
+    upstream,
+    downstream,
+    summary: {
+      upstream: countByCategory(upstream),
+      downstream: countByCategory(downstream)
+    }
+  };
+}
+
+module.exports = { buildImpactGraph, analyzeImpact, collectMembers, CONTAINMENT_TYPES };
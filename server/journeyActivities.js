@@ -0,0 +1,291 @@
+/**
+ * MC Explorer - Journey Activity Graph
+ * Parses one journey version's activities (the REST interaction definition) into a
+ * sub-graph: one node per activity, edges following each activity's outcomes, and the
+ * Data Extensions and emails every activity touches.
+ *
+ * Decision split criteria are FilterDefinition XML. Conditions on Event.<eventDefinitionKey>.*
+ * read the journey's entry DE; Contact.Attribute."<DE name>".* read that DE by name.
+ * Outcomes without a next activity end the path; they point at EXIT_KEY.
+ */
+
+const ENTRY_KEY = 'ENTRY';
+const EXIT_KEY = 'EXIT';
+
+// Journey Builder activity types → kind
+const ACTIVITY_KINDS = {
+  EMAILV2: 'email',
+  EMAIL: 'email',
+  SMSSYNC: 'message',
+  PUSHNOTIFICATIONACTIVITY: 'message',
+  PUSHINBOXACTIVITY: 'message',
+  INAPPSYNC: 'message',
+  MULTICRITERIADECISION: 'decision',
+  RANDOMSPLIT: 'random_split',
+  ENGAGEMENTDECISION: 'engagement',
+  WAIT: 'wait',
+  WAITBYDURATION: 'wait',
+  WAITBYATTRIBUTE: 'wait',
+  WAITUNTILDATE: 'wait',
+  WAITBYEVENT: 'wait',
+  STOWAIT: 'wait',
+  UPDATECONTACTDATA: 'update_contact'
+};
+
+// ENGAGEMENTDECISION statsTypeId → tracked event
+const ENGAGEMENT_STATS = { 1: 'sent', 2: 'opened', 3: 'clicked', 4: 'bounced' };
+
+const WAIT_UNITS = { MINUTES: 'minute', HOURS: 'hour', DAYS: 'day', WEEKS: 'week', MONTHS: 'month', YEARS: 'year' };
+
+const decodeXml = text => String(text ?? '')
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+const xmlAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  return match ? decodeXml(match[1] ?? match[2]) : null;
+};
+
+const unquote = part => part.replace(/^"|"$/g, '');
+
+/**
+ * Attribute reference in a criteria key or data binding: Event.<key>.<field> or
+ * Contact.Attribute."<DE>".<field>.
+ * @returns {{ source: 'event'|'contact', eventDefinitionKey?: string, dataExtension?: string, field: string }|null}
+ */
+function parseAttributeReference(reference) {
+  const text = String(reference || '').replace(/^\{\{|\}\}$/g, '').trim();
+  const event = text.match(/^Event\.("[^"]+"|[^.]+)\.(.+)$/i);
+  if (event) return { source: 'event', eventDefinitionKey: unquote(event[1]), field: unquote(event[2]) };
+  const contact = text.match(/^Contact\.Attribute\.("[^"]+"|[^.]+)\.(.+)$/i);
+  if (contact) return { source: 'contact', dataExtension: unquote(contact[1]), field: unquote(contact[2]) };
+  return null;
+}
+
+/**
+ * Conditions of a decision split outcome's FilterDefinition XML. ConditionSets nest, so the
+ * outcome's logic is kept as a tree of groups; conditions lists every condition in document order.
+ * @param {string} xml
+ * @returns {{ operator: string, group: object, conditions: object[], text: string }} - group is
+ *   { operator, items } where each item is a condition or a nested group; text parenthesizes nested groups
+ */
+function parseCriteria(xml) {
+  const source = String(xml || '');
+  const top = { operator: 'AND', items: [] };
+  const stack = [top];
+  const conditions = [];
+  const tagPattern = /<(\/?)ConditionSet\b([^>]*?)(\/?)>|<Condition\b([^>]*?)(?:\/>|>([\s\S]*?)<\/Condition>)/gi;
+  let match;
+  while ((match = tagPattern.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match[4] !== undefined) {
+      const key = xmlAttribute(match[4], 'Key');
+      const values = [...String(match[5] || '').matchAll(/<Value>([\s\S]*?)<\/Value>/gi)].map(value => decodeXml(value[1]));
+      const condition = {
+        key,
+        operator: xmlAttribute(match[4], 'Operator') || 'Equal',
+        values,
+        reference: parseAttributeReference(key)
+      };
+      conditions.push(condition);
+      current.items.push(condition);
+    } else if (match[1]) {
+      if (stack.length > 1) stack.pop();
+    } else {
+      const group = { operator: (xmlAttribute(match[2], 'Operator') || 'AND').toUpperCase(), items: [] };
+      current.items.push(group);
+      if (!match[3]) stack.push(group);
+    }
+  }
+  // The outermost ConditionSet is the outcome's own group
+  const group = top.items.length === 1 && top.items[0].items ? top.items[0] : top;
+
+  const describeCondition = condition => {
+    const field = condition.reference
+      ? `${condition.reference.dataExtension || 'Entry'}.${condition.reference.field}`
+      : condition.key;
+    return `${field} ${condition.operator}${condition.values.length ? ` ${condition.values.map(v => `"${v}"`).join(', ')}` : ''}`;
+  };
+  const describeGroup = (node, nested) => {
+    const parts = node.items
+      .map(item => (item.items ? describeGroup(item, true) : describeCondition(item)))
+      .filter(Boolean);
+    const text = parts.join(` ${node.operator} `);
+    return nested && parts.length > 1 ? `(${text})` : text;
+  };
+  return { operator: group.operator, group, conditions, text: describeGroup(group, false) };
+}
+
+const plural = (count, unit) => `${count} ${unit}${Number(count) === 1 ? '' : 's'}`;
+
+function describeWait(config) {
+  if (config.waitDuration !== undefined && config.waitUnit) {
+    return `Wait ${plural(config.waitDuration, WAIT_UNITS[String(config.waitUnit).toUpperCase()] || String(config.waitUnit).toLowerCase())}`;
+  }
+  if (config.waitEndDateAttributeExpression) {
+    const reference = parseAttributeReference(config.waitEndDateAttributeExpression);
+    return `Wait until ${reference ? reference.field : config.waitEndDateAttributeExpression}`;
+  }
+  if (config.specifiedDateTime || config.waitEndDate) return `Wait until ${config.specifiedDateTime || config.waitEndDate}`;
+  if (config.waitForEventId || config.eventDefinitionKey) return 'Wait for event';
+  return 'Wait';
+}
+
+/**
+ * Parse one journey version into its activity sub-graph.
+ * @param {object} journey - REST interaction (with activities and triggers)
+ * @param {object} [lookups]
+ * @param {object[]} [lookups.dataExtensions] - { objectId, name, customerKey } used to name DEs
+ * @param {object[]} [lookups.emails] - { id, name, subject } used to name emails (legacy email IDs)
+ * @returns {object} - { version, entry, activities, edges, dataExtensions, emails, counts }
+ */
+function parseJourneyActivities(journey = {}, lookups = {}) {
+  const deById = new Map();
+  const deByName = new Map();
+  (lookups.dataExtensions || []).forEach(de => {
+    if (de.objectId) deById.set(String(de.objectId).toLowerCase(), de);
+    if (de.name) deByName.set(String(de.name).toLowerCase(), de);
+  });
+  const emailById = new Map((lookups.emails || []).map(email => [String(email.id), email]));
+
+  const dataExtensionRef = ({ id = null, name = null }, role) => {
+    const de = (id && deById.get(String(id).toLowerCase())) || (name && deByName.get(String(name).toLowerCase())) || null;
+    return { id: de?.objectId || id || null, name: de?.name || name || id, customerKey: de?.customerKey || null, role };
+  };
+
+  const trigger = (journey.triggers || [])[0] || null;
+  const entryDataExtensionId = trigger?.arguments?.dataExtensionId || trigger?.configurationArguments?.dataExtensionId
+    || journey.entryDataExtensionId || journey.entrySource?.arguments?.dataExtensionId || null;
+  const entryEventKey = trigger?.metaData?.eventDefinitionKey || trigger?.eventDefinitionKey || null;
+  const entry = {
+    key: ENTRY_KEY,
+    name: trigger?.name || journey.entrySourceDescription || 'Entry',
+    type: trigger?.type || journey.entrySourceType || null,
+    eventDefinitionKey: entryEventKey,
+    dataExtension: entryDataExtensionId || journey.entryDataExtensionName
+      ? dataExtensionRef({ id: entryDataExtensionId, name: journey.entryDataExtensionName || null }, 'entry')
+      : null
+  };
+
+  // A reference to an entry event attribute reads the entry DE
+  const referencedDataExtension = (reference, role) => {
+    if (!reference) return null;
+    if (reference.source === 'contact') return dataExtensionRef({ name: reference.dataExtension }, role);
+    return entry.dataExtension ? { ...entry.dataExtension, role } : null;
+  };
+
+  const activities = (Array.isArray(journey.activities) ? journey.activities : []).map(activity => {
+    const type = String(activity.type || '').toUpperCase();
+    const kind = ACTIVITY_KINDS[type] || 'other';
+    const config = { ...(activity.arguments || {}), ...(activity.configurationArguments || {}) };
+    const dataExtensions = [];
+    const addDataExtension = ref => {
+      if (ref && !dataExtensions.some(de => (de.id || de.name) === (ref.id || ref.name) && de.role === ref.role)) dataExtensions.push(ref);
+    };
+    let email = null;
+    let summary = null;
+
+    const outcomes = (activity.outcomes || []).map((outcome, index) => ({
+      key: outcome.key || `${activity.key}-${index}`,
+      label: outcome.metaData?.label || outcome.arguments?.label || null,
+      next: outcome.next || null,
+      criteria: null
+    }));
+
+    if (kind === 'email') {
+      const triggeredSend = config.triggeredSend || {};
+      const emailId = config.email?.id ?? triggeredSend.emailId ?? config.emailId ?? null;
+      const known = emailId !== null ? emailById.get(String(emailId)) : null;
+      email = {
+        id: emailId,
+        name: known?.name || config.email?.name || triggeredSend.emailName || activity.name || null,
+        subject: triggeredSend.emailSubject || known?.subject || null,
+        triggeredSendKey: triggeredSend.triggeredSendKey || config.triggeredSendKey || null
+      };
+      summary = `Sends ${email.name || `email ${emailId}`}${email.subject ? ` ("${email.subject}")` : ''}`;
+    } else if (kind === 'decision') {
+      const criteria = config.criteria || {};
+      outcomes.forEach(outcome => {
+        if (!criteria[outcome.key]) {
+          outcome.label = outcome.label || 'Remainder';
+          return;
+        }
+        outcome.criteria = parseCriteria(criteria[outcome.key]);
+        outcome.label = outcome.label || outcome.criteria.text;
+        outcome.criteria.conditions.forEach(condition => addDataExtension(referencedDataExtension(condition.reference, 'reads')));
+      });
+      summary = `${outcomes.length}-way decision split`;
+    } else if (kind === 'random_split') {
+      outcomes.forEach((outcome, index) => {
+        const percentage = (activity.outcomes[index].arguments || {}).percentage;
+        outcome.label = outcome.label || (percentage !== undefined ? `${percentage}%` : null);
+      });
+      summary = `Random split into ${outcomes.length} paths`;
+    } else if (kind === 'engagement') {
+      const stat = ENGAGEMENT_STATS[config.statsTypeId] || `engagement type ${config.statsTypeId}`;
+      const emailActivity = (journey.activities || []).find(candidate => candidate.key === config.refActivityCustomerKey);
+      outcomes.forEach((outcome, index) => {
+        const status = String((activity.outcomes[index].arguments || {}).engagementStatus ?? '').toLowerCase();
+        outcome.label = outcome.label || (status === 'true' ? `Yes, ${stat}` : status === 'false' ? `No, not ${stat}` : null);
+      });
+      summary = `Split on whether ${emailActivity?.name || config.refActivityCustomerKey || 'the email'} was ${stat}`;
+    } else if (kind === 'wait') {
+      summary = describeWait(config);
+      if (config.waitEndDateAttributeExpression) {
+        addDataExtension(referencedDataExtension(parseAttributeReference(config.waitEndDateAttributeExpression), 'reads'));
+      }
+    } else if (kind === 'update_contact') {
+      const fields = (config.activityData?.updateContactFields || [])
+        .map(field => `${field.fieldName || field.fieldId || 'field'} = ${field.setValue ?? ''}`);
+      const dataExtensionId = config.dataExtensionId || activity.metaData?.dataExtensionId || null;
+      if (dataExtensionId) addDataExtension(dataExtensionRef({ id: dataExtensionId }, 'writes'));
+      summary = `Updates ${fields.length ? fields.join(', ') : 'contact data'}`;
+    }
+
+    return {
+      id: activity.id || null,
+      key: activity.key,
+      name: activity.name || activity.key,
+      type: activity.type || null,
+      kind,
+      summary,
+      email,
+      dataExtensions,
+      outcomes
+    };
+  });
+
+  const keys = new Set(activities.map(activity => activity.key));
+  const targeted = new Set(activities.flatMap(activity => activity.outcomes.map(outcome => outcome.next)).filter(Boolean));
+  const edges = activities
+    .filter(activity => !targeted.has(activity.key))
+    .map(activity => ({ source: ENTRY_KEY, target: activity.key, label: null }));
+  activities.forEach(activity => {
+    const paths = activity.outcomes.length ? activity.outcomes : [{ next: null, label: null }];
+    paths.forEach(outcome => edges.push({
+      source: activity.key,
+      target: outcome.next && keys.has(outcome.next) ? outcome.next : EXIT_KEY,
+      label: outcome.label
+    }));
+  });
+
+  const unique = (items, keyOf) => [...new Map(items.map(item => [keyOf(item), item])).values()];
+  const counts = {};
+  activities.forEach(activity => { counts[activity.kind] = (counts[activity.kind] || 0) + 1; });
+  counts.exit = edges.filter(edge => edge.target === EXIT_KEY).length;
+
+  return {
+    version: journey.version ?? journey.versionNumber ?? null,
+    entry,
+    activities,
+    edges,
+    dataExtensions: unique(
+      [entry.dataExtension, ...activities.flatMap(activity => activity.dataExtensions)].filter(Boolean),
+      de => `${de.id || de.name}|${de.role}`
+    ),
+    emails: unique(activities.map(activity => activity.email).filter(Boolean), email => String(email.id ?? email.name)),
+    counts
+  };
+}
+
+module.exports = { parseJourneyActivities, parseCriteria, parseAttributeReference, ENTRY_KEY, EXIT_KEY };
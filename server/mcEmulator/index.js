@@ -0,0 +1,77 @@
+/**
+ * MC Explorer - Local Marketing Cloud emulator
+ *
+ * A stand-in for the SOAP Service.asmx endpoint and the REST/auth endpoints server.js
+ * calls, backed by a seedable fixture org. Run it on its own:
+ *
+ *   node server/mcEmulator                      (listens on MC_EMULATOR_PORT, default 3002)
+ *   MC_EMULATOR_URL=http://localhost:3002 npm start
+ *
+ * or set MC_EMULATOR=true to have server.js mount it at /mc-emulator.
+ *
+ * Admin endpoints:
+ *   GET  /__emulator/state   counts per object type
+ *   POST /__emulator/seed    replace the org with the posted seed JSON
+ *   POST /__emulator/reset   reload the current seed
+ */
+
+const express = require('express');
+const { OrgStore, DEFAULT_SEED_PATH } = require('./orgStore');
+const { SoapHandler } = require('./soapHandler');
+const { createRestRoutes } = require('./restRoutes');
+
+/**
+ * Create the emulator express app.
+ * @param {object} [options]
+ * @param {string|object} [options.seed] - Fixture path or seed object (defaults to MC_EMULATOR_SEED or the demo org)
+ * @param {number} [options.pageSize] - SOAP Retrieve page size (defaults to MC_EMULATOR_PAGE_SIZE or 2500)
+ * @returns {express.Express}
+ */
+function createEmulatorApp(options = {}) {
+  const store = new OrgStore(options.seed || process.env.MC_EMULATOR_SEED || DEFAULT_SEED_PATH);
+  const soap = new SoapHandler(store, {
+    pageSize: options.pageSize || parseInt(process.env.MC_EMULATOR_PAGE_SIZE, 10) || 2500
+  });
+
+  const emulator = express();
+  emulator.use(express.json({ limit: '20mb' }));
+  emulator.use(express.urlencoded({ extended: false }));
+  emulator.use(express.text({ type: ['text/xml', 'application/soap+xml'], limit: '20mb' }));
+
+  emulator.post('/Service.asmx', async (req, res) => {
+    const result = await soap.handle(typeof req.body === 'string' ? req.body : '');
+    res.status(result.status).type('text/xml').send(result.body);
+  });
+
+  emulator.get('/__emulator/state', (req, res) => {
+    const counts = {};
+    Object.entries(store.soap).forEach(([type, items]) => { counts[type] = items.length; });
+    Object.entries(store.rest).forEach(([name, items]) => { counts[`rest.${name}`] = items.length; });
+    res.json({ org: store.org, counts, rows: Object.fromEntries(Object.entries(store.rows).map(([k, v]) => [k, v.length])) });
+  });
+
+  emulator.post('/__emulator/seed', (req, res) => {
+    if (!req.body || typeof req.body !== 'object') return res.status(400).json({ error: 'Seed must be a JSON object' });
+    store.load(req.body);
+    res.json({ success: true });
+  });
+
+  emulator.post('/__emulator/reset', (req, res) => {
+    store.reset();
+    res.json({ success: true });
+  });
+
+  emulator.use(createRestRoutes(store));
+  emulator.locals.store = store;
+  return emulator;
+}
+
+if (require.main === module) {
+  const port = process.env.MC_EMULATOR_PORT || 3002;
+  createEmulatorApp().listen(port, () => {
+    console.log(`🧪 [MC Emulator] Listening on http://localhost:${port}`);
+    console.log(`🧪 [MC Emulator] Start the server with MC_EMULATOR_URL=http://localhost:${port}`);
+  });
+}
+
+module.exports = { createEmulatorApp };
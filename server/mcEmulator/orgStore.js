@@ -0,0 +1,188 @@
+/**
+ * MC Explorer - Emulator org store
+ * In-memory Marketing Cloud org backed by a JSON fixture.
+ *
+ * soap:  { ObjectType: [ { ...SOAP properties } ] }   (nested objects for dotted props, e.g. ParentFolder.ID)
+ * rows:  { DataExtensionCustomerKey: [ { field: value } ] }
+ * rest:  { automations, queries, interactions, eventDefinitions, assets, categories, lists, fileTransfers, dataExtracts }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_SEED_PATH = path.join(__dirname, 'fixtures', 'demoOrg.json');
+
+class OrgStore {
+  constructor(seed) {
+    this.seedSource = seed || DEFAULT_SEED_PATH;
+    this.nextId = 100000;
+    this.reset();
+  }
+
+  /**
+   * Reload the org from the seed (a fixture path or a seed object).
+   */
+  reset() {
+    const seed = typeof this.seedSource === 'string'
+      ? JSON.parse(fs.readFileSync(this.seedSource, 'utf8'))
+      : this.seedSource;
+    // Deep copy so mutations never leak back into the seed object
+    const data = JSON.parse(JSON.stringify(seed));
+    this.soap = data.soap || {};
+    this.rows = data.rows || {};
+    this.rest = data.rest || {};
+    this.org = data.org || { mid: '100000001', name: 'Emulator Org' };
+  }
+
+  /**
+   * Replace the seed and reload.
+   * @param {object} seed
+   */
+  load(seed) {
+    this.seedSource = seed;
+    this.reset();
+  }
+
+  newId() {
+    return String(this.nextId++);
+  }
+
+  newGuid() {
+    return crypto.randomUUID();
+  }
+
+  list(objectType) {
+    if (!this.soap[objectType]) this.soap[objectType] = [];
+    return this.soap[objectType];
+  }
+
+  restCollection(name) {
+    if (!this.rest[name]) this.rest[name] = [];
+    return this.rest[name];
+  }
+
+  /**
+   * Find a Data Extension by CustomerKey, Name or ObjectID.
+   * @param {string} ref
+   * @returns {object|undefined}
+   */
+  findDataExtension(ref) {
+    return this.list('DataExtension').find(de =>
+      de.CustomerKey === ref || de.Name === ref || de.ObjectID === ref);
+  }
+
+  fieldsFor(de) {
+    return this.list('DataExtensionField').filter(f =>
+      f.DataExtension?.CustomerKey === de.CustomerKey);
+  }
+
+  rowsFor(de) {
+    if (!this.rows[de.CustomerKey]) this.rows[de.CustomerKey] = [];
+    return this.rows[de.CustomerKey];
+  }
+
+  /**
+   * Append DataExtensionField records to a DE, after its existing fields.
+   * @param {object} de - DataExtension record
+   * @param {object[]} fields - SOAP Field objects
+   */
+  addFields(de, fields) {
+    const start = this.fieldsFor(de).length;
+    fields.forEach((f, index) => {
+      this.list('DataExtensionField').push({
+        ObjectID: this.newGuid(),
+        CustomerKey: `[${de.CustomerKey}].[${f.Name}]`,
+        Name: f.Name,
+        FieldType: f.FieldType || 'Text',
+        MaxLength: f.MaxLength || (f.FieldType === 'Text' || !f.FieldType ? '100' : ''),
+        IsPrimaryKey: String(f.IsPrimaryKey === 'true' || f.IsPrimaryKey === true),
+        IsRequired: String(f.IsRequired === 'true' || f.IsRequired === true || f.IsPrimaryKey === 'true'),
+        Ordinal: String(start + index),
+        DefaultValue: f.DefaultValue || '',
+        Scale: f.Scale || '',
+        DataExtension: { CustomerKey: de.CustomerKey }
+      });
+    });
+  }
+
+  /**
+   * Insert or update a row, matching on the DE's primary key fields when it has any.
+   * @param {object} de - DataExtension record
+   * @param {object} values - Field values
+   * @param {boolean} upsert - Update a matching row instead of failing
+   * @returns {{ ok: boolean, message?: string }}
+   */
+  saveRow(de, values, upsert) {
+    const rows = this.rowsFor(de);
+    const primaryKeys = this.fieldsFor(de).filter(f => f.IsPrimaryKey === 'true').map(f => f.Name);
+    const matchKey = row => primaryKeys.every(k => String(row[k] ?? '').toLowerCase() === String(values[k] ?? '').toLowerCase());
+    const existing = primaryKeys.length > 0 ? rows.find(matchKey) : null;
+    if (existing) {
+      if (!upsert) return { ok: false, message: 'Violation of PRIMARY KEY constraint' };
+      Object.assign(existing, values);
+    } else {
+      rows.push({ ...values });
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Create a SOAP object, filling in the identifiers Marketing Cloud would assign.
+   * @param {string} objectType
+   * @param {object} obj
+   * @returns {object} - The stored object
+   */
+  createObject(objectType, obj) {
+    const stored = { ...obj };
+    if (!stored.ObjectID) stored.ObjectID = this.newGuid();
+    if (objectType === 'DataFolder' || objectType === 'Email' || objectType === 'Publication') {
+      if (!stored.ID) stored.ID = this.newId();
+    }
+    if (!stored.CustomerKey && objectType !== 'DataFolder') stored.CustomerKey = stored.Name || stored.ObjectID;
+    const now = new Date().toISOString();
+    stored.CreatedDate = stored.CreatedDate || now;
+    stored.ModifiedDate = now;
+
+    if (objectType === 'DataFolder' && stored.IsActive === undefined) stored.IsActive = 'true';
+
+    if (objectType === 'DataExtension') {
+      const fields = stored.Fields?.Field ? [].concat(stored.Fields.Field) : [];
+      delete stored.Fields;
+      delete stored.Keys;
+      stored.RowCount = '0';
+      this.addFields(stored, fields);
+      this.rows[stored.CustomerKey] = this.rows[stored.CustomerKey] || [];
+    }
+
+    this.list(objectType).push(stored);
+    return stored;
+  }
+
+  /**
+   * Find the stored object an Update/Delete request refers to.
+   * @param {string} objectType
+   * @param {object} obj - Request object carrying ObjectID, ID or CustomerKey
+   * @returns {object|undefined}
+   */
+  findForUpdate(objectType, obj) {
+    return this.list(objectType).find(item =>
+      (obj.ObjectID && item.ObjectID === obj.ObjectID) ||
+      (obj.ID && String(item.ID) === String(obj.ID)) ||
+      (obj.CustomerKey && item.CustomerKey === obj.CustomerKey));
+  }
+
+  deleteObject(objectType, obj) {
+    const items = this.list(objectType);
+    const target = this.findForUpdate(objectType, obj);
+    if (!target) return false;
+    items.splice(items.indexOf(target), 1);
+    if (objectType === 'DataExtension') {
+      this.soap.DataExtensionField = this.list('DataExtensionField').filter(f => f.DataExtension?.CustomerKey !== target.CustomerKey);
+      delete this.rows[target.CustomerKey];
+    }
+    return true;
+  }
+}
+
+module.exports = { OrgStore, DEFAULT_SEED_PATH };
@@ -0,0 +1,300 @@
+/**
+ * MC Explorer - Emulator REST routes
+ * Auth, automation, filter, journey, asset, contacts, data and hub endpoints used by server.js.
+ */
+
+const express = require('express');
+
+const EMULATOR_TOKEN_TTL = 1080;
+
+/**
+ * Slice a collection using Marketing Cloud's $page / $pageSize query parameters.
+ */
+function pageOf(items, query) {
+  const page = Math.max(parseInt(query.$page || query.page, 10) || 1, 1);
+  const pageSize = Math.max(parseInt(query.$pageSize || query.$pagesize || query.pageSize, 10) || 50, 1);
+  return {
+    count: items.length,
+    page,
+    pageSize,
+    items: items.slice((page - 1) * pageSize, page * pageSize)
+  };
+}
+
+/**
+ * Apply the small subset of OData $filter the server sends:
+ * `name eq 'X'`, `assetType.id in (1,2)` and `categoryId eq 1`.
+ */
+function applyODataFilter(items, filter) {
+  if (!filter) return items;
+  const eq = /^\s*([\w.]+)\s+eq\s+'?([^']*?)'?\s*$/i.exec(filter);
+  if (eq) {
+    const [, field, value] = eq;
+    return items.filter(item => String(getField(item, field)) === value);
+  }
+  const inList = /^\s*([\w.]+)\s+in\s*\(([^)]*)\)\s*$/i.exec(filter);
+  if (inList) {
+    const values = inList[2].split(',').map(v => v.trim().replace(/^'|'$/g, ''));
+    return items.filter(item => values.includes(String(getField(item, inList[1]))));
+  }
+  return items;
+}
+
+function getField(obj, dotted) {
+  return dotted.split('.').reduce((cur, part) => (cur == null ? undefined : cur[part]), obj);
+}
+
+/**
+ * Build the REST router for an OrgStore.
+ * @param {import('./orgStore').OrgStore} store
+ * @returns {express.Router}
+ */
+function createRestRoutes(store) {
+  const router = express.Router();
+
+  // --- Auth ---
+  router.get('/v2/authorize', (req, res) => {
+    const redirectUri = req.query.redirect_uri;
+    if (!redirectUri) return res.status(400).json({ error: 'invalid_request', error_description: 'redirect_uri is required' });
+    const separator = redirectUri.includes('?') ? '&' : '?';
+    res.redirect(`${redirectUri}${separator}code=emulator-${Date.now()}`);
+  });
+
+  router.post('/v2/token', (req, res) => {
+    const accountId = req.body?.account_id || store.org.mid;
+    res.json({
+      access_token: `emulator-token-${accountId}-${Date.now()}`,
+      refresh_token: `emulator-refresh-${accountId}`,
+      token_type: 'Bearer',
+      expires_in: EMULATOR_TOKEN_TTL,
+      scope: 'email_read email_write data_extensions_read data_extensions_write automations_read journeys_read',
+      soap_instance_url: `${req.protocol}://${req.get('host')}${req.baseUrl}/`,
+      rest_instance_url: `${req.protocol}://${req.get('host')}${req.baseUrl}/`
+    });
+  });
+
+  // Everything below requires a bearer token
+  router.use((req, res, next) => {
+    const auth = req.headers.authorization || '';
+    if (!auth.startsWith('Bearer ') || auth.length <= 7) {
+      return res.status(401).json({ message: 'Not Authorized', errorcode: 0, documentation: '' });
+    }
+    next();
+  });
+
+  router.get('/v2/userinfo', (req, res) => {
+    res.json({
+      user: { sub: 'emulator-user', name: 'Emulator User', email: 'emulator@example.com', preferred_username: 'emulator' },
+      organization: { member_id: Number(store.org.mid) || store.org.mid, enterprise_id: Number(store.org.mid) || store.org.mid }
+    });
+  });
+
+  // --- Automation Studio ---
+  const automationCollections = {
+    automations: 'automations',
+    queries: 'queries',
+    filetransfers: 'fileTransfers',
+    dataextracts: 'dataExtracts',
+    imports: 'imports'
+  };
+  Object.entries(automationCollections).forEach(([route, collection]) => {
+    router.get(`/automation/v1/${route}`, (req, res) => {
+      let items = store.restCollection(collection);
+      if (route === 'queries' && req.query.automationId) {
+        const automation = store.restCollection('automations').find(a => a.id === req.query.automationId);
+        const queryIds = new Set();
+        (automation?.steps || []).forEach(step => (step.activities || []).forEach(act => {
+          if (act.objectTypeId === 300 || act.activityType === 'query') queryIds.add(act.activityObjectId);
+        }));
+        items = items.filter(q => queryIds.has(q.queryDefinitionId));
+      }
+      res.json(pageOf(items, req.query));
+    });
+    router.get(`/automation/v1/${route}/:id`, (req, res) => {
+      const item = store.restCollection(collection).find(i =>
+        i.id === req.params.id || i.key === req.params.id || i.queryDefinitionId === req.params.id);
+      if (!item) return res.status(404).json({ message: `${route} ${req.params.id} not found` });
+      res.json(item);
+    });
+  });
+
+  router.post('/automation/v1/automations', (req, res) => {
+    const automations = store.restCollection('automations');
+    const key = req.body.key || req.body.customerKey || store.newGuid();
+    if (automations.some(a => a.key === key)) {
+      return res.status(400).json({ message: `An automation with the key ${key} already exists.` });
+    }
+    const now = new Date().toISOString();
+    const automation = {
+      ...req.body,
+      id: store.newGuid(),
+      key,
+      customerKey: key,
+      status: 'Ready',
+      statusId: 2,
+      createdDate: now,
+      modifiedDate: now,
+      steps: (req.body.steps || []).map((step, index) => ({
+        ...step,
+        id: store.newGuid(),
+        step: step.step || index + 1,
+        stepNumber: step.step || index + 1,
+        activities: (step.activities || []).map(activity => ({ ...activity, id: store.newGuid() }))
+      }))
+    };
+    automations.push(automation);
+    res.status(201).json(automation);
+  });
+
+  router.patch('/automation/v1/automations/:id', (req, res) => {
+    const automation = store.restCollection('automations').find(a => a.id === req.params.id);
+    if (!automation) return res.status(404).json({ message: `automations ${req.params.id} not found` });
+    Object.assign(automation, req.body, { id: automation.id, modifiedDate: new Date().toISOString() });
+    res.json(automation);
+  });
+
+  // --- Data filters (the SOAP FilterDefinition objects, with their criteria XML) ---
+  const toRestFilter = filter => ({
+    id: filter.ObjectID,
+    key: filter.CustomerKey,
+    name: filter.Name,
+    description: filter.Description || '',
+    categoryId: Number(filter.CategoryID) || null,
+    derivedFromType: 1,
+    derivedFromObjectId: filter.DataExtensionID || filter.DataSourceID || null,
+    filterDefinitionXml: filter.FilterDefinitionXml || null
+  });
+  router.get('/email/v1/filters/filterdefinition/:id', (req, res) => {
+    const filter = store.list('FilterDefinition').find(f => f.ObjectID === req.params.id || f.CustomerKey === req.params.id);
+    if (!filter) return res.status(404).json({ message: 'Filter definition not found' });
+    res.json(toRestFilter(filter));
+  });
+  router.post('/email/v1/filters/filterdefinition', (req, res) => {
+    const { name, key, description, derivedFromObjectId, filterDefinitionXml } = req.body || {};
+    if (!name || !derivedFromObjectId || !filterDefinitionXml) {
+      return res.status(400).json({ message: 'name, derivedFromObjectId and filterDefinitionXml are required' });
+    }
+    if (store.list('FilterDefinition').some(f => f.CustomerKey === (key || name))) {
+      return res.status(400).json({ message: `A filter definition with the key ${key || name} already exists.` });
+    }
+    const source = store.list('DataExtension').find(de => de.ObjectID === derivedFromObjectId);
+    const filter = store.createObject('FilterDefinition', {
+      Name: name,
+      CustomerKey: key || name,
+      Description: description || '',
+      DataSourceID: derivedFromObjectId,
+      DataExtensionID: derivedFromObjectId,
+      DataSource: source?.Name,
+      FilterDefinitionXml: filterDefinitionXml
+    });
+    res.status(201).json(toRestFilter(filter));
+  });
+
+  // --- Journey Builder ---
+  router.get('/interaction/v1/interactions', (req, res) => {
+    res.json(pageOf(store.restCollection('interactions'), req.query));
+  });
+  router.get('/interaction/v1/interactions/:id', (req, res) => {
+    const ref = req.params.id.replace(/^key:/, '');
+    const journey = store.restCollection('interactions').find(j => j.id === ref || j.key === ref);
+    if (!journey) return res.status(404).json({ message: 'Interaction not found' });
+    res.json(journey);
+  });
+  router.put('/interaction/v1/interactions', (req, res) => {
+    const journey = store.restCollection('interactions').find(j => j.id === req.body?.id);
+    if (!journey) return res.status(404).json({ message: 'Interaction not found' });
+    if (journey.status && journey.status !== 'Draft') {
+      return res.status(400).json({ message: `Only a draft interaction can be updated (status: ${journey.status})` });
+    }
+    Object.assign(journey, req.body, { id: journey.id, modifiedDate: new Date().toISOString() });
+    res.json(journey);
+  });
+  router.get('/interaction/v1/eventDefinitions', (req, res) => {
+    res.json(pageOf(store.restCollection('eventDefinitions'), req.query));
+  });
+
+  // --- Content Builder ---
+  router.get('/asset/v1/content/assets', (req, res) => {
+    res.json(pageOf(applyODataFilter(store.restCollection('assets'), req.query.$filter), req.query));
+  });
+  router.get('/asset/v1/content/assets/:id', (req, res) => {
+    const asset = store.restCollection('assets').find(a => String(a.id) === req.params.id);
+    if (!asset) return res.status(404).json({ message: 'Asset not found' });
+    res.json(asset);
+  });
+  router.post('/asset/v1/content/assets', (req, res) => {
+    const assets = store.restCollection('assets');
+    if (assets.some(a => a.name === req.body.name && String(a.category?.id) === String(req.body.category?.id))) {
+      return res.status(400).json({ message: 'Asset names within a category and asset type must be unique.' });
+    }
+    const asset = { ...req.body, id: Number(store.newId()), customerKey: req.body.customerKey || store.newGuid(), createdDate: new Date().toISOString() };
+    assets.push(asset);
+    res.status(201).json(asset);
+  });
+  const updateAsset = (req, res) => {
+    const asset = store.restCollection('assets').find(a => String(a.id) === req.params.id);
+    if (!asset) return res.status(404).json({ message: 'Asset not found' });
+    Object.assign(asset, req.body, { id: asset.id, modifiedDate: new Date().toISOString() });
+    res.json(asset);
+  };
+  router.put('/asset/v1/content/assets/:id', updateAsset);
+  router.patch('/asset/v1/content/assets/:id', updateAsset);
+
+  router.get('/asset/v1/content/categories', (req, res) => {
+    res.json(pageOf(applyODataFilter(store.restCollection('categories'), req.query.$filter), req.query));
+  });
+  router.post('/asset/v1/content/categories', (req, res) => {
+    const category = { ...req.body, id: Number(store.newId()) };
+    store.restCollection('categories').push(category);
+    res.status(201).json(category);
+  });
+
+  // --- Contacts ---
+  router.get('/contacts/v1/lists', (req, res) => {
+    res.json(pageOf(applyODataFilter(store.restCollection('lists'), req.query.$filter), req.query));
+  });
+  router.post('/contacts/v1/lists', (req, res) => {
+    const list = { ...req.body, id: store.newId() };
+    store.restCollection('lists').push(list);
+    res.status(201).json(list);
+  });
+
+  // --- Data Extensions ---
+  router.get('/data/v1/customobjects', (req, res) => {
+    const search = String(req.query.$search || '').toLowerCase();
+    const items = store.list('DataExtension')
+      .filter(de => !search || de.Name.toLowerCase().includes(search))
+      .map(de => ({
+        id: de.ObjectID,
+        key: de.CustomerKey,
+        name: de.Name,
+        categoryId: Number(de.CategoryID) || 0,
+        isSendable: de.IsSendable === 'true',
+        isTestable: de.IsTestable === 'true',
+        rowCount: store.rowsFor(de).length,
+        createdDate: de.CreatedDate,
+        modifiedDate: de.ModifiedDate,
+        createdByName: de.CreatedByName || 'Emulator User',
+        modifiedByName: de.ModifiedByName || 'Emulator User'
+      }));
+    res.json(pageOf(items, req.query));
+  });
+
+  router.get('/hub/v1/dataevents/:keyRef', (req, res) => {
+    const de = store.findDataExtension(req.params.keyRef.replace(/^key:/, ''));
+    if (!de) return res.status(404).json({ message: 'Data Extension not found' });
+    res.json({ key: de.CustomerKey, name: de.Name, rowCount: store.rowsFor(de).length });
+  });
+
+  router.post('/hub/v1/dataevents/:keyRef/rowset', (req, res) => {
+    const de = store.findDataExtension(req.params.keyRef.replace(/^key:/, ''));
+    if (!de) return res.status(404).json({ message: 'Data Extension not found' });
+    const rows = Array.isArray(req.body) ? req.body : [req.body];
+    rows.forEach(row => store.saveRow(de, { ...(row.keys || {}), ...(row.values || {}) }, true));
+    res.status(200).json(rows);
+  });
+
+  return router;
+}
+
+module.exports = { createRestRoutes };
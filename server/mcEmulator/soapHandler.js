@@ -0,0 +1,394 @@
+/**
+ * MC Explorer - Emulator SOAP handler
+ * Answers Service.asmx Retrieve / Create / Update / Delete / Describe against an OrgStore.
+ */
+
+const xml2js = require('xml2js');
+
+const PARTNER_API_NS = 'http://exacttarget.com/wsdl/partnerAPI';
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Text value of an xml2js node, ignoring attributes.
+ */
+function text(node) {
+  if (node === undefined || node === null) return undefined;
+  if (typeof node === 'object') return node._ !== undefined ? node._ : undefined;
+  return String(node);
+}
+
+/**
+ * Convert an xml2js request object into a plain SOAP object (drops attributes).
+ */
+function plainObject(node) {
+  if (node === null || node === undefined) return node;
+  if (Array.isArray(node)) return node.map(plainObject);
+  if (typeof node !== 'object') return node;
+  const out = {};
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === '$') return;
+    if (key === '_') return;
+    out[key] = typeof value === 'object' && value !== null && value._ !== undefined && Object.keys(value).every(k => k === '_' || k === '$')
+      ? value._
+      : plainObject(value);
+  });
+  return out;
+}
+
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((cur, part) => (cur == null ? undefined : cur[part]), obj);
+}
+
+function setPath(obj, dotted, value) {
+  const parts = dotted.split('.');
+  let cur = obj;
+  parts.slice(0, -1).forEach(part => {
+    if (typeof cur[part] !== 'object' || cur[part] === null) cur[part] = {};
+    cur = cur[part];
+  });
+  cur[parts[parts.length - 1]] = value;
+}
+
+function compareValues(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== '' && b !== '' && !isNaN(na) && !isNaN(nb)) return na - nb;
+  const da = Date.parse(a);
+  const db = Date.parse(b);
+  if (!isNaN(da) && !isNaN(db)) return da - db;
+  return String(a).localeCompare(String(b));
+}
+
+function likeToRegex(pattern) {
+  const escaped = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Evaluate a SOAP filter (xml2js node) against a record.
+ */
+function matchesFilter(record, filter) {
+  if (!filter) return true;
+  if (filter.LeftOperand && filter.RightOperand) {
+    const op = String(text(filter.LogicalOperator) || 'AND').toUpperCase();
+    const left = matchesFilter(record, filter.LeftOperand);
+    const right = matchesFilter(record, filter.RightOperand);
+    return op === 'OR' ? left || right : left && right;
+  }
+  const property = text(filter.Property);
+  const operator = text(filter.SimpleOperator);
+  const values = toArray(filter.Value).map(text).concat(toArray(filter.DateValue).map(text));
+  const actual = getPath(record, property);
+  const actualStr = actual === undefined || actual === null ? '' : String(actual);
+
+  switch (operator) {
+    case 'equals': return actualStr.toLowerCase() === String(values[0] ?? '').toLowerCase();
+    case 'notEquals': return actualStr.toLowerCase() !== String(values[0] ?? '').toLowerCase();
+    case 'isNull': return actualStr === '';
+    case 'isNotNull': return actualStr !== '';
+    case 'IN': return values.some(v => actualStr.toLowerCase() === String(v).toLowerCase());
+    case 'like': return likeToRegex(values[0] ?? '').test(actualStr);
+    case 'greaterThan': return actualStr !== '' && compareValues(actualStr, values[0]) > 0;
+    case 'greaterThanOrEqual': return actualStr !== '' && compareValues(actualStr, values[0]) >= 0;
+    case 'lessThan': return actualStr !== '' && compareValues(actualStr, values[0]) < 0;
+    case 'lessThanOrEqual': return actualStr !== '' && compareValues(actualStr, values[0]) <= 0;
+    case 'between': return actualStr !== '' && compareValues(actualStr, values[0]) >= 0 && compareValues(actualStr, values[1]) <= 0;
+    default: return false;
+  }
+}
+
+/**
+ * Serialize a plain object as SOAP child elements.
+ */
+function toXml(obj) {
+  return Object.entries(obj).map(([key, value]) => {
+    if (value === undefined) return '';
+    if (Array.isArray(value)) return value.map(v => toXml({ [key]: v })).join('');
+    if (value !== null && typeof value === 'object') {
+      const typeAttr = value.$type ? ` xsi:type="${value.$type}"` : '';
+      const { $type, ...rest } = value;
+      return `<${key}${typeAttr}>${toXml(rest)}</${key}>`;
+    }
+    return `<${key}>${escapeXml(value === null ? '' : value)}</${key}>`;
+  }).join('');
+}
+
+function envelope(bodyXml) {
+  return `<?xml version="1.0" encoding="utf-8"?>` +
+    `<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">` +
+    `<soap:Body>${bodyXml}</soap:Body></soap:Envelope>`;
+}
+
+function fault(message) {
+  return envelope(`<soap:Fault><faultcode>soap:Client</faultcode><faultstring>${escapeXml(message)}</faultstring></soap:Fault>`);
+}
+
+class SoapHandler {
+  /**
+   * @param {import('./orgStore').OrgStore} store
+   * @param {object} [options]
+   * @param {number} [options.pageSize=2500] - Rows per Retrieve page before MoreDataAvailable
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.pageSize = options.pageSize || 2500;
+    this.cursors = new Map();
+    this.requestCounter = 0;
+  }
+
+  newRequestId() {
+    this.requestCounter++;
+    return `emu-${Date.now()}-${this.requestCounter}`;
+  }
+
+  /**
+   * Handle a raw Service.asmx request body.
+   * @param {string} xml
+   * @returns {Promise<{ status: number, body: string }>}
+   */
+  async handle(xml) {
+    let parsed;
+    try {
+      parsed = await new xml2js.Parser({
+        explicitArray: false,
+        tagNameProcessors: [xml2js.processors.stripPrefix],
+        attrNameProcessors: [xml2js.processors.stripPrefix]
+      }).parseStringPromise(xml);
+    } catch (e) {
+      return { status: 500, body: fault(`Unable to parse request: ${e.message}`) };
+    }
+    const env = parsed.Envelope || {};
+    const token = text(env.Header?.fueloauth) || env.Header?.fueloauth;
+    if (!token) return { status: 500, body: fault('Login failed: missing fueloauth header') };
+    const body = env.Body || {};
+
+    if (body.RetrieveRequestMsg) return { status: 200, body: this.retrieve(body.RetrieveRequestMsg.RetrieveRequest || {}) };
+    if (body.CreateRequest) return { status: 200, body: this.mutate('Create', body.CreateRequest) };
+    if (body.UpdateRequest) return { status: 200, body: this.mutate('Update', body.UpdateRequest) };
+    if (body.DeleteRequest) return { status: 200, body: this.mutate('Delete', body.DeleteRequest) };
+    if (body.DescribeRequestMsg) return { status: 200, body: this.describe(body.DescribeRequestMsg) };
+    return { status: 500, body: fault(`Unsupported SOAP action: ${Object.keys(body).join(', ')}`) };
+  }
+
+  retrieve(request) {
+    const continueId = text(request.ContinueRequest);
+    if (continueId) {
+      const cursor = this.cursors.get(continueId);
+      if (!cursor) return this.retrieveResponse('Error: ContinueRequest not found', continueId, []);
+      this.cursors.delete(continueId);
+      return this.page(cursor.objectType, cursor.results);
+    }
+
+    const objectType = text(request.ObjectType);
+    const properties = toArray(request.Properties).map(text);
+    const rowsMatch = /^DataExtensionObject\[(.+)\]$/.exec(objectType || '');
+
+    let results;
+    if (rowsMatch) {
+      const de = this.store.findDataExtension(rowsMatch[1]);
+      if (!de) return this.retrieveResponse(`Error: Data Extension ${rowsMatch[1]} not found`, this.newRequestId(), []);
+      results = this.store.rowsFor(de)
+        .filter(row => matchesFilter(row, request.Filter))
+        .map(row => ({
+          $type: 'DataExtensionObject',
+          Properties: {
+            Property: Object.entries(row)
+              .filter(([name]) => properties.length === 0 || properties.includes(name))
+              .map(([Name, Value]) => ({ Name, Value }))
+          }
+        }));
+    } else {
+      const records = this.store.list(objectType).map(record => this.decorate(objectType, record));
+      results = records
+        .filter(record => matchesFilter(record, request.Filter))
+        .map(record => this.project(objectType, record, properties));
+    }
+    return this.page(objectType, results);
+  }
+
+  /**
+   * Attach computed properties (e.g. RowCount, owning Client.ID) before filtering/projection.
+   */
+  decorate(objectType, record) {
+    const owned = record.Client ? record : { ...record, Client: { ID: this.store.org.mid } };
+    if (objectType === 'DataExtension') {
+      return { ...owned, RowCount: String(this.store.rowsFor(record).length) };
+    }
+    return owned;
+  }
+
+  project(objectType, record, properties) {
+    const out = { $type: objectType };
+    if (properties.length === 0) return { ...out, ...record };
+    properties.forEach(prop => {
+      const value = getPath(record, prop);
+      if (value !== undefined) setPath(out, prop, value);
+    });
+    return out;
+  }
+
+  page(objectType, results) {
+    const requestId = this.newRequestId();
+    if (results.length > this.pageSize) {
+      this.cursors.set(requestId, { objectType, results: results.slice(this.pageSize) });
+      return this.retrieveResponse('MoreDataAvailable', requestId, results.slice(0, this.pageSize));
+    }
+    return this.retrieveResponse('OK', requestId, results);
+  }
+
+  retrieveResponse(status, requestId, results) {
+    return envelope(
+      `<RetrieveResponseMsg xmlns="${PARTNER_API_NS}">` +
+      `<OverallStatus>${escapeXml(status)}</OverallStatus>` +
+      `<RequestID>${requestId}</RequestID>` +
+      toXml({ Results: results }) +
+      `</RetrieveResponseMsg>`
+    );
+  }
+
+  mutate(action, request) {
+    const upsert = toArray(request.Options?.SaveOptions?.SaveOption)
+      .some(o => text(o.SaveAction) === 'UpdateAdd');
+    const objects = toArray(request.Objects);
+    const results = objects.map((node, ordinal) => {
+      const objectType = node.$?.type;
+      const obj = plainObject(node);
+      try {
+        const result = this.apply(action, objectType, obj, upsert);
+        return { StatusCode: 'OK', StatusMessage: result.message || `${objectType} ${action.toLowerCase()}d`, OrdinalID: ordinal, ...result.extra };
+      } catch (e) {
+        return { StatusCode: 'Error', StatusMessage: e.message, OrdinalID: ordinal, ErrorCode: '310007' };
+      }
+    });
+    const failed = results.filter(r => r.StatusCode !== 'OK').length;
+    const overall = failed === 0 ? 'OK' : (failed === results.length ? 'Error' : 'Has Errors');
+    return envelope(
+      `<${action}Response xmlns="${PARTNER_API_NS}">` +
+      toXml({ Results: results }) +
+      `<RequestID>${this.newRequestId()}</RequestID>` +
+      `<OverallStatus>${overall}</OverallStatus>` +
+      `</${action}Response>`
+    );
+  }
+
+  apply(action, objectType, obj, upsert) {
+    if (objectType === 'DataExtensionObject') {
+      const de = this.store.findDataExtension(obj.CustomerKey || obj.Name);
+      if (!de) throw new Error(`Data Extension ${obj.CustomerKey || obj.Name} does not exist`);
+      const values = {};
+      toArray(obj.Properties?.Property).forEach(p => { values[p.Name] = p.Value ?? ''; });
+      toArray(obj.Keys?.Key).forEach(k => { values[k.Name] = k.Value ?? ''; });
+      if (action === 'Delete') {
+        const rows = this.store.rowsFor(de);
+        const index = rows.findIndex(row => Object.entries(values).every(([k, v]) => String(row[k]) === String(v)));
+        if (index === -1) throw new Error('Row not found');
+        rows.splice(index, 1);
+        return {};
+      }
+      const saved = this.store.saveRow(de, values, upsert || action === 'Update');
+      if (!saved.ok) throw new Error(saved.message);
+      return {};
+    }
+
+    if (action === 'Create') {
+      if (objectType === 'DataExtension' && this.store.list('DataExtension').some(de => de.CustomerKey === (obj.CustomerKey || obj.Name))) {
+        throw new Error('DataExtension with CustomerKey already exists');
+      }
+      if (objectType === 'DataFolder' && obj.ParentFolder?.ID === undefined) {
+        throw new Error('ParentFolder is required');
+      }
+      const stored = this.store.createObject(objectType, obj);
+      return { extra: { NewID: stored.ID || 0, NewObjectID: stored.ObjectID, Object: { $type: objectType, ...stored } } };
+    }
+
+    const target = this.store.findForUpdate(objectType, obj);
+    if (!target) throw new Error(`${objectType} not found`);
+    if (action === 'Delete') {
+      this.store.deleteObject(objectType, obj);
+      return {};
+    }
+    if (objectType === 'DataExtension' && obj.Fields) {
+      this.updateFields(target, toArray(obj.Fields.Field));
+      delete obj.Fields;
+    }
+    Object.assign(target, obj, { ModifiedDate: new Date().toISOString() });
+    return { extra: { Object: { $type: objectType, ...target } } };
+  }
+
+  /**
+   * Like MC: fields without an ObjectID are added, fields with one may only grow their MaxLength.
+   */
+  updateFields(de, fields) {
+    const existing = this.store.fieldsFor(de);
+    const added = [];
+    fields.forEach(field => {
+      const current = field.ObjectID && existing.find(f => f.ObjectID === field.ObjectID);
+      if (field.ObjectID && !current) throw new Error(`Field ${field.ObjectID} not found`);
+      if (!current) {
+        if (existing.some(f => f.Name.toLowerCase() === String(field.Name).toLowerCase())) {
+          throw new Error(`Field ${field.Name} already exists`);
+        }
+        if ((field.IsRequired === 'true' || field.IsPrimaryKey === 'true') && !field.DefaultValue && this.store.rowsFor(de).length > 0) {
+          throw new Error(`Required field ${field.Name} needs a default value on a Data Extension with rows`);
+        }
+        added.push(field);
+        return;
+      }
+      if (field.FieldType && field.FieldType !== current.FieldType) {
+        throw new Error('Updating an existing Data Extension definition is not allowed');
+      }
+      if (field.MaxLength && Number(field.MaxLength) < Number(current.MaxLength)) {
+        throw new Error(`MaxLength of ${current.Name} cannot be decreased`);
+      }
+      if (field.MaxLength) current.MaxLength = String(field.MaxLength);
+    });
+    this.store.addFields(de, added);
+  }
+
+  describe(request) {
+    const defs = toArray(request.DescribeRequests?.ObjectDefinitionRequest).map(r => {
+      const objectType = text(r.ObjectType);
+      const names = new Set();
+      this.store.list(objectType).forEach(record => {
+        const walk = (obj, prefix) => Object.entries(obj).forEach(([key, value]) => {
+          const name = prefix ? `${prefix}.${key}` : key;
+          if (value !== null && typeof value === 'object' && !Array.isArray(value)) walk(value, name);
+          else names.add(name);
+        });
+        walk(record, '');
+      });
+      return {
+        ObjectType: objectType,
+        IsRetrievable: 'true',
+        IsUpdatable: 'true',
+        IsCreatable: 'true',
+        Properties: Array.from(names).sort().map(name => ({
+          Name: name,
+          DataType: /Date$/.test(name) ? 'DateTime' : 'String',
+          IsRetrievable: 'true',
+          IsUpdatable: 'true',
+          IsCreatable: 'true'
+        }))
+      };
+    });
+    return envelope(
+      `<DefinitionResponseMsg xmlns="${PARTNER_API_NS}">` +
+      toXml({ ObjectDefinition: defs }) +
+      `<RequestID>${this.newRequestId()}</RequestID>` +
+      `</DefinitionResponseMsg>`
+    );
+  }
+}
+
+module.exports = { SoapHandler, matchesFilter };
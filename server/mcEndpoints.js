@@ -0,0 +1,42 @@
+// Marketing Cloud endpoint URLs, redirectable to the local emulator
+//
+// Set MC_EMULATOR_URL (e.g. http://localhost:3002) to send every SOAP, REST and
+// auth call to the emulator in ./mcEmulator instead of <subdomain>.*.marketingcloudapis.com.
+
+/**
+ * @returns {string|null} - Emulator base URL without trailing slash, or null when disabled
+ */
+function getEmulatorUrl() {
+  const url = process.env.MC_EMULATOR_URL;
+  return url ? url.replace(/\/+$/, '') : null;
+}
+
+/**
+ * SOAP Service.asmx endpoint for a subdomain.
+ * @param {string} subdomain - MC subdomain (e.g., 'mc1234')
+ * @returns {string}
+ */
+function getSoapUrl(subdomain) {
+  const emulator = getEmulatorUrl();
+  return emulator ? `${emulator}/Service.asmx` : `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`;
+}
+
+/**
+ * REST base URL for a subdomain (no trailing slash).
+ * @param {string} subdomain
+ * @returns {string}
+ */
+function getRestBaseUrl(subdomain) {
+  return getEmulatorUrl() || `https://${subdomain}.rest.marketingcloudapis.com`;
+}
+
+/**
+ * Auth base URL for a subdomain (no trailing slash).
+ * @param {string} subdomain
+ * @returns {string}
+ */
+function getAuthBaseUrl(subdomain) {
+  return getEmulatorUrl() || `https://${subdomain}.auth.marketingcloudapis.com`;
+}
+
+module.exports = { getEmulatorUrl, getSoapUrl, getRestBaseUrl, getAuthBaseUrl };
@@ -9,13 +9,15 @@
 
 const axios = require('axios');
 const xml2js = require('xml2js');
+const { getSoapUrl, getRestBaseUrl } = require('./mcEndpoints');
+const { parseSQL, getSourceTableNames } = require('./sqlParser');
 
 class MetadataCrawler {
   constructor(accessToken, subdomain) {
     this.accessToken = accessToken;
     this.subdomain = subdomain;
-    this.soapEndpoint = `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`;
-    this.restEndpoint = `https://${subdomain}.rest.marketingcloudapis.com`;
+    this.soapEndpoint = getSoapUrl(subdomain);
+    this.restEndpoint = getRestBaseUrl(subdomain);
     
     // Dictionaries for fast lookups
     this.DEs = new Map(); // ObjectID → DE details
@@ -749,51 +751,24 @@ class MetadataCrawler {
   }
 
   /**
-   * 📊 Enhanced SQL parsing with improved patterns
+   * 📊 Parse query text for the Data Extensions it reads from
    */
   parseQueryTextForSources(sqlActivity) {
     try {
       const queryText = sqlActivity.queryText;
       if (!queryText) return;
-      
-      const normalizedQuery = queryText.toLowerCase();
-      
-      // Enhanced regex patterns for various SQL constructs
-      const patterns = [
-        // Standard FROM clauses
-        /(?:from|join)\s+\[?([a-zA-Z_][a-zA-Z0-9_]*)\]?(?:\s+as\s+\w+)?/gi,
-        // Quoted table names
-        /(?:from|join)\s+"([^"]+)"(?:\s+as\s+\w+)?/gi,
-        /(?:from|join)\s+'([^']+)'(?:\s+as\s+\w+)?/gi,
-        // Bracketed table names (common in SFMC)
-        /(?:from|join)\s+\[([^\]]+)\](?:\s+as\s+\w+)?/gi,
-        // Schema.table patterns
-        /(?:from|join)\s+(\w+\.\w+)(?:\s+as\s+\w+)?/gi,
-        // CTE references
-        /with\s+(\w+)\s+as\s*\(/gi
-      ];
-
-      const foundSources = new Set();
-
-      patterns.forEach(pattern => {
-        let match;
-        while ((match = pattern.exec(normalizedQuery)) !== null) {
-          const tableName = match[1].trim();
-          
-          // Skip common SQL keywords and functions
-          if (this.isCommonSQLKeyword(tableName)) continue;
-          
-          foundSources.add(tableName);
-        }
-      });
 
-      // Look up DEs and create relationships
-      foundSources.forEach(sourceName => {
-        const matchingDE = Array.from(this.DEs.values()).find(de => 
-          de.name.toLowerCase() === sourceName ||
-          de.key.toLowerCase() === sourceName ||
-          de.name.toLowerCase().includes(sourceName) ||
-          sourceName.includes(de.name.toLowerCase())
+      const parsed = parseSQL(queryText);
+      if (parsed.errors.length > 0) {
+        console.warn(`⚠️ [SQL Parse] Query "${sqlActivity.name}":`, parsed.errors.join('; '));
+      }
+
+      // Look up DEs by exact name or key and create relationships
+      getSourceTableNames(parsed).forEach(sourceName => {
+        const lowerName = sourceName.toLowerCase();
+        const matchingDE = Array.from(this.DEs.values()).find(de =>
+          de.name?.toLowerCase() === lowerName ||
+          de.key?.toLowerCase() === lowerName
         );
 
         if (matchingDE) {
@@ -813,20 +788,6 @@ class MetadataCrawler {
     }
   }
 
-  /**
-   * 🚫 Filter out common SQL keywords that shouldn't be treated as table names
-   */
-  isCommonSQLKeyword(word) {
-    const keywords = [
-      'select', 'from', 'where', 'join', 'inner', 'left', 'right', 'outer',
-      'on', 'and', 'or', 'not', 'null', 'as', 'case', 'when', 'then', 'else',
-      'end', 'union', 'group', 'by', 'order', 'having', 'distinct', 'top',
-      'limit', 'offset', 'count', 'sum', 'avg', 'min', 'max', 'cast', 'convert'
-    ];
-    
-    return keywords.includes(word.toLowerCase());
-  }
-
   /**
    * 📁 Build folder paths for all objects
    */
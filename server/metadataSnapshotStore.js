@@ -0,0 +1,284 @@
+/**
+ * MC Explorer - Metadata Snapshot Store
+ * Persists the fetchAllSFMCObjects result per business unit so /graph, /objects
+ * and /api/schema/process can answer from disk instead of re-crawling the org.
+ *
+ * Each snapshot is one JSON file: <dir>/<buKey>.json
+ *   {
+ *     buKey, subdomain, accountId,
+ *     createdAt, refreshedAt, refreshType ('full' | 'incremental'), durationMs,
+ *     watermarks:   { [collection]: latest ModifiedDate seen },
+ *     incompleteCollections: [collection, ...] whose fetch failed, so their rows are missing,
+ *     detailCache:  { automations: { [id]: { modifiedDate, detail } }, journeys: {...} },
+ *     objects:      { 'Data Extensions': [...], 'SQL Queries': [...], ... }
+ *   }
+ *
+ * Every save is also archived to <dir>/history/<buKey>/<snapshotId>.json (without
+ * detailCache) so two points in time can be diffed; <dir>/history/<buKey>/index.json
+ * lists the archived snapshots newest first. The oldest entries are pruned once
+ * METADATA_SNAPSHOT_HISTORY (default 20) is exceeded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, '.snapshots');
+const DEFAULT_HISTORY_LIMIT = 20;
+
+// Collections whose SOAP fetchers accept a ModifiedDate filter; everything
+// else is refetched on each refresh (automations/journeys reuse detailCache).
+const INCREMENTAL_COLLECTIONS = [
+  'Data Extensions',
+  'SQL Queries',
+  'Journey Email Triggered Sends',
+  'Data Filters',
+  'Filter Activities',
+  'Email Send Definitions'
+];
+
+class MetadataSnapshotStore {
+  constructor(dir = process.env.METADATA_SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR) {
+    this.dir = dir;
+    this.cache = new Map(); // buKey → snapshot (avoids re-reading large files)
+    this.historyLimit = parseInt(process.env.METADATA_SNAPSHOT_HISTORY, 10) || DEFAULT_HISTORY_LIMIT;
+  }
+
+  /**
+   * Build the key a business unit's snapshot is stored under.
+   * @param {string} subdomain - MC subdomain
+   * @param {string|number} [accountId] - Business unit MID
+   * @returns {string}
+   */
+  static getBusinessUnitKey(subdomain, accountId) {
+    const safe = value => String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return `${safe(subdomain || 'unknown')}_${safe(accountId || 'default')}`;
+  }
+
+  filePath(buKey) {
+    return path.join(this.dir, `${buKey}.json`);
+  }
+
+  /**
+   * Load a snapshot from memory or disk.
+   * @param {string} buKey
+   * @returns {object|null}
+   */
+  load(buKey) {
+    if (this.cache.has(buKey)) return this.cache.get(buKey);
+    const file = this.filePath(buKey);
+    if (!fs.existsSync(file)) return null;
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+      this.cache.set(buKey, snapshot);
+      return snapshot;
+    } catch (error) {
+      console.error(`❌ [Snapshot] Failed to read ${file}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Persist a snapshot. Maps (journeyToEntrySourceMap) are stored as entry arrays.
+   * @param {string} buKey
+   * @param {object} snapshot
+   * @returns {object} - The stored snapshot
+   */
+  save(buKey, snapshot) {
+    const stored = { ...snapshot, buKey, objects: MetadataSnapshotStore.serializeObjects(snapshot.objects) };
+    fs.mkdirSync(this.dir, { recursive: true });
+    // Write then rename so a crash mid-write never leaves a truncated snapshot
+    const tmp = `${this.filePath(buKey)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(stored));
+    fs.renameSync(tmp, this.filePath(buKey));
+    this.cache.set(buKey, stored);
+    try {
+      this.archive(buKey, stored);
+    } catch (error) {
+      console.error(`❌ [Snapshot] Failed to archive ${buKey}:`, error.message);
+    }
+    return stored;
+  }
+
+  historyDir(buKey) {
+    return path.join(this.dir, 'history', buKey);
+  }
+
+  readHistoryIndex(buKey) {
+    const file = path.join(this.historyDir(buKey), 'index.json');
+    if (!fs.existsSync(file)) return [];
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`❌ [Snapshot] Failed to read history index for ${buKey}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Keep a point-in-time copy of a stored snapshot and prune the oldest copies.
+   * @param {string} buKey
+   * @param {object} stored - Snapshot as written by save()
+   * @returns {object} - The history entry ({ id, ...describe() })
+   */
+  archive(buKey, stored) {
+    const dir = this.historyDir(buKey);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const id = String(stored.refreshedAt || new Date().toISOString()).replace(/[^0-9A-Za-z]/g, '-');
+    const { detailCache, ...archived } = stored;
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({ ...archived, snapshotId: id }));
+
+    const entry = { id, ...MetadataSnapshotStore.describe(stored) };
+    const index = [entry, ...this.readHistoryIndex(buKey).filter(item => item.id !== id)];
+    index.slice(this.historyLimit).forEach(item => {
+      const file = path.join(dir, `${item.id}.json`);
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+    fs.writeFileSync(path.join(dir, 'index.json'), JSON.stringify(index.slice(0, this.historyLimit)));
+    return entry;
+  }
+
+  /**
+   * Archived snapshots of a business unit, newest first.
+   * @param {string} buKey
+   * @returns {object[]} - [{ id, refreshedAt, refreshType, counts, ... }]
+   */
+  listHistory(buKey) {
+    return this.readHistoryIndex(buKey);
+  }
+
+  /**
+   * Load one archived snapshot.
+   * @param {string} buKey
+   * @param {string} snapshotId - Id from listHistory()
+   * @returns {object|null}
+   */
+  loadHistory(buKey, snapshotId) {
+    if (!/^[0-9A-Za-z-]+$/.test(String(snapshotId || ''))) return null;
+    const file = path.join(this.historyDir(buKey), `${snapshotId}.json`);
+    if (!fs.existsSync(file)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`❌ [Snapshot] Failed to read ${file}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a business unit's snapshot. Archived history is kept for diffs.
+   * @param {string} buKey
+   * @returns {boolean} - Whether a snapshot existed
+   */
+  remove(buKey) {
+    this.cache.delete(buKey);
+    const file = this.filePath(buKey);
+    if (!fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    return true;
+  }
+
+  /**
+   * Summary of a snapshot without its objects, for status responses.
+   * @param {object|null} snapshot
+   * @returns {object|null}
+   */
+  static describe(snapshot) {
+    if (!snapshot) return null;
+    const counts = {};
+    Object.entries(snapshot.objects || {}).forEach(([collection, items]) => {
+      if (Array.isArray(items) && !collection.startsWith('_')) counts[collection] = items.length;
+    });
+    return {
+      buKey: snapshot.buKey,
+      subdomain: snapshot.subdomain,
+      accountId: snapshot.accountId,
+      createdAt: snapshot.createdAt,
+      refreshedAt: snapshot.refreshedAt,
+      refreshType: snapshot.refreshType,
+      durationMs: snapshot.durationMs,
+      incompleteCollections: snapshot.incompleteCollections || [],
+      counts
+    };
+  }
+
+  /**
+   * Return a copy of the snapshot's objects in the shape fetchAllSFMCObjects returns.
+   * @param {object} snapshot
+   * @returns {object}
+   */
+  static toSFMCObjects(snapshot) {
+    const objects = { ...(snapshot.objects || {}) };
+    Object.keys(objects).forEach(collection => {
+      if (Array.isArray(objects[collection])) objects[collection] = [...objects[collection]];
+    });
+    objects.journeyToEntrySourceMap = new Map(snapshot.objects?.journeyToEntrySourceMap || []);
+    return objects;
+  }
+
+  static serializeObjects(objects = {}) {
+    const serialized = { ...objects };
+    if (objects.journeyToEntrySourceMap instanceof Map) {
+      serialized.journeyToEntrySourceMap = Array.from(objects.journeyToEntrySourceMap.entries());
+    }
+    return serialized;
+  }
+
+  /**
+   * Latest ModifiedDate per incremental collection, used as the next refresh's lower bound.
+   * @param {object} objects - fetchAllSFMCObjects result
+   * @returns {object} - { [collection]: ModifiedDate string }
+   */
+  static computeWatermarks(objects) {
+    const watermarks = {};
+    INCREMENTAL_COLLECTIONS.forEach(collection => {
+      let latest = null;
+      (objects[collection] || []).forEach(item => {
+        const modified = item.modifiedDate;
+        if (modified && (!latest || new Date(modified) > new Date(latest))) latest = modified;
+      });
+      if (latest) watermarks[collection] = latest;
+    });
+    return watermarks;
+  }
+
+  /**
+   * Merge the changed rows of an incremental refresh into a previous snapshot.
+   * Incremental collections are upserted by id, then rows whose id is missing from the collection's
+   * current id list (see options.currentIds) are dropped as deleted in MC. All other collections are
+   * replaced with the fresh fetch, even when it is empty; the previous rows are only kept for
+   * collections whose fetch failed.
+   * @param {object} previousObjects - Snapshot objects (revived)
+   * @param {object} changedObjects - fetchAllSFMCObjects result with modifiedSince applied
+   * @param {object} [options]
+   * @param {object} [options.currentIds] - { [collection]: iterable of every id that still exists }; a
+   *   collection without a list (its id retrieve failed) keeps all previous rows
+   * @param {string[]} [options.failedCollections] - Collections whose fetch failed
+   * @returns {object}
+   */
+  static mergeIncremental(previousObjects, changedObjects, options = {}) {
+    const currentIds = options.currentIds || {};
+    const failed = new Set(options.failedCollections || []);
+    const merged = { ...previousObjects };
+    Object.entries(changedObjects).forEach(([collection, items]) => {
+      if (!Array.isArray(items)) {
+        merged[collection] = items;
+        return;
+      }
+      const previous = previousObjects[collection] || [];
+      if (INCREMENTAL_COLLECTIONS.includes(collection)) {
+        const byId = new Map(previous.map(item => [item.id, item]));
+        items.forEach(item => byId.set(item.id, item));
+        const stillExisting = currentIds[collection] ? new Set(currentIds[collection]) : null;
+        merged[collection] = Array.from(byId.values()).filter(item => !stillExisting || stillExisting.has(item.id));
+      } else {
+        merged[collection] = failed.has(collection) ? previous : items;
+      }
+    });
+    return merged;
+  }
+}
+
+MetadataSnapshotStore.INCREMENTAL_COLLECTIONS = INCREMENTAL_COLLECTIONS;
+
+module.exports = MetadataSnapshotStore;
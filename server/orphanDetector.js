@@ -0,0 +1,136 @@
+/**
+ * MC Explorer - Orphaned Asset Detector
+ * Finds cleanup candidates in the relationship graph built for impact analysis:
+ *
+ * - Data Extensions no query, filter, import, extract, journey or triggered send
+ *   touches (no edge in either direction).
+ * - Inactive automations and stopped journeys whose connected assets are not used
+ *   by anything that is still running, so removing them leaves nothing broken.
+ */
+
+const { CONTAINMENT_TYPES, collectMembers } = require('./impactAnalysis');
+
+// Automation statuses (names or REST statusIds) that still run; anything else is inactive
+const ACTIVE_AUTOMATION_STATUSES = new Set(['running', 'scheduled', 'awaitingtrigger', 'active', '3', '6', '7']);
+
+const STOPPED_JOURNEY_STATUSES = new Set(['stopped', 'unpublished', 'finished', 'deleted']);
+
+const normalizeStatus = status => String(status ?? '').replace(/\s+/g, '').toLowerCase();
+
+const edgesOf = (graph, id) => [...(graph.outgoing.get(id) || []), ...(graph.incoming.get(id) || [])];
+
+const otherEnd = (edge, id) => (edge.source === id ? edge.target : edge.source);
+
+function describeNode(graph, id) {
+  const node = graph.nodes.get(id);
+  return { id, name: node?.name || id, category: node?.category || 'Unknown' };
+}
+
+/**
+ * Orphaned Data Extensions plus inactive automations and stopped journeys whose
+ * dependents are only used by other inactive/stopped assets.
+ * @param {object} graph - From buildImpactGraph
+ * @param {object} sfmcObjects - Snapshot objects the graph was built from
+ * @returns {object} - { dataExtensions: [], automations: [], journeys: [], summary }
+ */
+function findOrphanedAssets(graph, sfmcObjects = {}) {
+  const dataExtensions = (sfmcObjects['Data Extensions'] || [])
+    .filter(de => de && de.id !== undefined && de.id !== null)
+    .filter(de => edgesOf(graph, String(de.id)).length === 0)
+    .map(de => ({
+      id: String(de.id),
+      name: de.name || String(de.id),
+      customerKey: de.customerKey || String(de.id),
+      objectId: de.objectId || null,
+      description: de.description || '',
+      categoryId: de.categoryId ?? null,
+      isSendable: !!de.isSendable,
+      createdDate: de.createdDate || null,
+      modifiedDate: de.modifiedDate || null
+    }));
+
+  const candidates = [
+    ...(sfmcObjects['Automations'] || [])
+      .filter(automation => !ACTIVE_AUTOMATION_STATUSES.has(normalizeStatus(automation.status)))
+      .map(automation => ({ item: automation, assetType: 'Automation' })),
+    ...(sfmcObjects['Journeys'] || [])
+      .filter(journey => STOPPED_JOURNEY_STATUSES.has(normalizeStatus(journey.status)))
+      .map(journey => ({ item: journey, assetType: 'Journey' }))
+  ].filter(({ item }) => item && item.id !== undefined && item.id !== null);
+
+  // Every node executed by some inactive container, and which containers those are
+  const inactiveOwners = new Map();
+  const membersById = new Map();
+  candidates.forEach(({ item }) => {
+    const id = String(item.id);
+    const members = collectMembers(graph, id);
+    membersById.set(id, members);
+    members.forEach(member => {
+      if (!inactiveOwners.has(member)) inactiveOwners.set(member, new Set());
+      inactiveOwners.get(member).add(id);
+    });
+  });
+
+  const flagged = candidates.map(({ item, assetType }) => {
+    const id = String(item.id);
+    const members = membersById.get(id);
+
+    // A member also executed by a running automation keeps this one relevant
+    const sharedWithActive = [...members].some(member =>
+      (graph.incoming.get(member) || []).some(edge =>
+        CONTAINMENT_TYPES.has(edge.type) && !members.has(edge.source) && !inactiveOwners.has(edge.source)
+      )
+    );
+    if (sharedWithActive) return null;
+
+    const dependentIds = new Set();
+    members.forEach(member => {
+      edgesOf(graph, member).filter(edge => !CONTAINMENT_TYPES.has(edge.type)).forEach(edge => {
+        const neighbour = otherEnd(edge, member);
+        if (!members.has(neighbour)) dependentIds.add(neighbour);
+      });
+    });
+
+    // A dependent is orphaned once every asset it connects to belongs to an inactive container
+    const dependents = [];
+    for (const dependentId of dependentIds) {
+      const neighbours = edgesOf(graph, dependentId).map(edge => otherEnd(edge, dependentId));
+      if (!neighbours.every(neighbour => inactiveOwners.has(neighbour))) return null;
+      const sharedWith = new Set();
+      neighbours.forEach(neighbour => inactiveOwners.get(neighbour).forEach(owner => {
+        if (owner !== id) sharedWith.add(describeNode(graph, owner).name);
+      }));
+      dependents.push({ ...describeNode(graph, dependentId), sharedWith: [...sharedWith] });
+    }
+
+    return {
+      id,
+      name: item.name || id,
+      assetType,
+      status: item.status ?? null,
+      modifiedDate: item.modifiedDate || item.lastModifiedDate || null,
+      reason: dependents.length === 0
+        ? `${assetType === 'Journey' ? 'Stopped' : 'Inactive'} with no dependents`
+        : `${assetType === 'Journey' ? 'Stopped' : 'Inactive'}; ${dependents.length} dependent(s) used by nothing active`,
+      dependents: dependents.sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name))
+    };
+  }).filter(Boolean);
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const automations = flagged.filter(asset => asset.assetType === 'Automation').sort(byName);
+  const journeys = flagged.filter(asset => asset.assetType === 'Journey').sort(byName);
+  dataExtensions.sort(byName);
+
+  return {
+    dataExtensions,
+    automations,
+    journeys,
+    summary: {
+      dataExtensions: dataExtensions.length,
+      automations: automations.length,
+      journeys: journeys.length
+    }
+  };
+}
+
+module.exports = { findOrphanedAssets, ACTIVE_AUTOMATION_STATUSES, STOPPED_JOURNEY_STATUSES };
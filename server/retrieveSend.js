@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { getSoapUrl } = require('./mcEndpoints');
 
 /**
  * Retrieve Send (Job) details from Salesforce Marketing Cloud using SOAP API.
@@ -40,7 +41,7 @@ async function retrieveSendByJobId(subdomain, accessToken, jobId) {
     </soapenv:Envelope>
   `;
 
-  const url = `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`;
+  const url = getSoapUrl(subdomain);
   const response = await axios.post(url, soapEnvelope, {
     headers: {
       'Content-Type': 'text/xml',
@@ -119,7 +120,7 @@ async function retrieveSendWithFilter(subdomain, accessToken, filter) {
     </soapenv:Envelope>
   `;
 
-  const url = `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`;
+  const url = getSoapUrl(subdomain);
   const response = await axios.post(url, soapEnvelope, {
     headers: {
       'Content-Type': 'text/xml',
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { getSoapUrl } = require('./mcEndpoints');
 
 /**
  * Retrieve SentEvent details from Salesforce Marketing Cloud using SOAP API.
@@ -33,7 +34,7 @@ async function retrieveSentEventByJobId(subdomain, accessToken, jobId) {
       </soapenv:Body>
     </soapenv:Envelope>
   `;
-  const url = `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`;
+  const url = getSoapUrl(subdomain);
   const response = await axios.post(url, soapEnvelope, {
     headers: {
       'Content-Type': 'text/xml',
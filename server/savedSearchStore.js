@@ -0,0 +1,94 @@
+/**
+ * MC Explorer - Saved Search Store
+ * Named Search Assets queries per Marketing Cloud user, kept in one JSON file:
+ *   { [userKey]: [{ id, name, query, tab, createdAt, updatedAt }] }
+ * userKey is "<subdomain>:<user id>" (see getUserKeyFromRequest in server.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FILE = path.join(__dirname, 'savedSearches.json');
+const MAX_SEARCHES_PER_USER = 100;
+const MAX_NAME_LENGTH = 100;
+const MAX_QUERY_LENGTH = 2000;
+
+class SavedSearchStore {
+  constructor(file = process.env.SAVED_SEARCHES_FILE || DEFAULT_FILE) {
+    this.file = file;
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.file)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8')) || {};
+    } catch (err) {
+      console.error(`❌ [Saved Searches] Could not read ${this.file}:`, err.message);
+      return {};
+    }
+  }
+
+  writeAll(all) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(all, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  /**
+   * @param {string} userKey
+   * @returns {object[]} - Saved searches sorted by name
+   */
+  list(userKey) {
+    return [...(this.readAll()[userKey] || [])].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Save a search; an existing search with the same name (any case) is overwritten.
+   * @param {string} userKey
+   * @param {object} search - { name, query, tab? }
+   * @returns {object} - The stored search
+   * @throws {Error} - With statusCode 400 when the search is invalid or the user has too many
+   */
+  save(userKey, { name, query, tab }) {
+    const trimmedName = String(name || '').trim();
+    const trimmedQuery = String(query || '').trim();
+    const invalid = message => Object.assign(new Error(message), { statusCode: 400 });
+    if (!trimmedName) throw invalid('A name is required');
+    if (trimmedName.length > MAX_NAME_LENGTH) throw invalid(`Names are limited to ${MAX_NAME_LENGTH} characters`);
+    if (!trimmedQuery) throw invalid('A query is required');
+    if (trimmedQuery.length > MAX_QUERY_LENGTH) throw invalid(`Queries are limited to ${MAX_QUERY_LENGTH} characters`);
+
+    const all = this.readAll();
+    const searches = all[userKey] || [];
+    const now = new Date().toISOString();
+    const existing = searches.find(search => search.name.toLowerCase() === trimmedName.toLowerCase());
+    let saved;
+    if (existing) {
+      saved = Object.assign(existing, { name: trimmedName, query: trimmedQuery, tab: tab || null, updatedAt: now });
+    } else {
+      if (searches.length >= MAX_SEARCHES_PER_USER) throw invalid(`You can save up to ${MAX_SEARCHES_PER_USER} searches`);
+      saved = { id: crypto.randomUUID(), name: trimmedName, query: trimmedQuery, tab: tab || null, createdAt: now, updatedAt: now };
+      searches.push(saved);
+    }
+    all[userKey] = searches;
+    this.writeAll(all);
+    return saved;
+  }
+
+  /**
+   * @returns {boolean} - Whether a search was removed
+   */
+  remove(userKey, id) {
+    const all = this.readAll();
+    const searches = all[userKey] || [];
+    const remaining = searches.filter(search => search.id !== id);
+    if (remaining.length === searches.length) return false;
+    all[userKey] = remaining;
+    this.writeAll(all);
+    return true;
+  }
+}
+
+module.exports = { SavedSearchStore, MAX_SEARCHES_PER_USER };
@@ -0,0 +1,452 @@
+/**
+ * MC Explorer - Schedule Calendar
+ * Expands automation schedules (iCal RRULE recurrence in the schedule's own time
+ * zone, bounded by start/end date) into concrete runs for a date range, and flags
+ * runs of different automations that overlap while writing to the same Data
+ * Extension.
+ *
+ * Schedule dates from Automation Studio are wall-clock times in the schedule's
+ * time zone; occurrences keep that wall-clock time across DST changes and are
+ * returned as UTC ISO strings.
+ */
+
+const { CONTAINMENT_TYPES, collectMembers } = require('./impactAnalysis');
+
+// Automation Studio / Windows time zone names → IANA
+const TIME_ZONES = {
+  'Dateline Standard Time': 'Etc/GMT+12',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Mountain Standard Time': 'America/Denver',
+  'Central America Standard Time': 'America/Guatemala',
+  'Central Standard Time': 'America/Chicago',
+  'Central Standard Time (Mexico)': 'America/Mexico_City',
+  'Mexico Standard Time': 'America/Mexico_City',
+  'Canada Central Standard Time': 'America/Regina',
+  'SA Pacific Standard Time': 'America/Bogota',
+  'Eastern Standard Time': 'America/New_York',
+  'US Eastern Standard Time': 'America/Indiana/Indianapolis',
+  'Atlantic Standard Time': 'America/Halifax',
+  'Newfoundland Standard Time': 'America/St_Johns',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'Argentina Standard Time': 'America/Argentina/Buenos_Aires',
+  'UTC': 'UTC',
+  'Coordinated Universal Time': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'GTB Standard Time': 'Europe/Bucharest',
+  'FLE Standard Time': 'Europe/Kiev',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'South Africa Standard Time': 'Africa/Johannesburg',
+  'Israel Standard Time': 'Asia/Jerusalem',
+  'Russian Standard Time': 'Europe/Moscow',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'India Standard Time': 'Asia/Kolkata',
+  'SE Asia Standard Time': 'Asia/Bangkok',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'Korea Standard Time': 'Asia/Seoul',
+  'W. Australia Standard Time': 'Australia/Perth',
+  'Cen. Australia Standard Time': 'Australia/Adelaide',
+  'E. Australia Standard Time': 'Australia/Brisbane',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'New Zealand Standard Time': 'Pacific/Auckland'
+};
+
+// Marketing Cloud system time (CST without daylight saving), used when a schedule has no usable zone
+const SYSTEM_TIME_ZONE = 'Etc/GMT+6';
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Longest / shortest length of one period per frequency: the upper bound skips ahead
+// to the requested range, the lower bound tells when expansion has passed its end
+const MAX_PERIOD_MS = {
+  MINUTELY: MINUTE,
+  HOURLY: HOUR,
+  DAILY: DAY,
+  WEEKLY: 7 * DAY,
+  MONTHLY: 31 * DAY,
+  YEARLY: 366 * DAY
+};
+const MIN_PERIOD_MS = { ...MAX_PERIOD_MS, MONTHLY: 28 * DAY, YEARLY: 365 * DAY };
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Guards against runaway expansion (e.g. a minutely schedule over a month)
+const MAX_OCCURRENCES_PER_SCHEDULE = 2000;
+const MAX_PERIODS = 200000;
+
+// Assumed run length for overlap detection when an automation has no run history
+const DEFAULT_RUN_DURATION_MS = 15 * MINUTE;
+
+// Relationship types from an automation's members into the DEs they populate
+const WRITE_TYPES = new Set(['writes_to', 'imports_to_de', 'filters_to', 'targets', 'imports', 'file_transfer_target']);
+
+function resolveTimeZone(schedule = {}) {
+  const candidates = [schedule.timezoneName, schedule.timeZone, schedule.timezone].filter(Boolean);
+  for (const name of candidates) {
+    const zone = TIME_ZONES[name] || (String(name).includes('/') ? name : null);
+    if (!zone) continue;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: zone });
+      return zone;
+    } catch (e) {
+      // Not a zone this runtime knows; try the next name
+    }
+  }
+  return SYSTEM_TIME_ZONE;
+}
+
+const formatters = new Map();
+function zoneOffsetMs(utcMs, zone) {
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  const parts = {};
+  formatters.get(zone).formatToParts(new Date(utcMs)).forEach(part => { parts[part.type] = part.value; });
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time (expressed as UTC-based "naive" milliseconds) in a zone to real UTC milliseconds.
+ * Wall times skipped by a DST jump resolve to an adjacent valid instant.
+ */
+function wallClockToUtc(naiveMs, zone) {
+  const firstGuess = naiveMs - zoneOffsetMs(naiveMs, zone);
+  const offset = zoneOffsetMs(firstGuess, zone);
+  return naiveMs - offset;
+}
+
+function utcToWallClock(utcMs, zone) {
+  return utcMs + zoneOffsetMs(utcMs, zone);
+}
+
+// ISO date without offset → naive ms; an explicit offset/Z is honoured and converted to the zone's wall clock
+function parseScheduleDate(value, zone) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const utc = Date.parse(text);
+    return isNaN(utc) ? null : utcToWallClock(utc, zone);
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(text);
+  if (!match) return null;
+  const [, y, mo, d, h = '0', mi = '0', s = '0'] = match;
+  return Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+}
+
+// RRULE UNTIL is basic format (20250301 or 20250301T020000Z)
+function parseUntil(value, zone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?(Z?)$/.exec(String(value).trim());
+  if (!match) return parseScheduleDate(value, zone);
+  const [, y, mo, d, h = '23', mi = '59', sec = '59', z] = match;
+  return parseScheduleDate(`${y}-${mo}-${d}T${h}:${mi}:${sec}${z}`, zone);
+}
+
+/**
+ * Parse an iCal RRULE ("FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE").
+ * @param {string} rule
+ * @returns {object|null} - { freq, interval, byDay: [{ weekday, ordinal }], byMonthDay: [], byMonth: [], count, until }
+ */
+function parseRecurrence(rule) {
+  if (!rule) return null;
+  const parts = {};
+  String(rule).replace(/^RRULE:/i, '').split(';').forEach(part => {
+    const [key, value] = part.split('=');
+    if (key && value !== undefined) parts[key.trim().toUpperCase()] = value.trim();
+  });
+  const freq = (parts.FREQ || '').toUpperCase();
+  if (!MAX_PERIOD_MS[freq]) return null;
+  const list = value => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+  return {
+    freq,
+    interval: Math.max(parseInt(parts.INTERVAL, 10) || 1, 1),
+    byDay: list(parts.BYDAY).map(day => {
+      const match = /^([+-]?\d+)?([A-Z]{2})$/i.exec(day);
+      return match ? { ordinal: match[1] ? parseInt(match[1], 10) : null, weekday: WEEKDAYS.indexOf(match[2].toUpperCase()) } : null;
+    }).filter(day => day && day.weekday >= 0),
+    byMonthDay: list(parts.BYMONTHDAY).map(Number).filter(n => n !== 0 && !isNaN(n)),
+    byMonth: list(parts.BYMONTH).map(Number).filter(n => n >= 1 && n <= 12),
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: parts.UNTIL || null
+  };
+}
+
+function nthWeekdayOfMonth(year, month, weekday, ordinal) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  if (ordinal > 0) {
+    const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    const day = 1 + ((weekday - first + 7) % 7) + (ordinal - 1) * 7;
+    return day <= daysInMonth ? day : null;
+  }
+  const last = new Date(Date.UTC(year, month, daysInMonth)).getUTCDay();
+  const day = daysInMonth - ((last - weekday + 7) % 7) + (ordinal + 1) * 7;
+  return day >= 1 ? day : null;
+}
+
+// Candidate wall-clock times (naive ms) of the k-th period, in order
+function periodCandidates(rule, start, k) {
+  const timeOfDay = start - Math.floor(start / DAY) * DAY;
+  const startDate = new Date(start);
+  const keepWeekday = t => rule.byDay.length === 0 || rule.byDay.some(day => day.weekday === new Date(t).getUTCDay());
+  const keepMonth = t => rule.byMonth.length === 0 || rule.byMonth.includes(new Date(t).getUTCMonth() + 1);
+
+  switch (rule.freq) {
+    case 'MINUTELY':
+    case 'HOURLY':
+    case 'DAILY': {
+      const t = start + k * rule.interval * MAX_PERIOD_MS[rule.freq];
+      return keepWeekday(t) && keepMonth(t) ? [t] : [];
+    }
+    case 'WEEKLY': {
+      // Weeks start on Monday (iCal WKST default)
+      const weekStart = Math.floor(start / DAY) * DAY - ((startDate.getUTCDay() + 6) % 7) * DAY + k * rule.interval * 7 * DAY;
+      const weekdays = rule.byDay.length ? rule.byDay.map(day => day.weekday) : [startDate.getUTCDay()];
+      return [...new Set(weekdays)]
+        .map(weekday => weekStart + ((weekday + 6) % 7) * DAY + timeOfDay)
+        .filter(keepMonth)
+        .sort((a, b) => a - b);
+    }
+    case 'MONTHLY': {
+      const monthIndex = startDate.getUTCMonth() + k * rule.interval;
+      const year = startDate.getUTCFullYear() + Math.floor(monthIndex / 12);
+      const month = ((monthIndex % 12) + 12) % 12;
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      let days;
+      if (rule.byDay.length) {
+        days = rule.byDay.flatMap(day => (day.ordinal
+          ? [nthWeekdayOfMonth(year, month, day.weekday, day.ordinal)]
+          : Array.from({ length: daysInMonth }, (_, i) => i + 1)
+            .filter(d => new Date(Date.UTC(year, month, d)).getUTCDay() === day.weekday)));
+      } else if (rule.byMonthDay.length) {
+        days = rule.byMonthDay.map(d => (d > 0 ? d : daysInMonth + d + 1));
+      } else {
+        days = [startDate.getUTCDate()];
+      }
+      return [...new Set(days.filter(d => d && d >= 1 && d <= daysInMonth))]
+        .sort((a, b) => a - b)
+        .map(d => Date.UTC(year, month, d) + timeOfDay)
+        .filter(keepMonth);
+    }
+    case 'YEARLY': {
+      const year = startDate.getUTCFullYear() + k * rule.interval;
+      const t = Date.UTC(year, startDate.getUTCMonth(), startDate.getUTCDate()) + timeOfDay;
+      // Feb 29 only exists in leap years
+      return new Date(t).getUTCDate() === startDate.getUTCDate() ? [t] : [];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Expand one automation schedule into run times within [rangeStart, rangeEnd).
+ * @param {object} schedule - Automation Studio schedule ({ startDate, endDate, icalRecur, timezoneName, ... })
+ * @param {Date|number} rangeStart
+ * @param {Date|number} rangeEnd
+ * @returns {{ occurrences: string[], timeZone: string, recurrence: object|null, truncated: boolean }}
+ */
+function expandSchedule(schedule, rangeStart, rangeEnd) {
+  const timeZone = resolveTimeZone(schedule);
+  const from = +rangeStart;
+  const to = +rangeEnd;
+  const start = parseScheduleDate(schedule?.startDate || schedule?.scheduledTime, timeZone);
+  const result = { occurrences: [], timeZone, recurrence: null, truncated: false };
+  if (start === null) return result;
+
+  const rule = parseRecurrence(schedule.icalRecur || schedule.pattern);
+  result.recurrence = rule;
+  const scheduleEnd = parseScheduleDate(schedule.endDate, timeZone);
+  const until = rule?.until ? parseUntil(rule.until, timeZone) : null;
+  const lastAllowed = Math.min(...[scheduleEnd, until].filter(v => v !== null), Infinity);
+  // A day of margin on the range covers any zone offset
+  const limit = Math.min(lastAllowed, to + DAY);
+
+  const push = naive => {
+    const utc = wallClockToUtc(naive, timeZone);
+    if (utc >= from && utc < to) result.occurrences.push(new Date(utc).toISOString());
+  };
+
+  if (!rule) {
+    push(start);
+    return result;
+  }
+
+  // COUNT needs every occurrence from the start; otherwise jump close to the range
+  let k = 0;
+  if (!rule.count) {
+    const rangeStartNaive = from - DAY;
+    k = Math.max(0, Math.floor((rangeStartNaive - start) / (MAX_PERIOD_MS[rule.freq] * rule.interval)));
+  }
+
+  let seen = 0;
+  for (let periods = 0; periods < MAX_PERIODS; periods++, k++) {
+    if (start + k * rule.interval * MIN_PERIOD_MS[rule.freq] > limit) break;
+    // A period can be empty (BYDAY filters, a 31st in a short month)
+    const candidates = periodCandidates(rule, start, k);
+    let done = false;
+    for (const candidate of candidates) {
+      if (candidate < start) continue;
+      if (candidate > limit) { done = true; break; }
+      if (rule.count && seen >= rule.count) { done = true; break; }
+      seen++;
+      push(candidate);
+      if (result.occurrences.length >= MAX_OCCURRENCES_PER_SCHEDULE) {
+        result.truncated = true;
+        done = true;
+        break;
+      }
+    }
+    if (done) break;
+  }
+  return result;
+}
+
+/**
+ * Data Extensions each automation writes to, from the relationship graph.
+ * @param {object} graph - From buildImpactGraph
+ * @param {string} automationId
+ * @returns {object[]} - [{ id, name }]
+ */
+function automationWriteTargets(graph, automationId) {
+  const targets = new Map();
+  collectMembers(graph, String(automationId)).forEach(member => {
+    (graph.outgoing.get(member) || [])
+      .filter(edge => !CONTAINMENT_TYPES.has(edge.type) && WRITE_TYPES.has(edge.type))
+      .forEach(edge => {
+        const node = graph.nodes.get(edge.target);
+        if (node && node.category !== 'Data Extensions') return;
+        targets.set(edge.target, { id: edge.target, name: node?.name || edge.target });
+      });
+  });
+  return Array.from(targets.values());
+}
+
+/**
+ * Calendar events for scheduled automations plus overlap detection on shared target DEs.
+ * @param {object[]} automations - [{ id, name, status, schedule }]
+ * @param {object} graph - From buildImpactGraph, for write targets
+ * @param {Date|number} rangeStart
+ * @param {Date|number} rangeEnd
+ * @param {object} [options]
+ * @param {object} [options.averageDurations] - { [automationId]: ms } from run history
+ * @returns {{ events: object[], conflicts: object[], truncated: string[] }}
+ */
+function buildAutomationCalendar(automations, graph, rangeStart, rangeEnd, options = {}) {
+  const durations = options.averageDurations || {};
+  const events = [];
+  const truncated = [];
+
+  automations.forEach(automation => {
+    if (!automation.schedule) return;
+    const expansion = expandSchedule(automation.schedule, rangeStart, rangeEnd);
+    if (expansion.truncated) truncated.push(automation.name);
+    const targets = automationWriteTargets(graph, automation.id);
+    const durationMs = durations[automation.id] || DEFAULT_RUN_DURATION_MS;
+
+    expansion.occurrences.forEach(start => {
+      events.push({
+        id: `${automation.id}@${start}`,
+        type: 'automation',
+        sourceId: automation.id,
+        name: automation.name,
+        start,
+        end: new Date(Date.parse(start) + durationMs).toISOString(),
+        durationMs,
+        durationSource: durations[automation.id] ? 'history' : 'default',
+        timeZone: expansion.timeZone,
+        recurrence: automation.schedule.icalRecur || automation.schedule.pattern || null,
+        targets,
+        conflicts: []
+      });
+    });
+  });
+
+  // Per target DE, pairs of runs from different automations whose run windows intersect
+  const byTarget = new Map();
+  events.forEach(event => event.targets.forEach(target => {
+    if (!byTarget.has(target.id)) byTarget.set(target.id, { target, events: [] });
+    byTarget.get(target.id).events.push(event);
+  }));
+
+  const conflicts = [];
+  byTarget.forEach(({ target, events: targetEvents }) => {
+    const sorted = [...targetEvents].sort((a, b) => a.start.localeCompare(b.start));
+    for (let i = 0; i < sorted.length; i++) {
+      const a = sorted[i];
+      for (let j = i + 1; j < sorted.length && sorted[j].start < a.end; j++) {
+        const b = sorted[j];
+        if (a.sourceId === b.sourceId) continue;
+        conflicts.push({
+          dataExtension: target,
+          start: b.start,
+          end: a.end < b.end ? a.end : b.end,
+          events: [a.id, b.id],
+          automations: [a.name, b.name]
+        });
+        a.conflicts.push({ eventId: b.id, name: b.name, dataExtension: target.name });
+        b.conflicts.push({ eventId: a.id, name: a.name, dataExtension: target.name });
+      }
+    }
+  });
+
+  events.sort((a, b) => a.start.localeCompare(b.start) || a.name.localeCompare(b.name));
+  conflicts.sort((a, b) => a.start.localeCompare(b.start));
+  return { events, conflicts, truncated };
+}
+
+/**
+ * Calendar events for scheduled user-initiated sends (SOAP Send rows).
+ * SOAP dates without an offset are Marketing Cloud system time.
+ * @param {object[]} sends - [{ ID, SendDate, EmailName, Subject, Status }]
+ * @param {Date|number} rangeStart
+ * @param {Date|number} rangeEnd
+ * @returns {object[]}
+ */
+function buildSendEvents(sends, rangeStart, rangeEnd) {
+  return sends.map(send => {
+    const naive = parseScheduleDate(send.SendDate, SYSTEM_TIME_ZONE);
+    if (naive === null) return null;
+    const start = wallClockToUtc(naive, SYSTEM_TIME_ZONE);
+    if (start < +rangeStart || start >= +rangeEnd) return null;
+    return {
+      id: `send-${send.ID}`,
+      type: 'send',
+      sourceId: String(send.ID),
+      name: send.EmailName || send.Subject || `Send ${send.ID}`,
+      subject: send.Subject || null,
+      start: new Date(start).toISOString(),
+      end: new Date(start).toISOString(),
+      durationMs: 0,
+      timeZone: SYSTEM_TIME_ZONE,
+      recurrence: null,
+      targets: [],
+      conflicts: []
+    };
+  }).filter(Boolean);
+}
+
+module.exports = {
+  buildAutomationCalendar,
+  buildSendEvents,
+  expandSchedule,
+  parseRecurrence,
+  resolveTimeZone,
+  wallClockToUtc,
+  SYSTEM_TIME_ZONE
+};
@@ -0,0 +1,180 @@
+/**
+ * MC Explorer - Search Query
+ * The Search Assets query language. The /search/* routes filter their rows with it (?query=, see
+ * searchResults.js), so the client never parses queries itself.
+ *
+ *   Promo                      any field contains "Promo"
+ *   "spring promo"             any field contains the phrase
+ *   name:Promo*                wildcards (* and ?) match the whole value
+ *   name:=Customers            exact value
+ *   status:Running,Paused      any of the values
+ *   created:>2025-01-01        dates: > >= < <= = and ranges (2025-01..2025-03); YYYY and YYYY-MM cover the whole period
+ *   sendable:true              true/false/yes/no
+ *   -path:/Archive/*           a leading "-" excludes matches
+ *
+ * Every term must match. Folder paths are compared without the spaces around "/".
+ */
+
+// Query field → item properties it searches, and how values are compared
+const SEARCH_FIELDS = {
+  name: { props: ['name', 'Name'] },
+  key: { props: ['key', 'customerKey', 'CustomerKey'] },
+  id: { props: ['id', 'objectId'] },
+  path: { props: ['path'], kind: 'path' },
+  folder: { props: ['path'], kind: 'path' },
+  type: { props: ['_type'] },
+  status: { props: ['status'] },
+  description: { props: ['description'] },
+  createdby: { props: ['createdByName'] },
+  created: { props: ['createdDate'], kind: 'date' },
+  modified: { props: ['modifiedDate'], kind: 'date' },
+  published: { props: ['lastPublishedDate'], kind: 'date' },
+  sendable: { props: ['isSendable'], kind: 'boolean' },
+  version: { props: ['versionNumber'], kind: 'number' },
+  bu: { props: ['businessUnitId'] }
+};
+
+const TOKEN = /(-?)(?:([A-Za-z]+):)?("([^"]*)"?|\S+)/g;
+const COMPARISON = /^(>=|<=|>|<|=)?(.*)$/;
+const BOOLEANS = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+const normalizePath = (value) => String(value).replace(/\s*\/\s*/g, '/').toLowerCase();
+
+const globToRegExp = (glob) => new RegExp(
+  `^${glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`,
+  'i'
+);
+
+// [start, end) of a YYYY, YYYY-MM or YYYY-MM-DD value, or null
+const dateRange = (text) => {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(text.trim());
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  if (day) return [new Date(year, month - 1, day), new Date(year, month - 1, day + 1)];
+  if (month) return [new Date(year, month - 1, 1), new Date(year, month, 1)];
+  return [new Date(year, 0, 1), new Date(year + 1, 0, 1)];
+};
+
+const numberRange = (text) => {
+  const value = Number(text);
+  return text.trim() !== '' && Number.isFinite(value) ? [value, value] : null;
+};
+
+// Build a predicate over one item value for a date or number condition
+const rangeCondition = (operator, text, toRange, inclusiveEnd) => {
+  const [from, to] = text.split('..');
+  if (to !== undefined && !operator) {
+    const start = toRange(from);
+    const end = toRange(to);
+    if (!start || !end) return null;
+    return (value) => value >= start[0] && (inclusiveEnd ? value <= end[1] : value < end[1]);
+  }
+  const range = toRange(text);
+  if (!range) return null;
+  const [start, end] = range;
+  switch (operator) {
+    case '>': return (value) => (inclusiveEnd ? value > end : value >= end);
+    case '>=': return (value) => value >= start;
+    case '<': return (value) => value < start;
+    case '<=': return (value) => (inclusiveEnd ? value <= end : value < end);
+    default: return (value) => value >= start && (inclusiveEnd ? value <= end : value < end);
+  }
+};
+
+// Predicate over one raw item value, or an error message
+const buildCondition = (field, kind, rawValue, quoted) => {
+  const [, operator = '', text] = COMPARISON.exec(rawValue);
+  if (kind === 'date') {
+    const test = rangeCondition(operator, text, dateRange, false);
+    if (!test) return { error: `${field}: "${rawValue}" is not a date (use YYYY, YYYY-MM or YYYY-MM-DD)` };
+    return {
+      test: (value) => {
+        const date = new Date(value);
+        return value !== null && value !== undefined && value !== '' && !isNaN(date) && test(date);
+      }
+    };
+  }
+  if (kind === 'number') {
+    const test = rangeCondition(operator, text, numberRange, true);
+    if (!test) return { error: `${field}: "${rawValue}" is not a number` };
+    return { test: (value) => value !== null && value !== '' && Number.isFinite(Number(value)) && test(Number(value)) };
+  }
+  if (kind === 'boolean') {
+    const expected = BOOLEANS[text.toLowerCase()];
+    if (expected === undefined) return { error: `${field}: use true or false` };
+    return { test: (value) => (BOOLEANS[String(value).toLowerCase()] ?? false) === expected };
+  }
+
+  const normalize = kind === 'path' ? normalizePath : (value) => String(value).toLowerCase();
+  const alternatives = (quoted ? [text] : text.split(',')).filter(Boolean).map((part) => {
+    const wanted = normalize(part);
+    if (operator === '=') return (value) => normalize(value) === wanted;
+    if (/[*?]/.test(part)) {
+      const pattern = globToRegExp(wanted);
+      return (value) => pattern.test(normalize(value));
+    }
+    return (value) => normalize(value).includes(wanted);
+  });
+  if (alternatives.length === 0) return { error: `${field}: missing value` };
+  return { test: (value) => value !== null && value !== undefined && alternatives.some((matches) => matches(value)) };
+};
+
+// Free text: a substring of any top-level value (the original Search Assets behaviour)
+const matchesAnyValue = (item, wanted) =>
+  Object.values(item || {}).some((value) => (value ?? '').toString().toLowerCase().includes(wanted));
+
+/**
+ * Parse a Search Assets query.
+ * @param {string} text
+ * @returns {{ conditions: object[], errors: string[], isEmpty: boolean }} - conditions:
+ *   [{ field (null for free text), props, negate, test }]; unparseable terms are reported in errors and skipped
+ */
+function parseSearchQuery(text) {
+  const conditions = [];
+  const errors = [];
+  for (const match of String(text || '').matchAll(TOKEN)) {
+    const [token, minus, rawField, rawValue, quoted] = match;
+    const negate = minus === '-';
+    const value = quoted !== undefined ? quoted : rawValue;
+    if (!rawField) {
+      if (value.trim() === '') continue;
+      const wanted = value.toLowerCase();
+      conditions.push({ field: null, negate, test: (item) => matchesAnyValue(item, wanted) });
+      continue;
+    }
+    const field = rawField.toLowerCase();
+    const definition = SEARCH_FIELDS[field];
+    if (!definition) {
+      errors.push(`Unknown field "${rawField}" in ${token}`);
+      continue;
+    }
+    const condition = buildCondition(field, definition.kind, value, quoted !== undefined);
+    if (condition.error) {
+      errors.push(condition.error);
+      continue;
+    }
+    conditions.push({ field, props: definition.props, negate, test: condition.test });
+  }
+  return { conditions, errors, isEmpty: conditions.length === 0 };
+}
+
+/**
+ * Whether an asset row matches every condition of a parsed query.
+ * @param {object} item - Search result row
+ * @param {object} query - From parseSearchQuery
+ * @returns {boolean}
+ */
+function matchesSearchQuery(item, query) {
+  return query.conditions.every((condition) => {
+    const matched = condition.field === null
+      ? condition.test(item)
+      : condition.props.some((prop) => condition.test(item?.[prop]));
+    return condition.negate ? !matched : matched;
+  });
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  parseSearchQuery,
+  matchesSearchQuery
+};
@@ -0,0 +1,159 @@
+/**
+ * MC Explorer - Search Results
+ * Server-side filtering, sorting and paging for the /search/* routes, plus a short-lived cache of the
+ * SOAP and REST rows behind them so paging through a large business unit does not re-fetch every asset.
+ */
+
+const { parseSearchQuery, matchesSearchQuery } = require('./searchQuery');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 500;
+const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 200;
+// Rows held across all entries; a few large business units must not fill the server's memory
+const MAX_CACHE_ROWS = 250000;
+
+// Values that sort after real ones whichever the direction ("N/A" is the search routes' placeholder)
+const isBlank = value => value === null || value === undefined || value === '' || value === 'N/A' || value === 'Not Available';
+
+const invalid = message => Object.assign(new Error(message), { statusCode: 400 });
+
+/**
+ * Read paging parameters from a /search/* query string.
+ * @param {object} query - req.query: query?, sort?, direction? (asc | desc), page?, pageSize?
+ * @returns {object|null} - { query, sort, direction, page, pageSize }, or null when neither page nor pageSize
+ *   is given (the route then returns every row, as before)
+ * @throws {Error} - With statusCode 400 for invalid values
+ */
+function parseListParams(query = {}) {
+  if (query.page === undefined && query.pageSize === undefined) return null;
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+  if (!Number.isInteger(page) || page < 1) throw invalid('page must be a positive integer');
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw invalid(`pageSize must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+  const direction = String(query.direction || 'asc').toLowerCase();
+  if (direction !== 'asc' && direction !== 'desc') throw invalid('direction must be asc or desc');
+  const sort = query.sort ? String(query.sort) : null;
+  if (sort && !/^[A-Za-z0-9_]+$/.test(sort)) throw invalid('sort must be a row property name');
+  return { query: String(query.query || '').trim(), sort, direction, page, pageSize };
+}
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+/**
+ * Filter rows with the Search Assets query language, sort them and cut out one page.
+ * @param {object[]} rows
+ * @param {object} params - From parseListParams
+ * @returns {object} - { items, total, page, pageSize, totalPages, sort, direction, query, errors }:
+ *   total counts the matching rows; errors lists query terms that were ignored
+ */
+function pageRows(rows, params) {
+  const parsed = parseSearchQuery(params.query);
+  let matching = parsed.isEmpty ? rows : rows.filter(row => matchesSearchQuery(row, parsed));
+  if (params.sort) {
+    const sign = params.direction === 'desc' ? -1 : 1;
+    matching = [...matching].sort((a, b) => {
+      const aValue = a?.[params.sort];
+      const bValue = b?.[params.sort];
+      if (isBlank(aValue) || isBlank(bValue)) return isBlank(aValue) - isBlank(bValue);
+      return sign * compareValues(aValue, bValue);
+    });
+  }
+  const total = matching.length;
+  const totalPages = Math.max(1, Math.ceil(total / params.pageSize));
+  const start = (params.page - 1) * params.pageSize;
+  return {
+    items: matching.slice(start, start + params.pageSize),
+    total,
+    page: params.page,
+    pageSize: params.pageSize,
+    totalPages,
+    sort: params.sort,
+    direction: params.direction,
+    query: params.query,
+    errors: parsed.errors
+  };
+}
+
+/**
+ * Rows of each search, per session, for a few minutes. Concurrent requests for the same rows share one
+ * load; a failed load is not cached. The least recently used entries are evicted once there are more
+ * than maxEntries of them or they hold more than maxRows rows together.
+ */
+class SearchResultCache {
+  constructor({ ttlMs = DEFAULT_CACHE_TTL_MS, maxEntries = MAX_CACHE_ENTRIES, maxRows = MAX_CACHE_ROWS } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.maxRows = maxRows;
+    this.entries = new Map(); // "<sessionKey>|<name>" → { expiresAt, promise, rows }, least recently used first
+  }
+
+  /**
+   * @param {string} sessionKey - Identifies the caller's session (and business unit)
+   * @param {string} name - Identifies the search, including any parameters that change its rows
+   * @param {Function} load - async () => rows
+   * @param {object} [options] - { refresh: true } reloads even when cached; size: value => number of rows the
+   *   loaded value holds, for values that are not a row array (default: the array length)
+   * @returns {Promise<*>}
+   */
+  get(sessionKey, name, load, options = {}) {
+    const cacheKey = `${sessionKey}|${name}`;
+    const now = Date.now();
+    const cached = this.entries.get(cacheKey);
+    if (cached && !options.refresh && cached.expiresAt > now) {
+      this.entries.delete(cacheKey);
+      this.entries.set(cacheKey, cached);
+      return cached.promise;
+    }
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+    this.entries.delete(cacheKey);
+    if (this.entries.size >= this.maxEntries) this.entries.delete(this.entries.keys().next().value);
+
+    const promise = Promise.resolve().then(load);
+    const entry = { expiresAt: now + this.ttlMs, promise, rows: 0 };
+    this.entries.set(cacheKey, entry);
+    promise.then(rows => {
+      if (this.entries.get(cacheKey) !== entry) return;
+      entry.rows = options.size ? options.size(rows) : (Array.isArray(rows) ? rows.length : 0);
+      this.evictOverflow(cacheKey);
+    }, () => {
+      if (this.entries.get(cacheKey) === entry) this.entries.delete(cacheKey);
+    });
+    return promise;
+  }
+
+  // Drop the least recently used entries other than keepKey until the cached rows fit in maxRows
+  evictOverflow(keepKey) {
+    let total = 0;
+    for (const entry of this.entries.values()) total += entry.rows;
+    for (const [key, entry] of this.entries) {
+      if (total <= this.maxRows) break;
+      if (key === keepKey) continue;
+      total -= entry.rows;
+      this.entries.delete(key);
+    }
+  }
+
+  // Forget every search of one session, e.g. after it changed assets
+  clear(sessionKey) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(`${sessionKey}|`)) this.entries.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseListParams,
+  pageRows,
+  SearchResultCache
+};
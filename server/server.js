@@ -23,8 +23,38 @@ const session = require('express-session');
 const upsertRow = require('./upsertRow');
 const retrieveSendByJobId = require('./retrieveSend');
 const { retrieveSendWithFilter } = require('./retrieveSend');
+const { retrieveAll, retrieveByValues, retrieveFolderMap, mapWithConcurrency, escapeXml, parseSoapMessage, toArray } = require('./soapClient');
+const { getSoapUrl, getRestBaseUrl, getAuthBaseUrl } = require('./mcEndpoints');
+const MetadataSnapshotStore = require('./metadataSnapshotStore');
+const { SavedSearchStore } = require('./savedSearchStore');
+const { parseSQL, getSourceTableNames } = require('./sqlParser');
+const { buildImpactGraph, analyzeImpact } = require('./impactAnalysis');
+const { diffSnapshots } = require('./snapshotDiff');
+const { findOrphanedAssets } = require('./orphanDetector');
+const { fetchAutomationRunHistory, fetchFailedAutomationRuns, fetchAverageRunDurations } = require('./automationRunHistory');
+const { buildAutomationCalendar, buildSendEvents } = require('./scheduleCalendar');
+const { parseJourneyActivities } = require('./journeyActivities');
+const { fetchDataExtensionFields, fetchDataExtensionSchemas, formatSchemas, EXPORT_FORMATS } = require('./dataExtensionSchema');
+const { fetchDataExtensionRows, rowsToCsv } = require('./dataExtensionRows');
+const { buildCloneDefinition, copyDataExtensionRows } = require('./dataExtensionClone');
+const { parseDefinitionFile, normalizeDefinition, validateDefinitions, planDefinition } = require('./dataExtensionDefinitions');
+const {
+  CATEGORY_TYPES, TYPE_LABELS, ACTIVITY_OBJECT_TYPES, graphDependencies, dataExtensionAsset, queryAsset, filterAsset,
+  filterActivityAsset, automationAsset, createPackage, validatePackage, applyMappings, planDataExtensionAsset, planAsset,
+  blockDependents, creationOrder, summarizePackagePlan
+} = require('./assetPackages');
+const { FOLDER_CONTENT_TYPES, buildFolderTree, checkFolderName, checkFolderMove } = require('./folderTree');
+const { GLOBAL_SEARCH_TYPES, rankGlobalResults } = require('./globalSearch');
+const { parseListParams, pageRows, SearchResultCache } = require('./searchResults');
+const { buildWorkbook, sheetFromObjects, XLSX_CONTENT_TYPE } = require('./xlsxWriter');
+const { buildSftpConnectOptions, testSftpConnection } = require('./sftpConnectionTest');
 
 const app = express();
+// Asset packages carry full definitions, DE definition files are uploaded whole and exports carry whole result tables;
+// every other route keeps the default body limit
+app.use('/api/packages', express.json({ limit: '10mb' }));
+app.use('/de/definitions', express.json({ limit: '10mb' }));
+app.use('/api/export', express.json({ limit: '25mb' }));
 app.use(express.json());
 app.use(cors({ origin: true, credentials: true }));
 
@@ -95,6 +125,16 @@ app.use(session({
 
 const PORT = process.env.PORT || 3001;
 
+// Local Marketing Cloud emulator (offline development and demos)
+if (process.env.MC_EMULATOR === 'true') {
+  const { createEmulatorApp } = require('./mcEmulator');
+  app.use('/mc-emulator', createEmulatorApp());
+  if (!process.env.MC_EMULATOR_URL) {
+    process.env.MC_EMULATOR_URL = `http://localhost:${PORT}/mc-emulator`;
+  }
+  console.log(`🧪 [MC Emulator] Mounted at /mc-emulator, Marketing Cloud calls go to ${process.env.MC_EMULATOR_URL}`);
+}
+
 // Middleware to check for MC credentials in session
 function requireMCCreds(req, res, next) {
   if (req.session.mcCreds && req.session.mcCreds.subdomain && req.session.mcCreds.clientId && req.session.mcCreds.clientSecret) {
@@ -118,7 +158,7 @@ app.get('/auth/login', (req, res) => {
     return res.redirect('/setup');
   }
   const redirectUri = 'https://mc-explorer.onrender.com/auth/callback';
-  const loginUrl = `https://${creds.subdomain}.auth.marketingcloudapis.com/v2/authorize?client_id=${creds.clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=code`;
+  const loginUrl = `${getAuthBaseUrl(creds.subdomain)}/v2/authorize?client_id=${creds.clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=code`;
   res.redirect(loginUrl);
 });
 
@@ -131,7 +171,7 @@ app.post('/auth/callback', async (req, res) => {
   }
   try {
     const tokenResponse = await axios.post(
-      `https://${creds.subdomain}.auth.marketingcloudapis.com/v2/token`,
+      `${getAuthBaseUrl(creds.subdomain)}/v2/token`,
       new URLSearchParams({
         grant_type: 'authorization_code',
         code,
@@ -144,6 +184,7 @@ app.post('/auth/callback', async (req, res) => {
     const accessToken = tokenResponse.data.access_token;
     const refreshToken = tokenResponse.data.refresh_token;
     req.session.accessToken = accessToken;
+    req.session.refreshToken = refreshToken; // Needed to re-scope the token when switching business units
     res.json({ success: true, accessToken, refreshToken, subdomain: creds.subdomain });
   } catch (err) {
     console.error('❌ OAuth callback error:', err.response?.data || err.message);
@@ -178,6 +219,63 @@ function getSubdomainFromRequest(req) {
   return null;
 }
 
+// Marketing Cloud user behind each access token (tokens are short-lived, so the cache stays small).
+// Keyed by "<subdomain>:<token>" and only successful /v2/userinfo lookups are cached.
+const userKeyCache = new Map();
+
+/**
+ * Key of the Marketing Cloud user an access token belongs to ("<subdomain>:<user id>"), from /v2/userinfo
+ * of that subdomain. Tokens that userinfo accepts but that carry no user (server-to-server packages) share "<subdomain>:app".
+ * @param {string} accessToken
+ * @param {string} subdomain
+ * @returns {Promise<string>}
+ * @throws {Error} - When userinfo fails; statusCode 401 if MC rejected the token, otherwise 503
+ */
+async function lookupUserKey(accessToken, subdomain) {
+  const cacheKey = `${subdomain}:${accessToken}`;
+  if (userKeyCache.has(cacheKey)) return userKeyCache.get(cacheKey);
+
+  let userId;
+  try {
+    const resp = await axios.get(`${getAuthBaseUrl(subdomain)}/v2/userinfo`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: 10000
+    });
+    userId = resp.data?.user?.sub || resp.data?.user?.email || 'app';
+  } catch (err) {
+    const status = err.response?.status;
+    console.warn('⚠️ [Auth] /v2/userinfo failed:', status || err.message);
+    const rejected = status === 401 || status === 403;
+    throw Object.assign(
+      new Error(rejected ? 'Marketing Cloud rejected the access token' : 'Could not identify the Marketing Cloud user, try again'),
+      { statusCode: rejected ? 401 : 503 }
+    );
+  }
+  const userKey = `${subdomain}:${userId}`;
+  if (userKeyCache.size > 500) userKeyCache.clear();
+  userKeyCache.set(cacheKey, userKey);
+  return userKey;
+}
+
+// MC rejected the access token: REST answers 401/403, SOAP a "Login failed" fault
+function isTokenRejected(error) {
+  const status = error?.response?.status;
+  if (status === 401 || status === 403) return true;
+  return typeof error?.response?.data === 'string' && /Login failed|Token Expired/i.test(error.response.data);
+}
+
+/**
+ * Key of the Marketing Cloud user making the request, see lookupUserKey.
+ * @returns {Promise<string|null>} - null without a token or subdomain
+ * @throws {Error} - When userinfo fails; statusCode 401 if MC rejected the token, otherwise 503
+ */
+async function getUserKeyFromRequest(req) {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) return null;
+  return lookupUserKey(accessToken, subdomain);
+}
+
 // Helper to get MC access token from session credentials
 async function getMCAccessToken(req) {
   const creds = req.session.mcCreds;
@@ -193,7 +291,7 @@ async function getMCAccessToken(req) {
   if (req.session.refreshToken) {
     console.log('🔄 [Auth] Refreshing access token using refresh token');
     try {
-      const url = `https://${creds.subdomain}.auth.marketingcloudapis.com/v2/token`;
+      const url = `${getAuthBaseUrl(creds.subdomain)}/v2/token`;
       const resp = await axios.post(url, {
         grant_type: 'refresh_token',
         refresh_token: req.session.refreshToken,
@@ -231,6 +329,7 @@ app.get('/has-credentials', (req, res) => {
 
 // Logout route to clear session
 app.post('/logout', (req, res) => {
+  businessUnitTokenStates.delete(req.sessionID);
   req.session.destroy(err => {
     if (err) return res.status(500).json({ success: false });
     res.clearCookie('connect.sid');
@@ -238,6 +337,211 @@ app.post('/logout', (req, res) => {
   });
 });
 
+// ==================== BUSINESS UNITS ====================
+
+/**
+ * List the business units of the enterprise the token belongs to.
+ * @param {string} subdomain - MC subdomain
+ * @param {string} accessToken - OAuth access token
+ * @returns {Promise<object[]>} - [{ id, name, parentId, customerKey, description, isActive }]
+ */
+async function fetchBusinessUnits(subdomain, accessToken) {
+  const rows = await retrieveAll(subdomain, accessToken, {
+    objectType: 'BusinessUnit',
+    properties: ['ID', 'Name', 'ParentID', 'CustomerKey', 'Description', 'IsActive'],
+    queryAllAccounts: true
+  });
+  return rows
+    .map(bu => ({
+      id: String(bu.ID),
+      name: bu.Name || `Business Unit ${bu.ID}`,
+      parentId: bu.ParentID && bu.ParentID !== '0' ? String(bu.ParentID) : null,
+      customerKey: bu.CustomerKey || '',
+      description: bu.Description || '',
+      isActive: bu.IsActive !== 'false'
+    }))
+    .sort((a, b) => (a.parentId ? 1 : 0) - (b.parentId ? 1 : 0) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Request a token scoped to another business unit. Uses the session's refresh token
+ * (web app packages) and falls back to client_credentials (server-to-server packages).
+ * @param {object} creds - Session mcCreds ({ subdomain, clientId, clientSecret })
+ * @param {string|null} refreshToken - Session refresh token
+ * @param {string|number} accountId - Target business unit MID
+ * @returns {Promise<object>} - Token response ({ access_token, refresh_token, ... })
+ */
+async function requestBusinessUnitToken(creds, refreshToken, accountId) {
+  const url = `${getAuthBaseUrl(creds.subdomain)}/v2/token`;
+  if (refreshToken) {
+    try {
+      const resp = await axios.post(url, {
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: creds.clientId,
+        client_secret: creds.clientSecret,
+        account_id: accountId
+      });
+      return resp.data;
+    } catch (refreshError) {
+      console.warn('⚠️ [Business Units] refresh_token grant failed, trying client_credentials:', refreshError.response?.data || refreshError.message);
+    }
+  }
+  const resp = await axios.post(url, {
+    grant_type: 'client_credentials',
+    client_id: creds.clientId,
+    client_secret: creds.clientSecret,
+    account_id: accountId
+  });
+  return resp.data;
+}
+
+// Per-session token state for business-unit-scoped tokens. Refresh tokens are single-use,
+// so grants for one session are chained through `queue` and always use the newest refresh token.
+// The newest refresh token is also copied to req.session, so a state unused for BUSINESS_UNIT_STATE_IDLE_MS
+// is dropped (expired sessions' states included) and rebuilt from the session on its next use.
+const businessUnitTokenStates = new Map(); // sessionID → { refreshToken, tokens: { [mid]: { accessToken, expiresAt } }, queue, lastUsedAt }
+const BUSINESS_UNIT_STATE_IDLE_MS = 30 * 60 * 1000;
+const CROSS_BU_CONCURRENCY = 3;
+
+/**
+ * Access token scoped to a business unit, reusing an unexpired one from earlier calls.
+ * @param {object} req - Express request (session must hold mcCreds)
+ * @param {string|number} accountId - Business unit MID
+ * @returns {Promise<string>}
+ */
+async function getBusinessUnitToken(req, accountId) {
+  const creds = req.session?.mcCreds;
+  if (!creds || !creds.subdomain || !creds.clientId || !creds.clientSecret) {
+    throw new Error('Business unit tokens need saved credentials');
+  }
+  for (const [sessionId, entry] of businessUnitTokenStates) {
+    if (entry.lastUsedAt + BUSINESS_UNIT_STATE_IDLE_MS <= Date.now()) businessUnitTokenStates.delete(sessionId);
+  }
+  if (!businessUnitTokenStates.has(req.sessionID)) {
+    businessUnitTokenStates.set(req.sessionID, { refreshToken: req.session.refreshToken || null, tokens: {}, queue: Promise.resolve() });
+  }
+  const state = businessUnitTokenStates.get(req.sessionID);
+  state.lastUsedAt = Date.now();
+  const cached = () => {
+    const entry = state.tokens[String(accountId)];
+    return entry && entry.expiresAt > Date.now() + 60000 ? entry.accessToken : null;
+  };
+  if (cached()) return cached();
+
+  const run = state.queue.then(async () => {
+    if (cached()) return cached();
+    const token = await requestBusinessUnitToken(creds, state.refreshToken, accountId);
+    if (token.refresh_token) state.refreshToken = token.refresh_token;
+    state.tokens[String(accountId)] = {
+      accessToken: token.access_token,
+      expiresAt: Date.now() + (parseInt(token.expires_in, 10) || 1080) * 1000
+    };
+    return token.access_token;
+  });
+  state.queue = run.catch(() => {});
+  const accessToken = await run;
+  req.session.refreshToken = state.refreshToken;
+  return accessToken;
+}
+
+/**
+ * Parse a ?businessUnits=<mid>,<mid> value.
+ * @param {string} [value]
+ * @returns {string[]|null} - MIDs, or null when not searching across business units
+ */
+function parseBusinessUnitIds(value) {
+  if (!value) return null;
+  const ids = [...new Set(String(value).split(',').map(id => id.trim()).filter(id => /^\d+$/.test(id)))];
+  return ids.length > 0 ? ids : null;
+}
+
+/**
+ * @returns {Promise<object>} - { [mid]: business unit name }
+ */
+async function getBusinessUnitNames(subdomain, accessToken) {
+  try {
+    const businessUnits = await fetchBusinessUnits(subdomain, accessToken);
+    return Object.fromEntries(businessUnits.map(bu => [bu.id, bu.name]));
+  } catch (error) {
+    console.warn('⚠️ [Business Units] Could not resolve business unit names:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Run a single-business-unit search once per business unit, each with a token scoped to
+ * that unit, and tag every row with businessUnitId / businessUnitName. Units that fail are
+ * logged and skipped; the call only fails when every unit does.
+ * @param {object} req - Express request (for session credentials)
+ * @param {string} subdomain
+ * @param {string} accessToken - Current token, used to look up business unit names
+ * @param {string[]} accountIds - MIDs to search
+ * @param {function} search - async (scopedToken) => rows
+ * @returns {Promise<object[]>}
+ */
+async function searchAcrossBusinessUnits(req, subdomain, accessToken, accountIds, search) {
+  const names = await getBusinessUnitNames(subdomain, accessToken);
+  const failures = [];
+  const perUnit = await mapWithConcurrency(accountIds, CROSS_BU_CONCURRENCY, async accountId => {
+    try {
+      const rows = await search(await getBusinessUnitToken(req, accountId));
+      return rows.map(row => ({ ...row, businessUnitId: accountId, businessUnitName: names[accountId] || accountId }));
+    } catch (error) {
+      console.warn(`⚠️ [Cross-BU Search] Business unit ${accountId} failed:`, error.response?.data || error.message);
+      failures.push(accountId);
+      return [];
+    }
+  });
+  if (failures.length === accountIds.length) {
+    throw new Error(`Search failed in every business unit (${failures.join(', ')})`);
+  }
+  console.log(`✅ [Cross-BU Search] Searched ${accountIds.length - failures.length}/${accountIds.length} business units`);
+  return perUnit.flat();
+}
+
+// List the enterprise's business units (also used by the client as a session check)
+app.get('/business-units', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  try {
+    const businessUnits = await fetchBusinessUnits(subdomain, accessToken);
+    console.log(`✅ [Business Units] Found ${businessUnits.length} business units`);
+    res.json({ currentAccountId: req.session?.mcCreds?.accountId || null, businessUnits });
+  } catch (error) {
+    console.error('❌ [Business Units] Failed to retrieve business units:', error.response?.data || error.message);
+    res.status(500).json({ error: 'Failed to retrieve business units' });
+  }
+});
+
+// Re-scope the session token to another business unit ({ accountId })
+app.post('/business-units/switch', async (req, res) => {
+  const creds = req.session?.mcCreds;
+  const accountId = req.body?.accountId;
+  if (!creds || !creds.subdomain || !creds.clientId || !creds.clientSecret) {
+    return res.status(401).json({ success: false, error: 'Missing credentials' });
+  }
+  if (!accountId || !/^\d+$/.test(String(accountId))) {
+    return res.status(400).json({ success: false, error: 'accountId must be a business unit MID' });
+  }
+  try {
+    const accessToken = await getBusinessUnitToken(req, accountId);
+    req.session.accessToken = accessToken;
+    req.session.mcCreds = { ...creds, accountId: String(accountId) };
+    console.log(`✅ [Business Units] Session switched to business unit ${accountId}`);
+    res.json({ success: true, accessToken, accountId: String(accountId), subdomain: creds.subdomain });
+  } catch (error) {
+    console.error('❌ [Business Units] Failed to switch business unit:', error.response?.data || error.message);
+    res.status(error.response?.status === 401 ? 403 : 500).json({
+      success: false,
+      error: error.response?.data?.error_description || 'Failed to get a token for that business unit'
+    });
+  }
+});
+
 // Example: protect dashboard route
 // app.get('/dashboard', requireMCCreds, (req, res) => {
 //   // ...serve dashboard or API logic
@@ -263,104 +567,383 @@ function buildFolderPath(folderId, folderMap) {
   return '/' + path.join(' / ');
 }
 
+// Helper to read every page of a paged REST collection ($page/$pageSize + items/count)
+async function fetchAllRestItems(url, accessToken, pageSize = 500) {
+  const items = [];
+  const separator = url.includes('?') ? '&' : '?';
+  for (let page = 1; ; page++) {
+    const resp = await axios.get(`${url}${separator}$page=${page}&$pageSize=${pageSize}`, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    const pageItems = resp.data?.items || [];
+    items.push(...pageItems);
+    const total = resp.data?.count;
+    if (pageItems.length < pageSize || (typeof total === 'number' && items.length >= total)) break;
+  }
+  return items;
+}
+
+/**
+ * Data Extension search rows for the Search Assets table.
+ * @param {string} subdomain
+ * @param {string} accessToken
+ * @param {object} [options]
+ * @param {string[]} [options.accountIds] - Search these business units with QueryAllAccounts;
+ *   rows get a businessUnitId (the owning MID)
+ * @returns {Promise<object[]>}
+ */
+async function searchDataExtensions(subdomain, accessToken, options = {}) {
+  const accountIds = options.accountIds || null;
+  const folderMap = await retrieveFolderMap(subdomain, accessToken, undefined, { queryAllAccounts: !!accountIds });
+  // Fetch every DE via SOAP, following ContinueRequest for large BUs
+  const results = await retrieveAll(subdomain, accessToken, {
+    objectType: 'DataExtension',
+    properties: ['Name', 'CustomerKey', 'CreatedDate', 'ModifiedDate', 'CategoryID', 'ObjectID', 'IsSendable', ...(accountIds ? ['Client.ID'] : [])],
+    queryAllAccounts: !!accountIds
+  });
+  // Only return basic DE info, no REST call for createdByName
+  return results
+    .filter(de => !accountIds || accountIds.includes(String(de.Client?.ID)))
+    .map(de => ({
+      name: de.Name || 'N/A',
+      key: de.CustomerKey || 'N/A',
+      createdDate: de.CreatedDate || 'N/A',
+      modifiedDate: de.ModifiedDate || null,
+      isSendable: String(de.IsSendable).toLowerCase() === 'true',
+      categoryId: de.CategoryID || '',
+      objectId: de.ObjectID || '',
+      id: de.ID || de.ObjectID || '', // fallback to ObjectID if ID is missing
+      path: buildFolderPath(de.CategoryID, folderMap),
+      ...(accountIds ? { businessUnitId: String(de.Client?.ID) } : {})
+    }));
+}
+
+/**
+ * Automation search rows (REST, scoped to the token's business unit).
+ */
+async function searchAutomations(subdomain, accessToken) {
+  const folderMap = await retrieveFolderMap(subdomain, accessToken);
+  // Fetch Automations via REST
+  const automations = await fetchAllRestItems(
+    `${getRestBaseUrl(subdomain)}/automation/v1/automations`,
+    accessToken
+  );
+  if (automations.length > 0) console.log('🔎 Raw Automation:', JSON.stringify(automations[0], null, 2));
+  return automations.map(a => ({
+    id: a.id,
+    name: a.name || 'N/A',
+    key: a.key || a.customerKey || 'N/A',
+    status: a.status || a.statusId || 'N/A',
+    createdDate: a.createdDate || null,
+    modifiedDate: a.modifiedDate || null,
+    path: buildFolderPath(a.categoryId, folderMap)
+  }));
+}
+
+// ==================== SAVED SEARCHES ====================
+
+const savedSearches = new SavedSearchStore();
+
+// User key for a request, or null after answering 401/503 when the user can't be identified
+async function requireUserKey(req, res) {
+  try {
+    const userKey = await getUserKeyFromRequest(req);
+    if (!userKey) res.status(401).json({ error: 'Missing access token or subdomain' });
+    return userKey;
+  } catch (err) {
+    res.status(err.statusCode || 503).json({ error: err.message });
+    return null;
+  }
+}
+
+// Saved Search Assets queries of the current user
+app.get('/api/saved-searches', async (req, res) => {
+  const userKey = await requireUserKey(req, res);
+  if (!userKey) return;
+  res.json(savedSearches.list(userKey));
+});
+
+// Save (or overwrite by name) a search. Body: { name, query, tab? }
+app.post('/api/saved-searches', async (req, res) => {
+  const userKey = await requireUserKey(req, res);
+  if (!userKey) return;
+  try {
+    const saved = savedSearches.save(userKey, req.body || {});
+    console.log(`✅ [Saved Searches] Saved "${saved.name}" for ${userKey}`);
+    res.status(201).json(saved);
+  } catch (err) {
+    if (err.statusCode === 400) return res.status(400).json({ error: err.message });
+    console.error('❌ [Saved Searches] Save failed:', err.message);
+    res.status(500).json({ error: 'Failed to save the search', details: err.message });
+  }
+});
+
+app.delete('/api/saved-searches/:id', async (req, res) => {
+  const userKey = await requireUserKey(req, res);
+  if (!userKey) return;
+  try {
+    if (!savedSearches.remove(userKey, req.params.id)) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ [Saved Searches] Delete failed:', err.message);
+    res.status(500).json({ error: 'Failed to delete the search', details: err.message });
+  }
+});
+
+// ==================== GLOBAL SEARCH ====================
+
+// Assets of each global search type as { id, name, key, path, description?, status?, createdDate?, modifiedDate? }
+// (the dates are not searched; the inventory export lists them)
+const GLOBAL_SEARCH_SOURCES = {
+  dataextension: async (subdomain, accessToken) => (await searchDataExtensions(subdomain, accessToken))
+    .map(de => ({ id: de.objectId, name: de.name, key: de.key, path: de.path, isSendable: de.isSendable, createdDate: de.createdDate, modifiedDate: de.modifiedDate })),
+  automation: async (subdomain, accessToken) => (await searchAutomations(subdomain, accessToken))
+    .map(automation => ({ id: automation.id, name: automation.name, key: automation.key, path: automation.path, status: automation.status, createdDate: automation.createdDate, modifiedDate: automation.modifiedDate })),
+  datafilter: async (subdomain, accessToken, folderMap) => (await retrieveAll(subdomain, accessToken, {
+    objectType: 'FilterDefinition',
+    properties: ['Name', 'CustomerKey', 'Description', 'CategoryID'],
+    filter: { property: 'Name', operator: 'isNotNull' }
+  })).map(filter => ({ id: filter.CustomerKey, name: filter.Name, key: filter.CustomerKey, path: buildFolderPath(filter.CategoryID, folderMap), description: filter.Description || '' })),
+  // Journey rows without activities; the Search Assets tab loads those
+  journey: async (subdomain, accessToken, folderMap) => (await fetchAllRestItems(`${getRestBaseUrl(subdomain)}/interaction/v1/interactions`, accessToken))
+    .map(journey => ({ id: journey.id, name: journey.name, key: journey.key, path: buildFolderPath(journey.categoryId, folderMap), status: journey.status || null, version: journey.version ?? null, createdDate: journey.createdDate || null, modifiedDate: journey.modifiedDate || null })),
+  emailsenddefinition: async (subdomain, accessToken, folderMap) => (await retrieveAll(subdomain, accessToken, {
+    objectType: 'EmailSendDefinition',
+    properties: ['Name', 'CustomerKey', 'CategoryID', 'Description']
+  })).map(esd => ({ id: esd.CustomerKey, name: esd.Name, key: esd.CustomerKey, path: buildFolderPath(esd.CategoryID, folderMap), description: esd.Description || '' })),
+  publication: async (subdomain, accessToken) => (await retrieveAll(subdomain, accessToken, {
+    objectType: 'Publication',
+    properties: ['ID', 'Name', 'Category']
+  })).map(pub => ({ id: String(pub.ID), name: pub.Name, key: null, path: '' })),
+  // Classic emails (SOAP) and Content Builder emails (REST asset types 207-209)
+  email: async (subdomain, accessToken, folderMap) => {
+    const [classic, contentBuilder] = await Promise.all([
+      retrieveAll(subdomain, accessToken, { objectType: 'Email', properties: ['ID', 'Name', 'CustomerKey', 'CategoryID', 'Subject'] }),
+      fetchAllRestItems(`${getRestBaseUrl(subdomain)}/asset/v1/content/assets?$filter=assetType.id in (207,208,209)`, accessToken, 250)
+    ]);
+    return [
+      ...classic.map(email => ({ id: String(email.ID), name: email.Name, key: email.CustomerKey || null, path: buildFolderPath(email.CategoryID, folderMap), description: email.Subject || '' })),
+      ...contentBuilder.map(asset => ({ id: String(asset.id), name: asset.name, key: asset.customerKey || null, path: asset.category?.name ? `/${asset.category.name}` : '', description: asset.views?.subjectline?.content || '' }))
+    ];
+  },
+  senderprofile: async (subdomain, accessToken) => (await retrieveAll(subdomain, accessToken, {
+    objectType: 'SenderProfile',
+    properties: ['CustomerKey', 'Name', 'Description']
+  })).map(profile => ({ id: profile.CustomerKey, name: profile.Name, key: profile.CustomerKey, path: '', description: profile.Description || '' })),
+  triggeredsend: async (subdomain, accessToken, folderMap) => (await retrieveAll(subdomain, accessToken, {
+    objectType: 'TriggeredSendDefinition',
+    properties: ['ObjectID', 'Name', 'CustomerKey', 'CategoryID', 'Description', 'TriggeredSendStatus']
+  })).map(ts => ({ id: ts.ObjectID || ts.CustomerKey, name: ts.Name, key: ts.CustomerKey, path: buildFolderPath(ts.CategoryID, folderMap), description: ts.Description || '', status: ts.TriggeredSendStatus || null }))
+};
+
+/**
+ * Every asset the global search covers, fetched in parallel. A failing type is reported in errors
+ * and leaves the other types searchable.
+ * @returns {Promise<{ assets: object[], errors: object[], builtAt: string }>}
+ */
+async function buildGlobalSearchIndex(subdomain, accessToken) {
+  const folderMap = await retrieveFolderMap(subdomain, accessToken);
+  const types = Object.keys(GLOBAL_SEARCH_SOURCES);
+  const settled = await Promise.allSettled(types.map(type => GLOBAL_SEARCH_SOURCES[type](subdomain, accessToken, folderMap)));
+  const assets = [];
+  const errors = [];
+  settled.forEach((outcome, index) => {
+    const type = types[index];
+    if (outcome.status === 'fulfilled') {
+      outcome.value.forEach(asset => assets.push({ type, ...asset, name: asset.name || 'N/A' }));
+    } else {
+      console.warn(`⚠️ [Global Search] ${GLOBAL_SEARCH_TYPES[type]} lookup failed:`, outcome.reason?.message);
+      errors.push({ type, error: outcome.reason?.message || 'Lookup failed' });
+    }
+  });
+  console.log(`✅ [Global Search] Indexed ${assets.length} assets (${errors.length} type(s) failed)`);
+  return { assets, errors, builtAt: new Date().toISOString() };
+}
+
+// The palette searches on every keystroke, so the session's index is kept in the /search/* row cache,
+// which expires it, bounds it by size and drops it when a route changes assets
+function getGlobalSearchIndex(req, refresh) {
+  const subdomain = getSubdomainFromRequest(req);
+  const accessToken = getAccessTokenFromRequest(req);
+  return searchResultCache.get(searchSessionKey(req), 'global-index', () => buildGlobalSearchIndex(subdomain, accessToken), {
+    refresh,
+    size: index => index.assets.length
+  });
+}
+
+// Search every asset type at once, best matches first
+// Query: q, limit? (default 50), types? (comma-separated GLOBAL_SEARCH_TYPES keys), refresh=true to rebuild the index
+app.get('/api/search/global', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const query = String(req.query.q || '').trim();
+  const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean) : [];
+  const unknownTypes = types.filter(type => !GLOBAL_SEARCH_TYPES[type]);
+  if (unknownTypes.length > 0) {
+    return res.status(400).json({ error: `Unknown type(s): ${unknownTypes.join(', ')}. Use: ${Object.keys(GLOBAL_SEARCH_TYPES).join(', ')}` });
+  }
+  try {
+    const index = await getGlobalSearchIndex(req, req.query.refresh === 'true');
+    const ranked = query
+      ? rankGlobalResults(index.assets, query, { limit: req.query.limit, types })
+      : { results: [], total: 0, counts: {} };
+    res.json({ query, ...ranked, errors: index.errors, indexedAt: index.builtAt });
+  } catch (err) {
+    console.error('❌ [Global Search] Search failed:', err.message);
+    res.status(500).json({ error: 'Failed to search assets', details: err.message });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+// Inventory sheet columns in order; each type's sheet only gets the columns its assets have values for
+const INVENTORY_COLUMNS = [
+  ['name', 'Name'], ['key', 'Key'], ['id', 'ID'], ['path', 'Folder'], ['status', 'Status'], ['version', 'Version'],
+  ['isSendable', 'Sendable'], ['description', 'Description'], ['createdDate', 'Created'], ['modifiedDate', 'Modified']
+];
+const MAX_EXPORT_SHEETS = 50;
+
+const exportFilename = (name, extension) => `${String(name).replace(/\.[a-z]+$/i, '').replace(/[^\w.-]+/g, '_') || 'export'}.${extension}`;
+const exportTimestamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+
+async function sendWorkbook(res, sheets, filename) {
+  const workbook = await buildWorkbook(sheets);
+  res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+  res.send(workbook);
+}
+
+// Write result tables the client already has as an Excel workbook, one sheet per table
+// Body: { filename?, sheets: [{ name, headers: string[], rows: any[][] }] }
+app.post('/api/export/xlsx', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const sheets = req.body?.sheets;
+  if (!Array.isArray(sheets) || sheets.length === 0 || sheets.length > MAX_EXPORT_SHEETS) {
+    return res.status(400).json({ error: `Provide between 1 and ${MAX_EXPORT_SHEETS} sheets` });
+  }
+  const malformed = sheets.findIndex(sheet =>
+    !Array.isArray(sheet?.headers) || !Array.isArray(sheet.rows) || !sheet.rows.every(Array.isArray));
+  if (malformed !== -1) {
+    return res.status(400).json({ error: `Sheet ${malformed + 1} needs headers and rows arrays` });
+  }
+  try {
+    const filename = exportFilename(req.body.filename || 'export', 'xlsx');
+    await sendWorkbook(res, sheets, filename);
+    console.log(`✅ [Export] Wrote ${filename} (${sheets.map(sheet => `${sheet.name}: ${sheet.rows.length}`).join(', ')})`);
+  } catch (err) {
+    console.error('❌ [Export] Workbook failed:', err.message);
+    res.status(500).json({ error: 'Failed to build the workbook', details: err.message });
+  }
+});
+
+// Every asset of the global search types: an Excel workbook (a Summary sheet, then one sheet per type) or JSON
+// Query: format=xlsx (default) | json, refresh=true to re-read the assets instead of reusing the global search index
+app.get('/api/export/inventory', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const format = String(req.query.format || 'xlsx').toLowerCase();
+  if (format !== 'xlsx' && format !== 'json') {
+    return res.status(400).json({ error: `Unsupported format "${format}"`, formats: ['xlsx', 'json'] });
+  }
+  try {
+    const index = await getGlobalSearchIndex(req, req.query.refresh === 'true');
+    const byType = Object.fromEntries(Object.keys(GLOBAL_SEARCH_TYPES).map(type => [type, []]));
+    index.assets.forEach(({ type, ...asset }) => byType[type].push(asset));
+    Object.values(byType).forEach(assets => assets.sort((a, b) => String(a.name).localeCompare(String(b.name))));
+    const errors = Object.fromEntries(index.errors.map(({ type, error }) => [type, error]));
+    const basename = `mc_inventory_${subdomain}_${exportTimestamp()}`;
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(basename, 'json')}"`);
+      res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+      res.json({
+        subdomain,
+        indexedAt: index.builtAt,
+        counts: Object.fromEntries(Object.entries(byType).map(([type, assets]) => [type, assets.length])),
+        errors: index.errors,
+        assets: byType
+      });
+    } else {
+      const summary = {
+        name: 'Summary',
+        headers: ['Asset Type', 'Assets', 'Note'],
+        rows: [
+          ...Object.entries(byType).map(([type, assets]) => [GLOBAL_SEARCH_TYPES[type], assets.length, errors[type] ? `Not exported: ${errors[type]}` : '']),
+          ['Indexed at', index.builtAt, subdomain]
+        ]
+      };
+      const typeSheets = Object.entries(byType)
+        .filter(([type]) => !errors[type])
+        .map(([type, assets]) => sheetFromObjects(GLOBAL_SEARCH_TYPES[type], assets, INVENTORY_COLUMNS));
+      await sendWorkbook(res, [summary, ...typeSheets], exportFilename(basename, 'xlsx'));
+    }
+    console.log(`✅ [Export] Inventory of ${index.assets.length} assets as ${format} (${index.errors.length} type(s) failed)`);
+  } catch (err) {
+    console.error('❌ [Export] Inventory failed:', err.message);
+    res.status(500).json({ error: 'Failed to export the inventory', details: err.message });
+  }
+});
+
+// ==================== SEARCH ROUTE PAGING ====================
+
+// SOAP and REST rows behind the /search/* routes, per session (subdomain + access token)
+const searchResultCache = new SearchResultCache();
+
+/**
+ * Answer a /search/* request: every row by default, or one filtered, sorted page when the request has
+ * page or pageSize (query, sort, direction, page, pageSize; see parseListParams). ?refresh=true reloads the rows.
+ * Load errors propagate to the route.
+ * @param {string} name - Cache name of the search, including parameters that change its rows
+ * @param {Function} load - async () => rows
+ */
+async function sendSearchRows(req, res, name, load) {
+  let params;
+  try {
+    params = parseListParams(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const rows = await searchResultCache.get(searchSessionKey(req), name, load, { refresh: req.query.refresh === 'true' });
+  res.json(params ? pageRows(rows, params) : rows);
+}
+
+const searchSessionKey = req => `${getSubdomainFromRequest(req)}:${getAccessTokenFromRequest(req)}`;
+
+// Drop the session's cached /search/* rows after a route changed assets, so the next search sees the change
+function clearSearchResults(req) {
+  searchResultCache.clear(searchSessionKey(req));
+}
+
 // Data Extension Search (SOAP + REST for createdByName)
+// ?businessUnits=<mid>,<mid> searches those business units instead of the token's own
 app.get('/search/de', async (req, res) => {
   const accessToken = getAccessTokenFromRequest(req);
   const subdomain = getSubdomainFromRequest(req);
   if (!accessToken || !subdomain) {
     return res.status(401).json([]);
   }
+  const accountIds = parseBusinessUnitIds(req.query.businessUnits);
   try {
-    // Fetch all folders first (SOAP, as before)
-    const folderEnvelope = `
-      <s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
-        <s:Header><fueloauth>${accessToken}</fueloauth></s:Header>
-        <s:Body>
-          <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-            <RetrieveRequest>
-              <ObjectType>DataFolder</ObjectType>
-              <Properties>ID</Properties>
-              <Properties>Name</Properties>
-              <Properties>ParentFolder.ID</Properties>
-              <Properties>ContentType</Properties>
-              <Filter xsi:type="SimpleFilterPart">
-                <Property>IsActive</Property>
-                <SimpleOperator>equals</SimpleOperator>
-                <Value>true</Value>
-              </Filter>
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </s:Body>
-      </s:Envelope>`;
-    const folderResp = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-      folderEnvelope,
-      { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
-    );
-    const folderParser = new xml2js.Parser({ explicitArray: false });
-    let folderMap = {};
-    await folderParser.parseStringPromise(folderResp.data).then(result => {
-      const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-      const folders = Array.isArray(results) ? results : [results];
-      folders.forEach(f => {
-        if (f && f.ID) folderMap[String(f.ID)] = f;
-      });
-    });
-    // Fetch DEs via SOAP
-    const soapEnvelope = `
-      <s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/">
-        <s:Header>
-          <fueloauth>${accessToken}</fueloauth>
-        </s:Header>
-        <s:Body>
-          <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-            <RetrieveRequest>
-              <ObjectType>DataExtension</ObjectType>
-              <Properties>Name</Properties>
-              <Properties>CustomerKey</Properties>
-              <Properties>CreatedDate</Properties>
-              <Properties>CategoryID</Properties>
-              <Properties>ObjectID</Properties>
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </s:Body>
-      </s:Envelope>
-    `;
-    const response = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-      soapEnvelope,
-      {
-        headers: {
-          'Content-Type': 'text/xml',
-          SOAPAction: 'Retrieve',
-        },
-      }
-    );
-    const parser = new xml2js.Parser({ explicitArray: false });
-    parser.parseString(response.data, (err, result) => {
-      if (err) {
-        console.error('❌ XML Parse Error:', err);
-        return res.status(500).json({ error: 'Failed to parse XML' });
-      }
-      try {
-        const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-        if (!results) return res.status(200).json([]);
-        const resultArray = Array.isArray(results) ? results : [results];
-        // Only return basic DE info, no REST call for createdByName
-        const deList = resultArray.map(de => ({
-          name: de.Name || 'N/A',
-          key: de.CustomerKey || 'N/A',
-          createdDate: de.CreatedDate || 'N/A',
-          categoryId: de.CategoryID || '',
-          objectId: de.ObjectID || '',
-          id: de.ID || de.ObjectID || '', // fallback to ObjectID if ID is missing
-          path: buildFolderPath(de.CategoryID, folderMap)
-        }));
-        res.json(deList);
-      } catch (e) {
-        console.error('❌ DE structure error:', e);
-        res.status(500).json({ error: 'Unexpected DE format' });
-      }
+    await sendSearchRows(req, res, `de:${accountIds ? accountIds.join(',') : ''}`, async () => {
+      if (!accountIds) return searchDataExtensions(subdomain, accessToken);
+      const [deList, names] = await Promise.all([
+        searchDataExtensions(subdomain, accessToken, { accountIds }),
+        getBusinessUnitNames(subdomain, accessToken)
+      ]);
+      return deList.map(de => ({ ...de, businessUnitName: names[de.businessUnitId] || de.businessUnitId }));
     });
   } catch (err) {
     console.error('❌ DE fetch failed:', err.response?.data || err);
@@ -369,67 +952,18 @@ app.get('/search/de', async (req, res) => {
 });
 
 // Automation Search (REST, revert to previous working version)
+// ?businessUnits=<mid>,<mid> fans out with a token per business unit
 app.get('/search/automation', async (req, res) => {
   const accessToken = getAccessTokenFromRequest(req);
   const subdomain = getSubdomainFromRequest(req);
   if (!accessToken || !subdomain) {
     return res.status(401).json([]);
   }
+  const accountIds = parseBusinessUnitIds(req.query.businessUnits);
   try {
-    // Fetch all folders first (SOAP, as before)
-    const folderEnvelope = `
-      <s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
-        <s:Header><fueloauth>${accessToken}</fueloauth></s:Header>
-        <s:Body>
-          <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-            <RetrieveRequest>
-              <ObjectType>DataFolder</ObjectType>
-              <Properties>ID</Properties>
-              <Properties>Name</Properties>
-              <Properties>ParentFolder.ID</Properties>
-              <Properties>ContentType</Properties>
-              <Filter xsi:type="SimpleFilterPart">
-                <Property>IsActive</Property>
-                <SimpleOperator>equals</SimpleOperator>
-                <Value>true</Value>
-              </Filter>
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </s:Body>
-      </s:Envelope>`;
-    const folderResp = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-      folderEnvelope,
-      { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
-    );
-    const folderParser = new xml2js.Parser({ explicitArray: false });
-    let folderMap = {};
-    await folderParser.parseStringPromise(folderResp.data).then(result => {
-      const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-      const folders = Array.isArray(results) ? results : [results];
-      folders.forEach(f => {
-        if (f && f.ID) folderMap[String(f.ID)] = f;
-      });
-    });
-    // Fetch Automations via REST
-    const response = await axios.get(
-      `https://${subdomain}.rest.marketingcloudapis.com/automation/v1/automations`,
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-        },
-      }
-    );
-    const automations = response.data.items || [];
-    if (automations.length > 0) console.log('🔎 Raw Automation:', JSON.stringify(automations[0], null, 2));
-    const simplified = automations.map(a => ({
-      id: a.id,
-      name: a.name || 'N/A',
-      key: a.key || a.customerKey || 'N/A',
-      status: a.status || a.statusId || 'N/A',
-      path: buildFolderPath(a.categoryId, folderMap)
-    }));
-    res.json(simplified);
+    await sendSearchRows(req, res, `automation:${accountIds ? accountIds.join(',') : ''}`, () => (accountIds
+      ? searchAcrossBusinessUnits(req, subdomain, accessToken, accountIds, token => searchAutomations(subdomain, token))
+      : searchAutomations(subdomain, accessToken)));
   } catch (err) {
     console.error('❌ Automation REST error:', err.response?.data || err);
     res.status(500).json({ error: 'Failed to fetch Automations via REST' });
@@ -446,7 +980,7 @@ app.get('/automation/details', async (req, res) => {
   }
   try {
     const restResp = await axios.get(
-      `https://${subdomain}.rest.marketingcloudapis.com/automation/v1/automations/${programId}`,
+      `${getRestBaseUrl(subdomain)}/automation/v1/automations/${programId}`,
       { headers: { Authorization: `Bearer ${accessToken}` } }
     );
     const item = restResp.data;
@@ -462,6 +996,110 @@ app.get('/automation/details', async (req, res) => {
   }
 });
 
+// Window for the failed-automations dashboard
+const DEFAULT_FAILURE_WINDOW_DAYS = 7;
+const MAX_FAILURE_WINDOW_DAYS = 365;
+
+async function fetchAutomationDefinition(subdomain, accessToken, programId) {
+  const resp = await axios.get(
+    `${getRestBaseUrl(subdomain)}/automation/v1/automations/${encodeURIComponent(programId)}`,
+    { headers: { Authorization: `Bearer ${accessToken}` } }
+  );
+  return resp.data;
+}
+
+// Run history of one automation from AutomationInstance / AutomationActivityInstance
+// Query: programId, limit (most recent runs, default 25), days (optional window)
+app.get('/automation/runs', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  const programId = req.query.programId;
+  if (!accessToken || !subdomain || !programId) {
+    return res.status(400).json({ error: 'Missing required parameters' });
+  }
+  let automation;
+  try {
+    automation = await fetchAutomationDefinition(subdomain, accessToken, programId);
+  } catch (e) {
+    if (e.response?.status === 404) return res.status(404).json({ error: `Automation ${programId} not found` });
+    console.error('❌ [Automation Runs] Failed to fetch automation:', e?.response?.data || e.message);
+    return res.status(500).json({ error: 'Failed to fetch automation', details: e?.message || e });
+  }
+  try {
+    const days = parseInt(req.query.days, 10);
+    const since = days > 0 ? new Date(Date.now() - days * 86400000).toISOString() : undefined;
+    const runs = await fetchAutomationRunHistory(subdomain, accessToken, automation, { limit: req.query.limit, since });
+    const durations = runs.map(run => run.durationMs).filter(ms => ms !== null);
+    res.json({
+      automation: {
+        id: automation.id,
+        name: automation.name,
+        key: automation.key || automation.customerKey || null,
+        status: automation.status || automation.statusId || null
+      },
+      runs,
+      summary: {
+        total: runs.length,
+        failed: runs.filter(run => run.failed).length,
+        averageDurationMs: durations.length ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length) : null,
+        lastRun: runs[0]?.startTime || null
+      }
+    });
+  } catch (e) {
+    console.error('❌ [Automation Runs] Failed to fetch run history:', e?.response?.data || e.message);
+    res.status(500).json({ error: 'Failed to fetch automation run history', details: e?.message || e });
+  }
+});
+
+// Org-wide dashboard: automations with failed runs in the last N days
+// Query: days (default 7, max 365)
+app.get('/automation/failures', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || DEFAULT_FAILURE_WINDOW_DAYS, 1), MAX_FAILURE_WINDOW_DAYS);
+  const since = new Date(Date.now() - days * 86400000).toISOString();
+  try {
+    // Definitions only add step numbers; an automation that can't be read keeps its failed runs
+    const loadDefinitions = async (programIds) => {
+      const definitions = await mapWithConcurrency(programIds, 4, id =>
+        fetchAutomationDefinition(subdomain, accessToken, id).catch(() => null));
+      return programIds.reduce((acc, id, index) => {
+        if (definitions[index]) acc[id] = definitions[index];
+        return acc;
+      }, {});
+    };
+    const runs = await fetchFailedAutomationRuns(subdomain, accessToken, since, loadDefinitions);
+
+    const byAutomation = new Map();
+    runs.forEach(run => {
+      const key = run.automationId || run.name;
+      if (!byAutomation.has(key)) {
+        // Runs are newest first, so the first one seen is the latest failure
+        byAutomation.set(key, {
+          automationId: run.automationId,
+          name: run.name,
+          automationKey: run.automationKey,
+          failedRuns: 0,
+          lastFailure: run.startTime,
+          lastError: run.errors[0] || run.status,
+          failedStep: run.failedStep,
+          failedActivity: run.failedActivity?.name || null
+        });
+      }
+      byAutomation.get(key).failedRuns++;
+    });
+
+    console.log(`✅ [Automation Failures] ${runs.length} failed runs across ${byAutomation.size} automations in the last ${days} days`);
+    res.json({ days, since, automations: Array.from(byAutomation.values()), runs });
+  } catch (e) {
+    console.error('❌ [Automation Failures] Failed to fetch failed runs:', e?.response?.data || e.message);
+    res.status(500).json({ error: 'Failed to fetch automation failures', details: e?.message || e });
+  }
+});
+
 // Data Filter Search
 app.get('/search/datafilters', async (req, res) => {
   const accessToken = getAccessTokenFromRequest(req);
@@ -470,90 +1108,14 @@ app.get('/search/datafilters', async (req, res) => {
     return res.status(401).json([]);
   }
   try {
-    // Fetch all folders first
-    const folderEnvelope = `
-      <s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
-        <s:Header><fueloauth>${accessToken}</fueloauth></s:Header>
-        <s:Body>
-          <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-            <RetrieveRequest>
-              <ObjectType>DataFolder</ObjectType>
-              <Properties>ID</Properties>
-              <Properties>Name</Properties>
-              <Properties>ParentFolder.ID</Properties>
-              <Properties>ContentType</Properties>
-              <Filter xsi:type="SimpleFilterPart">
-                <Property>IsActive</Property>
-                <SimpleOperator>equals</SimpleOperator>
-                <Value>true</Value>
-              </Filter>
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </s:Body>
-      </s:Envelope>`;
-    const folderResp = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-      folderEnvelope,
-      { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
-    );
-    const folderParser = new xml2js.Parser({ explicitArray: false });
-    let folderMap = {};
-    await folderParser.parseStringPromise(folderResp.data).then(result => {
-      const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-      const folders = Array.isArray(results) ? results : [results];
-      folders.forEach(f => {
-        if (f && f.ID) folderMap[String(f.ID)] = f;
+    await sendSearchRows(req, res, 'datafilters', async () => {
+      const folderMap = await retrieveFolderMap(subdomain, accessToken);
+      // Fetch Data Filters
+      const normalized = await retrieveAll(subdomain, accessToken, {
+        objectType: 'FilterDefinition',
+        properties: ['Name', 'CustomerKey', 'Description', 'CreatedDate', 'CategoryID'],
+        filter: { property: 'Name', operator: 'isNotNull' }
       });
-    });
-    // Fetch Data Filters
-    const envelope = `
-      <s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" 
-                  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
-        <s:Header>
-          <fueloauth>${accessToken}</fueloauth>
-        </s:Header>
-        <s:Body>
-          <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-            <RetrieveRequest>
-              <ObjectType>FilterDefinition</ObjectType>
-              <Properties>Name</Properties>
-              <Properties>CustomerKey</Properties>
-              <Properties>Description</Properties>
-              <Properties>CreatedDate</Properties>
-              <Properties>CategoryID</Properties>
-              <Filter xsi:type="SimpleFilterPart">
-                <Property>Name</Property>
-                <SimpleOperator>isNotNull</SimpleOperator>
-              </Filter>
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </s:Body>
-      </s:Envelope>
-    `;
-    const response = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-      envelope,
-      {
-        headers: {
-          'Content-Type': 'text/xml',
-          'SOAPAction': 'Retrieve',
-        }
-      }
-    );
-    const parser = new xml2js.Parser({ explicitArray: false });
-    parser.parseString(response.data, (err, result) => {
-      if (err) {
-        console.error('❌ Failed to parse data filter SOAP response:', err);
-        return res.status(500).json({ error: 'XML parse error' });
-      }
-      const filterResults =
-        result['soap:Envelope']?.['soap:Body']?.RetrieveResponseMsg?.Results;
-      if (!filterResults) {
-        return res.json([]);
-      }
-      const normalized = Array.isArray(filterResults)
-        ? filterResults
-        : [filterResults];
       // Log raw Data Filter result for createdByName troubleshooting
       if (normalized.length > 0) console.log('🔎 Raw DataFilter:', JSON.stringify(normalized[0], null, 2));
       const dataFilters = normalized.map(item => ({
@@ -566,7 +1128,7 @@ app.get('/search/datafilters', async (req, res) => {
         createdByName: item.CreatedBy || item.CreatedByName || 'N/A',
         path: buildFolderPath(item.CategoryID, folderMap)
       }));
-      res.json(dataFilters);
+      return dataFilters;
     });
   } catch (err) {
     console.error('❌ Data Filter error:', err);
@@ -574,70 +1136,80 @@ app.get('/search/datafilters', async (req, res) => {
   }
 });
 
+/**
+ * Name the Data Extensions and emails journey activities reference, for parseJourneyActivities.
+ * Lookup failures are logged and leave the references unnamed.
+ * @param {string} subdomain
+ * @param {string} accessToken
+ * @param {object[]} journeys - REST interactions with activities
+ * @returns {Promise<object>} - { dataExtensions: [{ objectId, name, customerKey }], emails: [{ id, name, subject }] }
+ */
+async function fetchJourneyActivityLookups(subdomain, accessToken, journeys) {
+  const graphs = journeys.map(journey => parseJourneyActivities(journey));
+  const references = graphs.flatMap(graph => graph.dataExtensions);
+  const deIds = [...new Set(references.map(de => de.id).filter(Boolean))];
+  const deNames = [...new Set(references.filter(de => !de.id).map(de => de.name).filter(Boolean))];
+  const emailIds = [...new Set(graphs.flatMap(graph => graph.emails).map(email => email.id).filter(id => id !== null && id !== undefined).map(String))];
+
+  const deRequest = { objectType: 'DataExtension', properties: ['ObjectID', 'Name', 'CustomerKey'] };
+  const [byId, byName, emails] = await Promise.all([
+    deIds.length ? retrieveByValues(subdomain, accessToken, deRequest, 'ObjectID', deIds) : [],
+    deNames.length ? retrieveByValues(subdomain, accessToken, deRequest, 'Name', deNames) : [],
+    emailIds.length
+      ? retrieveByValues(subdomain, accessToken, { objectType: 'Email', properties: ['ID', 'Name', 'Subject'] }, 'ID', emailIds)
+      : []
+  ].map(request => Promise.resolve(request).catch(error => {
+    console.warn('⚠️ [Journey Activities] Reference lookup failed:', error.message);
+    return [];
+  })));
+
+  return {
+    dataExtensions: [...byId, ...byName].map(de => ({ objectId: de.ObjectID, name: de.Name, customerKey: de.CustomerKey })),
+    emails: emails.map(email => ({ id: email.ID, name: email.Name, subject: email.Subject }))
+  };
+}
+
+/**
+ * Journey search rows (REST, scoped to the token's business unit).
+ * Each row carries its version's activity sub-graph (see parseJourneyActivities).
+ */
+async function searchJourneys(subdomain, accessToken) {
+  const folderMap = await retrieveFolderMap(subdomain, accessToken);
+  // Fetch Journeys
+  const journeys = await fetchAllRestItems(
+    `${getRestBaseUrl(subdomain)}/interaction/v1/interactions?extras=activities`,
+    accessToken
+  );
+  // Log raw Journey result for createdByName troubleshooting
+  if (journeys.length > 0) console.log('🔎 Raw Journey:', JSON.stringify(journeys[0], null, 2));
+  const lookups = await fetchJourneyActivityLookups(subdomain, accessToken, journeys);
+  return journeys.map(j => ({
+    id: j.id || null,
+    name: j.name || 'N/A',
+    key: j.key || 'N/A',
+    status: j.status || 'N/A',
+    lastPublishedDate: j.lastPublishedDate || 'N/A',
+    versionNumber: j.versionNumber || 'N/A',
+    createdDate: j.createdDate || 'Not Available',
+    createdByName: j.createdByName || j.createdBy || 'N/A',
+    path: buildFolderPath(j.categoryId, folderMap),
+    activityGraph: parseJourneyActivities(j, lookups)
+  }));
+}
+
 // Journey Search
+// ?businessUnits=<mid>,<mid> fans out with a token per business unit
 app.get('/search/journeys', async (req, res) => {
   const accessToken = getAccessTokenFromRequest(req);
   const subdomain = getSubdomainFromRequest(req);
   if (!accessToken || !subdomain) {
     return res.status(401).json([]);
   }
+  const accountIds = parseBusinessUnitIds(req.query.businessUnits);
   try {
-    // Fetch all folders first
-    const folderEnvelope = `
-      <s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
-        <s:Header><fueloauth>${accessToken}</fueloauth></s:Header>
-        <s:Body>
-          <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-            <RetrieveRequest>
-              <ObjectType>DataFolder</ObjectType>
-              <Properties>ID</Properties>
-              <Properties>Name</Properties>
-              <Properties>ParentFolder.ID</Properties>
-              <Properties>ContentType</Properties>
-              <Filter xsi:type="SimpleFilterPart">
-                <Property>IsActive</Property>
-                <SimpleOperator>equals</SimpleOperator>
-                <Value>true</Value>
-              </Filter>
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </s:Body>
-      </s:Envelope>`;
-    const folderResp = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-      folderEnvelope,
-      { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
-    );
-    const folderParser = new xml2js.Parser({ explicitArray: false });
-    let folderMap = {};
-    await folderParser.parseStringPromise(folderResp.data).then(result => {
-      const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-      const folders = Array.isArray(results) ? results : [results];
-      folders.forEach(f => {
-        if (f && f.ID) folderMap[String(f.ID)] = f;
-      });
-    });
-    // Fetch Journeys
-    const response = await axios.get(
-      `https://${subdomain}.rest.marketingcloudapis.com/interaction/v1/interactions`,
-      {
-        headers: { Authorization: `Bearer ${accessToken}` }
-      }
-    );
-    const journeys = response.data.items || [];
-    // Log raw Journey result for createdByName troubleshooting
-    if (journeys.length > 0) console.log('🔎 Raw Journey:', JSON.stringify(journeys[0], null, 2));
-    const simplified = journeys.map(j => ({
-      name: j.name || 'N/A',
-      key: j.key || 'N/A',
-      status: j.status || 'N/A',
-      lastPublishedDate: j.lastPublishedDate || 'N/A',
-      versionNumber: j.versionNumber || 'N/A',
-      createdDate: j.createdDate || 'Not Available',
-      createdByName: j.createdByName || j.createdBy || 'N/A',
-      path: buildFolderPath(j.categoryId, folderMap)
-    }));
-    res.json(simplified);
+    await sendSearchRows(req, res, `journeys:${accountIds ? accountIds.join(',') : ''}`, () => (accountIds
+      ? searchAcrossBusinessUnits(req, subdomain, accessToken, accountIds, token => searchJourneys(subdomain, token))
+      : searchJourneys(subdomain, accessToken)));
   } catch (err) {
     console.error('❌ Journey fetch error:', err.response?.data || err);
     res.status(500).json({ error: 'Failed to fetch journeys' });
@@ -655,7 +1227,7 @@ app.get('/de/details', async (req, res) => {
   try {
     // REST call for DE details
     const restResp = await axios.get(
-      `https://${subdomain}.rest.marketingcloudapis.com/data/v1/customobjects?$search=${encodeURIComponent(name)}`,
+      `${getRestBaseUrl(subdomain)}/data/v1/customobjects?$search=${encodeURIComponent(name)}`,
       { headers: { Authorization: `Bearer ${accessToken}` } }
     );
     const item = restResp.data.items && restResp.data.items.find(obj => obj.name === name);
@@ -687,39 +1259,425 @@ app.get('/de/details', async (req, res) => {
     `;
     let deDetails = null;
     try {
-      const soapResp = await axios.post(
-        `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-        soapEnvelope,
-        {
-          headers: {
-            'Content-Type': 'text/xml',
-            SOAPAction: 'Retrieve',
-          },
-        }
-      );
-      const parser = new xml2js.Parser({ explicitArray: false });
-      await new Promise((resolve, reject) => {
-        parser.parseString(soapResp.data, (err, result) => {
-          if (err) return reject(err);
-          const details = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-          deDetails = Array.isArray(details) ? details[0] : details;
-          resolve();
-        });
-      });
-    } catch (soapErr) {
-      console.error('SOAP error for DE details:', soapErr);
-      // Continue, but deDetails may be null
+      const soapResp = await axios.post(
+        getSoapUrl(subdomain),
+        soapEnvelope,
+        {
+          headers: {
+            'Content-Type': 'text/xml',
+            SOAPAction: 'Retrieve',
+          },
+        }
+      );
+      const parser = new xml2js.Parser({ explicitArray: false });
+      await new Promise((resolve, reject) => {
+        parser.parseString(soapResp.data, (err, result) => {
+          if (err) return reject(err);
+          const details = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
+          deDetails = Array.isArray(details) ? details[0] : details;
+          resolve();
+        });
+      });
+    } catch (soapErr) {
+      console.error('SOAP error for DE details:', soapErr);
+      // Continue, but deDetails may be null
+    }
+    res.json({
+      createdByName: item.createdByName || 'N/A',
+      modifiedByName: item.modifiedByName || 'N/A',
+      rowCount: item.rowCount !== undefined ? item.rowCount : (deDetails?.RowCount || 'N/A'),
+      isSendable: item.isSendable !== undefined ? item.isSendable : (deDetails?.IsSendable || 'N/A'),
+      isTestable: item.isTestable !== undefined ? item.isTestable : (deDetails?.IsTestable || 'N/A'),
+    });
+  } catch (e) {
+    console.error('Failed to fetch DE details:', e?.response?.data || e);
+    res.status(500).json({ error: 'Failed to fetch DE details', details: e?.message || e });
+  }
+});
+
+// Most Data Extensions one schema export retrieves
+const MAX_SCHEMA_EXPORT_KEYS = 500;
+
+// Field schema, sendable relationship and retention of one DE (?key=<CustomerKey> or ?name=)
+app.get('/de/schema', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  const { key, name } = req.query;
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  if (!key && !name) {
+    return res.status(400).json({ error: 'key or name is required' });
+  }
+  try {
+    const [schema] = await fetchDataExtensionSchemas(subdomain, accessToken, key ? { customerKeys: [key] } : { names: [name] });
+    if (!schema) {
+      return res.status(404).json({ error: 'Data Extension not found' });
+    }
+    res.json(schema);
+  } catch (err) {
+    console.error('❌ [DE Schema] Failed to fetch schema:', err.message);
+    res.status(500).json({ error: 'Failed to fetch Data Extension schema', details: err.message });
+  }
+});
+
+// Download the schemas of one or many DEs. Body: { keys: [CustomerKey], format: json|csv|sql }
+app.post('/de/schema/export', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const format = String(req.body?.format || 'json').toLowerCase();
+  const keys = [...new Set((Array.isArray(req.body?.keys) ? req.body.keys : []).map(String).filter(Boolean))];
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Unsupported format "${format}"`, formats: Object.keys(EXPORT_FORMATS) });
+  }
+  if (keys.length === 0 || keys.length > MAX_SCHEMA_EXPORT_KEYS) {
+    return res.status(400).json({ error: `Provide between 1 and ${MAX_SCHEMA_EXPORT_KEYS} Data Extension keys` });
+  }
+  try {
+    const schemas = await fetchDataExtensionSchemas(subdomain, accessToken, { customerKeys: keys });
+    if (schemas.length === 0) {
+      return res.status(404).json({ error: 'None of the Data Extensions were found' });
+    }
+    const { body, contentType, extension } = formatSchemas(schemas, format);
+    const filename = schemas.length === 1
+      ? `${schemas[0].customerKey.replace(/[^\w.-]+/g, '_')}_schema.${extension}`
+      : `data_extension_schemas.${extension}`;
+    console.log(`✅ [DE Schema] Exported ${schemas.length} of ${keys.length} schema(s) as ${format}`);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (err) {
+    console.error('❌ [DE Schema] Export failed:', err.message);
+    res.status(500).json({ error: 'Failed to export Data Extension schemas', details: err.message });
+  }
+});
+
+// Row browser limits: page size, deepest row a page may reach (SOAP has no offset) and rows per CSV export
+const MAX_ROW_PAGE_SIZE = 500;
+const MAX_ROW_BROWSE_DEPTH = 50000;
+const MAX_ROW_EXPORT = 50000;
+
+// One page of a DE's rows. Body: { key, columns?, filter?, page?, pageSize? }
+app.post('/de/rows', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const { key, columns, filter } = req.body || {};
+  const page = Math.max(parseInt(req.body?.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(req.body?.pageSize, 10) || 50, 1), MAX_ROW_PAGE_SIZE);
+  if (!key) {
+    return res.status(400).json({ error: 'key is required' });
+  }
+  if (page * pageSize > MAX_ROW_BROWSE_DEPTH) {
+    return res.status(400).json({ error: `Browsing stops at row ${MAX_ROW_BROWSE_DEPTH}; narrow the filter or export the rows instead` });
+  }
+  try {
+    const result = await fetchDataExtensionRows(subdomain, accessToken, { customerKey: String(key), columns, filter, page, pageSize });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('❌ [DE Rows] Failed to retrieve rows:', err.message);
+    res.status(500).json({ error: 'Failed to retrieve Data Extension rows', details: err.message });
+  }
+});
+
+// The filtered rows of a DE as CSV. Body: { key, columns?, filter? }
+app.post('/de/rows/export', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const { key, columns, filter } = req.body || {};
+  if (!key) {
+    return res.status(400).json({ error: 'key is required' });
+  }
+  try {
+    const result = await fetchDataExtensionRows(subdomain, accessToken, { customerKey: String(key), columns, filter, maxRows: MAX_ROW_EXPORT });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    if (result.hasMore) {
+      console.warn(`⚠️ [DE Rows] Export of ${key} stopped at ${MAX_ROW_EXPORT} rows`);
+    }
+    console.log(`✅ [DE Rows] Exported ${result.rows.length} row(s) of ${key}`);
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${String(key).replace(/[^\w.-]+/g, '_')}_rows.csv"`);
+    res.setHeader('X-Rows-Truncated', String(result.hasMore));
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, X-Rows-Truncated');
+    res.send(rowsToCsv(result.columns, result.rows));
+  } catch (err) {
+    console.error('❌ [DE Rows] Export failed:', err.message);
+    res.status(500).json({ error: 'Failed to export Data Extension rows', details: err.message });
+  }
+});
+
+// Most rows a clone copies in one request
+const MAX_CLONE_ROWS = 100000;
+
+/**
+ * Clone a DE (fields, keys, sendable mapping, retention, description) under a new name and folder,
+ * in the current or another business unit, optionally copying its rows.
+ * Body: { sourceKey, name, customerKey?, description?, folderPath?, targetAccountId?, fieldOverrides?, copyRows?, dryRun? }
+ * dryRun returns the planned definition and per-field warnings without creating anything.
+ */
+app.post('/de/clone', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const { sourceKey, folderPath, fieldOverrides, copyRows, dryRun } = req.body || {};
+  const name = String(req.body?.name || '').trim();
+  const customerKey = String(req.body?.customerKey || '').trim() || name;
+  const targetAccountId = req.body?.targetAccountId ? String(req.body.targetAccountId) : null;
+  if (!sourceKey || !name) {
+    return res.status(400).json({ error: 'sourceKey and name are required' });
+  }
+  if (name.length > 128 || customerKey.length > 200) {
+    return res.status(400).json({ error: 'Names are limited to 128 characters and keys to 200' });
+  }
+
+  try {
+    const [schema] = await fetchDataExtensionSchemas(subdomain, accessToken, { customerKeys: [String(sourceKey)] });
+    if (!schema) {
+      return res.status(404).json({ error: 'Source Data Extension not found' });
+    }
+
+    const sameBusinessUnit = !targetAccountId || targetAccountId === String(req.session?.mcCreds?.accountId || '');
+    let targetToken = accessToken;
+    if (!sameBusinessUnit) {
+      try {
+        targetToken = await getBusinessUnitToken(req, targetAccountId);
+      } catch (err) {
+        return res.status(403).json({ error: `No access to business unit ${targetAccountId}: ${err.message}` });
+      }
+    }
+
+    const existing = await fetchDataExtensionSchemas(subdomain, targetToken, { customerKeys: [customerKey], names: [name] });
+    if (existing.length) {
+      return res.status(409).json({ error: `A Data Extension named "${existing[0].name}" (${existing[0].customerKey}) already exists in the target business unit` });
+    }
+
+    // Target folder: the given path, otherwise the source folder (same BU) or the root DE folder
+    let folder;
+    if (folderPath) {
+      folder = await resolveDataExtensionFolderPath(folderPath, targetToken, subdomain, { create: !dryRun });
+    } else if (sameBusinessUnit && schema.categoryId) {
+      folder = { folderId: String(schema.categoryId), missing: [] };
+    } else {
+      folder = { folderId: await getRootDataExtensionFolderId(targetToken, subdomain), missing: [] };
+    }
+
+    const { definition, warnings, errors } = buildCloneDefinition(schema, {
+      customerKey,
+      description: req.body?.description,
+      categoryId: folder.folderId,
+      fieldOverrides: fieldOverrides && typeof fieldOverrides === 'object' ? fieldOverrides : {}
+    });
+    if (errors.length) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+    const plan = { name, customerKey, targetAccountId, folderId: folder.folderId, foldersToCreate: folder.missing, warnings, fields: definition.Fields };
+    if (dryRun) {
+      return res.json({ dryRun: true, ...plan });
+    }
+
+    await createDataExtensionSOAP(name, definition, targetToken, subdomain);
+    console.log(`✅ [DE Clone] Created ${customerKey} from ${schema.customerKey}${sameBusinessUnit ? '' : ` in business unit ${targetAccountId}`}`);
+
+    let rows = null;
+    if (copyRows) {
+      rows = await copyDataExtensionRows(subdomain,
+        { accessToken, customerKey: schema.customerKey },
+        { accessToken: targetToken, customerKey },
+        { maxRows: MAX_CLONE_ROWS });
+      const level = rows.failed || rows.truncated ? '⚠️' : '✅';
+      console.log(`${level} [DE Clone] Copied ${rows.copied} row(s) into ${customerKey}, ${rows.failed} failed${rows.truncated ? `, stopped at ${MAX_CLONE_ROWS}` : ''}`);
+    }
+    clearSearchResults(req);
+    res.json({ status: 'OK', ...plan, foldersToCreate: [], rows });
+  } catch (err) {
+    console.error('❌ [DE Clone] Clone failed:', err.message);
+    res.status(500).json({ error: 'Failed to clone Data Extension', details: err.message });
+  }
+});
+
+/**
+ * Parse, validate and plan a Data Extension definition file against the current business unit.
+ * @param {string} subdomain
+ * @param {string} accessToken
+ * @param {string} content - JSON or CSV file contents
+ * @param {string} [filename]
+ * @returns {Promise<object>} - { format, definitions, plan }, or { errors } when definitions are invalid
+ */
+async function planDataExtensionDefinitions(subdomain, accessToken, content, filename) {
+  const { format, definitions } = parseDefinitionFile(content, filename);
+  if (definitions.length === 0) {
+    return { format, errors: [{ customerKey: null, errors: ['The file defines no Data Extensions'] }] };
+  }
+  const errors = validateDefinitions(definitions);
+  if (errors.length) return { format, errors };
+  return { format, definitions, plan: await planDataExtensionDefinitionList(subdomain, accessToken, definitions) };
+}
+
+/**
+ * Plan validated definitions against the DEs of a business unit (see planDefinition).
+ * @param {string} subdomain
+ * @param {string} accessToken - Token of the business unit to plan against
+ * @param {object[]} definitions - Normalized definitions
+ * @returns {Promise<object[]>} - One plan item per definition, in order
+ */
+async function planDataExtensionDefinitionList(subdomain, accessToken, definitions) {
+  const exists = await mapWithConcurrency(definitions, 4, def => dataExtensionExists(def.customerKey, accessToken, subdomain));
+  const existingKeys = definitions.filter((def, i) => exists[i]).map(def => def.customerKey);
+  const newNames = definitions.filter((def, i) => !exists[i]).map(def => def.name);
+  const [schemas, sameNamed] = await Promise.all([
+    existingKeys.length ? fetchDataExtensionSchemas(subdomain, accessToken, { customerKeys: existingKeys }) : [],
+    newNames.length ? fetchDataExtensionSchemas(subdomain, accessToken, { names: newNames }) : []
+  ]);
+
+  const folders = {};
+  for (const folderPath of new Set(definitions.map(def => def.folder).filter(Boolean))) {
+    folders[folderPath] = await resolveDataExtensionFolderPath(folderPath, accessToken, subdomain);
+  }
+
+  return definitions.map((def, i) => {
+    const existing = exists[i] ? schemas.find(schema => schema.customerKey.toLowerCase() === def.customerKey.toLowerCase()) : null;
+    const item = planDefinition(def, existing || null, folders[def.folder]);
+    const clash = !exists[i] && sameNamed.find(schema => schema.name.toLowerCase() === def.name.toLowerCase());
+    if (clash) {
+      item.incompatible.push({ field: null, message: `The name is already used by the Data Extension with key "${clash.customerKey}"` });
+      item.action = 'blocked';
+    }
+    return item;
+  });
+}
+
+const summarizeDefinitionPlan = plan => plan.reduce((counts, item) => ({ ...counts, [item.action]: (counts[item.action] || 0) + 1 }), {});
+
+/**
+ * Carry out one planDefinition item: create the DE, or add fields, lengthen fields and change the
+ * description / folder of an existing one.
+ * @param {object} def - Normalized definition
+ * @param {object} item - Its plan item
+ * @param {string} accessToken - Token of the business unit the plan was made against
+ * @param {string} subdomain
+ * @returns {Promise<string>} - created, updated, unchanged or skipped (blocked)
+ */
+async function applyDataExtensionPlanItem(def, item, accessToken, subdomain) {
+  const folderIdOf = async folderPath => (folderPath
+    ? (await resolveDataExtensionFolderPath(folderPath, accessToken, subdomain, { create: true })).folderId
+    : getRootDataExtensionFolderId(accessToken, subdomain));
+
+  if (item.action === 'create') {
+    const { definition } = buildCloneDefinition(def, { customerKey: def.customerKey, categoryId: await folderIdOf(def.folder) });
+    await createDataExtensionSOAP(def.name, definition, accessToken, subdomain);
+    return 'created';
+  }
+  if (item.action !== 'update') {
+    return item.action === 'blocked' ? 'skipped' : 'unchanged';
+  }
+
+  const { definition } = buildCloneDefinition(def, { customerKey: def.customerKey });
+  // Existing fields are changed by their ObjectID
+  const lengthChanges = item.changes.filter(change => change.type === 'length');
+  const currentFields = lengthChanges.length
+    ? (await fetchDataExtensionFields(accessToken, subdomain, [def.customerKey]))[def.customerKey] || []
+    : [];
+  const lengthened = lengthChanges.map(change => ({
+    ObjectID: currentFields.find(field => field.name.toLowerCase() === change.field.toLowerCase())?.objectId,
+    Name: change.field,
+    MaxLength: change.to
+  }));
+  if (lengthened.some(field => !field.ObjectID)) {
+    throw new Error('Could not look up the fields to lengthen');
+  }
+  const changes = {
+    Fields: [...definition.Fields.filter(field => item.addedFields.includes(field.Name)), ...lengthened]
+  };
+  if (item.changes.some(change => change.type === 'description')) changes.Description = def.description;
+  if (item.changes.some(change => change.type === 'folder')) changes.CategoryID = await folderIdOf(def.folder);
+  await updateDataExtensionSOAP(def.customerKey, changes, accessToken, subdomain);
+  return 'updated';
+}
+
+// Plan a Data Extension definition file (JSON or CSV). Body: { filename, content }
+app.post('/de/definitions/plan', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const { filename, content } = req.body || {};
+  if (!content) {
+    return res.status(400).json({ error: 'content is required' });
+  }
+  let result;
+  try {
+    result = await planDataExtensionDefinitions(subdomain, accessToken, content, filename);
+  } catch (err) {
+    const invalidFile = /^(Invalid JSON|CSV header)/.test(err.message);
+    if (!invalidFile) console.error('❌ [DE Definitions] Planning failed:', err.message);
+    return res.status(invalidFile ? 400 : 500).json({ error: invalidFile ? err.message : 'Failed to plan Data Extension definitions', details: err.message });
+  }
+  if (result.errors) {
+    return res.status(400).json({ error: 'Some definitions are invalid', format: result.format, errors: result.errors });
+  }
+  console.log(`✅ [DE Definitions] Planned ${result.plan.length} definition(s) from ${result.format}`);
+  res.json({ format: result.format, plan: result.plan, summary: summarizeDefinitionPlan(result.plan) });
+});
+
+// Apply a definition file: the plan is recomputed, creates and compatible updates run, blocked DEs are skipped
+app.post('/de/definitions/apply', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const { filename, content } = req.body || {};
+  if (!content) {
+    return res.status(400).json({ error: 'content is required' });
+  }
+  try {
+    let planned;
+    try {
+      planned = await planDataExtensionDefinitions(subdomain, accessToken, content, filename);
+    } catch (err) {
+      if (/^(Invalid JSON|CSV header)/.test(err.message)) return res.status(400).json({ error: err.message });
+      throw err;
     }
-    res.json({
-      createdByName: item.createdByName || 'N/A',
-      modifiedByName: item.modifiedByName || 'N/A',
-      rowCount: item.rowCount !== undefined ? item.rowCount : (deDetails?.RowCount || 'N/A'),
-      isSendable: item.isSendable !== undefined ? item.isSendable : (deDetails?.IsSendable || 'N/A'),
-      isTestable: item.isTestable !== undefined ? item.isTestable : (deDetails?.IsTestable || 'N/A'),
-    });
-  } catch (e) {
-    console.error('Failed to fetch DE details:', e?.response?.data || e);
-    res.status(500).json({ error: 'Failed to fetch DE details', details: e?.message || e });
+    if (planned.errors) {
+      return res.status(400).json({ error: 'Some definitions are invalid', errors: planned.errors });
+    }
+
+    const results = [];
+    for (const [i, item] of planned.plan.entries()) {
+      const result = { name: item.name, customerKey: item.customerKey, action: item.action };
+      try {
+        result.status = await applyDataExtensionPlanItem(planned.definitions[i], item, accessToken, subdomain);
+      } catch (err) {
+        console.error(`❌ [DE Definitions] ${item.action} of ${item.customerKey} failed:`, err.message);
+        result.status = 'failed';
+        result.error = err.message;
+      }
+      results.push(result);
+    }
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    console.log(`${failed ? '⚠️' : '✅'} [DE Definitions] Applied ${results.length} definition(s), ${failed} failed`);
+    clearSearchResults(req);
+    res.json({ results, summary: summarizeDefinitionPlan(results.map(result => ({ action: result.status }))) });
+  } catch (err) {
+    console.error('❌ [DE Definitions] Apply failed:', err.message);
+    res.status(500).json({ error: 'Failed to apply Data Extension definitions', details: err.message });
   }
 });
 
@@ -761,7 +1719,7 @@ app.post('/api/preference-center/project', async (req, res) => {
       </s:Envelope>
     `;
     await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       soapEnvelope,
       { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Create' } }
     );
@@ -789,7 +1747,7 @@ app.post('/api/preference-center/project', async (req, res) => {
       </s:Envelope>
     `;
     await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       insertEnvelope,
       { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Create' } }
     );
@@ -811,41 +1769,7 @@ app.post('/folders', async (req, res) => {
     return res.status(400).json({ valid: false, error: 'Missing folderPath, accessToken, or subdomain' });
   }
   try {
-    // Fetch all folders (SOAP)
-    const folderEnvelope = `
-      <s:Envelope xmlns:s=\"http://schemas.xmlsoap.org/soap/envelope/\" xmlns:xsi=\"http://www.w3.org/2001/XMLSchema-instance\">
-        <s:Header><fueloauth>${accessToken}</fueloauth></s:Header>
-        <s:Body>
-          <RetrieveRequestMsg xmlns=\"http://exacttarget.com/wsdl/partnerAPI\">
-            <RetrieveRequest>
-              <ObjectType>DataFolder</ObjectType>
-              <Properties>ID</Properties>
-              <Properties>Name</Properties>
-              <Properties>ParentFolder.ID</Properties>
-              <Properties>ContentType</Properties>
-              <Filter xsi:type=\"SimpleFilterPart\">
-                <Property>IsActive</Property>
-                <SimpleOperator>equals</SimpleOperator>
-                <Value>true</Value>
-              </Filter>
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </s:Body>
-      </s:Envelope>`;
-    const folderResp = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-      folderEnvelope,
-      { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
-    );
-    const folderParser = new xml2js.Parser({ explicitArray: false });
-    let folderMap = {};
-    await folderParser.parseStringPromise(folderResp.data).then(result => {
-      const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-      const folders = Array.isArray(results) ? results : [results];
-      folders.forEach(f => {
-        if (f && f.ID) folderMap[String(f.ID)] = f;
-      });
-    });
+    const folderMap = await retrieveFolderMap(subdomain, accessToken);
     // Validate path
     const pathParts = folderPath.split('/').map(s => s.trim()).filter(Boolean);
     let currentParent = null;
@@ -883,51 +1807,19 @@ app.get('/de-lookup', async (req, res) => {
   }
   try {
     // Fetch DEs via SOAP
-    const soapEnvelope = `
-      <s:Envelope xmlns:s=\"http://schemas.xmlsoap.org/soap/envelope/\">
-        <s:Header>
-          <fueloauth>${accessToken}</fueloauth>
-        </s:Header>
-        <s:Body>
-          <RetrieveRequestMsg xmlns=\"http://exacttarget.com/wsdl/partnerAPI\">
-            <RetrieveRequest>
-              <ObjectType>DataExtension</ObjectType>
-              <Properties>Name</Properties>
-              <Properties>CustomerKey</Properties>
-              <Properties>CategoryID</Properties>
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </s:Body>
-      </s:Envelope>
-    `;
-    const response = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-      soapEnvelope,
-      {
-        headers: {
-          'Content-Type': 'text/xml',
-          SOAPAction: 'Retrieve',
-        },
-      }
-    );
-    const parser = new xml2js.Parser({ explicitArray: false });
-    parser.parseString(response.data, (err, result) => {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to parse XML' });
-      }
-      const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-      if (!results) return res.json([]);
-      const resultArray = Array.isArray(results) ? results : [results];
-      let deList = resultArray.map(de => ({
-        name: de.Name || 'N/A',
-        key: de.CustomerKey || 'N/A',
-        categoryId: de.CategoryID || ''
-      }));
-      if (query) {
-        deList = deList.filter(de => de.name.toLowerCase().includes(query.toLowerCase()));
-      }
-      res.json(deList);
+    const results = await retrieveAll(subdomain, accessToken, {
+      objectType: 'DataExtension',
+      properties: ['Name', 'CustomerKey', 'CategoryID']
     });
+    let deList = results.map(de => ({
+      name: de.Name || 'N/A',
+      key: de.CustomerKey || 'N/A',
+      categoryId: de.CategoryID || ''
+    }));
+    if (query) {
+      deList = deList.filter(de => de.name.toLowerCase().includes(query.toLowerCase()));
+    }
+    res.json(deList);
   } catch (err) {
     res.status(500).json({ error: 'Failed to fetch DEs' });
   }
@@ -1089,7 +1981,7 @@ app.post('/preference-center/save-config', async (req, res) => {
     let deResult = null;
     if (config.deOption === 'create') {
       const deResp = await axios.post(
-        `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+        getSoapUrl(subdomain),
         deSoapXml,
         {
           headers: {
@@ -1112,7 +2004,7 @@ app.post('/preference-center/save-config', async (req, res) => {
       data: { views: { html: { content: html } } }
     };
     const cpResp = await axios.post(
-      `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/assets`,
+      `${getRestBaseUrl(subdomain)}/asset/v1/content/assets`,
       cloudPagePayload,
       {
         headers: {
@@ -1224,40 +2116,10 @@ app.get('/folders', async (req, res) => {
     return res.status(401).json([]);
   }
   try {
-    const folderEnvelope = `
-      <s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
-        <s:Header><fueloauth>${accessToken}</fueloauth></s:Header>
-        <s:Body>
-          <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-            <RetrieveRequest>
-              <ObjectType>DataFolder</ObjectType>
-              <Properties>ID</Properties>
-              <Properties>Name</Properties>
-              <Properties>ParentFolder.ID</Properties>
-              <Properties>ContentType</Properties>
-              <Filter xsi:type="SimpleFilterPart">
-                <Property>IsActive</Property>
-                <SimpleOperator>equals</SimpleOperator>
-                <Value>true</Value>
-              </Filter>
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </s:Body>
-      </s:Envelope>`;
-    const folderResp = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-      folderEnvelope,
-      { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
-    );
-    const folderParser = new xml2js.Parser({ explicitArray: false });
-    let folderMap = {};
-    let folders = [];
-    await folderParser.parseStringPromise(folderResp.data).then(result => {
-      const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-      folders = Array.isArray(results) ? results : [results];
-      folders.forEach(f => {
-        if (f && f.ID) folderMap[String(f.ID)] = f;
-      });
+    const folders = await retrieveAll(subdomain, accessToken, {
+      objectType: 'DataFolder',
+      properties: ['ID', 'Name', 'ParentFolder.ID', 'ContentType'],
+      filter: { property: 'IsActive', operator: 'equals', value: 'true' }
     });
     res.json(folders);
   } catch (err) {
@@ -1266,6 +2128,207 @@ app.get('/folders', async (req, res) => {
   }
 });
 
+// ==================== FOLDER TREE ====================
+
+const FOLDER_PROPERTIES = ['ID', 'Name', 'ParentFolder.ID', 'ContentType', 'IsEditable', 'AllowChildren'];
+
+// Folders of one content type, with the flags the tree needs (retrieveFolderMap only reads names and parents)
+async function retrieveContentFolderMap(subdomain, accessToken, contentType) {
+  const folders = await retrieveAll(subdomain, accessToken, {
+    objectType: 'DataFolder',
+    properties: FOLDER_PROPERTIES,
+    filter: {
+      left: { property: 'IsActive', operator: 'equals', value: 'true' },
+      logicalOperator: 'AND',
+      right: { property: 'ContentType', operator: 'equals', value: contentType }
+    }
+  });
+  return Object.fromEntries(folders.filter(folder => folder?.ID).map(folder => [String(folder.ID), folder]));
+}
+
+// Assets of each folder content type as { id, name, key, folderId }
+const FOLDER_ASSET_SOURCES = {
+  dataextension: async (subdomain, accessToken) => (await retrieveAll(subdomain, accessToken, {
+    objectType: 'DataExtension',
+    properties: ['CustomerKey', 'Name', 'CategoryID']
+  })).map(de => ({ id: de.CustomerKey, name: de.Name, key: de.CustomerKey, folderId: String(de.CategoryID ?? '') })),
+  email: async (subdomain, accessToken) => (await retrieveAll(subdomain, accessToken, {
+    objectType: 'Email',
+    properties: ['ID', 'Name', 'CustomerKey', 'CategoryID']
+  })).map(email => ({ id: String(email.ID), name: email.Name, key: email.CustomerKey || null, folderId: String(email.CategoryID ?? '') })),
+  automations: async (subdomain, accessToken) => (await fetchAllRestItems(`${getRestBaseUrl(subdomain)}/automation/v1/automations`, accessToken))
+    .map(automation => ({ id: automation.id, name: automation.name, key: automation.key || automation.customerKey || null, folderId: String(automation.categoryId ?? '') })),
+  journey: async (subdomain, accessToken) => (await fetchAllRestItems(`${getRestBaseUrl(subdomain)}/interaction/v1/interactions`, accessToken))
+    .map(journey => ({ id: journey.id, name: journey.name, key: journey.key || null, folderId: String(journey.categoryId ?? ''), status: journey.status || null }))
+};
+
+// Move one asset into a folder by updating its CategoryID / categoryId
+const FOLDER_ASSET_MOVERS = {
+  dataextension: (asset, folderId, accessToken, subdomain) => saveSoapObject('Update', 'DataExtension', `
+            <CustomerKey>${escapeXml(asset.id)}</CustomerKey>
+            <CategoryID>${escapeXml(folderId)}</CategoryID>`, accessToken, subdomain),
+  email: (asset, folderId, accessToken, subdomain) => saveSoapObject('Update', 'Email', `
+            <ID>${escapeXml(asset.id)}</ID>
+            <CategoryID>${escapeXml(folderId)}</CategoryID>`, accessToken, subdomain),
+  automations: (asset, folderId, accessToken, subdomain) => axios.patch(
+    `${getRestBaseUrl(subdomain)}/automation/v1/automations/${encodeURIComponent(asset.id)}`,
+    { categoryId: Number(folderId) },
+    { headers: { Authorization: `Bearer ${accessToken}` } }
+  ),
+  // Journeys are updated as a whole; Marketing Cloud only accepts this for draft versions
+  journey: async (asset, folderId, accessToken, subdomain) => {
+    const base = `${getRestBaseUrl(subdomain)}/interaction/v1/interactions`;
+    const headers = { Authorization: `Bearer ${accessToken}` };
+    const { data: journey } = await axios.get(`${base}/${encodeURIComponent(asset.id)}`, { headers });
+    return axios.put(base, { ...journey, categoryId: Number(folderId) }, { headers });
+  }
+};
+
+// Validate the contentType of a folder request; sends the 400 and returns null when it is not supported
+function folderContentTypeOf(value, res) {
+  const contentType = String(value || '').toLowerCase();
+  if (FOLDER_CONTENT_TYPES[contentType]) return contentType;
+  res.status(400).json({ error: `contentType must be one of: ${Object.keys(FOLDER_CONTENT_TYPES).join(', ')}` });
+  return null;
+}
+
+// Folder tree of one content type with asset counts, plus the assets so the UI can list and move them
+// Query: contentType (dataextension | automations | journey | email)
+app.get('/api/folders/tree', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const contentType = folderContentTypeOf(req.query.contentType, res);
+  if (!contentType) return;
+  try {
+    const [folderMap, assets] = await Promise.all([
+      retrieveContentFolderMap(subdomain, accessToken, contentType),
+      FOLDER_ASSET_SOURCES[contentType](subdomain, accessToken)
+    ]);
+    const { folders, unfiled } = buildFolderTree(folderMap, assets);
+    console.log(`✅ [Folders] ${Object.keys(folderMap).length} ${contentType} folder(s), ${assets.length} asset(s)`);
+    res.json({ contentType, label: FOLDER_CONTENT_TYPES[contentType], folders, unfiled, assets });
+  } catch (err) {
+    console.error('❌ [Folders] Failed to build the folder tree:', err.message);
+    res.status(500).json({ error: 'Failed to load folders', details: err.message });
+  }
+});
+
+// Create a folder. Body: { contentType, name, parentId }
+app.post('/api/folders', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const contentType = folderContentTypeOf(req.body?.contentType, res);
+  if (!contentType) return;
+  const name = String(req.body?.name || '').trim();
+  const parentId = String(req.body?.parentId || '');
+  try {
+    const folderMap = await retrieveContentFolderMap(subdomain, accessToken, contentType);
+    const problem = checkFolderName(folderMap, name, parentId);
+    if (problem) return res.status(400).json({ error: problem });
+
+    const { id } = await saveSoapObject('Create', 'DataFolder', `
+            <Name>${escapeXml(name)}</Name>
+            <Description>${escapeXml(name)}</Description>
+            <ContentType>${escapeXml(contentType)}</ContentType>
+            <IsActive>true</IsActive>
+            <IsEditable>true</IsEditable>
+            <AllowChildren>true</AllowChildren>
+            <ParentFolder><ID>${escapeXml(parentId)}</ID></ParentFolder>`, accessToken, subdomain);
+    console.log(`✅ [Folders] Created ${contentType} folder "${name}" (${id}) under ${parentId}`);
+    res.status(201).json({ id, name, parentId, contentType });
+  } catch (err) {
+    console.error('❌ [Folders] Folder create failed:', err.message);
+    res.status(500).json({ error: 'Failed to create the folder', details: err.message });
+  }
+});
+
+// Rename and/or move a folder. Body: { contentType, name?, parentId? }
+app.patch('/api/folders/:id', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const contentType = folderContentTypeOf(req.body?.contentType, res);
+  if (!contentType) return;
+  const folderId = String(req.params.id);
+  try {
+    const folderMap = await retrieveContentFolderMap(subdomain, accessToken, contentType);
+    const folder = folderMap[folderId];
+    if (!folder) return res.status(404).json({ error: `Folder ${folderId} not found` });
+    const name = req.body?.name !== undefined ? String(req.body.name).trim() : folder.Name;
+    const parentId = req.body?.parentId !== undefined ? String(req.body.parentId) : String(folder.ParentFolder?.ID ?? '0');
+
+    const problem = checkFolderMove(folderMap, folderId, parentId) || checkFolderName(folderMap, name, parentId, folderId);
+    if (problem) return res.status(400).json({ error: problem });
+
+    await saveSoapObject('Update', 'DataFolder', `
+            <ID>${escapeXml(folderId)}</ID>
+            <Name>${escapeXml(name)}</Name>
+            <ParentFolder><ID>${escapeXml(parentId)}</ID></ParentFolder>`, accessToken, subdomain);
+    console.log(`✅ [Folders] Updated ${contentType} folder ${folderId}: "${name}" under ${parentId}`);
+    res.json({ id: folderId, name, parentId, contentType });
+  } catch (err) {
+    console.error(`❌ [Folders] Folder ${folderId} update failed:`, err.message);
+    res.status(500).json({ error: 'Failed to update the folder', details: err.message });
+  }
+});
+
+// Move assets into a folder. Body: { contentType, assetIds: [] } (CustomerKey for Data Extensions, ID otherwise)
+app.post('/api/folders/:id/assets', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const contentType = folderContentTypeOf(req.body?.contentType, res);
+  if (!contentType) return;
+  const folderId = String(req.params.id);
+  const assetIds = [...new Set((Array.isArray(req.body?.assetIds) ? req.body.assetIds : []).map(String))];
+  if (assetIds.length === 0) {
+    return res.status(400).json({ error: 'assetIds is required' });
+  }
+  try {
+    const [folderMap, assets] = await Promise.all([
+      retrieveContentFolderMap(subdomain, accessToken, contentType),
+      FOLDER_ASSET_SOURCES[contentType](subdomain, accessToken)
+    ]);
+    if (!folderMap[folderId]) return res.status(404).json({ error: `Folder ${folderId} not found` });
+
+    const results = [];
+    for (const assetId of assetIds) {
+      const asset = assets.find(candidate => String(candidate.id) === assetId);
+      if (!asset) {
+        results.push({ id: assetId, status: 'failed', error: 'Not found' });
+      } else if (asset.folderId === folderId) {
+        results.push({ id: assetId, name: asset.name, status: 'unchanged' });
+      } else {
+        try {
+          await FOLDER_ASSET_MOVERS[contentType](asset, folderId, accessToken, subdomain);
+          results.push({ id: assetId, name: asset.name, status: 'moved', from: asset.folderId });
+        } catch (err) {
+          const message = err.response?.data?.message || err.message;
+          console.error(`❌ [Folders] Moving ${contentType} ${asset.name} failed:`, message);
+          results.push({ id: assetId, name: asset.name, status: 'failed', error: message });
+        }
+      }
+    }
+    const moved = results.filter(result => result.status === 'moved').length;
+    console.log(`✅ [Folders] Moved ${moved}/${assetIds.length} ${contentType} asset(s) into folder ${folderId}`);
+    clearSearchResults(req);
+    res.json({ folderId, contentType, moved, results });
+  } catch (err) {
+    console.error('❌ [Folders] Asset move failed:', err.message);
+    res.status(500).json({ error: 'Failed to move the assets', details: err.message });
+  }
+});
+
 // EmailSendDefinition Search (SOAP)
 app.get('/search/emailsenddefinition', async (req, res) => {
   console.log('🔔 /search/emailsenddefinition endpoint hit'); // DEBUG
@@ -1275,84 +2338,41 @@ app.get('/search/emailsenddefinition', async (req, res) => {
     return res.status(401).json([]);
   }
   try {
-    // Retrieve EmailSendDefinition rows (all relevant properties)
-    const props = [
-      'Name',
-      'CustomerKey',
-      'CategoryID',
-      'ModifiedDate',
-      'SendClassification.CustomerKey',
-      'SenderProfile.CustomerKey',
-      'DeliveryProfile.CustomerKey',
-      'BccEmail',
-      'CCEmail'
-    ];
-    const propsXml = props.map(p => `<Properties>${p}</Properties>`).join('');
-    const soapEnvelope = `
-      <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
-                        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-                        xmlns:xsd="http://www.w3.org/2001/XMLSchema">
-        <soapenv:Header>
-          <fueloauth xmlns="http://exacttarget.com">${accessToken}</fueloauth>
-        </soapenv:Header>
-        <soapenv:Body>
-          <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-            <RetrieveRequest>
-              <ObjectType>EmailSendDefinition</ObjectType>
-              ${propsXml}
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </soapenv:Body>
-      </soapenv:Envelope>
-    `;
-    // Log the full SOAP request for debugging
-    //console.log("\n[SOAP REQUEST] /search/emailsenddefinition (FINAL):\n" + soapEnvelope);
-    const response = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-      soapEnvelope,
-      {
-        headers: {
-          'Content-Type': 'text/xml',
-          SOAPAction: 'Retrieve',
-        },
-      }
-    );
-    console.log('🔵 Raw EmailSendDefinition SOAP response:', response.data); // DEBUG
-    const parser = new xml2js.Parser({ explicitArray: false });
-    parser.parseString(response.data, (err, result) => {
-      if (err) {
-        console.error('❌ Error parsing EmailSendDefinition SOAP response:', err);
-        return res.status(500).json([]);
-      }
-      try {
-        const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-        if (!results) {
-          console.log('⚠️ No EmailSendDefinition results found in SOAP response');
-          return res.status(200).json([]);
-        }
-        
-        const resultArray = Array.isArray(results) ? results : [results];
-        console.log(`📧 Found ${resultArray.length} EmailSendDefinition records`);
-        console.log('📧 Sample record:', JSON.stringify(resultArray[0], null, 2));
-        
-        const sendDefs = resultArray.map(item => ({
-          Name: item.Name || '',
-          CustomerKey: item.CustomerKey || '',
-          SendClassificationKey: item['SendClassification']?.CustomerKey || item['SendClassification.CustomerKey'] || '',
-          SenderProfileKey: item['SenderProfile']?.CustomerKey || item['SenderProfile.CustomerKey'] || '',
-          DeliveryProfileKey: item['DeliveryProfile']?.CustomerKey || item['DeliveryProfile.CustomerKey'] || '',
-          BccEmail: item.BccEmail ?? '',
-          CCEmail: item.CCEmail ?? ''
-        }));
-        
-        console.log(`✅ Mapped ${sendDefs.length} EmailSendDefinition records for frontend`);
-        console.log('📧 Sample mapped record:', JSON.stringify(sendDefs[0], null, 2));
-        
-        res.json(sendDefs);
-      } catch (e) {
-        console.error('❌ Error parsing EmailSendDefinition SOAP response:', e);
-        res.status(500).json([]);
+    await sendSearchRows(req, res, 'emailsenddefinition', async () => {
+      // Retrieve EmailSendDefinition rows (all relevant properties)
+      const resultArray = await retrieveAll(subdomain, accessToken, {
+        objectType: 'EmailSendDefinition',
+        properties: [
+          'Name',
+          'CustomerKey',
+          'CategoryID',
+          'ModifiedDate',
+          'SendClassification.CustomerKey',
+          'SenderProfile.CustomerKey',
+          'DeliveryProfile.CustomerKey',
+          'BccEmail',
+          'CCEmail'
+        ]
+      });
+      if (resultArray.length === 0) {
+        console.log('⚠️ No EmailSendDefinition results found in SOAP response');
+        return [];
       }
+      console.log(`📧 Found ${resultArray.length} EmailSendDefinition records`);
+      console.log('📧 Sample record:', JSON.stringify(resultArray[0], null, 2));
+
+      const sendDefs = resultArray.map(item => ({
+        Name: item.Name || '',
+        CustomerKey: item.CustomerKey || '',
+        SendClassificationKey: item['SendClassification']?.CustomerKey || item['SendClassification.CustomerKey'] || '',
+        SenderProfileKey: item['SenderProfile']?.CustomerKey || item['SenderProfile.CustomerKey'] || '',
+        DeliveryProfileKey: item['DeliveryProfile']?.CustomerKey || item['DeliveryProfile.CustomerKey'] || '',
+        BccEmail: item.BccEmail ?? '',
+        CCEmail: item.CCEmail ?? ''
+      }));
+
+      console.log(`✅ Mapped ${sendDefs.length} EmailSendDefinition records for frontend`);
+      return sendDefs;
     });
   } catch (e) {
     console.error('❌ Failed to fetch EmailSendDefinition (SOAP):', e.response?.data || e.message);
@@ -1362,55 +2382,21 @@ app.get('/search/emailsenddefinition', async (req, res) => {
 
 // SenderProfile Search (SOAP)
 app.get('/search/senderprofile', async (req, res) => {
-  const accessToken = getAccessTokenFromRequest(req);
-  const subdomain = getSubdomainFromRequest(req);
-  if (!accessToken || !subdomain) return res.status(401).json([]);
-  try {
-    const soapEnvelope = `
-      <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
-                        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-                        xmlns:xsd="http://www.w3.org/2001/XMLSchema">
-        <soapenv:Header>
-          <fueloauth xmlns="http://exacttarget.com">${accessToken}</fueloauth>
-        </soapenv:Header>
-        <soapenv:Body>
-          <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-            <RetrieveRequest>
-              <ObjectType>SenderProfile</ObjectType>
-              <Properties>CustomerKey</Properties>
-              <Properties>Name</Properties>
-              <Properties>Description</Properties>
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </soapenv:Body>
-      </soapenv:Envelope>
-    `;
-    const response = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-      soapEnvelope,
-      {
-        headers: {
-          'Content-Type': 'text/xml',
-          SOAPAction: 'Retrieve',
-        },
-      }
-    );
-    const parser = new xml2js.Parser({ explicitArray: false });
-    parser.parseString(response.data, (err, result) => {
-      if (err) return res.status(500).json({ error: 'Failed to parse XML' });
-      try {
-        const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-        if (!results) return res.status(200).json([]);
-        const arr = Array.isArray(results) ? results : [results];
-        const profiles = arr.map(item => ({
-          CustomerKey: item.CustomerKey || '',
-          Name: item.Name || '',
-          Description: item.Description || ''
-        }));
-        res.json(profiles);
-      } catch (e) {
-        res.status(500).json([]);
-      }
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) return res.status(401).json([]);
+  try {
+    await sendSearchRows(req, res, 'senderprofile', async () => {
+      const arr = await retrieveAll(subdomain, accessToken, {
+        objectType: 'SenderProfile',
+        properties: ['CustomerKey', 'Name', 'Description']
+      });
+      const profiles = arr.map(item => ({
+        CustomerKey: item.CustomerKey || '',
+        Name: item.Name || '',
+        Description: item.Description || ''
+      }));
+      return profiles;
     });
   } catch (e) {
     res.status(500).json([]);
@@ -1423,51 +2409,17 @@ app.get('/search/sendclassification', async (req, res) => {
   const subdomain = getSubdomainFromRequest(req);
   if (!accessToken || !subdomain) return res.status(401).json([]);
   try {
-    const soapEnvelope = `
-      <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
-                        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-                        xmlns:xsd="http://www.w3.org/2001/XMLSchema">
-        <soapenv:Header>
-          <fueloauth xmlns="http://exacttarget.com">${accessToken}</fueloauth>
-        </soapenv:Header>
-        <soapenv:Body>
-          <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-            <RetrieveRequest>
-              <ObjectType>SendClassification</ObjectType>
-              <Properties>CustomerKey</Properties>
-              <Properties>Name</Properties>
-              <Properties>Description</Properties>
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </soapenv:Body>
-      </soapenv:Envelope>
-    `;
-    const response = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-      soapEnvelope,
-      {
-        headers: {
-          'Content-Type': 'text/xml',
-          SOAPAction: 'Retrieve',
-        },
-      }
-    );
-    const parser = new xml2js.Parser({ explicitArray: false });
-    parser.parseString(response.data, (err, result) => {
-      if (err) return res.status(500).json({ error: 'Failed to parse XML' });
-      try {
-        const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-        if (!results) return res.status(200).json([]);
-        const arr = Array.isArray(results) ? results : [results];
-        const profiles = arr.map(item => ({
-          CustomerKey: item.CustomerKey || '',
-          Name: item.Name || '',
-          Description: item.Description || ''
-        }));
-        res.json(profiles);
-      } catch (e) {
-        res.status(500).json([]);
-      }
+    await sendSearchRows(req, res, 'sendclassification', async () => {
+      const arr = await retrieveAll(subdomain, accessToken, {
+        objectType: 'SendClassification',
+        properties: ['CustomerKey', 'Name', 'Description']
+      });
+      const profiles = arr.map(item => ({
+        CustomerKey: item.CustomerKey || '',
+        Name: item.Name || '',
+        Description: item.Description || ''
+      }));
+      return profiles;
     });
   } catch (e) {
     res.status(500).json([]);
@@ -1493,42 +2445,8 @@ app.get('/search/deliveryprofile', async (req, res) => {
     
     // Helper function to fetch and extract delivery profiles from SOAP objects
     async function extractDeliveryProfiles(objectType, properties) {
-      const propsXml = properties.map(p => `<Properties>${p}</Properties>`).join('');
-      const soapEnvelope = `
-        <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
-                          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-                          xmlns:xsd="http://www.w3.org/2001/XMLSchema">
-          <soapenv:Header>
-            <fueloauth xmlns="http://exacttarget.com">${accessToken}</fueloauth>
-          </soapenv:Header>
-          <soapenv:Body>
-            <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-              <RetrieveRequest>
-                <ObjectType>${objectType}</ObjectType>
-                ${propsXml}
-              </RetrieveRequest>
-            </RetrieveRequestMsg>
-          </soapenv:Body>
-        </soapenv:Envelope>
-      `;
-      
-      const response = await axios.post(
-        `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-        soapEnvelope,
-        {
-          headers: {
-            'Content-Type': 'text/xml',
-            SOAPAction: 'Retrieve',
-          },
-        }
-      );
-      
-      const parser = new xml2js.Parser({ explicitArray: false });
-      const result = await parser.parseStringPromise(response.data);
-      const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-      
-      if (results) {
-        const arr = Array.isArray(results) ? results : [results];
+      const arr = await retrieveAll(subdomain, accessToken, { objectType, properties });
+      if (arr.length > 0) {
         console.log(`🔍 [DeliveryProfile] Processing ${arr.length} ${objectType} results...`);
         
         arr.forEach((item, index) => {
@@ -1638,7 +2556,7 @@ app.post('/update/emailsenddefinition-senderprofile', async (req, res) => {
       </soapenv:Envelope>
     `;
     const response = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       soapEnvelope,
       {
         headers: {
@@ -1653,6 +2571,7 @@ app.post('/update/emailsenddefinition-senderprofile', async (req, res) => {
       if (err) return res.status(500).json({ error: 'Failed to parse XML' });
       const status = result?.['soap:Envelope']?.['soap:Body']?.['UpdateResponse']?.['OverallStatus'];
       if (status && status.toLowerCase().includes('ok')) {
+        clearSearchResults(req);
         res.json({ success: true });
       } else {
         res.status(500).json({ error: 'Update failed', details: status });
@@ -1698,7 +2617,7 @@ app.post('/update/emailsenddefinition', async (req, res) => {
       `;
       
       const clearResponse = await axios.post(
-        `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+        getSoapUrl(subdomain),
         clearEnvelope,
         {
           headers: {
@@ -1736,7 +2655,7 @@ app.post('/update/emailsenddefinition', async (req, res) => {
     // Log the SOAP envelope for debugging
     console.log('🔵 [Update ESD] Step 2: Main update SOAP Envelope:', soapEnvelope);
     const response = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       soapEnvelope,
       {
         headers: {
@@ -1757,6 +2676,7 @@ app.post('/update/emailsenddefinition', async (req, res) => {
     console.log(`🔍 [Update ESD] Updated BccEmail: "${BccEmail || ''}", CCEmail: "${CCEmail || ''}"`);
     
     if (status && status.toLowerCase().includes('ok')) {
+      clearSearchResults(req);
       res.json({ status: 'OK' });
     } else {
       // User-friendly error for V5 Customers restriction
@@ -1807,7 +2727,7 @@ app.post('/update/emailsenddefinition-mass', async (req, res) => {
       </soapenv:Envelope>
     `;
     const response = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       soapEnvelope,
       {
         headers: {
@@ -1820,6 +2740,7 @@ app.post('/update/emailsenddefinition-mass', async (req, res) => {
     const result = await parser.parseStringPromise(response.data);
     const status = result?.['soap:Envelope']?.['soap:Body']?.['UpdateResponse']?.['OverallStatus'];
     if (status && status.toLowerCase().includes('ok')) {
+      clearSearchResults(req);
       res.json({ status: 'OK' });
     } else {
       res.status(500).json({ status: 'ERROR', message: status });
@@ -1878,180 +2799,181 @@ app.post('/parse/emailsenddefinition-config', (req, res) => {
 });
 
 // Resolved EmailSendDefinition relationships endpoint (enrich with full details for all related objects)
+// Filtered and paged like the /search/* routes (see sendSearchRows)
 app.get('/resolved/emailsenddefinition-relationships', async (req, res) => {
   console.log(`🕐 [Resolved ESD] Request received at ${new Date().toISOString()}`);
   const accessToken = getAccessTokenFromRequest(req);
   const subdomain = getSubdomainFromRequest(req);
   if (!accessToken || !subdomain) return res.status(401).json([]);
   try {
-      
-       // Helper to fetch SOAP objects by CustomerKey
-   
-    async function fetchSoapByCustomerKeys(objectType, properties, customerKeys) {
-      if (!customerKeys.length) return {};
-      // Batch in groups of 20 (SOAP limit)
-      const batches = [];
-      for (let i = 0; i < customerKeys.length; i += 20) {
-        batches.push(customerKeys.slice(i, i + 20));
-      }
-      let allResults = [];
-      for (const batch of batches) {
-        const propsXml = properties.map(p => `<Properties>${p}</Properties>`).join('');
-        const filterXml = `
-          <Filter xsi:type=\"SimpleFilterPart\">
-            <Property>CustomerKey</Property>
-            <SimpleOperator>IN</SimpleOperator>
-            ${batch.map(k => `<Value>${k}</Value>`).join('')}
-          </Filter>
-        `;
+    await sendSearchRows(req, res, 'resolved-emailsenddefinition', async () => {
+      // Helper to fetch SOAP objects by CustomerKey
+      async function fetchSoapByCustomerKeys(objectType, properties, customerKeys) {
+        if (!customerKeys.length) return {};
+        // Batch in groups of 20 (SOAP limit)
+        const batches = [];
+        for (let i = 0; i < customerKeys.length; i += 20) {
+          batches.push(customerKeys.slice(i, i + 20));
+        }
+        let allResults = [];
+        for (const batch of batches) {
+          const propsXml = properties.map(p => `<Properties>${p}</Properties>`).join('');
+          const filterXml = `
+            <Filter xsi:type=\"SimpleFilterPart\">
+              <Property>CustomerKey</Property>
+              <SimpleOperator>IN</SimpleOperator>
+              ${batch.map(k => `<Value>${k}</Value>`).join('')}
+            </Filter>
+          `;
+          const soapEnvelope = `
+            <soapenv:Envelope xmlns:soapenv=\"http://schemas.xmlsoap.org/soap/envelope/\" xmlns:xsi=\"http://www.w3.org/2001/XMLSchema-instance\">
+              <soapenv:Header>
+                <fueloauth xmlns=\"http://exacttarget.com\">${accessToken}</fueloauth>
+              </soapenv:Header>
+              <soapenv:Body>
+                <RetrieveRequestMsg xmlns=\"http://exacttarget.com/wsdl/partnerAPI\">
+                  <RetrieveRequest>
+                    <ObjectType>${objectType}</ObjectType>
+                    ${propsXml}
+                    ${filterXml}
+                  </RetrieveRequest>
+                </RetrieveRequestMsg>
+              </soapenv:Body>
+            </soapenv:Envelope>
+          `;
+          const response = await axios.post(
+            getSoapUrl(subdomain),
+            soapEnvelope,
+            { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
+          );
+          const parser = new xml2js.Parser({ explicitArray: false });
+          const result = await parser.parseStringPromise(response.data);
+          const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
+          if (results) {
+            allResults = allResults.concat(Array.isArray(results) ? results : [results]);
+          }
+        }
+        // Map by CustomerKey
+        const map = {};
+        allResults.forEach(obj => { if (obj.CustomerKey) map[obj.CustomerKey] = obj; });
+        return map;
+      }
+
+      // Step 1: Fetch all EmailSendDefinitions
+      const sendDefs = await (async () => {
+        const props = [
+          'Name',
+          'CustomerKey',
+          'CategoryID',
+          'ModifiedDate',
+          'SendClassification.CustomerKey',
+          'SenderProfile.CustomerKey',
+          'DeliveryProfile.CustomerKey',
+          'BccEmail',
+          'CCEmail'
+        ];
+        const propsXml = props.map(p => `<Properties>${p}</Properties>`).join('');
         const soapEnvelope = `
-          <soapenv:Envelope xmlns:soapenv=\"http://schemas.xmlsoap.org/soap/envelope/\" xmlns:xsi=\"http://www.w3.org/2001/XMLSchema-instance\">
+          <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
             <soapenv:Header>
-              <fueloauth xmlns=\"http://exacttarget.com\">${accessToken}</fueloauth>
+              <fueloauth xmlns="http://exacttarget.com">${accessToken}</fueloauth>
             </soapenv:Header>
             <soapenv:Body>
-              <RetrieveRequestMsg xmlns=\"http://exacttarget.com/wsdl/partnerAPI\">
+              <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
                 <RetrieveRequest>
-                  <ObjectType>${objectType}</ObjectType>
+                  <ObjectType>EmailSendDefinition</ObjectType>
                   ${propsXml}
-                  ${filterXml}
                 </RetrieveRequest>
               </RetrieveRequestMsg>
             </soapenv:Body>
           </soapenv:Envelope>
         `;
+        // Print the SOAP request envelope for debugging (no escaping)
+        console.log("\n[SOAP REQUEST] EmailSendDefinition Retrieve (FINAL):\n" + soapEnvelope);
         const response = await axios.post(
-          `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+          getSoapUrl(subdomain),
           soapEnvelope,
           { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
         );
         const parser = new xml2js.Parser({ explicitArray: false });
         const result = await parser.parseStringPromise(response.data);
         const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-        if (results) {
-          allResults = allResults.concat(Array.isArray(results) ? results : [results]);
-        }
-      }
-      // Map by CustomerKey
-      const map = {};
-      allResults.forEach(obj => { if (obj.CustomerKey) map[obj.CustomerKey] = obj; });
-      return map;
-    }
-
-    // Step 1: Fetch all EmailSendDefinitions
-    const sendDefs = await (async () => {
-      const props = [
-        'Name',
-        'CustomerKey',
-        'CategoryID',
-        'ModifiedDate',
-        'SendClassification.CustomerKey',
-        'SenderProfile.CustomerKey',
-        'DeliveryProfile.CustomerKey',
-        'BccEmail',
-        'CCEmail'
-      ];
-      const propsXml = props.map(p => `<Properties>${p}</Properties>`).join('');
-      const soapEnvelope = `
-        <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
-          <soapenv:Header>
-            <fueloauth xmlns="http://exacttarget.com">${accessToken}</fueloauth>
-          </soapenv:Header>
-          <soapenv:Body>
-            <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-              <RetrieveRequest>
-                <ObjectType>EmailSendDefinition</ObjectType>
-                ${propsXml}
-              </RetrieveRequest>
-            </RetrieveRequestMsg>
-          </soapenv:Body>
-        </soapenv:Envelope>
-      `;
-      // Print the SOAP request envelope for debugging (no escaping)
-      console.log("\n[SOAP REQUEST] EmailSendDefinition Retrieve (FINAL):\n" + soapEnvelope);
-      const response = await axios.post(
-        `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-        soapEnvelope,
-        { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
-      );
-      const parser = new xml2js.Parser({ explicitArray: false });
-      const result = await parser.parseStringPromise(response.data);
-      const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-      // Always return array, and include full nested objects
-      const arr = results ? (Array.isArray(results) ? results : [results]) : [];
-      
-      // Debug BCC/CC fields specifically
-      arr.forEach((item, index) => {
-        console.log(`🔍 [Raw SOAP] Item ${index + 1} (${item.CustomerKey}) - Raw BccEmail:`, JSON.stringify(item.BccEmail));
-        console.log(`🔍 [Raw SOAP] Item ${index + 1} (${item.CustomerKey}) - Raw CCEmail:`, JSON.stringify(item.CCEmail));
-      });
+        // Always return array, and include full nested objects
+        const arr = results ? (Array.isArray(results) ? results : [results]) : [];
       
-      return arr.map(item => ({
-        Name: item.Name,
-        CustomerKey: item.CustomerKey,
-        CategoryID: item.CategoryID,
-        ModifiedDate: item.ModifiedDate,
-        SendClassificationKey: item['SendClassification']?.CustomerKey || item['SendClassification.CustomerKey'] || '',
-        SenderProfileKey: item['SenderProfile']?.CustomerKey || item['SenderProfile.CustomerKey'] || '',
-        DeliveryProfileKey: item['DeliveryProfile']?.CustomerKey || item['DeliveryProfile.CustomerKey'] || '',
-        BccEmail: item.BccEmail ?? '',
-        CCEmail: item.CCEmail ?? ''
-      }));
-    })();
+        // Debug BCC/CC fields specifically
+        arr.forEach((item, index) => {
+          console.log(`🔍 [Raw SOAP] Item ${index + 1} (${item.CustomerKey}) - Raw BccEmail:`, JSON.stringify(item.BccEmail));
+          console.log(`🔍 [Raw SOAP] Item ${index + 1} (${item.CustomerKey}) - Raw CCEmail:`, JSON.stringify(item.CCEmail));
+        });
+      
+        return arr.map(item => ({
+          Name: item.Name,
+          CustomerKey: item.CustomerKey,
+          CategoryID: item.CategoryID,
+          ModifiedDate: item.ModifiedDate,
+          SendClassificationKey: item['SendClassification']?.CustomerKey || item['SendClassification.CustomerKey'] || '',
+          SenderProfileKey: item['SenderProfile']?.CustomerKey || item['SenderProfile.CustomerKey'] || '',
+          DeliveryProfileKey: item['DeliveryProfile']?.CustomerKey || item['DeliveryProfile.CustomerKey'] || '',
+          BccEmail: item.BccEmail ?? '',
+          CCEmail: item.CCEmail ?? ''
+        }));
+      })();
 
-    // Step 2: Collect all unique CustomerKeys for related objects
-    const sendClassKeys = Array.from(new Set(sendDefs.map(d => d.SendClassificationKey).filter(Boolean)));
-    const senderProfileKeys = Array.from(new Set(sendDefs.map(d => d.SenderProfileKey).filter(Boolean)));
-    const deliveryProfileKeys = Array.from(new Set(sendDefs.map(d => d.DeliveryProfileKey).filter(Boolean)));
+      // Step 2: Collect all unique CustomerKeys for related objects
+      const sendClassKeys = Array.from(new Set(sendDefs.map(d => d.SendClassificationKey).filter(Boolean)));
+      const senderProfileKeys = Array.from(new Set(sendDefs.map(d => d.SenderProfileKey).filter(Boolean)));
+      const deliveryProfileKeys = Array.from(new Set(sendDefs.map(d => d.DeliveryProfileKey).filter(Boolean)));
 
-    // Step 3: Fetch details for all related objects (except DeliveryProfile which we extract directly)
-    const [sendClassMap, senderProfileMap] = await Promise.all([
-      fetchSoapByCustomerKeys('SendClassification', ['CustomerKey', 'Name', 'Description', 'SenderProfile.CustomerKey', 'DeliveryProfile.CustomerKey'], sendClassKeys),
-      fetchSoapByCustomerKeys('SenderProfile', ['CustomerKey', 'Name', 'Description'], senderProfileKeys)
-    ]);
+      // Step 3: Fetch details for all related objects (except DeliveryProfile which we extract directly)
+      const [sendClassMap, senderProfileMap] = await Promise.all([
+        fetchSoapByCustomerKeys('SendClassification', ['CustomerKey', 'Name', 'Description', 'SenderProfile.CustomerKey', 'DeliveryProfile.CustomerKey'], sendClassKeys),
+        fetchSoapByCustomerKeys('SenderProfile', ['CustomerKey', 'Name', 'Description'], senderProfileKeys)
+      ]);
 
-    // For DeliveryProfile, we use the data directly captured from EmailSendDefinitions
-    // since DeliveryProfile object doesn't support SOAP Retrieve operations
+      // For DeliveryProfile, we use the data directly captured from EmailSendDefinitions
+      // since DeliveryProfile object doesn't support SOAP Retrieve operations
 
-    // Step 4: Enrich each EmailSendDefinition with full details
-    const resolved = sendDefs.map(def => {
-      const sendClass = sendClassMap[def.SendClassificationKey] || {};
-      const senderProfile = senderProfileMap[def.SenderProfileKey] || {};
+      // Step 4: Enrich each EmailSendDefinition with full details
+      const resolved = sendDefs.map(def => {
+        const sendClass = sendClassMap[def.SendClassificationKey] || {};
+        const senderProfile = senderProfileMap[def.SenderProfileKey] || {};
       
-      // Debug logging for BCC/CC emails
-      console.log(`🔍 [Resolved ESD] ${def.CustomerKey} - BccEmail: "${def.BccEmail}", CCEmail: "${def.CCEmail}"`);
+        // Debug logging for BCC/CC emails
+        console.log(`🔍 [Resolved ESD] ${def.CustomerKey} - BccEmail: "${def.BccEmail}", CCEmail: "${def.CCEmail}"`);
       
-      return {
-        Name: def.Name,
-        CustomerKey: def.CustomerKey,
-        CategoryID: def.CategoryID,
-        ModifiedDate: def.ModifiedDate || '',
-        BccEmail: def.BccEmail ?? '',
-        CCEmail: def.CCEmail ?? '',
-        SendClassification: {
-          CustomerKey: def.SendClassificationKey,
-          Name: sendClass.Name || def.SendClassificationKey,
-          Description: sendClass.Description || '',
-          SenderProfileKey: sendClass['SenderProfile']?.CustomerKey || sendClass['SenderProfile.CustomerKey'] || '',
-          DeliveryProfileKey: sendClass['DeliveryProfile']?.CustomerKey || sendClass['DeliveryProfile.CustomerKey'] || ''
-        },
-        SenderProfile: {
-          CustomerKey: def.SenderProfileKey,
-          Name: senderProfile.Name || def.SenderProfileKey,
-          Description: senderProfile.Description || ''
-        },
-        DeliveryProfile: {
-          CustomerKey: def.DeliveryProfileKey,
-          Name: def.DeliveryProfileKey, // Use CustomerKey as name since we can't get the actual name
-          Description: ''
-        }
-      };
-    });
+        return {
+          Name: def.Name,
+          CustomerKey: def.CustomerKey,
+          CategoryID: def.CategoryID,
+          ModifiedDate: def.ModifiedDate || '',
+          BccEmail: def.BccEmail ?? '',
+          CCEmail: def.CCEmail ?? '',
+          SendClassification: {
+            CustomerKey: def.SendClassificationKey,
+            Name: sendClass.Name || def.SendClassificationKey,
+            Description: sendClass.Description || '',
+            SenderProfileKey: sendClass['SenderProfile']?.CustomerKey || sendClass['SenderProfile.CustomerKey'] || '',
+            DeliveryProfileKey: sendClass['DeliveryProfile']?.CustomerKey || sendClass['DeliveryProfile.CustomerKey'] || ''
+          },
+          SenderProfile: {
+            CustomerKey: def.SenderProfileKey,
+            Name: senderProfile.Name || def.SenderProfileKey,
+            Description: senderProfile.Description || ''
+          },
+          DeliveryProfile: {
+            CustomerKey: def.DeliveryProfileKey,
+            Name: def.DeliveryProfileKey, // Use CustomerKey as name since we can't get the actual name
+            Description: ''
+          }
+        };
+      });
     
-    console.log(`✅ [Resolved ESD] Returning ${resolved.length} records`);
-    console.log(`📧 [Resolved ESD] Sample record:`, JSON.stringify(resolved[0], null, 2));
+      console.log(`✅ [Resolved ESD] Returning ${resolved.length} records`);
+      console.log(`📧 [Resolved ESD] Sample record:`, JSON.stringify(resolved[0], null, 2));
     
-    res.json(resolved);
+      return resolved;
+    });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -2081,7 +3003,7 @@ app.get('/describe-soap-object', async (req, res) => {
       </soapenv:Envelope>
     `;
     const response = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       soapEnvelope,
       {
         headers: {
@@ -2092,8 +3014,9 @@ app.get('/describe-soap-object', async (req, res) => {
     );
     const parser = new xml2js.Parser({ explicitArray: false });
     const result = await parser.parseStringPromise(response.data);
-    const objDef = result?.['soap:Envelope']?.['soap:Body']?.['DescribeResponseMsg']?.['ObjectDefinition'] || {};
-    let props = objDef?.Properties?.PropertyDefinition || [];
+    const body = result?.['soap:Envelope']?.['soap:Body'];
+    const objDef = (body?.['DescribeResponseMsg'] || body?.['DefinitionResponseMsg'])?.['ObjectDefinition'] || {};
+    let props = objDef?.Properties?.PropertyDefinition || objDef?.Properties || [];
     if (!Array.isArray(props)) props = [props];
     const retrievableProps = props.filter(p => p.IsRetrievable === 'true' || p.IsRetrievable === true);
     //console.log(`\n[SOAP Describe] Retrievable properties for ${objectType}:`);
@@ -2131,71 +3054,25 @@ app.get('/search/publication', async (req, res) => {
     return res.status(401).json([]);
   }
   try {
-    const soapEnvelope = `
-      <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
-                        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-                        xmlns:xsd="http://www.w3.org/2001/XMLSchema">
-        <soapenv:Header>
-          <fueloauth xmlns="http://exacttarget.com">${accessToken}</fueloauth>
-        </soapenv:Header>
-        <soapenv:Body>
-          <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-            <RetrieveRequest>
-              <ObjectType>Publication</ObjectType>
-              <Properties>ID</Properties>
-              <Properties>Name</Properties>
-              <Properties>Category</Properties>
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </soapenv:Body>
-      </soapenv:Envelope>
-    `;
-    // Log the SOAP envelope for debugging
-    console.log('🔵 [Publication] SOAP Envelope:', soapEnvelope);
-    try {
-      const response = await axios.post(
-        `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-        soapEnvelope,
-        {
-          headers: {
-            'Content-Type': 'text/xml',
-            SOAPAction: 'Retrieve',
-          },
-        }
-      );
-      // Log the raw SOAP response
-      console.log('🔵 [Publication] SOAP Response:', response.data);
-      const parser = new xml2js.Parser({ explicitArray: false });
-      parser.parseString(response.data, (err, result) => {
-        if (err) {
-          console.error('❌ [Publication] Failed to parse XML:', err);
-          return res.status(500).json({ error: 'Failed to parse XML' });
-        }
-        try {
-          const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-          if (!results) return res.status(200).json([]);
-          const resultArray = Array.isArray(results) ? results : [results];
-          const pubs = resultArray.map(pub => ({
-            id: pub.ID || '',
-            name: pub.Name || '',
-            category: pub.Category || ''
-          }));
-          res.json(pubs);
-        } catch (e) {
-          console.error('❌ [Publication] Unexpected format:', e);
-          res.status(500).json({ error: 'Unexpected Publication format' });
-        }
+    await sendSearchRows(req, res, 'publication', async () => {
+      const resultArray = await retrieveAll(subdomain, accessToken, {
+        objectType: 'Publication',
+        properties: ['ID', 'Name', 'Category']
       });
-    } catch (err) {
-      // Log the error response body if available
-      if (err.response && err.response.data) {
-        console.error('❌ [Publication] SOAP Error Response:', err.response.data);
-      } else {
-        console.error('❌ [Publication] Request Error:', err.message);
-      }
-      res.status(500).json({ error: 'Failed to fetch Publications' });
-    }
+      const pubs = resultArray.map(pub => ({
+        id: pub.ID || '',
+        name: pub.Name || '',
+        category: pub.Category || ''
+      }));
+      return pubs;
+    });
   } catch (err) {
+    // Log the error response body if available
+    if (err.response && err.response.data) {
+      console.error('❌ [Publication] SOAP Error Response:', err.response.data);
+    } else {
+      console.error('❌ [Publication] Request Error:', err.message);
+    }
     res.status(500).json({ error: 'Failed to fetch Publications' });
   }
 });
@@ -2212,50 +3089,7 @@ app.post('/create/dm-dataextension', async (req, res) => {
     const parser = new xml2js.Parser({ explicitArray: false });
 
     // Step 1: Get root folder for dataextension
-    const getRootFolderSoap = `
-  <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
-    <soapenv:Header>
-      <fueloauth xmlns="http://exacttarget.com">${accessToken}</fueloauth>
-    </soapenv:Header>
-    <soapenv:Body>
-      <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-        <RetrieveRequest>
-          <ObjectType>DataFolder</ObjectType>
-          <Properties>ID</Properties>
-          <Properties>Name</Properties>
-          <Properties>ContentType</Properties>
-          <Properties>ParentFolder.ID</Properties>
-          <Filter xsi:type="SimpleFilterPart">
-            <Property>ContentType</Property>
-            <SimpleOperator>equals</SimpleOperator>
-            <Value>dataextension</Value>
-          </Filter>
-        </RetrieveRequest>
-      </RetrieveRequestMsg>
-    </soapenv:Body>
-  </soapenv:Envelope>
-`;
-
-
-    const rootResp = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-      getRootFolderSoap,
-      { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
-    );
-
-    const rootParsed = await parser.parseStringPromise(rootResp.data);
-    const rootFolders = rootParsed?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-
-let parentId = null;
-
-if (Array.isArray(rootFolders)) {
-  const rootDEFolder = rootFolders.find(f => f.ContentType === 'dataextension' && f['ParentFolder']?.ID === '0');
-  parentId = rootDEFolder?.ID;
-} else if (rootFolders?.ContentType === 'dataextension' && rootFolders?.ParentFolder?.ID === '0') {
-  parentId = rootFolders.ID;
-}
-
-
+    const parentId = await getRootDataExtensionFolderId(accessToken, subdomain);
     if (!parentId) return res.status(500).json({ status: 'ERROR', message: 'Root folder for dataextensions not found' });
 
      // Step 2: Try to find folder first
@@ -2285,7 +3119,7 @@ if (Array.isArray(rootFolders)) {
     `;
 
     const folderResp = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       folderSoap,
       { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
     );
@@ -2301,44 +3135,7 @@ if (Array.isArray(rootFolders)) {
       // Step 3: Create folder if not found
     if (!folderId) {
       console.log('[Resolved Root DataExtension Folder ID]', parentId);
-
-      const createFolderSoap = `
-  <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
-                    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
-    <soapenv:Header>
-      <fueloauth>${accessToken}</fueloauth>
-    </soapenv:Header>
-    <soapenv:Body>
-      <CreateRequest xmlns="http://exacttarget.com/wsdl/partnerAPI">
-        <Options/>
-        <Objects xsi:type="DataFolder">
-         <!-- <CustomerKey>${folderName}</CustomerKey> -->
-          <Name>${folderName}</Name>
-          <Description>${folderName}</Description>
-          <ContentType>dataextension</ContentType>
-          <IsActive>true</IsActive>
-          <IsEditable>true</IsEditable>
-          <AllowChildren>true</AllowChildren>
-          <ParentFolder>
-            <ID>${parentId}</ID>
-            <ObjectID xsi:nil="true"/>
-            <CustomerKey xsi:nil="true"/>
-          </ParentFolder>
-        </Objects>
-      </CreateRequest>
-    </soapenv:Body>
-  </soapenv:Envelope>
-`;
-
-
-      const createFolderResp = await axios.post(
-        `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-        createFolderSoap,
-        { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Create' } }
-      );
-console.log('[SOAP Folder Create Raw]', createFolderResp.data);
-      const createFolderResult = await parser.parseStringPromise(createFolderResp.data);
-      folderId = createFolderResult?.['soap:Envelope']?.['soap:Body']?.['CreateResponse']?.['Results']?.['NewID'];
+      folderId = await createDataExtensionFolderSOAP(folderName, parentId, accessToken, subdomain);
     }
 
 
@@ -2395,7 +3192,7 @@ console.log('[SOAP Folder Create Raw]', createFolderResp.data);
       </soapenv:Envelope>
     `;
     const deResp = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       deSoap,
       { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Create' } }
     );
@@ -2446,7 +3243,7 @@ console.log('[SOAP Folder Create Raw]', createFolderResp.data);
     `;
 
     const retrieveResp = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       deRetrieveSoap,
       { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
     );
@@ -2496,7 +3293,7 @@ console.log('[SOAP Folder Create Raw]', createFolderResp.data);
     console.log('[Creating Event Definition with payload]', JSON.stringify(eventDefPayload, null, 2));
     
     const eventDefResp = await axios.post(
-      `https://${subdomain}.rest.marketingcloudapis.com/interaction/v1/eventDefinitions`,
+      `${getRestBaseUrl(subdomain)}/interaction/v1/eventDefinitions`,
       eventDefPayload,
       {
         headers: {
@@ -2569,7 +3366,7 @@ console.log('[SOAP Folder Create Raw]', createFolderResp.data);
 
     try {
       const journeyResp = await axios.post(
-        `https://${subdomain}.rest.marketingcloudapis.com/interaction/v1/interactions`,
+        `${getRestBaseUrl(subdomain)}/interaction/v1/interactions`,
         journeyPayload,
         {
           headers: {
@@ -2773,72 +3570,225 @@ app.post('/preference-center/configure', async (req, res) => {
   }
 });
 
-// Helper to create a Data Extension in Marketing Cloud using SOAP
-async function createDataExtensionSOAP(deName, deDef, accessToken, subdomain) {
-  const fieldsXml = deDef.Fields.map(f => {
-    // Only include MaxLength for Text and EmailAddress fields
-    const maxLengthXml = (f.FieldType === 'Text' || f.FieldType === 'EmailAddress') ? `<MaxLength>${f.MaxLength || 100}</MaxLength>` : '';
-    return `
+// <Field> element of a Data Extension field for the SOAP create and update calls
+function dataExtensionFieldXml(f) {
+  // Only include MaxLength for Text and EmailAddress fields, and precision/scale for Decimal fields
+  let sizeXml = '';
+  if (f.FieldType === 'Text' || f.FieldType === 'EmailAddress') sizeXml = `<MaxLength>${f.MaxLength || 100}</MaxLength>`;
+  else if (f.FieldType === 'Phone' && f.MaxLength) sizeXml = `<MaxLength>${f.MaxLength}</MaxLength>`;
+  else if (f.FieldType === 'Decimal') sizeXml = `<MaxLength>${f.MaxLength || 18}</MaxLength><Scale>${f.Scale || 0}</Scale>`;
+  const defaultXml = f.DefaultValue ? `<DefaultValue>${escapeXml(f.DefaultValue)}</DefaultValue>` : '';
+  return `
       <Field>
-        <Name>${f.Name}</Name>
+        <Name>${escapeXml(f.Name)}</Name>
         <FieldType>${f.FieldType}</FieldType>
-        ${maxLengthXml}
+        ${sizeXml}
         <IsRequired>${f.IsRequired ? 'true' : 'false'}</IsRequired>
         <IsPrimaryKey>${f.IsPrimaryKey ? 'true' : 'false'}</IsPrimaryKey>
+        ${defaultXml}
       </Field>`;
-  }).join('');
+}
+
+// Helper to create a Data Extension in Marketing Cloud using SOAP
+async function createDataExtensionSOAP(deName, deDef, accessToken, subdomain) {
+  const fieldsXml = deDef.Fields.map(dataExtensionFieldXml).join('');
 
   const keysXml = deDef.Keys && deDef.Keys.length > 0
     ? `<Keys>${deDef.Keys.map(k => `
       <Key>
-        <Name>${k.Name}</Name>
+        <Name>${escapeXml(k.Name)}</Name>
         <IsPrimaryKey>${k.IsPrimaryKey ? 'true' : 'false'}</IsPrimaryKey>
       </Key>`).join('')}
     </Keys>` : '';
 
+  // Optional folder, sendable relationship and retention (used when cloning a DE)
+  const categoryXml = deDef.CategoryID ? `<CategoryID>${escapeXml(deDef.CategoryID)}</CategoryID>` : '';
+  const sendableXml = deDef.IsSendable ? `
+            <IsSendable>true</IsSendable>
+            <IsTestable>${deDef.IsTestable ? 'true' : 'false'}</IsTestable>
+            <SendableDataExtensionField><Name>${escapeXml(deDef.SendableDataExtensionField)}</Name></SendableDataExtensionField>
+            <SendableSubscriberField><Name>${escapeXml(deDef.SendableSubscriberField)}</Name></SendableSubscriberField>` : '';
+  const retention = deDef.Retention;
+  const retentionXml = retention ? [
+    retention.periodLength && `<DataRetentionPeriodLength>${retention.periodLength}</DataRetentionPeriodLength>`,
+    retention.periodLength && retention.period && `<DataRetentionPeriod>${escapeXml(retention.period)}</DataRetentionPeriod>`,
+    retention.retainUntil && `<RetainUntil>${escapeXml(retention.retainUntil)}</RetainUntil>`,
+    `<RowBasedRetention>${retention.rowBased ? 'true' : 'false'}</RowBasedRetention>`,
+    `<ResetRetentionPeriodOnImport>${retention.resetOnImport ? 'true' : 'false'}</ResetRetentionPeriodOnImport>`,
+    `<DeleteAtEndOfRetentionPeriod>${retention.deleteAtEndOfPeriod ? 'true' : 'false'}</DeleteAtEndOfRetentionPeriod>`
+  ].filter(Boolean).join('') : '';
+
+  const soapEnvelope = `
+    <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+      <soapenv:Header>
+        <fueloauth>${accessToken}</fueloauth>
+      </soapenv:Header>
+      <soapenv:Body>
+        <CreateRequest xmlns="http://exacttarget.com/wsdl/partnerAPI">
+          <Objects xsi:type="DataExtension">
+            <Name>${escapeXml(deName)}</Name>
+            <CustomerKey>${escapeXml(deDef.CustomerKey || deName)}</CustomerKey>
+            <Description>${escapeXml(deDef.Description || '')}</Description>
+            ${categoryXml}${sendableXml}${retentionXml}
+            <Fields>
+              ${fieldsXml}
+            </Fields>
+            ${keysXml}
+          </Objects>
+        </CreateRequest>
+      </soapenv:Body>
+    </soapenv:Envelope>
+  `;
+
+  // Debug: Log the final SOAP envelope
+  console.log('[SOAP Envelope]', soapEnvelope);
+
+  const url = getSoapUrl(subdomain);
+  const resp = await axios.post(url, soapEnvelope, {
+    headers: { 'Content-Type': 'text/xml', SOAPAction: 'Create' }
+  });
+
+  if (!resp.data.includes('<OverallStatus>OK</OverallStatus>')) {
+    if (resp.data.includes('DataExtension with CustomerKey already exists') || resp.data.includes('Updating an existing Data Extension definition is not allowed')) {
+      console.log(`[Info] DE '${deName}' already exists or cannot be updated. Skipping create.`);
+      return true;
+    }
+    throw new Error('Failed to create DE: ' + deName + '\nResponse: ' + resp.data);
+  }
+
+  return true;
+}
+
+/**
+ * Helper to update an existing Data Extension using SOAP: description, folder, new fields
+ * and longer MaxLengths (an entry with ObjectID and MaxLength changes an existing field).
+ * @param {string} customerKey - DE CustomerKey
+ * @param {object} changes - { Description?, CategoryID?, Fields?: [{ Name, FieldType, ... } | { ObjectID, Name, MaxLength }] }
+ */
+async function updateDataExtensionSOAP(customerKey, changes, accessToken, subdomain) {
+  const fieldsXml = (changes.Fields || []).map(f => (f.ObjectID
+    ? `
+      <Field>
+        <ObjectID>${escapeXml(f.ObjectID)}</ObjectID>
+        <Name>${escapeXml(f.Name)}</Name>
+        <MaxLength>${f.MaxLength}</MaxLength>
+      </Field>`
+    : dataExtensionFieldXml(f))).join('');
+
   const soapEnvelope = `
     <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
       <soapenv:Header>
         <fueloauth>${accessToken}</fueloauth>
       </soapenv:Header>
       <soapenv:Body>
-        <CreateRequest xmlns="http://exacttarget.com/wsdl/partnerAPI">
+        <UpdateRequest xmlns="http://exacttarget.com/wsdl/partnerAPI">
           <Objects xsi:type="DataExtension">
-            <Name>${deName}</Name>
-            <CustomerKey>${deName}</CustomerKey>
-            <Description>${deDef.Description || ''}</Description>
-            <Fields>
-              ${fieldsXml}
-            </Fields>
-            ${keysXml}
+            <CustomerKey>${escapeXml(customerKey)}</CustomerKey>
+            ${changes.Description !== undefined ? `<Description>${escapeXml(changes.Description)}</Description>` : ''}
+            ${changes.CategoryID ? `<CategoryID>${escapeXml(changes.CategoryID)}</CategoryID>` : ''}
+            ${fieldsXml ? `<Fields>${fieldsXml}</Fields>` : ''}
           </Objects>
-        </CreateRequest>
+        </UpdateRequest>
       </soapenv:Body>
     </soapenv:Envelope>
   `;
 
-  // Debug: Log the final SOAP envelope
-  console.log('[SOAP Envelope]', soapEnvelope);
+  const resp = await axios.post(getSoapUrl(subdomain), soapEnvelope, {
+    headers: { 'Content-Type': 'text/xml', SOAPAction: 'Update' }
+  });
+  const updateResponse = await parseSoapMessage(resp.data, 'UpdateResponse');
+  if (updateResponse?.OverallStatus !== 'OK') {
+    const message = toArray(updateResponse?.Results).map(r => r.StatusMessage).filter(Boolean).join('; ');
+    throw new Error(`Failed to update DE ${customerKey}: ${message || updateResponse?.OverallStatus || 'no response'}`);
+  }
+  return true;
+}
 
-  const url = `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`;
-  const resp = await axios.post(url, soapEnvelope, {
-    headers: { 'Content-Type': 'text/xml', SOAPAction: 'Create' }
+// Helper to find the root Data Extensions folder (the dataextension folder whose parent is 0) using SOAP
+async function getRootDataExtensionFolderId(accessToken, subdomain) {
+  const folders = await retrieveAll(subdomain, accessToken, {
+    objectType: 'DataFolder',
+    properties: ['ID', 'Name', 'ContentType', 'ParentFolder.ID'],
+    filter: { property: 'ContentType', operator: 'equals', value: 'dataextension' }
   });
+  const root = folders.find(f => f.ContentType === 'dataextension' && f.ParentFolder?.ID === '0');
+  return root ? String(root.ID) : null;
+}
 
-  if (!resp.data.includes('<OverallStatus>OK</OverallStatus>')) {
-    if (resp.data.includes('DataExtension with CustomerKey already exists') || resp.data.includes('Updating an existing Data Extension definition is not allowed')) {
-      console.log(`[Info] DE '${deName}' already exists or cannot be updated. Skipping create.`);
-      return true;
+// Helper to create a Data Extension folder under a parent folder using SOAP, returns the new folder ID
+async function createDataExtensionFolderSOAP(folderName, parentId, accessToken, subdomain) {
+  const createFolderSoap = `
+  <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+    <soapenv:Header>
+      <fueloauth>${accessToken}</fueloauth>
+    </soapenv:Header>
+    <soapenv:Body>
+      <CreateRequest xmlns="http://exacttarget.com/wsdl/partnerAPI">
+        <Options/>
+        <Objects xsi:type="DataFolder">
+          <Name>${escapeXml(folderName)}</Name>
+          <Description>${escapeXml(folderName)}</Description>
+          <ContentType>dataextension</ContentType>
+          <IsActive>true</IsActive>
+          <IsEditable>true</IsEditable>
+          <AllowChildren>true</AllowChildren>
+          <ParentFolder>
+            <ID>${escapeXml(parentId)}</ID>
+            <ObjectID xsi:nil="true"/>
+            <CustomerKey xsi:nil="true"/>
+          </ParentFolder>
+        </Objects>
+      </CreateRequest>
+    </soapenv:Body>
+  </soapenv:Envelope>
+`;
+
+  const createFolderResp = await axios.post(
+    getSoapUrl(subdomain),
+    createFolderSoap,
+    { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Create' } }
+  );
+  console.log('[SOAP Folder Create Raw]', createFolderResp.data);
+  const createResponse = await parseSoapMessage(createFolderResp.data, 'CreateResponse');
+  const newId = toArray(createResponse?.Results)[0]?.NewID;
+  return newId && newId !== '0' ? String(newId) : null;
+}
+
+/**
+ * Resolve a Data Extension folder path ("Data Extensions/Marketing/Clones") to a folder ID.
+ * The root folder name may be left out. Missing folders are created when `create` is set.
+ * @returns {Promise<{ folderId: string|null, missing: string[] }>} - missing: path parts that do not exist (yet)
+ */
+async function resolveDataExtensionFolderPath(folderPath, accessToken, subdomain, { create = false } = {}) {
+  const [folderMap, rootId] = await Promise.all([
+    retrieveFolderMap(subdomain, accessToken, 'dataextension'),
+    getRootDataExtensionFolderId(accessToken, subdomain)
+  ]);
+  if (!rootId) throw new Error('Root folder for dataextensions not found');
+
+  const parts = String(folderPath || '').split('/').map(part => part.trim()).filter(Boolean);
+  if (parts.length && parts[0] === folderMap[rootId]?.Name) parts.shift();
+
+  let folderId = rootId;
+  for (let i = 0; i < parts.length; i++) {
+    const child = Object.values(folderMap).find(f => f.Name === parts[i] && String(f.ParentFolder?.ID) === folderId);
+    if (child) {
+      folderId = String(child.ID);
+      continue;
     }
-    throw new Error('Failed to create DE: ' + deName + '\nResponse: ' + resp.data);
+    if (!create) return { folderId: null, missing: parts.slice(i) };
+    const createdId = await createDataExtensionFolderSOAP(parts[i], folderId, accessToken, subdomain);
+    if (!createdId) throw new Error(`Failed to create folder "${parts[i]}"`);
+    console.log(`✅ [DE Folders] Created folder "${parts[i]}" (${createdId})`);
+    folderId = createdId;
   }
-
-  return true;
+  return { folderId, missing: [] };
 }
 
 // Helper to insert a row into a Data Extension using REST API
 async function insertRowToDE(deName, rowData, accessToken, subdomain) {
-  const url = `https://${subdomain}.rest.marketingcloudapis.com/hub/v1/dataevents/key:${deName}/rowset`;
+  const url = `${getRestBaseUrl(subdomain)}/hub/v1/dataevents/key:${deName}/rowset`;
 
   const payload = [
     {
@@ -2864,7 +3814,7 @@ async function insertRowToDE(deName, rowData, accessToken, subdomain) {
 
 // Helper to upsert a row into a Data Extension using REST API
 async function upsertRowToDE(deName, rowData, accessToken, subdomain, primaryKeys = ['IntegrationType']) {
-  const url = `https://${subdomain}.rest.marketingcloudapis.com/hub/v1/dataevents/key:${deName}/rowset`;
+  const url = `${getRestBaseUrl(subdomain)}/hub/v1/dataevents/key:${deName}/rowset`;
   const keys = {};
   primaryKeys.forEach(k => { keys[k] = rowData[k]; });
   const payload = [
@@ -2888,7 +3838,7 @@ async function upsertRowToDE(deName, rowData, accessToken, subdomain, primaryKey
 
 // Helper to check if a Data Extension exists using REST API
 async function dataExtensionExists(deName, accessToken, subdomain) {
-  const url = `https://${subdomain}.rest.marketingcloudapis.com/hub/v1/dataevents/key:${deName}`;
+  const url = `${getRestBaseUrl(subdomain)}/hub/v1/dataevents/key:${deName}`;
   try {
     const resp = await axios.get(url, {
       headers: {
@@ -2909,7 +3859,7 @@ async function dataExtensionExists(deName, accessToken, subdomain) {
 
 // Helper: Get Publication List ID by name
 async function getPublicationListIdByName(listName, accessToken, subdomain) {
-  const url = `https://${subdomain}.rest.marketingcloudapis.com/contacts/v1/lists?$filter=name eq '${listName}'`;
+  const url = `${getRestBaseUrl(subdomain)}/contacts/v1/lists?$filter=name eq '${listName}'`;
   try {
     const resp = await axios.get(url, {
       headers: {
@@ -2929,7 +3879,7 @@ async function getPublicationListIdByName(listName, accessToken, subdomain) {
 
 // Helper: Create Publication List
 async function createPublicationList(listName, description, accessToken, subdomain) {
-  const url = `https://${subdomain}.rest.marketingcloudapis.com/contacts/v1/lists`;
+  const url = `${getRestBaseUrl(subdomain)}/contacts/v1/lists`;
   const payload = {
     name: listName,
     description: description,
@@ -2980,7 +3930,7 @@ async function createPublicationListSOAP(listName, accessToken, subdomain) {
   `;
   // Debug: Log the SOAP envelope being sent
   console.log('[DEBUG] Publication List SOAP Envelope:', soapEnvelope);
-  const url = `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`;
+  const url = getSoapUrl(subdomain);
   const resp = await axios.post(url, soapEnvelope, {
     headers: { 'Content-Type': 'text/xml', SOAPAction: 'Create' }
   });
@@ -3104,7 +4054,7 @@ app.post('/createEmailArchiveDE', async (req, res) => {
     `;
 
     const rootResp = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       getRootFolderSoap,
       { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
     );
@@ -3150,7 +4100,7 @@ app.post('/createEmailArchiveDE', async (req, res) => {
     `;
 
     const folderResp = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       folderSoap,
       { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
     );
@@ -3197,7 +4147,7 @@ app.post('/createEmailArchiveDE', async (req, res) => {
 `;
 
       const createFolderResp = await axios.post(
-        `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+        getSoapUrl(subdomain),
         createFolderSoap,
         { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Create' } }
       );
@@ -3232,7 +4182,7 @@ app.post('/createEmailArchiveDE', async (req, res) => {
         `;
         
         const findExistingResp = await axios.post(
-          `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+          getSoapUrl(subdomain),
           findExistingFolderSoap,
           { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
         );
@@ -3281,7 +4231,7 @@ app.post('/createEmailArchiveDE', async (req, res) => {
     `;
 
     const checkDEResp = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       checkDESoap,
       { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' } }
     );
@@ -3297,7 +4247,7 @@ app.post('/createEmailArchiveDE', async (req, res) => {
       console.log(`📁 [Content Builder] Checking if folder '${contentFolderName}' exists (DE already exists case)`);
       
       try {
-        console.log(`📁 [Content Builder] Making request to: https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/categories?$filter=name eq '${contentFolderName}' (DE exists case)`);
+        console.log(`📁 [Content Builder] Making request to: ${getRestBaseUrl(subdomain)}/asset/v1/content/categories?$filter=name eq '${contentFolderName}' (DE exists case)`);
         console.log(`📁 [Content Builder] Using access token: ${accessToken ? accessToken.substring(0, 20) + '...' : 'NULL'}`);
         
         // Try without filter first to see if basic endpoint works
@@ -3306,7 +4256,7 @@ app.post('/createEmailArchiveDE', async (req, res) => {
           // Try with properly encoded filter
           const filterParam = encodeURIComponent(`name eq '${contentFolderName}'`);
           checkContentFolderResp = await axios.get(
-            `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/categories?$filter=${filterParam}`,
+            `${getRestBaseUrl(subdomain)}/asset/v1/content/categories?$filter=${filterParam}`,
             {
               headers: {
                 'Authorization': `Bearer ${accessToken}`,
@@ -3319,7 +4269,7 @@ app.post('/createEmailArchiveDE', async (req, res) => {
           console.log('📁 [Content Builder] Filter error details:', filterError.response?.status, filterError.response?.data);
           // If filter fails, try getting all categories and filter manually
           checkContentFolderResp = await axios.get(
-            `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/categories`,
+            `${getRestBaseUrl(subdomain)}/asset/v1/content/categories`,
             {
               headers: {
                 'Authorization': `Bearer ${accessToken}`,
@@ -3367,7 +4317,7 @@ app.post('/createEmailArchiveDE', async (req, res) => {
           };
           
           const createContentFolderResp = await axios.post(
-            `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/categories`,
+            `${getRestBaseUrl(subdomain)}/asset/v1/content/categories`,
             createContentFolderPayload,
             {
               headers: {
@@ -3390,7 +4340,7 @@ app.post('/createEmailArchiveDE', async (req, res) => {
         if (contentFolderId) {
           // Search for existing content block
           const searchContentBlockResp = await axios.get(
-            `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/assets?$filter=name eq '${contentBlockName}'`,
+            `${getRestBaseUrl(subdomain)}/asset/v1/content/assets?$filter=name eq '${contentBlockName}'`,
             {
               headers: {
                 'Authorization': `Bearer ${accessToken}`,
@@ -3460,7 +4410,7 @@ ENDIF
             
             try {
               await axios.patch(
-                `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/assets/${contentBlockId}`,
+                `${getRestBaseUrl(subdomain)}/asset/v1/content/assets/${contentBlockId}`,
                 updateContentBlockPayload,
                 {
                   headers: {
@@ -3485,7 +4435,7 @@ ENDIF
             
             try {
               const createContentBlockResp = await axios.post(
-                `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/assets`,
+                `${getRestBaseUrl(subdomain)}/asset/v1/content/assets`,
                 createContentBlockPayload,
                 {
                   headers: {
@@ -3594,7 +4544,7 @@ ENDIF
     `;
 
     const deResp = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       deSoap,
       { headers: { 'Content-Type': 'text/xml', SOAPAction: 'Create' } }
     );
@@ -3614,7 +4564,7 @@ ENDIF
       console.log(`📁 [Content Builder] Checking if folder '${contentFolderName}' exists`);
       
       try {
-        console.log(`📁 [Content Builder] Making request to: https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/categories?$filter=name eq '${contentFolderName}'`);
+        console.log(`📁 [Content Builder] Making request to: ${getRestBaseUrl(subdomain)}/asset/v1/content/categories?$filter=name eq '${contentFolderName}'`);
         console.log(`📁 [Content Builder] Using access token: ${accessToken ? accessToken.substring(0, 20) + '...' : 'NULL'}`);
         
         // Try without filter first to see if basic endpoint works
@@ -3623,7 +4573,7 @@ ENDIF
           // Try with properly encoded filter
           const filterParam = encodeURIComponent(`name eq '${contentFolderName}'`);
           checkContentFolderResp = await axios.get(
-            `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/categories?$filter=${filterParam}`,
+            `${getRestBaseUrl(subdomain)}/asset/v1/content/categories?$filter=${filterParam}`,
             {
               headers: {
                 'Authorization': `Bearer ${accessToken}`,
@@ -3636,7 +4586,7 @@ ENDIF
           console.log('📁 [Content Builder] Filter error details:', filterError.response?.status, filterError.response?.data);
           // If filter fails, try getting all categories and filter manually
           checkContentFolderResp = await axios.get(
-            `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/categories`,
+            `${getRestBaseUrl(subdomain)}/asset/v1/content/categories`,
             {
               headers: {
                 'Authorization': `Bearer ${accessToken}`,
@@ -3685,7 +4635,7 @@ ENDIF
             };
             
             const createContentFolderResp = await axios.post(
-              `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/categories`,
+              `${getRestBaseUrl(subdomain)}/asset/v1/content/categories`,
               createContentFolderPayload,
               {
                 headers: {
@@ -3718,7 +4668,7 @@ ENDIF
           
           try {
             const recheckContentFolderResp = await axios.get(
-              `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/categories?$filter=name eq '${contentFolderName}'`,
+              `${getRestBaseUrl(subdomain)}/asset/v1/content/categories?$filter=name eq '${contentFolderName}'`,
               {
                 headers: {
                   'Authorization': `Bearer ${accessToken}`,
@@ -3754,7 +4704,7 @@ ENDIF
           try {
             // Step 8a: Search for existing content block by name (globally first, then by folder)
             const searchContentBlockResp = await axios.get(
-              `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/assets?$filter=name eq '${contentBlockName}'`,
+              `${getRestBaseUrl(subdomain)}/asset/v1/content/assets?$filter=name eq '${contentBlockName}'`,
               {
                 headers: {
                   'Authorization': `Bearer ${accessToken}`,
@@ -3836,7 +4786,7 @@ ENDIF
               
               try {
                 const updateContentBlockResp = await axios.patch(
-                  `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/assets/${contentBlockId}`,
+                  `${getRestBaseUrl(subdomain)}/asset/v1/content/assets/${contentBlockId}`,
                   updateContentBlockPayload,
                   {
                     headers: {
@@ -3877,7 +4827,7 @@ ENDIF
               
               try {
                 const createContentBlockResp = await axios.post(
-                  `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/assets`,
+                  `${getRestBaseUrl(subdomain)}/asset/v1/content/assets`,
                   createContentBlockPayload,
                   {
                     headers: {
@@ -4013,72 +4963,24 @@ app.get('/emails/list', async (req, res) => {
     try {
       console.log('📧 [Email List - SOAP] Retrieving Classic emails via SOAP API');
       
-      const soapEnvelope = `
-        <s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
-          <s:Header>
-            <fueloauth>${accessToken}</fueloauth>
-          </s:Header>
-          <s:Body>
-            <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-              <RetrieveRequest>
-                <ObjectType>Email</ObjectType>
-                <Properties>ID</Properties>
-                <Properties>Name</Properties>
-                <QueryAllAccounts>true</QueryAllAccounts>
-                <Options>
-                  <BatchSize>50</BatchSize>
-                </Options>
-              </RetrieveRequest>
-            </RetrieveRequestMsg>
-          </s:Body>
-        </s:Envelope>
-      `;
-
-      const soapResponse = await axios.post(
-        `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-        soapEnvelope,
-        {
-          headers: {
-            'Content-Type': 'text/xml',
-            SOAPAction: 'Retrieve',
-          },
-        }
-      );
-
-      console.log('📧 [Email List - SOAP] SOAP Response received, parsing...');
-      // console.log('📧 [Email List - SOAP] Raw SOAP Response:', soapResponse.data); // Commented out to reduce log size
-      
-      const parser = new xml2js.Parser({ explicitArray: false });
-      
-      const soapResult = await parser.parseStringPromise(soapResponse.data);
-      // console.log('📧 [Email List - SOAP] Parsed XML Result:', JSON.stringify(soapResult, null, 2)); // Commented out to reduce log size
+      const soapResultArray = await retrieveAll(subdomain, accessToken, {
+        objectType: 'Email',
+        properties: ['ID', 'Name'],
+        queryAllAccounts: true
+      });
 
-      const soapRetrieveResponse = soapResult?.['s:Envelope']?.['s:Body']?.['RetrieveResponseMsg'] || 
-                                  soapResult?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg'];
-      // console.log('📧 [Email List - SOAP] Retrieve Response Msg:', JSON.stringify(soapRetrieveResponse, null, 2)); // Commented out to reduce log size
-      
-      // Check for SOAP errors
-      if (soapRetrieveResponse?.OverallStatus === 'Error') {
-        console.error('❌ [Email List - SOAP] SOAP Error:', soapRetrieveResponse.Results?.StatusMessage || 'Unknown error');
-      } else {
-        const soapResults = soapRetrieveResponse?.['Results'];
-        // console.log('📧 [Email List - SOAP] Results:', JSON.stringify(soapResults, null, 2)); // Commented out to reduce log size
+      if (soapResultArray.length > 0) {
+        const soapEmails = soapResultArray
+          .filter(email => email && email.ID) // Filter out invalid entries
+          .map(email => ({
+            id: String(email.ID),
+            name: String(email.Name || 'Untitled Email').substring(0, 100)
+          }));
         
-        if (soapResults) {
-          const soapResultArray = Array.isArray(soapResults) ? soapResults : [soapResults];
-          
-          const soapEmails = soapResultArray
-            .filter(email => email && email.ID) // Filter out invalid entries
-            .map(email => ({
-              id: String(email.ID),
-              name: String(email.Name || 'Untitled Email').substring(0, 100)
-            }));
-          
-          allEmails = allEmails.concat(soapEmails);
-          console.log(`📧 [Email List - SOAP] Successfully retrieved ${soapEmails.length} Classic emails`);
-        } else {
-          console.log('📧 [Email List - SOAP] No Classic emails found');
-        }
+        allEmails = allEmails.concat(soapEmails);
+        console.log(`📧 [Email List - SOAP] Successfully retrieved ${soapEmails.length} Classic emails`);
+      } else {
+        console.log('📧 [Email List - SOAP] No Classic emails found');
       }
     } catch (soapError) {
       console.error('❌ [Email List - SOAP] SOAP API Error:', soapError.message);
@@ -4091,22 +4993,17 @@ app.get('/emails/list', async (req, res) => {
     try {
       console.log('📧 [Email List - REST] Retrieving Content Builder emails via REST API');
       
-      const restResponse = await axios.get(
-        `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/assets?$pagesize=50&$filter=assetType.id in (207,208,209)`,
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
+      const restItems = await fetchAllRestItems(
+        `${getRestBaseUrl(subdomain)}/asset/v1/content/assets?$filter=assetType.id in (207,208,209)`,
+        accessToken,
+        250
       );
 
       console.log('📧 [Email List - REST] REST Response received');
-      // console.log('📧 [Email List - REST] REST Response Data:', JSON.stringify(restResponse.data, null, 2)); // Commented out to reduce log size
 
-      if (restResponse.data && restResponse.data.items && Array.isArray(restResponse.data.items)) {
+      if (restItems.length > 0) {
         
-        const restEmails = restResponse.data.items
+        const restEmails = restItems
           .filter(email => email && email.id) // Filter out invalid entries
           .map(email => ({
             id: String(email.id),
@@ -4125,7 +5022,7 @@ app.get('/emails/list', async (req, res) => {
       }
     }
 
-    // 3. Deduplicate emails by name, then return limited results
+    // 3. Deduplicate emails by name
     const emailMap = new Map();
     allEmails.forEach(email => {
       const key = `${email.name}`;
@@ -4135,10 +5032,9 @@ app.get('/emails/list', async (req, res) => {
     });
     
     const deduplicatedEmails = Array.from(emailMap.values());
-    const limitedEmails = deduplicatedEmails.slice(0, 100); // Limit to first 100 emails
     
-    console.log(`📧 [Email List] Total emails retrieved: ${allEmails.length}, after deduplication: ${deduplicatedEmails.length}, returning: ${limitedEmails.length} (limited for performance)`);
-    res.json(limitedEmails);
+    console.log(`📧 [Email List] Total emails retrieved: ${allEmails.length}, after deduplication: ${deduplicatedEmails.length}`);
+    res.json(deduplicatedEmails);
 
   } catch (error) {
     console.error('❌ [Email List] Failed to retrieve emails:', error.message);
@@ -4232,7 +5128,7 @@ app.post('/emails/add-archiving-block', async (req, res) => {
       const patchPayload = { views: { html: { content: modificationResult.html } } };
       console.log(`📧 [Email Archive Block] Making PATCH request for regular email ${emailId}...`);
       const patchResponse = await axios.patch(
-        `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/assets/${emailId}`,
+        `${getRestBaseUrl(subdomain)}/asset/v1/content/assets/${emailId}`,
         patchPayload,
         { headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json' } }
       );
@@ -4345,7 +5241,7 @@ app.post('/emails/add-archiving-block', async (req, res) => {
       
       console.log(`📧 [Email Archive Block] Making PATCH request to update email ${emailId}...`);
       const patchResponse = await axios.patch(
-        `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/assets/${emailId}`,
+        `${getRestBaseUrl(subdomain)}/asset/v1/content/assets/${emailId}`,
         patchPayload,
         { headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json' } }
       );
@@ -4356,7 +5252,7 @@ app.post('/emails/add-archiving-block', async (req, res) => {
       // Verify the update by fetching the email again
       console.log(`📧 [Email Archive Block] Verifying update by fetching email ${emailId} again...`);
       const verifyResponse = await axios.get(
-        `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/assets/${emailId}`,
+        `${getRestBaseUrl(subdomain)}/asset/v1/content/assets/${emailId}`,
         { headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json' } }
       );
       console.log(`📧 [Email Archive Block] Verification - email still has content:`, !!verifyResponse.data.views?.html?.slots);
@@ -4372,7 +5268,7 @@ app.post('/emails/add-archiving-block', async (req, res) => {
         // Step 1: Fetch full email content via REST API
         console.log(`📧 [Email Archive Block] Fetching content for email ${emailId}`);
         const getResponse = await axios.get(
-          `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/assets/${emailId}`,
+          `${getRestBaseUrl(subdomain)}/asset/v1/content/assets/${emailId}`,
           {
             headers: {
               'Authorization': `Bearer ${accessToken}`,
@@ -4472,7 +5368,7 @@ app.post('/emails/check-archive-status', async (req, res) => {
         
         // Fetch email content via REST API
         const getResponse = await axios.get(
-          `https://${subdomain}.rest.marketingcloudapis.com/asset/v1/content/assets/${emailId}`,
+          `${getRestBaseUrl(subdomain)}/asset/v1/content/assets/${emailId}`,
           {
             headers: {
               'Authorization': `Bearer ${accessToken}`,
@@ -4614,62 +5510,64 @@ app.post('/api/settings/sftp', (req, res) => {
   }
 });
 
-// Test SFTP connection
+// Test SFTP settings against the real server: connect, report the host key fingerprint, then write and delete
+// a probe file in the export directory. Blank secrets fall back to the saved ones for the same host and user,
+// so saved settings can be retested without retyping them.
+// Body: { host, port?, username, authType: password | key, password?, privateKey?, passphrase?, directory? }
 app.post('/api/settings/sftp/test', async (req, res) => {
-  try {
-    const { host, port, username, authType, password, privateKey, passphrase, directory } = req.body;
-
-    // Validate required fields
-    if (!host || !username || !authType) {
-      return res.status(400).json({ error: 'Host, username, and authentication type are required for testing' });
-    }
-
-    // Validate auth type specific requirements
-    if (authType === 'password' && !password) {
-      return res.status(400).json({ error: 'Password is required for password authentication' });
-    }
-    
-    if (authType === 'key' && !privateKey) {
-      return res.status(400).json({ error: 'Private key is required for key authentication' });
-    }
-
-    // For now, simulate a connection test
-    // In production, you would use an SFTP library like 'ssh2-sftp-client'
-    const testSettings = {
-      host: host.trim(),
-      port: parseInt(port) || 22,
-      username: username.trim(),
-      authType: authType,
-      directory: directory?.trim() || '/Export'
-    };
-
-    // Simulate connection delay
-    await new Promise(resolve => setTimeout(resolve, 1500));
-
-    // Mock test result (in production, perform actual SFTP connection)
-    if (testSettings.host.includes('test-fail')) {
-      throw new Error('Connection failed: Unable to connect to SFTP server');
-    }
+  // The test opens connections to any host and port, so it is only for signed-in Marketing Cloud users
+  if (!req.session?.mcCreds?.subdomain) {
+    return res.status(401).json({ error: 'Not authenticated with Marketing Cloud' });
+  }
+  if (!(await requireUserKey(req, res))) return;
+
+  const { host, port, username, authType, password, privateKey, passphrase, directory } = req.body || {};
+
+  // Validate required fields
+  if (!host || !username || !authType) {
+    return res.status(400).json({ error: 'Host, username, and authentication type are required for testing' });
+  }
+  const textFields = { host, username, authType, password, privateKey, passphrase, directory };
+  const invalidField = Object.keys(textFields).find(name => textFields[name] != null && typeof textFields[name] !== 'string');
+  if (invalidField || (port != null && port !== '' && !/^\d+$/.test(String(port)))) {
+    return res.status(400).json({ error: `${invalidField || 'port'} has an invalid value` });
+  }
+
+  const saved = globalSettings.sftp || {};
+  const sameAccount = saved.host === host.trim() && saved.username === username.trim() && saved.authType === authType;
+  const testSettings = {
+    host: host.trim(),
+    port: parseInt(port) || 22,
+    username: username.trim(),
+    authType,
+    password: password || (sameAccount ? saved.password : ''),
+    privateKey: privateKey || (sameAccount ? saved.privateKey : ''),
+    passphrase: passphrase || (sameAccount && !privateKey ? saved.passphrase : ''),
+    directory: directory?.trim() || '/Export'
+  };
 
-    console.log(`✅ [Settings] SFTP connection test successful for: ${testSettings.host} (${testSettings.authType})`);
-    res.json({ 
-      success: true, 
-      message: `SFTP connection test successful using ${authType} authentication`,
-      details: {
-        host: testSettings.host,
-        port: testSettings.port,
-        authType: testSettings.authType,
-        directory: testSettings.directory
-      }
-    });
+  // Validate auth type specific requirements
+  if (authType === 'password' && !testSettings.password) {
+    return res.status(400).json({ error: 'Password is required for password authentication' });
+  }
+  if (authType === 'key' && !testSettings.privateKey) {
+    return res.status(400).json({ error: 'Private key is required for key authentication' });
+  }
 
-  } catch (error) {
-    console.error('❌ [Settings] SFTP connection test failed:', error.message);
-    res.status(400).json({ 
-      success: false, 
-      error: error.message || 'SFTP connection test failed' 
-    });
+  console.log(`🔌 [Settings] Testing SFTP connection to ${testSettings.host}:${testSettings.port} (${authType})`);
+  const result = await testSftpConnection(testSettings);
+  const { success, category, error, ...details } = result;
+  if (!success) {
+    console.error(`❌ [Settings] SFTP connection test failed (${category}) at ${details.checks.at(-1)?.step}:`, details.reason);
+    return res.status(400).json({ success: false, category, error, details });
   }
+
+  console.log(`✅ [Settings] SFTP connection test successful for: ${testSettings.host} (${authType}, ${details.hostKey?.fingerprint})`);
+  res.json({
+    success: true,
+    message: `SFTP connection test successful using ${authType} authentication`,
+    details
+  });
 });
 
 // Export HTML_Log to SFTP
@@ -4721,14 +5619,14 @@ app.post('/api/email-archiving/export-to-sftp', async (req, res) => {
     
     if (accessToken) {
       try {
-        console.log(`🔍 [Export] Querying HTML_Log DE using SOAP API at: https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`);
+        console.log(`🔍 [Export] Querying HTML_Log DE using SOAP API at: ${getSoapUrl(subdomain)}`);
         
         // First, query ALL records to check if HTML_Log exists and has data
         const allRecordsSoapEnvelope = `<?xml version="1.0" encoding="UTF-8"?>
 <s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope" xmlns:a="http://schemas.xmlsoap.org/ws/2004/08/addressing" xmlns:u="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd">
   <s:Header>
     <a:Action s:mustUnderstand="1">Retrieve</a:Action>
-    <a:To s:mustUnderstand="1">https://${subdomain}.soap.marketingcloudapis.com/Service.asmx</a:To>
+    <a:To s:mustUnderstand="1">${getSoapUrl(subdomain)}</a:To>
     <fueloauth xmlns="http://exacttarget.com">${accessToken}</fueloauth>
   </s:Header>
   <s:Body xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
@@ -4743,7 +5641,7 @@ app.post('/api/email-archiving/export-to-sftp', async (req, res) => {
 </s:Envelope>`;
 
         const allRecordsResponse = await axios.post(
-          `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+          getSoapUrl(subdomain),
           allRecordsSoapEnvelope,
           {
             headers: {
@@ -4847,7 +5745,7 @@ app.post('/api/email-archiving/export-to-sftp', async (req, res) => {
 <s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope" xmlns:a="http://schemas.xmlsoap.org/ws/2004/08/addressing" xmlns:u="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd">
   <s:Header>
     <a:Action s:mustUnderstand="1">Retrieve</a:Action>
-    <a:To s:mustUnderstand="1">https://${subdomain}.soap.marketingcloudapis.com/Service.asmx</a:To>
+    <a:To s:mustUnderstand="1">${getSoapUrl(subdomain)}</a:To>
     <fueloauth xmlns="http://exacttarget.com">${accessToken}</fueloauth>
   </s:Header>
   <s:Body xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
@@ -4877,7 +5775,7 @@ app.post('/api/email-archiving/export-to-sftp', async (req, res) => {
 </s:Envelope>`;
 
         const soapResponse = await axios.post(
-          `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+          getSoapUrl(subdomain),
           soapEnvelope,
           {
             headers: {
@@ -5204,19 +6102,8 @@ app.post('/api/email-archiving/export-to-sftp', async (req, res) => {
     const sftp = new Client();
     
     try {
-      // Prepare connection config
-      const connectOptions = {
-        host: globalSettings.sftp.host,
-        port: globalSettings.sftp.port || 22,
-        username: globalSettings.sftp.username
-      };
-      
-      // Add authentication method
-      if (globalSettings.sftp.authType === 'password') {
-        connectOptions.password = globalSettings.sftp.password;
-      } else if (globalSettings.sftp.authType === 'key') {
-        connectOptions.privateKey = globalSettings.sftp.privateKey;
-      }
+      // Prepare connection config (password or private key + passphrase, as in the settings test)
+      const connectOptions = buildSftpConnectOptions(globalSettings.sftp);
       
       console.log(`🔌 [Export] Connecting to SFTP server...`);
       await sftp.connect(connectOptions);
@@ -5335,7 +6222,7 @@ app.post('/api/email-archiving/export-to-sftp', async (req, res) => {
               
               try {
                 const updateResponse = await axios.post(
-                  `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+                  getSoapUrl(subdomain),
                   updateSoap,
                   {
                     headers: {
@@ -5502,7 +6389,7 @@ async function getFilterActivityDetails(activityObjectId, accessToken, subdomain
     `;
 
     const response = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       soapEnvelope,
       {
         headers: {
@@ -5569,7 +6456,7 @@ async function getFilterDefinitionDetails(filterDefinitionId, accessToken, subdo
     `;
 
     const response = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       soapEnvelope,
       {
         headers: {
@@ -5635,7 +6522,7 @@ async function getDataExtensionByObjectId(dataExtensionObjectId, accessToken, su
     `;
 
     const response = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
+      getSoapUrl(subdomain),
       soapEnvelope,
       {
         headers: {
@@ -5733,66 +6620,42 @@ function findDataExtensionByIdentifier(identifier, dataExtensions) {
   return null;
 }
 
+/**
+ * SOAP filter limiting a Retrieve to rows changed after a snapshot watermark.
+ * @param {string} [modifiedSince] - ModifiedDate of the newest row already stored
+ * @returns {object|undefined}
+ */
+function modifiedSinceFilter(modifiedSince) {
+  return modifiedSince ? { property: 'ModifiedDate', operator: 'greaterThan', value: modifiedSince } : undefined;
+}
+
 /**
  * Fetch Data Extensions from SFMC using SOAP API
+ * @param {object} [options] - { modifiedSince } to only fetch changed rows, { includeFields } to attach field definitions
  */
-async function fetchSFMCDataExtensions(accessToken, subdomain) {
+async function fetchSFMCDataExtensions(accessToken, subdomain, options = {}) {
   try {
     console.log('🔍 [SFMC API] Fetching Data Extensions...');
     
-    const soapBody = `<?xml version="1.0" encoding="UTF-8"?>
-    <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" 
-                      xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-                      xmlns:xsd="http://www.w3.org/2001/XMLSchema">
-      <soapenv:Header>
-        <fueloauth xmlns="http://exacttarget.com">${accessToken}</fueloauth>
-      </soapenv:Header>
-      <soapenv:Body>
-        <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-          <RetrieveRequest>
-            <ObjectType>DataExtension</ObjectType>
-            <Properties>ObjectID</Properties>
-            <Properties>Name</Properties>
-            <Properties>CustomerKey</Properties>
-            <Properties>Description</Properties>
-            <Properties>CreatedDate</Properties>
-            <Properties>ModifiedDate</Properties>
-            <Properties>CategoryID</Properties>
-            <Properties>IsSendable</Properties>
-            <Properties>IsTestable</Properties>
-            <Properties>DataRetentionPeriodLength</Properties>
-            <Properties>DataRetentionPeriod</Properties>
-          </RetrieveRequest>
-        </RetrieveRequestMsg>
-      </soapenv:Body>
-    </soapenv:Envelope>`;
-
-    const response = await axios.post(`https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`, soapBody, {
-      headers: {
-        'Content-Type': 'text/xml; charset=utf-8',
-        'SOAPAction': 'Retrieve'
-      },
-      timeout: 30000 // 30 second timeout
-    });
+    const dataExtensions = await retrieveAll(subdomain, accessToken, {
+      objectType: 'DataExtension',
+      properties: [
+        'ObjectID', 'Name', 'CustomerKey', 'Description', 'CreatedDate', 'ModifiedDate',
+        'CategoryID', 'IsSendable', 'IsTestable', 'DataRetentionPeriodLength', 'DataRetentionPeriod'
+      ],
+      filter: modifiedSinceFilter(options.modifiedSince)
+    }, { timeout: 30000 });
 
     console.log('📡 [SFMC API] Data Extensions SOAP response received');
-
-    const parser = new xml2js.Parser({ explicitArray: false });
-    const result = await parser.parseStringPromise(response.data);
-    
-    const retrieveResponse = result['soap:Envelope']['soap:Body']['RetrieveResponseMsg'];
-    const results = retrieveResponse?.Results;
     
-    if (!results) {
+    if (dataExtensions.length === 0) {
       console.log('⚠️ [SFMC API] No Data Extensions found');
       return [];
     }
     
-    const dataExtensions = Array.isArray(results) ? results : [results];
-    
     console.log(`✅ [SFMC API] Found ${dataExtensions.length} Data Extensions`);
     
-    return dataExtensions.map(de => ({
+    const mapped = dataExtensions.map(de => ({
       id: de.CustomerKey || de.ObjectID, // Use original CustomerKey/ObjectID without prefix
       name: de.Name || 'Unnamed Data Extension',
       externalKey: de.CustomerKey,
@@ -5801,9 +6664,25 @@ async function fetchSFMCDataExtensions(accessToken, subdomain) {
       description: de.Description || '',
       createdDate: de.CreatedDate,
       modifiedDate: de.ModifiedDate,
+      categoryId: de.CategoryID,
       isSendable: de.IsSendable === 'true',
       type: 'DataExtension'
     }));
+
+    // Field definitions are optional: a failed field retrieve leaves `fields` unset rather than failing the DE fetch
+    if (options.includeFields) {
+      try {
+        const fieldsByKey = await fetchDataExtensionFields(accessToken, subdomain, mapped.map(de => de.customerKey));
+        mapped.forEach(de => {
+          de.fields = fieldsByKey[de.customerKey] || [];
+        });
+        console.log(`✅ [SFMC API] Fetched fields for ${Object.keys(fieldsByKey).length} Data Extensions`);
+      } catch (fieldError) {
+        console.warn('⚠️ [SFMC API] Could not fetch Data Extension fields:', fieldError.message);
+      }
+    }
+
+    return mapped;
     
   } catch (error) {
     console.error('❌ [SFMC API] Error fetching Data Extensions:', error.message);
@@ -5817,181 +6696,83 @@ async function fetchSFMCDataExtensions(accessToken, subdomain) {
 
 /**
  * Extract source Data Extensions from SQL query text
- * Looks for table names in FROM and JOIN clauses
+ * Uses the tokenizer-based parser so CTE names, derived-table aliases and commented-out
+ * code are not reported; ENT. prefixes are dropped so shared DEs match by name
  */
 function extractSourceDataExtensionsFromSQL(sqlText) {
   if (!sqlText || typeof sqlText !== 'string') {
     return [];
   }
 
-  const sourceDataExtensions = [];
-  
-  try {
-    // Convert to uppercase for easier parsing
-    const sql = sqlText.toUpperCase();
-    
-    // Regular expressions to match table names in FROM and JOIN clauses
-    const patterns = [
-      /FROM\s+([^\s,\(\)]+)/gi,           // FROM table_name
-      /JOIN\s+([^\s,\(\)]+)/gi,           // JOIN table_name  
-      /LEFT\s+JOIN\s+([^\s,\(\)]+)/gi,    // LEFT JOIN table_name
-      /RIGHT\s+JOIN\s+([^\s,\(\)]+)/gi,   // RIGHT JOIN table_name
-      /INNER\s+JOIN\s+([^\s,\(\)]+)/gi,   // INNER JOIN table_name
-      /OUTER\s+JOIN\s+([^\s,\(\)]+)/gi    // OUTER JOIN table_name
-    ];
-    
-    patterns.forEach(pattern => {
-      let match;
-      while ((match = pattern.exec(sql)) !== null) {
-        let tableName = match[1].trim();
-        
-        // Remove common SQL keywords and aliases
-        tableName = tableName.replace(/\s+(AS|ON|WHERE|GROUP|ORDER|HAVING).*/i, '');
-        tableName = tableName.replace(/\s+[a-zA-Z_][a-zA-Z0-9_]*$/, ''); // Remove alias
-        
-        // Clean up table name
-        tableName = tableName.replace(/['"`,\[\]]/g, ''); // Remove quotes and brackets
-        tableName = tableName.trim();
-        
-        // Skip if it's a common SQL keyword or function
-        const sqlKeywords = ['SELECT', 'FROM', 'WHERE', 'ORDER', 'GROUP', 'HAVING', 'UNION', 'CASE', 'WHEN'];
-        if (!sqlKeywords.includes(tableName) && tableName.length > 0) {
-          // Convert back to original case for display
-          const originalCase = extractOriginalCaseTableName(sqlText, tableName);
-          if (originalCase && !sourceDataExtensions.includes(originalCase)) {
-            sourceDataExtensions.push(originalCase);
-          }
-        }
-      }
-    });
-    
-    console.log(`🔍 [SQL Parser] Found source tables:`, sourceDataExtensions);
-    
-  } catch (error) {
-    console.warn('⚠️ [SQL Parser] Error parsing SQL:', error.message);
+  const parsed = parseSQL(sqlText);
+  if (parsed.errors.length > 0) {
+    console.warn('⚠️ [SQL Parser] Error parsing SQL:', parsed.errors.join('; '));
   }
-  
-  return sourceDataExtensions;
-}
 
-/**
- * Extract the original case of table name from SQL text
- */
-function extractOriginalCaseTableName(sqlText, uppercaseTableName) {
-  try {
-    const regex = new RegExp(`\\b${uppercaseTableName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-    const match = sqlText.match(regex);
-    return match ? match[0] : uppercaseTableName.toLowerCase();
-  } catch (error) {
-    return uppercaseTableName.toLowerCase();
-  }
+  const sourceDataExtensions = getSourceTableNames(parsed);
+  console.log(`🔍 [SQL Parser] Found source tables:`, sourceDataExtensions);
+  return sourceDataExtensions;
 }
 
 /**
  * Fetch SQL Queries from SFMC using SOAP API with enhanced DE relationship detection
  * Uses QueryDefinition object type to get SQL text and target DE information
  */
-async function fetchSFMCQueries(accessToken, restEndpoint) {
+async function fetchSFMCQueries(accessToken, restEndpoint, options = {}) {
   try {
     console.log('🔍 [SFMC API] Fetching SQL Queries using SOAP QueryDefinition...');
     
     // Extract subdomain from restEndpoint for SOAP endpoint
-    const soapEndpoint = restEndpoint.replace('/rest', '/soap');
     const subdomain = restEndpoint.match(/https:\/\/([^.]+)\./)?.[1] || 'mc';
-    const soapUrl = `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`;
-    
-    const soapEnvelope = `
-      <s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/">
-        <s:Header>
-          <fueloauth>${accessToken}</fueloauth>
-        </s:Header>
-        <s:Body>
-          <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-            <RetrieveRequest>
-              <ObjectType>QueryDefinition</ObjectType>
-              <Properties>Name</Properties>
-              <Properties>ObjectID</Properties>
-              <Properties>QueryText</Properties>
-              <Properties>DataExtensionTarget.Name</Properties>
-              <Properties>DataExtensionTarget.CustomerKey</Properties>
-              <Properties>CreatedDate</Properties>
-              <Properties>ModifiedDate</Properties>
-              <Properties>Status</Properties>
-              <Properties>CategoryID</Properties>
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </s:Body>
-      </s:Envelope>
-    `;
 
     console.log('📡 [SFMC SOAP] Sending QueryDefinition retrieve request...');
     
-    const response = await axios.post(soapUrl, soapEnvelope, {
-      headers: {
-        'Content-Type': 'text/xml',
-        'SOAPAction': 'Retrieve'
-      },
-      timeout: 60000 // Increased timeout for SOAP requests
+    const queryResults = await retrieveAll(subdomain, accessToken, {
+      objectType: 'QueryDefinition',
+      properties: [
+        'Name', 'ObjectID', 'QueryText', 'DataExtensionTarget.Name', 'DataExtensionTarget.CustomerKey',
+        'CreatedDate', 'ModifiedDate', 'Status', 'CategoryID'
+      ],
+      filter: modifiedSinceFilter(options.modifiedSince)
     });
 
-    console.log('📡 [SFMC SOAP] QueryDefinition response received');
-
-    // Parse SOAP response
-    const parser = new xml2js.Parser({ explicitArray: false });
-    let queries = [];
+    console.log(`📊 [SFMC SOAP] Found ${queryResults.length} QueryDefinition objects`);
     
-    await new Promise((resolve, reject) => {
-      parser.parseString(response.data, (err, result) => {
-        if (err) return reject(err);
-        
-        const results = result?.['soap:Envelope']?.['soap:Body']?.['RetrieveResponseMsg']?.['Results'];
-        if (!results) {
-          console.log('⚠️ [SFMC SOAP] No QueryDefinition results found');
-          return resolve();
-        }
-        
-        const queryResults = Array.isArray(results) ? results : [results];
-        console.log(`📊 [SFMC SOAP] Found ${queryResults.length} QueryDefinition objects`);
-        
-        queries = queryResults.map((query, index) => {
-          const queryId = query.ObjectID || `query_${index}`;
-          const queryName = query.Name || 'Unnamed Query';
-          const queryText = query.QueryText || '';
-          const targetDeName = query.DataExtensionTarget?.Name || '';
-          const targetDeKey = query.DataExtensionTarget?.CustomerKey || '';
-          
-          // Parse SQL to find source Data Extensions
-          const sourceDataExtensions = extractSourceDataExtensionsFromSQL(queryText);
-          
-          console.log(`🔍 [SFMC SOAP] Processing query "${queryName}":`, {
-            id: queryId,
-            targetDE: targetDeName,
-            targetKey: targetDeKey,
-            hasQueryText: !!queryText,
-            sourceDEs: sourceDataExtensions
-          });
-          
-          return {
-            id: `query_${queryId}`,
-            objectId: queryId,
-            name: queryName,
-            description: `SQL Query${targetDeName ? ` targeting ${targetDeName}` : ''}`,
-            queryType: 'SQL',
-            queryText: queryText,
-            sqlStatement: queryText,
-            targetDataExtensionName: targetDeName,
-            targetDataExtensionKey: targetDeKey,
-            sourceDataExtensions: sourceDataExtensions, // Add source DEs
-            createdDate: query.CreatedDate,
-            modifiedDate: query.ModifiedDate,
-            status: query.Status || 'Unknown',
-            categoryId: query.CategoryID,
-            type: 'Query'
-          };
-        });
-        
-        resolve();
+    const queries = queryResults.map((query, index) => {
+      const queryId = query.ObjectID || `query_${index}`;
+      const queryName = query.Name || 'Unnamed Query';
+      const queryText = query.QueryText || '';
+      const targetDeName = query.DataExtensionTarget?.Name || '';
+      const targetDeKey = query.DataExtensionTarget?.CustomerKey || '';
+      
+      // Parse SQL to find source Data Extensions
+      const sourceDataExtensions = extractSourceDataExtensionsFromSQL(queryText);
+      
+      console.log(`🔍 [SFMC SOAP] Processing query "${queryName}":`, {
+        id: queryId,
+        targetDE: targetDeName,
+        targetKey: targetDeKey,
+        hasQueryText: !!queryText,
+        sourceDEs: sourceDataExtensions
       });
+      
+      return {
+        id: `query_${queryId}`,
+        objectId: queryId,
+        name: queryName,
+        description: `SQL Query${targetDeName ? ` targeting ${targetDeName}` : ''}`,
+        queryType: 'SQL',
+        queryText: queryText,
+        sqlStatement: queryText,
+        targetDataExtensionName: targetDeName,
+        targetDataExtensionKey: targetDeKey,
+        sourceDataExtensions: sourceDataExtensions, // Add source DEs
+        createdDate: query.CreatedDate,
+        modifiedDate: query.ModifiedDate,
+        status: query.Status || 'Unknown',
+        categoryId: query.CategoryID,
+        type: 'Query'
+      };
     });
     
     console.log(`✅ [SFMC SOAP] Successfully processed ${queries.length} SQL Queries`);
@@ -6006,10 +6787,41 @@ async function fetchSFMCQueries(accessToken, restEndpoint) {
   }
 }
 
+/**
+ * Reuse a cached REST detail response when the list item's modifiedDate is unchanged.
+ * @param {object|undefined} detailCache - { [id]: { modifiedDate, detail } }, updated in place
+ * @param {object} item - List item with id and modifiedDate
+ * @param {function} fetchDetail - async () => detail
+ * @returns {Promise<object>}
+ */
+async function getCachedDetail(detailCache, item, fetchDetail) {
+  const cached = detailCache?.[item.id];
+  if (cached && item.modifiedDate && cached.modifiedDate === item.modifiedDate) {
+    return cached.detail;
+  }
+  const detail = await fetchDetail();
+  if (detailCache) detailCache[item.id] = { modifiedDate: item.modifiedDate, detail };
+  return detail;
+}
+
+/**
+ * Drop detail cache entries for items that no longer exist.
+ * @param {object|undefined} detailCache
+ * @param {Array} items - Current list items
+ */
+function pruneDetailCache(detailCache, items) {
+  if (!detailCache) return;
+  const ids = new Set(items.map(item => String(item.id)));
+  Object.keys(detailCache).forEach(id => {
+    if (!ids.has(id)) delete detailCache[id];
+  });
+}
+
 /**
  * Fetch Automations from SFMC using REST API with enhanced activity-level relationship detection
+ * @param {object} [options] - { detailCache } to skip detail calls for unchanged automations
  */
-async function fetchSFMCAutomations(accessToken, restEndpoint) {
+async function fetchSFMCAutomations(accessToken, restEndpoint, options = {}) {
   try {
     console.log('🔍 [SFMC API] Fetching Automations with enhanced activity analysis...');
     
@@ -6036,19 +6848,21 @@ async function fetchSFMCAutomations(accessToken, restEndpoint) {
       
       // Fetch detailed automation info including steps/activities  
       let detailedSteps = [];
+      let schedule = automation.schedule || null;
       let targetDataExtensions = new Set(); // Track DEs this automation targets
       let usedQueries = new Set(); // Track queries this automation uses
       
       try {
-        const detailResponse = await axios.get(`${restEndpoint}/automation/v1/automations/${automation.id}`, {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 15000
+        const detailedAutomation = await getCachedDetail(options.detailCache, automation, async () => {
+          const detailResponse = await axios.get(`${restEndpoint}/automation/v1/automations/${automation.id}`, {
+            headers: {
+              'Authorization': `Bearer ${accessToken}`,
+              'Content-Type': 'application/json'
+            },
+            timeout: 15000
+          });
+          return detailResponse.data;
         });
-        
-        const detailedAutomation = detailResponse.data;
         console.log(`📋 [SFMC API] Automation "${automation.name}" structure:`, {
           id: detailedAutomation.id,
           name: detailedAutomation.name,
@@ -6058,6 +6872,7 @@ async function fetchSFMCAutomations(accessToken, restEndpoint) {
         
         // Extract steps and process activities
         detailedSteps = detailedAutomation.steps || [];
+        schedule = detailedAutomation.schedule || schedule;
         
         console.log(`📋 [SFMC API] Found ${detailedSteps.length} steps for automation "${automation.name}"`);
         
@@ -6185,6 +7000,7 @@ async function fetchSFMCAutomations(accessToken, restEndpoint) {
         modifiedDate: automation.modifiedDate,
         steps: detailedSteps,
         activities: detailedSteps, // Maintain backward compatibility
+        schedule,
         targetDataExtensions: Array.from(targetDataExtensions),
         usedQueries: Array.from(usedQueries),
         type: 'Automation'
@@ -6192,6 +7008,7 @@ async function fetchSFMCAutomations(accessToken, restEndpoint) {
     }
     
     console.log(`🔗 [SFMC API] Discovered ${automationRelationships.length} automation relationships`);
+    pruneDetailCache(options.detailCache, automations);
     
     // Return both automations and their discovered relationships
     return {
@@ -6211,8 +7028,9 @@ async function fetchSFMCAutomations(accessToken, restEndpoint) {
 
 /**
  * Fetch Journeys from SFMC using REST API
+ * @param {object} [options] - { detailCache } to skip detail calls for unchanged journeys
  */
-async function fetchSFMCJourneys(accessToken, restEndpoint) {
+async function fetchSFMCJourneys(accessToken, restEndpoint, options = {}) {
   try {
     console.log('🔍 [SFMC API] Fetching Journeys...');
     console.log('🔐 [SFMC API] Auth check:', {
@@ -6433,16 +7251,17 @@ async function fetchSFMCJourneys(accessToken, restEndpoint) {
         try {
           console.log(`🔍 [SFMC API] Fetching detailed definition for journey: ${journey.name} (${journey.id})`);
           
-          const detailResponse = await axios.get(`${restEndpoint}/interaction/v1/interactions/${journey.id}`, {
-            headers: {
-              'Authorization': `Bearer ${accessToken}`,
-              'Content-Type': 'application/json'
-            },
-            timeout: 15000 // 15 second timeout per journey
+          const detailedJourney = await getCachedDetail(options.detailCache, journey, async () => {
+            const detailResponse = await axios.get(`${restEndpoint}/interaction/v1/interactions/${journey.id}`, {
+              headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+              },
+              timeout: 15000 // 15 second timeout per journey
+            });
+            return detailResponse.data;
           });
           
-          const detailedJourney = detailResponse.data;
-          
           // DEBUG: Log the raw Journey API response structure
           console.log(`🚨 [DEBUG] Journey "${journey.name}" API response structure:`, {
             hasActivities: !!(detailedJourney.activities),
@@ -6812,6 +7631,7 @@ async function fetchSFMCJourneys(accessToken, restEndpoint) {
             entrySourceType: entrySourceType, // Type of entry source (APIEvent, DataExtension, etc.)
             entrySourceDescription: entrySourceDescription, // Human-readable description for non-DE sources
             activities: detailedJourney.activities || [],
+            activityGraph: parseJourneyActivities({ ...detailedJourney, entryDataExtensionId, entryDataExtensionName }),
             type: 'Journey'
           };
           
@@ -6944,6 +7764,7 @@ async function fetchSFMCJourneys(accessToken, restEndpoint) {
             entrySourceType: entrySourceType,
             entrySourceDescription: entrySourceDescription,
             activities: journey.activities || [],
+            activityGraph: parseJourneyActivities({ ...journey, entryDataExtensionId, entryDataExtensionName }),
             type: 'Journey'
           };
           
@@ -6974,6 +7795,8 @@ async function fetchSFMCJourneys(accessToken, restEndpoint) {
       console.warn(`⚠️ [SFMC API] ${failedCount} journey detail fetches failed`);
     }
     
+    pruneDetailCache(options.detailCache, interactions);
+    
     // Log summary of Data Extension mappings found
     const journeysWithDE = processedJourneys.filter(j => j.entryDataExtensionId);
     console.log(`✅ [SFMC API] Successfully processed ${processedJourneys.length} Journeys (${journeysWithDE.length} with entry Data Extensions)`);
@@ -7004,50 +7827,13 @@ async function fetchSFMCJourneys(accessToken, restEndpoint) {
 /**
  * Fetch Triggered Sends from SFMC using SOAP API
  */
-async function fetchSFMCTriggeredSends(accessToken, subdomain) {
+async function fetchSFMCTriggeredSends(accessToken, subdomain, options = {}) {
   try {
-    const axios = require('axios');
-    const xml2js = require('xml2js');
-    
-    const soapBody = `<?xml version="1.0" encoding="UTF-8"?>
-    <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" 
-                      xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-                      xmlns:xsd="http://www.w3.org/2001/XMLSchema">
-      <soapenv:Header>
-        <fueloauth xmlns="http://exacttarget.com">${accessToken}</fueloauth>
-      </soapenv:Header>
-      <soapenv:Body>
-        <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-          <RetrieveRequest>
-            <ObjectType>TriggeredSendDefinition</ObjectType>
-            <Properties>ObjectID</Properties>
-            <Properties>Name</Properties>
-            <Properties>CustomerKey</Properties>
-            <Properties>Description</Properties>
-            <Properties>TriggeredSendStatus</Properties>
-            <Properties>CreatedDate</Properties>
-            <Properties>ModifiedDate</Properties>
-          </RetrieveRequest>
-        </RetrieveRequestMsg>
-      </soapenv:Body>
-    </soapenv:Envelope>`;
-
-    const response = await axios.post(`https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`, soapBody, {
-      headers: {
-        'Content-Type': 'text/xml; charset=utf-8',
-        'SOAPAction': 'Retrieve'
-      }
+    const triggeredSends = await retrieveAll(subdomain, accessToken, {
+      objectType: 'TriggeredSendDefinition',
+      properties: ['ObjectID', 'Name', 'CustomerKey', 'Description', 'TriggeredSendStatus', 'CreatedDate', 'ModifiedDate'],
+      filter: modifiedSinceFilter(options.modifiedSince)
     });
-
-    const parser = new xml2js.Parser({ explicitArray: false });
-    const result = await parser.parseStringPromise(response.data);
-    
-    const retrieveResponse = result['soap:Envelope']['soap:Body']['RetrieveResponseMsg'];
-    const results = retrieveResponse?.Results;
-    
-    if (!results) return [];
-    
-    const triggeredSends = Array.isArray(results) ? results : [results];
     
     return triggeredSends.map(ts => ({
       id: ts.CustomerKey, // Use original CustomerKey instead of prefixed version
@@ -7059,9 +7845,49 @@ async function fetchSFMCTriggeredSends(accessToken, subdomain) {
       modifiedDate: ts.ModifiedDate,
       type: 'TriggeredSend'
     }));
-    
+    
+  } catch (error) {
+    console.error('❌ [SFMC API] Error fetching Triggered Sends:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetch Email Send Definitions (user-initiated sends) from SFMC using SOAP API
+ * @param {object} [options] - { modifiedSince } to only fetch changed definitions
+ */
+async function fetchSFMCEmailSendDefinitions(accessToken, subdomain, options = {}) {
+  try {
+    const sendDefinitions = await retrieveAll(subdomain, accessToken, {
+      objectType: 'EmailSendDefinition',
+      properties: [
+        'ObjectID', 'Name', 'CustomerKey', 'Description', 'CategoryID', 'CreatedDate', 'ModifiedDate',
+        'SendClassification.CustomerKey', 'SenderProfile.CustomerKey', 'DeliveryProfile.CustomerKey',
+        'Email.ID', 'BccEmail', 'CCEmail'
+      ],
+      filter: modifiedSinceFilter(options.modifiedSince)
+    });
+
+    return sendDefinitions.map(esd => ({
+      id: esd.CustomerKey || esd.ObjectID,
+      name: esd.Name,
+      customerKey: esd.CustomerKey,
+      objectId: esd.ObjectID,
+      description: esd.Description || '',
+      categoryId: esd.CategoryID,
+      sendClassificationKey: esd.SendClassification?.CustomerKey || '',
+      senderProfileKey: esd.SenderProfile?.CustomerKey || '',
+      deliveryProfileKey: esd.DeliveryProfile?.CustomerKey || '',
+      emailId: esd.Email?.ID || '',
+      bccEmail: esd.BccEmail || '',
+      ccEmail: esd.CCEmail || '',
+      createdDate: esd.CreatedDate,
+      modifiedDate: esd.ModifiedDate,
+      type: 'EmailSendDefinition'
+    }));
+
   } catch (error) {
-    console.error('❌ [SFMC API] Error fetching Triggered Sends:', error.message);
+    console.error('❌ [SFMC API] Error fetching Email Send Definitions:', error.message);
     throw error;
   }
 }
@@ -7069,70 +7895,27 @@ async function fetchSFMCTriggeredSends(accessToken, subdomain) {
 /**
  * Fetch Data Filters from SFMC using SOAP API
  */
-async function fetchSFMCFilters(accessToken, subdomain) {
+async function fetchSFMCFilters(accessToken, subdomain, options = {}) {
   try {
     console.log('🔍 [SFMC API] Fetching Data Filters...');
-    
-    const axios = require('axios');
-    const xml2js = require('xml2js');
-    
-    const soapBody = `<?xml version="1.0" encoding="UTF-8"?>
-    <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" 
-                      xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-                      xmlns:xsd="http://www.w3.org/2001/XMLSchema">
-      <soapenv:Header>
-        <fueloauth xmlns="http://exacttarget.com">${accessToken}</fueloauth>
-      </soapenv:Header>
-      <soapenv:Body>
-        <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-          <RetrieveRequest>
-            <ObjectType>FilterDefinition</ObjectType>
-            <Properties>ObjectID</Properties>
-            <Properties>Name</Properties>
-            <Properties>CustomerKey</Properties>
-            <Properties>Description</Properties>
-            <Properties>CreatedDate</Properties>
-            <Properties>ModifiedDate</Properties>
-            <Properties>DataSourceID</Properties>
-            <Properties>DataExtensionID</Properties>
-            <Properties>DataSource</Properties>
-          </RetrieveRequest>
-        </RetrieveRequestMsg>
-      </soapenv:Body>
-    </soapenv:Envelope>`;
+    console.log(`📡 [SFMC API] Making SOAP request for FilterDefinition to: ${getSoapUrl(subdomain)}`);
 
-    console.log(`📡 [SFMC API] Making SOAP request for FilterDefinition to: https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`);
-
-    const response = await axios.post(`https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`, soapBody, {
-      headers: {
-        'Content-Type': 'text/xml; charset=utf-8',
-        'SOAPAction': 'Retrieve'
-      },
-      timeout: 30000 // 30 second timeout
-    });
+    const filters = await retrieveAll(subdomain, accessToken, {
+      objectType: 'FilterDefinition',
+      properties: [
+        'ObjectID', 'Name', 'CustomerKey', 'Description', 'CreatedDate', 'ModifiedDate',
+        'DataSourceID', 'DataExtensionID', 'DataSource'
+      ],
+      filter: modifiedSinceFilter(options.modifiedSince)
+    }, { timeout: 30000 });
 
     console.log('📡 [SFMC API] Data Filters SOAP response received');
-
-    const parser = new xml2js.Parser({ explicitArray: false });
-    const result = await parser.parseStringPromise(response.data);
-    
-    console.log('🔍 [SFMC API] Parsed Data Filters SOAP response');
     
-    const retrieveResponse = result['soap:Envelope']['soap:Body']['RetrieveResponseMsg'];
-    const results = retrieveResponse?.Results;
-    
-    console.log('🔍 [SFMC API] FilterDefinition results:', {
-      hasResults: !!results,
-      resultsType: Array.isArray(results) ? 'array' : typeof results,
-      resultCount: Array.isArray(results) ? results.length : (results ? 1 : 0)
-    });
-    
-    if (!results) {
+    if (filters.length === 0) {
       console.log('⚠️ [SFMC API] No Data Filters found in response');
       return [];
     }
     
-    const filters = Array.isArray(results) ? results : [results];
     console.log(`📊 [SFMC API] Processing ${filters.length} FilterDefinition objects`);
     
     const processedFilters = filters.map((filter, index) => {
@@ -7243,57 +8026,21 @@ async function fetchSFMCDataExtracts(accessToken, restEndpoint) {
  * @param {string} subdomain 
  * @returns {Promise<Array>} Array of FilterActivity objects
  */
-async function fetchSFMCFilterActivities(accessToken, subdomain) {
+async function fetchSFMCFilterActivities(accessToken, subdomain, options = {}) {
   console.log('🔄 [SFMC API] Fetching Filter Activities...');
   
   try {
-    const envelope = `
-      <s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
-        <s:Header><fueloauth>${accessToken}</fueloauth></s:Header>
-        <s:Body>
-          <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
-            <RetrieveRequest>
-              <ObjectType>FilterActivity</ObjectType>
-              <Properties>ObjectID</Properties>
-              <Properties>Name</Properties>
-              <Properties>Description</Properties>
-              <Properties>CustomerKey</Properties>
-              <Properties>CreatedDate</Properties>
-              <Properties>ModifiedDate</Properties>
-              <Properties>CategoryID</Properties>
-            </RetrieveRequest>
-          </RetrieveRequestMsg>
-        </s:Body>
-      </s:Envelope>`;
-
-    const response = await axios.post(
-      `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`,
-      envelope,
-      {
-        headers: {
-          'Content-Type': 'text/xml; charset=utf-8',
-          'SOAPAction': 'Retrieve'
-        }
-      }
-    );
-
-    const parser = new xml2js.Parser({ explicitArray: false });
-    const result = await parser.parseStringPromise(response.data);
-    
-    const retrieveResponse = result['soap:Envelope']['soap:Body']['RetrieveResponseMsg'];
-    
-    if (retrieveResponse.OverallStatus !== 'OK') {
-      console.log('⚠️ [SFMC API] FilterActivity retrieve not OK:', retrieveResponse.OverallStatus);
-      return [];
-    }
+    const resultArray = await retrieveAll(subdomain, accessToken, {
+      objectType: 'FilterActivity',
+      properties: ['ObjectID', 'Name', 'Description', 'CustomerKey', 'CreatedDate', 'ModifiedDate', 'CategoryID'],
+      filter: modifiedSinceFilter(options.modifiedSince)
+    });
 
-    const results = retrieveResponse.Results;
-    if (!results) {
+    if (resultArray.length === 0) {
       console.log('✅ [SFMC API] No Filter Activities found');
       return [];
     }
 
-    const resultArray = Array.isArray(results) ? results : [results];
     console.log(`✅ [SFMC API] Found ${resultArray.length} Filter Activities`);
 
     return resultArray.map(filterActivity => ({
@@ -7309,7 +8056,7 @@ async function fetchSFMCFilterActivities(accessToken, subdomain) {
 
   } catch (error) {
     console.error('❌ [SFMC API] Error fetching Filter Activities:', error.message);
-    return [];
+    throw error;
   }
 }
 
@@ -7432,14 +8179,14 @@ function detectQueryToDataExtensionRelationships(queries, dataExtensions) {
       }
     }
     
-    // 2. IMPLICIT RELATIONSHIPS from SQL text analysis
+    // 2. SOURCE DEs from the parsed SQL (FROM / JOIN / subqueries, CTE names excluded)
     const sqlText = (
       query.queryText || 
       query.sqlStatement || 
       query.queryDefinition?.queryText ||
       query.text ||
       ''
-    ).toLowerCase();
+    );
     
     if (!sqlText) {
       console.log(`⚠️ [Relationship] No SQL text found for query: ${query.name}`);
@@ -7448,121 +8195,22 @@ function detectQueryToDataExtensionRelationships(queries, dataExtensions) {
     
     console.log(`🔍 [Relationship] Parsing SQL text for query "${query.name}" (${sqlText.length} chars)`);
     
-    // Enhanced DE detection in SQL text - check every DE name AND CustomerKey in the SQL
-    dataExtensions.forEach(de => {
-      const deName = de.name.toLowerCase();
-      const deNameEscaped = deName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      
-      // Also check for CustomerKey if available
-      const deKeys = [];
-      if (de.customerKey) deKeys.push(de.customerKey.toLowerCase());
-      if (de.externalKey) deKeys.push(de.externalKey.toLowerCase());
-      if (de.key) deKeys.push(de.key.toLowerCase());
-      
-      // Create patterns for name and all keys
-      const allIdentifiers = [deName, ...deKeys];
-      
-      allIdentifiers.forEach(identifier => {
-        const identifierEscaped = identifier.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        
-        // Check various SQL contexts where DE names/keys might appear
-        const contexts = [
-          // FROM clauses (reads)
-          new RegExp(`\\bfrom\\s+\\[?${identifierEscaped}\\]?\\b`, 'gi'),
-          new RegExp(`\\bfrom\\s+"${identifierEscaped}"\\b`, 'gi'),
-          new RegExp(`\\bfrom\\s+'${identifierEscaped}'\\b`, 'gi'),
-          new RegExp(`\\bfrom\\s+${identifierEscaped}\\b`, 'gi'),
-          // JOIN clauses (reads)
-          new RegExp(`\\bjoin\\s+\\[?${identifierEscaped}\\]?\\b`, 'gi'),
-          new RegExp(`\\bjoin\\s+"${identifierEscaped}"\\b`, 'gi'),
-          new RegExp(`\\bjoin\\s+'${identifierEscaped}'\\b`, 'gi'),
-          new RegExp(`\\bjoin\\s+${identifierEscaped}\\b`, 'gi'),
-          // INTO clauses (writes)
-          new RegExp(`\\binto\\s+\\[?${identifierEscaped}\\]?\\b`, 'gi'),
-          new RegExp(`\\binto\\s+"${identifierEscaped}"\\b`, 'gi'),
-          new RegExp(`\\binto\\s+'${identifierEscaped}'\\b`, 'gi'),
-          new RegExp(`\\binto\\s+${identifierEscaped}\\b`, 'gi'),
-          // INSERT INTO clauses (writes)
-          new RegExp(`\\binsert\\s+into\\s+\\[?${identifierEscaped}\\]?\\b`, 'gi'),
-          new RegExp(`\\binsert\\s+into\\s+"${identifierEscaped}"\\b`, 'gi'),
-          new RegExp(`\\binsert\\s+into\\s+'${identifierEscaped}'\\b`, 'gi'),
-          new RegExp(`\\binsert\\s+into\\s+${identifierEscaped}\\b`, 'gi'),
-          // UPDATE clauses (writes)
-          new RegExp(`\\bupdate\\s+\\[?${identifierEscaped}\\]?\\b`, 'gi'),
-          new RegExp(`\\bupdate\\s+"${identifierEscaped}"\\b`, 'gi'),
-          new RegExp(`\\bupdate\\s+'${identifierEscaped}'\\b`, 'gi'),
-          new RegExp(`\\bupdate\\s+${identifierEscaped}\\b`, 'gi'),
-          // Simple name match anywhere in SQL (fallback)
-          new RegExp(`\\b${identifierEscaped}\\b`, 'gi')
-        ];
-      
-      let foundRead = false;
-      let foundWrite = false;
-        
-        contexts.forEach((regex, index) => {
-          if (regex.test(sqlText)) {
-            if (index < 8) { // FROM and JOIN patterns (reads)
-              if (!foundRead) {
-                const relationshipId = `${de.id}-${query.id}-read`;
-                relationships.push({
-                  id: relationshipId,
-                  source: de.id,
-                  target: query.id,
-                  type: 'reads_from',
-                  label: 'reads from',
-                  description: `Query "${query.name}" reads from DE "${de.name}" using ${identifier === deName ? 'name' : 'key'}`
-                });
-                console.log(`✅ [Relationship] Found READ in SQL: ${query.name} reads from ${de.name} (via ${identifier})`);
-                foundRead = true;
-              }
-            } else if (index < 20) { // INTO, INSERT INTO, UPDATE patterns (writes)
-              if (!foundWrite) {
-                const relationshipId = `${query.id}-${de.id}-write`;
-                relationships.push({
-                  id: relationshipId,
-                  source: query.id,
-                  target: de.id,
-                  type: 'writes_to',
-                  label: 'writes to',
-                  description: `Query "${query.name}" writes to DE "${de.name}" using ${identifier === deName ? 'name' : 'key'}`
-                });
-                console.log(`✅ [Relationship] Found WRITE in SQL: ${query.name} writes to ${de.name} (via ${identifier})`);
-                foundWrite = true;
-              }
-            } else { // Simple name match - determine context with enhanced heuristics
-              if (!foundRead && !foundWrite) {
-                // Use enhanced heuristics to determine if it's read or write
-                const beforeMatch = sqlText.substring(0, sqlText.indexOf(identifier));
-                const isWrite = /\b(into|insert|update|delete|create|drop|truncate|merge|upsert)\b.*$/i.test(beforeMatch);
-                
-                if (isWrite) {
-                  const relationshipId = `${query.id}-${de.id}-inferred-write`;
-                  relationships.push({
-                    id: relationshipId,
-                    source: query.id,
-                    target: de.id,
-                    type: 'writes_to',
-                    label: 'writes to',
-                    description: `Query "${query.name}" writes to DE "${de.name}" (inferred from ${identifier})`
-                  });
-                  console.log(`✅ [Relationship] Found INFERRED WRITE: ${query.name} → ${de.name} (via ${identifier})`);
-                } else {
-                  const relationshipId = `${de.id}-${query.id}-inferred-read`;
-                  relationships.push({
-                    id: relationshipId,
-                    source: de.id,
-                    target: query.id,
-                    type: 'reads_from',
-                    label: 'reads from',
-                    description: `Query "${query.name}" reads from DE "${de.name}" (inferred from ${identifier})`
-                  });
-                  console.log(`✅ [Relationship] Found INFERRED READ: ${query.name} reads from ${de.name} (via ${identifier})`);
-                }
-              }
-            }
-          }
-        });
+    const seenSources = new Set();
+    getSourceTableNames(sqlText).forEach(tableName => {
+      const identifier = tableName.toLowerCase();
+      const de = deMap.get(identifier) || deKeyMap.get(identifier);
+      if (!de || seenSources.has(de.id)) return;
+      seenSources.add(de.id);
+
+      relationships.push({
+        id: `${de.id}-${query.id}-read`,
+        source: de.id,
+        target: query.id,
+        type: 'reads_from',
+        label: 'reads from',
+        description: `Query "${query.name}" reads from DE "${de.name}" using ${identifier === de.name.toLowerCase() ? 'name' : 'key'}`
       });
+      console.log(`✅ [Relationship] Found READ in SQL: ${query.name} reads from ${de.name} (via ${tableName})`);
     });
   });
   
@@ -7570,6 +8218,126 @@ function detectQueryToDataExtensionRelationships(queries, dataExtensions) {
   return relationships;
 }
 
+/**
+ * Column-level lineage of SQL Queries: which source DE columns feed each field of the
+ * query's target DE. Output columns map onto target fields by name, the same way a
+ * Query Activity populates its target; CASE/COALESCE/function inputs all count as sources.
+ * @param {Array} queries - 'SQL Queries' collection
+ * @param {Array} dataExtensions - 'Data Extensions' collection
+ * @param {object} [fieldsByKey] - Target DE fields from fetchDataExtensionFields, used to match
+ *   field name casing, to expand SELECT * and to report select columns that have no target field;
+ *   a SELECT * into a target without known fields is reported as unmapped
+ * @returns {{ edges: Array, unmapped: Array }} - field_lineage edges and unmatched select columns
+ */
+function detectQueryFieldLineage(queries, dataExtensions, fieldsByKey = {}) {
+  const edges = [];
+  const unmapped = [];
+  const deByName = new Map();
+  dataExtensions.forEach(de => {
+    if (de.name) deByName.set(de.name.toLowerCase(), de);
+    [de.customerKey, de.externalKey].filter(Boolean).forEach(key => {
+      if (!deByName.has(key.toLowerCase())) deByName.set(key.toLowerCase(), de);
+    });
+  });
+
+  queries.forEach(query => {
+    const sqlText = query.queryText || query.sqlStatement || '';
+    const targetDe = deByName.get((query.targetDataExtensionName || '').toLowerCase()) ||
+      deByName.get((query.targetDataExtensionKey || '').toLowerCase());
+    if (!sqlText || !targetDe) return;
+
+    const parsed = parseSQL(sqlText);
+    const targetFields = fieldsByKey[targetDe.customerKey || targetDe.id] || null;
+    const findTargetField = name => {
+      if (!targetFields) return name;
+      return targetFields.find(f => f.name.toLowerCase() === name.toLowerCase())?.name || null;
+    };
+
+    parsed.columns.forEach(column => {
+      // SELECT * / t.*: every source column passes through under its own name (unmapped if the target's fields are unknown)
+      const outputs = column.name === '*' && targetFields?.length
+        ? targetFields.map(field => ({
+          field: field.name,
+          sources: column.sources.map(source => ({ table: source.table, column: field.name }))
+        }))
+        : [{ field: column.name && column.name !== '*' ? findTargetField(column.name) : null, sources: column.sources }];
+
+      outputs.forEach(({ field, sources }) => {
+        if (!field) {
+          unmapped.push({ queryId: query.id, queryName: query.name, column: column.name, expression: column.expression });
+          return;
+        }
+        sources.filter(source => source.table).forEach(source => {
+          const sourceDe = deByName.get(source.table.toLowerCase());
+          const sourceId = sourceDe ? sourceDe.id : source.table;
+          edges.push({
+            id: `${query.id}:${sourceId}.${source.column}->${targetDe.id}.${field}`,
+            source: sourceId,
+            target: targetDe.id,
+            type: 'field_lineage',
+            label: `${source.column} → ${field}`,
+            sourceField: source.column,
+            targetField: field,
+            sourceTable: sourceDe ? sourceDe.name : source.table,
+            sourceIsDataExtension: !!sourceDe,
+            queryId: query.id,
+            queryName: query.name,
+            expression: column.expression,
+            direct: column.direct
+          });
+        });
+      });
+    });
+  });
+
+  console.log(`📈 [Field Lineage] ${edges.length} field edges across ${queries.length} queries (${unmapped.length} unmapped columns)`);
+  return { edges, unmapped };
+}
+
+// Fields of query targets the snapshot has none for (e.g. shared DEs of the parent BU), retrieved live
+const TARGET_FIELDS_TTL_MS = 15 * 60 * 1000;
+const targetFieldsCache = new Map(); // buKey → { expiresAt, fieldsByKey } ([] for keys MC returned no fields for)
+
+/**
+ * Field lineage for every query in a snapshot. Target DE fields come from the snapshot's Data Extensions
+ * (fetched with includeFields); only targets without fields there are retrieved live, and cached per
+ * business unit. Falls back to matching on select column names when that retrieve fails.
+ * @param {Object} sfmcObjects - fetchAllSFMCObjects result
+ * @param {string} accessToken - SFMC access token
+ * @param {string} subdomain - SFMC subdomain
+ * @param {string} buKey - Snapshot key of the business unit
+ * @returns {Promise<{ edges: Array, unmapped: Array }>}
+ */
+async function buildQueryFieldLineage(sfmcObjects, accessToken, subdomain, buKey) {
+  const queries = sfmcObjects['SQL Queries'] || [];
+  const dataExtensions = sfmcObjects['Data Extensions'] || [];
+  const fieldsByKey = {};
+  dataExtensions.forEach(de => {
+    if (Array.isArray(de.fields) && de.fields.length > 0) fieldsByKey[de.customerKey || de.id] = de.fields;
+  });
+
+  let cached = targetFieldsCache.get(buKey);
+  if (!cached || cached.expiresAt <= Date.now()) {
+    cached = { expiresAt: Date.now() + TARGET_FIELDS_TTL_MS, fieldsByKey: {} };
+    targetFieldsCache.set(buKey, cached);
+  }
+  const missingKeys = [...new Set(queries.map(q => q.targetDataExtensionKey)
+    .filter(key => key && !fieldsByKey[key] && !cached.fieldsByKey[key]))];
+  if (missingKeys.length > 0) {
+    try {
+      const fetched = await fetchDataExtensionFields(accessToken, subdomain, missingKeys);
+      missingKeys.forEach(key => { cached.fieldsByKey[key] = fetched[key] || []; });
+      console.log(`✅ [Field Lineage] Fetched fields of ${missingKeys.length} target DEs missing from the snapshot`);
+    } catch (error) {
+      console.warn('⚠️ [Field Lineage] Could not fetch target DE fields, matching on column names:', error.message);
+    }
+  }
+  Object.entries(cached.fieldsByKey).forEach(([key, fields]) => {
+    if (fields.length > 0 && !fieldsByKey[key]) fieldsByKey[key] = fields;
+  });
+  return detectQueryFieldLineage(queries, dataExtensions, fieldsByKey);
+}
+
 /**
  * Detect Data Extension relationships in Filters
  */
@@ -8602,6 +9370,24 @@ function detectJourneyToDataExtensionRelationships(journeys, dataExtensions) {
   journeys.forEach(journey => {
     console.log(`🔍 [Relationship] Analyzing journey "${journey.name}"`);
     
+    // Entry DE resolved by fetchSFMCJourneys (entrySource arguments / event definitions)
+    if (journey.entryDataExtensionId) {
+      const entryId = String(journey.entryDataExtensionId).toLowerCase();
+      const entryDe = dataExtensions.find(de =>
+        String(de.objectId || '').toLowerCase() === entryId || String(de.id || '').toLowerCase() === entryId
+      );
+      if (entryDe) {
+        relationships.push({
+          id: `${entryDe.id}-${journey.id}`,
+          source: entryDe.id,
+          target: journey.id,
+          type: 'journey_entry_source',
+          label: 'journey entry source',
+          description: `DE "${entryDe.name}" is entry source for Journey "${journey.name}"`
+        });
+      }
+    }
+    
     // Enhanced Entry Event DE relationships
     const entrySourceOptions = [
       journey.entrySource,
@@ -8744,6 +9530,36 @@ function detectJourneyToDataExtensionRelationships(journeys, dataExtensions) {
         }
       });
     });
+
+    // Decision splits and waits that read a DE, Update Contact activities that write one
+    const activityGraph = parseJourneyActivities(journey, {
+      dataExtensions: dataExtensions.map(de => ({ objectId: de.objectId, name: de.name, customerKey: de.externalKey || de.customerKey }))
+    });
+    activityGraph.activities.forEach(activity => activity.dataExtensions.forEach(ref => {
+      const refId = String(ref.id || '').toLowerCase();
+      const de = (refId && dataExtensions.find(candidate => String(candidate.objectId || '').toLowerCase() === refId))
+        || deMap.get(String(ref.name || '').toLowerCase());
+      if (!de) return;
+      if (ref.role === 'writes') {
+        relationships.push({
+          id: `${journey.id}-${de.id}-${activity.key}`,
+          source: journey.id,
+          target: de.id,
+          type: 'updates_de',
+          label: 'updates contact data',
+          description: `Activity "${activity.name}" in Journey "${journey.name}" updates DE "${de.name}"`
+        });
+      } else {
+        relationships.push({
+          id: `${de.id}-${journey.id}-${activity.key}`,
+          source: de.id,
+          target: journey.id,
+          type: 'journey_decision_source',
+          label: 'journey decision source',
+          description: `DE "${de.name}" used in ${activity.type} activity "${activity.name}" in Journey "${journey.name}"`
+        });
+      }
+    }));
   });
   
   console.log(`📈 [Relationship] Journey analysis complete: ${relationships.length} relationships found`);
@@ -9180,8 +9996,9 @@ function detectAllAssetRelationships(sfmcObjects) {
  */
 /**
  * Fetch all SFMC objects using the new efficient MetadataCrawler
+ * @param {object} [options] - Incremental refresh options, see fetchAllSFMCObjectsLegacy
  */
-async function fetchAllSFMCObjects(accessToken, subdomain, restEndpoint) {
+async function fetchAllSFMCObjects(accessToken, subdomain, restEndpoint, options = {}) {
   console.log('� [SFMC Fetch] Using new MetadataCrawler for efficient data collection...');
   
   const startTime = Date.now();
@@ -9282,17 +10099,22 @@ async function fetchAllSFMCObjects(accessToken, subdomain, restEndpoint) {
     console.log('🔄 [SFMC Fetch] Falling back to legacy method...');
     
     // Fallback to original method if MetadataCrawler fails
-    return await fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint);
+    return await fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint, options);
   }
 }
 
 /**
  * Legacy SFMC object fetching method (fallback)
+ * @param {object} [options]
+ * @param {object} [options.modifiedSince] - { [collection]: ModifiedDate } to only fetch changed SOAP rows
+ * @param {object} [options.detailCache] - { automations, journeys } REST detail caches, updated in place
  */
-async function fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint) {
+async function fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint, options = {}) {
   console.log('🔄 [SFMC Fetch] Using legacy parallel fetch method...');
   
   const startTime = Date.now();
+  const modifiedSince = options.modifiedSince || {};
+  const detailCache = options.detailCache || {};
   
   const allObjects = {
     'Data Extensions': [],
@@ -9303,8 +10125,13 @@ async function fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint) {
     'Data Filters': [], // Changed from 'Filters' to 'Data Filters'
     'Filter Activities': [],
     'File Transfers': [],
-    'Data Extracts': []
+    'Data Extracts': [],
+    'Email Send Definitions': []
   };
+  // Collections whose fetch failed (left empty above). Not enumerable, so it never ends up among the
+  // collections; incremental snapshot refreshes keep the previous rows of these.
+  const failedCollections = [];
+  Object.defineProperty(allObjects, 'failedCollections', { value: failedCollections, enumerable: false });
 
   try {
     // Fetch all object types in parallel for better performance
@@ -9317,17 +10144,19 @@ async function fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint) {
       filters,
       filterActivities,
       fileTransfers,
-      dataExtracts
+      dataExtracts,
+      emailSendDefinitions
     ] = await Promise.allSettled([
-      fetchSFMCDataExtensions(accessToken, subdomain),
-      fetchSFMCQueries(accessToken, restEndpoint),
-      fetchSFMCAutomations(accessToken, restEndpoint),
-      fetchSFMCJourneys(accessToken, restEndpoint),
-      fetchSFMCTriggeredSends(accessToken, subdomain),
-      fetchSFMCFilters(accessToken, subdomain),
-      fetchSFMCFilterActivities(accessToken, subdomain),
+      fetchSFMCDataExtensions(accessToken, subdomain, { modifiedSince: modifiedSince['Data Extensions'], includeFields: true }),
+      fetchSFMCQueries(accessToken, restEndpoint, { modifiedSince: modifiedSince['SQL Queries'] }),
+      fetchSFMCAutomations(accessToken, restEndpoint, { detailCache: detailCache.automations }),
+      fetchSFMCJourneys(accessToken, restEndpoint, { detailCache: detailCache.journeys }),
+      fetchSFMCTriggeredSends(accessToken, subdomain, { modifiedSince: modifiedSince['Journey Email Triggered Sends'] }),
+      fetchSFMCFilters(accessToken, subdomain, { modifiedSince: modifiedSince['Data Filters'] }),
+      fetchSFMCFilterActivities(accessToken, subdomain, { modifiedSince: modifiedSince['Filter Activities'] }),
       fetchSFMCFileTransfers(accessToken, restEndpoint),
-      fetchSFMCDataExtracts(accessToken, restEndpoint)
+      fetchSFMCDataExtracts(accessToken, restEndpoint),
+      fetchSFMCEmailSendDefinitions(accessToken, subdomain, { modifiedSince: modifiedSince['Email Send Definitions'] })
     ]);
 
     const endTime = Date.now();
@@ -9338,6 +10167,7 @@ async function fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint) {
       allObjects['Data Extensions'] = dataExtensions.value;
       console.log(`✅ [SFMC API] Fetched ${dataExtensions.value.length} Data Extensions`);
     } else {
+      failedCollections.push('Data Extensions');
       console.error('❌ [SFMC API] Failed to fetch Data Extensions:', dataExtensions.reason.message);
     }
 
@@ -9345,6 +10175,7 @@ async function fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint) {
       allObjects['SQL Queries'] = queries.value;
       console.log(`✅ [SFMC API] Fetched ${queries.value.length} SQL Queries`);
     } else {
+      failedCollections.push('SQL Queries');
       console.error('❌ [SFMC API] Failed to fetch SQL Queries:', queries.reason.message);
     }
 
@@ -9364,6 +10195,7 @@ async function fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint) {
         console.log(`✅ [SFMC API] Fetched ${automationResult.length} Automations (legacy format)`);
       }
     } else {
+      failedCollections.push('Automations');
       console.error('❌ [SFMC API] Failed to fetch Automations:', automations.reason.message);
     }
 
@@ -9375,6 +10207,7 @@ async function fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint) {
       console.log(`✅ [SFMC API] Fetched ${journeyResult.journeys?.length || 0} Journeys`);
       console.log(`✅ [SFMC API] Fetched ${journeyResult.eventDefinitions?.length || 0} Event Definitions`);
     } else {
+      failedCollections.push('Journeys');
       console.error('❌ [SFMC API] Failed to fetch Journeys:', journeys.reason.message);
     }
 
@@ -9382,6 +10215,7 @@ async function fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint) {
       allObjects['Journey Email Triggered Sends'] = triggeredSends.value;
       console.log(`✅ [SFMC API] Fetched ${triggeredSends.value.length} Journey Email Triggered Sends`);
     } else {
+      failedCollections.push('Journey Email Triggered Sends');
       console.error('❌ [SFMC API] Failed to fetch Journey Email Triggered Sends:', triggeredSends.reason.message);
     }
 
@@ -9389,6 +10223,7 @@ async function fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint) {
       allObjects['Data Filters'] = filters.value; // Changed from 'Filters' to 'Data Filters'
       console.log(`✅ [SFMC API] Fetched ${filters.value.length} Data Filters`);
     } else {
+      failedCollections.push('Data Filters');
       console.error('❌ [SFMC API] Failed to fetch Data Filters:', filters.reason.message);
     }
 
@@ -9396,6 +10231,7 @@ async function fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint) {
       allObjects['Filter Activities'] = filterActivities.value;
       console.log(`✅ [SFMC API] Fetched ${filterActivities.value.length} Filter Activities`);
     } else {
+      failedCollections.push('Filter Activities');
       console.error('❌ [SFMC API] Failed to fetch Filter Activities:', filterActivities.reason.message);
     }
 
@@ -9403,6 +10239,7 @@ async function fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint) {
       allObjects['File Transfers'] = fileTransfers.value;
       console.log(`✅ [SFMC API] Fetched ${fileTransfers.value.length} File Transfers`);
     } else {
+      failedCollections.push('File Transfers');
       console.error('❌ [SFMC API] Failed to fetch File Transfers:', fileTransfers.reason.message);
     }
 
@@ -9410,9 +10247,18 @@ async function fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint) {
       allObjects['Data Extracts'] = dataExtracts.value;
       console.log(`✅ [SFMC API] Fetched ${dataExtracts.value.length} Data Extracts`);
     } else {
+      failedCollections.push('Data Extracts');
       console.error('❌ [SFMC API] Failed to fetch Data Extracts:', dataExtracts.reason.message);
     }
 
+    if (emailSendDefinitions.status === 'fulfilled') {
+      allObjects['Email Send Definitions'] = emailSendDefinitions.value;
+      console.log(`✅ [SFMC API] Fetched ${emailSendDefinitions.value.length} Email Send Definitions`);
+    } else {
+      failedCollections.push('Email Send Definitions');
+      console.error('❌ [SFMC API] Failed to fetch Email Send Definitions:', emailSendDefinitions.reason.message);
+    }
+
     console.log(`✅ [SFMC Fetch] Completed legacy fetch in ${duration}s`);
     return allObjects;
     
@@ -9422,6 +10268,165 @@ async function fetchAllSFMCObjectsLegacy(accessToken, subdomain, restEndpoint) {
   }
 }
 
+// ==================== METADATA SNAPSHOTS ====================
+
+// How to list every id of an incremental collection, so an incremental refresh can drop rows deleted in MC.
+// toId must derive the same id as the collection's fetcher (fetchSFMCDataExtensions, fetchSFMCQueries, ...).
+const INCREMENTAL_ID_SOURCES = {
+  'Data Extensions': { objectType: 'DataExtension', properties: ['ObjectID', 'CustomerKey'], toId: row => row.CustomerKey || row.ObjectID },
+  'SQL Queries': { objectType: 'QueryDefinition', properties: ['ObjectID'], toId: row => `query_${row.ObjectID}` },
+  'Journey Email Triggered Sends': { objectType: 'TriggeredSendDefinition', properties: ['CustomerKey'], toId: row => row.CustomerKey },
+  'Data Filters': { objectType: 'FilterDefinition', properties: ['ObjectID', 'CustomerKey'], toId: row => row.CustomerKey || row.ObjectID },
+  'Filter Activities': { objectType: 'FilterActivity', properties: ['ObjectID', 'CustomerKey'], toId: row => row.ObjectID || row.CustomerKey },
+  'Email Send Definitions': { objectType: 'EmailSendDefinition', properties: ['ObjectID', 'CustomerKey'], toId: row => row.CustomerKey || row.ObjectID }
+};
+
+/**
+ * Every id that currently exists in each incremental collection (a light Retrieve without the ModifiedDate filter).
+ * A collection whose Retrieve fails is left out, so the merge keeps its previous rows.
+ * @returns {Promise<object>} - { [collection]: string[] }
+ */
+async function fetchIncrementalCollectionIds(accessToken, subdomain) {
+  const collections = MetadataSnapshotStore.INCREMENTAL_COLLECTIONS;
+  const settled = await Promise.allSettled(collections.map(collection => {
+    const { objectType, properties } = INCREMENTAL_ID_SOURCES[collection];
+    return retrieveAll(subdomain, accessToken, { objectType, properties });
+  }));
+  const currentIds = {};
+  settled.forEach((outcome, index) => {
+    const collection = collections[index];
+    if (outcome.status === 'fulfilled') {
+      currentIds[collection] = outcome.value.map(INCREMENTAL_ID_SOURCES[collection].toId).filter(Boolean);
+    } else {
+      console.warn(`⚠️ [Snapshot] Could not list ${collection} ids, keeping their previous rows:`, outcome.reason?.message);
+    }
+  });
+  return currentIds;
+}
+
+const metadataSnapshots = new MetadataSnapshotStore();
+const snapshotRefreshesInFlight = new Map(); // buKey → Promise, so concurrent callers share one crawl
+
+/**
+ * Normalize a "refresh" query/body value.
+ * @param {*} value - undefined/'false' (use snapshot), 'true'/'incremental', or 'full'
+ * @returns {'none'|'incremental'|'full'}
+ */
+function parseRefreshMode(value) {
+  if (value === undefined || value === null || value === '' || value === false || value === 'false' || value === '0') return 'none';
+  if (value === 'full') return 'full';
+  return 'incremental';
+}
+
+/**
+ * Access to the metadata snapshot of the session's business unit. The snapshot is always keyed on the
+ * session's MC credentials (never on the x-mc-subdomain header), and the access token must be accepted
+ * by /v2/userinfo of that subdomain before anything is read from or written to disk.
+ * @param {object} req - Express request
+ * @param {string} [accessToken] - Token to validate, defaults to the request's token
+ * @returns {Promise<{ accessToken: string, subdomain: string, snapshotKey: string }>}
+ * @throws {Error} - statusCode 401 without a session or when MC rejects the token, 503 when userinfo is unreachable
+ */
+async function getSnapshotAccess(req, accessToken = getAccessTokenFromRequest(req)) {
+  const creds = req.session?.mcCreds;
+  if (!creds?.subdomain || !accessToken) {
+    throw Object.assign(new Error('Not authenticated with Marketing Cloud'), { statusCode: 401 });
+  }
+  await lookupUserKey(accessToken, creds.subdomain);
+  return {
+    accessToken,
+    subdomain: creds.subdomain,
+    snapshotKey: MetadataSnapshotStore.getBusinessUnitKey(creds.subdomain, creds.accountId)
+  };
+}
+
+// Snapshot access for a request, or null after answering 401/503 (see getSnapshotAccess)
+async function requireSnapshotAccess(req, res, accessToken) {
+  try {
+    return await getSnapshotAccess(req, accessToken);
+  } catch (err) {
+    res.status(err.statusCode || 503).json({ error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Return SFMC objects for a business unit from its persisted snapshot, crawling
+ * the org only when there is no snapshot yet or a refresh is requested.
+ * Incremental refreshes only retrieve SOAP rows modified after the snapshot's
+ * watermarks and reuse automation/journey details whose modifiedDate is unchanged.
+ * @param {string} accessToken
+ * @param {string} subdomain
+ * @param {string} restEndpoint
+ * @param {string} buKey - See getSnapshotAccess
+ * @param {object} [options]
+ * @param {string} [options.refresh='none'] - 'none', 'incremental' or 'full'
+ * @param {string|number} [options.accountId] - Stored on the snapshot for reference
+ * @returns {Promise<{ sfmcObjects: object, snapshot: object }>} - snapshot is the describe() summary
+ */
+async function getSFMCObjectsFromSnapshot(accessToken, subdomain, restEndpoint, buKey, options = {}) {
+  const refresh = options.refresh || 'none';
+  const existing = metadataSnapshots.load(buKey);
+
+  if (existing && refresh === 'none') {
+    console.log(`📦 [Snapshot] Serving ${buKey} from snapshot taken ${existing.refreshedAt}`);
+    return { sfmcObjects: MetadataSnapshotStore.toSFMCObjects(existing), snapshot: MetadataSnapshotStore.describe(existing) };
+  }
+
+  if (!snapshotRefreshesInFlight.has(buKey)) {
+    const incremental = !!existing && refresh !== 'full';
+    const run = (async () => {
+      const startTime = Date.now();
+      const detailCache = incremental
+        ? JSON.parse(JSON.stringify(existing.detailCache || {}))
+        : {};
+      detailCache.automations = detailCache.automations || {};
+      detailCache.journeys = detailCache.journeys || {};
+
+      console.log(`🔄 [Snapshot] ${incremental ? 'Incremental' : 'Full'} refresh of ${buKey}`);
+      const [fetched, currentIds] = await Promise.all([
+        fetchAllSFMCObjects(accessToken, subdomain, restEndpoint, {
+          modifiedSince: incremental ? existing.watermarks || {} : {},
+          detailCache
+        }),
+        incremental ? fetchIncrementalCollectionIds(accessToken, subdomain) : null
+      ]);
+      const objects = incremental
+        ? MetadataSnapshotStore.mergeIncremental(MetadataSnapshotStore.toSFMCObjects(existing), fetched, {
+          currentIds,
+          failedCollections: fetched.failedCollections
+        })
+        : fetched;
+      // Collections the snapshot has no complete copy of: failed on a full refresh (saved empty), or still
+      // failing on an incremental one. The diff skips them instead of reporting their assets as removed.
+      const incompleteCollections = incremental
+        ? (existing.incompleteCollections || []).filter(collection => fetched.failedCollections.includes(collection))
+        : fetched.failedCollections;
+
+      const now = new Date().toISOString();
+      const saved = metadataSnapshots.save(buKey, {
+        subdomain,
+        accountId: options.accountId || null,
+        createdAt: incremental ? existing.createdAt : now,
+        refreshedAt: now,
+        refreshType: incremental ? 'incremental' : 'full',
+        durationMs: Date.now() - startTime,
+        watermarks: MetadataSnapshotStore.computeWatermarks(objects),
+        incompleteCollections,
+        detailCache,
+        objects
+      });
+      console.log(`✅ [Snapshot] Saved ${buKey} (${saved.refreshType}, ${saved.durationMs}ms)`);
+      return saved;
+    })();
+    snapshotRefreshesInFlight.set(buKey, run);
+    run.finally(() => snapshotRefreshesInFlight.delete(buKey)).catch(() => {});
+  }
+
+  const snapshot = await snapshotRefreshesInFlight.get(buKey);
+  return { sfmcObjects: MetadataSnapshotStore.toSFMCObjects(snapshot), snapshot: MetadataSnapshotStore.describe(snapshot) };
+}
+
 // ==================== GRAPH API UTILITY FUNCTIONS ====================
 
 /**
@@ -11987,7 +12992,7 @@ app.post('/api/schema/process', async (req, res) => {
   try {
     console.log('🔄 [Schema API] Processing schema with SFMC integration');
     
-    const { schema, accessToken, subdomain } = req.body;
+    const { schema, accessToken, subdomain, refresh } = req.body;
     console.log('📊 [Schema API] Input schema:', { nodes: schema?.nodes?.length || 0, edges: schema?.edges?.length || 0 });
     console.log('🔑 [Schema API] Authentication from body:', { 
       hasToken: !!accessToken, 
@@ -12006,14 +13011,19 @@ app.post('/api/schema/process', async (req, res) => {
     
     // Get current SFMC objects for linking
     let sfmcObjects = {};
+    let snapshot = null;
     try {
       console.log('📥 [Schema API] Fetching SFMC objects for schema processing');
       
       if (accessToken && subdomain) {
-        const restEndpoint = req.session?.mcCreds?.restEndpoint || `https://${subdomain}.rest.marketingcloudapis.com`;
+        const access = await getSnapshotAccess(req, accessToken);
+        const restEndpoint = req.session.mcCreds.restEndpoint || getRestBaseUrl(access.subdomain);
         console.log('🌐 [Schema API] Using REST endpoint:', restEndpoint);
         
-        sfmcObjects = await fetchAllSFMCObjects(accessToken, subdomain, restEndpoint);
+        ({ sfmcObjects, snapshot } = await getSFMCObjectsFromSnapshot(
+          accessToken, access.subdomain, restEndpoint, access.snapshotKey,
+          { refresh: parseRefreshMode(refresh), accountId: req.session?.mcCreds?.accountId }
+        ));
         
         console.log('✅ [Schema API] SFMC objects fetched:', {
           dataExtensions: sfmcObjects['Data Extensions']?.length || 0,
@@ -12087,6 +13097,7 @@ app.post('/api/schema/process', async (req, res) => {
     res.json({
       success: true,
       schema: processedSchema,
+      snapshot,
       stats: {
         nodes: processedSchema.nodes.length,
         edges: processedSchema.edges.length,
@@ -12434,7 +13445,7 @@ app.get('/api/schema/templates', (req, res) => {
  */
 app.get('/graph', async (req, res) => {
   try {
-    const { type, keys, selectedObjects } = req.query;
+    const { type, keys, selectedObjects, refresh } = req.query;
     
     // Parse types parameter (comma-separated string to array)
     const types = type ? type.split(',').map(t => t.trim()) : [];
@@ -12762,18 +13773,21 @@ app.get('/graph', async (req, res) => {
     // Live mode - generate graph from real SFMC data
     console.log('📡 [Graph API] Generating graph from live SFMC data...');
     
+    // The token must be valid for the session's org before its snapshot is read
+    const access = await requireSnapshotAccess(req, res);
+    if (!access) return;
+    
+    let sfmcObjects = null; // Kept outside the try so the minimal-graph fallback can use it
     try {
-      // Get existing access token from session
-      const accessToken = getAccessTokenFromRequest(req);
-      const subdomain = getSubdomainFromRequest(req);
-      
-      if (!accessToken || !subdomain) {
-        throw new Error('Missing access token or subdomain. Please re-authenticate with Marketing Cloud.');
-      }
+      const { accessToken, subdomain } = access;
       
-      // Fetch all SFMC objects
-      const restEndpoint = req.session.mcCreds.restEndpoint || `https://${subdomain}.rest.marketingcloudapis.com`;
-      const sfmcObjects = await fetchAllSFMCObjects(accessToken, subdomain, restEndpoint);
+      // Read SFMC objects from the business unit's snapshot (crawls on first use or refresh)
+      const restEndpoint = req.session.mcCreds.restEndpoint || getRestBaseUrl(subdomain);
+      const { sfmcObjects: snapshotObjects, snapshot } = await getSFMCObjectsFromSnapshot(
+        accessToken, subdomain, restEndpoint, access.snapshotKey,
+        { refresh: parseRefreshMode(refresh), accountId: req.session.mcCreds.accountId }
+      );
+      sfmcObjects = snapshotObjects;
       
       // Generate graph data from real SFMC objects with selected object filtering
       const graphData = await generateLiveGraphDataEnhanced(sfmcObjects, types, parsedKeys, parsedSelectedObjects, accessToken, subdomain);
@@ -12787,6 +13801,10 @@ app.get('/graph', async (req, res) => {
           edgeCount: graphData.edges.length
         });
         
+        // Column-level lineage, kept apart from object edges so graph layouts are unaffected
+        const fieldLineage = await buildQueryFieldLineage(sfmcObjects, accessToken, subdomain, access.snapshotKey);
+        graphData.fieldEdges = fieldLineage.edges;
+        graphData.metadata = { ...(graphData.metadata || {}), snapshot, unmappedQueryColumns: fieldLineage.unmapped };
         res.json(graphData);
       } else {
         console.log('⚠️ [Graph API] Live graph generation returned empty data, falling back to mock...');
@@ -12948,12 +13966,417 @@ app.get('/debug/automations', async (req, res) => {
     console.error('Debug automations error:', error);
     res.status(500).json({ error: 'Failed to retrieve debug data' });
   }
-});
+});
+
+/**
+ * Node details endpoint for getting detailed information about a specific node
+ * Requires Marketing Cloud authentication - no mock mode
+ */
+// ==================== NODE DETAILS ====================
+
+// Graph node ID prefixes → asset type
+const NODE_ID_PREFIXES = {
+  de_: 'DataExtension',
+  query_: 'Query',
+  auto_: 'Automation',
+  journey_: 'Journey',
+  ts_: 'TriggeredSend',
+  filter_: 'Filter',
+  ft_: 'FileTransfer',
+  extract_: 'DataExtract'
+};
+
+// Snapshot collections → asset type, for node IDs without a prefix (e.g. DE CustomerKeys)
+const NODE_COLLECTION_TYPES = {
+  'Data Extensions': 'DataExtension',
+  'SQL Queries': 'Query',
+  'Automations': 'Automation',
+  'Journeys': 'Journey',
+  'Journey Email Triggered Sends': 'TriggeredSend',
+  'Triggered Sends': 'TriggeredSend',
+  'Data Filters': 'Filter',
+  'Filter Activities': 'Filter',
+  'File Transfers': 'FileTransfer',
+  'Data Extracts': 'DataExtract'
+};
+
+const isGuid = value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value));
+
+/**
+ * Work out which asset a graph node ID refers to.
+ * @param {string} id - Node ID, e.g. 'de_<ObjectID>', 'query_<ObjectID>' or a snapshot object ID
+ * @param {object|null} sfmcObjects - Snapshot objects used for unprefixed IDs
+ * @returns {{ type: string, ref: string }|null} - ref is the ID/key to look the asset up by
+ */
+function resolveNodeReference(id, sfmcObjects) {
+  const prefix = Object.keys(NODE_ID_PREFIXES).find(p => id.startsWith(p));
+  if (prefix) return { type: NODE_ID_PREFIXES[prefix], ref: id.slice(prefix.length) };
+
+  for (const [collection, type] of Object.entries(NODE_COLLECTION_TYPES)) {
+    const item = (sfmcObjects?.[collection] || []).find(obj => obj.id === id);
+    if (item) return { type, ref: item.objectId || item.customerKey || item.id };
+  }
+  return null;
+}
+
+/**
+ * Retrieve the first SOAP row matching ObjectID (for GUIDs) or CustomerKey.
+ */
+async function retrieveByObjectIdOrKey(subdomain, accessToken, objectType, properties, ref) {
+  const rows = await retrieveAll(subdomain, accessToken, {
+    objectType,
+    properties,
+    filter: { property: isGuid(ref) ? 'ObjectID' : 'CustomerKey', operator: 'equals', value: ref }
+  });
+  return rows[0] || null;
+}
+
+async function getFolderPath(subdomain, accessToken, categoryId, contentType) {
+  if (!categoryId) return null;
+  try {
+    const folderMap = await retrieveFolderMap(subdomain, accessToken, contentType);
+    return folderMap[String(categoryId)] ? buildFolderPath(String(categoryId), folderMap) : null;
+  } catch (error) {
+    console.warn(`⚠️ [Node Details] Folder path lookup failed for ${categoryId}:`, error.message);
+    return null;
+  }
+}
+
+async function fetchDataExtensionNodeDetails(subdomain, accessToken, ref) {
+  const de = await retrieveByObjectIdOrKey(subdomain, accessToken, 'DataExtension', [
+    'ObjectID', 'Name', 'CustomerKey', 'Description', 'CategoryID', 'IsSendable', 'IsTestable',
+    'SendableSubscriberField.Name', 'SendableDataExtensionField.Name',
+    'DataRetentionPeriodLength', 'DataRetentionPeriod', 'CreatedDate', 'ModifiedDate'
+  ], ref);
+  if (!de) return null;
+
+  const [fieldsByKey, folderPath, restInfo] = await Promise.all([
+    fetchDataExtensionFields(accessToken, subdomain, [de.CustomerKey]),
+    getFolderPath(subdomain, accessToken, de.CategoryID, 'dataextension'),
+    // Row count and audit names are only exposed by the REST customobjects search
+    axios.get(`${getRestBaseUrl(subdomain)}/data/v1/customobjects?$search=${encodeURIComponent(de.Name)}`, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    }).then(resp => (resp.data?.items || []).find(item => item.key === de.CustomerKey) || null)
+      .catch(() => null)
+  ]);
+
+  return {
+    name: de.Name,
+    createdDate: de.CreatedDate,
+    lastModified: de.ModifiedDate,
+    status: null,
+    metadata: {
+      objectId: de.ObjectID,
+      externalKey: de.CustomerKey,
+      description: de.Description || '',
+      categoryPath: folderPath,
+      fields: fieldsByKey[de.CustomerKey] || [],
+      recordCount: restInfo?.rowCount ?? null,
+      isSendable: de.IsSendable === 'true',
+      isTestable: de.IsTestable === 'true',
+      sendableField: de.SendableDataExtensionField?.Name || null,
+      sendableSubscriberField: de.SendableSubscriberField?.Name || null,
+      retention: de.DataRetentionPeriodLength ? `${de.DataRetentionPeriodLength} ${de.DataRetentionPeriod || '(unit not set)'}` : null,
+      createdDate: de.CreatedDate,
+      modifiedDate: de.ModifiedDate,
+      createdByName: restInfo?.createdByName || null,
+      modifiedByName: restInfo?.modifiedByName || null
+    }
+  };
+}
+
+async function fetchQueryNodeDetails(subdomain, accessToken, ref) {
+  const query = await retrieveByObjectIdOrKey(subdomain, accessToken, 'QueryDefinition', [
+    'ObjectID', 'Name', 'CustomerKey', 'Description', 'QueryText', 'TargetType', 'TargetUpdateType',
+    'DataExtensionTarget.Name', 'DataExtensionTarget.CustomerKey', 'CategoryID', 'Status', 'CreatedDate', 'ModifiedDate'
+  ], ref);
+  if (!query) return null;
+
+  const parsed = parseSQL(query.QueryText || '');
+  return {
+    name: query.Name,
+    createdDate: query.CreatedDate,
+    lastModified: query.ModifiedDate,
+    status: query.Status || null,
+    metadata: {
+      objectId: query.ObjectID,
+      externalKey: query.CustomerKey,
+      description: query.Description || '',
+      categoryPath: await getFolderPath(subdomain, accessToken, query.CategoryID, 'queryactivity'),
+      queryText: query.QueryText || '',
+      targetDE: query.DataExtensionTarget?.Name || null,
+      targetDEKey: query.DataExtensionTarget?.CustomerKey || null,
+      targetType: query.TargetType || null,
+      updateType: query.TargetUpdateType || null,
+      sourceDEs: getSourceTableNames(parsed),
+      sourceTables: parsed.sources,
+      joins: parsed.joins,
+      status: query.Status || null,
+      createdDate: query.CreatedDate,
+      modifiedDate: query.ModifiedDate
+    }
+  };
+}
+
+async function fetchAutomationNodeDetails(subdomain, accessToken, ref) {
+  const resp = await axios.get(`${getRestBaseUrl(subdomain)}/automation/v1/automations/${encodeURIComponent(ref)}`, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  const automation = resp.data;
+  const activities = [];
+  (automation.steps || []).forEach((step, stepIndex) => {
+    (step.activities || []).forEach(activity => {
+      activities.push({
+        id: activity.id,
+        stepNumber: step.stepNumber || step.step || stepIndex + 1,
+        name: activity.name,
+        type: getActivityTypeEnhanced(activity),
+        activityObjectId: activity.activityObjectId
+      });
+    });
+  });
+
+  return {
+    name: automation.name,
+    createdDate: automation.createdDate,
+    lastModified: automation.modifiedDate,
+    status: automation.status,
+    metadata: {
+      externalKey: automation.key || automation.customerKey,
+      description: automation.description || '',
+      status: automation.status,
+      steps: (automation.steps || []).length,
+      activities,
+      schedule: automation.schedule ? {
+        status: automation.schedule.scheduleStatus || null,
+        pattern: automation.schedule.icalRecur || automation.schedule.pattern || null,
+        startDate: automation.schedule.startDate || null,
+        nextRun: automation.schedule.scheduledTime || null,
+        timezone: automation.schedule.timezoneName || null
+      } : null,
+      lastRun: automation.lastRunTime || null,
+      lastRunStatus: automation.lastRunStatus || null,
+      lastRunInstanceId: automation.lastRunInstanceId || null,
+      createdDate: automation.createdDate,
+      modifiedDate: automation.modifiedDate,
+      createdByName: automation.createdName || automation.createdByName || null,
+      modifiedByName: automation.modifiedName || automation.modifiedByName || null
+    }
+  };
+}
+
+async function fetchJourneyNodeDetails(subdomain, accessToken, ref) {
+  const baseUrl = `${getRestBaseUrl(subdomain)}/interaction/v1/interactions`;
+  const headers = { Authorization: `Bearer ${accessToken}` };
+  const resp = await axios.get(`${baseUrl}/${isGuid(ref) ? ref : `key:${encodeURIComponent(ref)}`}`, { headers });
+  const journey = resp.data;
+
+  // Every version of the journey shares its key
+  let versions = [];
+  try {
+    const all = await fetchAllRestItems(
+      `${baseUrl}?mostRecentVersionOnly=false&nameOrDescription=${encodeURIComponent(journey.name)}`, accessToken, 100);
+    versions = all.filter(j => j.key === journey.key)
+      .map(j => ({ id: j.id, version: j.version, status: j.status, modifiedDate: j.modifiedDate }))
+      .sort((a, b) => (b.version || 0) - (a.version || 0));
+  } catch (error) {
+    console.warn(`⚠️ [Node Details] Journey versions lookup failed for ${journey.key}:`, error.message);
+  }
+
+  let entrySources = (journey.triggers || []).map(trigger => ({
+    name: trigger.name || trigger.type,
+    type: trigger.type,
+    eventDefinitionKey: trigger.metaData?.eventDefinitionKey || trigger.eventDefinitionKey || null,
+    dataExtensionId: trigger.arguments?.dataExtensionId || trigger.configurationArguments?.dataExtensionId || null
+  }));
+  // Name the entry DE from its event definition when the trigger only has the key
+  const eventDefinitionKeys = entrySources.map(s => s.eventDefinitionKey).filter(Boolean);
+  if (eventDefinitionKeys.length > 0) {
+    try {
+      const eventDefinitions = await fetchAllRestItems(`${getRestBaseUrl(subdomain)}/interaction/v1/eventDefinitions`, accessToken, 200);
+      entrySources = entrySources.map(source => {
+        const eventDefinition = eventDefinitions.find(ed => ed.eventDefinitionKey === source.eventDefinitionKey);
+        return eventDefinition ? {
+          ...source,
+          name: eventDefinition.dataExtensionName || source.name,
+          dataExtensionId: source.dataExtensionId || eventDefinition.dataExtensionId
+        } : source;
+      });
+    } catch (error) {
+      console.warn('⚠️ [Node Details] Event definition lookup failed:', error.message);
+    }
+  }
+
+  return {
+    name: journey.name,
+    createdDate: journey.createdDate,
+    lastModified: journey.modifiedDate,
+    status: journey.status,
+    metadata: {
+      externalKey: journey.key,
+      description: journey.description || '',
+      status: journey.status,
+      version: journey.version || journey.versionNumber || null,
+      versions,
+      entrySources,
+      activities: (journey.activities || []).map(a => ({ id: a.id, key: a.key, name: a.name, type: a.type })),
+      activityGraph: parseJourneyActivities(journey, await fetchJourneyActivityLookups(subdomain, accessToken, [journey])),
+      lastPublishedDate: journey.lastPublishedDate || null,
+      createdDate: journey.createdDate,
+      modifiedDate: journey.modifiedDate,
+      createdByName: journey.createdByName || null,
+      modifiedByName: journey.modifiedByName || null
+    }
+  };
+}
+
+async function fetchTriggeredSendNodeDetails(subdomain, accessToken, ref) {
+  const ts = await retrieveByObjectIdOrKey(subdomain, accessToken, 'TriggeredSendDefinition', [
+    'ObjectID', 'Name', 'CustomerKey', 'Description', 'TriggeredSendStatus', 'Email.ID',
+    'SendClassification.CustomerKey', 'SenderProfile.CustomerKey', 'SendSourceDataExtension.CustomerKey',
+    'CategoryID', 'CreatedDate', 'ModifiedDate'
+  ], ref);
+  if (!ts) return null;
+
+  const [emails, classifications] = await Promise.all([
+    ts.Email?.ID
+      ? retrieveAll(subdomain, accessToken, {
+        objectType: 'Email', properties: ['ID', 'Name', 'Subject'],
+        filter: { property: 'ID', operator: 'equals', value: ts.Email.ID }
+      }).catch(() => [])
+      : [],
+    ts.SendClassification?.CustomerKey
+      ? retrieveAll(subdomain, accessToken, {
+        objectType: 'SendClassification', properties: ['CustomerKey', 'Name'],
+        filter: { property: 'CustomerKey', operator: 'equals', value: ts.SendClassification.CustomerKey }
+      }).catch(() => [])
+      : []
+  ]);
+
+  return {
+    name: ts.Name,
+    createdDate: ts.CreatedDate,
+    lastModified: ts.ModifiedDate,
+    status: ts.TriggeredSendStatus,
+    metadata: {
+      objectId: ts.ObjectID,
+      externalKey: ts.CustomerKey,
+      description: ts.Description || '',
+      categoryPath: await getFolderPath(subdomain, accessToken, ts.CategoryID, 'triggered_send'),
+      status: ts.TriggeredSendStatus,
+      emailId: ts.Email?.ID || null,
+      emailName: emails[0]?.Name || null,
+      emailSubject: emails[0]?.Subject || null,
+      sendClassification: classifications[0]?.Name || ts.SendClassification?.CustomerKey || null,
+      senderProfile: ts.SenderProfile?.CustomerKey || null,
+      sendSourceDataExtension: ts.SendSourceDataExtension?.CustomerKey || null,
+      createdDate: ts.CreatedDate,
+      modifiedDate: ts.ModifiedDate
+    }
+  };
+}
+
+async function fetchFilterNodeDetails(subdomain, accessToken, ref) {
+  const filter = await retrieveByObjectIdOrKey(subdomain, accessToken, 'FilterDefinition', [
+    'ObjectID', 'Name', 'CustomerKey', 'Description', 'DataSource', 'CategoryID', 'CreatedDate', 'ModifiedDate'
+  ], ref).catch(() => null);
+  if (filter) {
+    return {
+      name: filter.Name,
+      createdDate: filter.CreatedDate,
+      lastModified: filter.ModifiedDate,
+      status: null,
+      metadata: {
+        objectId: filter.ObjectID,
+        externalKey: filter.CustomerKey,
+        description: filter.Description || '',
+        categoryPath: await getFolderPath(subdomain, accessToken, filter.CategoryID, 'filterdefinition'),
+        filterType: 'FilterDefinition',
+        dataSource: filter.DataSource || null,
+        createdDate: filter.CreatedDate,
+        modifiedDate: filter.ModifiedDate
+      }
+    };
+  }
+
+  // Filter activity IDs share the filter_ prefix
+  const activity = await retrieveByObjectIdOrKey(subdomain, accessToken, 'FilterActivity', [
+    'ObjectID', 'Name', 'CustomerKey', 'Description', 'FilterDefinitionID', 'DestinationObjectID', 'CategoryID', 'CreatedDate', 'ModifiedDate'
+  ], ref);
+  if (!activity) return null;
+  return {
+    name: activity.Name,
+    createdDate: activity.CreatedDate,
+    lastModified: activity.ModifiedDate,
+    status: null,
+    metadata: {
+      objectId: activity.ObjectID,
+      externalKey: activity.CustomerKey,
+      description: activity.Description || '',
+      filterType: 'FilterActivity',
+      filterDefinitionId: activity.FilterDefinitionID || null,
+      destinationObjectId: activity.DestinationObjectID || null,
+      createdDate: activity.CreatedDate,
+      modifiedDate: activity.ModifiedDate
+    }
+  };
+}
+
+async function fetchFileActivityNodeDetails(subdomain, accessToken, ref, type) {
+  const route = type === 'FileTransfer' ? 'filetransfers' : 'dataextracts';
+  const resp = await axios.get(`${getRestBaseUrl(subdomain)}/automation/v1/${route}/${encodeURIComponent(ref)}`, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  const item = resp.data;
+  const deField = (item.dataFields || []).find(f => f.name === 'DECustomerKey');
+  return {
+    name: item.name,
+    createdDate: item.createdDate || null,
+    lastModified: item.modifiedDate || null,
+    status: item.status || null,
+    metadata: {
+      externalKey: item.customerKey || item.key || null,
+      description: item.description || '',
+      filePattern: item.fileSpec || null,
+      fileTransferLocationId: item.fileTransferLocationId || null,
+      isUpload: item.isUpload,
+      isCompressed: item.isCompressed,
+      isEncrypted: item.isEncrypted,
+      extractType: item.dataExtractTypeId || null,
+      sourceDataExtension: deField?.value || null,
+      createdDate: item.createdDate || null,
+      modifiedDate: item.modifiedDate || null
+    }
+  };
+}
 
 /**
- * Node details endpoint for getting detailed information about a specific node
- * Requires Marketing Cloud authentication - no mock mode
+ * Fetch live details for one graph node.
+ * @param {string} subdomain - SFMC subdomain
+ * @param {string} accessToken - SFMC access token
+ * @param {{ type: string, ref: string }} reference - From resolveNodeReference
+ * @returns {Promise<object|null>} - { name, createdDate, lastModified, status, metadata } or null when not found
  */
+async function fetchNodeDetails(subdomain, accessToken, { type, ref }) {
+  try {
+    switch (type) {
+      case 'DataExtension': return await fetchDataExtensionNodeDetails(subdomain, accessToken, ref);
+      case 'Query': return await fetchQueryNodeDetails(subdomain, accessToken, ref);
+      case 'Automation': return await fetchAutomationNodeDetails(subdomain, accessToken, ref);
+      case 'Journey': return await fetchJourneyNodeDetails(subdomain, accessToken, ref);
+      case 'TriggeredSend': return await fetchTriggeredSendNodeDetails(subdomain, accessToken, ref);
+      case 'Filter': return await fetchFilterNodeDetails(subdomain, accessToken, ref);
+      case 'FileTransfer':
+      case 'DataExtract': return await fetchFileActivityNodeDetails(subdomain, accessToken, ref, type);
+      default: return null;
+    }
+  } catch (error) {
+    // REST lookups answer 404 for unknown IDs
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
 app.get('/graph/node/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -12971,39 +14394,34 @@ app.get('/graph/node/:id', async (req, res) => {
     // Live mode - fetch real node details from SFMC
     console.log('📡 [Graph API] Fetching live node details from Marketing Cloud...');
     
+    const access = await requireSnapshotAccess(req, res);
+    if (!access) return;
+    
     try {
-      // Get existing access token from session
-      const accessToken = getAccessTokenFromRequest(req);
-      const subdomain = getSubdomainFromRequest(req);
+      const { accessToken, subdomain } = access;
       
-      if (!accessToken || !subdomain) {
-        throw new Error('Missing access token or subdomain. Please re-authenticate with Marketing Cloud.');
+      // Unprefixed IDs (e.g. DE CustomerKeys) are typed from the snapshot, without crawling
+      const snapshot = metadataSnapshots.load(access.snapshotKey);
+      const reference = resolveNodeReference(id, snapshot ? MetadataSnapshotStore.toSFMCObjects(snapshot) : null);
+      if (!reference) {
+        return res.status(404).json({ error: 'Unknown node type', message: `Cannot tell which asset ${id} refers to` });
       }
-      
-      // For now, return basic node details - this can be enhanced later
-      // to fetch detailed information based on the node type and ID
-      const nodeDetails = {
+
+      const details = await fetchNodeDetails(subdomain, accessToken, reference);
+      if (!details) {
+        return res.status(404).json({ error: 'Node not found', message: `${reference.type} ${reference.ref} was not found in Marketing Cloud` });
+      }
+
+      res.json({
         id,
-        type: id.startsWith('de_') ? 'DataExtension' : 
-              id.startsWith('query_') ? 'Query' :
-              id.startsWith('auto_') ? 'Automation' :
-              id.startsWith('journey_') ? 'Journey' :
-              id.startsWith('ts_') ? 'TriggeredSend' :
-              id.startsWith('filter_') ? 'Filter' :
-              id.startsWith('ft_') ? 'FileTransfer' :
-              id.startsWith('extract_') ? 'DataExtract' : 'Unknown',
-        name: id.replace(/^(de_|query_|auto_|journey_|ts_|filter_|ft_|extract_)/, '').replace(/_/g, ' '),
-        lastModified: new Date().toISOString(),
-        createdDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
-        status: 'Active',
+        type: reference.type,
+        name: details.name,
+        createdDate: details.createdDate || null,
+        lastModified: details.lastModified || null,
+        status: details.status || null,
         source: 'Marketing Cloud API',
-        metadata: {
-          description: `Live data from Marketing Cloud for ${id}`,
-          nodeId: id
-        }
-      };
-      
-      res.json(nodeDetails);
+        metadata: { ...details.metadata, nodeId: id }
+      });
       
     } catch (error) {
       console.error('❌ [Graph API] Error fetching live node details:', error.message);
@@ -13040,28 +14458,28 @@ app.get('/objects', async (req, res) => {
       // Live mode - fetch from SFMC
       console.log('📡 [Objects API] Fetching live data from Marketing Cloud...');
       
+      // The token must be valid for the session's org before its snapshot is read
+      const access = await requireSnapshotAccess(req, res);
+      if (!access) return;
+      
       try {
-        // Get existing access token from session (like Search Assets module)
-        const accessToken = getAccessTokenFromRequest(req);
-        const subdomain = getSubdomainFromRequest(req);
+        const { accessToken, subdomain } = access;
         
-        if (!accessToken || !subdomain) {
-          console.log('⚠️ [Objects API] Missing access token or subdomain for live mode');
-          throw new Error('Missing access token or subdomain. Please ensure you are logged in to Marketing Cloud.');
-        }
-        
-        console.log('✅ [Objects API] Using existing access token from session');
+        console.log('✅ [Objects API] Using validated access token');
         
         // Determine REST endpoint
-        const restEndpoint = mcCreds.restEndpoint || `https://${subdomain}.rest.marketingcloudapis.com`;
+        const restEndpoint = mcCreds.restEndpoint || getRestBaseUrl(subdomain);
         
         console.log('🔧 [Objects API] Using endpoints:', {
           subdomain: subdomain,
           restEndpoint: restEndpoint
         });
         
-        // Fetch all objects from SFMC
-        const sfmcObjects = await fetchAllSFMCObjects(accessToken, subdomain, restEndpoint);
+        // Read objects from the business unit's snapshot (crawls on first use or ?refresh=true|full)
+        const { sfmcObjects, snapshot } = await getSFMCObjectsFromSnapshot(
+          accessToken, subdomain, restEndpoint, access.snapshotKey,
+          { refresh: parseRefreshMode(req.query.refresh), accountId: mcCreds.accountId }
+        );
         
         // Check if we got meaningful data (not all empty arrays)
         const hasData = Object.values(sfmcObjects).some(objectArray => 
@@ -13070,20 +14488,22 @@ app.get('/objects', async (req, res) => {
         
         if (hasData) {
           console.log('✅ [Objects API] Successfully fetched SFMC objects:', {
-            dataExtensions: sfmcObjects['Data Extensions'].length,
-            queries: sfmcObjects['SQL Queries'].length,
-            automations: sfmcObjects['Automations'].length,
-            journeys: sfmcObjects['Journeys'].length,
-            triggeredSends: sfmcObjects['Triggered Sends'].length,
-            filters: sfmcObjects['Filters'].length,
-            fileTransfers: sfmcObjects['File Transfers'].length,
-            dataExtracts: sfmcObjects['Data Extracts'].length
+            dataExtensions: sfmcObjects['Data Extensions']?.length || 0,
+            queries: sfmcObjects['SQL Queries']?.length || 0,
+            automations: sfmcObjects['Automations']?.length || 0,
+            journeys: sfmcObjects['Journeys']?.length || 0,
+            triggeredSends: sfmcObjects['Journey Email Triggered Sends']?.length || 0,
+            filters: sfmcObjects['Data Filters']?.length || 0,
+            fileTransfers: sfmcObjects['File Transfers']?.length || 0,
+            dataExtracts: sfmcObjects['Data Extracts']?.length || 0
           });
           
           // Filter out internal objects before returning
           const filteredObjects = { ...sfmcObjects };
           delete filteredObjects['_AutomationRelationships'];
           
+          res.set('X-Snapshot-Refreshed-At', snapshot.refreshedAt);
+          res.set('X-Snapshot-Refresh-Type', snapshot.refreshType);
           res.json(filteredObjects);
         } else {
           console.log('⚠️ [Objects API] Live API returned empty data, falling back to mock data...');
@@ -13208,6 +14628,761 @@ app.get('/objects', async (req, res) => {
   }
 });
 
+// Metadata snapshot status for the current business unit
+app.get('/api/snapshots/status', async (req, res) => {
+  const access = await requireSnapshotAccess(req, res);
+  if (!access) return;
+  const buKey = access.snapshotKey;
+  res.json({
+    buKey,
+    refreshing: snapshotRefreshesInFlight.has(buKey),
+    snapshot: MetadataSnapshotStore.describe(metadataSnapshots.load(buKey))
+  });
+});
+
+// Refresh the current business unit's metadata snapshot ({ mode: 'incremental' | 'full' })
+app.post('/api/snapshots/refresh', async (req, res) => {
+  const access = await requireSnapshotAccess(req, res);
+  if (!access) return;
+  try {
+    const restEndpoint = req.session.mcCreds.restEndpoint || getRestBaseUrl(access.subdomain);
+    const { snapshot } = await getSFMCObjectsFromSnapshot(
+      access.accessToken, access.subdomain, restEndpoint, access.snapshotKey,
+      { refresh: req.body?.mode === 'full' ? 'full' : 'incremental', accountId: req.session.mcCreds.accountId }
+    );
+    res.json({ success: true, snapshot });
+  } catch (error) {
+    console.error('❌ [Snapshot] Refresh failed:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Discard the current business unit's snapshot; the next read does a full crawl
+app.delete('/api/snapshots', async (req, res) => {
+  const access = await requireSnapshotAccess(req, res);
+  if (!access) return;
+  const removed = metadataSnapshots.remove(access.snapshotKey);
+  res.json({ success: true, removed });
+});
+
+// Archived snapshots of the current business unit, newest first
+app.get('/api/snapshots/history', async (req, res) => {
+  const access = await requireSnapshotAccess(req, res);
+  if (!access) return;
+  const buKey = access.snapshotKey;
+  res.json({ buKey, snapshots: metadataSnapshots.listHistory(buKey) });
+});
+
+// What changed between two archived snapshots (?from=<id>&to=<id>; defaults to the two most recent)
+app.get('/api/snapshots/diff', async (req, res) => {
+  const access = await requireSnapshotAccess(req, res);
+  if (!access) return;
+  const buKey = access.snapshotKey;
+  const history = metadataSnapshots.listHistory(buKey);
+  const toId = req.query.to || history[0]?.id;
+  // History is newest first, so the default baseline is the snapshot taken just before `to`
+  const fromId = req.query.from || history[history.findIndex(entry => entry.id === toId) + 1]?.id;
+  if (!toId || !fromId) {
+    return res.status(400).json({ error: 'At least two snapshots are needed to compare; refresh the metadata snapshot first' });
+  }
+
+  const fromSnapshot = metadataSnapshots.loadHistory(buKey, fromId);
+  const toSnapshot = metadataSnapshots.loadHistory(buKey, toId);
+  if (!fromSnapshot || !toSnapshot) {
+    return res.status(404).json({ error: `Snapshot not found: ${!fromSnapshot ? fromId : toId}` });
+  }
+
+  const describe = (id, snapshot) => ({ id, ...MetadataSnapshotStore.describe(snapshot) });
+  const diff = diffSnapshots(fromSnapshot.objects, toSnapshot.objects, {
+    incompleteCollections: [...(fromSnapshot.incompleteCollections || []), ...(toSnapshot.incompleteCollections || [])]
+  });
+  console.log(`✅ [Snapshot Diff] ${buKey} ${fromId} → ${toId}: +${diff.summary.added} -${diff.summary.removed} ~${diff.summary.modified}`);
+  res.json({
+    buKey,
+    from: describe(fromId, fromSnapshot),
+    to: describe(toId, toSnapshot),
+    generatedAt: new Date().toISOString(),
+    ...diff
+  });
+});
+
+/**
+ * Build the impact analysis graph (nodes + detected relationships) for a set of SFMC objects.
+ * Snapshot collections are mapped onto the names the relationship detectors read.
+ * @param {object} sfmcObjects - fetchAllSFMCObjects / snapshot result
+ * @returns {object} - See buildImpactGraph
+ */
+function buildImpactGraphFromObjects(sfmcObjects) {
+  const detectorInput = {
+    ...sfmcObjects,
+    'Triggered Sends': sfmcObjects['Journey Email Triggered Sends'] || sfmcObjects['Triggered Sends'] || [],
+    'Filters': sfmcObjects['Data Filters'] || sfmcObjects['Filters'] || []
+  };
+  const relationships = detectAllAssetRelationships(detectorInput);
+
+  const nodes = [];
+  const categories = {
+    'Data Extensions': detectorInput['Data Extensions'],
+    'SQL Queries': detectorInput['SQL Queries'],
+    'Automations': detectorInput['Automations'],
+    'Journeys': detectorInput['Journeys'],
+    'Triggered Sends': detectorInput['Triggered Sends'],
+    'Data Filters': detectorInput['Filters'],
+    'Filter Activities': detectorInput['Filter Activities'],
+    'File Transfers': detectorInput['File Transfers'],
+    'Data Extracts': detectorInput['Data Extracts']
+  };
+  Object.entries(categories).forEach(([category, items]) => {
+    (items || []).forEach(item => nodes.push({ id: item.id, name: item.name, category }));
+  });
+  if (global.activityNodes) {
+    global.activityNodes.forEach((activity, activityId) => {
+      nodes.push({ id: activityId, name: activity.name, category: 'Activity', automationName: activity.automationName });
+    });
+  }
+
+  return buildImpactGraph(nodes, relationships);
+}
+
+// Impact analysis: transitive upstream/downstream dependencies of one asset
+// Query: direction=upstream|downstream|both, depth (data-flow hops, default 5), refresh
+app.get('/api/impact/:id', async (req, res) => {
+  const access = await requireSnapshotAccess(req, res);
+  if (!access) return;
+  const { accessToken, subdomain } = access;
+  try {
+    const restEndpoint = req.session?.mcCreds?.restEndpoint || getRestBaseUrl(subdomain);
+    const { sfmcObjects, snapshot } = await getSFMCObjectsFromSnapshot(
+      accessToken, subdomain, restEndpoint, access.snapshotKey,
+      { refresh: parseRefreshMode(req.query.refresh), accountId: req.session?.mcCreds?.accountId }
+    );
+
+    const graph = buildImpactGraphFromObjects(sfmcObjects);
+    const impact = analyzeImpact(graph, req.params.id, {
+      direction: req.query.direction,
+      depth: req.query.depth
+    });
+    if (!impact.found) {
+      return res.status(404).json({ error: `Asset ${req.params.id} not found in the metadata snapshot`, snapshot });
+    }
+
+    console.log(`🎯 [Impact] ${impact.root.name}: ${impact.upstream.length} upstream, ${impact.downstream.length} downstream (depth ${impact.depth})`);
+    res.json({ ...impact, snapshot });
+  } catch (error) {
+    console.error('❌ [Impact] Analysis failed:', error.message);
+    res.status(500).json({ error: 'Failed to analyze impact', message: error.message });
+  }
+});
+
+// ==================== ASSET PACKAGES ====================
+
+// Most assets one package may hold (the selection plus its dependencies)
+const MAX_PACKAGE_ASSETS = 200;
+
+const QUERY_DEFINITION_PROPERTIES = [
+  'ObjectID', 'Name', 'CustomerKey', 'Description', 'QueryText', 'TargetType', 'TargetUpdateType',
+  'DataExtensionTarget.CustomerKey', 'DataExtensionTarget.Name'
+];
+const FILTER_DEFINITION_PROPERTIES = ['ObjectID', 'Name', 'CustomerKey', 'Description', 'DataExtensionID'];
+const FILTER_ACTIVITY_PROPERTIES = [
+  'ObjectID', 'Name', 'CustomerKey', 'Description', 'FilterDefinitionID', 'DestinationObjectID', 'DestinationTypeID'
+];
+
+/**
+ * A data filter with its criteria (filterDefinitionXml), which SOAP does not return.
+ * @returns {Promise<object|null>} - REST filter definition, null when it cannot be read
+ */
+async function fetchFilterDefinitionREST(subdomain, accessToken, objectId) {
+  try {
+    const resp = await axios.get(`${getRestBaseUrl(subdomain)}/email/v1/filters/filterdefinition/${encodeURIComponent(objectId)}`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: 15000
+    });
+    return resp.data || null;
+  } catch (err) {
+    console.warn(`⚠️ [Packages] Could not read filter definition ${objectId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Collect the selected snapshot objects plus everything they need, fetching each one's current definition.
+ * @param {string} subdomain
+ * @param {string} accessToken
+ * @param {object} sfmcObjects - Snapshot objects of the business unit
+ * @param {string[]} ids - Selected node ids
+ * @returns {Promise<{ assets: object[], skipped: object[] }>} - skipped: { id, name, category, reason }
+ */
+async function collectPackageAssets(subdomain, accessToken, sfmcObjects, ids) {
+  const graph = buildImpactGraphFromObjects(sfmcObjects);
+  const sameId = (a, b) => !!a && !!b && String(a).toLowerCase() === String(b).toLowerCase();
+  const idOf = (category, match) => (sfmcObjects[category] || []).find(match)?.id || null;
+  const dataExtensionIdByKey = key => idOf('Data Extensions', de => sameId(de.customerKey, key));
+  const dataExtensionIdByName = name => idOf('Data Extensions', de => sameId(de.name, name));
+  const dataExtensionIdByObjectId = objectId => idOf('Data Extensions', de => sameId(de.objectId, objectId));
+  let folderMap = null;
+
+  const fetchers = {
+    dataExtension: async id => {
+      const [schema] = await fetchDataExtensionSchemas(subdomain, accessToken, { customerKeys: [id] });
+      if (!schema) return null;
+      folderMap = folderMap || await retrieveFolderMap(subdomain, accessToken, 'dataextension');
+      const folder = schema.categoryId && folderMap[String(schema.categoryId)]
+        ? buildFolderPath(String(schema.categoryId), folderMap).slice(1).split(' / ').join('/')
+        : null;
+      return { asset: dataExtensionAsset(id, schema, folder), needs: [] };
+    },
+    query: async (id, object) => {
+      const [query] = await retrieveByValues(subdomain, accessToken,
+        { objectType: 'QueryDefinition', properties: QUERY_DEFINITION_PROPERTIES }, 'ObjectID', [object.objectId]);
+      if (!query) return null;
+      const targetRef = dataExtensionIdByKey(query.DataExtensionTarget?.CustomerKey) || dataExtensionIdByName(query.DataExtensionTarget?.Name);
+      const sourceRefs = extractSourceDataExtensionsFromSQL(query.QueryText).map(dataExtensionIdByName).filter(Boolean);
+      return { asset: queryAsset(id, query, { targetRef, sourceRefs }), needs: [targetRef, ...sourceRefs] };
+    },
+    filter: async (id, object) => {
+      const [filter] = await retrieveByValues(subdomain, accessToken,
+        { objectType: 'FilterDefinition', properties: FILTER_DEFINITION_PROPERTIES }, 'ObjectID', [object.objectId]);
+      if (!filter) return null;
+      const detail = await fetchFilterDefinitionREST(subdomain, accessToken, filter.ObjectID);
+      const sourceRef = dataExtensionIdByObjectId(detail?.derivedFromObjectId || filter.DataExtensionID);
+      const asset = filterAsset(id, {
+        name: filter.Name,
+        key: filter.CustomerKey || filter.Name,
+        description: filter.Description,
+        filterDefinitionXml: detail?.filterDefinitionXml
+      }, sourceRef);
+      return { asset, needs: [sourceRef] };
+    },
+    filterActivity: async (id, object) => {
+      const [activity] = await retrieveByValues(subdomain, accessToken,
+        { objectType: 'FilterActivity', properties: FILTER_ACTIVITY_PROPERTIES }, 'ObjectID', [object.id]);
+      if (!activity) return null;
+      const filterRef = idOf('Data Filters', filter => sameId(filter.objectId, activity.FilterDefinitionID));
+      const destinationRef = dataExtensionIdByObjectId(activity.DestinationObjectID);
+      return { asset: filterActivityAsset(id, activity, { filterRef, destinationRef }), needs: [filterRef, destinationRef] };
+    },
+    automation: async id => {
+      const resp = await axios.get(`${getRestBaseUrl(subdomain)}/automation/v1/automations/${encodeURIComponent(id)}`, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: 15000
+      });
+      const refOfActivity = activity => (ACTIVITY_OBJECT_TYPES[activity.objectTypeId] === 'query'
+        ? idOf('SQL Queries', query => sameId(query.objectId, activity.activityObjectId))
+        : idOf('Filter Activities', filterActivity => sameId(filterActivity.id, activity.activityObjectId)));
+      const asset = automationAsset(id, resp.data, refOfActivity);
+      return { asset, needs: asset.dependsOn };
+    }
+  };
+
+  const assets = new Map();
+  const skipped = [];
+  const queue = ids.map(String);
+  const visited = new Set();
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (!id || visited.has(id)) continue;
+    visited.add(id);
+    const node = graph.nodes.get(id);
+    const type = CATEGORY_TYPES[node?.category];
+    if (!type) {
+      skipped.push({ id, name: node?.name || id, category: node?.category || 'Unknown', reason: node ? `${node.category} cannot be packaged` : 'Not in the metadata snapshot' });
+      continue;
+    }
+    if (assets.size >= MAX_PACKAGE_ASSETS) {
+      throw new Error(`A package holds at most ${MAX_PACKAGE_ASSETS} assets; select fewer objects`);
+    }
+    const object = (sfmcObjects[node.category] || []).find(item => String(item.id) === id) || { id };
+    const fetched = await fetchers[type](id, object);
+    if (!fetched) {
+      skipped.push({ id, name: node.name, category: node.category, reason: 'No longer exists in Marketing Cloud' });
+      continue;
+    }
+    assets.set(id, fetched.asset);
+    queue.push(...graphDependencies(graph, id), ...fetched.needs.filter(Boolean));
+  }
+  return { assets: [...assets.values()], skipped };
+}
+
+/**
+ * Find the package's assets in the target business unit by their mapped keys and names.
+ * @param {string} subdomain
+ * @param {string} accessToken - Token of the target business unit
+ * @param {object[]} assets - Mapped assets (see applyMappings)
+ * @returns {Promise<object>} - { [type]: { byKey: Map, byName: Map } } of { key, name, objectId, ... } (lower-cased keys)
+ */
+async function findExistingPackageAssets(subdomain, accessToken, assets) {
+  const index = items => ({
+    byKey: new Map(items.map(item => [String(item.key).toLowerCase(), item])),
+    byName: new Map(items.map(item => [String(item.name).toLowerCase(), item]))
+  });
+  const soapLookup = async (type, objectType, properties, toItem) => {
+    const wanted = assets.filter(asset => asset.type === type);
+    if (wanted.length === 0) return index([]);
+    const request = { objectType, properties };
+    const [byKey, byName] = await Promise.all([
+      retrieveByValues(subdomain, accessToken, request, 'CustomerKey', wanted.map(asset => asset.targetKey)),
+      retrieveByValues(subdomain, accessToken, request, 'Name', wanted.map(asset => asset.targetName))
+    ]);
+    return index([...byKey, ...byName].map(toItem));
+  };
+  const soapItem = row => ({ key: row.CustomerKey, name: row.Name, objectId: row.ObjectID });
+
+  const wantsAutomations = assets.some(asset => asset.type === 'automation');
+  const [filter, query, filterActivity, automations] = await Promise.all([
+    soapLookup('filter', 'FilterDefinition', FILTER_DEFINITION_PROPERTIES, soapItem),
+    soapLookup('query', 'QueryDefinition', QUERY_DEFINITION_PROPERTIES, row => ({
+      ...soapItem(row),
+      queryText: row.QueryText || '',
+      targetKey: row.DataExtensionTarget?.CustomerKey || null,
+      targetUpdateType: row.TargetUpdateType || 'Overwrite'
+    })),
+    soapLookup('filterActivity', 'FilterActivity', FILTER_ACTIVITY_PROPERTIES, soapItem),
+    wantsAutomations ? fetchAllRestItems(`${getRestBaseUrl(subdomain)}/automation/v1/automations`, accessToken) : []
+  ]);
+  const automation = index(automations.map(item => ({ key: item.key || item.customerKey || item.name, name: item.name, objectId: item.id })));
+  return { filter, query, filterActivity, automation };
+}
+
+/**
+ * Validate, remap and plan a package against the target business unit.
+ * @param {string} subdomain
+ * @param {string} accessToken - Token of the target business unit
+ * @param {object} pkg - Parsed package
+ * @param {object} [mappings] - { [ref]: { key?, name? } }
+ * @returns {Promise<object>} - { assets, definitions, existing, items } in creation order, or { errors }
+ */
+async function planPackageImport(subdomain, accessToken, pkg, mappings) {
+  const packageErrors = validatePackage(pkg);
+  if (packageErrors.length) return { errors: packageErrors };
+  const { assets, errors } = applyMappings(pkg.assets, mappings && typeof mappings === 'object' ? mappings : {});
+  if (errors.length) return { errors };
+
+  const dataExtensionAssets = assets.filter(asset => asset.type === 'dataExtension');
+  const definitions = dataExtensionAssets.map(asset => normalizeDefinition({ ...asset.definition, name: asset.targetName, customerKey: asset.targetKey }));
+  const definitionErrors = validateDefinitions(definitions);
+  if (definitionErrors.length) {
+    return { errors: definitionErrors.map(entry => `${entry.customerKey}: ${entry.errors.join('; ')}`) };
+  }
+
+  const [dataExtensionPlan, existing] = await Promise.all([
+    definitions.length ? planDataExtensionDefinitionList(subdomain, accessToken, definitions) : [],
+    findExistingPackageAssets(subdomain, accessToken, assets)
+  ]);
+  const targetKeyOf = ref => assets.find(asset => asset.ref === ref)?.targetKey || null;
+  const items = creationOrder(assets).map(asset => {
+    if (asset.type === 'dataExtension') {
+      return planDataExtensionAsset(asset, dataExtensionPlan[dataExtensionAssets.indexOf(asset)]);
+    }
+    const found = existing[asset.type];
+    const named = found.byName.get(asset.targetName.toLowerCase());
+    const clash = named && String(named.key).toLowerCase() !== asset.targetKey.toLowerCase() ? named : null;
+    return planAsset(asset, found.byKey.get(asset.targetKey.toLowerCase()) || null, clash, { targetKeyOf });
+  });
+  blockDependents(items);
+
+  return {
+    assets,
+    definitions: Object.fromEntries(dataExtensionAssets.map((asset, i) => [asset.ref, definitions[i]])),
+    existing,
+    items
+  };
+}
+
+/**
+ * Create or update one SOAP object.
+ * @param {'Create'|'Update'} action
+ * @param {string} objectType - e.g. QueryDefinition, FilterActivity, DataFolder
+ * @param {string} propertiesXml - Contents of the <Objects> element, values already escaped
+ * @returns {Promise<{ id: string|null, objectId: string|null }>} - ID and ObjectID of the created / updated object
+ */
+async function saveSoapObject(action, objectType, propertiesXml, accessToken, subdomain) {
+  const soapEnvelope = `
+    <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+      <soapenv:Header>
+        <fueloauth>${accessToken}</fueloauth>
+      </soapenv:Header>
+      <soapenv:Body>
+        <${action}Request xmlns="http://exacttarget.com/wsdl/partnerAPI">
+          <Objects xsi:type="${objectType}">${propertiesXml}
+          </Objects>
+        </${action}Request>
+      </soapenv:Body>
+    </soapenv:Envelope>
+  `;
+  const resp = await axios.post(getSoapUrl(subdomain), soapEnvelope, {
+    headers: { 'Content-Type': 'text/xml', SOAPAction: action }
+  });
+  const response = await parseSoapMessage(resp.data, `${action}Response`);
+  const result = toArray(response?.Results)[0];
+  if (response?.OverallStatus !== 'OK') {
+    throw new Error(`${action} ${objectType} failed: ${result?.StatusMessage || response?.OverallStatus || 'no response'}`);
+  }
+  const id = result?.NewID && result.NewID !== '0' ? String(result.NewID) : result?.Object?.ID || null;
+  return { id, objectId: result?.NewObjectID || result?.Object?.ObjectID || null };
+}
+
+/**
+ * Carry out a package import plan in creation order. Assets whose dependencies were not imported are skipped.
+ * @param {string} subdomain
+ * @param {string} accessToken - Token of the target business unit
+ * @param {object} planned - From planPackageImport
+ * @returns {Promise<object[]>} - [{ ref, type, name, customerKey, action, status, error? }]
+ */
+async function importPackageAssets(subdomain, accessToken, planned) {
+  const restBase = getRestBaseUrl(subdomain);
+  const assetOf = new Map(planned.assets.map(asset => [asset.ref, asset]));
+  const objectIds = {}; // ref → ObjectID (id for automations) in the target business unit
+  const results = new Map();
+
+  const objectIdOf = async ref => {
+    if (!ref) return null;
+    if (!objectIds[ref] && assetOf.get(ref)?.type === 'dataExtension') {
+      const [schema] = await fetchDataExtensionSchemas(subdomain, accessToken, { customerKeys: [assetOf.get(ref).targetKey] });
+      objectIds[ref] = schema?.objectId || null;
+    }
+    if (!objectIds[ref]) throw new Error(`${assetOf.get(ref)?.targetName || ref} has no ID in the target business unit`);
+    return objectIds[ref];
+  };
+
+  const importers = {
+    dataExtension: (asset, item) => applyDataExtensionPlanItem(planned.definitions[asset.ref], item, accessToken, subdomain),
+    filter: async asset => {
+      const resp = await axios.post(`${restBase}/email/v1/filters/filterdefinition`, {
+        name: asset.targetName,
+        key: asset.targetKey,
+        description: asset.definition.description,
+        derivedFromType: 1,
+        derivedFromObjectId: await objectIdOf(asset.definition.sourceRef),
+        filterDefinitionXml: asset.definition.filterDefinitionXml
+      }, { headers: { Authorization: `Bearer ${accessToken}` } });
+      objectIds[asset.ref] = resp.data?.id || null;
+      return 'created';
+    },
+    query: async (asset, item, existing) => {
+      const target = assetOf.get(asset.definition.targetRef);
+      const xml = `
+            ${existing ? `<ObjectID>${escapeXml(existing.objectId)}</ObjectID>` : ''}
+            <Name>${escapeXml(asset.targetName)}</Name>
+            <CustomerKey>${escapeXml(asset.targetKey)}</CustomerKey>
+            <Description>${escapeXml(asset.definition.description)}</Description>
+            <QueryText>${escapeXml(asset.definition.queryText)}</QueryText>
+            <TargetType>DE</TargetType>
+            <DataExtensionTarget><CustomerKey>${escapeXml(target.targetKey)}</CustomerKey><Name>${escapeXml(target.targetName)}</Name></DataExtensionTarget>
+            <TargetUpdateType>${escapeXml(asset.definition.targetUpdateType)}</TargetUpdateType>`;
+      const { objectId } = await saveSoapObject(existing ? 'Update' : 'Create', 'QueryDefinition', xml, accessToken, subdomain);
+      objectIds[asset.ref] = objectId || existing?.objectId || null;
+      return existing ? 'updated' : 'created';
+    },
+    filterActivity: async asset => {
+      const { description, filterRef, destinationRef, destinationTypeId } = asset.definition;
+      const xml = `
+            <Name>${escapeXml(asset.targetName)}</Name>
+            <CustomerKey>${escapeXml(asset.targetKey)}</CustomerKey>
+            <Description>${escapeXml(description)}</Description>
+            <FilterDefinitionID>${escapeXml(await objectIdOf(filterRef))}</FilterDefinitionID>
+            <DestinationObjectID>${escapeXml(await objectIdOf(destinationRef))}</DestinationObjectID>
+            ${destinationTypeId ? `<DestinationTypeID>${escapeXml(destinationTypeId)}</DestinationTypeID>` : ''}`;
+      objectIds[asset.ref] = (await saveSoapObject('Create', 'FilterActivity', xml, accessToken, subdomain)).objectId;
+      return 'created';
+    },
+    automation: async asset => {
+      const steps = [];
+      for (const [index, step] of asset.definition.steps.entries()) {
+        const activities = [];
+        for (const [order, activity] of step.activities.entries()) {
+          activities.push({
+            name: assetOf.get(activity.ref).targetName,
+            objectTypeId: activity.objectTypeId,
+            activityObjectId: await objectIdOf(activity.ref),
+            displayOrder: order + 1
+          });
+        }
+        steps.push({ name: step.name, step: index + 1, activities });
+      }
+      const resp = await axios.post(`${restBase}/automation/v1/automations`, {
+        name: asset.targetName,
+        key: asset.targetKey,
+        description: asset.definition.description,
+        steps
+      }, { headers: { Authorization: `Bearer ${accessToken}` } });
+      objectIds[asset.ref] = resp.data?.id || null;
+      return 'created';
+    }
+  };
+
+  for (const item of planned.items) {
+    const asset = assetOf.get(item.ref);
+    const result = { ref: item.ref, type: item.type, name: item.name, customerKey: item.customerKey, action: item.action };
+    results.set(item.ref, result);
+    const existing = asset.type === 'dataExtension' ? null : planned.existing[asset.type].byKey.get(asset.targetKey.toLowerCase()) || null;
+    if (existing) objectIds[item.ref] = existing.objectId;
+
+    const missing = item.dependsOn.map(ref => results.get(ref)).find(dep => ['failed', 'skipped'].includes(dep?.status));
+    if (item.action === 'blocked' || (missing && ['create', 'update'].includes(item.action))) {
+      result.status = 'skipped';
+      if (missing) result.error = `${TYPE_LABELS[missing.type]} "${missing.name}" was not imported`;
+      continue;
+    }
+    if (['exists', 'unchanged'].includes(item.action) && asset.type !== 'dataExtension') {
+      result.status = item.action === 'exists' ? 'reused' : 'unchanged';
+      continue;
+    }
+    try {
+      result.status = await importers[asset.type](asset, item, existing);
+    } catch (err) {
+      const message = err.response?.data?.message || err.message;
+      console.error(`❌ [Packages] ${item.action} of ${TYPE_LABELS[item.type]} ${item.customerKey} failed:`, message);
+      result.status = 'failed';
+      result.error = message;
+    }
+  }
+  return [...results.values()];
+}
+
+// Package selected assets (DEs, queries, filters, filter activities, automations) with their dependencies
+// Body: { ids: [snapshot node id], refresh? }
+app.post('/api/packages/export', async (req, res) => {
+  const access = await requireSnapshotAccess(req, res);
+  if (!access) return;
+  const { accessToken, subdomain } = access;
+  const ids = [...new Set((Array.isArray(req.body?.ids) ? req.body.ids : []).map(String).filter(Boolean))];
+  if (ids.length === 0) {
+    return res.status(400).json({ error: 'Select at least one asset' });
+  }
+  try {
+    const restEndpoint = req.session?.mcCreds?.restEndpoint || getRestBaseUrl(subdomain);
+    const { sfmcObjects, snapshot } = await getSFMCObjectsFromSnapshot(
+      accessToken, subdomain, restEndpoint, access.snapshotKey,
+      { refresh: parseRefreshMode(req.body?.refresh), accountId: req.session?.mcCreds?.accountId }
+    );
+    const { assets, skipped } = await collectPackageAssets(subdomain, accessToken, sfmcObjects, ids);
+    if (assets.length === 0) {
+      return res.status(404).json({ error: 'None of the selected assets can be packaged', skipped });
+    }
+    const pkg = createPackage(assets, {
+      roots: ids,
+      source: { accountId: req.session?.mcCreds?.accountId || null, snapshotRefreshedAt: snapshot?.refreshedAt || null },
+      skipped
+    });
+    console.log(`✅ [Packages] Packaged ${pkg.assets.length} asset(s) from ${ids.length} selected, ${skipped.length} skipped`);
+    res.json(pkg);
+  } catch (err) {
+    const tooLarge = err.message.startsWith('A package holds at most');
+    if (!tooLarge) console.error('❌ [Packages] Export failed:', err.message);
+    res.status(tooLarge ? 400 : 500).json({ error: tooLarge ? err.message : 'Failed to build the package', details: err.message });
+  }
+});
+
+// Plan (dryRun) or import a package into the current or another business unit
+// Body: { package, mappings?: { [ref]: { key?, name? } }, targetAccountId?, dryRun? }
+app.post('/api/packages/import', async (req, res) => {
+  const accessToken = getAccessTokenFromRequest(req);
+  const subdomain = getSubdomainFromRequest(req);
+  if (!accessToken || !subdomain) {
+    return res.status(401).json({ error: 'Missing access token or subdomain' });
+  }
+  const { package: pkg, mappings, dryRun } = req.body || {};
+  const targetAccountId = req.body?.targetAccountId ? String(req.body.targetAccountId) : null;
+  if (!pkg) {
+    return res.status(400).json({ error: 'package is required' });
+  }
+
+  let targetToken = accessToken;
+  if (targetAccountId && targetAccountId !== String(req.session?.mcCreds?.accountId || '')) {
+    try {
+      targetToken = await getBusinessUnitToken(req, targetAccountId);
+    } catch (err) {
+      return res.status(403).json({ error: `No access to business unit ${targetAccountId}: ${err.message}` });
+    }
+  }
+
+  try {
+    const planned = await planPackageImport(subdomain, targetToken, pkg, mappings);
+    if (planned.errors) {
+      return res.status(400).json({ error: 'The package cannot be imported', errors: planned.errors });
+    }
+    const plan = planned.items;
+    if (dryRun) {
+      console.log(`✅ [Packages] Planned ${plan.length} asset(s)${targetAccountId ? ` for business unit ${targetAccountId}` : ''}`);
+      return res.json({ dryRun: true, targetAccountId, plan, summary: summarizePackagePlan(plan) });
+    }
+
+    const results = await importPackageAssets(subdomain, targetToken, planned);
+    const failed = results.filter(result => result.status === 'failed').length;
+    console.log(`${failed ? '⚠️' : '✅'} [Packages] Imported ${results.length} asset(s)${targetAccountId ? ` into business unit ${targetAccountId}` : ''}, ${failed} failed`);
+    clearSearchResults(req);
+    res.json({
+      targetAccountId,
+      plan,
+      results,
+      summary: summarizePackagePlan(results.map(result => ({ action: result.status })))
+    });
+  } catch (err) {
+    console.error('❌ [Packages] Import failed:', err.message);
+    res.status(500).json({ error: 'Failed to import the package', details: err.message });
+  }
+});
+
+// Concurrent REST lookups when enriching orphaned Data Extensions
+const ORPHAN_DETAIL_CONCURRENCY = 5;
+
+/**
+ * Add row count and folder path to orphaned Data Extensions.
+ * Row counts come from the REST customobjects search (one lookup per DE); a failed
+ * lookup leaves rowCount null rather than failing the report.
+ * @param {string} subdomain - SFMC subdomain
+ * @param {string} accessToken - SFMC access token
+ * @param {object[]} dataExtensions - From findOrphanedAssets
+ * @returns {Promise<object[]>} - Same DEs with rowCount, categoryId and folderPath
+ */
+async function enrichOrphanedDataExtensions(subdomain, accessToken, dataExtensions) {
+  if (dataExtensions.length === 0) return [];
+
+  const [folderMap, restItems] = await Promise.all([
+    retrieveFolderMap(subdomain, accessToken, 'dataextension').catch(error => {
+      console.warn('⚠️ [Cleanup] Folder lookup failed:', error.message);
+      return {};
+    }),
+    mapWithConcurrency(dataExtensions, ORPHAN_DETAIL_CONCURRENCY, de =>
+      axios.get(`${getRestBaseUrl(subdomain)}/data/v1/customobjects?$search=${encodeURIComponent(de.name)}`, {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      }).then(resp => (resp.data?.items || []).find(item => item.key === de.customerKey) || null)
+        .catch(() => null)
+    )
+  ]);
+
+  return dataExtensions.map((de, index) => {
+    const restInfo = restItems[index];
+    const categoryId = de.categoryId ?? restInfo?.categoryId ?? null;
+    return {
+      ...de,
+      rowCount: restInfo?.rowCount ?? null,
+      createdDate: de.createdDate || restInfo?.createdDate || null,
+      modifiedDate: de.modifiedDate || restInfo?.modifiedDate || null,
+      categoryId,
+      folderPath: categoryId && folderMap[String(categoryId)] ? buildFolderPath(String(categoryId), folderMap) : null
+    };
+  });
+}
+
+// Cleanup report: orphaned DEs plus inactive automations / stopped journeys nothing active depends on
+// Query: refresh
+app.get('/api/cleanup/orphans', async (req, res) => {
+  const access = await requireSnapshotAccess(req, res);
+  if (!access) return;
+  const { accessToken, subdomain } = access;
+  try {
+    const restEndpoint = req.session?.mcCreds?.restEndpoint || getRestBaseUrl(subdomain);
+    const { sfmcObjects, snapshot } = await getSFMCObjectsFromSnapshot(
+      accessToken, subdomain, restEndpoint, access.snapshotKey,
+      { refresh: parseRefreshMode(req.query.refresh), accountId: req.session?.mcCreds?.accountId }
+    );
+
+    const report = findOrphanedAssets(buildImpactGraphFromObjects(sfmcObjects), sfmcObjects);
+    report.dataExtensions = await enrichOrphanedDataExtensions(subdomain, accessToken, report.dataExtensions);
+
+    console.log(`🧹 [Cleanup] ${report.summary.dataExtensions} orphaned DEs, ${report.summary.automations} automations, ${report.summary.journeys} journeys`);
+    res.json({ ...report, generatedAt: new Date().toISOString(), snapshot });
+  } catch (error) {
+    console.error('❌ [Cleanup] Orphan detection failed:', error.message);
+    res.status(500).json({ error: 'Failed to build cleanup report', message: error.message });
+  }
+});
+
+// Longest range the schedule calendar expands in one request (a month view plus its leading/trailing weeks)
+const MAX_CALENDAR_RANGE_DAYS = 62;
+
+// Window of run history used to estimate how long each automation runs
+const CALENDAR_DURATION_HISTORY_DAYS = 30;
+
+const isScheduledAutomation = automation =>
+  ['scheduled', 'running', '6', '3'].includes(String(automation.status ?? '').toLowerCase()) &&
+  !['paused', 'stopped', 'inactive'].includes(String(automation.schedule?.scheduleStatus ?? '').toLowerCase());
+
+// Schedule calendar: runs of scheduled automations and scheduled sends, with overlapping writes to the same DE flagged
+// Query: start, end (ISO dates, default the current month), refresh
+app.get('/api/schedule/calendar', async (req, res) => {
+  const access = await requireSnapshotAccess(req, res);
+  if (!access) return;
+  const { accessToken, subdomain } = access;
+
+  const now = new Date();
+  const rangeStart = req.query.start ? new Date(req.query.start) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const rangeEnd = req.query.end ? new Date(req.query.end) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  if (isNaN(rangeStart) || isNaN(rangeEnd) || rangeEnd <= rangeStart) {
+    return res.status(400).json({ error: 'start and end must be valid dates with start before end' });
+  }
+  if (rangeEnd - rangeStart > MAX_CALENDAR_RANGE_DAYS * 86400000) {
+    return res.status(400).json({ error: `Range is limited to ${MAX_CALENDAR_RANGE_DAYS} days` });
+  }
+
+  try {
+    const restEndpoint = req.session?.mcCreds?.restEndpoint || getRestBaseUrl(subdomain);
+    const { sfmcObjects, snapshot } = await getSFMCObjectsFromSnapshot(
+      accessToken, subdomain, restEndpoint, access.snapshotKey,
+      { refresh: parseRefreshMode(req.query.refresh), accountId: req.session?.mcCreds?.accountId }
+    );
+
+    // Snapshots taken before schedules were captured have no `schedule` key; read those definitions live
+    const automations = await mapWithConcurrency(sfmcObjects['Automations'] || [], 4, async automation => {
+      if (automation.schedule !== undefined) return automation;
+      try {
+        const definition = await fetchAutomationDefinition(subdomain, accessToken, automation.id);
+        return { ...automation, status: definition.status ?? automation.status, schedule: definition.schedule || null };
+      } catch (error) {
+        if (isTokenRejected(error)) throw error;
+        console.warn(`⚠️ [Schedule Calendar] Could not read schedule of ${automation.name}:`, error.message);
+        return { ...automation, schedule: null };
+      }
+    });
+    const scheduled = automations.filter(automation => automation.schedule && isScheduledAutomation(automation));
+
+    // Sources the calendar is drawn without; a rejected token fails the whole request instead
+    const errors = [];
+    const since = new Date(Date.now() - CALENDAR_DURATION_HISTORY_DAYS * 86400000).toISOString();
+    const [averageDurations, sends] = await Promise.all([
+      fetchAverageRunDurations(subdomain, accessToken, since).catch(error => {
+        if (isTokenRejected(error)) throw error;
+        console.warn('⚠️ [Schedule Calendar] Run history unavailable, using default durations:', error.message);
+        errors.push(`Run history unavailable, default durations are used: ${error.message}`);
+        return {};
+      }),
+      retrieveAll(subdomain, accessToken, {
+        objectType: 'Send',
+        properties: ['ID', 'SendDate', 'Status', 'EmailName', 'Subject'],
+        filter: { property: 'Status', operator: 'equals', value: 'Scheduled' }
+      }).catch(error => {
+        if (isTokenRejected(error)) throw error;
+        console.warn('⚠️ [Schedule Calendar] Scheduled sends unavailable:', error.message);
+        errors.push(`Scheduled sends unavailable: ${error.message}`);
+        return [];
+      })
+    ]);
+
+    const calendar = buildAutomationCalendar(scheduled, buildImpactGraphFromObjects(sfmcObjects), rangeStart, rangeEnd, { averageDurations });
+    const events = [...calendar.events, ...buildSendEvents(sends, rangeStart, rangeEnd)]
+      .sort((a, b) => a.start.localeCompare(b.start) || a.name.localeCompare(b.name));
+
+    console.log(`📅 [Schedule Calendar] ${events.length} runs, ${calendar.conflicts.length} overlapping writes between ${rangeStart.toISOString()} and ${rangeEnd.toISOString()}`);
+    res.json({
+      range: { start: rangeStart.toISOString(), end: rangeEnd.toISOString() },
+      automations: scheduled.map(automation => ({ id: automation.id, name: automation.name, schedule: automation.schedule })),
+      events,
+      conflicts: calendar.conflicts,
+      truncated: calendar.truncated,
+      errors,
+      snapshot
+    });
+  } catch (error) {
+    console.error('❌ [Schedule Calendar] Failed to build calendar:', error.message);
+    if (isTokenRejected(error)) {
+      return res.status(401).json({ error: 'Marketing Cloud rejected the access token' });
+    }
+    res.status(500).json({ error: 'Failed to build schedule calendar', message: error.message });
+  }
+});
+
 // Debug endpoint with mock data in correct Cytoscape.js format
 app.get('/graph/mock', (req, res) => {
   console.log('🎭 [Mock] Generating mock graph data in Cytoscape.js format...');
@@ -0,0 +1,171 @@
+/**
+ * MC Explorer - SFTP Connection Test
+ * Checks SFTP settings for real before an export relies on them: connect with password or key
+ * authentication, record the server's host key fingerprint, check that the export directory exists and
+ * write then delete a probe file in it. Failures are reported with a category (dns, connection, timeout,
+ * handshake, auth, key, path, permission, unknown) so the UI can say what to fix.
+ *
+ * Any SFTP server works for trying it locally, e.g. `docker run -p 2222:22 atmoz/sftp demo:demo:::upload`
+ * and settings host localhost, port 2222, user demo, password demo, directory /upload.
+ */
+
+const crypto = require('crypto');
+const Client = require('ssh2-sftp-client');
+
+const READY_TIMEOUT_MS = 15000;
+const PROBE_CONTENT = 'MC Explorer SFTP connection test - safe to delete\n';
+
+const CATEGORY_MESSAGES = {
+  dns: 'The host name could not be resolved',
+  connection: 'The server could not be reached or closed the connection',
+  timeout: 'The server did not answer in time',
+  handshake: 'The SSH handshake failed',
+  auth: 'The server rejected the username or credentials',
+  key: 'The private key could not be used',
+  path: 'The export directory does not exist or is not a directory',
+  permission: 'The user may not write to the export directory',
+  unknown: 'The SFTP test failed'
+};
+
+const DNS_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'EAI_NONAME', 'EAI_NODATA', 'EAI_FAIL'];
+const CONNECTION_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EHOSTDOWN', 'EPIPE'];
+
+/**
+ * ssh2 connect options for saved SFTP settings.
+ * @param {object} settings - { host, port, username, authType: password | key, password?, privateKey?, passphrase? }
+ * @returns {object}
+ */
+function buildSftpConnectOptions(settings) {
+  const options = {
+    host: settings.host,
+    port: parseInt(settings.port) || 22,
+    username: settings.username
+  };
+  if (settings.authType === 'key') {
+    options.privateKey = settings.privateKey;
+    if (settings.passphrase) options.passphrase = settings.passphrase;
+  } else {
+    options.password = settings.password;
+  }
+  return options;
+}
+
+/**
+ * Describe a raw SSH host key the way OpenSSH prints it.
+ * @param {Buffer} key - Raw public key blob (string key type, then the key data)
+ * @returns {{ type: string, fingerprint: string }} - e.g. { type: 'ssh-ed25519', fingerprint: 'SHA256:...' }
+ */
+function describeHostKey(key) {
+  let type = 'unknown';
+  if (key.length > 4) {
+    const length = key.readUInt32BE(0);
+    if (length > 0 && length < 64 && key.length >= 4 + length) type = key.toString('ascii', 4, 4 + length);
+  }
+  const digest = crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '');
+  return { type, fingerprint: `SHA256:${digest}` };
+}
+
+/**
+ * Error category of a failed step. ssh2-sftp-client keeps the socket error code (ENOTFOUND, ...) and the
+ * SFTP status code (2 no such file, 3 permission denied) but wraps messages, so both are checked.
+ * @param {Error} err
+ * @param {string} step - connect | directory | write | delete
+ * @returns {string}
+ */
+function categorizeSftpError(err, step) {
+  const code = err?.code;
+  const message = String(err?.message || '');
+  if (DNS_CODES.includes(code) || /getaddrinfo|address lookup failed/i.test(message)) return 'dns';
+  if (code === 'ETIMEDOUT' || /timed out/i.test(message)) return 'timeout';
+  if (/authentication methods failed|authentication failed/i.test(message)) return 'auth';
+  if (/privatekey|private key|passphrase|unsupported key/i.test(message)) return 'key';
+  if (CONNECTION_CODES.includes(code) || /refused connection|reset the connection/i.test(message)) return 'connection';
+  if (code === 3 || code === 'EACCES' || /permission denied/i.test(message)) return 'permission';
+  if (code === 2 || code === 'ENOENT' || code === 'ENOTDIR' || /no such file/i.test(message)) return 'path';
+  if (step === 'connect') return /handshake|algorithm|protocol|kex/i.test(message) ? 'handshake' : 'connection';
+  return 'unknown';
+}
+
+const normalizeDirectory = directory => {
+  const trimmed = String(directory || '').trim() || '/Export';
+  return trimmed.length > 1 ? trimmed.replace(/\/+$/, '') : trimmed;
+};
+
+/**
+ * Test SFTP settings against the real server. Never throws: failures come back with success false.
+ * @param {object} settings - As for buildSftpConnectOptions, plus directory
+ * @param {object} [options]
+ * @param {number} [options.readyTimeout] - Milliseconds to wait for the connection (default 15000)
+ * @returns {Promise<object>} - { success, host, port, username, authType, directory, hostKey, checks, durationMs }
+ *   and, on failure, category, error (what to fix) and reason (the underlying message).
+ *   checks: [{ step, ok, detail }] in the order they ran.
+ */
+async function testSftpConnection(settings, options = {}) {
+  const started = Date.now();
+  const connectOptions = buildSftpConnectOptions(settings);
+  const directory = normalizeDirectory(settings.directory);
+  const checks = [];
+  let hostKey = null;
+  let step = 'connect';
+  let probePath = null;
+
+  const report = extra => ({
+    host: connectOptions.host,
+    port: connectOptions.port,
+    username: connectOptions.username,
+    authType: settings.authType,
+    directory,
+    hostKey,
+    checks,
+    durationMs: Date.now() - started,
+    ...extra
+  });
+
+  const sftp = new Client('mc-explorer-sftp-test');
+  try {
+    await sftp.connect({
+      ...connectOptions,
+      readyTimeout: options.readyTimeout || READY_TIMEOUT_MS,
+      // Accept any key: the test reports the fingerprint for the user to compare with their provider's
+      hostVerifier: key => {
+        hostKey = describeHostKey(key);
+        return true;
+      }
+    });
+    checks.push({ step, ok: true, detail: `Connected to ${connectOptions.host}:${connectOptions.port} as ${connectOptions.username}` });
+
+    step = 'directory';
+    const stats = await sftp.stat(directory);
+    if (!stats.isDirectory) {
+      throw Object.assign(new Error(`${directory} is a file, not a directory`), { code: 'ENOTDIR' });
+    }
+    checks.push({ step, ok: true, detail: `${directory} exists` });
+
+    step = 'write';
+    probePath = `${directory === '/' ? '' : directory}/.mc-explorer-probe-${Date.now()}.tmp`;
+    await sftp.put(Buffer.from(PROBE_CONTENT), probePath);
+    checks.push({ step, ok: true, detail: `Wrote ${probePath}` });
+
+    step = 'delete';
+    await sftp.delete(probePath);
+    checks.push({ step, ok: true, detail: `Deleted ${probePath}` });
+
+    return report({ success: true });
+  } catch (err) {
+    const category = categorizeSftpError(err, step);
+    checks.push({ step, ok: false, detail: err.message });
+    const error = step === 'delete'
+      ? `The probe file ${probePath} was written but could not be deleted; remove it by hand`
+      : CATEGORY_MESSAGES[category];
+    return report({ success: false, category, error, reason: err.message });
+  } finally {
+    await sftp.end().catch(() => {});
+  }
+}
+
+module.exports = {
+  buildSftpConnectOptions,
+  describeHostKey,
+  categorizeSftpError,
+  testSftpConnection
+};
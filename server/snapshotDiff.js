@@ -0,0 +1,317 @@
+/**
+ * MC Explorer - Snapshot Diff
+ * Compares two metadata snapshots (see MetadataSnapshotStore) and reports which
+ * Data Extensions, SQL Queries, Automations, Journeys and Email Send Definitions
+ * were added, removed or modified between them.
+ *
+ * Assets are matched by their snapshot id. Modified assets list the tracked
+ * properties that changed plus, where the snapshot has them, field-level changes
+ * (Data Extensions), a line diff of the SQL text (queries) and added/removed
+ * activities (automations, journeys).
+ */
+
+// Field properties compared per DE field; ordinal is reported once as orderChanged
+const FIELD_PROPERTIES = ['fieldType', 'maxLength', 'scale', 'isPrimaryKey', 'isRequired', 'defaultValue'];
+
+// Lines of unchanged SQL kept around each change
+const DIFF_CONTEXT_LINES = 3;
+
+// Above this many LCS cells the SQL is reported as fully replaced
+const MAX_DIFF_CELLS = 4000000;
+
+const automationActivities = automation => (Array.isArray(automation.steps) ? automation.steps : [])
+  .flatMap((step, index) => (step.activities || []).map(activity =>
+    `Step ${step.stepNumber ?? step.step ?? index + 1}: ${activity.name || activity.activityObjectId || 'Unnamed'} (${activity.activityType || activity.objectTypeId || 'activity'})`
+  ));
+
+const journeyActivities = journey => (Array.isArray(journey.activities) ? journey.activities : [])
+  .map(activity => `${activity.name || activity.key || 'Unnamed'} (${activity.type || 'activity'})`);
+
+const DIFF_COLLECTIONS = [
+  {
+    collection: 'Data Extensions',
+    assetType: 'Data Extension',
+    properties: ['name', 'customerKey', 'description', 'isSendable'],
+    fields: true
+  },
+  {
+    collection: 'SQL Queries',
+    assetType: 'SQL Query',
+    properties: ['name', 'targetDataExtensionName', 'targetDataExtensionKey', 'status'],
+    text: 'queryText'
+  },
+  {
+    collection: 'Automations',
+    assetType: 'Automation',
+    properties: ['name', 'description', 'status'],
+    activities: automationActivities
+  },
+  {
+    collection: 'Journeys',
+    assetType: 'Journey',
+    properties: ['name', 'description', 'status', 'version', 'entrySourceType', 'entryDataExtensionName'],
+    activities: journeyActivities
+  },
+  {
+    collection: 'Email Send Definitions',
+    assetType: 'Email Send Definition',
+    properties: [
+      'name', 'description', 'sendClassificationKey', 'senderProfileKey', 'deliveryProfileKey',
+      'emailId', 'bccEmail', 'ccEmail'
+    ]
+  }
+];
+
+const CHANGE_ORDER = { added: 0, removed: 1, modified: 2 };
+
+function normalizeValue(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function compareProperties(before, after, properties) {
+  return properties
+    .filter(property => normalizeValue(before[property]) !== normalizeValue(after[property]))
+    .map(property => ({ property, before: before[property] ?? null, after: after[property] ?? null }));
+}
+
+/**
+ * Field-level diff of two DE field lists, matched case-insensitively by name.
+ * @param {object[]} beforeFields - [{ name, fieldType, maxLength, ... }]
+ * @param {object[]} afterFields
+ * @returns {object|null} - { added, removed, modified: [{ name, changes }], orderChanged } or null when unchanged
+ */
+function diffFields(beforeFields, afterFields) {
+  const byName = fields => new Map(fields.map(field => [String(field.name).toLowerCase(), field]));
+  const before = byName(beforeFields);
+  const after = byName(afterFields);
+
+  const added = afterFields.filter(field => !before.has(String(field.name).toLowerCase()));
+  const removed = beforeFields.filter(field => !after.has(String(field.name).toLowerCase()));
+  const modified = [];
+  afterFields.forEach(field => {
+    const previous = before.get(String(field.name).toLowerCase());
+    if (!previous) return;
+    const changes = compareProperties(previous, field, ['name', ...FIELD_PROPERTIES]);
+    if (changes.length > 0) modified.push({ name: field.name, changes });
+  });
+
+  // Only the relative order of fields present in both lists; inserts shift ordinals without reordering
+  const commonOrder = fields => fields
+    .filter(field => before.has(String(field.name).toLowerCase()) && after.has(String(field.name).toLowerCase()))
+    .map(field => String(field.name).toLowerCase())
+    .join('|');
+  const orderChanged = commonOrder(beforeFields) !== commonOrder(afterFields);
+
+  if (added.length === 0 && removed.length === 0 && modified.length === 0 && !orderChanged) return null;
+  return { added, removed, modified, orderChanged };
+}
+
+function diffLists(beforeItems, afterItems) {
+  const remaining = [...beforeItems];
+  const added = [];
+  afterItems.forEach(item => {
+    const index = remaining.indexOf(item);
+    if (index === -1) added.push(item);
+    else remaining.splice(index, 1);
+  });
+  if (added.length === 0 && remaining.length === 0) return null;
+  return { added, removed: remaining };
+}
+
+/**
+ * Line-based diff of two texts (longest common subsequence), grouped into unified-diff hunks.
+ * Line endings and trailing whitespace are ignored.
+ * @param {string} beforeText
+ * @param {string} afterText
+ * @param {number} [context=3] - Unchanged lines kept around each change
+ * @returns {object|null} - { additions, deletions, hunks: [{ oldStart, oldLines, newStart, newLines, lines: [{ type, text }] }], unified } or null when equal
+ */
+function diffText(beforeText, afterText, context = DIFF_CONTEXT_LINES) {
+  const split = text => normalizeValue(text).replace(/\r\n?/g, '\n').split('\n').map(line => line.replace(/\s+$/, ''));
+  const a = split(beforeText);
+  const b = split(afterText);
+  if (a.join('\n') === b.join('\n')) return null;
+
+  // Strip the common prefix/suffix so the LCS table only covers the changed middle
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const ops = a.slice(0, prefix).map(text => ({ type: ' ', text }));
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    midA.forEach(text => ops.push({ type: '-', text }));
+    midB.forEach(text => ops.push({ type: '+', text }));
+  } else {
+    const cols = midB.length + 1;
+    const lcs = new Uint32Array((midA.length + 1) * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        ops.push({ type: ' ', text: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+        ops.push({ type: '-', text: midA[i++] });
+      } else {
+        ops.push({ type: '+', text: midB[j++] });
+      }
+    }
+    while (i < midA.length) ops.push({ type: '-', text: midA[i++] });
+    while (j < midB.length) ops.push({ type: '+', text: midB[j++] });
+  }
+  a.slice(a.length - suffix).forEach(text => ops.push({ type: ' ', text }));
+
+  // Number every op, then cut hunks around the changed ones
+  let oldLine = 1;
+  let newLine = 1;
+  ops.forEach(op => {
+    op.oldLine = oldLine;
+    op.newLine = newLine;
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  });
+
+  const hunks = [];
+  let current = null;
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length - 1, index + context);
+    if (current && start <= current.end + 1) {
+      current.end = end;
+    } else {
+      current = { start, end };
+      hunks.push(current);
+    }
+  });
+
+  const formatted = hunks.map(({ start, end }) => {
+    const lines = ops.slice(start, end + 1);
+    return {
+      oldStart: lines[0].oldLine,
+      oldLines: lines.filter(line => line.type !== '+').length,
+      newStart: lines[0].newLine,
+      newLines: lines.filter(line => line.type !== '-').length,
+      lines: lines.map(line => ({ type: line.type, text: line.text }))
+    };
+  });
+
+  return {
+    additions: ops.filter(op => op.type === '+').length,
+    deletions: ops.filter(op => op.type === '-').length,
+    hunks: formatted,
+    unified: formatted.map(hunk => [
+      `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+      ...hunk.lines.map(line => `${line.type}${line.text}`)
+    ].join('\n')).join('\n')
+  };
+}
+
+function describeAsset(config, item, changeType) {
+  return {
+    changeType,
+    assetType: config.assetType,
+    collection: config.collection,
+    id: String(item.id),
+    name: item.name || String(item.id),
+    modifiedDate: item.modifiedDate || null,
+    properties: [],
+    fields: null,
+    sql: null,
+    activities: null
+  };
+}
+
+function diffAsset(config, before, after) {
+  const change = describeAsset(config, after, 'modified');
+  change.properties = compareProperties(before, after, config.properties);
+
+  // Snapshots taken before fields were captured have no field list; skip rather than report every field added
+  if (config.fields && Array.isArray(before.fields) && Array.isArray(after.fields)) {
+    change.fields = diffFields(before.fields, after.fields);
+  }
+  if (config.text) {
+    change.sql = diffText(before[config.text], after[config.text]);
+  }
+  if (config.activities) {
+    change.activities = diffLists(config.activities(before), config.activities(after));
+  }
+
+  const changed = change.properties.length > 0 || change.fields || change.sql || change.activities;
+  return changed ? change : null;
+}
+
+/**
+ * Diff the objects of two snapshots.
+ * @param {object} fromObjects - Older snapshot's objects ({ 'Data Extensions': [...], ... })
+ * @param {object} toObjects - Newer snapshot's objects
+ * @param {object} [options]
+ * @param {string[]} [options.incompleteCollections] - Collections either snapshot failed to fetch; skipped
+ * @returns {object} - { summary: { added, removed, modified, byType }, changes: [...], skippedCollections: [] }
+ */
+function diffSnapshots(fromObjects = {}, toObjects = {}, options = {}) {
+  const changes = [];
+  const skippedCollections = [];
+  const incomplete = new Set(options.incompleteCollections || []);
+
+  DIFF_COLLECTIONS.forEach(config => {
+    const beforeItems = fromObjects[config.collection];
+    const afterItems = toObjects[config.collection];
+    // A collection missing from one side predates its capture, and one whose fetch failed has lost its rows;
+    // don't report either as wholly added/removed
+    if (!Array.isArray(beforeItems) || !Array.isArray(afterItems) || incomplete.has(config.collection)) {
+      skippedCollections.push(config.collection);
+      return;
+    }
+
+    const index = items => new Map(items.filter(item => item && item.id !== undefined && item.id !== null)
+      .map(item => [String(item.id), item]));
+    const before = index(beforeItems);
+    const after = index(afterItems);
+
+    after.forEach((item, id) => {
+      if (!before.has(id)) {
+        changes.push(describeAsset(config, item, 'added'));
+        return;
+      }
+      const change = diffAsset(config, before.get(id), item);
+      if (change) changes.push(change);
+    });
+    before.forEach((item, id) => {
+      if (!after.has(id)) changes.push(describeAsset(config, item, 'removed'));
+    });
+  });
+
+  const typeOrder = DIFF_COLLECTIONS.map(config => config.assetType);
+  changes.sort((x, y) =>
+    typeOrder.indexOf(x.assetType) - typeOrder.indexOf(y.assetType) ||
+    CHANGE_ORDER[x.changeType] - CHANGE_ORDER[y.changeType] ||
+    x.name.localeCompare(y.name)
+  );
+
+  const summary = { added: 0, removed: 0, modified: 0, byType: {} };
+  changes.forEach(change => {
+    summary[change.changeType]++;
+    if (!summary.byType[change.assetType]) summary.byType[change.assetType] = { added: 0, removed: 0, modified: 0 };
+    summary.byType[change.assetType][change.changeType]++;
+  });
+
+  return { summary, changes, skippedCollections };
+}
+
+module.exports = { diffSnapshots, diffText, diffFields, DIFF_COLLECTIONS };
@@ -0,0 +1,272 @@
+// Shared SOAP client for Marketing Cloud Retrieve calls
+const axios = require('axios');
+const xml2js = require('xml2js');
+const { getSoapUrl } = require('./mcEndpoints');
+
+const PARTNER_API_NS = 'http://exacttarget.com/wsdl/partnerAPI';
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_MAX_PAGES = 500;
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Escape a value for use inside an XML text node.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build filter XML from the same structure retrieveSendWithFilter accepts.
+ * @param {object} f - { property, operator, value|values } or { left, logicalOperator, right }
+ * @param {string} [tag='Filter'] - Element name (Filter, LeftOperand or RightOperand)
+ * @returns {string}
+ */
+function buildFilterXML(f, tag = 'Filter') {
+  if (!f) return '';
+  if (f.left && f.logicalOperator && f.right) {
+    return `<${tag} xsi:type="ComplexFilterPart">` +
+      buildFilterXML(f.left, 'LeftOperand') +
+      `<LogicalOperator>${f.logicalOperator}</LogicalOperator>` +
+      buildFilterXML(f.right, 'RightOperand') +
+      `</${tag}>`;
+  }
+  let valuesXml = '';
+  if (Array.isArray(f.values)) {
+    valuesXml = f.values.map(v => `<Value>${escapeXml(v)}</Value>`).join('');
+  } else if (f.value !== undefined && f.value !== null) {
+    valuesXml = `<Value>${escapeXml(f.value)}</Value>`;
+  }
+  return `<${tag} xsi:type="SimpleFilterPart">` +
+    `<Property>${f.property}</Property>` +
+    `<SimpleOperator>${f.operator}</SimpleOperator>` +
+    valuesXml +
+    `</${tag}>`;
+}
+
+/**
+ * Build a RetrieveRequestMsg envelope.
+ * @param {string} accessToken - OAuth access token
+ * @param {object} request
+ * @param {string} [request.objectType] - SOAP object type (omit when continuing)
+ * @param {string[]} [request.properties] - Properties to retrieve
+ * @param {object} [request.filter] - Filter structure, see buildFilterXML
+ * @param {boolean} [request.queryAllAccounts] - Retrieve across all accounts in the enterprise
+ * @param {string|number} [request.clientId] - Retrieve on behalf of a specific business unit (MID)
+ * @param {string} [request.continueRequest] - RequestID of a previous MoreDataAvailable response
+ * @returns {string}
+ */
+function buildRetrieveEnvelope(accessToken, request) {
+  let body;
+  if (request.continueRequest) {
+    body = `<ContinueRequest>${escapeXml(request.continueRequest)}</ContinueRequest>`;
+  } else {
+    const propsXml = (request.properties || []).map(p => `<Properties>${p}</Properties>`).join('');
+    const clientXml = request.clientId ? `<ClientIDs><ID>${escapeXml(request.clientId)}</ID></ClientIDs>` : '';
+    body = clientXml +
+      `<ObjectType>${request.objectType}</ObjectType>` +
+      propsXml +
+      buildFilterXML(request.filter) +
+      (request.queryAllAccounts ? '<QueryAllAccounts>true</QueryAllAccounts>' : '');
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+    <s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+      <s:Header><fueloauth>${accessToken}</fueloauth></s:Header>
+      <s:Body>
+        <RetrieveRequestMsg xmlns="${PARTNER_API_NS}">
+          <RetrieveRequest>${body}</RetrieveRequest>
+        </RetrieveRequestMsg>
+      </s:Body>
+    </s:Envelope>`;
+}
+
+/**
+ * Parse a SOAP response body and return its message element.
+ * @param {string} xml - Raw SOAP response
+ * @param {string} messageName - e.g. 'RetrieveResponseMsg'
+ * @returns {Promise<object|undefined>}
+ */
+async function parseSoapMessage(xml, messageName) {
+  const parser = new xml2js.Parser({ explicitArray: false });
+  const result = await parser.parseStringPromise(xml);
+  const envelope = result?.['soap:Envelope'] || result?.['s:Envelope'];
+  const body = envelope?.['soap:Body'] || envelope?.['s:Body'];
+  return body?.[messageName];
+}
+
+/**
+ * Normalize an xml2js value that may be a single object or an array.
+ * @param {*} value
+ * @returns {Array}
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Post one Retrieve envelope and return the parsed page.
+ * @returns {Promise<{ status: string, requestId: string, results: Array }>}
+ */
+async function retrievePage(subdomain, accessToken, request, timeout) {
+  const response = await axios.post(getSoapUrl(subdomain), buildRetrieveEnvelope(accessToken, request), {
+    headers: { 'Content-Type': 'text/xml', SOAPAction: 'Retrieve' },
+    timeout
+  });
+  const msg = await parseSoapMessage(response.data, 'RetrieveResponseMsg');
+  return {
+    status: msg?.OverallStatus || '',
+    requestId: msg?.RequestID || '',
+    results: toArray(msg?.Results)
+  };
+}
+
+/**
+ * Retrieve every row of a SOAP object, following OverallStatus=MoreDataAvailable
+ * with ContinueRequest until the result set is exhausted.
+ * @param {string} subdomain - MC subdomain
+ * @param {string} accessToken - OAuth access token
+ * @param {object} request - See buildRetrieveEnvelope
+ * @param {object} [options]
+ * @param {number} [options.maxPages=500] - Safety limit on ContinueRequest round-trips
+ * @param {number} [options.timeout=60000] - Per-page HTTP timeout in ms
+ * @param {function} [options.onPage] - Called with (pageResults, pageNumber) after each page
+ * @param {number} [options.maxRows] - Stop continuing once at least this many rows are in (the last page is kept whole)
+ * @returns {Promise<Array>} - All Results rows
+ */
+async function retrieveAll(subdomain, accessToken, request, options = {}) {
+  const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const all = [];
+  let page = await retrievePage(subdomain, accessToken, request, timeout);
+  let pageNumber = 1;
+
+  while (true) {
+    if (page.status !== 'OK' && page.status !== 'MoreDataAvailable') {
+      const error = new Error(`SOAP Retrieve ${request.objectType} failed: ${page.status || 'no OverallStatus'}`);
+      error.soapStatus = page.status;
+      throw error;
+    }
+    all.push(...page.results);
+    if (options.onPage) options.onPage(page.results, pageNumber);
+    if (page.status !== 'MoreDataAvailable' || !page.requestId) break;
+    if (options.maxRows && all.length >= options.maxRows) break;
+    if (pageNumber >= maxPages) {
+      console.warn(`⚠️ [SOAP] ${request.objectType}: stopped after ${maxPages} pages (${all.length} rows)`);
+      break;
+    }
+    page = await retrievePage(subdomain, accessToken, { objectType: request.objectType, continueRequest: page.requestId }, timeout);
+    pageNumber++;
+  }
+
+  if (pageNumber > 1) {
+    console.log(`📄 [SOAP] ${request.objectType}: ${all.length} rows across ${pageNumber} pages`);
+  }
+  return all;
+}
+
+/**
+ * Run async work over items with a bounded number of calls in flight.
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {function} fn - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Run several retrieveAll calls with bounded concurrency.
+ * @param {string} subdomain - MC subdomain
+ * @param {string} accessToken - OAuth access token
+ * @param {object[]} requests - Retrieve requests, see buildRetrieveEnvelope
+ * @param {object} [options] - retrieveAll options plus `concurrency` (default 4)
+ * @returns {Promise<Array[]>} - One result array per request, in order
+ */
+async function retrieveMany(subdomain, accessToken, requests, options = {}) {
+  return mapWithConcurrency(requests, options.concurrency || DEFAULT_CONCURRENCY,
+    request => retrieveAll(subdomain, accessToken, request, options));
+}
+
+/**
+ * Retrieve rows matching a long list of values by splitting it into
+ * batches of IN filters that are run with bounded concurrency.
+ * @param {string} subdomain - MC subdomain
+ * @param {string} accessToken - OAuth access token
+ * @param {object} request - Retrieve request without a filter
+ * @param {string} property - Property the values are matched against
+ * @param {Array} values - Values to match
+ * @param {object} [options] - retrieveMany options plus `batchSize` (default 50)
+ * @returns {Promise<Array>} - All matching rows
+ */
+async function retrieveByValues(subdomain, accessToken, request, property, values, options = {}) {
+  const batchSize = options.batchSize || 50;
+  const batches = [];
+  for (let i = 0; i < values.length; i += batchSize) {
+    const chunk = values.slice(i, i + batchSize);
+    batches.push({
+      ...request,
+      filter: chunk.length === 1
+        ? { property, operator: 'equals', value: chunk[0] }
+        : { property, operator: 'IN', values: chunk }
+    });
+  }
+  const pages = await retrieveMany(subdomain, accessToken, batches, options);
+  return pages.flat();
+}
+
+/**
+ * Retrieve all active folders and index them by ID, as buildFolderPath expects.
+ * @param {string} subdomain - MC subdomain
+ * @param {string} accessToken - OAuth access token
+ * @param {string} [contentType] - Restrict to one folder ContentType
+ * @param {object} [options]
+ * @param {boolean} [options.queryAllAccounts] - Include folders of every business unit in the enterprise
+ * @returns {Promise<object>} - { [folderId]: folder }
+ */
+async function retrieveFolderMap(subdomain, accessToken, contentType, options = {}) {
+  const activeFilter = { property: 'IsActive', operator: 'equals', value: 'true' };
+  const folders = await retrieveAll(subdomain, accessToken, {
+    objectType: 'DataFolder',
+    properties: ['ID', 'Name', 'ParentFolder.ID', 'ContentType'],
+    filter: contentType
+      ? { left: activeFilter, logicalOperator: 'AND', right: { property: 'ContentType', operator: 'equals', value: contentType } }
+      : activeFilter,
+    queryAllAccounts: !!options.queryAllAccounts
+  });
+  const folderMap = {};
+  folders.forEach(f => {
+    if (f && f.ID) folderMap[String(f.ID)] = f;
+  });
+  return folderMap;
+}
+
+module.exports = {
+  getSoapUrl,
+  escapeXml,
+  buildFilterXML,
+  buildRetrieveEnvelope,
+  parseSoapMessage,
+  toArray,
+  retrieveAll,
+  retrieveMany,
+  retrieveByValues,
+  retrieveFolderMap,
+  mapWithConcurrency
+};
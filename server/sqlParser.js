@@ -0,0 +1,765 @@
+/**
+ * MC Explorer - SFMC SQL Parser
+ * Tokenizer-based parser for the T-SQL subset Query Activities accept. It finds the
+ * tables a query reads from, the aliases they are referenced by, how they are joined
+ * and which source columns feed each selected column.
+ *
+ * Handles CTEs, derived tables, subqueries anywhere in expressions (WHERE ... IN,
+ * EXISTS, scalar subqueries), UNION / EXCEPT / INTERSECT branches, [bracketed names
+ * with spaces], ENT. shared Data Extensions and system data views (_Sent, _Open, ...).
+ *
+ * parseSQL(sql) →
+ *   {
+ *     sources: [{ name, rawName, aliases: [], shared, dataView }],
+ *     aliases: { [alias]: name },
+ *     joins:   [{ type, left: { name, alias }, right: { name, alias }, on, conditions: [] }],
+ *     columns: [{ name, expression, direct, sources: [{ table, column }] }],
+ *     ctes:    [{ name, columns: [] }],
+ *     errors:  []
+ *   }
+ */
+
+const KEYWORDS = new Set([
+  'ADD', 'ALL', 'AND', 'ANY', 'APPLY', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'COLLATE', 'CROSS',
+  'DESC', 'DISTINCT', 'ELSE', 'END', 'ESCAPE', 'EXCEPT', 'EXISTS', 'FETCH', 'FOR', 'FROM', 'FULL',
+  'GROUP', 'HAVING', 'IN', 'INNER', 'INTERSECT', 'INTO', 'IS', 'JOIN', 'LEFT', 'LIKE', 'NEXT', 'NOT',
+  'NULL', 'OFFSET', 'ON', 'ONLY', 'OPTION', 'OR', 'ORDER', 'OUTER', 'OVER', 'PARTITION', 'PERCENT',
+  'RIGHT', 'ROW', 'ROWS', 'SELECT', 'SOME', 'THEN', 'TIES', 'TOP', 'UNION', 'WHEN', 'WHERE', 'WITH'
+]);
+
+// First argument of these functions is a date part, not a column
+const DATEPART_FUNCTIONS = new Set(['DATEADD', 'DATEDIFF', 'DATEDIFF_BIG', 'DATEPART', 'DATENAME', 'DATETRUNC']);
+
+// First argument of CONVERT / TRY_CONVERT and the target of CAST(x AS type)
+const TYPE_FUNCTIONS = new Set(['CONVERT', 'TRY_CONVERT']);
+
+const CLAUSE_END = new Set(['WHERE', 'GROUP', 'HAVING', 'ORDER', 'UNION', 'EXCEPT', 'INTERSECT', 'OPTION']);
+const JOIN_START = new Set(['JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'OUTER']);
+const COMPARISON_OPERATORS = new Set(['=', '<>', '!=', '<', '>', '<=', '>=']);
+
+/**
+ * Split SQL text into tokens. Comments and whitespace are dropped.
+ * @param {string} sql
+ * @returns {object[]} - { type: 'ident'|'quoted'|'string'|'number'|'variable'|'op'|'punct', value, upper, raw }
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+  const push = (type, value, raw) => tokens.push({ type, value, upper: value.toUpperCase(), raw });
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '-' && next === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      continue;
+    }
+
+    // 'string', N'unicode string' ('' escapes a quote)
+    if (ch === '\'' || ((ch === 'N' || ch === 'n') && next === '\'')) {
+      const start = i;
+      i += ch === '\'' ? 1 : 2;
+      let value = '';
+      while (i < sql.length) {
+        if (sql[i] === '\'' && sql[i + 1] === '\'') { value += '\''; i += 2; continue; }
+        if (sql[i] === '\'') { i++; break; }
+        value += sql[i++];
+      }
+      push('string', value, sql.slice(start, i));
+      continue;
+    }
+
+    // [bracketed identifier] (]] escapes a bracket) and "quoted identifier"
+    if (ch === '[' || ch === '"') {
+      const close = ch === '[' ? ']' : '"';
+      const start = i++;
+      let value = '';
+      while (i < sql.length) {
+        if (sql[i] === close && sql[i + 1] === close) { value += close; i += 2; continue; }
+        if (sql[i] === close) { i++; break; }
+        value += sql[i++];
+      }
+      push('quoted', value, sql.slice(start, i));
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+      const match = sql.slice(i).match(/^(\d*\.?\d+(?:[eE][+-]?\d+)?|\d+\.)/);
+      push('number', match[0], match[0]);
+      i += match[0].length;
+      continue;
+    }
+
+    if (ch === '@') {
+      const match = sql.slice(i).match(/^@@?[\w$#]*/);
+      push('variable', match[0], match[0]);
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[\p{L}_#]/u.test(ch)) {
+      const match = sql.slice(i).match(/^[\p{L}\p{N}_#$@]+/u);
+      push('ident', match[0], match[0]);
+      i += match[0].length;
+      continue;
+    }
+
+    const twoChar = sql.slice(i, i + 2);
+    if (['<>', '!=', '<=', '>=', '!<', '!>', '||'].includes(twoChar)) {
+      push('op', twoChar, twoChar);
+      i += 2;
+      continue;
+    }
+    push(/[(),.;*]/.test(ch) ? 'punct' : 'op', ch, ch);
+    i++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Rebuild readable SQL text from tokens, e.g. for a select item's expression.
+ */
+function formatTokens(tokens) {
+  return tokens.reduce((text, token, index) => {
+    const previous = tokens[index - 1];
+    const tight = !previous ||
+      (previous.type === 'punct' && ['.', '('].includes(previous.value)) ||
+      (token.type === 'punct' && ['.', ',', ')'].includes(token.value)) ||
+      (token.type === 'punct' && token.value === '(' && previous.type === 'ident');
+    return text + (tight ? '' : ' ') + token.raw;
+  }, '');
+}
+
+const isName = token => token && (token.type === 'quoted' || (token.type === 'ident' && !KEYWORDS.has(token.upper)));
+
+/**
+ * Name scope of one SELECT: the aliases visible to its expressions.
+ */
+class Scope {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.entries = []; // { alias, name, kind: 'table'|'cte'|'derived', columns }
+  }
+
+  add(entry) {
+    this.entries.push(entry);
+  }
+
+  resolve(qualifier) {
+    const upper = qualifier.toUpperCase();
+    const entry = this.entries.find(e => e.alias.toUpperCase() === upper) ||
+      this.entries.find(e => e.name.toUpperCase() === upper);
+    if (entry) return entry;
+    return this.parent ? this.parent.resolve(qualifier) : null;
+  }
+}
+
+class SqlParser {
+  constructor(sql) {
+    this.tokens = tokenize(sql);
+    this.pos = 0;
+    this.tables = []; // Every physical table reference: { name, rawName, alias, shared, dataView }
+    this.joins = [];
+    this.ctes = new Map(); // upper name → { name, columns }
+    this.errors = [];
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  isKeyword(keyword, offset = 0) {
+    const token = this.peek(offset);
+    return !!token && token.type === 'ident' && token.upper === keyword;
+  }
+
+  isPunct(value, offset = 0) {
+    const token = this.peek(offset);
+    return !!token && token.type === 'punct' && token.value === value;
+  }
+
+  acceptKeyword(keyword) {
+    if (!this.isKeyword(keyword)) return false;
+    this.pos++;
+    return true;
+  }
+
+  acceptPunct(value) {
+    if (!this.isPunct(value)) return false;
+    this.pos++;
+    return true;
+  }
+
+  startsQuery(offset = 0) {
+    return this.isKeyword('SELECT', offset) || this.isKeyword('WITH', offset) ||
+      (this.isPunct('(', offset) && this.startsQuery(offset + 1));
+  }
+
+  /**
+   * Skip to the token after the parenthesis that closes the one at the current position.
+   */
+  skipParenthesized() {
+    let depth = 0;
+    do {
+      const token = this.tokens[this.pos++];
+      if (!token) return;
+      if (token.type === 'punct' && token.value === '(') depth++;
+      if (token.type === 'punct' && token.value === ')') depth--;
+    } while (depth > 0);
+  }
+
+  parseStatements() {
+    while (this.pos < this.tokens.length) {
+      const start = this.pos;
+      if (this.isPunct(';')) { this.pos++; continue; }
+      if (this.startsQuery()) {
+        const columns = this.parseQuery(null);
+        if (!this.columns) this.columns = columns;
+      }
+      if (this.pos === start) {
+        this.errors.push(`Unexpected token "${this.peek().raw}"`);
+        this.pos++;
+      }
+    }
+  }
+
+  /**
+   * [WITH cte AS (...), ...] select { UNION|EXCEPT|INTERSECT select } [ORDER BY ...]
+   * @returns {object[]} - Output columns; UNION branches add their sources by position
+   */
+  parseQuery(parentScope) {
+    if (this.acceptKeyword('WITH')) this.parseCTEs(parentScope);
+
+    const columns = this.parseQueryTerm(parentScope);
+    while (this.isKeyword('UNION') || this.isKeyword('EXCEPT') || this.isKeyword('INTERSECT')) {
+      this.pos++;
+      this.acceptKeyword('ALL');
+      const branch = this.parseQueryTerm(parentScope);
+      branch.forEach((column, index) => {
+        if (columns[index]) columns[index].sources.push(...column.sources);
+      });
+    }
+    columns.forEach(column => { column.sources = uniqueColumnSources(column.sources); });
+
+    if (this.isKeyword('ORDER') && this.isKeyword('BY', 1)) {
+      this.pos += 2;
+      this.parseExpression(parentScope, null, token => token.type === 'ident' && token.upper === 'OPTION');
+    }
+    if (this.acceptKeyword('OPTION') && this.isPunct('(')) this.skipParenthesized();
+    return columns;
+  }
+
+  parseCTEs(parentScope) {
+    do {
+      const nameToken = this.peek();
+      if (!isName(nameToken)) break;
+      this.pos++;
+      let columnNames = null;
+      if (this.isPunct('(')) {
+        columnNames = [];
+        this.pos++;
+        while (this.peek() && !this.isPunct(')')) {
+          if (isName(this.peek())) columnNames.push(this.peek().value);
+          this.pos++;
+        }
+        this.pos++;
+      }
+      if (!this.acceptKeyword('AS') || !this.isPunct('(')) {
+        this.errors.push(`Malformed CTE "${nameToken.value}"`);
+        break;
+      }
+      this.pos++;
+      // Registered before its body is parsed so a recursive CTE does not count itself as a source
+      const cte = { name: nameToken.value, columns: [] };
+      this.ctes.set(nameToken.upper, cte);
+      const columns = this.parseQuery(parentScope);
+      cte.columns = columnNames
+        ? columnNames.map((name, index) => ({ ...(columns[index] || { expression: name, sources: [] }), name }))
+        : columns;
+      if (this.isPunct(')')) this.pos++;
+    } while (this.acceptPunct(','));
+  }
+
+  parseQueryTerm(parentScope) {
+    if (this.isPunct('(')) {
+      this.pos++;
+      const columns = this.parseQuery(parentScope);
+      if (this.isPunct(')')) this.pos++;
+      return columns;
+    }
+    return this.parseSelect(parentScope);
+  }
+
+  /**
+   * SELECT [ALL|DISTINCT] [TOP n [PERCENT] [WITH TIES]] list [INTO t] [FROM ...] [WHERE ...]
+   * [GROUP BY ...] [HAVING ...]. The select list is parsed last, once FROM has defined the aliases.
+   */
+  parseSelect(parentScope) {
+    const scope = new Scope(parentScope);
+    if (!this.acceptKeyword('SELECT')) return [];
+    if (!this.acceptKeyword('ALL')) this.acceptKeyword('DISTINCT');
+    if (this.acceptKeyword('TOP')) {
+      if (this.isPunct('(')) this.skipParenthesized();
+      else this.pos++;
+      this.acceptKeyword('PERCENT');
+      if (this.isKeyword('WITH') && this.isKeyword('TIES', 1)) this.pos += 2;
+    }
+
+    const listStart = this.pos;
+    this.skipUntil(token => token.type === 'ident' && ['FROM', 'INTO', ...CLAUSE_END].includes(token.upper));
+    const listEnd = this.pos;
+
+    if (this.acceptKeyword('INTO')) this.parseMultipartName();
+    if (this.acceptKeyword('FROM')) this.parseTableSources(scope);
+
+    const clauseStop = token => token.type === 'ident' && CLAUSE_END.has(token.upper);
+    if (this.acceptKeyword('WHERE')) this.parseExpression(scope, null, clauseStop);
+    if (this.isKeyword('GROUP') && this.isKeyword('BY', 1)) {
+      this.pos += 2;
+      this.parseExpression(scope, null, clauseStop);
+    }
+    if (this.acceptKeyword('HAVING')) this.parseExpression(scope, null, clauseStop);
+
+    const resumeAt = this.pos;
+    this.pos = listStart;
+    const columns = this.parseSelectList(scope, listEnd);
+    this.pos = resumeAt;
+    return columns;
+  }
+
+  /**
+   * Advance to the first depth-0 token matching `stop`, or to an unmatched ')' / ';'.
+   */
+  skipUntil(stop) {
+    let depth = 0;
+    while (this.pos < this.tokens.length) {
+      const token = this.peek();
+      if (token.type === 'punct' && token.value === '(') depth++;
+      if (token.type === 'punct' && token.value === ')') {
+        if (depth === 0) return;
+        depth--;
+      }
+      if (depth === 0 && ((token.type === 'punct' && token.value === ';') || stop(token))) return;
+      this.pos++;
+    }
+  }
+
+  parseSelectList(scope, end) {
+    const columns = [];
+    while (this.pos < end) {
+      const itemStart = this.pos;
+      const atComma = token => token.type === 'punct' && token.value === ',';
+      this.skipUntil(atComma);
+      const itemEnd = Math.min(this.pos, end);
+      columns.push(this.parseSelectItem(scope, itemStart, itemEnd));
+      this.pos = itemEnd + 1;
+    }
+    return columns;
+  }
+
+  /**
+   * One select-list item: `expr`, `expr [AS] alias`, `alias = expr`, `*` or `t.*`.
+   */
+  parseSelectItem(scope, start, end) {
+    const tokens = this.tokens.slice(start, end);
+
+    // Wildcards
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === 'punct' && last.value === '*' && (tokens.length === 1 || tokens[tokens.length - 2].value === '.')) {
+      const qualifier = tokens.length >= 3 ? tokens[tokens.length - 3].value : null;
+      const entries = qualifier ? [scope.resolve(qualifier)].filter(Boolean) : scope.entries;
+      return {
+        name: '*',
+        expression: formatTokens(tokens),
+        direct: true,
+        sources: uniqueColumnSources(entries.flatMap(entry => expandColumn(entry, '*')))
+      };
+    }
+
+    let name = null;
+    let exprStart = start;
+    let exprEnd = end;
+    if (tokens.length > 2 && isName(tokens[0]) && tokens[1].type === 'op' && tokens[1].value === '=') {
+      name = tokens[0].value;
+      exprStart = start + 2;
+    } else if (tokens.length > 1 && (isName(last) || last.type === 'string')) {
+      const before = tokens[tokens.length - 2];
+      if (before.type === 'ident' && before.upper === 'AS') {
+        name = last.value;
+        exprEnd = end - 2;
+      } else if (!(before.type === 'punct' && before.value === '.') && before.type !== 'op' &&
+        !(before.type === 'ident' && KEYWORDS.has(before.upper) && before.upper !== 'END')) {
+        name = last.value;
+        exprEnd = end - 1;
+      }
+    }
+
+    const refs = [];
+    const resumeAt = this.pos;
+    this.pos = exprStart;
+    this.parseExpression(scope, refs, () => false, exprEnd);
+    this.pos = resumeAt;
+
+    // A bare column reference is copied as-is and keeps its own name
+    const exprTokens = this.tokens.slice(exprStart, exprEnd);
+    const direct = exprTokens.length > 0 &&
+      exprTokens.every((t, i) => (i % 2 === 0 ? isName(t) : t.type === 'punct' && t.value === '.'));
+    if (!name && direct) name = exprTokens[exprTokens.length - 1].value;
+
+    return {
+      name,
+      expression: formatTokens(exprTokens),
+      direct,
+      sources: uniqueColumnSources(refs.flatMap(ref => resolveColumn(scope, ref)))
+    };
+  }
+
+  /**
+   * Walk an expression, parsing nested subqueries and collecting column references.
+   * @param {Scope} scope
+   * @param {object[]|null} refs - Receives { qualifier, column } for each column reference
+   * @param {function} stop - Depth-0 token predicate that ends the expression
+   * @param {number} [end] - Hard end position
+   */
+  parseExpression(scope, refs, stop, end = this.tokens.length) {
+    let skipNextName = false;
+    while (this.pos < end) {
+      const token = this.peek();
+      if (token.type === 'punct' && (token.value === ')' || token.value === ';')) return;
+      if (stop(token)) return;
+
+      if (token.type === 'punct' && token.value === '(') {
+        if (this.startsQuery(1)) {
+          this.pos++;
+          this.parseQuery(scope);
+          if (this.isPunct(')')) this.pos++;
+        } else {
+          this.pos++;
+          this.parseExpression(scope, refs, () => false);
+          if (this.isPunct(')')) this.pos++;
+        }
+        continue;
+      }
+
+      if (token.type === 'ident' && token.upper === 'AS') {
+        // CAST(x AS type)
+        skipNextName = true;
+        this.pos++;
+        continue;
+      }
+
+      if (isName(token)) {
+        // Function call
+        if (token.type === 'ident' && this.isPunct('(', 1)) {
+          this.pos += 2;
+          if (DATEPART_FUNCTIONS.has(token.upper) || TYPE_FUNCTIONS.has(token.upper)) {
+            if (this.peek() && this.peek().type === 'ident') this.pos++;
+            if (this.isPunct('(')) this.skipParenthesized();
+          }
+          this.parseExpression(scope, refs, () => false);
+          if (this.isPunct(')')) this.pos++;
+          continue;
+        }
+        const parts = this.readNameChain();
+        if (skipNextName) {
+          skipNextName = false;
+          continue;
+        }
+        if (refs && parts.length > 0 && parts[parts.length - 1] !== '*') {
+          refs.push({ qualifier: parts.length > 1 ? parts[parts.length - 2] : null, column: parts[parts.length - 1] });
+        }
+        continue;
+      }
+
+      skipNextName = false;
+      this.pos++;
+    }
+  }
+
+  /**
+   * Read `a.b.c` (each part plain or quoted) and return the unquoted parts.
+   */
+  readNameChain() {
+    const parts = [];
+    while (this.peek() && (isName(this.peek()) || (this.peek().type === 'punct' && this.peek().value === '*' && parts.length > 0))) {
+      parts.push(this.peek().value);
+      this.pos++;
+      if (this.isPunct('.') && this.peek(1) && (isName(this.peek(1)) || this.isPunct('*', 1) || this.isPunct('.', 1))) {
+        this.pos++;
+        // `db..table` leaves an empty schema part
+        while (this.isPunct('.')) this.pos++;
+      } else {
+        break;
+      }
+    }
+    return parts;
+  }
+
+  parseMultipartName() {
+    const tokens = [];
+    const start = this.pos;
+    const parts = this.readNameChain();
+    for (let i = start; i < this.pos; i++) tokens.push(this.tokens[i].raw);
+    return { parts, raw: tokens.join('') };
+  }
+
+  /**
+   * FROM source [, source ...] with JOIN / APPLY chains.
+   */
+  parseTableSources(scope) {
+    do {
+      let left = this.parseTableFactor(scope);
+      while (this.pos < this.tokens.length) {
+        const type = this.parseJoinType();
+        if (!type) break;
+        const right = this.parseTableFactor(scope);
+        const join = { type, left: describeEntry(left), right: describeEntry(right), on: null, conditions: [] };
+        if (this.acceptKeyword('ON')) {
+          const start = this.pos;
+          // LEFT( / RIGHT( in a condition are string functions, not the next join
+          this.parseExpression(scope, null, token => (token.type === 'ident' &&
+            (CLAUSE_END.has(token.upper) || (JOIN_START.has(token.upper) && !this.isPunct('(', 1)))) ||
+            (token.type === 'punct' && token.value === ','));
+          join.on = formatTokens(this.tokens.slice(start, this.pos));
+          join.conditions = this.readConditions(scope, start, this.pos);
+          // The left side is whichever earlier table the ON clause compares against
+          const other = join.conditions.map(c => [c.left, c.right]).flat()
+            .find(side => side.entry && side.entry !== right);
+          if (other) join.left = describeEntry(other.entry);
+        }
+        join.conditions = join.conditions.map(({ left: l, right: r, operator }) => ({
+          left: { table: l.table, column: l.column },
+          operator,
+          right: { table: r.table, column: r.column }
+        }));
+        if (right) this.joins.push(join);
+        left = right || left;
+      }
+    } while (this.acceptPunct(','));
+  }
+
+  parseJoinType() {
+    const start = this.pos;
+    let type = 'INNER';
+    if (this.acceptKeyword('INNER')) type = 'INNER';
+    else if (this.acceptKeyword('LEFT')) type = 'LEFT';
+    else if (this.acceptKeyword('RIGHT')) type = 'RIGHT';
+    else if (this.acceptKeyword('FULL')) type = 'FULL';
+    else if (this.isKeyword('CROSS') && this.isKeyword('APPLY', 1)) { this.pos += 2; return 'CROSS APPLY'; }
+    else if (this.isKeyword('OUTER') && this.isKeyword('APPLY', 1)) { this.pos += 2; return 'OUTER APPLY'; }
+    else if (this.acceptKeyword('CROSS')) type = 'CROSS';
+    this.acceptKeyword('OUTER');
+    if (this.acceptKeyword('JOIN')) return type;
+    this.pos = start;
+    return null;
+  }
+
+  /**
+   * Pull `a.x <op> b.y` comparisons out of an ON clause for the join graph.
+   */
+  readConditions(scope, start, end) {
+    const conditions = [];
+    const readSide = index => {
+      const parts = [];
+      let i = index;
+      while (i < end && isName(this.tokens[i])) {
+        parts.push(this.tokens[i].value);
+        if (this.tokens[i + 1] && this.tokens[i + 1].value === '.' && i + 2 < end) i += 2;
+        else { i++; break; }
+      }
+      if (parts.length === 0) return null;
+      const qualifier = parts.length > 1 ? parts[parts.length - 2] : null;
+      const entry = qualifier ? scope.resolve(qualifier) : null;
+      return { entry, table: entry ? entry.name : qualifier, column: parts[parts.length - 1], next: i };
+    };
+
+    for (let i = start; i < end; i++) {
+      const token = this.tokens[i];
+      if (token.type !== 'op' || !COMPARISON_OPERATORS.has(token.value)) continue;
+      // Walk back to the start of the left-hand name chain
+      let j = i - 1;
+      while (j - 2 >= start && this.tokens[j - 1].value === '.' && isName(this.tokens[j - 2])) j -= 2;
+      const leftSide = readSide(j);
+      const rightSide = readSide(i + 1);
+      if (leftSide && rightSide && leftSide.next === i) {
+        conditions.push({ left: leftSide, operator: token.value, right: rightSide });
+      }
+    }
+    return conditions;
+  }
+
+  /**
+   * One table source: name [AS] alias [WITH (hints)], (subquery) [AS] alias, or (joined sources).
+   * @returns {object|null} - Scope entry
+   */
+  parseTableFactor(scope) {
+    let entry = null;
+
+    if (this.isPunct('(')) {
+      if (this.startsQuery(1)) {
+        this.pos++;
+        const columns = this.parseQuery(scope.parent);
+        if (this.isPunct(')')) this.pos++;
+        entry = { alias: '', name: '', kind: 'derived', columns };
+      } else {
+        this.pos++;
+        this.parseTableSources(scope);
+        if (this.isPunct(')')) this.pos++;
+        return scope.entries[scope.entries.length - 1] || null;
+      }
+    } else {
+      const { parts, raw } = this.parseMultipartName();
+      if (parts.length === 0) {
+        if (this.peek()) this.errors.push(`Expected a table name near "${this.peek().raw}"`);
+        return null;
+      }
+      // Table-valued function
+      if (this.isPunct('(')) this.skipParenthesized();
+      entry = this.describeTable(parts, raw);
+    }
+
+    this.acceptKeyword('AS');
+    if (isName(this.peek()) && !JOIN_START.has(this.peek().upper)) {
+      entry.alias = this.peek().value;
+      this.pos++;
+    }
+    if (this.isKeyword('WITH') && this.isPunct('(', 1)) {
+      this.pos++;
+      this.skipParenthesized();
+    }
+    if (!entry.alias) entry.alias = entry.name;
+
+    if (entry.kind === 'table') {
+      this.tables.push({ name: entry.name, rawName: entry.rawName, alias: entry.alias, shared: entry.shared, dataView: entry.dataView });
+    }
+    scope.add(entry);
+    return entry;
+  }
+
+  describeTable(parts, raw) {
+    if (parts.length === 1 && this.ctes.has(parts[0].toUpperCase())) {
+      const cte = this.ctes.get(parts[0].toUpperCase());
+      return { alias: '', name: cte.name, kind: 'cte', columns: cte.columns };
+    }
+    const shared = parts.length > 1 && parts[0].toUpperCase() === 'ENT';
+    // ENT.Name → shared DE "Name"; other qualifiers (dbo.) are dropped
+    const name = parts[parts.length - 1];
+    return {
+      alias: '',
+      name,
+      rawName: raw,
+      kind: 'table',
+      shared,
+      dataView: name.startsWith('_')
+    };
+  }
+}
+
+function describeEntry(entry) {
+  if (!entry) return null;
+  return { name: entry.name || null, alias: entry.alias || null, kind: entry.kind };
+}
+
+/**
+ * Resolve a column reference to the physical table columns it reads, following
+ * CTE and derived-table columns back to their own sources.
+ */
+function resolveColumn(scope, ref) {
+  if (ref.qualifier) {
+    const entry = scope.resolve(ref.qualifier);
+    return entry ? expandColumn(entry, ref.column) : [{ table: ref.qualifier, column: ref.column }];
+  }
+  // Unqualified: unambiguous only with a single source in scope
+  if (scope.entries.length === 1) return expandColumn(scope.entries[0], ref.column);
+  const owners = scope.entries.filter(entry => entry.kind !== 'table' &&
+    (entry.columns || []).some(c => c.name && c.name.toUpperCase() === ref.column.toUpperCase()));
+  if (owners.length === 1) return expandColumn(owners[0], ref.column);
+  return [{ table: null, column: ref.column }];
+}
+
+function expandColumn(entry, column) {
+  if (entry.kind === 'table') return [{ table: entry.name, column }];
+  const columns = entry.columns || [];
+  if (column === '*') return columns.flatMap(c => c.sources);
+  const match = columns.find(c => c.name && c.name.toUpperCase() === column.toUpperCase());
+  if (match) return match.sources;
+  // SELECT * in the CTE / derived table: the column passes through from its sources
+  const star = columns.find(c => c.name === '*');
+  if (star) {
+    const tables = [...new Set(star.sources.map(s => s.table))];
+    return tables.map(table => ({ table, column }));
+  }
+  return [];
+}
+
+function uniqueColumnSources(sources) {
+  const seen = new Set();
+  return sources.filter(source => {
+    const key = `${(source.table || '').toUpperCase()}.${source.column.toUpperCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Parse SFMC query text.
+ * @param {string} sqlText
+ * @returns {object} - See file header
+ */
+function parseSQL(sqlText) {
+  const empty = { sources: [], aliases: {}, joins: [], columns: [], ctes: [], errors: [] };
+  if (!sqlText || typeof sqlText !== 'string') return empty;
+
+  const parser = new SqlParser(sqlText);
+  try {
+    parser.parseStatements();
+  } catch (error) {
+    parser.errors.push(error.message);
+  }
+
+  const sources = [];
+  const aliases = {};
+  parser.tables.forEach(table => {
+    let source = sources.find(s => s.name.toUpperCase() === table.name.toUpperCase() && s.shared === table.shared);
+    if (!source) {
+      source = { name: table.name, rawName: table.rawName, aliases: [], shared: table.shared, dataView: table.dataView };
+      sources.push(source);
+    }
+    if (table.alias && table.alias !== table.name && !source.aliases.includes(table.alias)) {
+      source.aliases.push(table.alias);
+    }
+    if (table.alias) aliases[table.alias] = table.name;
+  });
+
+  return {
+    sources,
+    aliases,
+    joins: parser.joins,
+    columns: parser.columns || [],
+    ctes: Array.from(parser.ctes.values()),
+    errors: parser.errors
+  };
+}
+
+/**
+ * Names of the tables (Data Extensions and data views) a query reads from,
+ * without ENT. prefixes, CTE names or derived-table aliases.
+ * @param {string|object} sql - Query text or a parseSQL result
+ * @returns {string[]}
+ */
+function getSourceTableNames(sql) {
+  const parsed = typeof sql === 'string' ? parseSQL(sql) : sql;
+  return (parsed?.sources || []).map(source => source.name)
+    .filter((name, index, names) => names.findIndex(n => n.toUpperCase() === name.toUpperCase()) === index);
+}
+
+module.exports = { tokenize, parseSQL, getSourceTableNames };
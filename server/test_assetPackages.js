@@ -0,0 +1,114 @@
+// Test asset package mapping: key/name remapping, SQL table renames and the package checks run before planning
+
+const { dataExtensionAsset, queryAsset, createPackage, validatePackage, applyMappings } = require('./assetPackages');
+
+const customers = dataExtensionAsset('de-customers', {
+  name: 'Customers', customerKey: 'Customers_DE', fields: [{ name: 'SubscriberKey', fieldType: 'Text', maxLength: 254 }]
+}, 'Data Extensions');
+const audience = dataExtensionAsset('de-audience', {
+  name: 'Audience', customerKey: 'Audience_DE', fields: [{ name: 'SubscriberKey', fieldType: 'Text', maxLength: 254 }]
+}, 'Data Extensions');
+const buildAudience = queryAsset('q-build', {
+  Name: 'Build Audience',
+  CustomerKey: 'Build_Audience',
+  QueryText: 'SELECT c.SubscriberKey\nFROM [Customers] c\nJOIN ENT.Customers e ON e.SubscriberKey = c.SubscriberKey\nWHERE c.SubscriberKey NOT IN (SELECT SubscriberKey FROM Audience)',
+  TargetUpdateType: 'Overwrite'
+}, { targetRef: 'de-audience', sourceRefs: ['de-customers', 'de-audience'] });
+
+const pkg = createPackage([buildAudience, customers, audience], { roots: ['q-build'], source: { accountId: '100000001' } });
+
+const tests = [
+  {
+    name: 'Without mappings every asset keeps its key and name',
+    run: () => applyMappings(pkg.assets),
+    expected: { keys: { 'de-customers': 'Customers_DE', 'de-audience': 'Audience_DE', 'q-build': 'Build_Audience' }, errors: 0 },
+    check: result => !result.assets.some(asset => asset.sqlRenamed)
+  },
+  {
+    name: 'Renamed Data Extension is renamed in the FROM and JOIN clauses of queries reading it',
+    run: () => applyMappings(pkg.assets, { 'de-customers': { key: 'Customers_QA', name: 'Customers QA' } }),
+    expected: { keys: { 'de-customers': 'Customers_QA' }, names: { 'de-customers': 'Customers QA' }, errors: 0 },
+    check: result => {
+      const query = result.assets.find(asset => asset.ref === 'q-build');
+      return query.sqlRenamed === true &&
+        query.definition.queryText.includes('FROM [Customers QA] c') &&
+        query.definition.queryText.includes('JOIN ENT.[Customers QA] e') &&
+        query.definition.queryText.includes('FROM Audience)') &&
+        buildAudience.definition.queryText.includes('FROM [Customers] c');
+    }
+  },
+  {
+    name: 'Blank mapping values fall back to the source key and name',
+    run: () => applyMappings(pkg.assets, { 'de-audience': { key: '  ', name: '' } }),
+    expected: { keys: { 'de-audience': 'Audience_DE' }, names: { 'de-audience': 'Audience' }, errors: 0 }
+  },
+  {
+    name: 'Two Data Extensions mapped to the same key are reported',
+    run: () => applyMappings(pkg.assets, { 'de-audience': { key: 'customers_de' } }),
+    expected: { errors: 1 }
+  },
+  {
+    name: 'Mapping for an asset outside the package is reported',
+    run: () => applyMappings(pkg.assets, { 'de-missing': { key: 'Missing' } }),
+    expected: { errors: 1 }
+  },
+  {
+    name: 'Package built from the assets passes validation and drops refs it does not contain',
+    run: () => {
+      const partial = createPackage([buildAudience, audience], { roots: ['q-build', 'de-customers'], source: {} });
+      return { assets: partial.assets, errors: validatePackage(partial), roots: partial.roots };
+    },
+    expected: { errors: 0 },
+    check: result => result.roots.length === 1 && !result.assets.find(asset => asset.ref === 'q-build').dependsOn.includes('de-customers')
+  },
+  {
+    name: 'Query whose target is not in the package is rejected',
+    run: () => {
+      const broken = { ...pkg, assets: pkg.assets.filter(asset => asset.ref !== 'de-audience') };
+      return { assets: broken.assets, errors: validatePackage(broken) };
+    },
+    expected: { errors: 2 }
+  },
+  {
+    name: 'Query whose SQL text is not text is rejected',
+    run: () => {
+      const broken = { ...pkg, assets: pkg.assets.map(asset => (asset.ref === 'q-build' ? { ...asset, definition: { ...asset.definition, queryText: 42 } } : asset)) };
+      return { assets: broken.assets, errors: validatePackage(broken) };
+    },
+    expected: { errors: 1 }
+  },
+  {
+    name: 'Something that is not a package is rejected',
+    run: () => ({ assets: [], errors: validatePackage({ format: 'zip', assets: pkg.assets }) }),
+    expected: { errors: 1 }
+  }
+];
+
+let failures = 0;
+
+tests.forEach(test => {
+  console.log(`\n=== ${test.name} ===`);
+  const result = test.run();
+  const byRef = Object.fromEntries(result.assets.map(asset => [asset.ref, asset]));
+  console.log('Errors:', result.errors);
+
+  const mismatches = [];
+  Object.entries(test.expected.keys || {}).forEach(([ref, key]) => {
+    if (byRef[ref].targetKey !== key) mismatches.push(`${ref} key ${byRef[ref].targetKey}`);
+  });
+  Object.entries(test.expected.names || {}).forEach(([ref, name]) => {
+    if (byRef[ref].targetName !== name) mismatches.push(`${ref} name ${byRef[ref].targetName}`);
+  });
+  if (result.errors.length !== test.expected.errors) mismatches.push(`${result.errors.length} errors`);
+  if (test.check && !test.check(result)) mismatches.push('check');
+
+  if (mismatches.length > 0) {
+    failures++;
+    console.log('❌ FAIL', { mismatches });
+  } else {
+    console.log('✅ PASS');
+  }
+});
+
+console.log(`\n=== ${tests.length - failures}/${tests.length} package mappings as expected ===`);
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,85 @@
+// Test schedule expansion: wall-clock run times across DST changes, and monthly/yearly schedules at month end
+
+const { expandSchedule } = require('./scheduleCalendar');
+
+const tests = [
+  {
+    name: 'Daily run keeps its Eastern wall-clock time across the spring DST change',
+    schedule: { startDate: '2026-01-01T06:00:00', icalRecur: 'FREQ=DAILY;INTERVAL=1', timezoneName: 'Eastern Standard Time' },
+    range: ['2026-03-06T00:00:00Z', '2026-03-11T00:00:00Z'],
+    expected: ['2026-03-06T11:00:00.000Z', '2026-03-07T11:00:00.000Z', '2026-03-08T10:00:00.000Z', '2026-03-09T10:00:00.000Z', '2026-03-10T10:00:00.000Z'],
+    timeZone: 'America/New_York'
+  },
+  {
+    name: 'Daily run keeps its Eastern wall-clock time across the autumn DST change',
+    schedule: { startDate: '2026-01-01T06:00:00', icalRecur: 'FREQ=DAILY;INTERVAL=1', timezoneName: 'Eastern Standard Time' },
+    range: ['2026-10-30T00:00:00Z', '2026-11-03T00:00:00Z'],
+    expected: ['2026-10-30T10:00:00.000Z', '2026-10-31T10:00:00.000Z', '2026-11-01T11:00:00.000Z', '2026-11-02T11:00:00.000Z']
+  },
+  {
+    name: 'Weekly run in the hour skipped by the DST jump still runs that day',
+    schedule: { startDate: '2026-03-01T02:30:00', icalRecur: 'FREQ=WEEKLY;BYDAY=SU', timezoneName: 'America/New_York' },
+    range: ['2026-03-01T00:00:00Z', '2026-03-16T00:00:00Z'],
+    expected: ['2026-03-01T07:30:00.000Z', '2026-03-08T06:30:00.000Z', '2026-03-15T06:30:00.000Z']
+  },
+  {
+    name: 'Monthly run on the 31st skips the months without one',
+    schedule: { startDate: '2026-01-31T09:00:00', icalRecur: 'FREQ=MONTHLY;BYMONTHDAY=31', timezoneName: 'UTC' },
+    range: ['2026-01-01T00:00:00Z', '2026-06-01T00:00:00Z'],
+    expected: ['2026-01-31T09:00:00.000Z', '2026-03-31T09:00:00.000Z', '2026-05-31T09:00:00.000Z']
+  },
+  {
+    name: 'Monthly run on the last day (BYMONTHDAY=-1) lands on each month end',
+    schedule: { startDate: '2026-01-31T09:00:00', icalRecur: 'FREQ=MONTHLY;BYMONTHDAY=-1', timezoneName: 'UTC' },
+    range: ['2026-01-01T00:00:00Z', '2026-05-01T00:00:00Z'],
+    expected: ['2026-01-31T09:00:00.000Z', '2026-02-28T09:00:00.000Z', '2026-03-31T09:00:00.000Z', '2026-04-30T09:00:00.000Z']
+  },
+  {
+    name: 'Monthly run on the last Friday',
+    schedule: { startDate: '2026-01-01T09:00:00', icalRecur: 'FREQ=MONTHLY;BYDAY=-1FR', timezoneName: 'UTC' },
+    range: ['2026-01-01T00:00:00Z', '2026-04-01T00:00:00Z'],
+    expected: ['2026-01-30T09:00:00.000Z', '2026-02-27T09:00:00.000Z', '2026-03-27T09:00:00.000Z']
+  },
+  {
+    name: 'Yearly run on Feb 29 only runs in leap years',
+    schedule: { startDate: '2024-02-29T09:00:00', icalRecur: 'FREQ=YEARLY', timezoneName: 'UTC' },
+    range: ['2024-01-01T00:00:00Z', '2029-01-01T00:00:00Z'],
+    expected: ['2024-02-29T09:00:00.000Z', '2028-02-29T09:00:00.000Z']
+  },
+  {
+    name: 'Schedule ending mid-range stops at its end date',
+    schedule: { startDate: '2026-01-31T09:00:00', endDate: '2026-03-15T00:00:00', icalRecur: 'FREQ=MONTHLY;BYMONTHDAY=-1', timezoneName: 'UTC' },
+    range: ['2026-01-01T00:00:00Z', '2026-06-01T00:00:00Z'],
+    expected: ['2026-01-31T09:00:00.000Z', '2026-02-28T09:00:00.000Z']
+  },
+  {
+    name: 'Schedule without a time zone uses the MC system time, which has no DST',
+    schedule: { startDate: '2026-01-01T08:00:00', icalRecur: 'FREQ=DAILY' },
+    range: ['2026-03-07T00:00:00Z', '2026-03-10T00:00:00Z'],
+    expected: ['2026-03-07T14:00:00.000Z', '2026-03-08T14:00:00.000Z', '2026-03-09T14:00:00.000Z'],
+    timeZone: 'Etc/GMT+6'
+  }
+];
+
+let failures = 0;
+
+tests.forEach(test => {
+  console.log(`\n=== ${test.name} ===`);
+  const result = expandSchedule(test.schedule, new Date(test.range[0]), new Date(test.range[1]));
+  console.log('Time zone:', result.timeZone);
+  console.log('Occurrences:', result.occurrences);
+
+  const missing = test.expected.filter(time => !result.occurrences.includes(time));
+  const unexpected = result.occurrences.filter(time => !test.expected.includes(time));
+  const wrongZone = Boolean(test.timeZone) && result.timeZone !== test.timeZone;
+
+  if (missing.length > 0 || unexpected.length > 0 || wrongZone) {
+    failures++;
+    console.log('❌ FAIL', { missing, unexpected, wrongZone });
+  } else {
+    console.log('✅ PASS');
+  }
+});
+
+console.log(`\n=== ${tests.length - failures}/${tests.length} schedules as expected ===`);
+process.exitCode = failures > 0 ? 1 : 0;
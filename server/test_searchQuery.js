@@ -0,0 +1,61 @@
+// Test the Search Assets query language: field terms, wildcards, exact values, dates, exclusions and bad terms
+
+const { parseSearchQuery, matchesSearchQuery } = require('./searchQuery');
+
+const rows = [
+  { id: 'de1', name: 'Spring Promo Audience', customerKey: 'Spring_Promo_DE', path: 'Data Extensions / Campaigns / 2025', isSendable: true, createdDate: '2025-01-15T12:00:00', businessUnitId: 100000001 },
+  { id: 'de2', name: 'Customers', customerKey: 'Customers_DE', path: 'Data Extensions', isSendable: 'False', createdDate: '2024-11-02T12:00:00', businessUnitId: 100000001 },
+  { id: 'de3', name: 'Customers Archive', customerKey: 'Customers_Archive_DE', path: 'Data Extensions / Archive', isSendable: false, createdDate: '2025-02-01T12:00:00', businessUnitId: 100000002 },
+  { id: 'j1', Name: 'Spring Promo Journey', status: 'Running', versionNumber: 3, createdDate: '2025-03-10T12:00:00', description: 'Welcome series' },
+  { id: 'a1', Name: 'Nightly Import', status: 'Paused', CustomerKey: 'nightly-import', createdDate: null }
+];
+
+const tests = [
+  { name: 'Free text matches any field', query: 'promo', expected: ['de1', 'j1'] },
+  { name: 'Quoted phrase is matched as one value', query: '"promo journey"', expected: ['j1'] },
+  { name: 'Every term must match', query: 'spring sendable:true', expected: ['de1'] },
+  { name: 'Name searches both name and Name', query: 'name:Spring', expected: ['de1', 'j1'] },
+  { name: 'Wildcards match the whole value', query: 'name:Customers*', expected: ['de2', 'de3'] },
+  { name: 'Exact value', query: 'name:=customers', expected: ['de2'] },
+  { name: 'Key searches customerKey and CustomerKey', query: 'key:*import', expected: ['a1'] },
+  { name: 'Comma-separated values match any of them', query: 'status:running,paused', expected: ['j1', 'a1'] },
+  { name: 'Quoted value keeps its comma', query: 'description:"series,"', expected: [] },
+  { name: 'Path ignores the spaces around "/"', query: 'path:"Data Extensions/Campaigns/*"', expected: ['de1'] },
+  { name: 'Leading "-" excludes matches', query: 'name:customers* -path:*/Archive', expected: ['de2'] },
+  { name: 'Boolean accepts text and booleans; rows without the flag count as false', query: 'sendable:no', expected: ['de2', 'de3', 'j1', 'a1'] },
+  { name: 'Year covers the whole year', query: 'created:2025', expected: ['de1', 'de3', 'j1'] },
+  { name: 'Month comparison starts at the first of the month', query: 'created:>=2025-02', expected: ['de3', 'j1'] },
+  { name: 'After a month means after its last day', query: 'created:>2025-02', expected: ['j1'] },
+  { name: 'Date range includes both ends', query: 'created:2024-11..2025-01', expected: ['de1', 'de2'] },
+  { name: 'Number comparison', query: 'version:>=3', expected: ['j1'] },
+  { name: 'Business unit', query: 'bu:=100000002', expected: ['de3'] },
+  { name: 'Unknown field is reported and skipped', query: 'owner:me promo', expected: ['de1', 'j1'], errors: 1 },
+  { name: 'Bad date is reported and skipped', query: 'created:yesterday', expected: ['de1', 'de2', 'de3', 'j1', 'a1'], errors: 1, empty: true },
+  { name: 'Empty query matches everything', query: '  ', expected: ['de1', 'de2', 'de3', 'j1', 'a1'], empty: true }
+];
+
+let failures = 0;
+
+tests.forEach(test => {
+  console.log(`\n=== ${test.name} ===`);
+  const query = parseSearchQuery(test.query);
+  const actual = rows.filter(row => matchesSearchQuery(row, query)).map(row => row.id);
+  console.log('Query:', test.query);
+  console.log('Matches:', actual);
+  if (query.errors.length > 0) console.log('Errors:', query.errors);
+
+  const missing = test.expected.filter(id => !actual.includes(id));
+  const unexpected = actual.filter(id => !test.expected.includes(id));
+  const wrongErrors = query.errors.length !== (test.errors || 0);
+  const wrongEmpty = query.isEmpty !== Boolean(test.empty);
+
+  if (missing.length > 0 || unexpected.length > 0 || wrongErrors || wrongEmpty) {
+    failures++;
+    console.log('❌ FAIL', { missing, unexpected, wrongErrors, wrongEmpty });
+  } else {
+    console.log('✅ PASS');
+  }
+});
+
+console.log(`\n=== ${tests.length - failures}/${tests.length} queries as expected ===`);
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,106 @@
+// Test the snapshot diff: added, removed and modified assets, and collections that one snapshot failed to fetch
+
+const { diffSnapshots } = require('./snapshotDiff');
+
+const field = (name, fieldType = 'Text', maxLength = 50) => ({ name, fieldType, maxLength, ordinal: 0 });
+
+const before = {
+  'Data Extensions': [
+    { id: 'Customers_DE', name: 'Customers', customerKey: 'Customers_DE', fields: [field('SubscriberKey'), field('Email', 'EmailAddress', 254)] },
+    { id: 'Legacy_DE', name: 'Legacy', customerKey: 'Legacy_DE', fields: [] }
+  ],
+  'SQL Queries': [
+    { id: 'q1', name: 'Build Audience', queryText: 'SELECT SubscriberKey\nFROM Customers', targetDataExtensionName: 'Audience' }
+  ],
+  'Automations': [
+    { id: 'auto1', name: 'Nightly', status: 'Scheduled', steps: [{ activities: [{ name: 'Build Audience', objectTypeId: 300 }] }] }
+  ],
+  'Journeys': [{ id: 'j1', name: 'Welcome', status: 'Published', version: 1 }],
+  'Email Send Definitions': [{ id: 'esd1', name: 'Newsletter' }]
+};
+
+const after = {
+  'Data Extensions': [
+    { id: 'Customers_DE', name: 'Customers', customerKey: 'Customers_DE', fields: [field('SubscriberKey'), field('Email', 'EmailAddress', 254), field('Tier')] },
+    { id: 'Loyalty_DE', name: 'Loyalty', customerKey: 'Loyalty_DE', fields: [] }
+  ],
+  'SQL Queries': [
+    { id: 'q1', name: 'Build Audience', queryText: 'SELECT SubscriberKey, Tier\nFROM Customers', targetDataExtensionName: 'Audience' }
+  ],
+  'Automations': [
+    { id: 'auto1', name: 'Nightly', status: 'Paused', steps: [{ activities: [{ name: 'Build Audience', objectTypeId: 300 }] }] }
+  ],
+  // The newer snapshot's journey fetch failed, so the collection came back empty
+  'Journeys': [],
+  'Email Send Definitions': [{ id: 'esd1', name: 'Newsletter' }]
+};
+
+const changeIds = (diff, changeType) => diff.changes.filter(change => change.changeType === changeType).map(change => change.id);
+
+const tests = [
+  {
+    name: 'Added, removed and modified assets across collections',
+    options: { incompleteCollections: ['Journeys'] },
+    expected: { added: ['Loyalty_DE'], removed: ['Legacy_DE'], modified: ['Customers_DE', 'q1', 'auto1'], skipped: ['Journeys'] },
+    check: diff => {
+      const customers = diff.changes.find(change => change.id === 'Customers_DE');
+      const query = diff.changes.find(change => change.id === 'q1');
+      const automation = diff.changes.find(change => change.id === 'auto1');
+      return customers.fields.added.some(added => added.name === 'Tier') &&
+        query.sql !== null &&
+        automation.properties.some(property => property.property === 'status');
+    }
+  },
+  {
+    name: 'A failed collection is skipped instead of reporting every asset removed',
+    options: { incompleteCollections: ['Journeys'] },
+    expected: { skipped: ['Journeys'] },
+    check: diff => !diff.changes.some(change => change.collection === 'Journeys')
+  },
+  {
+    name: 'Without the failure flag the emptied collection reads as removed',
+    options: {},
+    expected: { removed: ['Legacy_DE', 'j1'] }
+  },
+  {
+    name: 'Several failed collections are all skipped',
+    options: { incompleteCollections: ['Journeys', 'Data Extensions', 'SQL Queries'] },
+    expected: { added: [], removed: [], modified: ['auto1'], skipped: ['Data Extensions', 'SQL Queries', 'Journeys'] }
+  },
+  {
+    name: 'A collection missing from the older snapshot predates its capture and is skipped',
+    from: { ...before, 'Email Send Definitions': undefined },
+    options: { incompleteCollections: ['Journeys'] },
+    expected: { skipped: ['Journeys', 'Email Send Definitions'] }
+  }
+];
+
+let failures = 0;
+
+tests.forEach(test => {
+  console.log(`\n=== ${test.name} ===`);
+  const diff = diffSnapshots(test.from || before, after, test.options);
+  console.log('Summary:', JSON.stringify(diff.summary));
+  console.log('Skipped:', diff.skippedCollections);
+
+  const mismatches = ['added', 'removed', 'modified'].filter(changeType => {
+    if (!test.expected[changeType]) return false;
+    const actual = changeIds(diff, changeType);
+    console.log(`${changeType}:`, actual);
+    return actual.length !== test.expected[changeType].length || test.expected[changeType].some(id => !actual.includes(id));
+  });
+  if (test.expected.skipped && test.expected.skipped.some(collection => !diff.skippedCollections.includes(collection))) {
+    mismatches.push('skipped');
+  }
+  if (test.check && !test.check(diff)) mismatches.push('check');
+
+  if (mismatches.length > 0) {
+    failures++;
+    console.log('❌ FAIL', { mismatches });
+  } else {
+    console.log('✅ PASS');
+  }
+});
+
+console.log(`\n=== ${tests.length - failures}/${tests.length} diffs as expected ===`);
+process.exitCode = failures > 0 ? 1 : 0;
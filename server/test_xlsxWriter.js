@@ -0,0 +1,134 @@
+// Test the XLSX writer: sheet names Excel accepts, and cell text and sheet names escaped into well-formed XML
+
+const zlib = require('zlib');
+const xml2js = require('xml2js');
+const { buildWorkbook, sheetFromObjects } = require('./xlsxWriter');
+
+// Parts of a zip by name, read through its central directory (archiver writes sizes after the data)
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const parts = {};
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const local = buffer.readUInt32LE(offset + 42);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+    parts[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return parts;
+}
+
+const sheetNames = workbook => [...workbook.matchAll(/<sheet name="([^"]*)"/g)].map(match => match[1]);
+
+const tests = [
+  {
+    name: 'Invalid characters are replaced and long names cut to 31 characters',
+    sheets: [
+      { name: 'Queries: Daily/Weekly [old]?', headers: ['Name'], rows: [] },
+      { name: 'Data Extensions in the Shared Folder', headers: ['Name'], rows: [] },
+      { name: "'Quoted'", headers: ['Name'], rows: [] }
+    ],
+    expectedNames: ['Queries  Daily Weekly  old', 'Data Extensions in the Shared F', 'Quoted']
+  },
+  {
+    name: 'Duplicate names get a numbered suffix regardless of case, and blank names a default',
+    sheets: [
+      { name: 'Automations', headers: ['Name'], rows: [] },
+      { name: 'AUTOMATIONS', headers: ['Name'], rows: [] },
+      { name: 'automations', headers: ['Name'], rows: [] },
+      { name: '  ', headers: ['Name'], rows: [] },
+      { name: 'Data Extensions in the Shared Folder A', headers: ['Name'], rows: [] },
+      { name: 'Data Extensions in the Shared Folder B', headers: ['Name'], rows: [] }
+    ],
+    expectedNames: ['Automations', 'AUTOMATIONS (2)', 'automations (3)', 'Sheet4', 'Data Extensions in the Shared F', 'Data Extensions in the Shar (2)']
+  },
+  {
+    name: 'Cell text and sheet names are escaped, and characters XML cannot hold are dropped',
+    sheets: [
+      {
+        name: "Q&A's <List>",
+        headers: ['Name', 'SQL'],
+        rows: [['Tom & Jerry', 'SELECT * FROM [DE] WHERE a < 1 AND b > 2 AND c = "x"'], ['Bell\u0007 ring', ' padded ']]
+      }
+    ],
+    expectedNames: ['Q&amp;A\'s &lt;List&gt;'],
+    check: parts => {
+      const sheet = parts['xl/worksheets/sheet1.xml'];
+      return sheet.includes('<t>Tom &amp; Jerry</t>') &&
+        sheet.includes('<t>SELECT * FROM [DE] WHERE a &lt; 1 AND b &gt; 2 AND c = &quot;x&quot;</t>') &&
+        sheet.includes('<t>Bell ring</t>') &&
+        sheet.includes('<t xml:space="preserve"> padded </t>') &&
+        parts['xl/workbook.xml'].includes('>\'Q&amp;A\'\'s &lt;List&gt;\'!$A$1:$B$3<');
+    }
+  },
+  {
+    name: 'Numbers and booleans keep their type, objects are written as JSON',
+    sheets: [
+      sheetFromObjects('Fields', [
+        { name: 'Email', length: 254, primaryKey: false, meta: { type: 'EmailAddress' }, empty: '' },
+        { name: 'Id', length: 50, primaryKey: true, meta: null, empty: null }
+      ], [['name', 'Name'], ['length', 'Length'], ['primaryKey', 'Primary Key'], ['meta', 'Meta'], ['empty', 'Empty']])
+    ],
+    expectedNames: ['Fields'],
+    check: parts => {
+      const sheet = parts['xl/worksheets/sheet1.xml'];
+      return sheet.includes('<c r="B2"><v>254</v></c>') &&
+        sheet.includes('<c r="C3" t="b"><v>1</v></c>') &&
+        sheet.includes('<t>{&quot;type&quot;:&quot;EmailAddress&quot;}</t>') &&
+        !sheet.includes('Empty');
+    }
+  }
+];
+
+async function run() {
+  let failures = 0;
+
+  for (const test of tests) {
+    console.log(`\n=== ${test.name} ===`);
+    const parts = readZip(await buildWorkbook(test.sheets));
+    const names = sheetNames(parts['xl/workbook.xml']);
+    console.log('Sheet names:', names);
+
+    const mismatches = [];
+    if (names.length !== test.expectedNames.length || test.expectedNames.some((name, index) => names[index] !== name)) {
+      mismatches.push('names');
+    }
+    if (names.some(name => name.replace(/&\w+;/g, '_').length > 31)) mismatches.push('length');
+    for (const [part, xml] of Object.entries(parts)) {
+      try {
+        await xml2js.parseStringPromise(xml);
+      } catch (e) {
+        mismatches.push(`${part}: ${e.message.split('\n')[0]}`);
+      }
+    }
+    if (test.check && !test.check(parts)) mismatches.push('check');
+
+    if (mismatches.length > 0) {
+      failures++;
+      console.log('❌ FAIL', { mismatches });
+    } else {
+      console.log('✅ PASS');
+    }
+  }
+
+  console.log('\n=== A workbook without sheets ===');
+  const rejected = await buildWorkbook([]).then(() => false, () => true);
+  if (rejected) {
+    console.log('✅ PASS');
+  } else {
+    failures++;
+    console.log('❌ FAIL', { mismatches: ['not rejected'] });
+  }
+
+  const total = tests.length + 1;
+  console.log(`\n=== ${total - failures}/${total} workbooks as expected ===`);
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+run();
@@ -1,6 +1,7 @@
 // Helper to upsert a row into a Data Extension using SOAP
 const axios = require('axios');
 const xml2js = require('xml2js');
+const { getSoapUrl } = require('./mcEndpoints');
 
 /**
  * Upserts a row into a Data Extension in Marketing Cloud using SOAP API.
@@ -39,7 +40,7 @@ async function upsertRow(deName, row, accessToken, subdomain) {
       </soapenv:Body>
     </soapenv:Envelope>
   `;
-  const url = `https://${subdomain}.soap.marketingcloudapis.com/Service.asmx`;
+  const url = getSoapUrl(subdomain);
   const resp = await axios.post(url, soapEnvelope, {
     headers: { 'Content-Type': 'text/xml', SOAPAction: 'Create' }
   });
@@ -0,0 +1,204 @@
+/**
+ * MC Explorer - XLSX Writer
+ * Minimal SpreadsheetML workbooks (an .xlsx is a zip of XML parts) for the export menu and the
+ * inventory export: one sheet per table, bold header row frozen above the data, autofilter on the headers.
+ * Cells are inline strings, numbers or booleans; there are no formulas or shared strings.
+ */
+
+const archiver = require('archiver');
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const MAX_SHEET_NAME_LENGTH = 31;
+const MAX_CELL_LENGTH = 32767;
+const MAX_COLUMN_WIDTH = 60;
+const HEADER_STYLE = 1; // cellXfs index of the bold, shaded header style
+
+// Characters XML 1.0 does not allow, even escaped (tab, LF and CR are fine)
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXmlText = value => String(value)
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// 0 → A, 25 → Z, 26 → AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Text shown for a cell: nested objects and arrays as JSON, dates as ISO strings
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return isNaN(value) ? '' : value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function cellXml(value, ref, style) {
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+  const text = cellText(value).slice(0, MAX_CELL_LENGTH);
+  if (text === '') return style ? `<c r="${ref}"${styleAttr}/>` : '';
+  const space = /^\s|\s$/.test(text) ? ' xml:space="preserve"' : '';
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t${space}>${escapeXmlText(text)}</t></is></c>`;
+}
+
+// Excel sheet names: at most 31 characters, none of \ / ? * [ ] :, unique regardless of case
+function uniqueSheetNames(names) {
+  const used = new Set();
+  return names.map((raw, index) => {
+    const base = String(raw ?? '').replace(/[\\/?*[\]:]/g, ' ').replace(/^'+|'+$/g, '').trim() || `Sheet${index + 1}`;
+    let name = base.slice(0, MAX_SHEET_NAME_LENGTH);
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      name = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function worksheetXml(sheet) {
+  const rows = [sheet.headers, ...sheet.rows];
+  const lastRef = `${columnName(sheet.columnCount - 1)}${rows.length}`;
+
+  const widths = Array.from({ length: sheet.columnCount }, (_, col) => {
+    const longest = rows.reduce((max, row) => Math.max(max, cellText(row[col]).split('\n')[0].length), 0);
+    return Math.min(Math.max(longest + 2, 8), MAX_COLUMN_WIDTH);
+  });
+  const cols = widths.map((width, col) => `<col min="${col + 1}" max="${col + 1}" width="${width}" customWidth="1"/>`).join('');
+
+  const sheetData = rows.map((row, rowIndex) => {
+    const style = rowIndex === 0 ? HEADER_STYLE : 0;
+    const cells = row.map((value, col) => cellXml(value, `${columnName(col)}${rowIndex + 1}`, style)).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+
+  return `${XML_HEADER}<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    `<dimension ref="A1:${lastRef}"/>` +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft" activeCell="A2" sqref="A2"/>' +
+    '</sheetView></sheetViews>' +
+    '<sheetFormatPr defaultRowHeight="15"/>' +
+    `<cols>${cols}</cols>` +
+    `<sheetData>${sheetData}</sheetData>` +
+    (sheet.headers.length ? `<autoFilter ref="A1:${lastRef}"/>` : '') +
+    '</worksheet>';
+}
+
+function workbookXml(sheets, names) {
+  const sheetList = names.map((name, index) =>
+    `<sheet name="${escapeXmlText(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('');
+  // Excel expects a hidden _FilterDatabase name per sheet with an autofilter
+  const filterNames = sheets.map((sheet, index) => {
+    if (!sheet.headers.length) return '';
+    const ref = `'${names[index].replace(/'/g, "''")}'!$A$1:$${columnName(sheet.columnCount - 1)}$${sheet.rows.length + 1}`;
+    return `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">${escapeXmlText(ref)}</definedName>`;
+  }).join('');
+  return `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    `<sheets>${sheetList}</sheets>` +
+    (filterNames ? `<definedNames>${filterNames}</definedNames>` : '') +
+    '</workbook>';
+}
+
+const STYLES_XML = `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+  '<fill><patternFill patternType="solid"><fgColor rgb="FFE2E8F0"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/></cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>';
+
+function contentTypesXml(sheetCount) {
+  const sheetOverrides = Array.from({ length: sheetCount }, (_, index) =>
+    `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('');
+  return `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    `${sheetOverrides}</Types>`;
+}
+
+function workbookRelsXml(sheetCount) {
+  const sheetRels = Array.from({ length: sheetCount }, (_, index) =>
+    `<Relationship Id="rId${index + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('');
+  return `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">${sheetRels}` +
+    `<Relationship Id="rId${sheetCount + 1}" Type="${REL_NS}/styles" Target="styles.xml"/></Relationships>`;
+}
+
+const ROOT_RELS_XML = `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+  `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+
+/**
+ * Build an .xlsx workbook.
+ * @param {object[]} sheets - [{ name, headers: string[], rows: any[][] }]; names are made valid and unique,
+ *   objects and arrays in cells are written as JSON
+ * @returns {Promise<Buffer>}
+ */
+function buildWorkbook(sheets) {
+  if (!Array.isArray(sheets) || sheets.length === 0) return Promise.reject(new Error('A workbook needs at least one sheet'));
+  const normalized = sheets.map(sheet => {
+    const headers = (sheet.headers || []).map(cellText);
+    const rows = sheet.rows || [];
+    const columnCount = rows.reduce((max, row) => Math.max(max, row.length), Math.max(1, headers.length));
+    return { name: sheet.name, headers, rows, columnCount };
+  });
+  const names = uniqueSheetNames(normalized.map(sheet => sheet.name));
+
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const chunks = [];
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+
+    archive.append(contentTypesXml(normalized.length), { name: '[Content_Types].xml' });
+    archive.append(ROOT_RELS_XML, { name: '_rels/.rels' });
+    archive.append(workbookXml(normalized, names), { name: 'xl/workbook.xml' });
+    archive.append(workbookRelsXml(normalized.length), { name: 'xl/_rels/workbook.xml.rels' });
+    archive.append(STYLES_XML, { name: 'xl/styles.xml' });
+    normalized.forEach((sheet, index) => {
+      archive.append(worksheetXml(sheet), { name: `xl/worksheets/sheet${index + 1}.xml` });
+    });
+    archive.finalize();
+  });
+}
+
+/**
+ * A sheet of objects: one column per entry of columns that at least one object has a value for.
+ * @param {string} name
+ * @param {object[]} objects
+ * @param {Array<[string, string]>} columns - [[property, header], ...] in column order
+ * @returns {{ name: string, headers: string[], rows: any[][] }}
+ */
+function sheetFromObjects(name, objects, columns) {
+  const present = columns.filter(([prop]) => objects.some(object => object[prop] !== undefined && object[prop] !== null && object[prop] !== ''));
+  return {
+    name,
+    headers: present.map(([, header]) => header),
+    rows: objects.map(object => present.map(([prop]) => object[prop]))
+  };
+}
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+module.exports = {
+  buildWorkbook,
+  sheetFromObjects,
+  XLSX_CONTENT_TYPE
+};
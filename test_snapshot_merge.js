@@ -0,0 +1,114 @@
+// Test how an incremental refresh is merged into the previous metadata snapshot, and that the
+// snapshot diff then reports the assets deleted in MC
+
+const MetadataSnapshotStore = require('./server/metadataSnapshotStore');
+const { diffSnapshots } = require('./server/snapshotDiff');
+
+const de = (id, modifiedDate = '2024-01-01T00:00:00Z') => ({ id, name: id, modifiedDate });
+
+const previous = {
+  'Data Extensions': [de('Customers_DE'), de('Orders_DE'), de('Legacy_Promo_2023_DE')],
+  'Email Send Definitions': [de('Welcome_ESD'), de('Old_Newsletter_ESD')],
+  'Automations': [{ id: 'auto_1', name: 'Nightly Import' }],
+  'File Transfers': [{ id: 'ft_1', name: 'Drop to SFTP' }]
+};
+
+const tests = [
+  {
+    name: 'Data Extension deleted in MC is dropped',
+    changed: { 'Data Extensions': [], 'Email Send Definitions': [], 'Automations': previous.Automations, 'File Transfers': previous['File Transfers'] },
+    options: { currentIds: { 'Data Extensions': ['Customers_DE', 'Orders_DE'], 'Email Send Definitions': ['Welcome_ESD', 'Old_Newsletter_ESD'] } },
+    expected: { 'Data Extensions': ['Customers_DE', 'Orders_DE'], 'Email Send Definitions': ['Welcome_ESD', 'Old_Newsletter_ESD'] }
+  },
+  {
+    name: 'Email Send Definition deleted in MC is dropped, modified one is updated',
+    changed: { 'Email Send Definitions': [de('Welcome_ESD', '2024-06-01T00:00:00Z')] },
+    options: { currentIds: { 'Email Send Definitions': ['Welcome_ESD'] } },
+    expected: { 'Email Send Definitions': ['Welcome_ESD'] },
+    check: merged => merged['Email Send Definitions'][0].modifiedDate === '2024-06-01T00:00:00Z'
+  },
+  {
+    name: 'New Data Extension is added',
+    changed: { 'Data Extensions': [de('Loyalty_DE', '2024-06-01T00:00:00Z')] },
+    options: { currentIds: { 'Data Extensions': ['Customers_DE', 'Orders_DE', 'Legacy_Promo_2023_DE', 'Loyalty_DE'] } },
+    expected: { 'Data Extensions': ['Customers_DE', 'Orders_DE', 'Legacy_Promo_2023_DE', 'Loyalty_DE'] }
+  },
+  {
+    name: 'Failed id list keeps every previous row',
+    changed: { 'Data Extensions': [] },
+    options: { currentIds: {} },
+    expected: { 'Data Extensions': ['Customers_DE', 'Orders_DE', 'Legacy_Promo_2023_DE'] }
+  },
+  {
+    name: 'Non-incremental collection that is now empty is emptied',
+    changed: { 'File Transfers': [] },
+    options: {},
+    expected: { 'File Transfers': [] }
+  },
+  {
+    name: 'Non-incremental collection whose fetch failed keeps its previous rows',
+    changed: { 'Automations': [], 'File Transfers': [] },
+    options: { failedCollections: ['Automations'] },
+    expected: { 'Automations': ['auto_1'], 'File Transfers': [] }
+  }
+];
+
+let failures = 0;
+
+tests.forEach(test => {
+  console.log(`\n=== ${test.name} ===`);
+  const merged = MetadataSnapshotStore.mergeIncremental(previous, test.changed, test.options);
+  const mismatches = Object.entries(test.expected).filter(([collection, ids]) => {
+    const actual = (merged[collection] || []).map(item => item.id);
+    console.log(`${collection}:`, actual);
+    return actual.length !== ids.length || ids.some(id => !actual.includes(id));
+  }).map(([collection]) => collection);
+  if (test.check && !test.check(merged)) mismatches.push('check');
+
+  if (mismatches.length > 0) {
+    failures++;
+    console.log('❌ FAIL', { mismatches });
+  } else {
+    console.log('✅ PASS');
+  }
+});
+
+const diffTests = [
+  {
+    name: 'Diff after an incremental refresh reports the deleted DE and Email Send Definition',
+    after: () => MetadataSnapshotStore.mergeIncremental(previous, { 'Data Extensions': [], 'Email Send Definitions': [] }, {
+      currentIds: { 'Data Extensions': ['Customers_DE', 'Orders_DE'], 'Email Send Definitions': ['Welcome_ESD'] }
+    }),
+    options: {},
+    expectedRemoved: ['Legacy_Promo_2023_DE', 'Old_Newsletter_ESD']
+  },
+  {
+    name: 'Diff skips a collection whose fetch failed instead of reporting it removed',
+    after: () => ({ ...previous, 'Data Extensions': [] }),
+    options: { incompleteCollections: ['Data Extensions'] },
+    expectedRemoved: [],
+    expectedSkipped: ['Data Extensions']
+  }
+];
+
+diffTests.forEach(test => {
+  console.log(`\n=== ${test.name} ===`);
+  const diff = diffSnapshots(previous, test.after(), test.options);
+  const removed = diff.changes.filter(change => change.changeType === 'removed').map(change => change.id);
+  console.log('Summary:', JSON.stringify(diff.summary));
+  console.log('Removed:', removed, 'Skipped:', diff.skippedCollections);
+  const missing = test.expectedRemoved.filter(id => !removed.includes(id));
+  const unexpected = removed.filter(id => !test.expectedRemoved.includes(id));
+  const notSkipped = (test.expectedSkipped || []).filter(collection => !diff.skippedCollections.includes(collection));
+
+  if (missing.length > 0 || unexpected.length > 0 || notSkipped.length > 0) {
+    failures++;
+    console.log('❌ FAIL', { missing, unexpected, notSkipped });
+  } else {
+    console.log('✅ PASS');
+  }
+});
+
+const total = tests.length + diffTests.length;
+console.log(`\n=== ${total - failures}/${total} merges and diffs as expected ===`);
+process.exitCode = failures > 0 ? 1 : 0;
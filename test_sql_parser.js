@@ -1,93 +1,77 @@
-// Test SQL Parser for _BusinessUnitUnsubscribes issue
+// Test SQL Parser against the kinds of queries SFMC Query Activities contain
 
-function extractSourceDataExtensionsFromSQL(sqlText) {
-  if (!sqlText || typeof sqlText !== 'string') {
-    return [];
-  }
-
-  const sourceDataExtensions = [];
-  
-  try {
-    // Convert to uppercase for easier parsing
-    const sql = sqlText.toUpperCase();
-    console.log('🔍 [SQL Parser] Analyzing SQL:', sqlText);
-    console.log('🔍 [SQL Parser] Uppercase SQL:', sql);
-    
-    // Regular expressions to match table names in FROM and JOIN clauses
-    const patterns = [
-      /FROM\s+([^\s,\(\)]+)/gi,           // FROM table_name
-      /JOIN\s+([^\s,\(\)]+)/gi,           // JOIN table_name  
-      /LEFT\s+JOIN\s+([^\s,\(\)]+)/gi,    // LEFT JOIN table_name
-      /RIGHT\s+JOIN\s+([^\s,\(\)]+)/gi,   // RIGHT JOIN table_name
-      /INNER\s+JOIN\s+([^\s,\(\)]+)/gi,   // INNER JOIN table_name
-      /OUTER\s+JOIN\s+([^\s,\(\)]+)/gi    // OUTER JOIN table_name
-    ];
-    
-    patterns.forEach((pattern, patternIndex) => {
-      console.log(`🔍 [SQL Parser] Testing pattern ${patternIndex}: ${pattern}`);
-      pattern.lastIndex = 0; // Reset regex state
-      let match;
-      while ((match = pattern.exec(sql)) !== null) {
-        console.log(`🔍 [SQL Parser] Found match:`, match);
-        let tableName = match[1].trim();
-        console.log(`🔍 [SQL Parser] Raw table name: "${tableName}"`);
-        
-        // Remove common SQL keywords and aliases
-        tableName = tableName.replace(/\s+(AS|ON|WHERE|GROUP|ORDER|HAVING).*/i, '');
-        tableName = tableName.replace(/\s+[a-zA-Z_][a-zA-Z0-9_]*$/, ''); // Remove alias
-        
-        // Clean up table name
-        tableName = tableName.replace(/['"`,\[\]]/g, ''); // Remove quotes and brackets
-        tableName = tableName.trim();
-        
-        console.log(`🔍 [SQL Parser] Cleaned table name: "${tableName}"`);
-        
-        // Skip if it's a common SQL keyword or function
-        const sqlKeywords = ['SELECT', 'FROM', 'WHERE', 'ORDER', 'GROUP', 'HAVING', 'UNION', 'CASE', 'WHEN'];
-        if (!sqlKeywords.includes(tableName) && tableName.length > 0) {
-          // Convert back to original case for display
-          const originalCase = extractOriginalCaseTableName(sqlText, tableName);
-          console.log(`🔍 [SQL Parser] Original case: "${originalCase}"`);
-          if (originalCase && !sourceDataExtensions.includes(originalCase)) {
-            sourceDataExtensions.push(originalCase);
-            console.log(`🔍 [SQL Parser] Added to results: "${originalCase}"`);
-          }
-        } else {
-          console.log(`🔍 [SQL Parser] Skipping (keyword or empty): "${tableName}"`);
-        }
-      }
-    });
-    
-    console.log(`🔍 [SQL Parser] Final result:`, sourceDataExtensions);
-    
-  } catch (error) {
-    console.warn('⚠️ [SQL Parser] Error parsing SQL:', error.message);
-  }
-  
-  return sourceDataExtensions;
-}
+const { parseSQL, getSourceTableNames } = require('./server/sqlParser');
 
-function extractOriginalCaseTableName(sqlText, uppercaseTableName) {
-  try {
-    const regex = new RegExp(`\\b${uppercaseTableName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-    const match = sqlText.match(regex);
-    return match ? match[0] : uppercaseTableName.toLowerCase();
-  } catch (error) {
-    return uppercaseTableName.toLowerCase();
-  }
-}
-
-// Test with the actual SQL query from the user's log
-const actualSQL = `SELECT
+const testQueries = [
+  {
+    name: '_BusinessUnitUnsubscribes data view',
+    sql: `SELECT
     bu.BusinessUnitID,
     bu.SubscriberID,
     bu.SubscriberKey,
     bu.UnsubDateUTC,
     bu.UnsubReason
 FROM
-    _BusinessUnitUnsubscribes bu`;
+    _BusinessUnitUnsubscribes bu`,
+    expectedSources: ['_BusinessUnitUnsubscribes']
+  },
+  {
+    name: 'Aliases, joins and a bracketed name with spaces',
+    sql: `SELECT c.SubscriberKey, c.EmailAddress AS Email, SUM(o.Amount) TotalSpend
+FROM [Customer Master] AS c
+INNER JOIN [Orders_DE] o ON o.SubscriberKey = c.SubscriberKey
+LEFT OUTER JOIN Loyalty l ON l.CustomerId = c.CustomerId AND LEFT(l.Tier, 1) = 'G'
+GROUP BY c.SubscriberKey, c.EmailAddress`,
+    expectedSources: ['Customer Master', 'Orders_DE', 'Loyalty']
+  },
+  {
+    name: 'CTE with subquery in WHERE',
+    sql: `WITH RecentOpens AS (
+  SELECT SubscriberKey, MAX(EventDate) AS LastOpen
+  FROM _Open
+  WHERE EventDate > DATEADD(day, -30, GETDATE())
+  GROUP BY SubscriberKey
+)
+SELECT s.SubscriberKey, r.LastOpen
+FROM ENT.[All Subscribers] s
+JOIN RecentOpens r ON r.SubscriberKey = s.SubscriberKey
+WHERE s.SubscriberKey NOT IN (SELECT SubscriberKey FROM _Unsubscribe)
+  AND EXISTS (SELECT 1 FROM _Sent snt WHERE snt.SubscriberKey = s.SubscriberKey)`,
+    expectedSources: ['_Open', 'All Subscribers', '_Unsubscribe', '_Sent']
+  },
+  {
+    name: 'UNION branches and derived table',
+    sql: `SELECT x.Email FROM (
+  SELECT EmailAddress AS Email FROM Newsletter_Audience_DE
+  UNION ALL
+  SELECT Email FROM [Event Signups] -- trailing comment FROM Ignored_DE
+) x
+/* FROM Commented_Out_DE */`,
+    expectedSources: ['Newsletter_Audience_DE', 'Event Signups']
+  }
+];
+
+let failures = 0;
+
+testQueries.forEach(test => {
+  console.log(`\n=== ${test.name} ===`);
+  const parsed = parseSQL(test.sql);
+  const names = getSourceTableNames(test.sql);
+  const missing = test.expectedSources.filter(name => !names.includes(name));
+  const unexpected = names.filter(name => !test.expectedSources.includes(name));
+
+  console.log('Sources:', parsed.sources);
+  console.log('Joins:', JSON.stringify(parsed.joins, null, 2));
+  console.log('Columns:', JSON.stringify(parsed.columns, null, 2));
+  if (parsed.errors.length > 0) console.log('Errors:', parsed.errors);
+
+  if (missing.length > 0 || unexpected.length > 0) {
+    failures++;
+    console.log('❌ FAIL', { missing, unexpected });
+  } else {
+    console.log('✅ PASS');
+  }
+});
 
-console.log('=== Testing SQL Parser with Actual Query ===');
-const result = extractSourceDataExtensionsFromSQL(actualSQL);
-console.log('=== Final Result ===');
-console.log('Source Data Extensions found:', result);
+console.log(`\n=== ${testQueries.length - failures}/${testQueries.length} queries parsed as expected ===`);
+process.exitCode = failures > 0 ? 1 : 0;